@@ -12,9 +12,12 @@ const {
     SeatLayout
 } = require('../models');
 const bookingService = require('../services/bookingService');
+const refundPolicyService = require('../services/refundPolicyService');
 const PayOSService = require('../services/payosService');
 const logger = require('../utils/logger');
 
+const STAFF_ROLES = ['Staff', 'Admin', 'Manager'];
+
 // Hàm hỗ trợ format thời gian (trả về chỉ HH:MM:SS)
 const formatTimeOnly = (timeString) => {
     if (!timeString) return null;
@@ -294,7 +297,7 @@ const CreateBooking = async (req, res) => {
     }
 
     try {
-        const { Showtime_ID, layoutSeatIds, Payment_Method } = req.body;
+        const { Showtime_ID, layoutSeatIds, Payment_Method, concessions, accessibilityRequested } = req.body;
 
         if (!Showtime_ID || !layoutSeatIds || !Array.isArray(layoutSeatIds) || layoutSeatIds.length === 0) {
             return res.status(400).json({ success: false, message: 'Thiếu thông tin cần thiết hoặc không hợp lệ: Showtime_ID, layoutSeatIds (phải là một mảng và không rỗng).' });
@@ -302,11 +305,17 @@ const CreateBooking = async (req, res) => {
         if (!layoutSeatIds.every(id => typeof id === 'number')) {
             return res.status(400).json({ success: false, message: 'layoutSeatIds phải là một mảng các số (ID của SeatLayout).' });
         }
+        if (concessions !== undefined && !Array.isArray(concessions)) {
+            return res.status(400).json({ success: false, message: 'concessions phải là một mảng các { productId, quantity }.' });
+        }
 
         const bookingDataForService = {
             Showtime_ID: Showtime_ID,
             layoutSeatIds: layoutSeatIds,
             Payment_Method: Payment_Method || null, // Đặt giá trị mặc định là null nếu không có
+            concessions: concessions || [], // Bắp nước đặt kèm
+            accessibilityRequested: accessibilityRequested === true,
+            requesterRole: req.user?.role || req.user?.Role || null
         };
 
         const result = await bookingService.createBooking(bookingDataForService, userIdFromToken);
@@ -346,6 +355,23 @@ const CreateBooking = async (req, res) => {
             });
         }
 
+        // Vi phạm quy tắc đặt ghế của rạp
+        if (error.name === 'SeatRuleViolationError') {
+            return res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message,
+                code: error.code,
+                rule: error.rule,
+                errorCode: error.errorCode,
+                violations: error.violations
+            });
+        }
+
+        // Xử lý lỗi bắp nước hết hàng
+        if (error.code === 'OUT_OF_STOCK') {
+            return res.status(409).json({ success: false, message: error.message, code: error.code });
+        }
+
         if (error.name === 'SequelizeValidationError' || error.message.toLowerCase().includes('không hợp lệ') || error.message.toLowerCase().includes('thiếu thông tin')) {
             return res.status(400).json({ success: false, message: error.message });
         }
@@ -579,6 +605,19 @@ const CancelBooking = async (req, res) => {
             });
         }
 
+        // Kiểm tra chính sách hoàn tiền trước khi hủy (thời hạn hủy, phương thức hoàn tiền)
+        const { refundMethod, reason } = req.body || {};
+        const userRole = req.user.role || req.user.Role;
+        const waivePolicy = req.body?.waivePolicy === true && ['Admin', 'Manager'].includes(userRole);
+        const refundQuote = await refundPolicyService.getRefundQuote(bookingId, null, { refundMethod, waivePolicy });
+        if (!refundQuote.cancellable) {
+            return res.status(400).json({
+                success: false,
+                message: refundQuote.message,
+                data: { refundQuote }
+            });
+        }
+
         // 2. Kiểm tra và hủy thanh toán PayOS (nếu có)
         let payOSResult = null;
         try {
@@ -623,13 +662,15 @@ const CancelBooking = async (req, res) => {
         // 3. Hủy booking trong database
         const cancellationResult = await bookingService.processManualCancellation(
             bookingId,
-            userId
+            userId,
+            reason,
+            { refundMethod, waivePolicy }
         );
 
         // 4. 🔧 FIX: Clear tất cả ghế của user và emit WebSocket event
         try {
-            const { getIO } = require('../websocket/socketHandler');
             const seatSelectionService = require('../services/seatSelectionService');
+            const seatMapSyncService = require('../services/seatMapSyncService');
 
             // Lấy showtime ID từ cancellationResult hoặc từ booking data
             let showtimeId = null;
@@ -668,16 +709,10 @@ const CancelBooking = async (req, res) => {
 
                 console.log(`🔄 [CANCEL_BOOKING] Broadcasting seat state update for showtime ${showtimeId}`);
 
-                // Lấy trạng thái ghế mới sau khi clear
-                const seats = await seatSelectionService.getShowtimeSeats(showtimeId);
-                const validSeats = Array.isArray(seats) ? seats : [];
-
-                // Broadcast đến tất cả clients trong room
-                const roomName = `showtime-${showtimeId}`;
-                const io = getIO();
-                io.to(roomName).emit('seats-state', validSeats);
+                // Broadcast các ghế thay đổi đến tất cả clients trong room
+                const delta = await seatMapSyncService.publishRefresh(showtimeId);
 
-                console.log(`✅ [CANCEL_BOOKING] Cleared ${clearResult.clearedSeats?.length || 0} seats and broadcasted updated state to room ${roomName} (${validSeats.length} seats)`);
+                console.log(`✅ [CANCEL_BOOKING] Cleared ${clearResult.clearedSeats?.length || 0} seats and broadcasted ${delta?.changes.length || 0} seat changes to room showtime-${showtimeId}`);
             } else {
                 console.warn(`⚠️ [CANCEL_BOOKING] Không tìm thấy showtimeId để clear seats và broadcast`);
             }
@@ -691,6 +726,7 @@ const CancelBooking = async (req, res) => {
             message: 'Hủy đơn đặt vé thành công',
             data: {
                 booking: cancellationResult.data,
+                refund: cancellationResult.cancellation?.refundQuote,
                 payOS: payOSResult
             }
         });
@@ -704,7 +740,7 @@ const CancelBooking = async (req, res) => {
             service: 'BookingController'
         });
 
-        return res.status(500).json({
+        return res.status(error.statusCode || 500).json({
             success: false,
             message: error.message || 'Đã xảy ra lỗi trong quá trình hủy đơn đặt vé',
             error: process.env.NODE_ENV === 'development' ? error.stack : undefined
@@ -712,6 +748,140 @@ const CancelBooking = async (req, res) => {
     }
 };
 
+const GetRefundQuote = async (req, res) => {
+    try {
+        const bookingId = parseInt(req.params.id, 10);
+        const userId = req.user.userId || req.user.id;
+        if (!bookingId || isNaN(bookingId)) {
+            return res.status(400).json({ success: false, message: 'ID đơn đặt vé không hợp lệ' });
+        }
+
+        const quote = await refundPolicyService.getRefundQuote(bookingId, userId, {
+            refundMethod: req.query.refundMethod
+        });
+
+        return res.status(200).json({
+            success: true,
+            data: quote
+        });
+    } catch (error) {
+        logger.error('Error in GetRefundQuote', {
+            bookingId: req.params.id,
+            error: error.message,
+            service: 'BookingController'
+        });
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Đã xảy ra lỗi khi tính toán hoàn tiền'
+        });
+    }
+};
+
+// Ghế mới có thể gửi dạng mảng hoặc chuỗi phân cách bằng dấu phẩy (query string)
+const parseExchangeSeats = (seats) => {
+    if (Array.isArray(seats)) return seats;
+    if (typeof seats === 'string' && seats.trim()) return seats.split(',').map(seat => seat.trim()).filter(Boolean);
+    return [];
+};
+
+const GetExchangeQuote = async (req, res) => {
+    try {
+        const bookingId = parseInt(req.params.id, 10);
+        const userId = req.user.userId || req.user.id;
+        const userRole = req.user.role || req.user.Role;
+        if (!bookingId || isNaN(bookingId)) {
+            return res.status(400).json({ success: false, message: 'ID đơn đặt vé không hợp lệ' });
+        }
+
+        const quote = await bookingService.getExchangeQuote(bookingId, {
+            showtimeId: req.query.showtimeId,
+            seats: parseExchangeSeats(req.query.seats)
+        }, userId, { isStaff: STAFF_ROLES.includes(userRole), role: userRole });
+
+        return res.status(200).json({
+            success: true,
+            data: quote
+        });
+    } catch (error) {
+        logger.error('Error in GetExchangeQuote', {
+            bookingId: req.params.id,
+            error: error.message,
+            service: 'BookingController'
+        });
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Đã xảy ra lỗi khi tính toán đổi vé',
+            code: error.code,
+            takenSeats: error.takenSeats,
+            rule: error.rule,
+            errorCode: error.errorCode,
+            violations: error.violations
+        });
+    }
+};
+
+const ExchangeBooking = async (req, res) => {
+    try {
+        const bookingId = parseInt(req.params.id, 10);
+        const userId = req.user.userId || req.user.id;
+        const userRole = req.user.role || req.user.Role;
+        if (!bookingId || isNaN(bookingId)) {
+            return res.status(400).json({ success: false, message: 'ID đơn đặt vé không hợp lệ' });
+        }
+
+        const { showtimeId, seats, paymentMethod, refundMethod } = req.body || {};
+        const result = await bookingService.exchangeBooking(bookingId, {
+            showtimeId,
+            seats: parseExchangeSeats(seats),
+            paymentMethod,
+            refundMethod
+        }, userId, { isStaff: STAFF_ROLES.includes(userRole), role: userRole });
+
+        return res.status(200).json(result);
+    } catch (error) {
+        logger.error('Error in ExchangeBooking', {
+            bookingId: req.params.id,
+            error: error.message,
+            service: 'BookingController'
+        });
+        return res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.message || 'Đã xảy ra lỗi khi đổi vé',
+            code: error.code,
+            takenSeats: error.takenSeats,
+            rule: error.rule,
+            errorCode: error.errorCode,
+            violations: error.violations
+        });
+    }
+};
+
+const GetRefundPolicy = async (req, res) => {
+    try {
+        return res.status(200).json({
+            success: true,
+            data: await refundPolicyService.ensurePolicyLoaded()
+        });
+    } catch (error) {
+        logger.error('Error in GetRefundPolicy', { error: error.message, service: 'BookingController' });
+        return res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+const UpdateRefundPolicy = async (req, res) => {
+    try {
+        const policy = await refundPolicyService.updatePolicy(req.body || {}, req.user?.userId || req.user?.id);
+        return res.status(200).json({
+            success: true,
+            message: 'Cập nhật chính sách hoàn tiền thành công',
+            data: policy
+        });
+    } catch (error) {
+        logger.error('Error in UpdateRefundPolicy', { error: error.message, service: 'BookingController' });
+        return res.status(error.statusCode || 500).json({ success: false, message: error.message });
+    }
+};
+
 const GetBookingsByUserId = async (req, res) => {
     const targetUserId = parseInt(req.params.userId, 10);
     logger.info('GetBookingsByUserId called', {
@@ -1079,6 +1249,11 @@ module.exports = {
     UpdateBookingStatus,
     UpdateBookingPayment,
     CancelBooking,
+    GetRefundQuote,
+    GetExchangeQuote,
+    ExchangeBooking,
+    GetRefundPolicy,
+    UpdateRefundPolicy,
     GetBookingsByUserId,
     GetBookingsByShowtimeId,
     ConfirmPayment,
@@ -591,7 +591,7 @@ class CinemaController {
             }
 
             logger.info(`CinemaController.getCinemaShowtimes called with cinemaId: ${parsedCinemaId}, date: ${date}`);
-            const result = await cinemaService.getCinemaShowtimes(parsedCinemaId, date);
+            const result = await cinemaService.getCinemaShowtimes(parsedCinemaId, date, req.query);
 
             // Check if there are any showtimes
             if (!result.data || !result.data.movies || result.data.movies.length === 0) {
@@ -612,7 +612,7 @@ class CinemaController {
                 });
             }
 
-            if (error.message.includes('Định dạng ngày không hợp lệ') || error.message.includes('Ngày không hợp lệ')) {
+            if (error.statusCode === 400 || error.message.includes('Định dạng ngày không hợp lệ') || error.message.includes('Ngày không hợp lệ')) {
                 return res.status(400).json({
                     success: false,
                     message: error.message
@@ -0,0 +1,215 @@
+// src/controllers/concessionController.js
+// Controller danh mục và đơn bắp nước
+const concessionService = require('../services/concessionService');
+const logger = require('../utils/logger');
+
+const STAFF_ROLES = ['Staff', 'Admin', 'Manager'];
+
+class ConcessionController {
+    /**
+     * Danh mục sản phẩm đang bán (theo rạp, loại)
+     */
+    async getProducts(req, res) {
+        try {
+            const { cinemaId, category } = req.query;
+            const userRole = req.user?.role || req.user?.Role;
+            const includeInactive = req.query.includeInactive === 'true' && STAFF_ROLES.includes(userRole);
+
+            const products = await concessionService.getProducts({ cinemaId, category, includeInactive });
+            return res.status(200).json({ success: true, data: products });
+        } catch (error) {
+            logger.error('[getProducts] Lỗi khi lấy danh mục bắp nước:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi lấy danh mục bắp nước'
+            });
+        }
+    }
+
+    async getProductById(req, res) {
+        try {
+            const productId = parseInt(req.params.id, 10);
+            if (isNaN(productId)) {
+                return res.status(400).json({ success: false, message: 'ID sản phẩm không hợp lệ' });
+            }
+
+            const product = await concessionService.getProductById(productId);
+            return res.status(200).json({ success: true, data: product });
+        } catch (error) {
+            logger.error('[getProductById] Lỗi khi lấy sản phẩm:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi lấy sản phẩm'
+            });
+        }
+    }
+
+    async createProduct(req, res) {
+        try {
+            const userId = req.user?.id || req.user?.userId;
+            const product = await concessionService.createProduct(req.body || {}, userId);
+            return res.status(201).json({
+                success: true,
+                message: 'Tạo sản phẩm thành công',
+                data: product
+            });
+        } catch (error) {
+            logger.error('[createProduct] Lỗi khi tạo sản phẩm:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi tạo sản phẩm'
+            });
+        }
+    }
+
+    async updateProduct(req, res) {
+        try {
+            const productId = parseInt(req.params.id, 10);
+            if (isNaN(productId)) {
+                return res.status(400).json({ success: false, message: 'ID sản phẩm không hợp lệ' });
+            }
+
+            const product = await concessionService.updateProduct(productId, req.body || {});
+            return res.status(200).json({
+                success: true,
+                message: 'Cập nhật sản phẩm thành công',
+                data: product
+            });
+        } catch (error) {
+            logger.error('[updateProduct] Lỗi khi cập nhật sản phẩm:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi cập nhật sản phẩm'
+            });
+        }
+    }
+
+    async deactivateProduct(req, res) {
+        try {
+            const productId = parseInt(req.params.id, 10);
+            if (isNaN(productId)) {
+                return res.status(400).json({ success: false, message: 'ID sản phẩm không hợp lệ' });
+            }
+
+            const result = await concessionService.deactivateProduct(productId);
+            return res.status(200).json({
+                success: true,
+                message: 'Đã ngừng bán sản phẩm',
+                data: result
+            });
+        } catch (error) {
+            logger.error('[deactivateProduct] Lỗi khi ngừng bán sản phẩm:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi ngừng bán sản phẩm'
+            });
+        }
+    }
+
+    async adjustStock(req, res) {
+        try {
+            const productId = parseInt(req.params.id, 10);
+            if (isNaN(productId)) {
+                return res.status(400).json({ success: false, message: 'ID sản phẩm không hợp lệ' });
+            }
+
+            const userId = req.user?.id || req.user?.userId;
+            const product = await concessionService.adjustStock(productId, req.body?.quantity, userId);
+            return res.status(200).json({
+                success: true,
+                message: 'Đã cập nhật tồn kho',
+                data: product
+            });
+        } catch (error) {
+            logger.error('[adjustStock] Lỗi khi cập nhật tồn kho:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi cập nhật tồn kho'
+            });
+        }
+    }
+
+    /**
+     * Bán lẻ bắp nước tại quầy
+     */
+    async createCounterOrder(req, res) {
+        try {
+            const staffId = req.user?.id || req.user?.userId;
+            const order = await concessionService.createCounterOrder(req.body || {}, staffId);
+            return res.status(201).json({
+                success: true,
+                message: `Đã tạo đơn bắp nước ${order.Order_Code}`,
+                data: order
+            });
+        } catch (error) {
+            logger.error('[createCounterOrder] Lỗi khi tạo đơn bắp nước:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                code: error.code,
+                message: error.message || 'Có lỗi xảy ra khi tạo đơn bắp nước'
+            });
+        }
+    }
+
+    async cancelCounterOrder(req, res) {
+        try {
+            const orderId = parseInt(req.params.id, 10);
+            if (isNaN(orderId)) {
+                return res.status(400).json({ success: false, message: 'ID đơn bắp nước không hợp lệ' });
+            }
+
+            const staffId = req.user?.id || req.user?.userId;
+            const order = await concessionService.cancelCounterOrder(orderId, staffId);
+            return res.status(200).json({
+                success: true,
+                message: 'Đã hủy đơn bắp nước',
+                data: order
+            });
+        } catch (error) {
+            logger.error('[cancelCounterOrder] Lỗi khi hủy đơn bắp nước:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi hủy đơn bắp nước'
+            });
+        }
+    }
+
+    async getOrders(req, res) {
+        try {
+            const { cinemaId, bookingId, status, from, to, limit } = req.query;
+            const orders = await concessionService.getOrders({ cinemaId, bookingId, status, from, to, limit });
+            return res.status(200).json({ success: true, data: orders });
+        } catch (error) {
+            logger.error('[getOrders] Lỗi khi lấy danh sách đơn bắp nước:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi lấy danh sách đơn bắp nước'
+            });
+        }
+    }
+
+    /**
+     * Bắp nước đi kèm một đơn đặt vé
+     */
+    async getBookingConcessions(req, res) {
+        try {
+            const bookingId = parseInt(req.params.bookingId, 10);
+            if (isNaN(bookingId)) {
+                return res.status(400).json({ success: false, message: 'ID đơn đặt vé không hợp lệ' });
+            }
+
+            const userId = req.user?.id || req.user?.userId;
+            const userRole = req.user?.role || req.user?.Role;
+            const result = await concessionService.getBookingConcessions(bookingId, userId, STAFF_ROLES.includes(userRole));
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            logger.error('[getBookingConcessions] Lỗi khi lấy bắp nước của đơn đặt vé:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi lấy bắp nước của đơn đặt vé'
+            });
+        }
+    }
+}
+
+module.exports = new ConcessionController();
@@ -2,6 +2,7 @@
 const movieService = require('../services/movieService');
 const cloudinaryService = require('../services/cloudinaryService');
 const referenceService = require('../services/referenceService');
+const showtimeFormatService = require('../services/showtimeFormatService');
 const { validationResult } = require('express-validator');
 
 // Hàm riêng để cập nhật các danh sách tham chiếu
@@ -452,6 +453,16 @@ class MovieController {
             const parsedMovieId = parseInt(movieId);
             const parsedCinemaId = parseInt(cinemaId);
 
+            let formatConditions;
+            try {
+                formatConditions = showtimeFormatService.buildWhereConditions(showtimeFormatService.parseFilters(req.query));
+            } catch (error) {
+                return res.status(error.statusCode || 400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+
             // Kiểm tra phim có tồn tại không
             const { Movie, Showtime, CinemaRoom, Cinema } = require('../models');
             const movie = await Movie.findByPk(parsedMovieId);
@@ -481,7 +492,8 @@ class MovieController {
                 where: {
                     Movie_ID: parsedMovieId,
                     Show_Date: { [Op.gte]: today },
-                    Status: 'Scheduled'
+                    Status: 'Scheduled',
+                    ...(formatConditions.length > 0 ? { [Op.and]: formatConditions } : {})
                 },
                 include: [{
                     model: CinemaRoom,
@@ -491,7 +503,7 @@ class MovieController {
                         Cinema_ID: parsedCinemaId
                     },
                     attributes: ['Cinema_Room_ID', 'Room_Name', 'Room_Type']
-                }],
+                }, showtimeFormatService.getInclude()],
                 order: [
                     ['Show_Date', 'ASC'],
                     ['Start_Time', 'ASC']
@@ -523,7 +535,8 @@ class MovieController {
                     End_Time: showtime.End_Time,
                     Room_Name: showtime.CinemaRoom.Room_Name,
                     Room_Type: showtime.CinemaRoom.Room_Type,
-                    Capacity_Available: showtime.Capacity_Available
+                    Capacity_Available: showtime.Capacity_Available,
+                    Format: showtimeFormatService.toDto(showtime.Format, showtime.CinemaRoom.Room_Type)
                 });
             });
 
@@ -612,7 +625,7 @@ class MovieController {
 
             const parsedMovieId = parseInt(movieId);
 
-            const result = await movieService.getAllShowtimesForMovie(parsedMovieId);
+            const result = await movieService.getAllShowtimesForMovie(parsedMovieId, req.query);
 
             res.status(200).json({
                 success: true,
@@ -621,6 +634,13 @@ class MovieController {
         } catch (error) {
             console.error('Lỗi khi lấy tất cả suất chiếu của phim:', error);
 
+            if (error.statusCode === 400) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+
             if (error.message && error.message.includes('Không tìm thấy phim')) {
                 return res.status(404).json({
                     success: false,
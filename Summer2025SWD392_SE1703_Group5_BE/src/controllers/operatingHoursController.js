@@ -0,0 +1,178 @@
+// src/controllers/operatingHoursController.js
+// Controller giờ hoạt động của rạp và thời gian dọn dẹp giữa các suất chiếu theo loại phòng
+const operatingHoursService = require('../services/operatingHoursService');
+const logger = require('../utils/logger');
+
+class OperatingHoursController {
+    /**
+     * Giờ hoạt động theo thứ và các ngày ngoại lệ của rạp; truyền ?date để xem giờ hiệu lực của một ngày
+     */
+    async getCinemaHours(req, res) {
+        try {
+            const cinemaId = parseInt(req.params.cinemaId, 10);
+            if (isNaN(cinemaId)) {
+                return res.status(400).json({ success: false, message: 'ID rạp không hợp lệ' });
+            }
+
+            const result = await operatingHoursService.getCinemaHours(cinemaId);
+            if (req.query.date) {
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(req.query.date)) {
+                    return res.status(400).json({ success: false, message: 'date phải có định dạng YYYY-MM-DD' });
+                }
+                result.effective = await operatingHoursService.getOperatingWindow(cinemaId, req.query.date);
+            }
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            logger.error('[getCinemaHours] Lỗi khi lấy giờ hoạt động của rạp:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi lấy giờ hoạt động của rạp'
+            });
+        }
+    }
+
+    /**
+     * Cập nhật giờ hoạt động theo thứ
+     */
+    async setWeeklyHours(req, res) {
+        try {
+            const cinemaId = parseInt(req.params.cinemaId, 10);
+            if (isNaN(cinemaId)) {
+                return res.status(400).json({ success: false, message: 'ID rạp không hợp lệ' });
+            }
+
+            const userId = req.user?.id || req.user?.userId;
+            const userRole = req.user?.role || req.user?.Role;
+            const result = await operatingHoursService.setWeeklyHours(cinemaId, req.body.Days, userId, userRole);
+            return res.status(200).json({
+                success: true,
+                message: result.conflicting_showtimes.length > 0
+                    ? `Đã cập nhật giờ hoạt động, có ${result.conflicting_showtimes.length} suất chiếu sắp tới nằm ngoài giờ mới cần điều chỉnh`
+                    : 'Đã cập nhật giờ hoạt động',
+                data: result
+            });
+        } catch (error) {
+            logger.error('[setWeeklyHours] Lỗi khi cập nhật giờ hoạt động:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi cập nhật giờ hoạt động'
+            });
+        }
+    }
+
+    /**
+     * Tạo hoặc cập nhật giờ hoạt động riêng cho một ngày
+     */
+    async upsertException(req, res) {
+        try {
+            const cinemaId = parseInt(req.params.cinemaId, 10);
+            if (isNaN(cinemaId)) {
+                return res.status(400).json({ success: false, message: 'ID rạp không hợp lệ' });
+            }
+
+            const userId = req.user?.id || req.user?.userId;
+            const userRole = req.user?.role || req.user?.Role;
+            const result = await operatingHoursService.upsertException(cinemaId, req.body, userId, userRole);
+            return res.status(result.created ? 201 : 200).json({
+                success: true,
+                message: result.created ? 'Đã thêm giờ hoạt động ngoại lệ' : 'Đã cập nhật giờ hoạt động ngoại lệ',
+                data: result
+            });
+        } catch (error) {
+            logger.error('[upsertException] Lỗi khi lưu giờ hoạt động ngoại lệ:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi lưu giờ hoạt động ngoại lệ'
+            });
+        }
+    }
+
+    /**
+     * Xóa giờ hoạt động ngoại lệ
+     */
+    async deleteException(req, res) {
+        try {
+            const cinemaId = parseInt(req.params.cinemaId, 10);
+            const exceptionId = parseInt(req.params.exceptionId, 10);
+            if (isNaN(cinemaId) || isNaN(exceptionId)) {
+                return res.status(400).json({ success: false, message: 'ID rạp hoặc ID ngoại lệ không hợp lệ' });
+            }
+
+            const userId = req.user?.id || req.user?.userId;
+            const userRole = req.user?.role || req.user?.Role;
+            const result = await operatingHoursService.deleteException(cinemaId, exceptionId, userId, userRole);
+            return res.status(200).json({ success: true, message: 'Đã xóa giờ hoạt động ngoại lệ', data: result });
+        } catch (error) {
+            logger.error('[deleteException] Lỗi khi xóa giờ hoạt động ngoại lệ:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi xóa giờ hoạt động ngoại lệ'
+            });
+        }
+    }
+
+    /**
+     * Danh sách cấu hình thời gian dọn dẹp
+     */
+    async listTurnaroundBuffers(req, res) {
+        try {
+            const userId = req.user?.id || req.user?.userId;
+            const userRole = req.user?.role || req.user?.Role;
+            const result = await operatingHoursService.listTurnaroundBuffers(userId, userRole, { cinemaId: req.query.cinemaId });
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            logger.error('[listTurnaroundBuffers] Lỗi khi lấy cấu hình thời gian dọn dẹp:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi lấy cấu hình thời gian dọn dẹp'
+            });
+        }
+    }
+
+    /**
+     * Tạo hoặc cập nhật thời gian dọn dẹp cho một loại phòng
+     */
+    async upsertTurnaroundBuffer(req, res) {
+        try {
+            const userId = req.user?.id || req.user?.userId;
+            const userRole = req.user?.role || req.user?.Role;
+            const result = await operatingHoursService.upsertTurnaroundBuffer(req.body, userId, userRole);
+            return res.status(result.created ? 201 : 200).json({
+                success: true,
+                message: result.created ? 'Đã tạo cấu hình thời gian dọn dẹp' : 'Đã cập nhật cấu hình thời gian dọn dẹp',
+                data: result.buffer
+            });
+        } catch (error) {
+            logger.error('[upsertTurnaroundBuffer] Lỗi khi lưu cấu hình thời gian dọn dẹp:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi lưu cấu hình thời gian dọn dẹp'
+            });
+        }
+    }
+
+    /**
+     * Xóa cấu hình thời gian dọn dẹp (quay về cấu hình chung / mặc định)
+     */
+    async deleteTurnaroundBuffer(req, res) {
+        try {
+            const bufferId = parseInt(req.params.bufferId, 10);
+            if (isNaN(bufferId)) {
+                return res.status(400).json({ success: false, message: 'ID cấu hình không hợp lệ' });
+            }
+
+            const userId = req.user?.id || req.user?.userId;
+            const userRole = req.user?.role || req.user?.Role;
+            const result = await operatingHoursService.deleteTurnaroundBuffer(bufferId, userId, userRole);
+            return res.status(200).json({ success: true, message: 'Đã xóa cấu hình thời gian dọn dẹp', data: result });
+        } catch (error) {
+            logger.error('[deleteTurnaroundBuffer] Lỗi khi xóa cấu hình thời gian dọn dẹp:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi xóa cấu hình thời gian dọn dẹp'
+            });
+        }
+    }
+}
+
+module.exports = new OperatingHoursController();
@@ -0,0 +1,167 @@
+// src/controllers/paymentController.js
+// Controller thanh toán chung qua payment provider (PayOS, tiền mặt tại quầy, Mock)
+const paymentProviders = require('../services/paymentProviders');
+const { TicketBooking, User } = require('../models');
+const logger = require('../utils/logger');
+
+const STAFF_ROLES = ['Staff', 'Admin', 'Manager'];
+
+class PaymentController {
+    /**
+     * Danh sách payment provider và provider mặc định
+     */
+    async getProviders(req, res) {
+        try {
+            return res.status(200).json({
+                success: true,
+                data: paymentProviders.listProviders()
+            });
+        } catch (error) {
+            logger.error('[getProviders] Lỗi khi lấy danh sách payment provider:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Có lỗi xảy ra khi lấy danh sách phương thức thanh toán'
+            });
+        }
+    }
+
+    /**
+     * Tạo thanh toán cho đơn đặt vé qua provider được chọn (mặc định là provider online mặc định)
+     */
+    async createCharge(req, res) {
+        try {
+            const bookingId = parseInt(req.params.bookingId, 10);
+            if (isNaN(bookingId)) {
+                return res.status(400).json({ success: false, message: 'ID đặt vé không hợp lệ' });
+            }
+
+            const userId = req.user?.id || req.user?.userId;
+            const userRole = req.user?.role || req.user?.Role;
+            const isStaff = STAFF_ROLES.includes(userRole);
+            const { provider: providerName, scenario } = req.body || {};
+
+            const provider = providerName
+                ? paymentProviders.getProvider(providerName)
+                : paymentProviders.getDefaultProvider();
+
+            if (provider.name === 'cash' && !isStaff) {
+                return res.status(403).json({ success: false, message: 'Chỉ nhân viên mới có quyền xác nhận thanh toán tiền mặt' });
+            }
+
+            const booking = await TicketBooking.findByPk(bookingId, {
+                include: [{ model: User, as: 'User', attributes: ['Full_Name'] }]
+            });
+            if (!booking) {
+                return res.status(404).json({ success: false, message: 'Không tìm thấy đơn đặt vé' });
+            }
+            if (!isStaff && booking.User_ID !== userId) {
+                return res.status(403).json({ success: false, message: 'Bạn không có quyền thanh toán đơn đặt vé này' });
+            }
+            if (booking.Status !== 'Pending') {
+                return res.status(400).json({ success: false, message: `Đơn đặt vé đã ${booking.Status}. Không thể thanh toán.` });
+            }
+            if (booking.Payment_Deadline && new Date(booking.Payment_Deadline) < new Date()) {
+                return res.status(400).json({ success: false, message: 'Đơn đặt vé đã hết hạn thanh toán' });
+            }
+
+            const charge = await provider.createCharge({
+                bookingId,
+                amount: Number(booking.Total_Amount),
+                description: `Thanh toán vé #${bookingId}`,
+                customerName: booking.User?.Full_Name || 'Khách vãng lai',
+                userId,
+                options: { scenario }
+            });
+
+            logger.info(`[createCharge] Tạo thanh toán ${provider.name} cho booking ${bookingId} bởi user ${userId}`);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Tạo thanh toán thành công',
+                data: charge
+            });
+        } catch (error) {
+            logger.error(`[createCharge] Lỗi khi tạo thanh toán cho booking ${req.params.bookingId}:`, error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi tạo thanh toán'
+            });
+        }
+    }
+
+    /**
+     * Trạng thái giao dịch theo provider và mã tham chiếu
+     */
+    async getStatus(req, res) {
+        try {
+            const provider = paymentProviders.getProvider(req.params.provider);
+            const status = await provider.getStatus(req.params.reference);
+            return res.status(200).json({ success: true, data: status });
+        } catch (error) {
+            logger.error(`[getStatus] Lỗi khi lấy trạng thái giao dịch ${req.params.reference}:`, error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi lấy trạng thái thanh toán'
+            });
+        }
+    }
+
+    /**
+     * Nhận webhook của provider
+     */
+    async handleWebhook(req, res) {
+        try {
+            const result = await paymentProviders.processWebhook(req.params.provider, req.body, req.headers);
+            if (!result.processed && result.reason === 'INVALID_SIGNATURE') {
+                return res.status(400).json({ success: false, message: 'Webhook không hợp lệ' });
+            }
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            logger.error(`[handleWebhook] Lỗi khi xử lý webhook ${req.params.provider}:`, error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi xử lý webhook'
+            });
+        }
+    }
+
+    /**
+     * Trang checkout giả lập: hoàn tất (result=success) hoặc hủy (result=failure) giao dịch Mock
+     */
+    async mockCheckout(req, res) {
+        try {
+            const provider = paymentProviders.getProvider('mock');
+            if (!provider.isAvailable()) {
+                return res.status(404).json({ success: false, message: 'Mock payment provider không được bật' });
+            }
+
+            const { reference } = req.params;
+            const result = req.query.result;
+            if (!result) {
+                return res.status(200).json({ success: true, data: await provider.getStatus(reference) });
+            }
+            if (!['success', 'failure'].includes(result)) {
+                return res.status(400).json({ success: false, message: 'result phải là success hoặc failure' });
+            }
+
+            const status = result === 'success'
+                ? paymentProviders.PAYMENT_STATUS.PAID
+                : paymentProviders.PAYMENT_STATUS.CANCELLED;
+            const webhookResult = await provider.simulateWebhook(reference, status);
+
+            return res.status(200).json({
+                success: true,
+                message: result === 'success' ? 'Thanh toán giả lập thành công' : 'Đã hủy thanh toán giả lập',
+                data: webhookResult
+            });
+        } catch (error) {
+            logger.error(`[mockCheckout] Lỗi khi xử lý checkout giả lập ${req.params.reference}:`, error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi xử lý thanh toán giả lập'
+            });
+        }
+    }
+}
+
+module.exports = new PaymentController();
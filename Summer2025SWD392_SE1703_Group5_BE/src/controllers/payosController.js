@@ -1,5 +1,9 @@
 // File: src/controllers/payosController.js
 const PayOSService = require('../services/payosService');
+const paymentRefundService = require('../services/paymentRefundService');
+const paymentReconciliationService = require('../services/paymentReconciliationService');
+const paymentProviders = require('../services/paymentProviders');
+const paymentWebhookEventService = require('../services/paymentWebhookEventService');
 const { getConnection } = require('../config/database');
 const sql = require('mssql');
 const winston = require('winston');
@@ -168,20 +172,23 @@ class PayOSController {
                 });
             }
 
-            // Tạo link thanh toán (giới hạn 25 kí tự theo yêu cầu của PayOS)
-            const paymentResponse = await this.payosService.createPaymentLink(
-                parseInt(bookingId),
-                booking.Total_Amount,
-                `Thanh toán vé #${bookingId}`,
-                customerName
-            );
+            // Tạo link thanh toán qua provider mặc định: PAYMENT_PROVIDER nếu là provider online, ngược lại PayOS
+            // (Mock cần MOCK_PAYMENT_SECRET, và thêm PAYMENT_MOCK_ENABLED=true trên production)
+            // Mô tả giới hạn 25 kí tự theo yêu cầu của PayOS
+            const charge = await paymentProviders.getDefaultProvider().createCharge({
+                bookingId: parseInt(bookingId),
+                amount: booking.Total_Amount,
+                description: `Thanh toán vé #${bookingId}`,
+                customerName,
+                userId
+            });
 
-            logger.info(`Đã tạo thành công URL thanh toán cho booking ${bookingId}`);
+            logger.info(`Đã tạo thành công URL thanh toán (${charge.provider}) cho booking ${bookingId}`);
 
             return res.status(200).json({
                 success: true,
                 message: 'Tạo link thanh toán thành công',
-                data: paymentResponse.data
+                data: charge
             });
 
         } catch (error) {
@@ -211,35 +218,13 @@ class PayOSController {
 
             const webhookData = req.body;
 
-            // Xác thực webhook
-            const isValid = await this.payosService.verifyPaymentWebhook(webhookData);
-
-            if (!isValid) {
-                logger.warn('Webhook không hợp lệ từ PayOS');
-                return;
-            }
-
-            // Xử lý theo trạng thái thanh toán
-            const { data } = webhookData;
-            const { orderCode, status, amount } = data;
-
-            logger.info(`Xử lý webhook cho orderCode: ${orderCode}, status: ${status}`);
-
-            // Xử lý webhook bất đồng bộ để không chặn response
+            // Xác thực và xử lý webhook bất đồng bộ để không chặn response
             setImmediate(async () => {
                 try {
-                    let result;
-                    switch (status) {
-                        case 'PAID':
-                            result = await this.payosService.handleSuccessfulPayment(data);
-                            break;
-                        case 'CANCELLED':
-                        case 'EXPIRED':
-                            result = await this.payosService.handleFailedPayment(data);
-                            break;
-                        default:
-                            logger.info(`Trạng thái webhook không xử lý: ${status}`);
-                            return;
+                    const result = await paymentProviders.processWebhook('payos', webhookData, req.headers);
+                    if (!result.processed) {
+                        logger.warn(`Webhook PayOS không được xử lý: ${result.reason}`);
+                        return;
                     }
                     logger.info(`Đã xử lý webhook thành công: ${JSON.stringify(result)}`);
                 } catch (error) {
@@ -833,21 +818,22 @@ class PayOSController {
                 });
             }
 
-            // Tạo link thanh toán PayOS
-            const paymentResponse = await this.payosService.createPaymentLink(
-                parseInt(bookingId),
-                booking.Total_Amount,
-                `Thanh toán vé #${bookingId}`,
-                customerName
-            );
+            // Tạo link thanh toán qua provider mặc định
+            const charge = await paymentProviders.getDefaultProvider().createCharge({
+                bookingId: parseInt(bookingId),
+                amount: booking.Total_Amount,
+                description: `Thanh toán vé #${bookingId}`,
+                customerName,
+                userId: req.user?.id || req.user?.userId
+            });
 
-            logger.info(`Staff đã tạo thành công URL thanh toán cho booking ${bookingId}`);
+            logger.info(`Staff đã tạo thành công URL thanh toán (${charge.provider}) cho booking ${bookingId}`);
 
             return res.status(200).json({
                 success: true,
                 message: 'Tạo link thanh toán thành công',
                 data: {
-                    ...paymentResponse.data,
+                    ...charge,
                     customerName: customerName,
                     customerEmail: booking.Email || null,
                     isWalkInCustomer: !booking.User_ID,
@@ -932,6 +918,181 @@ class PayOSController {
             });
         }
     }
+
+    // === Hoàn tiền (Refund_Requests) ===
+
+    /**
+     * Lấy danh sách yêu cầu hoàn tiền
+     * @route GET /api/payos/refunds
+     * @access Private (Admin/Manager)
+     */
+    async getRefundRequests(req, res) {
+        try {
+            const { status, bookingId, paymentMethod } = req.query;
+            const refunds = await paymentRefundService.getRefundRequests({ status, bookingId, paymentMethod });
+            return res.status(200).json({ success: true, data: refunds });
+        } catch (error) {
+            logger.error('Lỗi khi lấy danh sách yêu cầu hoàn tiền:', error);
+            return res.status(error.statusCode || 500).json({ success: false, message: error.message });
+        }
+    }
+
+    /**
+     * @route GET /api/payos/refunds/:refundId
+     * @access Private (Admin/Manager)
+     */
+    async getRefundRequestById(req, res) {
+        try {
+            const refund = await paymentRefundService.getRefundRequestById(req.params.refundId);
+            return res.status(200).json({ success: true, data: refund });
+        } catch (error) {
+            logger.error('Lỗi khi lấy yêu cầu hoàn tiền:', error);
+            return res.status(error.statusCode || 500).json({ success: false, message: error.message });
+        }
+    }
+
+    /**
+     * @route PUT /api/payos/refunds/:refundId/approve
+     * @access Private (Admin/Manager)
+     */
+    async approveRefund(req, res) {
+        try {
+            const userId = req.user.id || req.user.userId;
+            const refund = await paymentRefundService.approveRefund(req.params.refundId, userId, req.body?.note);
+            return res.status(200).json({ success: true, message: 'Đã duyệt yêu cầu hoàn tiền', data: refund });
+        } catch (error) {
+            logger.error('Lỗi khi duyệt yêu cầu hoàn tiền:', error);
+            return res.status(error.statusCode || 500).json({ success: false, message: error.message });
+        }
+    }
+
+    /**
+     * @route PUT /api/payos/refunds/:refundId/process
+     * @access Private (Admin/Manager)
+     */
+    async processRefund(req, res) {
+        try {
+            const userId = req.user.id || req.user.userId;
+            const { transactionReference, note } = req.body || {};
+            const refund = await paymentRefundService.markRefundProcessed(req.params.refundId, userId, { transactionReference, note });
+            return res.status(200).json({ success: true, message: 'Đã xác nhận hoàn tiền cho khách hàng', data: refund });
+        } catch (error) {
+            logger.error('Lỗi khi xác nhận hoàn tiền:', error);
+            return res.status(error.statusCode || 500).json({ success: false, message: error.message });
+        }
+    }
+
+    /**
+     * @route PUT /api/payos/refunds/:refundId/fail
+     * @access Private (Admin/Manager)
+     */
+    async failRefund(req, res) {
+        try {
+            const userId = req.user.id || req.user.userId;
+            const refund = await paymentRefundService.markRefundFailed(req.params.refundId, userId, req.body?.reason);
+            return res.status(200).json({ success: true, message: 'Đã ghi nhận hoàn tiền thất bại', data: refund });
+        } catch (error) {
+            logger.error('Lỗi khi ghi nhận hoàn tiền thất bại:', error);
+            return res.status(error.statusCode || 500).json({ success: false, message: error.message });
+        }
+    }
+
+    // === Đối soát PayOS ===
+
+    /**
+     * Báo cáo đối soát PayOS
+     * @route GET /api/payos/reconciliation
+     * @access Private (Admin/Manager)
+     */
+    async getReconciliationReport(req, res) {
+        try {
+            const { status, issueType, from, to } = req.query;
+            const report = await paymentReconciliationService.getReport({ status, issueType, from, to });
+            return res.status(200).json({ success: true, data: report });
+        } catch (error) {
+            logger.error('Lỗi khi lấy báo cáo đối soát:', error);
+            return res.status(error.statusCode || 500).json({ success: false, message: error.message });
+        }
+    }
+
+    /**
+     * Chạy đối soát ngay lập tức
+     * @route POST /api/payos/reconciliation/run
+     * @access Private (Admin/Manager)
+     */
+    async runReconciliation(req, res) {
+        try {
+            const userId = req.user.id || req.user.userId;
+            const summary = await paymentReconciliationService.runReconciliation({
+                lookbackDays: req.body?.lookbackDays,
+                triggeredBy: userId
+            });
+            return res.status(200).json({ success: true, message: 'Đối soát hoàn tất', data: summary });
+        } catch (error) {
+            logger.error('Lỗi khi chạy đối soát:', error);
+            return res.status(error.statusCode || 500).json({ success: false, message: error.message });
+        }
+    }
+
+    /**
+     * Đánh dấu sai lệch đối soát đã xử lý
+     * @route PUT /api/payos/reconciliation/:issueId/resolve
+     * @access Private (Admin/Manager)
+     */
+    async resolveReconciliationIssue(req, res) {
+        try {
+            const userId = req.user.id || req.user.userId;
+            const issue = await paymentReconciliationService.resolveIssue(req.params.issueId, userId, req.body?.note);
+            return res.status(200).json({ success: true, message: 'Đã đánh dấu sai lệch là đã xử lý', data: issue });
+        } catch (error) {
+            logger.error('Lỗi khi xử lý sai lệch đối soát:', error);
+            return res.status(error.statusCode || 500).json({ success: false, message: error.message });
+        }
+    }
+
+    /**
+     * @route GET /api/payos/webhook-events
+     * @access Private (Admin/Manager)
+     */
+    async getWebhookEvents(req, res) {
+        try {
+            const { status, provider, orderCode, bookingId, from, to, limit } = req.query;
+            const events = await paymentWebhookEventService.getEvents({ status, provider, orderCode, bookingId, from, to, limit });
+            return res.status(200).json({ success: true, data: events });
+        } catch (error) {
+            logger.error('Lỗi khi lấy danh sách sự kiện webhook:', error);
+            return res.status(error.statusCode || 500).json({ success: false, message: error.message });
+        }
+    }
+
+    /**
+     * @route GET /api/payos/webhook-events/:eventId
+     * @access Private (Admin/Manager)
+     */
+    async getWebhookEventById(req, res) {
+        try {
+            const event = await paymentWebhookEventService.getEventById(req.params.eventId);
+            return res.status(200).json({ success: true, data: event });
+        } catch (error) {
+            logger.error('Lỗi khi lấy sự kiện webhook:', error);
+            return res.status(error.statusCode || 500).json({ success: false, message: error.message });
+        }
+    }
+
+    /**
+     * @route POST /api/payos/webhook-events/:eventId/replay
+     * @access Private (Admin/Manager)
+     */
+    async replayWebhookEvent(req, res) {
+        try {
+            const userId = req.user.id || req.user.userId;
+            const result = await paymentWebhookEventService.replayEvent(req.params.eventId, userId);
+            return res.status(200).json({ success: true, message: 'Đã xử lý lại sự kiện webhook', data: result });
+        } catch (error) {
+            logger.error('Lỗi khi replay sự kiện webhook:', error);
+            return res.status(error.statusCode || 500).json({ success: false, message: error.message });
+        }
+    }
 }
 
 module.exports = PayOSController;
\ No newline at end of file
@@ -0,0 +1,109 @@
+// src/controllers/seatBookingRuleController.js
+// Controller cấu hình quy tắc đặt ghế theo rạp / loại phòng
+const seatBookingRulesService = require('../services/seatBookingRulesService');
+const logger = require('../utils/logger');
+
+class SeatBookingRuleController {
+    /**
+     * Danh sách quy tắc hỗ trợ và các cấu hình ghi đè
+     */
+    async listRules(req, res) {
+        try {
+            const userId = req.user?.id || req.user?.userId;
+            const userRole = req.user?.role || req.user?.Role;
+            const result = await seatBookingRulesService.listRuleConfigs(userId, userRole, { cinemaId: req.query.cinemaId });
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            logger.error('[listRules] Lỗi khi lấy cấu hình quy tắc đặt ghế:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi lấy cấu hình quy tắc đặt ghế'
+            });
+        }
+    }
+
+    /**
+     * Bộ quy tắc hiệu lực cho một rạp / loại phòng hoặc một suất chiếu
+     */
+    async getEffectiveRules(req, res) {
+        try {
+            const { cinemaId, roomType, showtimeId } = req.query;
+
+            if (showtimeId !== undefined) {
+                const parsedShowtimeId = parseInt(showtimeId, 10);
+                if (isNaN(parsedShowtimeId)) {
+                    return res.status(400).json({ success: false, message: 'ID suất chiếu không hợp lệ' });
+                }
+                const ruleSet = await seatBookingRulesService.getRuleSetForShowtime(parsedShowtimeId);
+                return res.status(200).json({ success: true, data: ruleSet });
+            }
+
+            const parsedCinemaId = cinemaId !== undefined ? parseInt(cinemaId, 10) : null;
+            if (parsedCinemaId !== null && isNaN(parsedCinemaId)) {
+                return res.status(400).json({ success: false, message: 'ID rạp không hợp lệ' });
+            }
+
+            const ruleSet = await seatBookingRulesService.getRuleSet({ cinemaId: parsedCinemaId, roomType: roomType || null });
+            return res.status(200).json({ success: true, data: ruleSet });
+        } catch (error) {
+            logger.error('[getEffectiveRules] Lỗi khi lấy bộ quy tắc đặt ghế:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi lấy bộ quy tắc đặt ghế'
+            });
+        }
+    }
+
+    /**
+     * Bật/tắt hoặc đổi tham số một quy tắc cho phạm vi rạp / loại phòng
+     */
+    async upsertRule(req, res) {
+        try {
+            const userId = req.user?.id || req.user?.userId;
+            const userRole = req.user?.role || req.user?.Role;
+            const result = await seatBookingRulesService.upsertRuleConfig(req.body, userId, userRole);
+
+            return res.status(result.created ? 201 : 200).json({
+                success: true,
+                message: `Đã ${result.created ? 'tạo' : 'cập nhật'} cấu hình quy tắc ${result.config.ruleCode}`,
+                data: result.config
+            });
+        } catch (error) {
+            logger.error('[upsertRule] Lỗi khi cấu hình quy tắc đặt ghế:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi cấu hình quy tắc đặt ghế'
+            });
+        }
+    }
+
+    /**
+     * Xóa cấu hình ghi đè
+     */
+    async deleteRule(req, res) {
+        try {
+            const seatRuleId = parseInt(req.params.seatRuleId, 10);
+            if (isNaN(seatRuleId)) {
+                return res.status(400).json({ success: false, message: 'ID cấu hình quy tắc không hợp lệ' });
+            }
+
+            const userId = req.user?.id || req.user?.userId;
+            const userRole = req.user?.role || req.user?.Role;
+            const result = await seatBookingRulesService.deleteRuleConfig(seatRuleId, userId, userRole);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Đã xóa cấu hình quy tắc, phạm vi này dùng lại cấu hình chung',
+                data: result
+            });
+        } catch (error) {
+            logger.error('[deleteRule] Lỗi khi xóa cấu hình quy tắc đặt ghế:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi xóa cấu hình quy tắc đặt ghế'
+            });
+        }
+    }
+}
+
+module.exports = new SeatBookingRuleController();
@@ -1,5 +1,6 @@
 // src/controllers/seatLayoutController.js
 const seatLayoutService = require('../services/seatLayoutService');
+const seatLayoutVersionService = require('../services/seatLayoutVersionService');
 const logger = require('../utils/logger');
 
 /**
@@ -709,8 +710,10 @@ class SeatLayoutController {
 
             logger.info(`GET /api/seat-layout/room/${roomId}/history - Getting seat layout history`);
 
-            const result = await seatLayoutService.getSeatLayoutHistory(
+            const result = await seatLayoutVersionService.getSeatLayoutHistory(
                 parseInt(roomId),
+                req.user?.id || req.user?.userId,
+                req.user?.role || req.user?.Role,
                 parseInt(page),
                 parseInt(limit)
             );
@@ -730,8 +733,8 @@ class SeatLayoutController {
         } catch (error) {
             logger.error(`Error in getSeatLayoutHistory for room ${req.params.roomId}:`, error);
 
-            if (error.message.includes('Không tìm thấy')) {
-                return res.status(404).json({
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({
                     success: false,
                     message: error.message
                 });
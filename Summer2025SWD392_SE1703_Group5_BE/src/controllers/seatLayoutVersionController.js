@@ -0,0 +1,227 @@
+// src/controllers/seatLayoutVersionController.js
+// Controller bản nháp và phiên bản sơ đồ ghế (chỉnh sửa nháp, so sánh, phát hành, khôi phục)
+const seatLayoutVersionService = require('../services/seatLayoutVersionService');
+const logger = require('../utils/logger');
+
+function _parseRoomId(req, res) {
+    const roomId = parseInt(req.params.roomId, 10);
+    if (isNaN(roomId)) {
+        res.status(400).json({ success: false, message: 'ID phòng chiếu không hợp lệ' });
+        return null;
+    }
+    return roomId;
+}
+
+function _sendError(res, error, fallbackMessage) {
+    return res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || fallbackMessage
+    });
+}
+
+class SeatLayoutVersionController {
+    /**
+     * Lấy bản nháp sơ đồ ghế của phòng
+     */
+    async getDraft(req, res) {
+        try {
+            const roomId = _parseRoomId(req, res);
+            if (roomId === null) return;
+
+            const draft = await seatLayoutVersionService.getDraft(roomId, req.user?.id || req.user?.userId, req.user?.role || req.user?.Role);
+            return res.status(200).json({ success: true, data: draft });
+        } catch (error) {
+            logger.error('[getDraft] Lỗi khi lấy bản nháp sơ đồ ghế:', error);
+            return _sendError(res, error, 'Có lỗi xảy ra khi lấy bản nháp sơ đồ ghế');
+        }
+    }
+
+    /**
+     * Tạo bản nháp từ sơ đồ đang áp dụng hoặc từ một phiên bản cũ
+     */
+    async createDraft(req, res) {
+        try {
+            const roomId = _parseRoomId(req, res);
+            if (roomId === null) return;
+
+            let fromVersionId = null;
+            if (req.body.FromVersionId !== undefined && req.body.FromVersionId !== null) {
+                fromVersionId = parseInt(req.body.FromVersionId, 10);
+                if (isNaN(fromVersionId)) {
+                    return res.status(400).json({ success: false, message: 'FromVersionId không hợp lệ' });
+                }
+            }
+
+            const draft = await seatLayoutVersionService.createDraft(
+                roomId,
+                { fromVersionId, note: req.body.Note },
+                req.user?.id || req.user?.userId,
+                req.user?.role || req.user?.Role
+            );
+            return res.status(201).json({ success: true, message: 'Đã tạo bản nháp sơ đồ ghế', data: draft });
+        } catch (error) {
+            logger.error('[createDraft] Lỗi khi tạo bản nháp sơ đồ ghế:', error);
+            return _sendError(res, error, 'Có lỗi xảy ra khi tạo bản nháp sơ đồ ghế');
+        }
+    }
+
+    /**
+     * Chỉnh sửa bản nháp
+     */
+    async updateDraft(req, res) {
+        try {
+            const roomId = _parseRoomId(req, res);
+            if (roomId === null) return;
+
+            const draft = await seatLayoutVersionService.updateDraft(
+                roomId,
+                req.body,
+                req.user?.id || req.user?.userId,
+                req.user?.role || req.user?.Role
+            );
+            return res.status(200).json({ success: true, message: 'Đã cập nhật bản nháp sơ đồ ghế', data: draft });
+        } catch (error) {
+            logger.error('[updateDraft] Lỗi khi cập nhật bản nháp sơ đồ ghế:', error);
+            return _sendError(res, error, 'Có lỗi xảy ra khi cập nhật bản nháp sơ đồ ghế');
+        }
+    }
+
+    /**
+     * Hủy bản nháp
+     */
+    async discardDraft(req, res) {
+        try {
+            const roomId = _parseRoomId(req, res);
+            if (roomId === null) return;
+
+            const result = await seatLayoutVersionService.discardDraft(roomId, req.user?.id || req.user?.userId, req.user?.role || req.user?.Role);
+            return res.status(200).json({ success: true, message: 'Đã hủy bản nháp sơ đồ ghế', data: result });
+        } catch (error) {
+            logger.error('[discardDraft] Lỗi khi hủy bản nháp sơ đồ ghế:', error);
+            return _sendError(res, error, 'Có lỗi xảy ra khi hủy bản nháp sơ đồ ghế');
+        }
+    }
+
+    /**
+     * So sánh bản nháp với sơ đồ đang áp dụng
+     */
+    async diffDraft(req, res) {
+        try {
+            const roomId = _parseRoomId(req, res);
+            if (roomId === null) return;
+
+            const result = await seatLayoutVersionService.diffDraft(roomId, req.user?.id || req.user?.userId, req.user?.role || req.user?.Role);
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            logger.error('[diffDraft] Lỗi khi so sánh bản nháp sơ đồ ghế:', error);
+            return _sendError(res, error, 'Có lỗi xảy ra khi so sánh bản nháp sơ đồ ghế');
+        }
+    }
+
+    /**
+     * Phát hành bản nháp
+     */
+    async publishDraft(req, res) {
+        try {
+            const roomId = _parseRoomId(req, res);
+            if (roomId === null) return;
+
+            const result = await seatLayoutVersionService.publishDraft(roomId, req.user?.id || req.user?.userId, req.user?.role || req.user?.Role);
+            return res.status(200).json({
+                success: true,
+                message: `Đã phát hành phiên bản ${result.version.version_number} của sơ đồ ghế`,
+                data: result
+            });
+        } catch (error) {
+            logger.error('[publishDraft] Lỗi khi phát hành bản nháp sơ đồ ghế:', error);
+            return _sendError(res, error, 'Có lỗi xảy ra khi phát hành bản nháp sơ đồ ghế');
+        }
+    }
+
+    /**
+     * Danh sách phiên bản đã phát hành
+     */
+    async listVersions(req, res) {
+        try {
+            const roomId = _parseRoomId(req, res);
+            if (roomId === null) return;
+
+            const page = parseInt(req.query.page, 10) || 1;
+            const limit = parseInt(req.query.limit, 10) || 20;
+            const result = await seatLayoutVersionService.getSeatLayoutHistory(
+                roomId,
+                req.user?.id || req.user?.userId,
+                req.user?.role || req.user?.Role,
+                page,
+                limit
+            );
+            return res.status(200).json({
+                success: true,
+                data: result.data,
+                pagination: {
+                    current_page: page,
+                    total_pages: result.totalPages,
+                    total_records: result.totalRecords,
+                    limit
+                }
+            });
+        } catch (error) {
+            logger.error('[listVersions] Lỗi khi lấy danh sách phiên bản sơ đồ ghế:', error);
+            return _sendError(res, error, 'Có lỗi xảy ra khi lấy danh sách phiên bản sơ đồ ghế');
+        }
+    }
+
+    /**
+     * Chi tiết một phiên bản
+     */
+    async getVersion(req, res) {
+        try {
+            const roomId = _parseRoomId(req, res);
+            if (roomId === null) return;
+
+            const versionId = parseInt(req.params.versionId, 10);
+            if (isNaN(versionId)) {
+                return res.status(400).json({ success: false, message: 'ID phiên bản không hợp lệ' });
+            }
+
+            const version = await seatLayoutVersionService.getVersion(roomId, versionId, req.user?.id || req.user?.userId, req.user?.role || req.user?.Role);
+            return res.status(200).json({ success: true, data: version });
+        } catch (error) {
+            logger.error('[getVersion] Lỗi khi lấy phiên bản sơ đồ ghế:', error);
+            return _sendError(res, error, 'Có lỗi xảy ra khi lấy phiên bản sơ đồ ghế');
+        }
+    }
+
+    /**
+     * Khôi phục một phiên bản cũ
+     */
+    async rollbackToVersion(req, res) {
+        try {
+            const roomId = _parseRoomId(req, res);
+            if (roomId === null) return;
+
+            const versionId = parseInt(req.params.versionId, 10);
+            if (isNaN(versionId)) {
+                return res.status(400).json({ success: false, message: 'ID phiên bản không hợp lệ' });
+            }
+
+            const result = await seatLayoutVersionService.rollbackToVersion(
+                roomId,
+                versionId,
+                { note: req.body.Note },
+                req.user?.id || req.user?.userId,
+                req.user?.role || req.user?.Role
+            );
+            return res.status(200).json({
+                success: true,
+                message: `Đã khôi phục sơ đồ ghế của phiên bản ${result.restored_from_version}`,
+                data: result
+            });
+        } catch (error) {
+            logger.error('[rollbackToVersion] Lỗi khi khôi phục phiên bản sơ đồ ghế:', error);
+            return _sendError(res, error, 'Có lỗi xảy ra khi khôi phục phiên bản sơ đồ ghế');
+        }
+    }
+}
+
+module.exports = new SeatLayoutVersionController();
@@ -4,6 +4,9 @@
 // Tạm thời comment service import để tránh lỗi models
 // const seatSelectionService = require('../services/seatSelectionService');
 const { validationResult } = require('express-validator');
+const bestAvailableSeatService = require('../services/bestAvailableSeatService');
+const seatMapSyncService = require('../services/seatMapSyncService');
+const seatBookingRulesService = require('../services/seatBookingRulesService');
 
 class SeatSelectionController {
 
@@ -24,15 +27,18 @@ class SeatSelectionController {
                 });
             }
 
+            // Cùng snapshot có phiên bản như event seats-snapshot: client dùng seq để nối tiếp các seat-delta
+            const { seq, seats } = await seatMapSyncService.getSnapshot(showtimeId);
 
             res.json({
                 success: true,
                 data: {
                     showtimeId: parseInt(showtimeId),
+                    seq,
                     seats: seats,
                     totalSeats: seats.length,
                     availableSeats: seats.filter(s => s.status === 'available').length,
-                    selectingSeats: seats.filter(s => s.status === 'selecting').length,
+                    selectingSeats: seats.filter(s => s.status === 'selected').length,
                     bookedSeats: seats.filter(s => s.status === 'booked').length
                 },
                 message: 'Lấy trạng thái ghế thành công'
@@ -160,6 +166,94 @@ class SeatSelectionController {
         }
     }
 
+    /**
+     * Tự động chọn nhóm ghế tốt nhất (quầy vé / kiosk)
+     * POST /api/seat-selection/best-available
+     */
+    async findBestAvailable(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dữ liệu đầu vào không hợp lệ',
+                    errors: errors.array()
+                });
+            }
+
+            const { showtimeId, quantity, seatType, hold, accessibilityRequested } = req.body;
+            const userId = req.user?.id || req.user?.userId;
+
+            const result = await bestAvailableSeatService.findBestAvailable(showtimeId, {
+                quantity,
+                seatType,
+                hold: hold === true || hold === 'true',
+                userId,
+                role: req.user?.role || req.user?.Role,
+                accessibilityRequested: accessibilityRequested === true || accessibilityRequested === 'true'
+            });
+
+            // Ghế đã giữ qua REST cũng phải hiện ngay trên sơ đồ của những người đang xem suất chiếu
+            if (result.held) {
+                try {
+                    await seatMapSyncService.publishDelta(showtimeId, result.seats.map(seat => ({ seatId: seat.seatId, status: 'selected', userId })));
+                } catch (broadcastError) {
+                    console.error(`❌ API Error broadcasting best-available hold:`, broadcastError.message);
+                }
+            }
+
+            res.json({
+                success: true,
+                data: result,
+                message: result.held ? 'Đã chọn và giữ ghế tốt nhất' : 'Đã tìm được ghế tốt nhất'
+            });
+        } catch (error) {
+            console.error(`❌ API Error finding best available seats:`, error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                code: error.code,
+                message: error.message || 'Lỗi khi tìm ghế tốt nhất'
+            });
+        }
+    }
+
+    /**
+     * Kiểm tra nhóm ghế theo quy tắc đặt ghế của rạp
+     * POST /api/seat-selection/validate
+     */
+    async validateSeatSelection(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dữ liệu đầu vào không hợp lệ',
+                    errors: errors.array()
+                });
+            }
+
+            const { showtimeId, seatIds, accessibilityRequested } = req.body;
+            const userId = req.user?.id || req.user?.userId;
+
+            const result = await seatBookingRulesService.validateSeatSelection(parseInt(showtimeId, 10), seatIds, userId, {
+                role: req.user?.role || req.user?.Role,
+                accessibilityRequested: accessibilityRequested === true || accessibilityRequested === 'true'
+            });
+
+            res.json({
+                success: true,
+                data: result,
+                message: result.valid ? 'Nhóm ghế hợp lệ' : result.message
+            });
+        } catch (error) {
+            console.error(`❌ API Error validating seat selection:`, error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Lỗi khi kiểm tra quy tắc đặt ghế'
+            });
+        }
+    }
+
     /**
      * Lấy thống kê real-time (chỉ dành cho admin)
      * GET /api/seat-selection/statistics
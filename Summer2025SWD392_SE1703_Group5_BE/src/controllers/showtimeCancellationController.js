@@ -0,0 +1,154 @@
+// src/controllers/showtimeCancellationController.js
+// Controller hủy suất chiếu (hoàn tiền hàng loạt) và lời mời chuyển sang suất chiếu thay thế
+const showtimeCancellationService = require('../services/showtimeCancellationService');
+const logger = require('../utils/logger');
+
+function _parseId(value) {
+    const id = parseInt(value, 10);
+    return isNaN(id) ? null : id;
+}
+
+function _sendError(res, error, fallbackMessage) {
+    return res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || fallbackMessage
+    });
+}
+
+class ShowtimeCancellationController {
+    /**
+     * Xem trước ảnh hưởng của việc hủy suất chiếu
+     */
+    async previewCancellation(req, res) {
+        try {
+            const showtimeId = _parseId(req.params.showtimeId);
+            if (showtimeId === null) {
+                return res.status(400).json({ success: false, message: 'ID suất chiếu không hợp lệ' });
+            }
+
+            const result = await showtimeCancellationService.previewCancellation(
+                showtimeId,
+                req.user?.id || req.user?.userId,
+                req.user?.role || req.user?.Role
+            );
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            logger.error('[previewCancellation] Lỗi khi xem trước hủy suất chiếu:', error);
+            return _sendError(res, error, 'Có lỗi xảy ra khi xem trước hủy suất chiếu');
+        }
+    }
+
+    /**
+     * Hủy suất chiếu cùng toàn bộ đơn đặt vé
+     */
+    async cancelShowtime(req, res) {
+        try {
+            const showtimeId = _parseId(req.params.showtimeId);
+            if (showtimeId === null) {
+                return res.status(400).json({ success: false, message: 'ID suất chiếu không hợp lệ' });
+            }
+
+            const result = await showtimeCancellationService.cancelShowtime(
+                showtimeId,
+                req.body || {},
+                req.user?.id || req.user?.userId,
+                req.user?.role || req.user?.Role
+            );
+            return res.status(200).json({
+                success: true,
+                message: result.failures.length > 0
+                    ? `Đã hủy suất chiếu, ${result.failures.length} thao tác gặp lỗi - có thể hủy lại để xử lý tiếp`
+                    : `Đã hủy suất chiếu và ${result.bookings_cancelled} đơn đặt vé`,
+                data: result
+            });
+        } catch (error) {
+            logger.error('[cancelShowtime] Lỗi khi hủy suất chiếu:', error);
+            return _sendError(res, error, 'Có lỗi xảy ra khi hủy suất chiếu');
+        }
+    }
+
+    /**
+     * Lịch sử hủy của một suất chiếu
+     */
+    async getCancellations(req, res) {
+        try {
+            const showtimeId = _parseId(req.params.showtimeId);
+            if (showtimeId === null) {
+                return res.status(400).json({ success: false, message: 'ID suất chiếu không hợp lệ' });
+            }
+
+            const result = await showtimeCancellationService.getCancellations(
+                showtimeId,
+                req.user?.id || req.user?.userId,
+                req.user?.role || req.user?.Role
+            );
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            logger.error('[getCancellations] Lỗi khi lấy lịch sử hủy suất chiếu:', error);
+            return _sendError(res, error, 'Có lỗi xảy ra khi lấy lịch sử hủy suất chiếu');
+        }
+    }
+
+    /**
+     * Lời mời chuyển suất của người dùng đang đăng nhập
+     */
+    async getMyOffers(req, res) {
+        try {
+            const result = await showtimeCancellationService.getMyOffers(req.user?.id || req.user?.userId);
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            logger.error('[getMyOffers] Lỗi khi lấy lời mời chuyển suất:', error);
+            return _sendError(res, error, 'Có lỗi xảy ra khi lấy lời mời chuyển suất');
+        }
+    }
+
+    /**
+     * Chi tiết lời mời theo token
+     */
+    async getOffer(req, res) {
+        try {
+            const result = await showtimeCancellationService.getOffer(req.params.token);
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            logger.error('[getOffer] Lỗi khi lấy lời mời chuyển suất:', error);
+            return _sendError(res, error, 'Có lỗi xảy ra khi lấy lời mời chuyển suất');
+        }
+    }
+
+    /**
+     * Nhận lời mời và đặt vé ở suất thay thế
+     */
+    async acceptOffer(req, res) {
+        try {
+            const showtimeId = _parseId(req.body?.ShowtimeId ?? req.query.showtimeId);
+            if (showtimeId === null) {
+                return res.status(400).json({ success: false, message: 'Vui lòng chọn suất chiếu thay thế' });
+            }
+
+            const result = await showtimeCancellationService.acceptOffer(req.params.token, showtimeId);
+            return res.status(201).json({
+                success: true,
+                message: 'Đã giữ chỗ ở suất chiếu thay thế, vui lòng thanh toán trước hạn',
+                data: result
+            });
+        } catch (error) {
+            logger.error('[acceptOffer] Lỗi khi nhận lời mời chuyển suất:', error);
+            return _sendError(res, error, 'Có lỗi xảy ra khi nhận lời mời chuyển suất');
+        }
+    }
+
+    /**
+     * Từ chối lời mời
+     */
+    async declineOffer(req, res) {
+        try {
+            const result = await showtimeCancellationService.declineOffer(req.params.token);
+            return res.status(200).json({ success: true, message: 'Đã từ chối lời mời chuyển suất', data: result });
+        } catch (error) {
+            logger.error('[declineOffer] Lỗi khi từ chối lời mời chuyển suất:', error);
+            return _sendError(res, error, 'Có lỗi xảy ra khi từ chối lời mời chuyển suất');
+        }
+    }
+}
+
+module.exports = new ShowtimeCancellationController();
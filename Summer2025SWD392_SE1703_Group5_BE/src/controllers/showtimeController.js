@@ -1,4 +1,5 @@
 const ShowtimeService = require('../services/showtimeService');
+const showtimeFormatService = require('../services/showtimeFormatService');
 const logger = require('../utils/logger');
 const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddleware');
 const { Showtime, CinemaRoom, Cinema, User } = require('../models');
@@ -38,6 +39,7 @@ class ShowtimesController {
             let showDate = req.body.showDate || req.body.ShowDate || req.body.Show_Date;
             let startTime = req.body.startTime || req.body.StartTime || req.body.Start_Time;
             let allowEarlyShowtime = req.body.allowEarlyShowtime;
+            let showtimeFormat = req.body.format || req.body.Format;
 
             // OPTIMIZATION 1: Early validation cho required fields
             if (!movieId) {
@@ -149,6 +151,7 @@ class ShowtimesController {
                     Cinema_Room_ID: cinemaRoomId,
                     Show_Date: showDate,
                     Start_Time: startTime,
+                    Format: showtimeFormat,
                     role: userRole
                 },
                 userId,
@@ -175,7 +178,7 @@ class ShowtimesController {
                 });
             }
 
-            if (error.name === 'ValidationError') {
+            if (error.name === 'ValidationError' || error.code === 'OUTSIDE_OPERATING_HOURS' || error.statusCode === 400) {
                 return res.status(400).json({
                     success: false,
                     message: error.message
@@ -205,7 +208,7 @@ class ShowtimesController {
             res.status(200).json(req.body);
         } catch (error) {
             logger.error(error);
-            res.status(error.message.includes('xuất chiếu') ? 400 : 500).json({ message: error.message });
+            res.status(error.message.includes('xuất chiếu') || error.code === 'OUTSIDE_OPERATING_HOURS' ? 400 : 500).json({ message: error.message });
         }
     }
 
@@ -311,7 +314,49 @@ class ShowtimesController {
             res.status(200).json(showtimes);
         } catch (error) {
             logger.error(error);
-            res.status(error.message.includes('Yêu cầu') ? 400 : 500).json({ message: error.message });
+            res.status(error.statusCode || (error.message.includes('Yêu cầu') ? 400 : 500)).json({ message: error.message });
+        }
+    }
+
+    async getShowtimeFormat(req, res) {
+        try {
+            const showtimeId = parseInt(req.params.id, 10);
+            if (isNaN(showtimeId)) {
+                return res.status(400).json({ success: false, message: 'ID suất chiếu không hợp lệ' });
+            }
+
+            const result = await showtimeFormatService.getFormat(showtimeId);
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            logger.error('[getShowtimeFormat] Lỗi khi lấy định dạng suất chiếu:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi lấy định dạng suất chiếu'
+            });
+        }
+    }
+
+    async updateShowtimeFormat(req, res) {
+        try {
+            const showtimeId = parseInt(req.params.id, 10);
+            if (isNaN(showtimeId)) {
+                return res.status(400).json({ success: false, message: 'ID suất chiếu không hợp lệ' });
+            }
+
+            const userId = req.user?.id || req.user?.userId;
+            const userRole = req.user?.role || req.user?.Role;
+            const result = await showtimeFormatService.updateFormat(showtimeId, req.body || {}, userId, userRole);
+            return res.status(200).json({
+                success: true,
+                message: `Đã cập nhật định dạng suất chiếu: ${result.Label}`,
+                data: result
+            });
+        } catch (error) {
+            logger.error('[updateShowtimeFormat] Lỗi khi cập nhật định dạng suất chiếu:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi cập nhật định dạng suất chiếu'
+            });
         }
     }
 
@@ -375,6 +420,44 @@ class ShowtimesController {
         }
     }
 
+    async autoScheduleShowtimes(req, res) {
+        try {
+            const userId = req.user?.id || req.user?.userId;
+            const userRole = req.user?.role || req.user?.Role;
+            const proposal = await ShowtimeService.autoScheduleShowtimes(req.body, userId, userRole);
+            return res.status(200).json({
+                success: true,
+                message: `Đề xuất ${proposal.Showtimes.length} suất chiếu, vui lòng xem lại trước khi xác nhận`,
+                data: proposal
+            });
+        } catch (error) {
+            logger.error('[autoScheduleShowtimes] Lỗi khi xếp lịch chiếu tự động:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi xếp lịch chiếu tự động'
+            });
+        }
+    }
+
+    async commitAutoSchedule(req, res) {
+        try {
+            const userId = req.user?.id || req.user?.userId;
+            const userRole = req.user?.role || req.user?.Role;
+            const result = await ShowtimeService.commitAutoSchedule(req.body, userId, userRole);
+            return res.status(201).json({
+                success: true,
+                message: `Đã tạo ${result.Created} suất chiếu`,
+                data: result
+            });
+        } catch (error) {
+            logger.error('[commitAutoSchedule] Lỗi khi tạo lịch chiếu đề xuất:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi tạo lịch chiếu đề xuất'
+            });
+        }
+    }
+
     async getShowtimesByMovieAndDate(req, res) {
         try {
             const { date, movieId } = req.params;
@@ -0,0 +1,85 @@
+// src/controllers/showtimeSeatBlockController.js
+// Controller khóa ghế theo suất chiếu (ghế hỏng, ghế giữ cho rạp, báo chí, máy quay)
+const showtimeSeatBlockService = require('../services/showtimeSeatBlockService');
+const logger = require('../utils/logger');
+
+class ShowtimeSeatBlockController {
+    /**
+     * Danh sách ghế bị khóa của suất chiếu
+     */
+    async listBlocks(req, res) {
+        try {
+            const showtimeId = parseInt(req.params.showtimeId, 10);
+            if (isNaN(showtimeId)) {
+                return res.status(400).json({ success: false, message: 'ID suất chiếu không hợp lệ' });
+            }
+
+            const blocks = await showtimeSeatBlockService.listBlocks(showtimeId, req.query.includeInactive === 'true');
+            return res.status(200).json({ success: true, data: blocks });
+        } catch (error) {
+            logger.error('[listBlocks] Lỗi khi lấy danh sách ghế bị khóa:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi lấy danh sách ghế bị khóa'
+            });
+        }
+    }
+
+    /**
+     * Khóa ghế cho suất chiếu
+     */
+    async createBlocks(req, res) {
+        try {
+            const showtimeId = parseInt(req.params.showtimeId, 10);
+            if (isNaN(showtimeId)) {
+                return res.status(400).json({ success: false, message: 'ID suất chiếu không hợp lệ' });
+            }
+
+            const userId = req.user?.id || req.user?.userId;
+            const userRole = req.user?.role || req.user?.Role;
+            const result = await showtimeSeatBlockService.createBlocks(showtimeId, req.body, userId, userRole);
+
+            return res.status(201).json({
+                success: true,
+                message: `Đã khóa ${result.blocks.length} ghế cho suất chiếu`,
+                data: result
+            });
+        } catch (error) {
+            logger.error('[createBlocks] Lỗi khi khóa ghế:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi khóa ghế'
+            });
+        }
+    }
+
+    /**
+     * Mở bán lại ghế bị khóa (hàng loạt)
+     */
+    async releaseBlocks(req, res) {
+        try {
+            const showtimeId = parseInt(req.params.showtimeId, 10);
+            if (isNaN(showtimeId)) {
+                return res.status(400).json({ success: false, message: 'ID suất chiếu không hợp lệ' });
+            }
+
+            const userId = req.user?.id || req.user?.userId;
+            const userRole = req.user?.role || req.user?.Role;
+            const result = await showtimeSeatBlockService.releaseBlocks(showtimeId, req.body, userId, userRole);
+
+            return res.status(200).json({
+                success: true,
+                message: `Đã mở bán lại ${result.released} ghế`,
+                data: result
+            });
+        } catch (error) {
+            logger.error('[releaseBlocks] Lỗi khi mở bán lại ghế:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi mở bán lại ghế'
+            });
+        }
+    }
+}
+
+module.exports = new ShowtimeSeatBlockController();
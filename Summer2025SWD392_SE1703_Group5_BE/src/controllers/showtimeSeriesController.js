@@ -0,0 +1,248 @@
+// src/controllers/showtimeSeriesController.js
+// Controller chuỗi suất chiếu lặp lại và mẫu lịch chiếu theo tuần
+const showtimeSeriesService = require('../services/showtimeSeriesService');
+const logger = require('../utils/logger');
+
+function _parseId(value) {
+    const id = parseInt(value, 10);
+    return isNaN(id) ? null : id;
+}
+
+function _sendError(res, error, fallbackMessage) {
+    return res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || fallbackMessage
+    });
+}
+
+class ShowtimeSeriesController {
+    /**
+     * Danh sách chuỗi suất chiếu
+     */
+    async listSeries(req, res) {
+        try {
+            const result = await showtimeSeriesService.listSeries(
+                req.user?.id || req.user?.userId,
+                req.user?.role || req.user?.Role,
+                { cinemaId: req.query.cinemaId, status: req.query.status }
+            );
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            logger.error('[listSeries] Lỗi khi lấy danh sách chuỗi suất chiếu:', error);
+            return _sendError(res, error, 'Có lỗi xảy ra khi lấy danh sách chuỗi suất chiếu');
+        }
+    }
+
+    /**
+     * Chi tiết chuỗi suất chiếu
+     */
+    async getSeries(req, res) {
+        try {
+            const seriesId = _parseId(req.params.seriesId);
+            if (seriesId === null) {
+                return res.status(400).json({ success: false, message: 'ID chuỗi suất chiếu không hợp lệ' });
+            }
+
+            const result = await showtimeSeriesService.getSeries(seriesId, req.user?.id || req.user?.userId, req.user?.role || req.user?.Role);
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            logger.error('[getSeries] Lỗi khi lấy chuỗi suất chiếu:', error);
+            return _sendError(res, error, 'Có lỗi xảy ra khi lấy chuỗi suất chiếu');
+        }
+    }
+
+    /**
+     * Tạo chuỗi suất chiếu
+     */
+    async createSeries(req, res) {
+        try {
+            const result = await showtimeSeriesService.createSeries(req.body, req.user?.id || req.user?.userId, req.user?.role || req.user?.Role);
+            return res.status(201).json({
+                success: true,
+                message: `Đã tạo chuỗi suất chiếu với ${result.created_count} suất chiếu` +
+                    (result.skipped.length > 0 ? `, bỏ qua ${result.skipped.length} suất` : ''),
+                data: result
+            });
+        } catch (error) {
+            logger.error('[createSeries] Lỗi khi tạo chuỗi suất chiếu:', error);
+            return _sendError(res, error, 'Có lỗi xảy ra khi tạo chuỗi suất chiếu');
+        }
+    }
+
+    /**
+     * Sửa chuỗi, áp dụng cho các suất chiếu tương lai
+     */
+    async updateSeries(req, res) {
+        try {
+            const seriesId = _parseId(req.params.seriesId);
+            if (seriesId === null) {
+                return res.status(400).json({ success: false, message: 'ID chuỗi suất chiếu không hợp lệ' });
+            }
+
+            const result = await showtimeSeriesService.updateSeries(seriesId, req.body, req.user?.id || req.user?.userId, req.user?.role || req.user?.Role);
+            return res.status(200).json({
+                success: true,
+                message: `Đã cập nhật chuỗi suất chiếu: ẩn ${result.removed_count}, tạo mới ${result.created_count} suất chiếu` +
+                    (result.kept_with_bookings.length > 0 ? `, giữ ${result.kept_with_bookings.length} suất đã có người đặt` : ''),
+                data: result
+            });
+        } catch (error) {
+            logger.error('[updateSeries] Lỗi khi cập nhật chuỗi suất chiếu:', error);
+            return _sendError(res, error, 'Có lỗi xảy ra khi cập nhật chuỗi suất chiếu');
+        }
+    }
+
+    /**
+     * Hủy chuỗi, áp dụng cho các suất chiếu tương lai
+     */
+    async cancelSeries(req, res) {
+        try {
+            const seriesId = _parseId(req.params.seriesId);
+            if (seriesId === null) {
+                return res.status(400).json({ success: false, message: 'ID chuỗi suất chiếu không hợp lệ' });
+            }
+
+            const result = await showtimeSeriesService.cancelSeries(seriesId, req.user?.id || req.user?.userId, req.user?.role || req.user?.Role);
+            return res.status(200).json({
+                success: true,
+                message: `Đã hủy chuỗi suất chiếu, ẩn ${result.cancelled_count} suất chiếu` +
+                    (result.kept_with_bookings.length > 0 ? `, còn ${result.kept_with_bookings.length} suất đã có người đặt cần hủy có hoàn tiền` : ''),
+                data: result
+            });
+        } catch (error) {
+            logger.error('[cancelSeries] Lỗi khi hủy chuỗi suất chiếu:', error);
+            return _sendError(res, error, 'Có lỗi xảy ra khi hủy chuỗi suất chiếu');
+        }
+    }
+
+    /**
+     * Sửa riêng một suất chiếu của chuỗi
+     */
+    async updateOccurrence(req, res) {
+        try {
+            const seriesId = _parseId(req.params.seriesId);
+            const showtimeId = _parseId(req.params.showtimeId);
+            if (seriesId === null || showtimeId === null) {
+                return res.status(400).json({ success: false, message: 'ID chuỗi hoặc ID suất chiếu không hợp lệ' });
+            }
+
+            const result = await showtimeSeriesService.updateOccurrence(
+                seriesId,
+                showtimeId,
+                req.body,
+                req.user?.id || req.user?.userId,
+                req.user?.role || req.user?.Role
+            );
+            return res.status(200).json({ success: true, message: 'Đã cập nhật suất chiếu, suất này không còn theo các thay đổi của chuỗi', data: result });
+        } catch (error) {
+            logger.error('[updateOccurrence] Lỗi khi cập nhật suất chiếu của chuỗi:', error);
+            return _sendError(res, error, 'Có lỗi xảy ra khi cập nhật suất chiếu của chuỗi');
+        }
+    }
+
+    /**
+     * Hủy riêng một suất chiếu của chuỗi
+     */
+    async cancelOccurrence(req, res) {
+        try {
+            const seriesId = _parseId(req.params.seriesId);
+            const showtimeId = _parseId(req.params.showtimeId);
+            if (seriesId === null || showtimeId === null) {
+                return res.status(400).json({ success: false, message: 'ID chuỗi hoặc ID suất chiếu không hợp lệ' });
+            }
+
+            const result = await showtimeSeriesService.cancelOccurrence(seriesId, showtimeId, req.user?.id || req.user?.userId, req.user?.role || req.user?.Role);
+            return res.status(200).json({ success: true, message: 'Đã hủy suất chiếu của chuỗi', data: result });
+        } catch (error) {
+            logger.error('[cancelOccurrence] Lỗi khi hủy suất chiếu của chuỗi:', error);
+            return _sendError(res, error, 'Có lỗi xảy ra khi hủy suất chiếu của chuỗi');
+        }
+    }
+
+    /**
+     * Danh sách mẫu lịch chiếu
+     */
+    async listTemplates(req, res) {
+        try {
+            const result = await showtimeSeriesService.listTemplates({ cinemaId: req.query.cinemaId });
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            logger.error('[listTemplates] Lỗi khi lấy danh sách mẫu lịch chiếu:', error);
+            return _sendError(res, error, 'Có lỗi xảy ra khi lấy danh sách mẫu lịch chiếu');
+        }
+    }
+
+    /**
+     * Chi tiết mẫu lịch chiếu
+     */
+    async getTemplate(req, res) {
+        try {
+            const templateId = _parseId(req.params.templateId);
+            if (templateId === null) {
+                return res.status(400).json({ success: false, message: 'ID mẫu lịch chiếu không hợp lệ' });
+            }
+
+            const result = await showtimeSeriesService.getTemplate(templateId);
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            logger.error('[getTemplate] Lỗi khi lấy mẫu lịch chiếu:', error);
+            return _sendError(res, error, 'Có lỗi xảy ra khi lấy mẫu lịch chiếu');
+        }
+    }
+
+    /**
+     * Lưu lịch chiếu một tuần thành mẫu
+     */
+    async saveWeekAsTemplate(req, res) {
+        try {
+            const result = await showtimeSeriesService.saveWeekAsTemplate(req.body, req.user?.id || req.user?.userId, req.user?.role || req.user?.Role);
+            return res.status(201).json({ success: true, message: `Đã lưu mẫu lịch chiếu với ${result.showtime_count} suất chiếu`, data: result });
+        } catch (error) {
+            logger.error('[saveWeekAsTemplate] Lỗi khi lưu mẫu lịch chiếu:', error);
+            return _sendError(res, error, 'Có lỗi xảy ra khi lưu mẫu lịch chiếu');
+        }
+    }
+
+    /**
+     * Áp dụng mẫu cho một tuần
+     */
+    async applyTemplate(req, res) {
+        try {
+            const templateId = _parseId(req.params.templateId);
+            if (templateId === null) {
+                return res.status(400).json({ success: false, message: 'ID mẫu lịch chiếu không hợp lệ' });
+            }
+
+            const result = await showtimeSeriesService.applyTemplate(templateId, req.body, req.user?.id || req.user?.userId, req.user?.role || req.user?.Role);
+            return res.status(201).json({
+                success: true,
+                message: `Đã tạo ${result.created_count} suất chiếu từ mẫu` +
+                    (result.skipped.length > 0 ? `, bỏ qua ${result.skipped.length} suất` : ''),
+                data: result
+            });
+        } catch (error) {
+            logger.error('[applyTemplate] Lỗi khi áp dụng mẫu lịch chiếu:', error);
+            return _sendError(res, error, 'Có lỗi xảy ra khi áp dụng mẫu lịch chiếu');
+        }
+    }
+
+    /**
+     * Xóa mẫu lịch chiếu
+     */
+    async deleteTemplate(req, res) {
+        try {
+            const templateId = _parseId(req.params.templateId);
+            if (templateId === null) {
+                return res.status(400).json({ success: false, message: 'ID mẫu lịch chiếu không hợp lệ' });
+            }
+
+            const result = await showtimeSeriesService.deleteTemplate(templateId, req.user?.id || req.user?.userId, req.user?.role || req.user?.Role);
+            return res.status(200).json({ success: true, message: 'Đã xóa mẫu lịch chiếu', data: result });
+        } catch (error) {
+            logger.error('[deleteTemplate] Lỗi khi xóa mẫu lịch chiếu:', error);
+            return _sendError(res, error, 'Có lỗi xảy ra khi xóa mẫu lịch chiếu');
+        }
+    }
+}
+
+module.exports = new ShowtimeSeriesController();
@@ -4,6 +4,9 @@
 const express = require('express');
 const logger = require('../utils/logger');
 const pricingService = require('../services/pricingService');
+const pricingRuleService = require('../services/pricingRuleService');
+const holidayCalendarService = require('../services/holidayCalendarService');
+const showtimeFormatService = require('../services/showtimeFormatService');
 
 const handleError = (error, res) => {
     console.error('[TicketPricingController Error]', error);
@@ -341,6 +344,7 @@ const ticketPricingController = {
     // Thêm API mới để lấy cấu trúc giá vé
     async getPricingStructure(req, res) {
         try {
+            await pricingService.ensureRulesLoaded();
             const structure = pricingService.getPricingStructure();
             return res.status(200).json(structure);
         } catch (error) {
@@ -351,7 +355,7 @@ const ticketPricingController = {
     // API để tính giá vé cho một loại vé cụ thể
     async calculateTicketPrice(req, res) {
         try {
-            const { roomType, seatType, showDate, startTime } = req.query;
+            const { roomType, seatType, showDate, startTime, cinemaId } = req.query;
 
             if (!roomType || !seatType || !showDate || !startTime) {
                 return res.status(400).json({
@@ -359,17 +363,213 @@ const ticketPricingController = {
                 });
             }
 
+            // Định dạng suất chiếu (tùy chọn) cho các quy tắc giá Format_Multiplier
+            const format = showtimeFormatService.parseFilters(req.query);
+
+            await pricingService.ensureRulesLoaded();
             const priceInfo = pricingService.calculateTicketPrice({
                 roomType,
                 seatType,
                 showDate,
-                startTime
+                startTime,
+                cinemaId: cinemaId ? parseInt(cinemaId, 10) : null,
+                format
             });
 
             return res.status(200).json(priceInfo);
         } catch (error) {
             return handleError(error, res);
         }
+    },
+
+    // === Quy tắc giá động (Pricing_Rules) ===
+
+    async getPricingRules(req, res) {
+        try {
+            const { status, ruleType, roomType, cinemaId } = req.query;
+            const rules = await pricingRuleService.getAllRules({ status, ruleType, roomType, cinemaId });
+            return res.status(200).json(rules);
+        } catch (error) {
+            return handleError(error, res);
+        }
+    },
+
+    async getPricingRuleById(req, res) {
+        try {
+            const rule = await pricingRuleService.getRuleById(req.params.ruleId);
+            return res.status(200).json(rule);
+        } catch (error) {
+            return handleError(error, res);
+        }
+    },
+
+    async createPricingRule(req, res) {
+        try {
+            const userId = req.user.id || req.user.userId;
+            const rule = await pricingRuleService.createRule(req.body, userId);
+            return res.status(201).json({
+                message: 'Đã tạo quy tắc giá ở trạng thái Draft. Hãy xem trước trước khi kích hoạt.',
+                data: rule
+            });
+        } catch (error) {
+            return handleError(error, res);
+        }
+    },
+
+    async updatePricingRule(req, res) {
+        try {
+            const rule = await pricingRuleService.updateRule(req.params.ruleId, req.body);
+            return res.status(200).json({ message: 'Cập nhật quy tắc giá thành công', data: rule });
+        } catch (error) {
+            return handleError(error, res);
+        }
+    },
+
+    async deletePricingRule(req, res) {
+        try {
+            const result = await pricingRuleService.deleteRule(req.params.ruleId);
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(error, res);
+        }
+    },
+
+    async previewPricingRule(req, res) {
+        try {
+            const { showDate, startTime, cinemaId, roomType, seatType, asOf } = req.body;
+            const preview = await pricingRuleService.previewRule(req.params.ruleId, {
+                showDate,
+                startTime,
+                cinemaId: cinemaId ? parseInt(cinemaId, 10) : undefined,
+                roomType,
+                seatType,
+                asOf,
+                format: showtimeFormatService.parseFilters(req.body) || undefined
+            });
+            return res.status(200).json(preview);
+        } catch (error) {
+            return handleError(error, res);
+        }
+    },
+
+    async activatePricingRule(req, res) {
+        try {
+            const rule = await pricingRuleService.activateRule(req.params.ruleId);
+            return res.status(200).json({ message: 'Đã kích hoạt quy tắc giá', data: rule });
+        } catch (error) {
+            return handleError(error, res);
+        }
+    },
+
+    async deactivatePricingRule(req, res) {
+        try {
+            const rule = await pricingRuleService.deactivateRule(req.params.ruleId);
+            return res.status(200).json({ message: 'Đã vô hiệu hóa quy tắc giá', data: rule });
+        } catch (error) {
+            return handleError(error, res);
+        }
+    },
+
+    async importPricingRulesFromConfig(req, res) {
+        try {
+            const userId = req.user.id || req.user.userId;
+            const result = await pricingRuleService.importFromConfig(userId, req.body.activate === true);
+            return res.status(201).json({
+                message: `Đã chuyển đổi ${result.created_count} quy tắc giá từ file cấu hình`,
+                ...result
+            });
+        } catch (error) {
+            return handleError(error, res);
+        }
+    },
+
+    // === Lịch ngày lễ (Holidays) ===
+
+    async getHolidays(req, res) {
+        try {
+            const { status, holidayType, cinemaId } = req.query;
+            const holidays = await holidayCalendarService.getAllHolidays({ status, holidayType, cinemaId });
+            return res.status(200).json(holidays);
+        } catch (error) {
+            return handleError(error, res);
+        }
+    },
+
+    async getHolidayById(req, res) {
+        try {
+            const holiday = await holidayCalendarService.getHolidayById(req.params.holidayId);
+            return res.status(200).json(holiday);
+        } catch (error) {
+            return handleError(error, res);
+        }
+    },
+
+    async createHoliday(req, res) {
+        try {
+            const userId = req.user.id || req.user.userId;
+            const holiday = await holidayCalendarService.createHoliday(req.body, userId);
+            return res.status(201).json({ message: 'Tạo ngày lễ thành công', data: holiday });
+        } catch (error) {
+            return handleError(error, res);
+        }
+    },
+
+    async updateHoliday(req, res) {
+        try {
+            const holiday = await holidayCalendarService.updateHoliday(req.params.holidayId, req.body);
+            return res.status(200).json({ message: 'Cập nhật ngày lễ thành công', data: holiday });
+        } catch (error) {
+            return handleError(error, res);
+        }
+    },
+
+    async deleteHoliday(req, res) {
+        try {
+            const result = await holidayCalendarService.deleteHoliday(req.params.holidayId);
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(error, res);
+        }
+    },
+
+    async getHolidayCalendar(req, res) {
+        try {
+            const year = req.query.year ? parseInt(req.query.year, 10) : new Date().getFullYear();
+            if (isNaN(year) || year < 1900 || year > 2199) {
+                return res.status(400).json({ message: 'Năm không hợp lệ' });
+            }
+            const cinemaId = req.query.cinemaId ? parseInt(req.query.cinemaId, 10) : null;
+            const calendar = await holidayCalendarService.getCalendar(year, cinemaId);
+            return res.status(200).json(calendar);
+        } catch (error) {
+            return handleError(error, res);
+        }
+    },
+
+    async checkHolidayDate(req, res) {
+        try {
+            const { date, cinemaId } = req.query;
+            if (!date) {
+                return res.status(400).json({ message: 'Thiếu tham số date' });
+            }
+            const result = await holidayCalendarService.checkDate(date, cinemaId ? parseInt(cinemaId, 10) : null);
+            return res.status(200).json(result);
+        } catch (error) {
+            return handleError(error, res);
+        }
+    },
+
+    async seedDefaultHolidays(req, res) {
+        try {
+            const userId = req.user.id || req.user.userId;
+            const result = await holidayCalendarService.seedDefaultHolidays(userId);
+            return res.status(201).json({
+                message: `Đã tạo ${result.created_count} ngày lễ mặc định`,
+                ...result
+            });
+        } catch (error) {
+            return handleError(error, res);
+        }
     }
 };
 
@@ -0,0 +1,117 @@
+// src/controllers/ticketTransferController.js
+// Controller chuyển nhượng / tặng vé giữa các thành viên
+const ticketTransferService = require('../services/ticketTransferService');
+const logger = require('../utils/logger');
+
+class TicketTransferController {
+    /**
+     * Gửi vé cho thành viên khác
+     */
+    async createTransfer(req, res) {
+        try {
+            const userId = req.user?.id || req.user?.userId;
+            const { ticketIds, recipient, message } = req.body || {};
+            const result = await ticketTransferService.createTransfer(userId, { ticketIds, recipient, message });
+
+            return res.status(201).json({
+                success: true,
+                message: `Đã gửi ${result.transfers.length} vé cho ${result.recipient.Full_Name}, đang chờ người nhận xác nhận`,
+                data: result
+            });
+        } catch (error) {
+            logger.error('[createTransfer] Lỗi khi chuyển nhượng vé:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi chuyển nhượng vé'
+            });
+        }
+    }
+
+    /**
+     * Yêu cầu chuyển nhượng đã gửi và đã nhận
+     */
+    async getMyTransfers(req, res) {
+        try {
+            const userId = req.user?.id || req.user?.userId;
+            const transfers = await ticketTransferService.getMyTransfers(userId);
+            return res.status(200).json({ success: true, data: transfers });
+        } catch (error) {
+            logger.error('[getMyTransfers] Lỗi khi lấy danh sách chuyển nhượng:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi lấy danh sách chuyển nhượng'
+            });
+        }
+    }
+
+    async acceptTransfer(req, res) {
+        try {
+            const transferId = parseInt(req.params.id, 10);
+            if (isNaN(transferId)) {
+                return res.status(400).json({ success: false, message: 'ID yêu cầu chuyển nhượng không hợp lệ' });
+            }
+
+            const userId = req.user?.id || req.user?.userId;
+            const transfer = await ticketTransferService.acceptTransfer(transferId, userId);
+            return res.status(200).json({
+                success: true,
+                message: 'Đã nhận vé. Vé đã được cấp mã mới và có trong danh sách vé của bạn',
+                data: transfer
+            });
+        } catch (error) {
+            logger.error('[acceptTransfer] Lỗi khi nhận vé:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi nhận vé'
+            });
+        }
+    }
+
+    async declineTransfer(req, res) {
+        try {
+            const transferId = parseInt(req.params.id, 10);
+            if (isNaN(transferId)) {
+                return res.status(400).json({ success: false, message: 'ID yêu cầu chuyển nhượng không hợp lệ' });
+            }
+
+            const userId = req.user?.id || req.user?.userId;
+            const transfer = await ticketTransferService.declineTransfer(transferId, userId);
+            return res.status(200).json({
+                success: true,
+                message: 'Đã từ chối nhận vé',
+                data: transfer
+            });
+        } catch (error) {
+            logger.error('[declineTransfer] Lỗi khi từ chối vé:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi từ chối vé'
+            });
+        }
+    }
+
+    async cancelTransfer(req, res) {
+        try {
+            const transferId = parseInt(req.params.id, 10);
+            if (isNaN(transferId)) {
+                return res.status(400).json({ success: false, message: 'ID yêu cầu chuyển nhượng không hợp lệ' });
+            }
+
+            const userId = req.user?.id || req.user?.userId;
+            const transfer = await ticketTransferService.cancelTransfer(transferId, userId);
+            return res.status(200).json({
+                success: true,
+                message: 'Đã thu hồi yêu cầu chuyển nhượng',
+                data: transfer
+            });
+        } catch (error) {
+            logger.error('[cancelTransfer] Lỗi khi thu hồi chuyển nhượng:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi thu hồi chuyển nhượng'
+            });
+        }
+    }
+}
+
+module.exports = new TicketTransferController();
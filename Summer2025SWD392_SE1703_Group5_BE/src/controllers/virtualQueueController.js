@@ -0,0 +1,118 @@
+// src/controllers/virtualQueueController.js
+// Controller phòng chờ ảo cho suất chiếu đông khách
+const virtualQueueService = require('../services/virtualQueueService');
+const logger = require('../utils/logger');
+
+function _parseShowtimeId(req, res) {
+    const showtimeId = parseInt(req.params.showtimeId, 10);
+    if (isNaN(showtimeId)) {
+        res.status(400).json({ success: false, message: 'ID suất chiếu không hợp lệ' });
+        return null;
+    }
+    return showtimeId;
+}
+
+class VirtualQueueController {
+    /**
+     * Bật / tắt / chỉnh cấu hình hàng đợi của suất chiếu
+     */
+    async configureQueue(req, res) {
+        try {
+            const showtimeId = _parseShowtimeId(req, res);
+            if (showtimeId === null) return;
+
+            const userId = req.user?.id || req.user?.userId;
+            const overview = await virtualQueueService.configureQueue(showtimeId, req.body || {}, userId);
+
+            return res.status(200).json({
+                success: true,
+                message: overview.queue.Is_Enabled ? 'Đã bật hàng đợi cho suất chiếu' : 'Đã tắt hàng đợi cho suất chiếu',
+                data: overview
+            });
+        } catch (error) {
+            logger.error('[configureQueue] Lỗi khi cấu hình hàng đợi:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi cấu hình hàng đợi'
+            });
+        }
+    }
+
+    /**
+     * Các suất chiếu đang bật hàng đợi
+     */
+    async getActiveQueues(req, res) {
+        try {
+            const queues = await virtualQueueService.getActiveQueues();
+            return res.status(200).json({ success: true, data: queues, service: virtualQueueService.getStatus() });
+        } catch (error) {
+            logger.error('[getActiveQueues] Lỗi khi lấy danh sách hàng đợi:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi lấy danh sách hàng đợi'
+            });
+        }
+    }
+
+    /**
+     * Chi tiết hàng đợi của suất chiếu
+     */
+    async getQueueOverview(req, res) {
+        try {
+            const showtimeId = _parseShowtimeId(req, res);
+            if (showtimeId === null) return;
+
+            const overview = await virtualQueueService.getQueueOverview(showtimeId);
+            return res.status(200).json({ success: true, data: overview });
+        } catch (error) {
+            logger.error('[getQueueOverview] Lỗi khi lấy thông tin hàng đợi:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi lấy thông tin hàng đợi'
+            });
+        }
+    }
+
+    /**
+     * Vị trí / phiên chọn ghế của người dùng hiện tại
+     */
+    async getMyQueueState(req, res) {
+        try {
+            const showtimeId = _parseShowtimeId(req, res);
+            if (showtimeId === null) return;
+
+            const userId = req.user?.id || req.user?.userId;
+            const state = await virtualQueueService.getMyQueueState(showtimeId, userId);
+            return res.status(200).json({ success: true, data: state });
+        } catch (error) {
+            logger.error('[getMyQueueState] Lỗi khi lấy trạng thái hàng đợi:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi lấy trạng thái hàng đợi'
+            });
+        }
+    }
+
+    async leaveQueue(req, res) {
+        try {
+            const showtimeId = _parseShowtimeId(req, res);
+            if (showtimeId === null) return;
+
+            const userId = req.user?.id || req.user?.userId;
+            const result = await virtualQueueService.leaveQueue(showtimeId, userId);
+            return res.status(200).json({
+                success: true,
+                message: result.left ? 'Đã rời hàng đợi' : 'Bạn không ở trong hàng đợi',
+                data: result
+            });
+        } catch (error) {
+            logger.error('[leaveQueue] Lỗi khi rời hàng đợi:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi rời hàng đợi'
+            });
+        }
+    }
+}
+
+module.exports = new VirtualQueueController();
@@ -0,0 +1,124 @@
+// src/controllers/waitlistController.js
+// Controller danh sách chờ cho suất chiếu đã hết ghế
+const waitlistService = require('../services/waitlistService');
+const logger = require('../utils/logger');
+
+const STAFF_ROLES = ['Staff', 'Admin', 'Manager'];
+
+class WaitlistController {
+    /**
+     * Khách tham gia danh sách chờ của suất chiếu
+     */
+    async joinWaitlist(req, res) {
+        try {
+            const showtimeId = parseInt(req.params.showtimeId, 10);
+            if (isNaN(showtimeId)) {
+                return res.status(400).json({ success: false, message: 'ID suất chiếu không hợp lệ' });
+            }
+
+            const userId = req.user?.id || req.user?.userId;
+            const entry = await waitlistService.joinWaitlist(showtimeId, userId, req.body?.seatCount);
+
+            return res.status(201).json({
+                success: true,
+                message: `Đã tham gia danh sách chờ, vị trí hiện tại: ${entry.Position}`,
+                data: entry
+            });
+        } catch (error) {
+            logger.error('[joinWaitlist] Lỗi khi tham gia danh sách chờ:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi tham gia danh sách chờ'
+            });
+        }
+    }
+
+    /**
+     * Danh sách chờ của người dùng hiện tại
+     */
+    async getMyEntries(req, res) {
+        try {
+            const userId = req.user?.id || req.user?.userId;
+            const entries = await waitlistService.getMyEntries(userId);
+            return res.status(200).json({ success: true, data: entries });
+        } catch (error) {
+            logger.error('[getMyEntries] Lỗi khi lấy danh sách chờ:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi lấy danh sách chờ'
+            });
+        }
+    }
+
+    /**
+     * Rời danh sách chờ / từ chối lời mời
+     */
+    async leaveWaitlist(req, res) {
+        try {
+            const waitlistId = parseInt(req.params.waitlistId, 10);
+            if (isNaN(waitlistId)) {
+                return res.status(400).json({ success: false, message: 'ID yêu cầu chờ không hợp lệ' });
+            }
+
+            const userId = req.user?.id || req.user?.userId;
+            const userRole = req.user?.role || req.user?.Role;
+            const entry = await waitlistService.leaveWaitlist(waitlistId, userId, STAFF_ROLES.includes(userRole));
+
+            return res.status(200).json({
+                success: true,
+                message: 'Đã rời danh sách chờ',
+                data: entry
+            });
+        } catch (error) {
+            logger.error('[leaveWaitlist] Lỗi khi rời danh sách chờ:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi rời danh sách chờ'
+            });
+        }
+    }
+
+    /**
+     * Danh sách chờ của một suất chiếu (cho nhân viên)
+     */
+    async getShowtimeEntries(req, res) {
+        try {
+            const showtimeId = parseInt(req.params.showtimeId, 10);
+            if (isNaN(showtimeId)) {
+                return res.status(400).json({ success: false, message: 'ID suất chiếu không hợp lệ' });
+            }
+
+            const entries = await waitlistService.getShowtimeEntries(showtimeId, req.query.status);
+            return res.status(200).json({ success: true, data: entries });
+        } catch (error) {
+            logger.error('[getShowtimeEntries] Lỗi khi lấy danh sách chờ của suất chiếu:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi lấy danh sách chờ của suất chiếu'
+            });
+        }
+    }
+
+    /**
+     * Nhu cầu danh sách chờ theo suất chiếu (cho Manager)
+     */
+    async getDemand(req, res) {
+        try {
+            const { showtimeId, movieId, cinemaId, date } = req.query;
+            const demand = await waitlistService.getDemand({ showtimeId, movieId, cinemaId, date });
+            return res.status(200).json({
+                success: true,
+                data: demand,
+                service: waitlistService.getStatus()
+            });
+        } catch (error) {
+            logger.error('[getDemand] Lỗi khi lấy nhu cầu danh sách chờ:', error);
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.message || 'Có lỗi xảy ra khi lấy nhu cầu danh sách chờ'
+            });
+        }
+    }
+}
+
+module.exports = new WaitlistController();
@@ -408,8 +408,13 @@ const seatLayoutValidation = {
 
         body('Rows.*.SeatType')
             .optional()
-            .isIn(['Standard', 'VIP', 'Premium', 'Economy', 'Couple'])
-            .withMessage('Loại ghế phải là Standard, VIP, Premium, Economy hoặc Couple'),
+            .isIn(['Standard', 'VIP', 'Premium', 'Economy', 'Couple', 'Wheelchair', 'Companion', 'Sweetbox'])
+            .withMessage('Loại ghế phải là Standard, VIP, Premium, Economy, Couple, Wheelchair, Companion hoặc Sweetbox'),
+
+        body('Rows.*.SeatSpan')
+            .optional()
+            .isInt({ min: 1, max: 4 })
+            .withMessage('Số cột mỗi ghế (SeatSpan) phải từ 1 đến 4'),
 
         body('Rows.*.EmptyColumns')
             .optional()
@@ -452,11 +457,12 @@ const seatLayoutValidation = {
                     throw new Error('Tên hàng không được trùng lặp');
                 }
 
-                // Tính tổng số ghế
+                // Tính tổng số ghế (ghế Sweetbox chiếm nhiều cột nhưng chỉ tính là một ghế)
                 let totalSeats = 0;
                 for (const row of Rows) {
                     const emptyCount = row.EmptyColumns ? row.EmptyColumns.length : 0;
-                    totalSeats += ColumnsPerRow - emptyCount;
+                    const seatSpan = row.SeatSpan || (row.SeatType === 'Sweetbox' ? 2 : 1);
+                    totalSeats += Math.floor((ColumnsPerRow - emptyCount) / seatSpan);
                 }
 
                 // Kiểm tra giới hạn tổng số ghế
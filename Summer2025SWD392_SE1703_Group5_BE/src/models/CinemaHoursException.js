@@ -0,0 +1,34 @@
+// models/cinemahoursexception.js
+'use strict';
+const { Model } = require('sequelize');
+
+// Giờ hoạt động riêng cho một ngày cụ thể (suất chiếu đêm muộn, công chiếu sớm...), ưu tiên hơn giờ theo thứ
+module.exports = (sequelize, DataTypes) => {
+  class CinemaHoursException extends Model {
+    static associate(models) {
+      CinemaHoursException.belongsTo(models.Cinema, { foreignKey: 'Cinema_ID', as: 'Cinema' });
+      CinemaHoursException.belongsTo(models.User, { foreignKey: 'Created_By', as: 'Creator' });
+    }
+  }
+  CinemaHoursException.init({
+    Exception_ID: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    Cinema_ID: { type: DataTypes.INTEGER, allowNull: false },
+    Exception_Date: { type: DataTypes.DATEONLY, allowNull: false },
+    Open_Time: { type: DataTypes.STRING(5), allowNull: false },
+    Close_Time: { type: DataTypes.STRING(5), allowNull: false },
+    Reason: { type: DataTypes.STRING(255), allowNull: true },
+    Created_By: { type: DataTypes.INTEGER, allowNull: true },
+    Created_At: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    sequelize,
+    modelName: 'CinemaHoursException',
+    tableName: 'Cinema_Hours_Exceptions',
+    schema: 'ksf00691_team03',
+    timestamps: false,
+    indexes: [
+      { unique: true, fields: ['Cinema_ID', 'Exception_Date'] }
+    ]
+  });
+
+  return CinemaHoursException;
+};
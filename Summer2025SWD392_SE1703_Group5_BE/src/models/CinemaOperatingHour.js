@@ -0,0 +1,33 @@
+// models/cinemaoperatinghour.js
+'use strict';
+const { Model } = require('sequelize');
+
+// Giờ hoạt động theo thứ trong tuần của một rạp; thứ không có bản ghi dùng giờ mặc định của hệ thống
+module.exports = (sequelize, DataTypes) => {
+  class CinemaOperatingHour extends Model {
+    static associate(models) {
+      CinemaOperatingHour.belongsTo(models.Cinema, { foreignKey: 'Cinema_ID', as: 'Cinema' });
+      CinemaOperatingHour.belongsTo(models.User, { foreignKey: 'Updated_By', as: 'Updater' });
+    }
+  }
+  CinemaOperatingHour.init({
+    Operating_Hour_ID: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    Cinema_ID: { type: DataTypes.INTEGER, allowNull: false },
+    Day_Of_Week: { type: DataTypes.INTEGER, allowNull: false }, // 0 = Chủ nhật ... 6 = Thứ bảy
+    Open_Time: { type: DataTypes.STRING(5), allowNull: false },  // HH:mm - giờ sớm nhất được bắt đầu suất chiếu
+    Close_Time: { type: DataTypes.STRING(5), allowNull: false }, // HH:mm - suất chiếu kể cả dọn dẹp phải kết thúc trước giờ này
+    Updated_By: { type: DataTypes.INTEGER, allowNull: true },
+    Updated_At: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    sequelize,
+    modelName: 'CinemaOperatingHour',
+    tableName: 'Cinema_Operating_Hours',
+    schema: 'ksf00691_team03',
+    timestamps: false,
+    indexes: [
+      { unique: true, fields: ['Cinema_ID', 'Day_Of_Week'] }
+    ]
+  });
+
+  return CinemaOperatingHour;
+};
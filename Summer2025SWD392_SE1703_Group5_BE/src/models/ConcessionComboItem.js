@@ -0,0 +1,26 @@
+// models/concessioncomboitem.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ConcessionComboItem extends Model {
+    static associate(models) {
+      ConcessionComboItem.belongsTo(models.ConcessionProduct, { foreignKey: 'Combo_ID', as: 'Combo' });
+      ConcessionComboItem.belongsTo(models.ConcessionProduct, { foreignKey: 'Product_ID', as: 'Product' });
+    }
+  }
+  ConcessionComboItem.init({
+    Combo_Item_ID: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    Combo_ID: { type: DataTypes.INTEGER, allowNull: false },
+    Product_ID: { type: DataTypes.INTEGER, allowNull: false },
+    Quantity: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 }
+  }, {
+    sequelize,
+    modelName: 'ConcessionComboItem',
+    tableName: 'Concession_Combo_Items',
+    schema: 'ksf00691_team03',
+    timestamps: false,
+  });
+
+  return ConcessionComboItem;
+};
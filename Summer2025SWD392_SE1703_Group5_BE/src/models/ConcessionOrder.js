@@ -0,0 +1,44 @@
+// models/concessionorder.js
+'use strict';
+const { Model } = require('sequelize');
+
+const ORDER_STATUS = {
+  PENDING: 'Pending',     // Gắn với booking chưa thanh toán
+  PAID: 'Paid',           // Đơn bán tại quầy đã thu tiền
+  CANCELLED: 'Cancelled', // Booking bị hủy / hết hạn, tồn kho đã được hoàn lại
+};
+
+module.exports = (sequelize, DataTypes) => {
+  class ConcessionOrder extends Model {
+    static associate(models) {
+      ConcessionOrder.belongsTo(models.Cinema, { foreignKey: 'Cinema_ID', as: 'Cinema' });
+      ConcessionOrder.belongsTo(models.TicketBooking, { foreignKey: 'Booking_ID', as: 'TicketBooking' });
+      ConcessionOrder.belongsTo(models.User, { foreignKey: 'User_ID', as: 'User' });
+      ConcessionOrder.belongsTo(models.User, { foreignKey: 'Created_By', as: 'Creator' });
+      ConcessionOrder.hasMany(models.ConcessionOrderItem, { foreignKey: 'Order_ID', as: 'Items' });
+    }
+  }
+  ConcessionOrder.init({
+    Order_ID: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    Order_Code: { type: DataTypes.STRING(50), allowNull: false },
+    Cinema_ID: { type: DataTypes.INTEGER, allowNull: false },
+    Booking_ID: { type: DataTypes.INTEGER, allowNull: true }, // null = bán lẻ tại quầy
+    User_ID: { type: DataTypes.INTEGER, allowNull: true },
+    Total_Amount: { type: DataTypes.DECIMAL(18, 2), allowNull: false },
+    Status: { type: DataTypes.STRING(20), allowNull: false, defaultValue: ORDER_STATUS.PENDING },
+    Payment_Method: { type: DataTypes.STRING(50), allowNull: true },
+    Created_By: { type: DataTypes.INTEGER, allowNull: true },
+    Created_At: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    Updated_At: { type: DataTypes.DATE }
+  }, {
+    sequelize,
+    modelName: 'ConcessionOrder',
+    tableName: 'Concession_Orders',
+    schema: 'ksf00691_team03',
+    timestamps: false,
+  });
+
+  ConcessionOrder.ORDER_STATUS = ORDER_STATUS;
+
+  return ConcessionOrder;
+};
@@ -0,0 +1,29 @@
+// models/concessionorderitem.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ConcessionOrderItem extends Model {
+    static associate(models) {
+      ConcessionOrderItem.belongsTo(models.ConcessionOrder, { foreignKey: 'Order_ID', as: 'Order' });
+      ConcessionOrderItem.belongsTo(models.ConcessionProduct, { foreignKey: 'Product_ID', as: 'Product' });
+    }
+  }
+  ConcessionOrderItem.init({
+    Order_Item_ID: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    Order_ID: { type: DataTypes.INTEGER, allowNull: false },
+    Product_ID: { type: DataTypes.INTEGER, allowNull: false },
+    Product_Name: { type: DataTypes.STRING(100), allowNull: false }, // Lưu tên tại thời điểm bán
+    Quantity: { type: DataTypes.INTEGER, allowNull: false },
+    Unit_Price: { type: DataTypes.DECIMAL(18, 2), allowNull: false },
+    Total_Price: { type: DataTypes.DECIMAL(18, 2), allowNull: false }
+  }, {
+    sequelize,
+    modelName: 'ConcessionOrderItem',
+    tableName: 'Concession_Order_Items',
+    schema: 'ksf00691_team03',
+    timestamps: false,
+  });
+
+  return ConcessionOrderItem;
+};
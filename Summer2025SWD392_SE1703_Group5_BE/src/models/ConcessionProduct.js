@@ -0,0 +1,51 @@
+// models/concessionproduct.js
+'use strict';
+const { Model } = require('sequelize');
+
+const PRODUCT_CATEGORY = {
+  POPCORN: 'Popcorn',
+  DRINK: 'Drink',
+  SNACK: 'Snack',
+  COMBO: 'Combo',
+};
+
+const PRODUCT_STATUS = {
+  ACTIVE: 'Active',
+  INACTIVE: 'Inactive',
+};
+
+module.exports = (sequelize, DataTypes) => {
+  class ConcessionProduct extends Model {
+    static associate(models) {
+      ConcessionProduct.belongsTo(models.Cinema, { foreignKey: 'Cinema_ID', as: 'Cinema' });
+      // Thành phần của combo (chỉ có với Is_Combo = true)
+      ConcessionProduct.hasMany(models.ConcessionComboItem, { foreignKey: 'Combo_ID', as: 'ComboItems' });
+    }
+  }
+  ConcessionProduct.init({
+    Product_ID: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    Cinema_ID: { type: DataTypes.INTEGER, allowNull: false },
+    Product_Name: { type: DataTypes.STRING(100), allowNull: false },
+    Category: { type: DataTypes.STRING(20), allowNull: false },
+    Description: { type: DataTypes.STRING(500), allowNull: true },
+    Price: { type: DataTypes.DECIMAL(18, 2), allowNull: false },
+    Stock_Quantity: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 }, // Combo không giữ tồn kho riêng, tính theo thành phần
+    Is_Combo: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+    Image_URL: { type: DataTypes.STRING(500), allowNull: true },
+    Status: { type: DataTypes.STRING(20), allowNull: false, defaultValue: PRODUCT_STATUS.ACTIVE },
+    Created_By: { type: DataTypes.INTEGER, allowNull: true },
+    Created_At: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    Updated_At: { type: DataTypes.DATE }
+  }, {
+    sequelize,
+    modelName: 'ConcessionProduct',
+    tableName: 'Concession_Products',
+    schema: 'ksf00691_team03',
+    timestamps: false,
+  });
+
+  ConcessionProduct.PRODUCT_CATEGORY = PRODUCT_CATEGORY;
+  ConcessionProduct.PRODUCT_STATUS = PRODUCT_STATUS;
+
+  return ConcessionProduct;
+};
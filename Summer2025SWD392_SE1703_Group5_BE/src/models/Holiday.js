@@ -0,0 +1,51 @@
+// models/holiday.js
+'use strict';
+const { Model } = require('sequelize');
+
+const HOLIDAY_TYPE = {
+  FIXED: 'Fixed',     // Lặp lại hằng năm theo ngày Dương lịch (Month/Day)
+  LUNAR: 'Lunar',     // Lặp lại hằng năm theo ngày Âm lịch (Month/Day Âm lịch)
+  ONE_OFF: 'One_Off', // Chỉ xảy ra một lần vào Holiday_Date (nghỉ bù, ngày đóng cửa đột xuất...)
+};
+
+const HOLIDAY_STATUS = {
+  ACTIVE: 'Active',
+  INACTIVE: 'Inactive',
+};
+
+module.exports = (sequelize, DataTypes) => {
+  class Holiday extends Model {
+    static associate(models) {
+      Holiday.belongsTo(models.Cinema, { foreignKey: 'Cinema_ID', as: 'Cinema' });
+      Holiday.belongsTo(models.User, { foreignKey: 'Created_By', as: 'Creator' });
+    }
+  }
+  Holiday.init({
+    Holiday_ID: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    Holiday_Name: { type: DataTypes.STRING(100), allowNull: false },
+    Holiday_Type: { type: DataTypes.STRING(20), allowNull: false },
+    Month: { type: DataTypes.INTEGER, allowNull: true }, // Dùng cho Fixed và Lunar
+    Day: { type: DataTypes.INTEGER, allowNull: true },
+    Holiday_Date: { type: DataTypes.DATEONLY, allowNull: true }, // Dùng cho One_Off
+    Duration_Days: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 },
+    Days_Before: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 }, // VD: đêm Giao thừa trước mùng 1 Tết
+    Cinema_ID: { type: DataTypes.INTEGER, allowNull: true }, // null = ngày lễ toàn quốc
+    Is_Closure: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false }, // Rạp đóng cửa trong ngày này
+    Status: { type: DataTypes.STRING(20), allowNull: false, defaultValue: HOLIDAY_STATUS.ACTIVE },
+    Description: { type: DataTypes.STRING(500), allowNull: true },
+    Created_By: { type: DataTypes.INTEGER, allowNull: true },
+    Created_At: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    Updated_At: { type: DataTypes.DATE }
+  }, {
+    sequelize,
+    modelName: 'Holiday',
+    tableName: 'Holidays',
+    schema: 'ksf00691_team03',
+    timestamps: false,
+  });
+
+  Holiday.HOLIDAY_TYPE = HOLIDAY_TYPE;
+  Holiday.HOLIDAY_STATUS = HOLIDAY_STATUS;
+
+  return Holiday;
+};
@@ -0,0 +1,48 @@
+// models/paymentwebhookevent.js
+'use strict';
+const { Model } = require('sequelize');
+
+const EVENT_STATUS = {
+  RECEIVED: 'Received',     // Đã lưu, chờ xử lý
+  PROCESSING: 'Processing', // Đang xử lý
+  PROCESSED: 'Processed',   // Đã cập nhật payment/booking
+  DUPLICATE: 'Duplicate',   // Payment đã được xử lý trước đó (webhook gửi lại, /return chạy song song)
+  FAILED: 'Failed',         // Lỗi khi xử lý, có thể replay
+  IGNORED: 'Ignored',       // Trạng thái thanh toán không cần xử lý
+  REJECTED: 'Rejected',     // Chữ ký không hợp lệ, không xử lý
+};
+
+module.exports = (sequelize, DataTypes) => {
+  class PaymentWebhookEvent extends Model {
+    static associate(models) {
+      PaymentWebhookEvent.belongsTo(models.User, { foreignKey: 'Replayed_By', as: 'Replayer' });
+    }
+  }
+  PaymentWebhookEvent.init({
+    Event_ID: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    Provider: { type: DataTypes.STRING(20), allowNull: false },
+    Order_Code: { type: DataTypes.STRING(100), allowNull: true },
+    Booking_ID: { type: DataTypes.INTEGER, allowNull: true },
+    Payment_Status: { type: DataTypes.STRING(20), allowNull: true },
+    Amount: { type: DataTypes.DECIMAL(18, 2), allowNull: true },
+    Signature: { type: DataTypes.STRING(255), allowNull: true },
+    Payload: { type: DataTypes.TEXT, allowNull: false },
+    Processing_Status: { type: DataTypes.STRING(20), allowNull: false, defaultValue: EVENT_STATUS.RECEIVED },
+    Attempts: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    Error_Message: { type: DataTypes.STRING(1000), allowNull: true },
+    Received_At: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    Processed_At: { type: DataTypes.DATE, allowNull: true },
+    Replayed_By: { type: DataTypes.INTEGER, allowNull: true },
+    Replayed_At: { type: DataTypes.DATE, allowNull: true }
+  }, {
+    sequelize,
+    modelName: 'PaymentWebhookEvent',
+    tableName: 'Payment_Webhook_Events',
+    schema: 'ksf00691_team03',
+    timestamps: false,
+  });
+
+  PaymentWebhookEvent.EVENT_STATUS = EVENT_STATUS;
+
+  return PaymentWebhookEvent;
+};
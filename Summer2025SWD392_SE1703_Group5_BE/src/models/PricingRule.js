@@ -0,0 +1,64 @@
+// models/pricingrule.js
+'use strict';
+const { Model } = require('sequelize');
+
+// Loại quy tắc giá - mỗi loại được giải quyết độc lập theo Priority
+const RULE_TYPE = {
+  BASE_PRICE: 'Base_Price',           // Thay thế giá cơ bản theo loại phòng/loại ghế
+  DAY_MULTIPLIER: 'Day_Multiplier',   // Hệ số theo loại ngày (weekday, weekend, holiday)
+  TIME_MULTIPLIER: 'Time_Multiplier', // Hệ số theo khung giờ (morning, afternoon, evening)
+  FIXED_PRICE: 'Fixed_Price',         // Giá cuối cùng cố định, bỏ qua mọi hệ số
+  FORMAT_MULTIPLIER: 'Format_Multiplier', // Hệ số theo định dạng suất chiếu (3D, IMAX, lồng tiếng, CC...)
+};
+
+const RULE_STATUS = {
+  DRAFT: 'Draft',       // Quy tắc mới tạo, chỉ dùng để xem trước
+  ACTIVE: 'Active',     // Đang được áp dụng khi tính giá
+  INACTIVE: 'Inactive', // Đã tắt, giữ lại để tra cứu
+};
+
+module.exports = (sequelize, DataTypes) => {
+  class PricingRule extends Model {
+    static associate(models) {
+      PricingRule.belongsTo(models.Cinema, { foreignKey: 'Cinema_ID', as: 'Cinema' });
+      PricingRule.belongsTo(models.User, { foreignKey: 'Created_By', as: 'Creator' });
+      PricingRule.hasOne(models.PricingRuleFormat, { foreignKey: 'Rule_ID', as: 'FormatCondition' });
+    }
+  }
+  PricingRule.init({
+    Rule_ID: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    Rule_Name: { type: DataTypes.STRING(100), allowNull: false },
+    Rule_Type: { type: DataTypes.STRING(30), allowNull: false },
+    Value: { type: DataTypes.DECIMAL(12, 2), allowNull: false },
+    // Các điều kiện áp dụng - null nghĩa là áp dụng cho mọi giá trị
+    Room_Type: { type: DataTypes.STRING(50), allowNull: true },
+    Seat_Type: { type: DataTypes.STRING(50), allowNull: true },
+    Day_Type: { type: DataTypes.STRING(20), allowNull: true },
+    Time_Slot: { type: DataTypes.STRING(20), allowNull: true },
+    Cinema_ID: { type: DataTypes.INTEGER, allowNull: true },
+    Start_Date: { type: DataTypes.DATEONLY, allowNull: true }, // Khoảng ngày chiếu áp dụng
+    End_Date: { type: DataTypes.DATEONLY, allowNull: true },
+    Priority: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    Effective_From: { type: DataTypes.DATE, allowNull: true }, // Khoảng thời gian quy tắc có hiệu lực
+    Effective_To: { type: DataTypes.DATE, allowNull: true },
+    Status: { type: DataTypes.STRING(20), allowNull: false, defaultValue: RULE_STATUS.DRAFT },
+    Description: { type: DataTypes.STRING(500), allowNull: true },
+    Created_By: { type: DataTypes.INTEGER, allowNull: true },
+    Created_At: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    Updated_At: { type: DataTypes.DATE }
+  }, {
+    sequelize,
+    modelName: 'PricingRule',
+    tableName: 'Pricing_Rules',
+    schema: 'ksf00691_team03',
+    timestamps: false,
+    indexes: [
+      { fields: ['Status', 'Rule_Type'] }
+    ]
+  });
+
+  PricingRule.RULE_TYPE = RULE_TYPE;
+  PricingRule.RULE_STATUS = RULE_STATUS;
+
+  return PricingRule;
+};
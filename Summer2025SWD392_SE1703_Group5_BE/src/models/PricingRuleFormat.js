@@ -0,0 +1,28 @@
+// models/pricingruleformat.js
+'use strict';
+const { Model } = require('sequelize');
+
+// Điều kiện định dạng suất chiếu của một quy tắc giá; quy tắc không có bản ghi áp dụng cho mọi định dạng.
+// Mỗi cột null nghĩa là không giới hạn theo thuộc tính đó
+module.exports = (sequelize, DataTypes) => {
+  class PricingRuleFormat extends Model {
+    static associate(models) {
+      PricingRuleFormat.belongsTo(models.PricingRule, { foreignKey: 'Rule_ID', as: 'Rule' });
+    }
+  }
+  PricingRuleFormat.init({
+    Rule_ID: { type: DataTypes.INTEGER, primaryKey: true },
+    Projection_Format: { type: DataTypes.STRING(20), allowNull: true },
+    Language_Version: { type: DataTypes.STRING(20), allowNull: true },
+    Has_Closed_Captions: { type: DataTypes.BOOLEAN, allowNull: true },
+    Has_Audio_Description: { type: DataTypes.BOOLEAN, allowNull: true }
+  }, {
+    sequelize,
+    modelName: 'PricingRuleFormat',
+    tableName: 'Pricing_Rule_Formats',
+    schema: 'ksf00691_team03',
+    timestamps: false,
+  });
+
+  return PricingRuleFormat;
+};
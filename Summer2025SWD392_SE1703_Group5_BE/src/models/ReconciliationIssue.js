@@ -0,0 +1,55 @@
+// models/reconciliationissue.js
+'use strict';
+const { Model } = require('sequelize');
+
+const ISSUE_TYPE = {
+  AMOUNT_MISMATCH: 'AMOUNT_MISMATCH',             // Số tiền PayOS khác số tiền trong database
+  STATUS_MISMATCH: 'STATUS_MISMATCH',             // Trạng thái PayOS khác trạng thái trong database
+  ORPHAN_PAYMENT: 'ORPHAN_PAYMENT',               // Payment không có booking hoặc không tồn tại trên PayOS
+  STUCK_PENDING_BOOKING: 'STUCK_PENDING_BOOKING', // Booking Pending đã quá hạn thanh toán nhưng chưa được xử lý
+  PROVIDER_ERROR: 'PROVIDER_ERROR',               // Không lấy được thông tin từ PayOS
+};
+
+const ISSUE_STATUS = {
+  OPEN: 'Open',
+  RESOLVED: 'Resolved',
+};
+
+module.exports = (sequelize, DataTypes) => {
+  class ReconciliationIssue extends Model {
+    static associate(models) {
+      ReconciliationIssue.belongsTo(models.TicketBooking, { foreignKey: 'Booking_ID', as: 'TicketBooking' });
+      ReconciliationIssue.belongsTo(models.Payment, { foreignKey: 'Payment_ID', as: 'Payment' });
+      ReconciliationIssue.belongsTo(models.User, { foreignKey: 'Resolved_By', as: 'Resolver' });
+    }
+  }
+  ReconciliationIssue.init({
+    Issue_ID: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    Issue_Type: { type: DataTypes.STRING(50), allowNull: false },
+    Booking_ID: { type: DataTypes.INTEGER, allowNull: true },
+    Payment_ID: { type: DataTypes.INTEGER, allowNull: true },
+    Order_Code: { type: DataTypes.STRING(100), allowNull: true },
+    Db_Amount: { type: DataTypes.DECIMAL(18, 2), allowNull: true },
+    Provider_Amount: { type: DataTypes.DECIMAL(18, 2), allowNull: true },
+    Db_Status: { type: DataTypes.STRING(50), allowNull: true },
+    Provider_Status: { type: DataTypes.STRING(50), allowNull: true },
+    Details: { type: DataTypes.STRING(1000), allowNull: true },
+    Status: { type: DataTypes.STRING(20), allowNull: false, defaultValue: ISSUE_STATUS.OPEN },
+    Detected_At: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    Last_Detected_At: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    Resolved_By: { type: DataTypes.INTEGER, allowNull: true },
+    Resolved_At: { type: DataTypes.DATE, allowNull: true },
+    Resolution_Note: { type: DataTypes.STRING(500), allowNull: true }
+  }, {
+    sequelize,
+    modelName: 'ReconciliationIssue',
+    tableName: 'Reconciliation_Issues',
+    schema: 'ksf00691_team03',
+    timestamps: false,
+  });
+
+  ReconciliationIssue.ISSUE_TYPE = ISSUE_TYPE;
+  ReconciliationIssue.ISSUE_STATUS = ISSUE_STATUS;
+
+  return ReconciliationIssue;
+};
@@ -0,0 +1,28 @@
+// models/refundpolicy.js
+'use strict';
+const { Model } = require('sequelize');
+
+// Chính sách hoàn tiền theo phiên bản: mỗi lần cập nhật thêm một dòng, phiên bản lớn nhất đang được áp dụng.
+// Lưu trong database để mọi node đọc cùng một chính sách và thay đổi không mất khi triển khai lại
+module.exports = (sequelize, DataTypes) => {
+  class RefundPolicy extends Model {
+    static associate(models) {
+      RefundPolicy.belongsTo(models.User, { foreignKey: 'Updated_By', as: 'Updater' });
+    }
+  }
+  RefundPolicy.init({
+    Policy_ID: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    Version: { type: DataTypes.INTEGER, allowNull: false, unique: true },
+    Policy_Data: { type: DataTypes.TEXT, allowNull: false }, // JSON: cancellationCutoffHours, tiers, refundMethods, nonRefundablePromotions
+    Updated_By: { type: DataTypes.INTEGER, allowNull: true },
+    Updated_At: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    sequelize,
+    modelName: 'RefundPolicy',
+    tableName: 'Refund_Policies',
+    schema: 'ksf00691_team03',
+    timestamps: false,
+  });
+
+  return RefundPolicy;
+};
@@ -0,0 +1,53 @@
+// models/refundrequest.js
+'use strict';
+const { Model } = require('sequelize');
+
+const REFUND_STATUS = {
+  REQUESTED: 'Requested', // Tạo tự động khi khách hủy vé và chọn hoàn tiền
+  APPROVED: 'Approved',   // Quản lý đã duyệt, chờ chuyển tiền
+  PROCESSED: 'Processed', // Đã chuyển tiền cho khách
+  FAILED: 'Failed',       // Chuyển tiền thất bại, có thể duyệt lại
+};
+
+module.exports = (sequelize, DataTypes) => {
+  class RefundRequest extends Model {
+    static associate(models) {
+      RefundRequest.belongsTo(models.TicketBooking, { foreignKey: 'Booking_ID', as: 'TicketBooking' });
+      RefundRequest.belongsTo(models.Payment, { foreignKey: 'Payment_ID', as: 'OriginalPayment' });
+      RefundRequest.belongsTo(models.Payment, { foreignKey: 'Refund_Payment_ID', as: 'RefundPayment' });
+      RefundRequest.belongsTo(models.User, { foreignKey: 'Requested_By', as: 'Requester' });
+      RefundRequest.belongsTo(models.User, { foreignKey: 'Approved_By', as: 'Approver' });
+      RefundRequest.belongsTo(models.User, { foreignKey: 'Processed_By', as: 'Processor' });
+    }
+  }
+  RefundRequest.init({
+    Refund_ID: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    Booking_ID: { type: DataTypes.INTEGER, allowNull: false },
+    Payment_ID: { type: DataTypes.INTEGER, allowNull: true }, // Giao dịch thanh toán gốc
+    Refund_Payment_ID: { type: DataTypes.INTEGER, allowNull: true }, // Dòng hoàn tiền (số tiền âm) trong Payments
+    Amount: { type: DataTypes.DECIMAL(18, 2), allowNull: false },
+    Payment_Method: { type: DataTypes.STRING(50), allowNull: true }, // Kênh hoàn tiền (PayOS, Cash...)
+    Order_Code: { type: DataTypes.STRING(100), allowNull: true }, // Mã đơn PayOS của giao dịch gốc
+    Status: { type: DataTypes.STRING(20), allowNull: false, defaultValue: REFUND_STATUS.REQUESTED },
+    Reason: { type: DataTypes.STRING(500), allowNull: true },
+    Transaction_Reference: { type: DataTypes.STRING(100), allowNull: true }, // Mã giao dịch chuyển tiền hoàn
+    Failure_Reason: { type: DataTypes.STRING(500), allowNull: true },
+    Requested_By: { type: DataTypes.INTEGER, allowNull: true },
+    Requested_At: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    Approved_By: { type: DataTypes.INTEGER, allowNull: true },
+    Approved_At: { type: DataTypes.DATE, allowNull: true },
+    Processed_By: { type: DataTypes.INTEGER, allowNull: true },
+    Processed_At: { type: DataTypes.DATE, allowNull: true },
+    Updated_At: { type: DataTypes.DATE }
+  }, {
+    sequelize,
+    modelName: 'RefundRequest',
+    tableName: 'Refund_Requests',
+    schema: 'ksf00691_team03',
+    timestamps: false,
+  });
+
+  RefundRequest.REFUND_STATUS = REFUND_STATUS;
+
+  return RefundRequest;
+};
@@ -0,0 +1,32 @@
+// models/roomturnaroundbuffer.js
+'use strict';
+const { Model } = require('sequelize');
+
+// Thời gian dọn dẹp giữa hai suất chiếu theo loại phòng; Cinema_ID null là cấu hình chung cho mọi rạp
+module.exports = (sequelize, DataTypes) => {
+  class RoomTurnaroundBuffer extends Model {
+    static associate(models) {
+      RoomTurnaroundBuffer.belongsTo(models.Cinema, { foreignKey: 'Cinema_ID', as: 'Cinema' });
+      RoomTurnaroundBuffer.belongsTo(models.User, { foreignKey: 'Updated_By', as: 'Updater' });
+    }
+  }
+  RoomTurnaroundBuffer.init({
+    Buffer_ID: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    Room_Type: { type: DataTypes.STRING(50), allowNull: false },
+    Cinema_ID: { type: DataTypes.INTEGER, allowNull: true },
+    Buffer_Minutes: { type: DataTypes.INTEGER, allowNull: false },
+    Updated_By: { type: DataTypes.INTEGER, allowNull: true },
+    Updated_At: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    sequelize,
+    modelName: 'RoomTurnaroundBuffer',
+    tableName: 'Room_Turnaround_Buffers',
+    schema: 'ksf00691_team03',
+    timestamps: false,
+    indexes: [
+      { fields: ['Room_Type', 'Cinema_ID'] }
+    ]
+  });
+
+  return RoomTurnaroundBuffer;
+};
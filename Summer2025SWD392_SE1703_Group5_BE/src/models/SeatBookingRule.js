@@ -0,0 +1,49 @@
+// models/seatbookingrule.js
+'use strict';
+const { Model } = require('sequelize');
+
+// Mã các quy tắc đặt ghế mà seatBookingRulesService hỗ trợ
+const SEAT_RULE_CODE = {
+  MAX_SEATS_PER_BOOKING: 'MAX_SEATS_PER_BOOKING', // Số ghế tối đa mỗi lần đặt
+  ADJACENT_SEATS: 'ADJACENT_SEATS',               // Nhóm ghế phải liền kề nhau
+  GAP_PREVENTION: 'GAP_PREVENTION',               // Không để lại ghế trống lẻ giữa hai nhóm
+  AISLE_ORPHAN: 'AISLE_ORPHAN',                   // Không để lại ghế trống lẻ sát lối đi / cuối hàng
+  SOCIAL_DISTANCING: 'SOCIAL_DISTANCING',         // Giãn cách giữa các nhóm khách
+  COUPLE_SEAT_PAIRS: 'COUPLE_SEAT_PAIRS',         // Ghế đôi phải bán theo cặp
+  COMPANION_SEATS: 'COMPANION_SEATS',             // Ghế đi kèm chỉ bán cùng chỗ xe lăn
+  ACCESSIBLE_HOLDBACK: 'ACCESSIBLE_HOLDBACK',     // Giữ ghế tiếp cận cho khách cần hỗ trợ tới gần giờ chiếu
+};
+
+module.exports = (sequelize, DataTypes) => {
+  class SeatBookingRule extends Model {
+    static associate(models) {
+      SeatBookingRule.belongsTo(models.Cinema, { foreignKey: 'Cinema_ID', as: 'Cinema' });
+      SeatBookingRule.belongsTo(models.User, { foreignKey: 'Updated_By', as: 'Updater' });
+    }
+  }
+  SeatBookingRule.init({
+    Seat_Rule_ID: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    Rule_Code: { type: DataTypes.STRING(50), allowNull: false },
+    // Phạm vi áp dụng - null nghĩa là áp dụng cho mọi rạp / mọi loại phòng
+    Cinema_ID: { type: DataTypes.INTEGER, allowNull: true },
+    Room_Type: { type: DataTypes.STRING(50), allowNull: true },
+    Is_Enabled: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+    Parameters: { type: DataTypes.TEXT, allowNull: true }, // JSON tham số của quy tắc, ghi đè tham số mặc định
+    Updated_By: { type: DataTypes.INTEGER, allowNull: true },
+    Created_At: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    Updated_At: { type: DataTypes.DATE }
+  }, {
+    sequelize,
+    modelName: 'SeatBookingRule',
+    tableName: 'Seat_Booking_Rules',
+    schema: 'ksf00691_team03',
+    timestamps: false,
+    indexes: [
+      { fields: ['Rule_Code', 'Cinema_ID', 'Room_Type'] }
+    ]
+  });
+
+  SeatBookingRule.SEAT_RULE_CODE = SEAT_RULE_CODE;
+
+  return SeatBookingRule;
+};
@@ -1,11 +1,29 @@
 // models/seatlayout.js
 'use strict';
 const { Model } = require('sequelize');
+
+// Loại ghế lưu trong Seat_Type (giá trị đã chuẩn hóa bởi seatLayoutService.normalizeSeatType)
+const SEAT_TYPE = {
+  REGULAR: 'Thường',
+  VIP: 'VIP',
+  WHEELCHAIR: 'Xe lăn',  // Chỗ dành cho xe lăn
+  COMPANION: 'Đi kèm',   // Ghế người đi kèm, nằm sát chỗ xe lăn và chỉ bán cùng chỗ xe lăn đó
+  SWEETBOX: 'Sweetbox',  // Ghế đôi liền khối chiếm nhiều cột, bán và tính giá như một ghế
+};
+
+// Ghế dành cho người khuyết tật: được giữ lại, chưa mở bán rộng rãi cho tới gần giờ chiếu
+const ACCESSIBLE_SEAT_TYPES = [SEAT_TYPE.WHEELCHAIR, SEAT_TYPE.COMPANION];
+
+// Số cột mặc định của ghế Sweetbox và số cột tối đa một ghế được chiếm
+const DEFAULT_SWEETBOX_SPAN = 2;
+const MAX_COLUMN_SPAN = 4;
+
 module.exports = (sequelize, DataTypes) => {
   class SeatLayout extends Model {
     static associate(models) {
       SeatLayout.belongsTo(models.CinemaRoom, { foreignKey: 'Cinema_Room_ID', as: 'CinemaRoom' });
       SeatLayout.hasMany(models.Seat, { foreignKey: 'Layout_ID', as: 'Seats' });
+      SeatLayout.hasOne(models.SeatLayoutSpan, { foreignKey: 'Layout_ID', as: 'Span' });
     }
   }
   SeatLayout.init({
@@ -22,5 +40,11 @@ module.exports = (sequelize, DataTypes) => {
     schema: 'ksf00691_team03',
     timestamps: false,
   });
+
+  SeatLayout.SEAT_TYPE = SEAT_TYPE;
+  SeatLayout.ACCESSIBLE_SEAT_TYPES = ACCESSIBLE_SEAT_TYPES;
+  SeatLayout.DEFAULT_SWEETBOX_SPAN = DEFAULT_SWEETBOX_SPAN;
+  SeatLayout.MAX_COLUMN_SPAN = MAX_COLUMN_SPAN;
+
   return SeatLayout;
 };
@@ -0,0 +1,25 @@
+// models/seatlayoutspan.js
+'use strict';
+const { Model } = require('sequelize');
+
+// Số cột một ghế chiếm; chỉ lưu cho ghế rộng hơn một cột (ghế Sweetbox...), ghế không có bản ghi chiếm 1 cột
+module.exports = (sequelize, DataTypes) => {
+  class SeatLayoutSpan extends Model {
+    static associate(models) {
+      SeatLayoutSpan.belongsTo(models.SeatLayout, { foreignKey: 'Layout_ID', as: 'SeatLayout' });
+    }
+  }
+  SeatLayoutSpan.init({
+    Layout_ID: { type: DataTypes.INTEGER, primaryKey: true },
+    // Ghế bắt đầu ở Column_Number của layout và chiếm Column_Span cột liên tiếp
+    Column_Span: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 2 }
+  }, {
+    sequelize,
+    modelName: 'SeatLayoutSpan',
+    tableName: 'Seat_Layout_Spans',
+    schema: 'ksf00691_team03',
+    timestamps: false,
+  });
+
+  return SeatLayoutSpan;
+};
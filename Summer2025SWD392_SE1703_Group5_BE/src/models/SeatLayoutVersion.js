@@ -0,0 +1,48 @@
+// models/seatlayoutversion.js
+'use strict';
+const { Model } = require('sequelize');
+
+const LAYOUT_VERSION_STATUS = {
+  DRAFT: 'Draft',           // Bản nháp Manager đang chỉnh sửa, chưa áp dụng cho phòng
+  PUBLISHED: 'Published',   // Phiên bản đang áp dụng cho phòng
+  SUPERSEDED: 'Superseded', // Phiên bản cũ, đã bị phiên bản mới hơn thay thế (có thể khôi phục)
+  DISCARDED: 'Discarded',   // Bản nháp đã hủy
+};
+
+module.exports = (sequelize, DataTypes) => {
+  class SeatLayoutVersion extends Model {
+    static associate(models) {
+      SeatLayoutVersion.belongsTo(models.CinemaRoom, { foreignKey: 'Cinema_Room_ID', as: 'CinemaRoom' });
+      SeatLayoutVersion.belongsTo(models.User, { foreignKey: 'Created_By', as: 'Creator' });
+      SeatLayoutVersion.belongsTo(models.User, { foreignKey: 'Published_By', as: 'Publisher' });
+    }
+  }
+  SeatLayoutVersion.init({
+    Version_ID: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    Cinema_Room_ID: { type: DataTypes.INTEGER, allowNull: false },
+    Version_Number: { type: DataTypes.INTEGER, allowNull: true }, // Chỉ đánh số khi phát hành, bản nháp là null
+    Status: { type: DataTypes.STRING(20), allowNull: false, defaultValue: LAYOUT_VERSION_STATUS.DRAFT },
+    // JSON danh sách ghế: [{ Row_Label, Column_Number, Column_Span, Seat_Type }]
+    Layout_Data: { type: DataTypes.TEXT, allowNull: false },
+    Based_On_Version_ID: { type: DataTypes.INTEGER, allowNull: true }, // Phiên bản gốc khi tạo bản nháp / khôi phục
+    Note: { type: DataTypes.STRING(255), allowNull: true },
+    Created_By: { type: DataTypes.INTEGER, allowNull: true },
+    Created_At: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    Updated_At: { type: DataTypes.DATE, allowNull: true },
+    Published_By: { type: DataTypes.INTEGER, allowNull: true },
+    Published_At: { type: DataTypes.DATE, allowNull: true }
+  }, {
+    sequelize,
+    modelName: 'SeatLayoutVersion',
+    tableName: 'Seat_Layout_Versions',
+    schema: 'ksf00691_team03',
+    timestamps: false,
+    indexes: [
+      { fields: ['Cinema_Room_ID', 'Status'] }
+    ]
+  });
+
+  SeatLayoutVersion.LAYOUT_VERSION_STATUS = LAYOUT_VERSION_STATUS;
+
+  return SeatLayoutVersion;
+};
@@ -10,6 +10,7 @@ module.exports = (sequelize, DataTypes) => {
       Showtime.belongsTo(models.User, { foreignKey: 'Created_By', as: 'CreatedBy' });
       Showtime.hasMany(models.TicketBooking, { foreignKey: 'Showtime_ID', as: 'TicketBookings' });
       Showtime.hasMany(models.Ticket, { foreignKey: 'Showtime_ID', as: 'Tickets' });
+      Showtime.hasOne(models.ShowtimeFormat, { foreignKey: 'Showtime_ID', as: 'Format' });
     }
   }
 
@@ -0,0 +1,47 @@
+// models/showtimecancellation.js
+'use strict';
+const { Model } = require('sequelize');
+
+const SHOWTIME_CANCELLATION_STATUS = {
+  PROCESSING: 'Processing',         // Đang hủy các đơn đặt vé của suất chiếu
+  COMPLETED: 'Completed',           // Đã hủy và hoàn tiền toàn bộ đơn đặt vé
+  PARTIALLY_FAILED: 'Partially Failed', // Một số đơn xử lý lỗi, có thể chạy lại thao tác hủy để thử lại
+};
+
+// Biên bản hủy một suất chiếu: lý do, người hủy và tổng hợp số đơn / số tiền / số điểm đã hoàn
+module.exports = (sequelize, DataTypes) => {
+  class ShowtimeCancellation extends Model {
+    static associate(models) {
+      ShowtimeCancellation.belongsTo(models.Showtime, { foreignKey: 'Showtime_ID', as: 'Showtime' });
+      ShowtimeCancellation.belongsTo(models.User, { foreignKey: 'Cancelled_By', as: 'CancelledBy' });
+      ShowtimeCancellation.hasMany(models.ShowtimeRebookingOffer, { foreignKey: 'Cancellation_ID', as: 'Offers' });
+    }
+  }
+  ShowtimeCancellation.init({
+    Cancellation_ID: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    Showtime_ID: { type: DataTypes.INTEGER, allowNull: false },
+    Reason: { type: DataTypes.STRING(500), allowNull: false },
+    Status: { type: DataTypes.STRING(20), allowNull: false, defaultValue: SHOWTIME_CANCELLATION_STATUS.PROCESSING },
+    Bookings_Cancelled: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    Total_Refund_Amount: { type: DataTypes.DECIMAL(18, 2), allowNull: false, defaultValue: 0 },
+    Points_Refunded: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    // JSON danh sách đơn xử lý lỗi: [{ Booking_ID, Step, Message }]
+    Failures: { type: DataTypes.TEXT, allowNull: true },
+    Cancelled_By: { type: DataTypes.INTEGER, allowNull: true },
+    Cancelled_At: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    Completed_At: { type: DataTypes.DATE, allowNull: true }
+  }, {
+    sequelize,
+    modelName: 'ShowtimeCancellation',
+    tableName: 'Showtime_Cancellations',
+    schema: 'ksf00691_team03',
+    timestamps: false,
+    indexes: [
+      { fields: ['Showtime_ID'] }
+    ]
+  });
+
+  ShowtimeCancellation.SHOWTIME_CANCELLATION_STATUS = SHOWTIME_CANCELLATION_STATUS;
+
+  return ShowtimeCancellation;
+};
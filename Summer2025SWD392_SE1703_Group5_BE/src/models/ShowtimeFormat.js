@@ -0,0 +1,52 @@
+// models/showtimeformat.js
+'use strict';
+const { Model } = require('sequelize');
+
+const PROJECTION_FORMAT = {
+  TWO_D: '2D',
+  THREE_D: '3D',
+  IMAX: 'IMAX',
+  IMAX_3D: 'IMAX 3D',
+  FOUR_DX: '4DX',
+};
+
+const LANGUAGE_VERSION = {
+  ORIGINAL: 'Original',   // Tiếng gốc, không phụ đề
+  SUBTITLED: 'Subtitled', // Tiếng gốc, phụ đề (Subtitle_Language)
+  DUBBED: 'Dubbed',       // Lồng tiếng (Audio_Language)
+  NARRATED: 'Narrated',   // Thuyết minh
+};
+
+// Định dạng của một suất chiếu: kiểu chiếu, phiên bản ngôn ngữ và hỗ trợ tiếp cận.
+// Suất chiếu không có bản ghi được coi là chiếu theo loại phòng (Room_Type), chưa khai báo ngôn ngữ
+module.exports = (sequelize, DataTypes) => {
+  class ShowtimeFormat extends Model {
+    static associate(models) {
+      ShowtimeFormat.belongsTo(models.Showtime, { foreignKey: 'Showtime_ID', as: 'Showtime' });
+      ShowtimeFormat.belongsTo(models.User, { foreignKey: 'Updated_By', as: 'UpdatedBy' });
+    }
+  }
+  ShowtimeFormat.init({
+    Format_ID: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    Showtime_ID: { type: DataTypes.INTEGER, allowNull: false, unique: true },
+    Projection_Format: { type: DataTypes.STRING(20), allowNull: false },
+    Language_Version: { type: DataTypes.STRING(20), allowNull: false, defaultValue: LANGUAGE_VERSION.ORIGINAL },
+    Audio_Language: { type: DataTypes.STRING(50), allowNull: true },    // Ngôn ngữ âm thanh, ví dụ "Tiếng Anh"
+    Subtitle_Language: { type: DataTypes.STRING(50), allowNull: true }, // Ngôn ngữ phụ đề, ví dụ "Tiếng Việt"
+    Has_Closed_Captions: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false }, // Phụ đề mô tả âm thanh cho người khiếm thính
+    Has_Audio_Description: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false }, // Thuyết minh hình ảnh cho người khiếm thị
+    Updated_By: { type: DataTypes.INTEGER, allowNull: true },
+    Updated_At: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    sequelize,
+    modelName: 'ShowtimeFormat',
+    tableName: 'Showtime_Formats',
+    schema: 'ksf00691_team03',
+    timestamps: false,
+  });
+
+  ShowtimeFormat.PROJECTION_FORMAT = PROJECTION_FORMAT;
+  ShowtimeFormat.LANGUAGE_VERSION = LANGUAGE_VERSION;
+
+  return ShowtimeFormat;
+};
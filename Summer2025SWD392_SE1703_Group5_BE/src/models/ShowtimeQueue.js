@@ -0,0 +1,33 @@
+// models/showtimequeue.js
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ShowtimeQueue extends Model {
+    static associate(models) {
+      ShowtimeQueue.belongsTo(models.Showtime, { foreignKey: 'Showtime_ID', as: 'Showtime' });
+      ShowtimeQueue.belongsTo(models.User, { foreignKey: 'Updated_By', as: 'UpdatedByUser' });
+    }
+  }
+  ShowtimeQueue.init({
+    Queue_ID: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    Showtime_ID: { type: DataTypes.INTEGER, allowNull: false },
+    Is_Enabled: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+    Batch_Size: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 20 },                 // Số người được vào mỗi đợt
+    Admission_Interval_Seconds: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 30 }, // Khoảng cách giữa các đợt
+    Session_Minutes: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 10 },            // Thời gian được chọn ghế sau khi vào
+    Max_Active_Sessions: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 100 },       // Số phiên chọn ghế tối đa cùng lúc
+    Last_Admitted_At: { type: DataTypes.DATE, allowNull: true },
+    Updated_By: { type: DataTypes.INTEGER, allowNull: true },
+    Created_At: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    Updated_At: { type: DataTypes.DATE, allowNull: true }
+  }, {
+    sequelize,
+    modelName: 'ShowtimeQueue',
+    tableName: 'Showtime_Queues',
+    schema: 'ksf00691_team03',
+    timestamps: false,
+  });
+
+  return ShowtimeQueue;
+};
@@ -0,0 +1,42 @@
+// models/showtimequeueentry.js
+'use strict';
+const { Model } = require('sequelize');
+
+const QUEUE_ENTRY_STATUS = {
+  WAITING: 'Waiting',     // Đang xếp hàng
+  ADMITTED: 'Admitted',   // Đã vào, đang trong phiên chọn ghế có thời hạn
+  COMPLETED: 'Completed', // Đã đặt vé trong phiên
+  EXPIRED: 'Expired',     // Hết thời gian phiên chọn ghế
+  LEFT: 'Left',           // Rời hàng đợi hoặc mất kết nối quá lâu
+  CLOSED: 'Closed',       // Hàng đợi bị tắt khi đang chờ
+};
+
+module.exports = (sequelize, DataTypes) => {
+  class ShowtimeQueueEntry extends Model {
+    static associate(models) {
+      ShowtimeQueueEntry.belongsTo(models.Showtime, { foreignKey: 'Showtime_ID', as: 'Showtime' });
+      ShowtimeQueueEntry.belongsTo(models.User, { foreignKey: 'User_ID', as: 'User' });
+    }
+  }
+  ShowtimeQueueEntry.init({
+    Entry_ID: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    Showtime_ID: { type: DataTypes.INTEGER, allowNull: false },
+    User_ID: { type: DataTypes.INTEGER, allowNull: false },
+    Status: { type: DataTypes.STRING(20), allowNull: false, defaultValue: QUEUE_ENTRY_STATUS.WAITING },
+    Joined_At: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    Last_Seen_At: { type: DataTypes.DATE, allowNull: true },
+    Admitted_At: { type: DataTypes.DATE, allowNull: true },
+    Session_Expires_At: { type: DataTypes.DATE, allowNull: true },
+    Updated_At: { type: DataTypes.DATE, allowNull: true }
+  }, {
+    sequelize,
+    modelName: 'ShowtimeQueueEntry',
+    tableName: 'Showtime_Queue_Entries',
+    schema: 'ksf00691_team03',
+    timestamps: false,
+  });
+
+  ShowtimeQueueEntry.QUEUE_ENTRY_STATUS = QUEUE_ENTRY_STATUS;
+
+  return ShowtimeQueueEntry;
+};
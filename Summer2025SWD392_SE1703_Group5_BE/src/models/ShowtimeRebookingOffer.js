@@ -0,0 +1,53 @@
+// models/showtimerebookingoffer.js
+'use strict';
+const { Model } = require('sequelize');
+
+const REBOOKING_OFFER_STATUS = {
+  PENDING: 'Pending',   // Đã gửi cho khách, chờ khách chọn suất chiếu thay thế
+  ACCEPTED: 'Accepted', // Khách đã chọn suất thay thế, đơn đặt vé mới đã được tạo
+  DECLINED: 'Declined', // Khách từ chối, chỉ nhận hoàn tiền
+  EXPIRED: 'Expired',   // Quá hạn hoặc các suất thay thế đã bắt đầu
+};
+
+// Lời mời chuyển sang suất chiếu thay thế gửi cho khách có đơn bị hủy do suất chiếu bị hủy.
+// Khách mở liên kết chứa Offer_Token và chọn một trong các suất đề xuất, không cần đăng nhập
+module.exports = (sequelize, DataTypes) => {
+  class ShowtimeRebookingOffer extends Model {
+    static associate(models) {
+      ShowtimeRebookingOffer.belongsTo(models.ShowtimeCancellation, { foreignKey: 'Cancellation_ID', as: 'Cancellation' });
+      ShowtimeRebookingOffer.belongsTo(models.Showtime, { foreignKey: 'Cancelled_Showtime_ID', as: 'CancelledShowtime' });
+      ShowtimeRebookingOffer.belongsTo(models.User, { foreignKey: 'User_ID', as: 'User' });
+      ShowtimeRebookingOffer.belongsTo(models.TicketBooking, { foreignKey: 'Original_Booking_ID', as: 'OriginalBooking' });
+      ShowtimeRebookingOffer.belongsTo(models.TicketBooking, { foreignKey: 'New_Booking_ID', as: 'NewBooking' });
+    }
+  }
+  ShowtimeRebookingOffer.init({
+    Offer_ID: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    Offer_Token: { type: DataTypes.STRING(64), allowNull: false, unique: true },
+    Cancellation_ID: { type: DataTypes.INTEGER, allowNull: false },
+    Cancelled_Showtime_ID: { type: DataTypes.INTEGER, allowNull: false },
+    Original_Booking_ID: { type: DataTypes.INTEGER, allowNull: false },
+    User_ID: { type: DataTypes.INTEGER, allowNull: false },
+    Seat_Count: { type: DataTypes.INTEGER, allowNull: false },
+    Alternative_Showtime_IDs: { type: DataTypes.STRING(200), allowNull: false }, // Các suất đề xuất, ví dụ "12,15,18"
+    Status: { type: DataTypes.STRING(20), allowNull: false, defaultValue: REBOOKING_OFFER_STATUS.PENDING },
+    Expires_At: { type: DataTypes.DATE, allowNull: false },
+    New_Booking_ID: { type: DataTypes.INTEGER, allowNull: true },
+    Responded_At: { type: DataTypes.DATE, allowNull: true },
+    Created_At: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    sequelize,
+    modelName: 'ShowtimeRebookingOffer',
+    tableName: 'Showtime_Rebooking_Offers',
+    schema: 'ksf00691_team03',
+    timestamps: false,
+    indexes: [
+      { fields: ['User_ID', 'Status'] },
+      { fields: ['Original_Booking_ID'] }
+    ]
+  });
+
+  ShowtimeRebookingOffer.REBOOKING_OFFER_STATUS = REBOOKING_OFFER_STATUS;
+
+  return ShowtimeRebookingOffer;
+};
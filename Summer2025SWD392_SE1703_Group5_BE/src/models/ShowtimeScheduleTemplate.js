@@ -0,0 +1,34 @@
+// models/showtimescheduletemplate.js
+'use strict';
+const { Model } = require('sequelize');
+
+// Mẫu lịch chiếu một tuần được lưu từ lịch thực tế của rạp, áp dụng lại cho tuần khác hoặc rạp khác
+module.exports = (sequelize, DataTypes) => {
+  class ShowtimeScheduleTemplate extends Model {
+    static associate(models) {
+      ShowtimeScheduleTemplate.belongsTo(models.Cinema, { foreignKey: 'Cinema_ID', as: 'Cinema' });
+      ShowtimeScheduleTemplate.belongsTo(models.User, { foreignKey: 'Created_By', as: 'Creator' });
+    }
+  }
+  ShowtimeScheduleTemplate.init({
+    Template_ID: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    Cinema_ID: { type: DataTypes.INTEGER, allowNull: false }, // Rạp nguồn của mẫu
+    Template_Name: { type: DataTypes.STRING(100), allowNull: false },
+    // JSON danh sách suất chiếu: [{ Day_Of_Week, Movie_ID, Cinema_Room_ID, Room_Name, Room_Type, Start_Time }]
+    Template_Data: { type: DataTypes.TEXT, allowNull: false },
+    Source_Week_Start: { type: DataTypes.DATEONLY, allowNull: true },
+    Created_By: { type: DataTypes.INTEGER, allowNull: true },
+    Created_At: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    sequelize,
+    modelName: 'ShowtimeScheduleTemplate',
+    tableName: 'Showtime_Schedule_Templates',
+    schema: 'ksf00691_team03',
+    timestamps: false,
+    indexes: [
+      { fields: ['Cinema_ID'] }
+    ]
+  });
+
+  return ShowtimeScheduleTemplate;
+};
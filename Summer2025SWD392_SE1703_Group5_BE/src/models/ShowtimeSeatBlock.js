@@ -0,0 +1,51 @@
+// models/showtimeseatblock.js
+'use strict';
+const { Model } = require('sequelize');
+
+const SEAT_BLOCK_TYPE = {
+  BROKEN: 'Broken',   // Ghế hỏng, chờ sửa
+  HOUSE: 'House',     // Ghế giữ lại cho rạp / khách mời VIP
+  PRESS: 'Press',     // Ghế dành cho báo chí
+  CAMERA: 'Camera',   // Vị trí đặt máy quay
+  OTHER: 'Other',
+};
+
+const SEAT_BLOCK_STATUS = {
+  ACTIVE: 'Active',     // Đang khóa, không bán
+  RELEASED: 'Released', // Manager đã mở bán lại
+  EXPIRED: 'Expired',   // Hết hạn khóa, tự động mở bán lại
+};
+
+module.exports = (sequelize, DataTypes) => {
+  class ShowtimeSeatBlock extends Model {
+    static associate(models) {
+      ShowtimeSeatBlock.belongsTo(models.Showtime, { foreignKey: 'Showtime_ID', as: 'Showtime' });
+      ShowtimeSeatBlock.belongsTo(models.SeatLayout, { foreignKey: 'Layout_ID', as: 'SeatLayout' });
+      ShowtimeSeatBlock.belongsTo(models.User, { foreignKey: 'Created_By', as: 'Creator' });
+    }
+  }
+  ShowtimeSeatBlock.init({
+    Block_ID: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    Showtime_ID: { type: DataTypes.INTEGER, allowNull: false },
+    Layout_ID: { type: DataTypes.INTEGER, allowNull: false },
+    Block_Type: { type: DataTypes.STRING(20), allowNull: false, defaultValue: SEAT_BLOCK_TYPE.OTHER },
+    Reason: { type: DataTypes.STRING(255), allowNull: true },
+    Status: { type: DataTypes.STRING(20), allowNull: false, defaultValue: SEAT_BLOCK_STATUS.ACTIVE },
+    Expires_At: { type: DataTypes.DATE, allowNull: true }, // null = khóa tới khi Manager mở bán lại
+    Created_By: { type: DataTypes.INTEGER, allowNull: false },
+    Created_At: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    Released_By: { type: DataTypes.INTEGER, allowNull: true },
+    Released_At: { type: DataTypes.DATE, allowNull: true }
+  }, {
+    sequelize,
+    modelName: 'ShowtimeSeatBlock',
+    tableName: 'Showtime_Seat_Blocks',
+    schema: 'ksf00691_team03',
+    timestamps: false,
+  });
+
+  ShowtimeSeatBlock.SEAT_BLOCK_TYPE = SEAT_BLOCK_TYPE;
+  ShowtimeSeatBlock.SEAT_BLOCK_STATUS = SEAT_BLOCK_STATUS;
+
+  return ShowtimeSeatBlock;
+};
@@ -0,0 +1,47 @@
+// models/showtimeseries.js
+'use strict';
+const { Model } = require('sequelize');
+
+const SHOWTIME_SERIES_STATUS = {
+  ACTIVE: 'Active',       // Đang áp dụng, các suất chiếu tương lai được quản lý theo chuỗi
+  CANCELLED: 'Cancelled', // Đã hủy, các suất chiếu tương lai chưa có người đặt đã bị ẩn
+};
+
+// Chuỗi suất chiếu lặp lại: một phim, một phòng, các giờ bắt đầu, các thứ trong tuần và khoảng ngày
+module.exports = (sequelize, DataTypes) => {
+  class ShowtimeSeries extends Model {
+    static associate(models) {
+      ShowtimeSeries.belongsTo(models.Movie, { foreignKey: 'Movie_ID', as: 'Movie' });
+      ShowtimeSeries.belongsTo(models.CinemaRoom, { foreignKey: 'Cinema_Room_ID', as: 'CinemaRoom' });
+      ShowtimeSeries.belongsTo(models.User, { foreignKey: 'Created_By', as: 'Creator' });
+      ShowtimeSeries.hasMany(models.ShowtimeSeriesOccurrence, { foreignKey: 'Series_ID', as: 'Occurrences' });
+    }
+  }
+  ShowtimeSeries.init({
+    Series_ID: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    Movie_ID: { type: DataTypes.INTEGER, allowNull: false },
+    Cinema_Room_ID: { type: DataTypes.INTEGER, allowNull: false },
+    Start_Times: { type: DataTypes.STRING(255), allowNull: false }, // 'HH:mm' phân cách bởi dấu phẩy, ví dụ "10:00,14:30"
+    Weekdays: { type: DataTypes.STRING(20), allowNull: false },     // 0 = Chủ nhật ... 6 = Thứ bảy, ví dụ "1,3,5"
+    Start_Date: { type: DataTypes.DATEONLY, allowNull: false },
+    End_Date: { type: DataTypes.DATEONLY, allowNull: false },
+    Status: { type: DataTypes.STRING(20), allowNull: false, defaultValue: SHOWTIME_SERIES_STATUS.ACTIVE },
+    Created_By: { type: DataTypes.INTEGER, allowNull: true },
+    Created_At: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    Updated_By: { type: DataTypes.INTEGER, allowNull: true },
+    Updated_At: { type: DataTypes.DATE, allowNull: true }
+  }, {
+    sequelize,
+    modelName: 'ShowtimeSeries',
+    tableName: 'Showtime_Series',
+    schema: 'ksf00691_team03',
+    timestamps: false,
+    indexes: [
+      { fields: ['Cinema_Room_ID', 'Status'] }
+    ]
+  });
+
+  ShowtimeSeries.SHOWTIME_SERIES_STATUS = SHOWTIME_SERIES_STATUS;
+
+  return ShowtimeSeries;
+};
@@ -0,0 +1,35 @@
+// models/showtimeseriesoccurrence.js
+'use strict';
+const { Model } = require('sequelize');
+
+// Liên kết suất chiếu với chuỗi. Suất chiếu đã sửa / hủy riêng lẻ được đánh dấu Is_Detached
+// để các lần sửa cả chuỗi sau đó không ghi đè và không tạo lại khung giờ gốc của nó
+module.exports = (sequelize, DataTypes) => {
+  class ShowtimeSeriesOccurrence extends Model {
+    static associate(models) {
+      ShowtimeSeriesOccurrence.belongsTo(models.ShowtimeSeries, { foreignKey: 'Series_ID', as: 'Series' });
+      ShowtimeSeriesOccurrence.belongsTo(models.Showtime, { foreignKey: 'Showtime_ID', as: 'Showtime' });
+    }
+  }
+  ShowtimeSeriesOccurrence.init({
+    Occurrence_ID: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    Series_ID: { type: DataTypes.INTEGER, allowNull: false },
+    Showtime_ID: { type: DataTypes.INTEGER, allowNull: false },
+    Occurrence_Date: { type: DataTypes.DATEONLY, allowNull: false },
+    Original_Start_Time: { type: DataTypes.STRING(5), allowNull: false }, // Giờ bắt đầu theo chuỗi ('HH:mm')
+    Is_Detached: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+    Created_At: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    sequelize,
+    modelName: 'ShowtimeSeriesOccurrence',
+    tableName: 'Showtime_Series_Occurrences',
+    schema: 'ksf00691_team03',
+    timestamps: false,
+    indexes: [
+      { fields: ['Series_ID', 'Occurrence_Date'] },
+      { unique: true, fields: ['Showtime_ID'] }
+    ]
+  });
+
+  return ShowtimeSeriesOccurrence;
+};
@@ -13,6 +13,7 @@ module.exports = (sequelize, DataTypes) => {
       TicketBooking.hasMany(models.Payment, { foreignKey: 'Booking_ID', as: 'Payments' });
       TicketBooking.hasMany(models.BookingHistory, { foreignKey: 'Booking_ID', as: 'BookingHistories' });
       TicketBooking.hasMany(models.PromotionUsage, { foreignKey: 'Booking_ID', as: 'PromotionUsages' });
+      TicketBooking.hasMany(models.ConcessionOrder, { foreignKey: 'Booking_ID', as: 'ConcessionOrders' });
     }
   }
   TicketBooking.init({
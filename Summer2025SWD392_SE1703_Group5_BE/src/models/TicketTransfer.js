@@ -0,0 +1,47 @@
+// models/tickettransfer.js
+'use strict';
+const { Model } = require('sequelize');
+
+const TRANSFER_STATUS = {
+  PENDING: 'Pending',     // Chờ người nhận chấp nhận
+  ACCEPTED: 'Accepted',   // Người nhận đã nhận vé, mã vé đã được cấp lại
+  DECLINED: 'Declined',   // Người nhận từ chối
+  CANCELLED: 'Cancelled', // Người chuyển hủy yêu cầu hoặc đơn đặt vé bị hủy
+  EXPIRED: 'Expired',     // Quá hạn chấp nhận hoặc suất chiếu đã bắt đầu
+};
+
+module.exports = (sequelize, DataTypes) => {
+  class TicketTransfer extends Model {
+    static associate(models) {
+      // Không tạo khóa ngoại tới Tickets: vé có thể bị xóa khi hủy / đổi vé, lịch sử chuyển nhượng vẫn được giữ
+      TicketTransfer.belongsTo(models.Ticket, { foreignKey: 'Ticket_ID', as: 'Ticket', constraints: false });
+      TicketTransfer.belongsTo(models.TicketBooking, { foreignKey: 'Booking_ID', as: 'TicketBooking', constraints: false });
+      TicketTransfer.belongsTo(models.User, { foreignKey: 'From_User_ID', as: 'FromUser' });
+      TicketTransfer.belongsTo(models.User, { foreignKey: 'To_User_ID', as: 'ToUser' });
+    }
+  }
+  TicketTransfer.init({
+    Transfer_ID: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    Ticket_ID: { type: DataTypes.INTEGER, allowNull: false },
+    Booking_ID: { type: DataTypes.INTEGER, allowNull: false },
+    From_User_ID: { type: DataTypes.INTEGER, allowNull: false },
+    To_User_ID: { type: DataTypes.INTEGER, allowNull: false },
+    Status: { type: DataTypes.STRING(20), allowNull: false, defaultValue: TRANSFER_STATUS.PENDING },
+    Message: { type: DataTypes.STRING(255), allowNull: true },
+    Old_Ticket_Code: { type: DataTypes.STRING(50), allowNull: false }, // Mã vé tại thời điểm gửi, bị vô hiệu khi chấp nhận
+    New_Ticket_Code: { type: DataTypes.STRING(50), allowNull: true },
+    Expires_At: { type: DataTypes.DATE, allowNull: false },
+    Created_At: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    Responded_At: { type: DataTypes.DATE, allowNull: true }
+  }, {
+    sequelize,
+    modelName: 'TicketTransfer',
+    tableName: 'Ticket_Transfers',
+    schema: 'ksf00691_team03',
+    timestamps: false,
+  });
+
+  TicketTransfer.TRANSFER_STATUS = TRANSFER_STATUS;
+
+  return TicketTransfer;
+};
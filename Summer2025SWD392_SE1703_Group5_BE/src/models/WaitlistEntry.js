@@ -0,0 +1,45 @@
+// models/waitlistentry.js
+'use strict';
+const { Model } = require('sequelize');
+
+const WAITLIST_STATUS = {
+  WAITING: 'Waiting',     // Đang chờ ghế trống
+  OFFERED: 'Offered',     // Đã được giữ ghế và gửi lời mời, chờ khách đặt vé
+  BOOKED: 'Booked',       // Khách đã đặt vé từ lời mời
+  EXPIRED: 'Expired',     // Lời mời hết hạn hoặc suất chiếu đã bắt đầu
+  CANCELLED: 'Cancelled', // Khách rời danh sách chờ / từ chối lời mời
+};
+
+module.exports = (sequelize, DataTypes) => {
+  class WaitlistEntry extends Model {
+    static associate(models) {
+      WaitlistEntry.belongsTo(models.Showtime, { foreignKey: 'Showtime_ID', as: 'Showtime' });
+      WaitlistEntry.belongsTo(models.User, { foreignKey: 'User_ID', as: 'User' });
+      WaitlistEntry.belongsTo(models.TicketBooking, { foreignKey: 'Booking_ID', as: 'TicketBooking' });
+    }
+  }
+  WaitlistEntry.init({
+    Waitlist_ID: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    Showtime_ID: { type: DataTypes.INTEGER, allowNull: false },
+    User_ID: { type: DataTypes.INTEGER, allowNull: false },
+    Seat_Count: { type: DataTypes.INTEGER, allowNull: false },
+    Status: { type: DataTypes.STRING(20), allowNull: false, defaultValue: WAITLIST_STATUS.WAITING },
+    Offered_Seats: { type: DataTypes.STRING(200), allowNull: true }, // Danh sách ghế được giữ, ví dụ "A1,A2"
+    Offered_At: { type: DataTypes.DATE, allowNull: true },
+    Offer_Expires_At: { type: DataTypes.DATE, allowNull: true },
+    Offer_Count: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    Booking_ID: { type: DataTypes.INTEGER, allowNull: true },
+    Joined_At: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    Updated_At: { type: DataTypes.DATE, allowNull: true }
+  }, {
+    sequelize,
+    modelName: 'WaitlistEntry',
+    tableName: 'Showtime_Waitlist',
+    schema: 'ksf00691_team03',
+    timestamps: false,
+  });
+
+  WaitlistEntry.WAITLIST_STATUS = WAITLIST_STATUS;
+
+  return WaitlistEntry;
+};
@@ -58,7 +58,7 @@ class SeatRepository {
                 .query(`
                     SELECT s.*, m.*, cr.*,
                            m.Movie_ID, m.Movie_Name as Movie_Title, m.Duration, m.Poster_URL,
-                           cr.Cinema_Room_ID, cr.Room_Name, cr.Room_Type
+                           cr.Cinema_Room_ID, cr.Room_Name, cr.Room_Type, cr.Cinema_ID
                     FROM ksf00691_team03.Showtimes s
                     INNER JOIN ksf00691_team03.Movies m ON s.Movie_ID = m.Movie_ID
                     INNER JOIN ksf00691_team03.Cinema_Rooms cr ON s.Cinema_Room_ID = cr.Cinema_Room_ID
@@ -112,7 +112,7 @@ class SeatRepository {
                            s.Showtime_ID, s.Movie_ID, s.Cinema_Room_ID, s.Show_Date, s.Start_Time, 
                            s.End_Time, s.Status, s.Created_At, s.Updated_At,
                            m.Movie_ID, m.Movie_Name as Movie_Title, m.Duration, m.Poster_URL,
-                           cr.Cinema_Room_ID, cr.Room_Name, cr.Room_Type
+                           cr.Cinema_Room_ID, cr.Room_Name, cr.Room_Type, cr.Cinema_ID
                     FROM ksf00691_team03.Showtimes s
                     INNER JOIN ksf00691_team03.Movies m ON s.Movie_ID = m.Movie_ID
                     INNER JOIN ksf00691_team03.Cinema_Rooms cr ON s.Cinema_Room_ID = cr.Cinema_Room_ID
@@ -145,7 +145,8 @@ class SeatRepository {
                 CinemaRoom: {
                     Cinema_Room_ID: showtime.Cinema_Room_ID,
                     Room_Name: showtime.Room_Name,
-                    Room_Type: showtime.Room_Type
+                    Room_Type: showtime.Room_Type,
+                    Cinema_ID: showtime.Cinema_ID
                 }
             };
         } catch (error) {
@@ -8,6 +8,11 @@ const {
     CreateBooking,
     UpdateBookingPayment,
     CancelBooking,
+    GetRefundQuote,
+    GetExchangeQuote,
+    ExchangeBooking,
+    GetRefundPolicy,
+    UpdateRefundPolicy,
     GetMyBookings,
     SearchBookings,
     ExportBookings,
@@ -41,6 +46,20 @@ const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddlewar
  *           items:
  *             type: integer
  *           description: Danh sách ID của ghế được chọn
+ *         concessions:
+ *           type: array
+ *           description: Bắp nước đặt kèm, được cộng vào Total_Amount
+ *           items:
+ *             type: object
+ *             properties:
+ *               productId:
+ *                 type: integer
+ *               quantity:
+ *                 type: integer
+ *         accessibilityRequested:
+ *           type: boolean
+ *           default: false
+ *           description: Khách cần hỗ trợ tiếp cận, được đặt chỗ xe lăn / ghế đi kèm trước giờ mở bán rộng rãi. Chỉ có hiệu lực khi nhân viên (Staff/Admin/Manager) đặt vé
  *     BookingResponseDTO:
  *       type: object
  *       properties:
@@ -413,11 +432,195 @@ router.post('/', authMiddleware, CreateBooking);
  */
 router.put('/:id/payment', authMiddleware, UpdateBookingPayment);
 
+/**
+ * @swagger
+ * /api/bookings/refund-policy:
+ *   get:
+ *     summary: Lấy chính sách hoàn tiền khi hủy vé
+ *     tags: [Booking]
+ *     responses:
+ *       200:
+ *         description: Các mức hoàn tiền theo số giờ trước suất chiếu, phương thức hoàn tiền và khuyến mãi không hoàn tiền
+ *   put:
+ *     summary: Cập nhật chính sách hoàn tiền (Chỉ Admin)
+ *     description: Lưu thành phiên bản mới trong database, các server khác áp dụng sau tối đa REFUND_POLICY_CACHE_SECONDS giây
+ *     tags: [Booking]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               cancellationCutoffHours:
+ *                 type: number
+ *                 description: Không cho phép tự hủy khi còn ít hơn số giờ này trước suất chiếu
+ *               tiers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     minHoursBefore:
+ *                       type: number
+ *                     refundPercent:
+ *                       type: number
+ *                     description:
+ *                       type: string
+ *               refundMethods:
+ *                 type: object
+ *                 description: Cấu hình cho "money" và "points" (enabled, bonusPercent, pointConversionRate)
+ *               nonRefundablePromotions:
+ *                 type: object
+ *                 properties:
+ *                   promotionCodes:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   refundPercent:
+ *                     type: number
+ *     responses:
+ *       200:
+ *         description: Cập nhật thành công
+ *       400:
+ *         description: Dữ liệu chính sách không hợp lệ
+ *       409:
+ *         description: Chính sách vừa được người khác cập nhật
+ */
+router.get('/refund-policy', GetRefundPolicy);
+router.put('/refund-policy', authMiddleware, authorizeRoles('Admin'), UpdateRefundPolicy);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/refund-quote:
+ *   get:
+ *     summary: Xem trước số tiền được hoàn nếu hủy đơn đặt vé
+ *     tags: [Booking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID của đơn đặt vé
+ *       - in: query
+ *         name: refundMethod
+ *         schema:
+ *           type: string
+ *           enum: [money, points]
+ *           default: money
+ *     responses:
+ *       200:
+ *         description: Báo giá hoàn tiền (mức áp dụng, phần trăm, số tiền hoặc số điểm được hoàn)
+ *       403:
+ *         description: Không có quyền với đơn đặt vé này
+ *       404:
+ *         description: Không tìm thấy đơn đặt vé
+ */
+router.get('/:id/refund-quote', authMiddleware, GetRefundQuote);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/exchange-quote:
+ *   get:
+ *     summary: Xem trước chênh lệch khi đổi suất chiếu hoặc ghế
+ *     description: >
+ *       Tính lại giá ghế mới, kiểm tra lại khuyến mãi và điểm đã dùng, trả về số tiền cần thu thêm hoặc được hoàn.
+ *       Chỉ áp dụng cho đơn đã thanh toán, đổi sang suất chiếu của cùng phim với cùng số ghế.
+ *     tags: [Booking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: showtimeId
+ *         schema:
+ *           type: integer
+ *         description: Suất chiếu mới (mặc định giữ suất hiện tại)
+ *       - in: query
+ *         name: seats
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Ghế mới, phân cách bằng dấu phẩy (Layout_ID hoặc nhãn ghế, ví dụ A5,A6)
+ *     responses:
+ *       200:
+ *         description: Báo giá đổi vé
+ *       400:
+ *         description: Không đủ điều kiện đổi vé hoặc ghế mới vi phạm quy tắc đặt ghế của rạp (SEAT_RULE_VIOLATION)
+ *       409:
+ *         description: Ghế mới đã được đặt, đang được giữ (SEAT_TAKEN) hoặc bị khóa cho suất chiếu (SEAT_BLOCKED)
+ */
+router.get('/:id/exchange-quote', authMiddleware, GetExchangeQuote);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/exchange:
+ *   put:
+ *     summary: Đổi suất chiếu hoặc ghế cho đơn đặt vé đã thanh toán
+ *     description: >
+ *       Chuyển vé sang ghế mới trong một giao dịch, thu thêm hoặc hoàn lại phần chênh lệch và ghi lịch sử đổi vé.
+ *       Phần thu thêm thanh toán bằng điểm (Points) hoặc tiền mặt tại quầy (Cash - chỉ nhân viên).
+ *       Ghế mới phải thỏa quy tắc đặt ghế của rạp như khi đặt vé; đổi suất chiếu cập nhật số chỗ trống của cả hai suất.
+ *     tags: [Booking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [seats]
+ *             properties:
+ *               showtimeId:
+ *                 type: integer
+ *               seats:
+ *                 type: array
+ *                 items:
+ *                   oneOf:
+ *                     - type: integer
+ *                     - type: string
+ *                 example: ["A5", "A6"]
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [Points, Cash]
+ *                 description: Cách thu phần chênh lệch (mặc định Points với khách, Cash với nhân viên)
+ *               refundMethod:
+ *                 type: string
+ *                 enum: [money, points]
+ *                 default: money
+ *     responses:
+ *       200:
+ *         description: Đổi vé thành công
+ *       400:
+ *         description: Không đủ điều kiện đổi vé, ghế mới vi phạm quy tắc đặt ghế (SEAT_RULE_VIOLATION) hoặc không đủ điểm thanh toán chênh lệch
+ *       403:
+ *         description: Không có quyền với đơn đặt vé này
+ *       409:
+ *         description: Ghế mới đã được đặt, đang được giữ (SEAT_TAKEN) hoặc bị khóa cho suất chiếu (SEAT_BLOCKED)
+ */
+router.put('/:id/exchange', authMiddleware, ExchangeBooking);
+
 /**
  * @swagger
  * /api/bookings/{id}/cancel:
  *   put:
  *     summary: Hủy đơn đặt vé
+ *     description: Số tiền hoàn trả được tính theo chính sách hoàn tiền (xem /api/bookings/{id}/refund-quote).
  *     tags: [Booking]
  *     security:
  *       - bearerAuth: []
@@ -428,11 +631,26 @@ router.put('/:id/payment', authMiddleware, UpdateBookingPayment);
  *         schema:
  *           type: integer
  *         description: ID của đơn đặt vé
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refundMethod:
+ *                 type: string
+ *                 enum: [money, points]
+ *                 default: money
+ *               reason:
+ *                 type: string
+ *               waivePolicy:
+ *                 type: boolean
+ *                 description: Chỉ Admin/Manager - hoàn 100% và bỏ qua thời hạn hủy
  *     responses:
  *       200:
  *         description: Hủy đơn đặt vé thành công
  *       400:
- *         description: Không thể hủy do trạng thái không hợp lệ
+ *         description: Không thể hủy do trạng thái không hợp lệ hoặc đã quá thời hạn hủy
  *       401:
  *         description: Không xác định được người dùng
  *       404:
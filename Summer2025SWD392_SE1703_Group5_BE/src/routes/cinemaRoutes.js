@@ -555,11 +555,41 @@ router.get('/:cinemaId/movies', cinemaController.getMoviesByCinema);
  *           type: string
  *           format: date
  *         description: Ngày cần lấy suất chiếu (định dạng YYYY-MM-DD). Mặc định là ngày hiện tại.
+ *       - in: query
+ *         name: projectionFormat
+ *         schema:
+ *           type: string
+ *           enum: ['2D', '3D', 'IMAX', 'IMAX 3D', '4DX']
+ *         description: Lọc theo kiểu chiếu (suất chưa khai báo định dạng lấy theo loại phòng)
+ *       - in: query
+ *         name: languageVersion
+ *         schema:
+ *           type: string
+ *           enum: [Original, Subtitled, Dubbed, Narrated]
+ *         description: Nguyên bản / Phụ đề / Lồng tiếng / Thuyết minh
+ *       - in: query
+ *         name: audioLanguage
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: subtitleLanguage
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: closedCaptions
+ *         schema:
+ *           type: boolean
+ *         description: Chỉ suất có (true) / không có (false) phụ đề CC
+ *       - in: query
+ *         name: audioDescription
+ *         schema:
+ *           type: boolean
+ *         description: Chỉ suất có (true) / không có (false) thuyết minh hình ảnh AD
  *     responses:
  *       200:
  *         description: Danh sách suất chiếu của rạp phim
  *       400:
- *         description: ID rạp phim hoặc định dạng ngày không hợp lệ
+ *         description: ID rạp phim, định dạng ngày hoặc tham số lọc định dạng suất chiếu không hợp lệ
  *       404:
  *         description: Không tìm thấy rạp phim
  *       500:
@@ -0,0 +1,316 @@
+// src/routes/concessionRoutes.js
+const express = require('express');
+const router = express.Router();
+const concessionController = require('../controllers/concessionController');
+const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddleware');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Concessions
+ *   description: >
+ *     Danh mục bắp nước theo rạp (sản phẩm lẻ, combo, tồn kho) và đơn bắp nước.
+ *     Khách đặt kèm khi tạo booking qua trường concessions của POST /api/bookings;
+ *     nhân viên có thể bán lẻ tại quầy.
+ */
+
+/**
+ * @swagger
+ * /api/concessions/products:
+ *   get:
+ *     summary: Danh mục bắp nước đang bán
+ *     description: Combo trả về Available_Quantity tính theo tồn kho của các sản phẩm thành phần.
+ *     tags: [Concessions]
+ *     parameters:
+ *       - in: query
+ *         name: cinemaId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [Popcorn, Drink, Snack, Combo]
+ *     responses:
+ *       200:
+ *         description: Danh sách sản phẩm
+ *   post:
+ *     summary: Tạo sản phẩm hoặc combo (Admin/Manager)
+ *     tags: [Concessions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [cinemaId, name, price]
+ *             properties:
+ *               cinemaId:
+ *                 type: integer
+ *               name:
+ *                 type: string
+ *                 example: Bắp rang bơ lớn
+ *               category:
+ *                 type: string
+ *                 enum: [Popcorn, Drink, Snack, Combo]
+ *               price:
+ *                 type: number
+ *                 example: 65000
+ *               stockQuantity:
+ *                 type: integer
+ *                 example: 100
+ *               description:
+ *                 type: string
+ *               imageUrl:
+ *                 type: string
+ *               isCombo:
+ *                 type: boolean
+ *               items:
+ *                 type: array
+ *                 description: Thành phần combo
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: integer
+ *                     quantity:
+ *                       type: integer
+ *     responses:
+ *       201:
+ *         description: Tạo sản phẩm thành công
+ *       400:
+ *         description: Dữ liệu không hợp lệ
+ *       404:
+ *         description: Rạp hoặc sản phẩm thành phần không tồn tại
+ */
+router.get('/products', concessionController.getProducts);
+router.post('/products', authMiddleware, authorizeRoles('Admin', 'Manager'), concessionController.createProduct);
+
+/**
+ * @swagger
+ * /api/concessions/products/{id}:
+ *   get:
+ *     summary: Chi tiết sản phẩm
+ *     tags: [Concessions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Thông tin sản phẩm
+ *       404:
+ *         description: Không tìm thấy sản phẩm
+ *   put:
+ *     summary: Cập nhật sản phẩm hoặc combo (Admin/Manager)
+ *     tags: [Concessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               price:
+ *                 type: number
+ *               description:
+ *                 type: string
+ *               imageUrl:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [Active, Inactive]
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: Cập nhật thành công
+ *   delete:
+ *     summary: Ngừng bán sản phẩm (Admin/Manager)
+ *     tags: [Concessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Đã ngừng bán sản phẩm
+ */
+router.get('/products/:id', concessionController.getProductById);
+router.put('/products/:id', authMiddleware, authorizeRoles('Admin', 'Manager'), concessionController.updateProduct);
+router.delete('/products/:id', authMiddleware, authorizeRoles('Admin', 'Manager'), concessionController.deactivateProduct);
+
+/**
+ * @swagger
+ * /api/concessions/products/{id}/stock:
+ *   patch:
+ *     summary: Nhập thêm / điều chỉnh tồn kho (Staff/Admin/Manager)
+ *     tags: [Concessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [quantity]
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 description: Số lượng cộng thêm (âm để trừ)
+ *                 example: 50
+ *     responses:
+ *       200:
+ *         description: Đã cập nhật tồn kho
+ *       400:
+ *         description: Số lượng không hợp lệ hoặc không đủ tồn kho
+ */
+router.patch('/products/:id/stock', authMiddleware, authorizeRoles('Staff', 'Admin', 'Manager'), concessionController.adjustStock);
+
+/**
+ * @swagger
+ * /api/concessions/orders:
+ *   get:
+ *     summary: Danh sách đơn bắp nước (Staff/Admin/Manager)
+ *     tags: [Concessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cinemaId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: bookingId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Pending, Paid, Cancelled]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Danh sách đơn bắp nước
+ *   post:
+ *     summary: Bán lẻ bắp nước tại quầy (Staff/Admin/Manager)
+ *     tags: [Concessions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [cinemaId, items]
+ *             properties:
+ *               cinemaId:
+ *                 type: integer
+ *               paymentMethod:
+ *                 type: string
+ *                 example: Cash
+ *               userId:
+ *                 type: integer
+ *                 description: Khách hàng thành viên (không bắt buộc)
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: integer
+ *                     quantity:
+ *                       type: integer
+ *     responses:
+ *       201:
+ *         description: Đã tạo đơn bắp nước
+ *       409:
+ *         description: Không đủ tồn kho (OUT_OF_STOCK)
+ */
+router.get('/orders', authMiddleware, authorizeRoles('Staff', 'Admin', 'Manager'), concessionController.getOrders);
+router.post('/orders', authMiddleware, authorizeRoles('Staff', 'Admin', 'Manager'), concessionController.createCounterOrder);
+
+/**
+ * @swagger
+ * /api/concessions/orders/{id}/cancel:
+ *   put:
+ *     summary: Hủy đơn bán lẻ tại quầy và hoàn tồn kho (Staff/Admin/Manager)
+ *     tags: [Concessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Đã hủy đơn
+ *       400:
+ *         description: Đơn gắn với booking hoặc đã hủy
+ */
+router.put('/orders/:id/cancel', authMiddleware, authorizeRoles('Staff', 'Admin', 'Manager'), concessionController.cancelCounterOrder);
+
+/**
+ * @swagger
+ * /api/concessions/bookings/{bookingId}:
+ *   get:
+ *     summary: Bắp nước đi kèm đơn đặt vé
+ *     tags: [Concessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Các món bắp nước và tổng tiền
+ *       403:
+ *         description: Không có quyền
+ */
+router.get('/bookings/:bookingId', authMiddleware, concessionController.getBookingConcessions);
+
+module.exports = router;
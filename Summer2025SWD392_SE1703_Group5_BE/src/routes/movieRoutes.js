@@ -738,11 +738,41 @@ router.delete('/:id',
  *           type: integer
  *         required: true
  *         description: ID của rạp phim
+ *       - in: query
+ *         name: projectionFormat
+ *         schema:
+ *           type: string
+ *           enum: ['2D', '3D', 'IMAX', 'IMAX 3D', '4DX']
+ *         description: Lọc theo kiểu chiếu (suất chưa khai báo định dạng lấy theo loại phòng)
+ *       - in: query
+ *         name: languageVersion
+ *         schema:
+ *           type: string
+ *           enum: [Original, Subtitled, Dubbed, Narrated]
+ *         description: Nguyên bản / Phụ đề / Lồng tiếng / Thuyết minh
+ *       - in: query
+ *         name: audioLanguage
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: subtitleLanguage
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: closedCaptions
+ *         schema:
+ *           type: boolean
+ *         description: Chỉ suất có (true) / không có (false) phụ đề CC
+ *       - in: query
+ *         name: audioDescription
+ *         schema:
+ *           type: boolean
+ *         description: Chỉ suất có (true) / không có (false) thuyết minh hình ảnh AD
  *     responses:
  *       200:
  *         description: Danh sách suất chiếu phim tại rạp phim
  *       400:
- *         description: ID phim hoặc ID rạp phim không hợp lệ
+ *         description: ID phim, ID rạp phim hoặc tham số lọc định dạng không hợp lệ
  *       404:
  *         description: Không tìm thấy phim hoặc rạp phim
  *       500:
@@ -796,11 +826,41 @@ router.get('/:movieId/cinemas', movieController.getCinemasShowingMovie);
  *           type: integer
  *         required: true
  *         description: ID của phim
+ *       - in: query
+ *         name: projectionFormat
+ *         schema:
+ *           type: string
+ *           enum: ['2D', '3D', 'IMAX', 'IMAX 3D', '4DX']
+ *         description: Lọc theo kiểu chiếu (suất chưa khai báo định dạng lấy theo loại phòng)
+ *       - in: query
+ *         name: languageVersion
+ *         schema:
+ *           type: string
+ *           enum: [Original, Subtitled, Dubbed, Narrated]
+ *         description: Nguyên bản / Phụ đề / Lồng tiếng / Thuyết minh
+ *       - in: query
+ *         name: audioLanguage
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: subtitleLanguage
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: closedCaptions
+ *         schema:
+ *           type: boolean
+ *         description: Chỉ suất có (true) / không có (false) phụ đề CC
+ *       - in: query
+ *         name: audioDescription
+ *         schema:
+ *           type: boolean
+ *         description: Chỉ suất có (true) / không có (false) thuyết minh hình ảnh AD
  *     responses:
  *       200:
  *         description: Danh sách tất cả suất chiếu của phim
  *       400:
- *         description: ID phim không hợp lệ
+ *         description: ID phim hoặc tham số lọc định dạng không hợp lệ
  *       404:
  *         description: Không tìm thấy phim
  *       500:
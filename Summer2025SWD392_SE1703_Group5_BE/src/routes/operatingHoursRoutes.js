@@ -0,0 +1,253 @@
+// src/routes/operatingHoursRoutes.js
+const express = require('express');
+const router = express.Router();
+const operatingHoursController = require('../controllers/operatingHoursController');
+const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddleware');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Operating Hours
+ *   description: >
+ *     Giờ hoạt động của rạp theo thứ trong tuần, giờ ngoại lệ theo ngày (suất chiếu đêm muộn, công chiếu sớm)
+ *     và thời gian dọn dẹp giữa hai suất chiếu theo loại phòng. Khi tạo / sửa suất chiếu, gợi ý giờ trống và tự động
+ *     xếp lịch, suất chiếu kể cả thời gian dọn dẹp phải nằm trong giờ hoạt động (mặc định 09:00 - 23:00, đóng cửa
+ *     muộn nhất 23:59). Thời gian dọn dẹp: cấu hình của rạp cho loại phòng > cấu hình chung > mặc định 15 phút.
+ */
+
+/**
+ * @swagger
+ * /api/operating-hours/turnaround-buffers:
+ *   get:
+ *     summary: Danh sách cấu hình thời gian dọn dẹp theo loại phòng (Admin/Manager)
+ *     description: Manager chỉ thấy cấu hình chung và cấu hình của rạp mình.
+ *     tags: [Operating Hours]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cinemaId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: "{ default_minutes, buffers }"
+ *   put:
+ *     summary: Tạo hoặc cập nhật thời gian dọn dẹp cho một loại phòng (Admin/Manager)
+ *     description: >
+ *       Bỏ trống CinemaId để cấu hình chung cho mọi rạp (chỉ Admin). Manager chỉ cấu hình được cho rạp của mình.
+ *       Chỉ áp dụng cho suất chiếu tạo / sửa sau khi thay đổi.
+ *     tags: [Operating Hours]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - RoomType
+ *               - BufferMinutes
+ *             properties:
+ *               RoomType:
+ *                 type: string
+ *                 example: IMAX
+ *               CinemaId:
+ *                 type: integer
+ *                 nullable: true
+ *               BufferMinutes:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 120
+ *                 example: 25
+ *     responses:
+ *       200:
+ *         description: Đã cập nhật cấu hình
+ *       201:
+ *         description: Đã tạo cấu hình
+ *       400:
+ *         description: Dữ liệu không hợp lệ
+ *       403:
+ *         description: Manager cấu hình cho rạp khác
+ */
+router.get('/turnaround-buffers', authMiddleware, authorizeRoles('Admin', 'Manager'), operatingHoursController.listTurnaroundBuffers);
+router.put('/turnaround-buffers', authMiddleware, authorizeRoles('Admin', 'Manager'), operatingHoursController.upsertTurnaroundBuffer);
+
+/**
+ * @swagger
+ * /api/operating-hours/turnaround-buffers/{bufferId}:
+ *   delete:
+ *     summary: Xóa cấu hình thời gian dọn dẹp (Admin/Manager)
+ *     tags: [Operating Hours]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bufferId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Đã xóa, loại phòng quay về cấu hình chung hoặc mặc định
+ *       403:
+ *         description: Manager xóa cấu hình chung hoặc của rạp khác
+ *       404:
+ *         description: Không tìm thấy cấu hình
+ */
+router.delete('/turnaround-buffers/:bufferId', authMiddleware, authorizeRoles('Admin', 'Manager'), operatingHoursController.deleteTurnaroundBuffer);
+
+/**
+ * @swagger
+ * /api/operating-hours/cinemas/{cinemaId}:
+ *   get:
+ *     summary: Giờ hoạt động của rạp (Public)
+ *     description: Trả về giờ hoạt động theo thứ, các ngày ngoại lệ sắp tới và giờ hiệu lực của ngày truyền vào (nếu có).
+ *     tags: [Operating Hours]
+ *     parameters:
+ *       - in: path
+ *         name: cinemaId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: "{ weekly, exceptions, effective }"
+ *       404:
+ *         description: Không tìm thấy rạp
+ *   put:
+ *     summary: Cập nhật giờ hoạt động theo thứ (Admin/Manager)
+ *     description: >
+ *       Chỉ các thứ được gửi lên bị thay đổi; UseDefault = true đưa thứ đó về giờ mặc định.
+ *       Kết quả kèm danh sách suất chiếu trong 30 ngày tới nằm ngoài giờ mới để Manager điều chỉnh.
+ *     tags: [Operating Hours]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: cinemaId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - Days
+ *             properties:
+ *               Days:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     DayOfWeek:
+ *                       type: integer
+ *                       minimum: 0
+ *                       maximum: 6
+ *                       description: 0 = Chủ nhật ... 6 = Thứ bảy
+ *                     OpenTime:
+ *                       type: string
+ *                       example: "08:30"
+ *                     CloseTime:
+ *                       type: string
+ *                       example: "23:59"
+ *                     UseDefault:
+ *                       type: boolean
+ *     responses:
+ *       200:
+ *         description: Giờ hoạt động mới và các suất chiếu nằm ngoài giờ mới
+ *       400:
+ *         description: Giờ không hợp lệ
+ *       403:
+ *         description: Manager cấu hình cho rạp khác
+ */
+router.get('/cinemas/:cinemaId', operatingHoursController.getCinemaHours);
+router.put('/cinemas/:cinemaId', authMiddleware, authorizeRoles('Admin', 'Manager'), operatingHoursController.setWeeklyHours);
+
+/**
+ * @swagger
+ * /api/operating-hours/cinemas/{cinemaId}/exceptions:
+ *   post:
+ *     summary: Đặt giờ hoạt động riêng cho một ngày (Admin/Manager)
+ *     description: >
+ *       Dùng cho các đêm chiếu muộn hoặc suất công chiếu sớm; ghi đè giờ theo thứ của ngày đó.
+ *       Gửi lại cùng ngày để cập nhật.
+ *     tags: [Operating Hours]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: cinemaId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - Date
+ *               - OpenTime
+ *               - CloseTime
+ *             properties:
+ *               Date:
+ *                 type: string
+ *                 format: date
+ *               OpenTime:
+ *                 type: string
+ *                 example: "09:00"
+ *               CloseTime:
+ *                 type: string
+ *                 example: "23:59"
+ *               Reason:
+ *                 type: string
+ *                 example: "Suất chiếu đêm công chiếu"
+ *     responses:
+ *       200:
+ *         description: Đã cập nhật
+ *       201:
+ *         description: Đã tạo
+ *       400:
+ *         description: Ngày hoặc giờ không hợp lệ
+ */
+router.post('/cinemas/:cinemaId/exceptions', authMiddleware, authorizeRoles('Admin', 'Manager'), operatingHoursController.upsertException);
+
+/**
+ * @swagger
+ * /api/operating-hours/cinemas/{cinemaId}/exceptions/{exceptionId}:
+ *   delete:
+ *     summary: Xóa giờ hoạt động ngoại lệ (Admin/Manager)
+ *     tags: [Operating Hours]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: cinemaId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: exceptionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Đã xóa, kèm các suất chiếu của ngày đó nằm ngoài giờ theo thứ
+ *       404:
+ *         description: Không tìm thấy ngoại lệ
+ */
+router.delete('/cinemas/:cinemaId/exceptions/:exceptionId', authMiddleware, authorizeRoles('Admin', 'Manager'), operatingHoursController.deleteException);
+
+module.exports = router;
@@ -0,0 +1,165 @@
+// src/routes/paymentRoutes.js
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Payments
+ *   description: API thanh toán chung qua payment provider (PayOS, tiền mặt tại quầy, Mock cho môi trường local)
+ */
+
+/**
+ * @swagger
+ * /api/payments/providers:
+ *   get:
+ *     summary: Danh sách payment provider
+ *     description: >
+ *       Trả về các provider đang đăng ký (payos, cash, mock), trạng thái khả dụng và provider mặc định
+ *       cho thanh toán online. Provider mặc định là PayOS, trừ khi đặt PAYMENT_PROVIDER=mock.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Danh sách provider
+ */
+router.get('/providers', authMiddleware, paymentController.getProviders);
+
+/**
+ * @swagger
+ * /api/payments/webhook/{provider}:
+ *   post:
+ *     summary: Nhận webhook từ payment provider
+ *     description: >
+ *       Xác thực chữ ký webhook rồi cập nhật trạng thái thanh toán và đơn đặt vé. Giao dịch phải được tạo
+ *       bởi đúng provider và số tiền phải khớp. Provider chưa bật (Mock khi chưa có MOCK_PAYMENT_SECRET, hoặc trên production khi chưa đặt PAYMENT_MOCK_ENABLED=true) bị từ chối.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [payos, mock]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Đã xử lý webhook
+ *       400:
+ *         description: Webhook không hợp lệ
+ *       403:
+ *         description: Provider không được bật
+ */
+router.post('/webhook/:provider', paymentController.handleWebhook);
+
+/**
+ * @swagger
+ * /api/payments/mock/checkout/{reference}:
+ *   get:
+ *     summary: Trang checkout giả lập của Mock provider
+ *     description: >
+ *       Không có tham số result thì trả về trạng thái giao dịch giả lập.
+ *       result=success gửi webhook thanh toán thành công, result=failure gửi webhook hủy thanh toán.
+ *       Cần MOCK_PAYMENT_SECRET; trên production còn cần PAYMENT_MOCK_ENABLED=true.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: reference
+ *         required: true
+ *         description: orderCode của giao dịch giả lập
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: result
+ *         schema:
+ *           type: string
+ *           enum: [success, failure]
+ *     responses:
+ *       200:
+ *         description: Kết quả xử lý
+ *       404:
+ *         description: Không tìm thấy giao dịch hoặc Mock provider không được bật
+ */
+router.get('/mock/checkout/:reference', paymentController.mockCheckout);
+
+/**
+ * @swagger
+ * /api/payments/{bookingId}/charge:
+ *   post:
+ *     summary: Tạo thanh toán cho đơn đặt vé
+ *     description: >
+ *       Tạo thanh toán qua provider được chọn. Bỏ trống provider để dùng provider online mặc định.
+ *       Provider cash (xác nhận đã thu tiền mặt tại quầy) chỉ dành cho Staff/Admin/Manager.
+ *       Với provider mock, scenario quyết định webhook giả lập: success, failure, delayed (webhook đến trễ)
+ *       hoặc manual (hoàn tất qua URL checkout giả lập).
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               provider:
+ *                 type: string
+ *                 enum: [payos, cash, mock]
+ *               scenario:
+ *                 type: string
+ *                 enum: [success, failure, delayed, manual]
+ *     responses:
+ *       200:
+ *         description: Tạo thanh toán thành công
+ *       400:
+ *         description: Provider không hợp lệ hoặc đơn không ở trạng thái chờ thanh toán
+ *       403:
+ *         description: Không có quyền thanh toán đơn này
+ *       404:
+ *         description: Không tìm thấy đơn đặt vé
+ */
+router.post('/:bookingId/charge', authMiddleware, paymentController.createCharge);
+
+/**
+ * @swagger
+ * /api/payments/{provider}/status/{reference}:
+ *   get:
+ *     summary: Trạng thái giao dịch theo provider
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [payos, cash, mock]
+ *       - in: path
+ *         name: reference
+ *         required: true
+ *         description: orderCode/Payment_Reference của giao dịch
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Trạng thái giao dịch đã chuẩn hóa (PENDING, PAID, CANCELLED, FAILED, EXPIRED)
+ *       404:
+ *         description: Không tìm thấy giao dịch
+ */
+router.get('/:provider/status/:reference', authMiddleware, paymentController.getStatus);
+
+module.exports = router;
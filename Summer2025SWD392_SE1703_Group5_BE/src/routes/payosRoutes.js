@@ -3,7 +3,7 @@
  */
 const express = require('express');
 const PayOSController = require('../controllers/payosController');
-const { authMiddleware } = require('../middlewares/authMiddleware');
+const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddleware');
 
 const router = express.Router();
 const payosController = new PayOSController();
@@ -393,4 +393,380 @@ router.get('/staff/payment-info/:bookingId', authMiddleware, (req, res) => {
     payosController.getPaymentInfoForStaff(req, res);
 });
 
+/**
+ * @swagger
+ * /api/payos/refunds:
+ *   get:
+ *     summary: Lấy danh sách yêu cầu hoàn tiền (Chỉ Admin/Manager)
+ *     description: >
+ *       Yêu cầu hoàn tiền được tạo tự động khi khách hủy vé và chọn hoàn tiền.
+ *       Quy trình: Requested → Approved → Processed hoặc Failed (Failed có thể được duyệt lại).
+ *     tags: [PayOS]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Requested, Approved, Processed, Failed]
+ *       - in: query
+ *         name: bookingId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: paymentMethod
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Danh sách yêu cầu hoàn tiền
+ *       403:
+ *         description: Không có quyền truy cập
+ */
+router.get('/refunds', authMiddleware, authorizeRoles('Admin', 'Manager'), (req, res) => {
+    payosController.getRefundRequests(req, res);
+});
+
+/**
+ * @swagger
+ * /api/payos/refunds/{refundId}:
+ *   get:
+ *     summary: Lấy chi tiết yêu cầu hoàn tiền (Chỉ Admin/Manager)
+ *     tags: [PayOS]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: refundId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Chi tiết yêu cầu hoàn tiền kèm giao dịch gốc và dòng hoàn tiền
+ *       404:
+ *         description: Không tìm thấy yêu cầu hoàn tiền
+ */
+router.get('/refunds/:refundId', authMiddleware, authorizeRoles('Admin', 'Manager'), (req, res) => {
+    payosController.getRefundRequestById(req, res);
+});
+
+/**
+ * @swagger
+ * /api/payos/refunds/{refundId}/approve:
+ *   put:
+ *     summary: Duyệt yêu cầu hoàn tiền (Chỉ Admin/Manager)
+ *     description: Với giao dịch PayOS, hệ thống kiểm tra đơn gốc đã được thanh toán đủ trên PayOS trước khi duyệt.
+ *     tags: [PayOS]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: refundId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Đã duyệt
+ *       400:
+ *         description: Trạng thái không cho phép duyệt hoặc đơn PayOS chưa được thanh toán
+ *       409:
+ *         description: Yêu cầu vừa được người khác cập nhật
+ */
+router.put('/refunds/:refundId/approve', authMiddleware, authorizeRoles('Admin', 'Manager'), (req, res) => {
+    payosController.approveRefund(req, res);
+});
+
+/**
+ * @swagger
+ * /api/payos/refunds/{refundId}/process:
+ *   put:
+ *     summary: Xác nhận đã chuyển tiền hoàn cho khách (Chỉ Admin/Manager)
+ *     tags: [PayOS]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: refundId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - transactionReference
+ *             properties:
+ *               transactionReference:
+ *                 type: string
+ *                 description: Mã giao dịch chuyển khoản hoàn tiền
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Yêu cầu chuyển sang Processed
+ *       400:
+ *         description: Yêu cầu chưa được duyệt hoặc thiếu mã giao dịch
+ *       409:
+ *         description: Yêu cầu vừa được người khác cập nhật
+ */
+router.put('/refunds/:refundId/process', authMiddleware, authorizeRoles('Admin', 'Manager'), (req, res) => {
+    payosController.processRefund(req, res);
+});
+
+/**
+ * @swagger
+ * /api/payos/refunds/{refundId}/fail:
+ *   put:
+ *     summary: Ghi nhận chuyển tiền hoàn thất bại (Chỉ Admin/Manager)
+ *     tags: [PayOS]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: refundId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Yêu cầu chuyển sang Failed
+ *       409:
+ *         description: Yêu cầu vừa được người khác cập nhật
+ */
+router.put('/refunds/:refundId/fail', authMiddleware, authorizeRoles('Admin', 'Manager'), (req, res) => {
+    payosController.failRefund(req, res);
+});
+
+/**
+ * @swagger
+ * /api/payos/reconciliation:
+ *   get:
+ *     summary: Báo cáo đối soát PayOS (Chỉ Admin/Manager)
+ *     description: >
+ *       Kết quả đối soát hằng đêm giữa database và PayOS - số tiền lệch, trạng thái lệch,
+ *       payment mồ côi, booking bị kẹt ở trạng thái Pending - kèm tổng hợp yêu cầu hoàn tiền.
+ *     tags: [PayOS]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Open, Resolved]
+ *       - in: query
+ *         name: issueType
+ *         schema:
+ *           type: string
+ *           enum: [AMOUNT_MISMATCH, STATUS_MISMATCH, ORPHAN_PAYMENT, STUCK_PENDING_BOOKING, PROVIDER_ERROR]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Báo cáo đối soát
+ */
+router.get('/reconciliation', authMiddleware, authorizeRoles('Admin', 'Manager'), (req, res) => {
+    payosController.getReconciliationReport(req, res);
+});
+
+/**
+ * @swagger
+ * /api/payos/reconciliation/run:
+ *   post:
+ *     summary: Chạy đối soát PayOS ngay (Chỉ Admin/Manager)
+ *     tags: [PayOS]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               lookbackDays:
+ *                 type: integer
+ *                 description: Số ngày giao dịch gần đây cần đối soát (mặc định 3)
+ *     responses:
+ *       200:
+ *         description: Tóm tắt kết quả đối soát
+ *       409:
+ *         description: Đang có lượt đối soát khác chạy
+ */
+router.post('/reconciliation/run', authMiddleware, authorizeRoles('Admin', 'Manager'), (req, res) => {
+    payosController.runReconciliation(req, res);
+});
+
+/**
+ * @swagger
+ * /api/payos/reconciliation/{issueId}/resolve:
+ *   put:
+ *     summary: Đánh dấu sai lệch đối soát đã xử lý (Chỉ Admin/Manager)
+ *     tags: [PayOS]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: issueId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Đã xử lý
+ *       404:
+ *         description: Không tìm thấy sai lệch
+ */
+router.put('/reconciliation/:issueId/resolve', authMiddleware, authorizeRoles('Admin', 'Manager'), (req, res) => {
+    payosController.resolveReconciliationIssue(req, res);
+});
+
+/**
+ * @swagger
+ * /api/payos/webhook-events:
+ *   get:
+ *     summary: Danh sách sự kiện webhook thanh toán đã nhận (Chỉ Admin/Manager)
+ *     description: >
+ *       Mọi webhook gửi về (kể cả gửi lại, chữ ký sai) đều được lưu kèm orderCode và chữ ký,
+ *       dùng làm audit trail khi có tranh chấp thanh toán.
+ *     tags: [PayOS]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Received, Processing, Processed, Duplicate, Failed, Ignored, Rejected]
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *           enum: [payos, mock]
+ *       - in: query
+ *         name: orderCode
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: bookingId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Danh sách sự kiện (không kèm payload)
+ */
+router.get('/webhook-events', authMiddleware, authorizeRoles('Admin', 'Manager'), (req, res) => {
+    payosController.getWebhookEvents(req, res);
+});
+
+/**
+ * @swagger
+ * /api/payos/webhook-events/{eventId}:
+ *   get:
+ *     summary: Chi tiết sự kiện webhook kèm payload gốc (Chỉ Admin/Manager)
+ *     tags: [PayOS]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Chi tiết sự kiện
+ *       404:
+ *         description: Không tìm thấy sự kiện
+ */
+router.get('/webhook-events/:eventId', authMiddleware, authorizeRoles('Admin', 'Manager'), (req, res) => {
+    payosController.getWebhookEventById(req, res);
+});
+
+/**
+ * @swagger
+ * /api/payos/webhook-events/{eventId}/replay:
+ *   post:
+ *     summary: Xử lý lại sự kiện webhook bị lỗi (Chỉ Admin/Manager)
+ *     description: >
+ *       Chỉ replay được sự kiện Failed, Received hoặc kẹt ở Processing quá 10 phút.
+ *       Payment đã được xử lý sẽ không bị cộng điểm/gửi thông báo lần nữa.
+ *     tags: [PayOS]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Đã xử lý lại
+ *       400:
+ *         description: Sự kiện không thể replay (chữ ký sai hoặc đã xử lý)
+ *       404:
+ *         description: Không tìm thấy sự kiện
+ *       409:
+ *         description: Sự kiện đang được xử lý
+ */
+router.post('/webhook-events/:eventId/replay', authMiddleware, authorizeRoles('Admin', 'Manager'), (req, res) => {
+    payosController.replayWebhookEvent(req, res);
+});
+
 module.exports = router;
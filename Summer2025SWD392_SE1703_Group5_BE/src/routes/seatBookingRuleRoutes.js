@@ -0,0 +1,132 @@
+// src/routes/seatBookingRuleRoutes.js
+const express = require('express');
+const router = express.Router();
+const seatBookingRuleController = require('../controllers/seatBookingRuleController');
+const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddleware');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Seat Booking Rules
+ *   description: >
+ *     Bộ quy tắc đặt ghế cấu hình theo rạp và loại phòng: MAX_SEATS_PER_BOOKING, ADJACENT_SEATS, GAP_PREVENTION,
+ *     AISLE_ORPHAN, SOCIAL_DISTANCING, COUPLE_SEAT_PAIRS, COMPANION_SEATS, ACCESSIBLE_HOLDBACK. Mỗi cấu hình bật/tắt và ghi đè tham số cho một phạm vi
+ *     (cinemaId, roomType; bỏ trống = tất cả). Cấu hình cụ thể nhất được áp dụng: rạp + loại phòng > rạp > loại phòng > toàn hệ thống > mặc định.
+ *     Vi phạm khi đặt vé trả về code SEAT_RULE_VIOLATION kèm danh sách violations có mã lỗi riêng của từng quy tắc.
+ */
+
+/**
+ * @swagger
+ * /api/seat-booking-rules:
+ *   get:
+ *     summary: Danh sách quy tắc hỗ trợ và các cấu hình ghi đè (Admin/Manager)
+ *     description: Manager chỉ thấy cấu hình chung và cấu hình của rạp mình.
+ *     tags: [Seat Booking Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cinemaId
+ *         schema:
+ *           type: integer
+ *         description: Chỉ lấy cấu hình chung và cấu hình của rạp này
+ *     responses:
+ *       200:
+ *         description: "{ definitions, configs }"
+ *   put:
+ *     summary: Tạo hoặc cập nhật cấu hình một quy tắc cho phạm vi rạp / loại phòng (Admin/Manager)
+ *     description: Manager chỉ cấu hình được cho rạp của mình (cinemaId mặc định là rạp của Manager).
+ *     tags: [Seat Booking Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ruleCode
+ *             properties:
+ *               ruleCode:
+ *                 type: string
+ *                 enum: [MAX_SEATS_PER_BOOKING, ADJACENT_SEATS, GAP_PREVENTION, AISLE_ORPHAN, SOCIAL_DISTANCING, COUPLE_SEAT_PAIRS, COMPANION_SEATS, ACCESSIBLE_HOLDBACK]
+ *               cinemaId:
+ *                 type: integer
+ *                 nullable: true
+ *               roomType:
+ *                 type: string
+ *                 nullable: true
+ *                 example: IMAX
+ *               enabled:
+ *                 type: boolean
+ *               parameters:
+ *                 type: object
+ *                 example: { "seatsBetweenGroups": 2, "rowsBetweenGroups": 1 }
+ *     responses:
+ *       200:
+ *         description: Đã cập nhật cấu hình
+ *       201:
+ *         description: Đã tạo cấu hình
+ *       400:
+ *         description: Quy tắc hoặc tham số không hợp lệ
+ *       403:
+ *         description: Manager cấu hình cho rạp khác
+ */
+router.get('/', authMiddleware, authorizeRoles('Admin', 'Manager'), seatBookingRuleController.listRules);
+router.put('/', authMiddleware, authorizeRoles('Admin', 'Manager'), seatBookingRuleController.upsertRule);
+
+/**
+ * @swagger
+ * /api/seat-booking-rules/effective:
+ *   get:
+ *     summary: Bộ quy tắc đang áp dụng cho một suất chiếu hoặc một rạp / loại phòng
+ *     tags: [Seat Booking Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: showtimeId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: cinemaId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: roomType
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "{ cinemaId, roomType, rules: { RULE_CODE: { enabled, parameters, source } } }"
+ *       404:
+ *         description: Không tìm thấy suất chiếu
+ */
+router.get('/effective', authMiddleware, seatBookingRuleController.getEffectiveRules);
+
+/**
+ * @swagger
+ * /api/seat-booking-rules/{seatRuleId}:
+ *   delete:
+ *     summary: Xóa cấu hình ghi đè, phạm vi đó dùng lại cấu hình chung (Admin/Manager)
+ *     tags: [Seat Booking Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seatRuleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Đã xóa cấu hình
+ *       403:
+ *         description: Manager xóa cấu hình của rạp khác hoặc cấu hình chung
+ *       404:
+ *         description: Không tìm thấy cấu hình
+ */
+router.delete('/:seatRuleId', authMiddleware, authorizeRoles('Admin', 'Manager'), seatBookingRuleController.deleteRule);
+
+module.exports = router;
@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const seatLayoutController = require('../controllers/seatLayoutController');
+const seatLayoutVersionController = require('../controllers/seatLayoutVersionController');
 const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddleware');
 const { seatLayoutValidation } = require('../middlewares/validation');
 
@@ -33,11 +34,19 @@ const { seatLayoutValidation } = require('../middlewares/validation');
  *           example: "A"
  *         Column_Number:
  *           type: integer
- *           description: Số cột ghế
+ *           description: Số cột ghế (cột đầu tiên với ghế chiếm nhiều cột)
  *           example: 5
+ *         Column_Span:
+ *           type: integer
+ *           description: Số cột ghế chiếm (2 với ghế Sweetbox)
+ *           example: 1
+ *         Seat_Label:
+ *           type: string
+ *           description: Vị trí ghế in trên vé ("H5", ghế chiếm nhiều cột là "H5-6")
+ *           example: "A5"
  *         Seat_Type:
  *           type: string
- *           enum: [Regular, VIP, Premium, Economy, Couple]
+ *           enum: [Regular, VIP, Premium, Economy, Couple, Wheelchair, Companion, Sweetbox]
  *           description: Loại ghế
  *           example: "VIP"
  *         Is_Active:
@@ -76,9 +85,17 @@ const { seatLayoutValidation } = require('../middlewares/validation');
  *                 example: "A"
  *               SeatType:
  *                 type: string
- *                 enum: [Regular, VIP, Premium, Economy, Couple]
- *                 description: Loại ghế
+ *                 enum: [Regular, VIP, Premium, Economy, Couple, Wheelchair, Companion, Sweetbox]
+ *                 description: Loại ghế. Sweetbox là ghế đôi liền khối, bán và tính giá như một ghế
  *                 example: "VIP"
+ *               SeatSpan:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 4
+ *                 description: >
+ *                   Số cột mỗi ghế chiếm (mặc định 2 với Sweetbox, 1 với loại khác). Ghế được đánh số theo cột đầu tiên
+ *                   (H5 chiếm cột 5-6); số cột còn lại của hàng sau khi trừ cột trống phải xếp vừa các ghế
+ *                 example: 2
  *               EmptyColumns:
  *                 type: array
  *                 items:
@@ -95,9 +112,15 @@ const { seatLayoutValidation } = require('../middlewares/validation');
  *       properties:
  *         SeatType:
  *           type: string
- *           enum: [Regular, VIP]
+ *           enum: [Regular, VIP, Sweetbox]
  *           description: Loại ghế
  *           example: "Regular"
+ *         SeatSpan:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 4
+ *           description: Số cột mỗi ghế chiếm (mặc định 2 với Sweetbox, 1 với loại khác)
+ *           example: 1
  *         RowsInput:
  *           type: string
  *           description: Danh sách hàng ghế (A,B,C hoặc A-E)
@@ -126,8 +149,8 @@ const { seatLayoutValidation } = require('../middlewares/validation');
  *       properties:
  *         SeatType:
  *           type: string
- *           enum: [Regular, VIP, Premium, Economy, Couple]
- *           description: Loại ghế mới
+ *           enum: [Regular, VIP, Premium, Economy, Couple, Wheelchair, Companion]
+ *           description: Loại ghế mới. Companion (ghế người đi kèm) phải nằm sát một chỗ Wheelchair trong cùng hàng
  *           example: "VIP"
  *         IsActive:
  *           type: boolean
@@ -149,8 +172,8 @@ const { seatLayoutValidation } = require('../middlewares/validation');
  *           example: [1, 2, 3, 4, 5]
  *         SeatType:
  *           type: string
- *           enum: [Regular, VIP, Premium, Economy, Couple]
- *           description: Loại ghế mới
+ *           enum: [Regular, VIP, Premium, Economy, Couple, Wheelchair, Companion]
+ *           description: Loại ghế mới. Companion (ghế người đi kèm) phải nằm sát một chỗ Wheelchair trong cùng hàng
  *           example: "VIP"
  *         IsActive:
  *           type: boolean
@@ -245,8 +268,8 @@ router.get('/room/:roomId', seatLayoutController.getSeatLayout);
  *     summary: Lấy lịch sử thay đổi sơ đồ ghế của phòng (Chỉ Admin/Manager)
  *     description: >
  *       API này cho phép người dùng có vai trò Admin hoặc Manager xem lịch sử thay đổi sơ đồ ghế của một phòng chiếu.
- *       Kết quả trả về bao gồm tất cả các lần thay đổi cấu hình ghế, thời gian thay đổi, và người thực hiện thay đổi.
- *       Đây là công cụ quan trọng để theo dõi và kiểm toán các thay đổi về cấu trúc phòng chiếu.
+ *       Mỗi phần tử là một phiên bản đã phát hành (mới nhất trước) kèm người phát hành, thời gian phát hành
+ *       và số ghế thêm / bỏ / đổi loại so với phiên bản liền trước. Manager chỉ xem được phòng thuộc rạp của mình.
  *     tags: [SeatLayout]
  *     security:
  *       - bearerAuth: []
@@ -257,6 +280,16 @@ router.get('/room/:roomId', seatLayoutController.getSeatLayout);
  *         schema:
  *           type: integer
  *         description: ID của phòng chiếu
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
  *     responses:
  *       200:
  *         description: Lịch sử thay đổi sơ đồ ghế
@@ -271,6 +304,314 @@ router.get('/room/:roomId', seatLayoutController.getSeatLayout);
  */
 router.get('/layout-history/:roomId', authMiddleware, authorizeRoles('Admin', 'Manager'), seatLayoutController.getSeatLayoutHistory);
 
+/**
+ * @swagger
+ * /api/seat-layouts/drafts/{roomId}:
+ *   get:
+ *     summary: Lấy bản nháp sơ đồ ghế của phòng (Chỉ Admin/Manager)
+ *     description: >
+ *       Trả về bản nháp đang mở của phòng, danh sách ghế trong bản nháp và thay đổi so với sơ đồ đang áp dụng
+ *       (ghế thêm, bỏ, đổi loại, đổi số cột). Bản nháp không ảnh hưởng tới việc bán vé cho tới khi được phát hành.
+ *     tags: [SeatLayout]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID của phòng chiếu
+ *     responses:
+ *       200:
+ *         description: Bản nháp sơ đồ ghế
+ *       403:
+ *         description: Manager không quản lý rạp của phòng này
+ *       404:
+ *         description: Không tìm thấy phòng chiếu hoặc phòng chưa có bản nháp
+ *   post:
+ *     summary: Tạo bản nháp sơ đồ ghế (Chỉ Admin/Manager)
+ *     description: >
+ *       Tạo bản nháp từ sơ đồ đang áp dụng, hoặc từ một phiên bản đã phát hành nếu truyền FromVersionId.
+ *       Mỗi phòng chỉ có một bản nháp tại một thời điểm. Lần đầu sử dụng, sơ đồ hiện tại được lưu thành phiên bản 1.
+ *     tags: [SeatLayout]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               FromVersionId:
+ *                 type: integer
+ *                 description: Phiên bản dùng làm gốc (mặc định là sơ đồ đang áp dụng)
+ *               Note:
+ *                 type: string
+ *                 example: "Thêm hàng ghế Sweetbox cuối phòng"
+ *     responses:
+ *       201:
+ *         description: Đã tạo bản nháp
+ *       404:
+ *         description: Không tìm thấy phòng chiếu hoặc phiên bản gốc
+ *       409:
+ *         description: Phòng đã có bản nháp
+ *   put:
+ *     summary: Chỉnh sửa bản nháp sơ đồ ghế (Chỉ Admin/Manager)
+ *     description: >
+ *       Các thay đổi được áp dụng theo thứ tự RemoveRows, Rows, RemoveSeats, SeatTypes.
+ *       Rows cấu hình lại toàn bộ hàng giống API cấu hình sơ đồ ghế (cần ColumnsPerRow).
+ *       Ghế đi kèm phải nằm sát một chỗ xe lăn và các ghế trong một hàng không được chồng cột.
+ *     tags: [SeatLayout]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ColumnsPerRow:
+ *                 type: integer
+ *                 example: 12
+ *               Rows:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     RowLabel:
+ *                       type: string
+ *                       example: "K"
+ *                     SeatType:
+ *                       type: string
+ *                       example: "Sweetbox"
+ *                     SeatSpan:
+ *                       type: integer
+ *                       example: 2
+ *                     EmptyColumns:
+ *                       type: array
+ *                       items:
+ *                         type: integer
+ *               RemoveRows:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["L"]
+ *               RemoveSeats:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["A1", "A12"]
+ *               SeatTypes:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     Seat:
+ *                       type: string
+ *                       example: "E5"
+ *                     SeatType:
+ *                       type: string
+ *                       example: "VIP"
+ *               Note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Bản nháp sau khi chỉnh sửa kèm thay đổi so với sơ đồ đang áp dụng
+ *       400:
+ *         description: Thay đổi không hợp lệ
+ *       404:
+ *         description: Phòng chưa có bản nháp
+ *   delete:
+ *     summary: Hủy bản nháp sơ đồ ghế (Chỉ Admin/Manager)
+ *     tags: [SeatLayout]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Đã hủy bản nháp
+ *       404:
+ *         description: Phòng chưa có bản nháp
+ */
+router.get('/drafts/:roomId', authMiddleware, authorizeRoles('Admin', 'Manager'), seatLayoutVersionController.getDraft);
+router.post('/drafts/:roomId', authMiddleware, authorizeRoles('Admin', 'Manager'), seatLayoutVersionController.createDraft);
+router.put('/drafts/:roomId', authMiddleware, authorizeRoles('Admin', 'Manager'), seatLayoutVersionController.updateDraft);
+router.delete('/drafts/:roomId', authMiddleware, authorizeRoles('Admin', 'Manager'), seatLayoutVersionController.discardDraft);
+
+/**
+ * @swagger
+ * /api/seat-layouts/drafts/{roomId}/diff:
+ *   get:
+ *     summary: So sánh bản nháp với sơ đồ đang áp dụng (Chỉ Admin/Manager)
+ *     description: >
+ *       Trả về danh sách ghế thêm (added), bỏ (removed), đổi loại (retyped), đổi số cột (resized)
+ *       và bảng tổng hợp số lượng để Manager kiểm tra trước khi phát hành.
+ *     tags: [SeatLayout]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Kết quả so sánh
+ *       404:
+ *         description: Phòng chưa có bản nháp
+ */
+router.get('/drafts/:roomId/diff', authMiddleware, authorizeRoles('Admin', 'Manager'), seatLayoutVersionController.diffDraft);
+
+/**
+ * @swagger
+ * /api/seat-layouts/drafts/{roomId}/publish:
+ *   post:
+ *     summary: Phát hành bản nháp sơ đồ ghế (Chỉ Admin/Manager)
+ *     description: >
+ *       Áp dụng bản nháp cho phòng trong một transaction và đánh số phiên bản mới.
+ *       Bị từ chối (409) nếu ghế bị bỏ, đổi loại hoặc đổi số cột đang có đơn chờ thanh toán
+ *       hoặc đã bán vé cho suất chiếu sắp tới. Ghế bị bỏ chỉ ngừng hoạt động để vé cũ vẫn tra cứu được.
+ *     tags: [SeatLayout]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Đã phát hành, trả về phiên bản mới và các thay đổi đã áp dụng
+ *       400:
+ *         description: Bản nháp không có thay đổi hoặc số ghế ngoài giới hạn cho phép
+ *       404:
+ *         description: Phòng chưa có bản nháp
+ *       409:
+ *         description: Ghế bị thay đổi đang có đơn chờ thanh toán hoặc đã bán vé cho suất chiếu sắp tới
+ */
+router.post('/drafts/:roomId/publish', authMiddleware, authorizeRoles('Admin', 'Manager'), seatLayoutVersionController.publishDraft);
+
+/**
+ * @swagger
+ * /api/seat-layouts/versions/{roomId}:
+ *   get:
+ *     summary: Danh sách phiên bản sơ đồ ghế đã phát hành (Chỉ Admin/Manager)
+ *     tags: [SeatLayout]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Danh sách phiên bản, mới nhất trước
+ */
+router.get('/versions/:roomId', authMiddleware, authorizeRoles('Admin', 'Manager'), seatLayoutVersionController.listVersions);
+
+/**
+ * @swagger
+ * /api/seat-layouts/versions/{roomId}/{versionId}:
+ *   get:
+ *     summary: Chi tiết một phiên bản sơ đồ ghế (Chỉ Admin/Manager)
+ *     description: Trả về danh sách ghế của phiên bản và thay đổi so với sơ đồ đang áp dụng.
+ *     tags: [SeatLayout]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: versionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Chi tiết phiên bản
+ *       404:
+ *         description: Không tìm thấy phiên bản
+ */
+router.get('/versions/:roomId/:versionId', authMiddleware, authorizeRoles('Admin', 'Manager'), seatLayoutVersionController.getVersion);
+
+/**
+ * @swagger
+ * /api/seat-layouts/versions/{roomId}/{versionId}/rollback:
+ *   post:
+ *     summary: Khôi phục một phiên bản sơ đồ ghế cũ (Chỉ Admin/Manager)
+ *     description: >
+ *       Tạo phiên bản mới có sơ đồ giống phiên bản được chọn và phát hành ngay, với cùng các kiểm tra như khi phát hành bản nháp.
+ *       Không thể khôi phục khi phòng đang có bản nháp.
+ *     tags: [SeatLayout]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: versionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               Note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Đã khôi phục
+ *       400:
+ *         description: Phiên bản đang được áp dụng hoặc số ghế ngoài giới hạn
+ *       404:
+ *         description: Không tìm thấy phiên bản
+ *       409:
+ *         description: Phòng đang có bản nháp, hoặc ghế bị thay đổi đã có đơn / vé cho suất chiếu sắp tới
+ */
+router.post('/versions/:roomId/:versionId/rollback', authMiddleware, authorizeRoles('Admin', 'Manager'), seatLayoutVersionController.rollbackToVersion);
+
 /**
  * @swagger
  * /api/seat-layouts/latest/{roomId}:
@@ -24,10 +24,21 @@ const authMiddleware = require('../middlewares/authMiddleware');
  *           description: Hàng ghế (A, B, C...)
  *         column:
  *           type: integer
- *           description: Cột ghế (1, 2, 3...)
+ *           description: Cột ghế (1, 2, 3...), cột đầu tiên với ghế chiếm nhiều cột
+ *         columnSpan:
+ *           type: integer
+ *           description: Số cột ghế chiếm trên sơ đồ (2 với ghế Sweetbox)
+ *         columns:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: Các cột ghế chiếm
+ *         seatLabel:
+ *           type: string
+ *           description: Vị trí ghế in trên vé ("H5" hoặc "H5-6")
  *         seatType:
  *           type: string
- *           description: Loại ghế (Thường, VIP)
+ *           description: Loại ghế (Thường, VIP, Xe lăn, Đi kèm, Sweetbox)
  *         status:
  *           type: string
  *           enum: [available, selecting, booked]
@@ -71,6 +82,9 @@ const authMiddleware = require('../middlewares/authMiddleware');
  * /api/seat-selection/showtime/{showtimeId}:
  *   get:
  *     summary: Lấy trạng thái tất cả ghế cho suất chiếu
+ *     description: >
+ *       Trả về snapshot có phiên bản (seq) giống event seats-snapshot của Socket.IO.
+ *       Sau snapshot, room showtime-{id} chỉ nhận event seat-delta; khi seq bị nhảy cóc client gửi resync-seats.
  *     tags: [Seat Selection]
  *     security:
  *       - bearerAuth: []
@@ -96,6 +110,9 @@ const authMiddleware = require('../middlewares/authMiddleware');
  *                   properties:
  *                     showtimeId:
  *                       type: integer
+ *                     seq:
+ *                       type: integer
+ *                       description: Phiên bản sơ đồ ghế; các event seat-delta có seq lớn hơn được áp dụng tiếp
  *                     seats:
  *                       type: array
  *                       items:
@@ -195,6 +212,120 @@ router.post('/deselect',
     seatSelectionController.deselectSeat
 );
 
+/**
+ * @swagger
+ * /api/seat-selection/best-available:
+ *   post:
+ *     summary: Tự động chọn nhóm ghế tốt nhất (quầy vé / kiosk)
+ *     description: >
+ *       Chấm điểm các ghế trống theo khoảng cách tới giữa hàng và hàng ưu tiên (khoảng 60% chiều sâu phòng),
+ *       tuân theo bộ quy tắc đặt ghế của rạp / loại phòng (ghế liền kề, không để trống ghế lẻ, ghế đôi...), bỏ qua ghế đang được người khác giữ.
+ *       Ưu tiên nhóm cùng hàng, chỉ chia ra 2 hàng liền kề khi không còn hàng đủ chỗ.
+ *       Với hold=true các ghế được giữ ngay như khi chọn trên sơ đồ. Socket.IO tương đương: event auto-select-seats.
+ *     tags: [Seat Selection]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [showtimeId, quantity]
+ *             properties:
+ *               showtimeId:
+ *                 type: integer
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 8
+ *                 example: 4
+ *               seatType:
+ *                 type: string
+ *                 example: VIP
+ *                 description: Bỏ trống thì không đề xuất chỗ xe lăn / ghế đi kèm (Wheelchair, Companion)
+ *               hold:
+ *                 type: boolean
+ *                 default: false
+ *               accessibilityRequested:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Khách cần hỗ trợ tiếp cận, được chọn chỗ xe lăn trong thời gian giữ ghế (ACCESSIBLE_HOLDBACK). Chỉ có hiệu lực với nhân viên (Staff/Admin/Manager)
+ *     responses:
+ *       200:
+ *         description: Nhóm ghế tốt nhất cùng các phương án dự phòng
+ *       400:
+ *         description: Dữ liệu đầu vào không hợp lệ, vượt số ghế tối đa của rạp (MAX_SEATS_EXCEEDED) hoặc suất chiếu không còn mở bán
+ *       404:
+ *         description: Không tìm thấy suất chiếu
+ *       409:
+ *         description: Không còn nhóm ghế phù hợp (NO_SEATS_AVAILABLE)
+ *       503:
+ *         description: Không giữ được ghế do hệ thống khóa ghế gián đoạn (SEAT_LOCK_UNAVAILABLE)
+ */
+router.post('/best-available',
+    authMiddleware.authMiddleware,
+    [
+        body('showtimeId').isInt().withMessage('Showtime ID phải là số nguyên'),
+        body('quantity').isInt({ min: 1, max: 8 }).withMessage('Số ghế phải từ 1 đến 8'),
+        body('seatType').optional().isString().withMessage('Loại ghế không hợp lệ'),
+        body('hold').optional().isBoolean().withMessage('hold phải là true hoặc false'),
+        body('accessibilityRequested').optional().isBoolean().withMessage('accessibilityRequested phải là true hoặc false')
+    ],
+    seatSelectionController.findBestAvailable
+);
+
+/**
+ * @swagger
+ * /api/seat-selection/validate:
+ *   post:
+ *     summary: Kiểm tra nhóm ghế theo quy tắc đặt ghế của rạp
+ *     description: >
+ *       Đánh giá nhóm ghế định đặt theo bộ quy tắc của rạp / loại phòng (số ghế tối đa, ghế liền kề, ghế trống lẻ,
+ *       ghế trống lẻ sát lối đi, giãn cách, ghế đôi theo cặp, ghế đi kèm cùng chỗ xe lăn, giữ ghế tiếp cận) mà không giữ ghế. Kết quả luôn trả 200, vi phạm nằm trong
+ *       data.violations với mã lỗi riêng (ORPHANED_SEAT, AISLE_ORPHAN_SEAT, COUPLE_SEAT_UNPAIRED, COMPANION_WITHOUT_WHEELCHAIR,
+ *       ACCESSIBLE_SEAT_HELD_BACK...).
+ *       Socket.IO tương đương: event validate-seat-selection, kết quả trả qua event seat-rules-result.
+ *     tags: [Seat Selection]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [showtimeId, seatIds]
+ *             properties:
+ *               showtimeId:
+ *                 type: integer
+ *               seatIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["E5", "E6"]
+ *               accessibilityRequested:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Chỉ có hiệu lực với nhân viên (Staff/Admin/Manager)
+ *     responses:
+ *       200:
+ *         description: Kết quả kiểm tra { valid, rule, errorCode, message, violations, rulesChecked }
+ *       400:
+ *         description: Dữ liệu đầu vào không hợp lệ hoặc ghế không thuộc phòng chiếu
+ *       404:
+ *         description: Không tìm thấy suất chiếu
+ */
+router.post('/validate',
+    authMiddleware.authMiddleware,
+    [
+        body('showtimeId').isInt().withMessage('Showtime ID phải là số nguyên'),
+        body('seatIds').isArray({ min: 1 }).withMessage('Vui lòng chọn ít nhất một ghế'),
+        body('accessibilityRequested').optional().isBoolean().withMessage('accessibilityRequested phải là true hoặc false')
+    ],
+    seatSelectionController.validateSeatSelection
+);
+
 /**
  * @swagger
  * /api/seat-selection/statistics:
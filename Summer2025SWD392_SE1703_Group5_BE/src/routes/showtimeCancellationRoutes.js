@@ -0,0 +1,189 @@
+// src/routes/showtimeCancellationRoutes.js
+const express = require('express');
+const router = express.Router();
+const showtimeCancellationController = require('../controllers/showtimeCancellationController');
+const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddleware');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Showtime Cancellations
+ *   description: >
+ *     Hủy suất chiếu đã có khách đặt vé (ẩn suất chiếu chỉ áp dụng cho suất chưa có đơn). Suất chiếu ngừng bán,
+ *     mọi đơn Pending / Confirmed được hủy với hoàn 100% (tiền qua yêu cầu hoàn tiền, điểm đã dùng được hoàn lại),
+ *     ghế đang giữ được giải phóng, khách nhận thông báo và email. Mỗi khách nhận một lời mời chuyển sang suất
+ *     thay thế (cùng phim, cùng rạp, còn đủ ghế); mở liên kết trong email và chọn suất là có đơn mới chờ thanh toán.
+ */
+
+/**
+ * @swagger
+ * /api/showtime-cancellations/offers/my:
+ *   get:
+ *     summary: Lời mời chuyển suất của người dùng đang đăng nhập
+ *     tags: [Showtime Cancellations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Danh sách lời mời
+ */
+router.get('/offers/my', authMiddleware, showtimeCancellationController.getMyOffers);
+
+/**
+ * @swagger
+ * /api/showtime-cancellations/offers/{token}:
+ *   get:
+ *     summary: Chi tiết lời mời chuyển suất theo token (không cần đăng nhập)
+ *     tags: [Showtime Cancellations]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lời mời kèm các suất thay thế và liên kết nhận một cú nhấp
+ *       404:
+ *         description: Không tìm thấy lời mời
+ */
+router.get('/offers/:token', showtimeCancellationController.getOffer);
+
+/**
+ * @swagger
+ * /api/showtime-cancellations/offers/{token}/accept:
+ *   post:
+ *     summary: Nhận lời mời và đặt vé ở suất thay thế (không cần đăng nhập)
+ *     description: >
+ *       Hệ thống tự chọn ghế tốt nhất với số ghế như đơn cũ và tạo đơn đặt vé mới (Pending) cho khách.
+ *       Đơn cũ đã được hoàn tiền đầy đủ nên khách thanh toán đơn mới như bình thường.
+ *     tags: [Showtime Cancellations]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ShowtimeId
+ *             properties:
+ *               ShowtimeId:
+ *                 type: integer
+ *                 description: Một trong các suất thay thế của lời mời
+ *     responses:
+ *       201:
+ *         description: Đã tạo đơn đặt vé mới
+ *       400:
+ *         description: Suất chiếu không thuộc lời mời
+ *       409:
+ *         description: Lời mời hết hạn / đã dùng, hoặc suất thay thế không còn đủ ghế
+ */
+router.post('/offers/:token/accept', showtimeCancellationController.acceptOffer);
+
+/**
+ * @swagger
+ * /api/showtime-cancellations/offers/{token}/decline:
+ *   post:
+ *     summary: Từ chối lời mời, chỉ nhận hoàn tiền (không cần đăng nhập)
+ *     tags: [Showtime Cancellations]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Đã từ chối lời mời
+ *       409:
+ *         description: Lời mời không còn hiệu lực
+ */
+router.post('/offers/:token/decline', showtimeCancellationController.declineOffer);
+
+/**
+ * @swagger
+ * /api/showtime-cancellations/{showtimeId}/preview:
+ *   get:
+ *     summary: Xem trước ảnh hưởng của việc hủy suất chiếu (Admin/Manager)
+ *     tags: [Showtime Cancellations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: showtimeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Số đơn, số vé, số tiền / điểm phải hoàn và các suất thay thế
+ */
+router.get('/:showtimeId/preview', authMiddleware, authorizeRoles('Admin', 'Manager'), showtimeCancellationController.previewCancellation);
+
+/**
+ * @swagger
+ * /api/showtime-cancellations/{showtimeId}:
+ *   get:
+ *     summary: Lịch sử hủy của suất chiếu kèm tình trạng lời mời chuyển suất (Admin/Manager)
+ *     tags: [Showtime Cancellations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: showtimeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Danh sách biên bản hủy
+ *   post:
+ *     summary: Hủy suất chiếu cùng toàn bộ đơn đặt vé (Admin/Manager)
+ *     description: >
+ *       Lỗi ở từng đơn không dừng cả thao tác mà được trả về trong failures; gọi lại với suất đã hủy
+ *       để xử lý tiếp các đơn còn hiệu lực.
+ *     tags: [Showtime Cancellations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: showtimeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - Reason
+ *             properties:
+ *               Reason:
+ *                 type: string
+ *                 example: "Sự cố máy chiếu"
+ *               OfferAlternatives:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Gửi lời mời chuyển sang suất thay thế cho khách
+ *     responses:
+ *       200:
+ *         description: Kết quả hủy, số tiền / điểm đã hoàn và các lời mời đã gửi
+ *       400:
+ *         description: Thiếu lý do hoặc suất chiếu đã kết thúc
+ *       403:
+ *         description: Suất chiếu không thuộc rạp của Manager
+ *       404:
+ *         description: Không tìm thấy suất chiếu
+ */
+router.get('/:showtimeId', authMiddleware, authorizeRoles('Admin', 'Manager'), showtimeCancellationController.getCancellations);
+router.post('/:showtimeId', authMiddleware, authorizeRoles('Admin', 'Manager'), showtimeCancellationController.cancelShowtime);
+
+module.exports = router;
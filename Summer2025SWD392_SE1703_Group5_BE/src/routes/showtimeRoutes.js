@@ -40,6 +40,30 @@ const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddlewar
  *           type: integer
  *         TotalSeats:
  *           type: integer
+ *     ShowtimeFormat:
+ *       type: object
+ *       properties:
+ *         Projection_Format:
+ *           type: string
+ *           enum: ['2D', '3D', 'IMAX', 'IMAX 3D', '4DX']
+ *           description: Phải được phòng chiếu hỗ trợ; mặc định theo loại phòng.
+ *         Language_Version:
+ *           type: string
+ *           enum: [Original, Subtitled, Dubbed, Narrated]
+ *           description: Nguyên bản / Phụ đề / Lồng tiếng / Thuyết minh.
+ *         Audio_Language:
+ *           type: string
+ *           example: Tiếng Anh
+ *         Subtitle_Language:
+ *           type: string
+ *           example: Tiếng Việt
+ *           description: Bắt buộc với suất chiếu phụ đề.
+ *         Has_Closed_Captions:
+ *           type: boolean
+ *           description: Có phụ đề CC (mô tả âm thanh cho người khiếm thính).
+ *         Has_Audio_Description:
+ *           type: boolean
+ *           description: Có thuyết minh hình ảnh AD cho người khiếm thị.
  *     ShowtimeCreate:
  *       type: object
  *       properties:
@@ -52,6 +76,8 @@ const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddlewar
  *           format: date
  *         Start_Time:
  *           type: string
+ *         Format:
+ *           $ref: '#/components/schemas/ShowtimeFormat'
  *     ShowtimeUpdate:
  *       type: object
  *       properties:
@@ -74,6 +100,20 @@ const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddlewar
  *         Date:
  *           type: string
  *           format: date
+ *         ProjectionFormat:
+ *           type: string
+ *           example: IMAX
+ *         LanguageVersion:
+ *           type: string
+ *           enum: [Original, Subtitled, Dubbed, Narrated]
+ *         AudioLanguage:
+ *           type: string
+ *         SubtitleLanguage:
+ *           type: string
+ *         ClosedCaptions:
+ *           type: boolean
+ *         AudioDescription:
+ *           type: boolean
  *     AutoScheduleRequest:
  *       type: object
  *       properties:
@@ -174,6 +214,148 @@ router.get('/rooms', showtimeController.getRooms);
  */
 router.put('/hide-all-showtimes', authMiddleware, authorizeRoles('Admin', 'Manager'), showtimeController.hideAllShowtimesForDate);
 
+/**
+ * @swagger
+ * /api/showtimes/auto-schedule:
+ *   post:
+ *     summary: Đề xuất lịch chiếu tự động cho cả rạp (Chỉ Admin/Manager)
+ *     description: >
+ *       Xếp lịch cho tất cả phòng đang hoạt động của rạp trong nhiều ngày (mặc định 7 ngày) từ danh sách phim
+ *       và tổng số suất mong muốn. Lịch đề xuất tuân theo thời lượng phim + thời gian dọn dẹp của loại phòng,
+ *       ngày công chiếu / ngày kết thúc của phim, ngày rạp đóng cửa, giờ hoạt động của rạp theo từng ngày
+ *       (xem /api/operating-hours) và các suất chiếu đã có.
+ *       Suất giờ vàng (PrimeTimeShows) được xếp trong PrimeTimeSlots (mặc định 18:00 - 22:00), RoomTypes giới hạn
+ *       loại phòng (IMAX, 3D...). API chỉ trả về đề xuất, chưa tạo suất chiếu; gửi danh sách Showtimes
+ *       (có thể đã chỉnh sửa) tới /api/showtimes/auto-schedule/commit để tạo.
+ *     tags: [Showtimes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - CinemaId
+ *               - Movies
+ *             properties:
+ *               CinemaId:
+ *                 type: integer
+ *                 example: 1
+ *               StartDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Ngày bắt đầu (mặc định hôm nay)
+ *               Days:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 14
+ *                 default: 7
+ *               RoomIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Chỉ xếp lịch cho các phòng này (mặc định tất cả phòng của rạp)
+ *               AllowEarlyShowtime:
+ *                 type: boolean
+ *                 description: Cho phép xếp suất chiếu sớm từ ngày phát hành, trước ngày công chiếu
+ *               PrimeTimeSlots:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     Start:
+ *                       type: string
+ *                       example: "18:00"
+ *                     End:
+ *                       type: string
+ *                       example: "22:00"
+ *               Movies:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - MovieId
+ *                     - ShowtimeCount
+ *                   properties:
+ *                     MovieId:
+ *                       type: integer
+ *                       example: 3
+ *                     ShowtimeCount:
+ *                       type: integer
+ *                       description: Tổng số suất trong cả giai đoạn
+ *                       example: 21
+ *                     PrimeTimeShows:
+ *                       type: integer
+ *                       description: Số suất muốn xếp vào giờ vàng
+ *                       example: 7
+ *                     RoomTypes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["IMAX"]
+ *     responses:
+ *       200:
+ *         description: Lịch chiếu đề xuất, thống kê theo phim và cảnh báo các suất không xếp được
+ *       400:
+ *         description: Dữ liệu yêu cầu không hợp lệ
+ *       403:
+ *         description: Manager không quản lý rạp này
+ *       404:
+ *         description: Không tìm thấy rạp hoặc phim
+ */
+router.post('/auto-schedule', authMiddleware, authorizeRoles('Admin', 'Manager'), showtimeController.autoScheduleShowtimes);
+
+/**
+ * @swagger
+ * /api/showtimes/auto-schedule/commit:
+ *   post:
+ *     summary: Xác nhận tạo lịch chiếu đề xuất (Chỉ Admin/Manager)
+ *     description: >
+ *       Tạo tất cả suất chiếu trong một transaction. Nếu một suất không hợp lệ hoặc trùng lịch
+ *       (kể cả với suất chiếu vừa được tạo sau khi đề xuất) thì không suất nào được tạo.
+ *     tags: [Showtimes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - Showtimes
+ *             properties:
+ *               AllowEarlyShowtime:
+ *                 type: boolean
+ *               Showtimes:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     MovieId:
+ *                       type: integer
+ *                     CinemaRoomId:
+ *                       type: integer
+ *                     ShowDate:
+ *                       type: string
+ *                       format: date
+ *                     StartTime:
+ *                       type: string
+ *                       example: "18:30"
+ *     responses:
+ *       201:
+ *         description: Đã tạo các suất chiếu
+ *       400:
+ *         description: Suất chiếu không hợp lệ (ngoài giờ hoạt động, ngoài thời gian chiếu của phim...)
+ *       403:
+ *         description: Manager không quản lý rạp chứa phòng chiếu
+ *       409:
+ *         description: Suất chiếu bị trùng lịch
+ */
+router.post('/auto-schedule/commit', authMiddleware, authorizeRoles('Admin', 'Manager'), showtimeController.commitAutoSchedule);
+
 /**
  * @swagger
  * /api/showtimes/{id}:
@@ -208,7 +390,8 @@ router.get('/:id', showtimeController.getShowtime);
  *     description: >
  *       API này cho phép người dùng có vai trò Admin hoặc Manager tạo một lịch chiếu mới trong hệ thống.
  *       Cần cung cấp thông tin về phim, phòng chiếu, ngày và giờ bắt đầu.
- *       Hệ thống sẽ tự động tính toán giờ kết thúc dựa trên thời lượng phim.
+ *       Hệ thống sẽ tự động tính toán giờ kết thúc dựa trên thời lượng phim và thời gian dọn dẹp của loại phòng.
+ *       Suất chiếu (kể cả thời gian dọn dẹp) phải nằm trong giờ hoạt động của rạp ngày đó.
  *     tags: [Showtimes]
  *     security:
  *       - bearerAuth: []
@@ -281,7 +464,7 @@ router.put('/:id', authMiddleware, authorizeRoles('Admin', 'Manager'), showtimeC
  *     description: >
  *       API này cho phép người dùng có vai trò Admin hoặc Manager xóa một lịch chiếu khỏi hệ thống.
  *       Chỉ có thể xóa các lịch chiếu chưa có người đặt vé và chưa diễn ra.
- *       Đối với lịch chiếu đã có người đặt vé, cần sử dụng API cập nhật trạng thái thay vì xóa.
+ *       Đối với lịch chiếu đã có người đặt vé, dùng POST /api/showtime-cancellations/{showtimeId} để hủy suất chiếu kèm hoàn tiền cho khách.
  *     tags: [Showtimes]
  *     security:
  *       - bearerAuth: []
@@ -483,7 +666,7 @@ router.get('/movie/:movieId/date/:date', showtimeController.getShowtimesByDate);
  *     summary: Tìm kiếm lịch chiếu theo yêu cầu (Public)
  *     description: >
  *       API này cho phép tất cả người dùng tìm kiếm lịch chiếu với các điều kiện cụ thể.
- *       Có thể lọc theo phim và ngày.
+ *       Có thể lọc theo phim, ngày và định dạng suất chiếu (kiểu chiếu, phiên bản ngôn ngữ, phụ đề CC, thuyết minh AD).
  *     tags: [Showtimes]
  *     requestBody:
  *       required: true
@@ -623,6 +806,61 @@ router.get('/admin/movie/:movieId', authMiddleware, authorizeRoles('Admin', 'Man
  */
 router.get('/:id/seats-info', showtimeController.getShowtimeWithSeatsInfo);
 
+/**
+ * @swagger
+ * /api/showtimes/{id}/format:
+ *   get:
+ *     summary: Định dạng của suất chiếu (Public)
+ *     description: >
+ *       Kiểu chiếu, phiên bản ngôn ngữ và hỗ trợ tiếp cận. Suất chưa khai báo định dạng
+ *       được coi là chiếu theo loại phòng (Is_Declared = false).
+ *     tags: [Showtimes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Định dạng suất chiếu kèm nhãn hiển thị (Label)
+ *       404:
+ *         description: Không tìm thấy suất chiếu
+ *   put:
+ *     summary: Cập nhật định dạng suất chiếu (Chỉ Admin/Manager)
+ *     description: >
+ *       Các trường không gửi giữ nguyên. Khi suất chiếu đã có đơn đặt vé chỉ được sửa ngôn ngữ
+ *       và hỗ trợ tiếp cận, không đổi kiểu chiếu hay phiên bản ngôn ngữ.
+ *     tags: [Showtimes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShowtimeFormat'
+ *     responses:
+ *       200:
+ *         description: Định dạng đã được cập nhật
+ *       400:
+ *         description: Định dạng không hợp lệ hoặc phòng chiếu không hỗ trợ
+ *       403:
+ *         description: Suất chiếu không thuộc rạp của Manager
+ *       404:
+ *         description: Không tìm thấy suất chiếu
+ *       409:
+ *         description: Suất chiếu đã có đơn đặt vé
+ */
+router.get('/:id/format', showtimeController.getShowtimeFormat);
+router.put('/:id/format', authMiddleware, authorizeRoles('Admin', 'Manager'), showtimeController.updateShowtimeFormat);
+
 /**
  * @swagger
  * /api/showtimes/manager/cinema:
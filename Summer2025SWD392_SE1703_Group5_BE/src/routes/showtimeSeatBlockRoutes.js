@@ -0,0 +1,134 @@
+// src/routes/showtimeSeatBlockRoutes.js
+const express = require('express');
+const router = express.Router();
+const showtimeSeatBlockController = require('../controllers/showtimeSeatBlockController');
+const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddleware');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Seat Blocks
+ *   description: >
+ *     Khóa ghế theo từng suất chiếu (ghế hỏng, ghế giữ cho rạp / VIP, báo chí, vị trí máy quay).
+ *     Ghế bị khóa có status 'blocked' trong sơ đồ ghế và không thể chọn hoặc đặt cho tới khi được mở bán lại
+ *     hoặc hết thời hạn khóa. Khác với Is_Active của sơ đồ ghế, khóa chỉ áp dụng cho một suất chiếu.
+ */
+
+/**
+ * @swagger
+ * /api/seat-blocks/showtimes/{showtimeId}:
+ *   get:
+ *     summary: Danh sách ghế bị khóa của suất chiếu (Staff/Admin/Manager)
+ *     tags: [Seat Blocks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: showtimeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *         description: Kèm cả các khóa đã mở bán lại / hết hạn
+ *     responses:
+ *       200:
+ *         description: Danh sách khóa ghế
+ *       404:
+ *         description: Không tìm thấy suất chiếu
+ *   post:
+ *     summary: Khóa ghế cho suất chiếu (Admin/Manager)
+ *     tags: [Seat Blocks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: showtimeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               seatIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["E7", "E8"]
+ *               layoutIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Có thể dùng thay cho seatIds (layoutId trong sơ đồ ghế)
+ *               blockType:
+ *                 type: string
+ *                 enum: [Broken, House, Press, Camera, Other]
+ *               reason:
+ *                 type: string
+ *                 example: Giữ cho đoàn làm phim
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Tự động mở bán lại sau thời điểm này, bỏ trống để khóa tới khi mở thủ công
+ *     responses:
+ *       201:
+ *         description: Đã khóa ghế
+ *       400:
+ *         description: Dữ liệu không hợp lệ
+ *       403:
+ *         description: Manager không quản lý rạp của suất chiếu
+ *       409:
+ *         description: Ghế đã bán, đã bị khóa hoặc đang được khách giữ
+ */
+router.get('/showtimes/:showtimeId', authMiddleware, authorizeRoles('Staff', 'Admin', 'Manager'), showtimeSeatBlockController.listBlocks);
+router.post('/showtimes/:showtimeId', authMiddleware, authorizeRoles('Admin', 'Manager'), showtimeSeatBlockController.createBlocks);
+
+/**
+ * @swagger
+ * /api/seat-blocks/showtimes/{showtimeId}/release:
+ *   post:
+ *     summary: Mở bán lại ghế bị khóa hàng loạt (Admin/Manager)
+ *     tags: [Seat Blocks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: showtimeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               blockIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               seatIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               all:
+ *                 type: boolean
+ *                 description: Mở bán lại tất cả ghế đang bị khóa của suất chiếu
+ *     responses:
+ *       200:
+ *         description: Số ghế đã mở bán lại
+ *       400:
+ *         description: Chưa chọn khóa cần mở
+ */
+router.post('/showtimes/:showtimeId/release', authMiddleware, authorizeRoles('Admin', 'Manager'), showtimeSeatBlockController.releaseBlocks);
+
+module.exports = router;
@@ -0,0 +1,409 @@
+// src/routes/showtimeSeriesRoutes.js
+const express = require('express');
+const router = express.Router();
+const showtimeSeriesController = require('../controllers/showtimeSeriesController');
+const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddleware');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Showtime Series
+ *   description: >
+ *     Chuỗi suất chiếu lặp lại và mẫu lịch chiếu theo tuần. Chuỗi gồm một phim, một phòng, các giờ bắt đầu,
+ *     các thứ trong tuần (0 = Chủ nhật ... 6 = Thứ bảy) và khoảng ngày; mỗi lần trải chuỗi tạo các suất chiếu
+ *     riêng lẻ với cùng các kiểm tra như POST /api/showtimes (trùng lịch, giờ hoạt động, thời gian dọn dẹp,
+ *     ngày công chiếu). Ngày rạp đóng cửa luôn được bỏ qua. Mặc định một suất không tạo được sẽ hủy cả thao tác;
+ *     gửi SkipConflicts = true để bỏ qua và nhận danh sách skipped.
+ */
+
+/**
+ * @swagger
+ * /api/showtime-series/templates:
+ *   get:
+ *     summary: Danh sách mẫu lịch chiếu theo tuần (Admin/Manager)
+ *     tags: [Showtime Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cinemaId
+ *         schema:
+ *           type: integer
+ *         description: Lọc theo rạp nguồn của mẫu
+ *     responses:
+ *       200:
+ *         description: Danh sách mẫu
+ *   post:
+ *     summary: Lưu lịch chiếu của một tuần thành mẫu (Admin/Manager)
+ *     description: Lấy mọi suất chiếu đang hoạt động của rạp trong 7 ngày tính từ WeekStart.
+ *     tags: [Showtime Series]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - CinemaId
+ *               - Name
+ *               - WeekStart
+ *             properties:
+ *               CinemaId:
+ *                 type: integer
+ *               Name:
+ *                 type: string
+ *                 example: "Lịch tuần hè"
+ *               WeekStart:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       201:
+ *         description: Đã lưu mẫu
+ *       400:
+ *         description: Dữ liệu không hợp lệ hoặc tuần không có suất chiếu
+ *       403:
+ *         description: Manager lưu mẫu từ rạp khác
+ */
+router.get('/templates', authMiddleware, authorizeRoles('Admin', 'Manager'), showtimeSeriesController.listTemplates);
+router.post('/templates', authMiddleware, authorizeRoles('Admin', 'Manager'), showtimeSeriesController.saveWeekAsTemplate);
+
+/**
+ * @swagger
+ * /api/showtime-series/templates/{templateId}:
+ *   get:
+ *     summary: Chi tiết mẫu lịch chiếu (Admin/Manager)
+ *     tags: [Showtime Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Mẫu kèm danh sách suất chiếu theo thứ trong tuần
+ *       404:
+ *         description: Không tìm thấy mẫu
+ *   delete:
+ *     summary: Xóa mẫu lịch chiếu (Admin/Manager của rạp nguồn)
+ *     tags: [Showtime Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Đã xóa mẫu
+ *       403:
+ *         description: Manager xóa mẫu của rạp khác
+ *       404:
+ *         description: Không tìm thấy mẫu
+ */
+router.get('/templates/:templateId', authMiddleware, authorizeRoles('Admin', 'Manager'), showtimeSeriesController.getTemplate);
+router.delete('/templates/:templateId', authMiddleware, authorizeRoles('Admin', 'Manager'), showtimeSeriesController.deleteTemplate);
+
+/**
+ * @swagger
+ * /api/showtime-series/templates/{templateId}/apply:
+ *   post:
+ *     summary: Áp dụng mẫu cho một tuần, tại rạp của mẫu hoặc rạp khác (Admin/Manager)
+ *     description: >
+ *       Mỗi suất trong mẫu được đặt vào ngày cùng thứ trong 7 ngày tính từ WeekStart. Ở rạp khác, phòng được ghép
+ *       theo RoomMapping, nếu không có thì theo tên phòng; suất của phòng không ghép được nằm trong skipped.
+ *       Mọi suất chiếu được tạo trong một transaction.
+ *     tags: [Showtime Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - WeekStart
+ *             properties:
+ *               WeekStart:
+ *                 type: string
+ *                 format: date
+ *               CinemaId:
+ *                 type: integer
+ *                 description: Rạp đích, mặc định là rạp của mẫu
+ *               RoomMapping:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     SourceRoomId:
+ *                       type: integer
+ *                     TargetRoomId:
+ *                       type: integer
+ *               AllowEarlyShowtime:
+ *                 type: boolean
+ *               SkipConflicts:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: "{ created_count, showtimes, skipped }"
+ *       400:
+ *         description: Dữ liệu không hợp lệ
+ *       403:
+ *         description: Manager áp dụng cho rạp khác
+ *       409:
+ *         description: Trùng lịch (khi không bật SkipConflicts)
+ */
+router.post('/templates/:templateId/apply', authMiddleware, authorizeRoles('Admin', 'Manager'), showtimeSeriesController.applyTemplate);
+
+/**
+ * @swagger
+ * /api/showtime-series:
+ *   get:
+ *     summary: Danh sách chuỗi suất chiếu (Admin/Manager)
+ *     description: Manager chỉ thấy chuỗi của rạp mình.
+ *     tags: [Showtime Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cinemaId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Active, Cancelled]
+ *     responses:
+ *       200:
+ *         description: Danh sách chuỗi
+ *   post:
+ *     summary: Tạo chuỗi suất chiếu lặp lại (Admin/Manager)
+ *     tags: [Showtime Series]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - MovieId
+ *               - CinemaRoomId
+ *               - StartTimes
+ *               - Weekdays
+ *               - StartDate
+ *               - EndDate
+ *             properties:
+ *               MovieId:
+ *                 type: integer
+ *               CinemaRoomId:
+ *                 type: integer
+ *               StartTimes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["10:00", "19:30"]
+ *               Weekdays:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [1, 3, 5]
+ *               StartDate:
+ *                 type: string
+ *                 format: date
+ *               EndDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Tối đa 366 ngày kể từ StartDate, tối đa 500 suất chiếu
+ *               AllowEarlyShowtime:
+ *                 type: boolean
+ *               SkipConflicts:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: "{ series, created_count, showtimes, skipped }"
+ *       400:
+ *         description: Dữ liệu không hợp lệ
+ *       403:
+ *         description: Manager xếp lịch cho phòng của rạp khác
+ *       409:
+ *         description: Trùng lịch (khi không bật SkipConflicts)
+ */
+router.get('/', authMiddleware, authorizeRoles('Admin', 'Manager'), showtimeSeriesController.listSeries);
+router.post('/', authMiddleware, authorizeRoles('Admin', 'Manager'), showtimeSeriesController.createSeries);
+
+/**
+ * @swagger
+ * /api/showtime-series/{seriesId}:
+ *   get:
+ *     summary: Chi tiết chuỗi suất chiếu kèm các suất đã tạo (Admin/Manager)
+ *     tags: [Showtime Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Chuỗi và danh sách suất chiếu
+ *       404:
+ *         description: Không tìm thấy chuỗi
+ *   put:
+ *     summary: Sửa chuỗi, áp dụng cho mọi suất chiếu tương lai (Admin/Manager)
+ *     description: >
+ *       Các suất chiếu tương lai chưa có người đặt bị ẩn và được tạo lại theo định nghĩa mới. Suất đã có người đặt
+ *       và suất đã sửa / hủy riêng lẻ được giữ nguyên. Không đổi được StartDate.
+ *     tags: [Showtime Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               MovieId:
+ *                 type: integer
+ *               CinemaRoomId:
+ *                 type: integer
+ *               StartTimes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               Weekdays:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               EndDate:
+ *                 type: string
+ *                 format: date
+ *               AllowEarlyShowtime:
+ *                 type: boolean
+ *               SkipConflicts:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: "{ series, removed_count, kept_with_bookings, created_count, showtimes, skipped }"
+ *       400:
+ *         description: Dữ liệu không hợp lệ hoặc chuỗi đã hủy
+ *       409:
+ *         description: Trùng lịch (khi không bật SkipConflicts)
+ *   delete:
+ *     summary: Hủy chuỗi, ẩn mọi suất chiếu tương lai chưa có người đặt (Admin/Manager)
+ *     description: Suất chiếu đã có người đặt được giữ lại và trả về trong kept_with_bookings để hủy có hoàn tiền.
+ *     tags: [Showtime Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: "{ series, cancelled_count, kept_with_bookings }"
+ *       400:
+ *         description: Chuỗi đã bị hủy trước đó
+ */
+router.get('/:seriesId', authMiddleware, authorizeRoles('Admin', 'Manager'), showtimeSeriesController.getSeries);
+router.put('/:seriesId', authMiddleware, authorizeRoles('Admin', 'Manager'), showtimeSeriesController.updateSeries);
+router.delete('/:seriesId', authMiddleware, authorizeRoles('Admin', 'Manager'), showtimeSeriesController.cancelSeries);
+
+/**
+ * @swagger
+ * /api/showtime-series/{seriesId}/occurrences/{showtimeId}:
+ *   put:
+ *     summary: Sửa riêng một suất chiếu của chuỗi (Admin/Manager)
+ *     description: Suất chiếu sau khi sửa không còn bị thay đổi khi sửa cả chuỗi.
+ *     tags: [Showtime Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: showtimeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               MovieId:
+ *                 type: integer
+ *               CinemaRoomId:
+ *                 type: integer
+ *               ShowDate:
+ *                 type: string
+ *                 format: date
+ *               StartTime:
+ *                 type: string
+ *                 example: "20:00"
+ *     responses:
+ *       200:
+ *         description: Suất chiếu sau khi sửa
+ *       400:
+ *         description: Dữ liệu không hợp lệ hoặc suất chiếu đã có booking
+ *       404:
+ *         description: Suất chiếu không thuộc chuỗi
+ *   delete:
+ *     summary: Hủy riêng một suất chiếu của chuỗi (Admin/Manager)
+ *     tags: [Showtime Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: showtimeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Đã ẩn suất chiếu
+ *       404:
+ *         description: Suất chiếu không thuộc chuỗi
+ *       409:
+ *         description: Suất chiếu đã có người đặt
+ */
+router.put('/:seriesId/occurrences/:showtimeId', authMiddleware, authorizeRoles('Admin', 'Manager'), showtimeSeriesController.updateOccurrence);
+router.delete('/:seriesId/occurrences/:showtimeId', authMiddleware, authorizeRoles('Admin', 'Manager'), showtimeSeriesController.cancelOccurrence);
+
+module.exports = router;
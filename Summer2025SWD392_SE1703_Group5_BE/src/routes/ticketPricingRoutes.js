@@ -211,9 +211,66 @@ router.get('/pricing-structure',
  *     description: >
  *       API này cho phép người dùng có vai trò Admin, Staff, Manager hoặc Customer tính giá vé cho các tham số cụ thể.
  *       API này thường được sử dụng trong trang đặt vé và cấu hình hệ thống.
+ *       Có thể truyền định dạng suất chiếu để áp dụng các quy tắc Format_Multiplier.
  *     tags: [TicketPricing]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: roomType
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: seatType
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: showDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: startTime
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: cinemaId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: projectionFormat
+ *         schema:
+ *           type: string
+ *           enum: ['2D', '3D', 'IMAX', 'IMAX 3D', '4DX']
+ *         description: Lọc theo kiểu chiếu (suất chưa khai báo định dạng lấy theo loại phòng)
+ *       - in: query
+ *         name: languageVersion
+ *         schema:
+ *           type: string
+ *           enum: [Original, Subtitled, Dubbed, Narrated]
+ *         description: Nguyên bản / Phụ đề / Lồng tiếng / Thuyết minh
+ *       - in: query
+ *         name: audioLanguage
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: subtitleLanguage
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: closedCaptions
+ *         schema:
+ *           type: boolean
+ *         description: Chỉ suất có (true) / không có (false) phụ đề CC
+ *       - in: query
+ *         name: audioDescription
+ *         schema:
+ *           type: boolean
+ *         description: Chỉ suất có (true) / không có (false) thuyết minh hình ảnh AD
  *     responses:
  *       200:
  *         description: Giá vé tính được.
@@ -289,6 +346,604 @@ router.post('/bulk-update',
     ticketPricingController.bulkUpdateTicketPrices
 );
 
+// === Pricing rules (quy tắc giá động lưu trong database) ===
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PricingRule:
+ *       type: object
+ *       required:
+ *         - Rule_Name
+ *         - Rule_Type
+ *         - Value
+ *       properties:
+ *         Rule_Name:
+ *           type: string
+ *         Rule_Type:
+ *           type: string
+ *           enum: [Base_Price, Day_Multiplier, Time_Multiplier, Fixed_Price, Format_Multiplier]
+ *           description: >
+ *             Base_Price thay thế giá cơ bản, Day_Multiplier/Time_Multiplier thay thế hệ số theo ngày/khung giờ,
+ *             Format_Multiplier nhân thêm hệ số theo định dạng suất chiếu (mặc định 1),
+ *             Fixed_Price đặt giá cuối cùng và bỏ qua mọi hệ số.
+ *         Value:
+ *           type: number
+ *           description: Giá (VND) hoặc hệ số tùy theo Rule_Type.
+ *         Room_Type:
+ *           type: string
+ *           description: Để trống để áp dụng cho mọi loại phòng.
+ *         Seat_Type:
+ *           type: string
+ *         Day_Type:
+ *           type: string
+ *           enum: [weekday, weekend, holiday]
+ *         Time_Slot:
+ *           type: string
+ *           example: morning
+ *         Cinema_ID:
+ *           type: integer
+ *         Projection_Format:
+ *           type: string
+ *           enum: ['2D', '3D', 'IMAX', 'IMAX 3D', '4DX']
+ *           description: Điều kiện định dạng suất chiếu - để trống để áp dụng cho mọi kiểu chiếu.
+ *         Language_Version:
+ *           type: string
+ *           enum: [Original, Subtitled, Dubbed, Narrated]
+ *         Has_Closed_Captions:
+ *           type: boolean
+ *           nullable: true
+ *           description: null để không giới hạn theo phụ đề CC.
+ *         Has_Audio_Description:
+ *           type: boolean
+ *           nullable: true
+ *         Start_Date:
+ *           type: string
+ *           format: date
+ *           description: Ngày chiếu đầu tiên được áp dụng.
+ *         End_Date:
+ *           type: string
+ *           format: date
+ *         Priority:
+ *           type: integer
+ *           description: Quy tắc có Priority cao hơn được ưu tiên khi nhiều quy tắc cùng khớp.
+ *         Effective_From:
+ *           type: string
+ *           format: date-time
+ *         Effective_To:
+ *           type: string
+ *           format: date-time
+ *         Description:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/ticket-pricing/rules:
+ *   get:
+ *     summary: Lấy danh sách quy tắc giá (Chỉ Admin/Manager)
+ *     tags: [TicketPricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Draft, Active, Inactive]
+ *       - in: query
+ *         name: ruleType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: roomType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: cinemaId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Danh sách quy tắc giá.
+ *       403:
+ *         description: Không có quyền truy cập
+ *   post:
+ *     summary: Tạo quy tắc giá mới ở trạng thái Draft (Chỉ Admin)
+ *     tags: [TicketPricing]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PricingRule'
+ *     responses:
+ *       201:
+ *         description: Tạo quy tắc thành công.
+ *       400:
+ *         description: Dữ liệu không hợp lệ.
+ */
+router.get('/rules',
+    authMiddleware,
+    authorizeRoles('Admin', 'Manager'),
+    ticketPricingController.getPricingRules
+);
+
+router.post('/rules',
+    authMiddleware,
+    authorizeRoles('Admin'),
+    ticketPricingController.createPricingRule
+);
+
+/**
+ * @swagger
+ * /api/ticket-pricing/rules/import-config:
+ *   post:
+ *     summary: Chuyển cấu hình ticketPricing.json thành quy tắc giá (Chỉ Admin)
+ *     description: >
+ *       Tạo quy tắc Base_Price, Day_Multiplier và Time_Multiplier tương ứng với file cấu hình hiện tại.
+ *       Các quy tắc đã tồn tại sẽ được bỏ qua. Mặc định các quy tắc mới ở trạng thái Draft.
+ *     tags: [TicketPricing]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               activate:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Kết quả chuyển đổi.
+ */
+router.post('/rules/import-config',
+    authMiddleware,
+    authorizeRoles('Admin'),
+    ticketPricingController.importPricingRulesFromConfig
+);
+
+/**
+ * @swagger
+ * /api/ticket-pricing/rules/{ruleId}:
+ *   get:
+ *     summary: Lấy chi tiết quy tắc giá (Chỉ Admin/Manager)
+ *     tags: [TicketPricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Chi tiết quy tắc giá.
+ *       404:
+ *         description: Không tìm thấy.
+ *   put:
+ *     summary: Cập nhật quy tắc giá chưa kích hoạt (Chỉ Admin)
+ *     tags: [TicketPricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PricingRule'
+ *     responses:
+ *       200:
+ *         description: Cập nhật thành công.
+ *       400:
+ *         description: Dữ liệu không hợp lệ hoặc quy tắc đang hoạt động.
+ *   delete:
+ *     summary: Xóa quy tắc giá chưa kích hoạt (Chỉ Admin)
+ *     tags: [TicketPricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Xóa thành công.
+ *       400:
+ *         description: Quy tắc đang hoạt động.
+ */
+router.get('/rules/:ruleId',
+    authMiddleware,
+    authorizeRoles('Admin', 'Manager'),
+    ticketPricingController.getPricingRuleById
+);
+
+router.put('/rules/:ruleId',
+    authMiddleware,
+    authorizeRoles('Admin'),
+    ticketPricingController.updatePricingRule
+);
+
+router.delete('/rules/:ruleId',
+    authMiddleware,
+    authorizeRoles('Admin'),
+    ticketPricingController.deletePricingRule
+);
+
+/**
+ * @swagger
+ * /api/ticket-pricing/rules/{ruleId}/preview:
+ *   post:
+ *     summary: Xem trước ảnh hưởng của quy tắc giá trước khi kích hoạt (Chỉ Admin/Manager)
+ *     description: >
+ *       So sánh giá hiện tại (chỉ với các quy tắc Active) và giá khi quy tắc này được kích hoạt.
+ *       Nếu không truyền roomType/seatType, kết quả bao gồm toàn bộ tổ hợp loại phòng x loại ghế.
+ *     tags: [TicketPricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - showDate
+ *               - startTime
+ *             properties:
+ *               showDate:
+ *                 type: string
+ *                 format: date
+ *               startTime:
+ *                 type: string
+ *                 example: "19:30:00"
+ *               cinemaId:
+ *                 type: integer
+ *               roomType:
+ *                 type: string
+ *               seatType:
+ *                 type: string
+ *               asOf:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Thời điểm xét hiệu lực (mặc định là hiện tại).
+ *               projectionFormat:
+ *                 type: string
+ *                 description: >
+ *                   Định dạng suất chiếu mẫu (cùng với languageVersion, closedCaptions, audioDescription);
+ *                   mặc định lấy theo điều kiện định dạng của quy tắc.
+ *               languageVersion:
+ *                 type: string
+ *               closedCaptions:
+ *                 type: boolean
+ *               audioDescription:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Bảng so sánh giá trước và sau khi áp dụng quy tắc.
+ */
+router.post('/rules/:ruleId/preview',
+    authMiddleware,
+    authorizeRoles('Admin', 'Manager'),
+    ticketPricingController.previewPricingRule
+);
+
+/**
+ * @swagger
+ * /api/ticket-pricing/rules/{ruleId}/activate:
+ *   put:
+ *     summary: Kích hoạt quy tắc giá (Chỉ Admin)
+ *     tags: [TicketPricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Quy tắc đã được kích hoạt và áp dụng ngay cho việc tính giá.
+ */
+router.put('/rules/:ruleId/activate',
+    authMiddleware,
+    authorizeRoles('Admin'),
+    ticketPricingController.activatePricingRule
+);
+
+/**
+ * @swagger
+ * /api/ticket-pricing/rules/{ruleId}/deactivate:
+ *   put:
+ *     summary: Vô hiệu hóa quy tắc giá (Chỉ Admin)
+ *     tags: [TicketPricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Quy tắc đã được vô hiệu hóa.
+ */
+router.put('/rules/:ruleId/deactivate',
+    authMiddleware,
+    authorizeRoles('Admin'),
+    ticketPricingController.deactivatePricingRule
+);
+
+// === Holidays (lịch ngày lễ dùng cho hệ số giá ngày lễ) ===
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Holiday:
+ *       type: object
+ *       required:
+ *         - Holiday_Name
+ *         - Holiday_Type
+ *       properties:
+ *         Holiday_Name:
+ *           type: string
+ *         Holiday_Type:
+ *           type: string
+ *           enum: [Fixed, Lunar, One_Off]
+ *           description: >
+ *             Fixed lặp lại hằng năm theo Dương lịch, Lunar lặp lại hằng năm theo Âm lịch,
+ *             One_Off chỉ áp dụng cho Holiday_Date.
+ *         Month:
+ *           type: integer
+ *           description: Tháng (Dương lịch hoặc Âm lịch), bắt buộc với Fixed/Lunar.
+ *         Day:
+ *           type: integer
+ *         Holiday_Date:
+ *           type: string
+ *           format: date
+ *           description: Bắt buộc với One_Off.
+ *         Duration_Days:
+ *           type: integer
+ *           default: 1
+ *         Days_Before:
+ *           type: integer
+ *           default: 0
+ *           description: Số ngày trước ngày lễ cũng được tính là ngày lễ (VD đêm Giao thừa).
+ *         Cinema_ID:
+ *           type: integer
+ *           description: Để trống cho ngày lễ toàn quốc.
+ *         Is_Closure:
+ *           type: boolean
+ *           description: Rạp đóng cửa trong những ngày này.
+ *         Status:
+ *           type: string
+ *           enum: [Active, Inactive]
+ *         Description:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/ticket-pricing/holidays:
+ *   get:
+ *     summary: Lấy danh sách ngày lễ (Chỉ Admin/Manager)
+ *     tags: [TicketPricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Active, Inactive]
+ *       - in: query
+ *         name: holidayType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: cinemaId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Danh sách ngày lễ.
+ *   post:
+ *     summary: Tạo ngày lễ mới (Chỉ Admin)
+ *     tags: [TicketPricing]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Holiday'
+ *     responses:
+ *       201:
+ *         description: Tạo ngày lễ thành công.
+ *       400:
+ *         description: Dữ liệu không hợp lệ.
+ */
+router.get('/holidays',
+    authMiddleware,
+    authorizeRoles('Admin', 'Manager'),
+    ticketPricingController.getHolidays
+);
+
+router.post('/holidays',
+    authMiddleware,
+    authorizeRoles('Admin'),
+    ticketPricingController.createHoliday
+);
+
+/**
+ * @swagger
+ * /api/ticket-pricing/holidays/calendar:
+ *   get:
+ *     summary: Lấy lịch ngày lễ cụ thể của một năm (Chỉ Admin/Manager/Staff)
+ *     description: Ngày lễ Âm lịch được quy đổi sang Dương lịch của năm được chọn.
+ *     tags: [TicketPricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: cinemaId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Danh sách các ngày lễ trong năm.
+ */
+router.get('/holidays/calendar',
+    authMiddleware,
+    authorizeRoles('Admin', 'Manager', 'Staff'),
+    ticketPricingController.getHolidayCalendar
+);
+
+/**
+ * @swagger
+ * /api/ticket-pricing/holidays/check:
+ *   get:
+ *     summary: Kiểm tra một ngày có phải ngày lễ / ngày đóng cửa không (Chỉ Admin/Manager/Staff)
+ *     tags: [TicketPricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: cinemaId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Kết quả kiểm tra.
+ */
+router.get('/holidays/check',
+    authMiddleware,
+    authorizeRoles('Admin', 'Manager', 'Staff'),
+    ticketPricingController.checkHolidayDate
+);
+
+/**
+ * @swagger
+ * /api/ticket-pricing/holidays/seed-defaults:
+ *   post:
+ *     summary: Tạo các ngày lễ toàn quốc mặc định của Việt Nam (Chỉ Admin)
+ *     tags: [TicketPricing]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Kết quả tạo ngày lễ mặc định.
+ */
+router.post('/holidays/seed-defaults',
+    authMiddleware,
+    authorizeRoles('Admin'),
+    ticketPricingController.seedDefaultHolidays
+);
+
+/**
+ * @swagger
+ * /api/ticket-pricing/holidays/{holidayId}:
+ *   get:
+ *     summary: Lấy chi tiết ngày lễ (Chỉ Admin/Manager)
+ *     tags: [TicketPricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: holidayId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Chi tiết ngày lễ.
+ *       404:
+ *         description: Không tìm thấy ngày lễ.
+ *   put:
+ *     summary: Cập nhật ngày lễ (Chỉ Admin)
+ *     tags: [TicketPricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: holidayId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Holiday'
+ *     responses:
+ *       200:
+ *         description: Cập nhật thành công.
+ *   delete:
+ *     summary: Xóa ngày lễ (Chỉ Admin)
+ *     tags: [TicketPricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: holidayId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Xóa thành công.
+ */
+router.get('/holidays/:holidayId',
+    authMiddleware,
+    authorizeRoles('Admin', 'Manager'),
+    ticketPricingController.getHolidayById
+);
+
+router.put('/holidays/:holidayId',
+    authMiddleware,
+    authorizeRoles('Admin'),
+    ticketPricingController.updateHoliday
+);
+
+router.delete('/holidays/:holidayId',
+    authMiddleware,
+    authorizeRoles('Admin'),
+    ticketPricingController.deleteHoliday
+);
+
 // GET a single ticket pricing by ID
 /**
  * @swagger
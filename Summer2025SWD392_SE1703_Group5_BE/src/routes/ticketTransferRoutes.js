@@ -0,0 +1,136 @@
+// src/routes/ticketTransferRoutes.js
+const express = require('express');
+const router = express.Router();
+const ticketTransferController = require('../controllers/ticketTransferController');
+const { authMiddleware } = require('../middlewares/authMiddleware');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Ticket Transfers
+ *   description: >
+ *     Chuyển nhượng / tặng vé giữa các thành viên. Khi người nhận chấp nhận, vé được cấp mã mới,
+ *     xuất hiện trong /api/ticket/my-tickets của người nhận và mã cũ không còn quét được tại /api/ticket/scan.
+ */
+
+/**
+ * @swagger
+ * /api/ticket-transfers:
+ *   post:
+ *     summary: Gửi vé cho thành viên khác
+ *     tags: [Ticket Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [ticketIds, recipient]
+ *             properties:
+ *               ticketIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [101, 102]
+ *               recipient:
+ *                 type: string
+ *                 description: Email hoặc số điện thoại của thành viên nhận vé
+ *                 example: friend@example.com
+ *               message:
+ *                 type: string
+ *                 example: Tặng bạn vé xem phim cuối tuần
+ *     responses:
+ *       201:
+ *         description: Đã gửi yêu cầu chuyển nhượng
+ *       400:
+ *         description: Vé đã sử dụng, suất chiếu đã bắt đầu hoặc đơn chưa thanh toán
+ *       403:
+ *         description: Không phải người giữ vé
+ *       404:
+ *         description: Không tìm thấy vé hoặc thành viên nhận
+ *       409:
+ *         description: Vé đang chờ người nhận khác xác nhận
+ */
+router.post('/', authMiddleware, ticketTransferController.createTransfer);
+
+/**
+ * @swagger
+ * /api/ticket-transfers/me:
+ *   get:
+ *     summary: Yêu cầu chuyển nhượng đã gửi và đã nhận
+ *     tags: [Ticket Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Danh sách incoming (đã nhận) và outgoing (đã gửi)
+ */
+router.get('/me', authMiddleware, ticketTransferController.getMyTransfers);
+
+/**
+ * @swagger
+ * /api/ticket-transfers/{id}/accept:
+ *   post:
+ *     summary: Chấp nhận vé được tặng
+ *     tags: [Ticket Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Đã nhận vé, mã vé mới được gửi qua email
+ *       400:
+ *         description: Yêu cầu đã hết hạn hoặc không còn chờ xác nhận
+ *       409:
+ *         description: Vé không còn hiệu lực (đơn bị hủy hoặc đổi vé)
+ */
+router.post('/:id/accept', authMiddleware, ticketTransferController.acceptTransfer);
+
+/**
+ * @swagger
+ * /api/ticket-transfers/{id}/decline:
+ *   post:
+ *     summary: Từ chối vé được tặng
+ *     tags: [Ticket Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Đã từ chối
+ */
+router.post('/:id/decline', authMiddleware, ticketTransferController.declineTransfer);
+
+/**
+ * @swagger
+ * /api/ticket-transfers/{id}:
+ *   delete:
+ *     summary: Thu hồi yêu cầu chuyển nhượng chưa được chấp nhận
+ *     tags: [Ticket Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Đã thu hồi
+ */
+router.delete('/:id', authMiddleware, ticketTransferController.cancelTransfer);
+
+module.exports = router;
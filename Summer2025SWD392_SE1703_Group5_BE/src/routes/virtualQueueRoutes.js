@@ -0,0 +1,131 @@
+// src/routes/virtualQueueRoutes.js
+const express = require('express');
+const router = express.Router();
+const virtualQueueController = require('../controllers/virtualQueueController');
+const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddleware');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Virtual Queue
+ *   description: >
+ *     Phòng chờ ảo cho suất chiếu đông khách. Khi bật, event join-showtime của Socket.IO trả về queue-status
+ *     (vị trí, thời gian chờ ước tính) thay vì sơ đồ ghế. Khách được cho vào theo đợt (event queue-admitted)
+ *     và có một phiên chọn ghế có thời hạn; hết phiên nhận queue-session-expired và ghế đang giữ được trả lại.
+ *     Nhân viên quầy (Staff/Admin/Manager) không phải xếp hàng.
+ */
+
+/**
+ * @swagger
+ * /api/virtual-queue:
+ *   get:
+ *     summary: Các suất chiếu đang bật hàng đợi (Staff/Admin/Manager)
+ *     tags: [Virtual Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Danh sách hàng đợi kèm số người đang chờ / đang chọn ghế
+ */
+router.get('/', authMiddleware, authorizeRoles('Staff', 'Admin', 'Manager'), virtualQueueController.getActiveQueues);
+
+/**
+ * @swagger
+ * /api/virtual-queue/showtimes/{showtimeId}:
+ *   get:
+ *     summary: Chi tiết hàng đợi của suất chiếu (Staff/Admin/Manager)
+ *     tags: [Virtual Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: showtimeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Cấu hình, số lượng theo trạng thái và danh sách người đang chờ / đang chọn ghế
+ *       404:
+ *         description: Suất chiếu chưa cấu hình hàng đợi
+ *   put:
+ *     summary: Bật / tắt / chỉnh hàng đợi của suất chiếu (Admin/Manager)
+ *     tags: [Virtual Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: showtimeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *               batchSize:
+ *                 type: integer
+ *                 description: Số người được vào mỗi đợt
+ *                 example: 20
+ *               admissionIntervalSeconds:
+ *                 type: integer
+ *                 example: 30
+ *               sessionMinutes:
+ *                 type: integer
+ *                 description: Thời gian chọn ghế sau khi được vào
+ *                 example: 10
+ *               maxActiveSessions:
+ *                 type: integer
+ *                 example: 100
+ *     responses:
+ *       200:
+ *         description: Đã cập nhật hàng đợi
+ *       400:
+ *         description: Dữ liệu không hợp lệ hoặc suất chiếu đã bắt đầu
+ *       404:
+ *         description: Không tìm thấy suất chiếu
+ */
+router.get('/showtimes/:showtimeId', authMiddleware, authorizeRoles('Staff', 'Admin', 'Manager'), virtualQueueController.getQueueOverview);
+router.put('/showtimes/:showtimeId', authMiddleware, authorizeRoles('Admin', 'Manager'), virtualQueueController.configureQueue);
+
+/**
+ * @swagger
+ * /api/virtual-queue/showtimes/{showtimeId}/me:
+ *   get:
+ *     summary: Vị trí trong hàng đợi hoặc phiên chọn ghế hiện tại
+ *     tags: [Virtual Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: showtimeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: status là open, waiting, admitted hoặc not_in_queue
+ *   delete:
+ *     summary: Rời hàng đợi
+ *     tags: [Virtual Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: showtimeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Đã rời hàng đợi
+ */
+router.get('/showtimes/:showtimeId/me', authMiddleware, virtualQueueController.getMyQueueState);
+router.delete('/showtimes/:showtimeId/me', authMiddleware, virtualQueueController.leaveQueue);
+
+module.exports = router;
@@ -0,0 +1,144 @@
+// src/routes/waitlistRoutes.js
+const express = require('express');
+const router = express.Router();
+const waitlistController = require('../controllers/waitlistController');
+const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddleware');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Waitlist
+ *   description: >
+ *     Danh sách chờ cho suất chiếu đã hết ghế. Khi có ghế được giải phóng, khách đầu tiên trong danh sách
+ *     xếp đủ ghế sẽ được giữ ghế và nhận lời mời có thời hạn qua Socket.IO (sự kiện waitlist-offer) và email.
+ */
+
+/**
+ * @swagger
+ * /api/waitlist/me:
+ *   get:
+ *     summary: Danh sách chờ của tôi
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Các yêu cầu chờ của người dùng hiện tại
+ */
+router.get('/me', authMiddleware, waitlistController.getMyEntries);
+
+/**
+ * @swagger
+ * /api/waitlist/demand:
+ *   get:
+ *     summary: Nhu cầu danh sách chờ theo suất chiếu (Admin/Manager)
+ *     description: Số yêu cầu và số ghế đang chờ, đã được mời, đã đặt, hết hạn của từng suất chiếu cùng tỉ lệ chuyển đổi.
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: showtimeId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: movieId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: cinemaId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Nhu cầu danh sách chờ, sắp xếp theo số ghế đang chờ giảm dần
+ */
+router.get('/demand', authMiddleware, authorizeRoles('Admin', 'Manager'), waitlistController.getDemand);
+
+/**
+ * @swagger
+ * /api/waitlist/showtimes/{showtimeId}:
+ *   post:
+ *     summary: Tham gia danh sách chờ của suất chiếu
+ *     description: Chỉ áp dụng khi suất chiếu không còn đủ ghế trống cho số ghế yêu cầu.
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: showtimeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [seatCount]
+ *             properties:
+ *               seatCount:
+ *                 type: integer
+ *                 example: 2
+ *     responses:
+ *       201:
+ *         description: Đã tham gia danh sách chờ
+ *       400:
+ *         description: Số ghế không hợp lệ, suất chiếu đã bắt đầu hoặc vẫn còn đủ ghế
+ *       409:
+ *         description: Đã có trong danh sách chờ
+ *   get:
+ *     summary: Danh sách chờ của suất chiếu (Staff/Admin/Manager)
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: showtimeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Waiting, Offered, Booked, Expired, Cancelled]
+ *     responses:
+ *       200:
+ *         description: Các yêu cầu chờ theo thứ tự tham gia
+ */
+router.post('/showtimes/:showtimeId', authMiddleware, waitlistController.joinWaitlist);
+router.get('/showtimes/:showtimeId', authMiddleware, authorizeRoles('Staff', 'Admin', 'Manager'), waitlistController.getShowtimeEntries);
+
+/**
+ * @swagger
+ * /api/waitlist/{waitlistId}:
+ *   delete:
+ *     summary: Rời danh sách chờ hoặc từ chối lời mời
+ *     description: Ghế đang được giữ cho lời mời sẽ được chuyển cho khách tiếp theo.
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: waitlistId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Đã rời danh sách chờ
+ *       403:
+ *         description: Không có quyền
+ *       404:
+ *         description: Không tìm thấy yêu cầu chờ
+ */
+router.delete('/:waitlistId', authMiddleware, waitlistController.leaveWaitlist);
+
+module.exports = router;
@@ -30,9 +30,19 @@ const bookingStatisticsRoutes = require('./routes/bookingStatisticsRoutes');
 const memberRoutes = require('./routes/memberRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
 const payosRoutes = require('./routes/payosRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
 const pointsRoutes = require('./routes/pointsRoutes');
 const promotionRoutes = require('./routes/promotionRoutes');
 const salesReportRoutes = require('./routes/salesReportRoutes');
+const waitlistRoutes = require('./routes/waitlistRoutes');
+const virtualQueueRoutes = require('./routes/virtualQueueRoutes');
+const showtimeSeatBlockRoutes = require('./routes/showtimeSeatBlockRoutes');
+const seatBookingRuleRoutes = require('./routes/seatBookingRuleRoutes');
+const operatingHoursRoutes = require('./routes/operatingHoursRoutes');
+const showtimeSeriesRoutes = require('./routes/showtimeSeriesRoutes');
+const showtimeCancellationRoutes = require('./routes/showtimeCancellationRoutes');
+const concessionRoutes = require('./routes/concessionRoutes');
+const ticketTransferRoutes = require('./routes/ticketTransferRoutes');
 const scoreHistoryRoutes = require('./routes/scoreHistoryRoutes');
 const seatRoutes = require('./routes/seatRoutes');
 const showtimeExpirationRoutes = require('./routes/showtimeExpirationRoutes');
@@ -57,7 +67,15 @@ const bookingExpirationService = require('./services/bookingExpirationService');
 const showtimeExpirationService = require('./services/showtimeExpirationService');
 const movieStatusService = require('./services/movieStatusService');
 const ticketCancellationService = require('./services/ticketCancellationService'); // ✅ Thêm ticket cancellation service
+const paymentReconciliationService = require('./services/paymentReconciliationService');
+const waitlistService = require('./services/waitlistService');
+const virtualQueueService = require('./services/virtualQueueService');
+const seatCacheService = require('./services/seatCacheService');
+const seatSelectionService = require('./services/seatSelectionService');
+const { attachRedisAdapter, getAdapterMode } = require('./websocket/redisAdapter');
 const promotionExpirationService = require('./services/promotionExpirationService'); // ✅ Thêm promotion expiration service
+const pricingService = require('./services/pricingService');
+const pricingRuleService = require('./services/pricingRuleService');
 console.log('✅ Services chạy nền đã được nạp.');
 
 // Import kết nối cơ sở dữ liệu
@@ -202,7 +220,12 @@ app.get('/health', async (req, res) => {
                 showtimeExpiration: showtimeExpirationService.isRunning ? 'Running' : 'Stopped',
                 movieStatus: movieStatusService.isRunning ? 'Running' : 'Stopped',
                 ticketCancellation: ticketCancellationService.isRunning ? 'Running' : 'Stopped', // ✅ Thêm ticket cancellation status
-                promotionExpiration: promotionExpirationService.isRunning ? 'Running' : 'Stopped' // ✅ Thêm promotion expiration status
+                promotionExpiration: promotionExpirationService.isRunning ? 'Running' : 'Stopped', // ✅ Thêm promotion expiration status
+                paymentReconciliation: paymentReconciliationService.isRunning ? 'Running' : 'Stopped',
+                waitlist: waitlistService.isRunning ? 'Running' : 'Stopped',
+                virtualQueue: virtualQueueService.isRunning ? 'Running' : 'Stopped',
+                socketAdapter: getAdapterMode(),
+                seatLocks: seatCacheService.getLockStatus()
             },
             system: {
                 nodeVersion: process.version,
@@ -269,9 +292,19 @@ app.use('/api/booking-statistics', bookingStatisticsRoutes);
 app.use('/api/member', memberRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/payos', payosRoutes);
+app.use('/api/payments', paymentRoutes);
 app.use('/api/points', pointsRoutes);
 app.use('/api/promotions', promotionRoutes);
 app.use('/api/sales-report', salesReportRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/virtual-queue', virtualQueueRoutes);
+app.use('/api/seat-blocks', showtimeSeatBlockRoutes);
+app.use('/api/seat-booking-rules', seatBookingRuleRoutes);
+app.use('/api/operating-hours', operatingHoursRoutes);
+app.use('/api/showtime-series', showtimeSeriesRoutes);
+app.use('/api/showtime-cancellations', showtimeCancellationRoutes);
+app.use('/api/concessions', concessionRoutes);
+app.use('/api/ticket-transfers', ticketTransferRoutes);
 app.use('/api/score-history', scoreHistoryRoutes);
 app.use('/api/seats', seatRoutes);
 app.use('/api/showtime-expiration', showtimeExpirationRoutes);
@@ -363,6 +396,16 @@ const startServices = async () => {
         console.log(`   ✅ Service hủy vé quá hạn: ${ticketCancellationService.isRunning ? 'Đang chạy' : 'Thất bại'}`);
         await promotionExpirationService.start(); // ✅ Khởi động promotion expiration service
         console.log(`   ✅ Service ẩn promotion hết hạn: ${promotionExpirationService.isRunning ? 'Đang chạy' : 'Thất bại'}`);
+        paymentReconciliationService.start();
+        console.log(`   ✅ Service đối soát PayOS hằng đêm: ${paymentReconciliationService.isRunning ? 'Đang chạy' : 'Thất bại'}`);
+        waitlistService.start();
+        console.log(`   ✅ Service danh sách chờ suất chiếu: ${waitlistService.isRunning ? 'Đang chạy' : 'Thất bại'}`);
+        virtualQueueService.start();
+        console.log(`   ✅ Service phòng chờ ảo: ${virtualQueueService.isRunning ? 'Đang chạy' : 'Thất bại'}`);
+        const pricingRules = await pricingService.loadPricingRules(true); // Nạp sẵn cache quy tắc giá từ database
+        console.log(`   ✅ Đã nạp ${pricingRules.length} quy tắc giá đang hoạt động.`);
+        const seededPrices = await pricingRuleService.seedSeatTypeBasePrices(); // Tạo quy tắc giá cho ghế Xe lăn, Đi kèm, Sweetbox nếu chưa có
+        console.log(`   ✅ Quy tắc giá loại ghế đặc biệt: tạo mới ${seededPrices.created_count}, đã có ${seededPrices.skipped_count}.`);
         console.log('✅ Tất cả các tiến trình chạy nền đã được khởi động.');
     } catch (error) {
         console.error('❌ Lỗi khi khởi động các tiến trình chạy nền:', error);
@@ -413,6 +456,10 @@ const gracefulShutdown = (signal) => {
     movieStatusService.stop();
     ticketCancellationService.stop(); // ✅ Dừng ticket cancellation service
     promotionExpirationService.stop(); // ✅ Dừng promotion expiration service
+    paymentReconciliationService.stop();
+    waitlistService.stop();
+    virtualQueueService.stop();
+    seatSelectionService.stopCleanupTimer().catch(error => console.error('❌ Lỗi khi dừng cleanup timer:', error));
     console.log('✅ Đã dừng các services chạy nền.');
 
     // Đóng server Express
@@ -465,6 +512,9 @@ console.log('🔄 Đang khởi tạo WebSocket server cho real-time seat selecti
 const { initSocketHandlers } = require('./websocket/socketHandler');
 initSocketHandlers(io);
 
+// Đồng bộ broadcast giữa các instance qua Redis (fallback: chỉ trong node hiện tại)
+attachRedisAdapter(io);
+
 console.log('✅ WebSocket server đã được khởi tạo thành công!');
 
 server.listen(PORT, () => {
@@ -4,6 +4,8 @@ const { Ticket, SeatLayout, Seat, sequelize } = require('../models');
 const { Op } = require('sequelize');
 const logger = require('../utils/logger');
 const pricingService = require('../services/pricingService');
+const showtimeSeatBlockService = require('./showtimeSeatBlockService');
+const showtimeFormatService = require('./showtimeFormatService');
 
 /**
  * Seat Service - Chuyển đổi từ C# SeatService
@@ -15,16 +17,21 @@ class SeatService {
   }
 
   /**
-   * Lấy thông tin giá vé từ PricingService
+   * Lấy thông tin giá vé từ PricingService (áp dụng các quy tắc giá đang Active)
+   * @param {Object} [format] - Định dạng suất chiếu cho các quy tắc giá Format_Multiplier
    */
-  getTicketPriceByLayoutInfo(roomType, seatType, showDate, startTime) {
+  async getTicketPriceByLayoutInfo(roomType, seatType, showDate, startTime, cinemaId = null, format = null) {
     try {
+      await pricingService.ensureRulesLoaded();
+
       // Sử dụng calculateTicketPrice để tính giá có tính đến ngày và giờ
       const priceInfo = pricingService.calculateTicketPrice({
         roomType,
         seatType,
         showDate,
-        startTime
+        startTime,
+        cinemaId,
+        format
       });
 
       return priceInfo.finalPrice;
@@ -118,9 +125,10 @@ class SeatService {
 
       // Lấy giá vé cho từng loại ghế từ PricingService
       const layoutPrices = {};
+      const showtimeFormat = await showtimeFormatService.getShowtimeFormat(showtimeId);
       for (const layout of seatLayouts) {
         const seatType = layout.Seat_Type || "Thường";
-        const price = this.getTicketPriceByLayoutInfo(roomType, seatType, formattedDate, startTime);
+        const price = await this.getTicketPriceByLayoutInfo(roomType, seatType, formattedDate, startTime, cinemaRoom.Cinema_ID, showtimeFormat);
         layoutPrices[layout.Layout_ID] = price;
       }
 
@@ -174,11 +182,15 @@ class SeatService {
         }
       });
 
+      // Ghế bị Manager khóa riêng cho suất chiếu này
+      const blockedLayouts = await showtimeSeatBlockService.getBlockedLayoutMap(showtimeId);
+
       // Chuyển đổi layout thành seat DTOs
       const seatDtos = seatLayouts.map(layout => {
         let status = 'Available';
         let isBooked = false;
         let isPending = false;
+        let isBlocked = false;
 
         if (bookedLayouts.has(layout.Layout_ID)) {
           status = 'Booked';
@@ -186,6 +198,9 @@ class SeatService {
         } else if (pendingLayouts.has(layout.Layout_ID)) {
           status = 'Pending';
           isPending = true;
+        } else if (blockedLayouts.has(layout.Layout_ID)) {
+          status = 'Blocked';
+          isBlocked = true;
         }
 
         const seatType = layout.Seat_Type || 'Thường';
@@ -202,10 +217,11 @@ class SeatService {
           Status: status,
           Price: price, // ✅ Giá tính toán từ pricingService, không phải từ database
           Showtime_ID: showtimeId,
-          IsAvailable: !isBooked && !isPending,
+          IsAvailable: !isBooked && !isPending && !isBlocked,
           IsSelected: false,
           IsBooked: isBooked,
           IsPending: isPending,
+          IsBlocked: isBlocked,
           Layout: {
             Layout_ID: layout.Layout_ID,
             Cinema_Room_ID: layout.Cinema_Room_ID,
@@ -264,6 +280,7 @@ class SeatService {
         Available_Seats: seatDtos.filter(s => s.IsAvailable).length,
         Booked_Seats: seatDtos.filter(s => s.IsBooked).length,
         Pending_Seats: seatDtos.filter(s => s.IsPending).length,
+        Blocked_Seats: seatDtos.filter(s => s.IsBlocked).length,
         Showtime_Date: formattedDate || null,
         Showtime_Time: startTime || null,
         SeatLayouts: seatLayouts.map(layout => ({
@@ -299,6 +316,11 @@ class SeatService {
         return false;
       }
 
+      // Ghế bị khóa cho suất chiếu này
+      if ((await showtimeSeatBlockService.findActiveBlocksForLayouts(showtimeId, [layoutId])).length > 0) {
+        return false;
+      }
+
       // Kiểm tra xem layout đã được đặt trong suất chiếu này chưa (thông qua seats table)
       const checkPool = await seatRepository.getConnection();
       const existingBooking = await checkPool.request()
@@ -367,6 +389,13 @@ class SeatService {
         return { success: false, message: 'Suất chiếu không tồn tại' };
       }
 
+      // Ghế bị khóa cho suất chiếu này không được giữ
+      const blocks = await showtimeSeatBlockService.findActiveBlocksForLayouts(showtimeId, layoutIds);
+      if (blocks.length > 0) {
+        await transaction.rollback();
+        return { success: false, message: `Ghế ${blocks.map(block => block.seatId || block.layoutId).join(', ')} tạm thời không mở bán cho suất chiếu này` };
+      }
+
       // Kiểm tra tất cả layout có khả dụng không (không bị booking)
       const dbPool = await seatRepository.getConnection();
       for (const layoutId of layoutIds) {
@@ -438,13 +467,14 @@ class SeatService {
       // Tính tổng tiền dựa trên layout
       let totalAmount = 0;
       const layoutPrices = {};
+      const showtimeFormat = await showtimeFormatService.getShowtimeFormat(showtimeId);
       
-      layouts.forEach(layout => {
+      for (const layout of layouts) {
         const seatType = layout.Seat_Type || 'Thường';
-        const price = this.getTicketPriceByLayoutInfo(roomType, seatType, formattedDate, startTime);
+        const price = await this.getTicketPriceByLayoutInfo(roomType, seatType, formattedDate, startTime, showtime.CinemaRoom?.Cinema_ID, showtimeFormat);
         layoutPrices[layout.Layout_ID] = price;
         totalAmount += price;
-      });
+      }
 
       // Tạo booking mới
       const bookingResult = await dbPool.request()
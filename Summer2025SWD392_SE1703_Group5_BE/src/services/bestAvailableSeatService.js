@@ -0,0 +1,293 @@
+// src/services/bestAvailableSeatService.js
+// Tự động chọn nhóm ghế tốt nhất cho quầy vé / kiosk ("4 ghế VIP ngồi cạnh nhau")
+
+const { Showtime, CinemaRoom, SeatLayout } = require('../models');
+const logger = require('../utils/logger');
+const seatBookingRulesService = require('./seatBookingRulesService');
+const seatSelectionService = require('./seatSelectionService');
+const seatLayoutService = require('./seatLayoutService');
+const pricingService = require('./pricingService');
+const showtimeFormatService = require('./showtimeFormatService');
+
+class BestAvailableSeatService {
+    constructor() {
+        // Số ghế tối đa mỗi lần chọn tự động; quy tắc MAX_SEATS_PER_BOOKING của rạp có thể giới hạn thấp hơn
+        this.MAX_QUANTITY = 8;
+
+        // Hàng lý tưởng nằm ở khoảng 60% chiều sâu phòng tính từ màn hình
+        this.PREFERRED_ROW_RATIO = 0.6;
+
+        // Trọng số điểm: càng thấp càng tốt
+        this.CENTER_WEIGHT = 1;
+        this.ROW_WEIGHT = 0.8;
+        this.SPLIT_PENALTY = 0.5; // Nhóm bị chia làm 2 hàng liền kề
+
+        // Số phương án dự phòng trả về và số lần thử giữ ghế khi bị người khác giành trước
+        this.MAX_ALTERNATIVES = 3;
+        this.MAX_HOLD_ATTEMPTS = 3;
+    }
+
+    _createError(message, statusCode, code) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        if (code) error.code = code;
+        return error;
+    }
+
+    /**
+     * Tìm (và tùy chọn giữ) nhóm ghế tốt nhất cho suất chiếu
+     * @param {number} showtimeId
+     * @param {Object} options - { quantity, seatType, hold, userId, socketId, role, sessionToken, accessibilityRequested }
+     *   Không chỉ định seatType thì không đề xuất chỗ xe lăn / ghế đi kèm / ghế Sweetbox; quantity luôn là số ghế (một ghế Sweetbox là một ghế)
+     * @returns {Object} { showtimeId, quantity, seats, totalPrice, score, split, held, expiresAt, alternatives }
+     */
+    async findBestAvailable(showtimeId, { quantity, seatType = null, hold = false, userId, socketId = null, role = null, sessionToken = null, accessibilityRequested = false } = {}) {
+        const seatCount = parseInt(quantity, 10);
+        if (isNaN(seatCount) || seatCount < 1 || seatCount > this.MAX_QUANTITY) {
+            throw this._createError(`Số ghế phải từ 1 đến ${this.MAX_QUANTITY}`, 400);
+        }
+
+        let normalizedSeatType = null;
+        if (seatType) {
+            try {
+                normalizedSeatType = seatLayoutService.normalizeSeatType(seatType);
+            } catch (error) {
+                throw this._createError(error.message, 400);
+            }
+        }
+
+        const showtime = await Showtime.findByPk(showtimeId);
+        if (!showtime) {
+            throw this._createError('Không tìm thấy suất chiếu', 404);
+        }
+        if (showtime.Status !== 'Scheduled') {
+            throw this._createError('Suất chiếu không còn mở bán', 400);
+        }
+
+        const roomLayouts = await seatLayoutService.attachColumnSpans(await SeatLayout.findAll({
+            where: { Cinema_Room_ID: showtime.Cinema_Room_ID, Is_Active: true },
+            attributes: ['Layout_ID', 'Row_Label', 'Column_Number', 'Seat_Type'],
+            raw: true
+        }));
+        if (roomLayouts.length === 0) {
+            throw this._createError('Phòng chiếu chưa có sơ đồ ghế', 404);
+        }
+
+        // Quy tắc đặt ghế của rạp / loại phòng: nhóm ghế đề xuất phải hợp lệ khi đặt vé
+        const ruleSet = await seatBookingRulesService.getRuleSetForShowtime(showtimeId);
+        const maxSeatsRule = ruleSet.rules.MAX_SEATS_PER_BOOKING;
+        if (maxSeatsRule.enabled && seatCount > maxSeatsRule.parameters.maxSeats) {
+            throw this._createError(`Mỗi lần đặt tối đa ${maxSeatsRule.parameters.maxSeats} ghế`, 400, 'MAX_SEATS_EXCEEDED');
+        }
+
+        const occupied = await seatBookingRulesService.getOccupiedLayoutIds(showtimeId, roomLayouts, userId);
+        const request = seatBookingRulesService.buildRequest(ruleSet, { role, accessibilityRequested });
+        const candidates = this._rankCandidates(roomLayouts, occupied, seatCount, normalizedSeatType, ruleSet, request);
+
+        if (candidates.length === 0) {
+            throw this._createError(
+                `Không còn ${seatCount} ghế${normalizedSeatType ? ` ${normalizedSeatType}` : ''} liền kề phù hợp cho suất chiếu này`,
+                409,
+                'NO_SEATS_AVAILABLE'
+            );
+        }
+
+        const priceContext = await this._getPriceContext(showtime);
+
+        if (!hold) {
+            return this._buildResult(showtimeId, seatCount, candidates[0], candidates.slice(1), priceContext, null);
+        }
+
+        // Giữ ghế: phương án tốt nhất có thể đã bị người khác giữ giữa lúc tính và lúc giữ, thử tiếp phương án sau
+        for (let i = 0; i < Math.min(candidates.length, this.MAX_HOLD_ATTEMPTS); i++) {
+            const holdResult = await this._holdCandidate(showtimeId, candidates[i], userId, socketId, { role, sessionToken, accessibilityRequested });
+            if (holdResult) {
+                return this._buildResult(showtimeId, seatCount, candidates[i], candidates.slice(i + 1), priceContext, holdResult);
+            }
+        }
+
+        throw this._createError('Các ghế phù hợp vừa được người khác chọn, vui lòng thử lại', 409, 'NO_SEATS_AVAILABLE');
+    }
+
+    /**
+     * Sinh và xếp hạng các nhóm ghế hợp lệ. Ưu tiên nhóm cùng một hàng,
+     * chỉ chia nhóm ra 2 hàng liền kề khi không còn hàng nào đủ chỗ.
+     */
+    _rankCandidates(roomLayouts, occupied, seatCount, seatType, ruleSet = null, request = null) {
+        const rowLabels = [...new Set(roomLayouts.map(l => l.Row_Label))]
+            .sort((a, b) => a.length - b.length || a.localeCompare(b));
+        const idealRowIndex = (rowLabels.length - 1) * this.PREFERRED_ROW_RATIO;
+        const rowSpan = Math.max(1, rowLabels.length - 1);
+
+        // Thông tin từng hàng: ghế sắp theo cột, tâm hàng và nửa chiều rộng để chuẩn hóa khoảng cách
+        const rows = rowLabels.map((rowLabel, rowIndex) => {
+            const seats = roomLayouts
+                .filter(l => l.Row_Label === rowLabel)
+                .sort((a, b) => a.Column_Number - b.Column_Number);
+            const minColumn = seats[0].Column_Number;
+            const maxColumn = seatLayoutService.getEndColumn(seats[seats.length - 1]);
+            return {
+                rowLabel,
+                rowIndex,
+                seats,
+                center: (minColumn + maxColumn) / 2,
+                halfWidth: Math.max(1, (maxColumn - minColumn) / 2),
+                rowPenalty: Math.abs(rowIndex - idealRowIndex) / rowSpan
+            };
+        });
+
+        // Không chỉ định loại ghế thì chỉ đề xuất ghế một người (bỏ qua chỗ xe lăn, ghế đi kèm và ghế Sweetbox)
+        const isFree = (layout) => !occupied.has(layout.Layout_ID) && (seatType
+            ? layout.Seat_Type === seatType
+            : !SeatLayout.ACCESSIBLE_SEAT_TYPES.includes(layout.Seat_Type) && (layout.Column_Span || 1) === 1);
+
+        const evaluate = (blocks, penalty) => {
+            const layouts = blocks.flatMap(b => b.seats);
+            const check = seatBookingRulesService.evaluateCandidateSeats(layouts, roomLayouts, occupied, ruleSet, { request });
+            if (!check.valid) return null;
+            const score = blocks.reduce((sum, b) => sum + b.score * b.seats.length, 0) / layouts.length + penalty;
+            return { seats: layouts, score: Math.round(score * 1000) / 1000, split: blocks.length > 1 };
+        };
+
+        const singleRow = rows
+            .flatMap(row => this._findBlocks(row, seatCount, isFree))
+            .map(block => evaluate([block], 0))
+            .filter(Boolean)
+            .sort((a, b) => a.score - b.score);
+
+        if (singleRow.length > 0 || seatCount < 2) {
+            return singleRow;
+        }
+
+        const split = [];
+        for (let i = 0; i < rows.length - 1; i++) {
+            for (let front = 1; front < seatCount; front++) {
+                const frontBlocks = this._findBlocks(rows[i], front, isFree);
+                const backBlocks = this._findBlocks(rows[i + 1], seatCount - front, isFree);
+                frontBlocks.forEach(frontBlock => {
+                    backBlocks.forEach(backBlock => {
+                        // Hai nửa nhóm phải chồng cột lên nhau để ngồi gần nhau
+                        const overlap = Math.min(frontBlock.endColumn, backBlock.endColumn) - Math.max(frontBlock.startColumn, backBlock.startColumn);
+                        if (overlap < 0) return;
+                        const candidate = evaluate([frontBlock, backBlock], this.SPLIT_PENALTY);
+                        if (candidate) split.push(candidate);
+                    });
+                });
+            }
+        }
+
+        return split.sort((a, b) => a.score - b.score);
+    }
+
+    /**
+     * Các dãy ghế trống liên tiếp theo Column_Number (lối đi làm đứt dãy) có đúng `size` ghế trong một hàng
+     */
+    _findBlocks(row, size, isFree) {
+        const blocks = [];
+        for (let start = 0; start + size <= row.seats.length; start++) {
+            const seats = row.seats.slice(start, start + size);
+            const contiguous = seats.every((seat, idx) => idx === 0 || seat.Column_Number === seatLayoutService.getEndColumn(seats[idx - 1]) + 1);
+            if (!contiguous || !seats.every(isFree)) continue;
+
+            const startColumn = seats[0].Column_Number;
+            const endColumn = seatLayoutService.getEndColumn(seats[seats.length - 1]);
+            const centerDistance = Math.abs((startColumn + endColumn) / 2 - row.center) / row.halfWidth;
+            blocks.push({
+                seats,
+                startColumn,
+                endColumn,
+                score: this.CENTER_WEIGHT * centerDistance + this.ROW_WEIGHT * row.rowPenalty
+            });
+        }
+        return blocks;
+    }
+
+    /**
+     * Giữ toàn bộ ghế của một phương án; nếu một ghế thất bại thì trả lại các ghế đã giữ
+     * @param {Object} selectOptions - { role, sessionToken, accessibilityRequested } chuyển tiếp cho seatSelectionService.selectSeat
+     * @returns {Object|null} { expiresAt } khi giữ đủ ghế, null khi ghế bị giành trước
+     */
+    async _holdCandidate(showtimeId, candidate, userId, socketId, selectOptions) {
+        const heldLabels = [];
+        let expiresAt = null;
+
+        for (const layout of candidate.seats) {
+            const seatLabel = `${layout.Row_Label}${layout.Column_Number}`;
+            const result = await seatSelectionService.selectSeat(showtimeId, seatLabel, userId, socketId, selectOptions);
+
+            if (!result.success) {
+                await Promise.all(heldLabels.map(label =>
+                    seatSelectionService.deselectSeat(showtimeId, label, userId).catch(error =>
+                        logger.error(`[BestAvailable] Lỗi khi trả ghế ${label}:`, error)
+                    )
+                ));
+
+                if (result.code === 'SEAT_LOCK_UNAVAILABLE') {
+                    throw this._createError(result.message, 503, result.code);
+                }
+                if (result.code === 'QUEUE_SESSION_REQUIRED') {
+                    throw this._createError(result.message, 403, result.code);
+                }
+                logger.info(`[BestAvailable] Ghế ${seatLabel} suất ${showtimeId} không giữ được (${result.message}), thử phương án khác`);
+                return null;
+            }
+
+            heldLabels.push(seatLabel);
+            expiresAt = expiresAt ? Math.min(expiresAt, result.expiresAt) : result.expiresAt;
+        }
+
+        return { expiresAt };
+    }
+
+    async _getPriceContext(showtime) {
+        const room = await CinemaRoom.findByPk(showtime.Cinema_Room_ID, { attributes: ['Room_Type'] });
+        await pricingService.ensureRulesLoaded();
+        return {
+            roomType: room?.Room_Type || '2D',
+            showDate: showtime.Show_Date,
+            startTime: showtime.Start_Time,
+            format: await showtimeFormatService.getShowtimeFormat(showtime.Showtime_ID)
+        };
+    }
+
+    _formatSeat(layout, priceContext) {
+        let price = null;
+        try {
+            price = pricingService.calculateTicketPrice({ ...priceContext, seatType: layout.Seat_Type }).finalPrice;
+        } catch (error) {
+            logger.warn(`[BestAvailable] Không tính được giá ghế ${layout.Row_Label}${layout.Column_Number}: ${error.message}`);
+        }
+
+        return {
+            seatId: `${layout.Row_Label}${layout.Column_Number}`,
+            layoutId: layout.Layout_ID,
+            row: layout.Row_Label,
+            column: layout.Column_Number,
+            columnSpan: layout.Column_Span,
+            seatLabel: seatLayoutService.formatSeatPosition(layout),
+            seatType: layout.Seat_Type,
+            price
+        };
+    }
+
+    _buildResult(showtimeId, seatCount, best, others, priceContext, holdResult) {
+        const seats = best.seats.map(layout => this._formatSeat(layout, priceContext));
+        return {
+            showtimeId: Number(showtimeId),
+            quantity: seatCount,
+            seats,
+            totalPrice: seats.every(s => s.price !== null) ? seats.reduce((sum, s) => sum + s.price, 0) : null,
+            score: best.score,
+            split: best.split,
+            held: !!holdResult,
+            expiresAt: holdResult?.expiresAt || null,
+            alternatives: others.slice(0, this.MAX_ALTERNATIVES).map(candidate => ({
+                seats: candidate.seats.map(l => `${l.Row_Label}${l.Column_Number}`),
+                score: candidate.score,
+                split: candidate.split
+            }))
+        };
+    }
+}
+
+module.exports = new BestAvailableSeatService();
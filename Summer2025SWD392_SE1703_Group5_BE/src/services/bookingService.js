@@ -431,7 +431,11 @@ class BookingService {
         selectedSeats: bookingData.selectedSeats || bookingData.selected_seats || bookingData.layoutSeatIds || [],
         promotionId: bookingData.promotionId || bookingData.promotion_id || bookingData.Promotion_ID || null,
         paymentMethod: bookingData.paymentMethod || bookingData.payment_method || bookingData.Payment_Method || null,
-        pointsToUse: bookingData.pointsToUse || bookingData.points_to_use || bookingData.Points_To_Use || 0
+        pointsToUse: bookingData.pointsToUse || bookingData.points_to_use || bookingData.Points_To_Use || 0,
+        concessions: Array.isArray(bookingData.concessions) ? bookingData.concessions : [],
+        // Nhân viên bán tại quầy xác nhận khách cần hỗ trợ tiếp cận: được đặt chỗ xe lăn trong thời gian giữ ghế
+        accessibilityRequested: bookingData.accessibilityRequested === true,
+        requesterRole: bookingData.requesterRole || null
       };
 
       logger.info(`Dữ liệu booking sau khi chuẩn hóa: ${JSON.stringify(normalizedBookingData)}`);
@@ -447,7 +451,7 @@ class BookingService {
           {
             model: CinemaRoom,
             as: 'CinemaRoom',
-            attributes: ['Cinema_Room_ID', 'Room_Name', 'Room_Type']
+            attributes: ['Cinema_Room_ID', 'Room_Name', 'Room_Type', 'Cinema_ID']
           }
         ],
         transaction
@@ -522,6 +526,45 @@ class BookingService {
         })
       );
       
+      // Ghế bị Manager khóa cho suất chiếu này (ghế hỏng, ghế giữ cho rạp...) không được bán
+      const showtimeSeatBlockService = require('./showtimeSeatBlockService');
+      const seatBlocks = await showtimeSeatBlockService.findActiveBlocksForLayouts(
+        normalizedBookingData.showtimeId,
+        enhancedSelectedSeats.map(seat => seat.layout_id),
+        transaction
+      );
+      if (seatBlocks.length > 0) {
+        const seatBlockedError = new Error(`Ghế ${seatBlocks.map(block => block.seatId || block.layoutId).join(', ')} tạm thời không mở bán cho suất chiếu này`);
+        seatBlockedError.name = 'SeatUnavailableError';
+        seatBlockedError.code = 'SEAT_BLOCKED';
+        seatBlockedError.statusCode = 409;
+        seatBlockedError.takenSeats = seatBlocks.map(block => block.layoutId);
+        throw seatBlockedError;
+      }
+
+      // Quy tắc đặt ghế của rạp / loại phòng (số ghế tối đa, ghế trống lẻ, ghế đôi theo cặp, giãn cách...)
+      const seatBookingRulesService = require('./seatBookingRulesService');
+      const ruleResult = await seatBookingRulesService.validateSeatBookingRules(
+        enhancedSelectedSeats.map(seat => seat.layout_id),
+        normalizedBookingData.showtimeId,
+        transaction,
+        {
+          userId,
+          role: normalizedBookingData.requesterRole,
+          accessibilityRequested: normalizedBookingData.accessibilityRequested
+        }
+      );
+      if (!ruleResult.valid) {
+        const ruleViolationError = new Error(ruleResult.message);
+        ruleViolationError.name = 'SeatRuleViolationError';
+        ruleViolationError.code = 'SEAT_RULE_VIOLATION';
+        ruleViolationError.statusCode = 400;
+        ruleViolationError.rule = ruleResult.rule;
+        ruleViolationError.errorCode = ruleResult.errorCode;
+        ruleViolationError.violations = ruleResult.violations;
+        throw ruleViolationError;
+      }
+
       const seatsWithLayouts = await this.createOrUpdateSeats(
         enhancedSelectedSeats,
         normalizedBookingData.showtimeId,
@@ -547,7 +590,8 @@ class BookingService {
       const showtimeInfo = {
         showDate: showtime.Show_Date,
         startTime: normalizedStartTime,
-        showtimeId: showtime.Showtime_ID
+        showtimeId: showtime.Showtime_ID,
+        cinemaId: showtime.CinemaRoom.Cinema_ID
       };
 
       // Sử dụng phương thức calculateTotalAmount đã được cập nhật để sử dụng pricingService
@@ -605,7 +649,7 @@ class BookingService {
 
       // Bước 5: Tạo đơn đặt vé mới
       // Tính điểm tích lũy (10% tổng tiền) ngay khi tạo booking
-      const pointsToEarn = Math.floor(totalAmount * 0.1);
+      let pointsToEarn = Math.floor(totalAmount * 0.1);
       logger.info(`Tính điểm tích lũy dự kiến: ${pointsToEarn} điểm (10% của ${totalAmount})`);
 
       // Kiểm tra xem người tạo booking có phải là staff/admin hay không
@@ -664,14 +708,38 @@ class BookingService {
         transaction
       );
 
+      // Bước 6.1: Tạo đơn bắp nước đi kèm (nếu có) và cộng vào tổng tiền thanh toán.
+      // Giới hạn dùng điểm vẫn tính trên tiền vé, điểm tích lũy tính trên tổng tiền cuối cùng.
+      let concessionTotal = 0;
+      if (normalizedBookingData.concessions.length > 0) {
+        const concessionService = require('./concessionService');
+        const { totalAmount: orderTotal } = await concessionService.createOrder({
+          cinemaId: showtime.CinemaRoom.Cinema_ID,
+          items: normalizedBookingData.concessions,
+          bookingId: booking.Booking_ID,
+          userId: bookingUserId,
+          createdBy: userId
+        }, transaction);
+
+        concessionTotal = orderTotal;
+        totalAmount += concessionTotal;
+        pointsToEarn = Math.floor(totalAmount * 0.1);
+        await booking.update({ Total_Amount: totalAmount, Points_Earned: pointsToEarn }, { transaction });
+        logger.info(`Đã thêm ${concessionTotal} VND bắp nước vào booking ${booking.Booking_ID}. Tổng tiền: ${totalAmount} VND`);
+      }
+
       // Bước 7: Tạo history booking
+      let historyNotes = pointsToUse > 0 
+        ? `Đơn đặt vé đã được tạo, đã sử dụng ${pointsToUse} điểm để giảm giá ${discountAmount} VND, đang chờ thanh toán.`
+        : 'Đơn đặt vé đã được tạo, đang chờ thanh toán.';
+      if (concessionTotal > 0) {
+        historyNotes += ` Bao gồm bắp nước: ${concessionTotal} VND.`;
+      }
       await BookingHistory.create({
         Booking_ID: booking.Booking_ID,
         Date: sequelize.literal('GETDATE()'),
         Status: 'Pending',
-        Notes: pointsToUse > 0 
-          ? `Đơn đặt vé đã được tạo, đã sử dụng ${pointsToUse} điểm để giảm giá ${discountAmount} VND, đang chờ thanh toán.`
-          : 'Đơn đặt vé đã được tạo, đang chờ thanh toán.',
+        Notes: historyNotes,
         IsRead: false
       }, { transaction });
 
@@ -692,6 +760,24 @@ class BookingService {
       await transaction.commit();
       transaction = null; // Clear transaction after successful commit
 
+      // Đánh dấu lời mời từ danh sách chờ (nếu có) đã được dùng để đặt vé
+      if (bookingUserId) {
+        try {
+          const waitlistService = require('./waitlistService');
+          await waitlistService.markOfferBooked(normalizedBookingData.showtimeId, bookingUserId, booking.Booking_ID);
+        } catch (waitlistError) {
+          logger.warn(`Không thể cập nhật danh sách chờ cho booking ${booking.Booking_ID}: ${waitlistError.message}`);
+        }
+
+        // Kết thúc phiên phòng chờ ảo (nếu có) để nhường chỗ cho khách tiếp theo
+        try {
+          const virtualQueueService = require('./virtualQueueService');
+          await virtualQueueService.completeSession(normalizedBookingData.showtimeId, bookingUserId);
+        } catch (queueError) {
+          logger.warn(`Không thể kết thúc phiên hàng đợi cho booking ${booking.Booking_ID}: ${queueError.message}`);
+        }
+      }
+
       // Bước 9: Format dữ liệu trả về
       const formattedSeats = seatLayouts.map(layout => ({
         Row: layout.Row_Label,
@@ -721,6 +807,7 @@ class BookingService {
           Seats: formattedSeats,
           Original_Amount: priceCalculation.totalAmount,
           Discount_Amount: discountAmount,
+          Concession_Amount: concessionTotal,
           Total_Amount: totalAmount,
           Points_Used: pointsToUse,
           Points_Earned: pointsToEarn,
@@ -771,6 +858,16 @@ class BookingService {
       };
     }
 
+    // Bước 1b: Ghế bị Manager khóa cho suất chiếu này (ghế hỏng, ghế giữ cho rạp...) không được bán
+    const showtimeSeatBlockService = require('./showtimeSeatBlockService');
+    const blocks = await showtimeSeatBlockService.findActiveBlocksForLayouts(showtimeId, layoutIds, transaction);
+    if (blocks.length > 0) {
+      return {
+        available: false,
+        reason: `Ghế ${blocks.map(block => block.seatId || block.layoutId).join(', ')} tạm thời không mở bán cho suất chiếu này`
+      };
+    }
+
     // Bước 2: Lấy ra danh sách seat_id từ layout_id với error handling
     let seats;
     try {
@@ -857,18 +954,24 @@ class BookingService {
 
     // Import pricingService
     const pricingService = require('./pricingService');
+    const showtimeFormatService = require('./showtimeFormatService');
     const { Showtime } = require('../models');
 
+    // Đảm bảo các quy tắc giá trong database đã được nạp trước khi tính giá
+    await pricingService.ensureRulesLoaded();
+
     // Bước 1: Tìm thông tin suất chiếu từ tham số hoặc từ layout
     let showDate = null;
     let startTime = null;
     let showtimeId = null;
+    let cinemaId = null;
     
     // Sử dụng thông tin từ tham số nếu có
     if (showtimeInfo && showtimeInfo.showDate && showtimeInfo.startTime) {
       showDate = showtimeInfo.showDate;
       startTime = showtimeInfo.startTime;
       showtimeId = showtimeInfo.showtimeId;
+      cinemaId = showtimeInfo.cinemaId || null;
     } else {
       // Lấy showtime_id từ layouts nếu không có từ tham số
       showtimeId = layouts.length > 0 && layouts[0].Showtime_ID ? layouts[0].Showtime_ID : 
@@ -876,10 +979,14 @@ class BookingService {
       
       if (showtimeId) {
         try {
-          const showtime = await Showtime.findByPk(showtimeId, { transaction });
+          const showtime = await Showtime.findByPk(showtimeId, {
+            include: [{ model: CinemaRoom, as: 'CinemaRoom', attributes: ['Cinema_ID'] }],
+            transaction
+          });
           if (showtime) {
             showDate = showtime.Show_Date;
             startTime = showtime.Start_Time;
+            cinemaId = showtime.CinemaRoom ? showtime.CinemaRoom.Cinema_ID : null;
             
             // Sử dụng phương thức formatTimeFromShowtime để đảm bảo định dạng nhất quán
             startTime = this.formatTimeFromShowtime(startTime);
@@ -899,6 +1006,9 @@ class BookingService {
       startTime = '12:00:00'; // Mặc định là buổi trưa để tránh hệ số tăng giá
     }
 
+    // Định dạng suất chiếu (3D, lồng tiếng, CC...) cho các quy tắc giá Format_Multiplier
+    const showtimeFormat = showtimeId ? await showtimeFormatService.getShowtimeFormat(showtimeId, transaction) : null;
+
     // Đảm bảo startTime là chuỗi định dạng đúng HH:MM:SS
     startTime = this.formatTimeFromShowtime(startTime);
     if (!startTime || (typeof startTime === 'string' && !startTime.includes(':'))) {
@@ -922,7 +1032,9 @@ class BookingService {
             roomType,
             seatType,
             showDate: showDate,
-            startTime: startTime
+            startTime: startTime,
+            cinemaId,
+            format: showtimeFormat
           });
 
           // Lưu giá vé vào cache để dùng lại
@@ -939,7 +1051,9 @@ class BookingService {
                 roomType,
                 seatType: 'Thường',
                 showDate: showDate,
-                startTime: startTime
+                startTime: startTime,
+                cinemaId,
+                format: showtimeFormat
               });
 
               ticketPricings[seatType] = priceInfo.finalPrice;
@@ -951,7 +1065,9 @@ class BookingService {
                 roomType,
                 seatType: firstAvailable,
                 showDate: showDate,
-                startTime: startTime
+                startTime: startTime,
+                cinemaId,
+                format: showtimeFormat
               });
 
               ticketPricings[seatType] = priceInfo.finalPrice;
@@ -974,6 +1090,7 @@ class BookingService {
       ticketPricings, // Object chứa giá vé theo loại ghế để sử dụng sau này
       calculationDetails: {
         roomType,
+        cinemaId,
         showDate,
         startTime,
         timeInfo: {
@@ -1027,12 +1144,19 @@ class BookingService {
       let seats = []; // Khởi tạo mảng rỗng vì sẽ tạo seats mới
 
       // Bước 3: Luôn tạo Seat record mới cho mỗi booking (theo logic của bạn)
+      // Ghế chiếm nhiều cột (Sweetbox) là một Seat / một Ticket, Seat_Number ghi đủ các cột ("H5-6")
+      const seatLayoutService = require('./seatLayoutService');
+      const columnSpans = await seatLayoutService.getColumnSpans(seatLayouts.map(layout => layout.Layout_ID), transaction);
       const seatsToCreate = [];
       for (const layout of seatLayouts) {
         // Luôn tạo Seat mới cho mỗi booking, không check existing
         seatsToCreate.push({
           Layout_ID: layout.Layout_ID,
-          Seat_Number: `${layout.Row_Label}${layout.Column_Number}`,
+          Seat_Number: seatLayoutService.formatSeatPosition({
+            Row_Label: layout.Row_Label,
+            Column_Number: layout.Column_Number,
+            Column_Span: columnSpans.get(layout.Layout_ID) || 1
+          }),
           Is_Active: true
         });
       }
@@ -1292,6 +1416,9 @@ class BookingService {
 
       logger.info(`Đã cập nhật đơn đặt vé ${bookingId} sang trạng thái Đã xác nhận`);
 
+      // Bước 4.1: Đơn bắp nước đi kèm được thanh toán cùng vé
+      await require('./concessionService').markBookingOrdersPaid(bookingId, paymentMethod, transaction);
+
       // Bước 5: Cập nhật trạng thái tất cả vé
       const updatedTicketsCount = await Ticket.update({
         Status: 'Active',
@@ -1888,6 +2015,9 @@ class BookingService {
         }
       }
 
+      // Bước 5.6: Hủy đơn bắp nước đi kèm và hoàn lại tồn kho
+      await require('./concessionService').cancelBookingOrders(bookingId, transaction);
+
       // Bước 6: Tạo lịch sử đơn đặt vé
       await BookingHistory.create({
         Booking_ID: bookingId,
@@ -1903,6 +2033,9 @@ class BookingService {
       await transaction.commit();
       logger.info(`Giao dịch đã được hoàn thành thành công cho việc tự động hủy đơn đặt vé ${bookingId}`);
 
+      // Ghế vừa được giải phóng: chuyển cho khách trong danh sách chờ
+      this._notifyWaitlistSeatsReleased(booking.Showtime_ID);
+
       // Thông tin về ghế đã hủy để hiển thị trong thông báo
       const formattedSeats = seats.map(seat => ({
         SeatPosition: `${seat.SeatLayout?.Row_Label}${seat.SeatLayout?.Column_Number}`
@@ -2142,6 +2275,18 @@ class BookingService {
     return `PAY-${Date.now()}-${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
   }
 
+  /**
+   * Báo cho danh sách chờ khi ghế của suất chiếu được giải phóng (không chặn luồng hủy vé)
+   */
+  _notifyWaitlistSeatsReleased(showtimeId) {
+    try {
+      const waitlistService = require('./waitlistService');
+      waitlistService.notifySeatsReleased(showtimeId);
+    } catch (error) {
+      logger.warn(`Không thể xử lý danh sách chờ cho suất chiếu ${showtimeId}: ${error.message}`);
+    }
+  }
+
   async getFormattedSeatPositions(bookingId) {
     try {
       const tickets = await Ticket.findAll({
@@ -2216,7 +2361,16 @@ class BookingService {
     return true;
   }
 
-  async processManualCancellation(bookingId, adminUserId, reason) {
+  /**
+   * Hủy đơn đặt vé và hoàn tiền theo chính sách hoàn tiền (refundPolicyService)
+   * @param {number} bookingId - ID đơn đặt vé
+   * @param {number} adminUserId - Người thực hiện hủy
+   * @param {string} reason - Lý do hủy
+   * @param {Object} [options]
+   * @param {string} [options.refundMethod='money'] - 'money' (hoàn tiền) hoặc 'points' (hoàn điểm)
+   * @param {boolean} [options.waivePolicy=false] - Bỏ qua chính sách, hoàn 100% (dùng cho Admin/Manager)
+   */
+  async processManualCancellation(bookingId, adminUserId, reason, options = {}) {
     const transaction = await sequelize.transaction();
 
     try {
@@ -2262,6 +2416,15 @@ class BookingService {
       const originalStatus = booking.Status;
       logger.info(`Found booking ${bookingId} with status: ${originalStatus}`);
 
+      // Vé đã tặng cho thành viên khác không thể bị người mua hủy để lấy lại tiền (trừ khi nhân viên miễn chính sách)
+      const ticketTransferService = require('./ticketTransferService');
+      if (!options.waivePolicy && await ticketTransferService.hasAcceptedTransfers(bookingId, transaction)) {
+        const transferError = new Error('Đơn đặt vé có vé đã được chuyển nhượng cho thành viên khác, không thể hủy');
+        transferError.statusCode = 400;
+        throw transferError;
+      }
+      await ticketTransferService.cancelPendingForBooking(bookingId, transaction);
+
       // Bước 3: Lấy thông tin các vé
       const tickets = await Ticket.findAll({
         where: { Booking_ID: bookingId },
@@ -2327,12 +2490,21 @@ class BookingService {
         // Admin vẫn có thể hủy nhưng hệ thống sẽ ghi log để kiểm tra sau
       }
 
-      // Bước 5: Tính toán số tiền hoàn trả
-      let refundAmount = 0;
-      if (originalStatus === 'Confirmed') {
-        refundAmount = booking.Total_Amount; // Hoàn 100% nếu đã xác nhận
-        logger.info(`Refund amount calculated: ${refundAmount} for booking ${bookingId}`);
+      // Bước 5: Tính toán số tiền hoàn trả theo chính sách hoàn tiền
+      const refundPolicyService = require('./refundPolicyService');
+      await refundPolicyService.ensurePolicyLoaded();
+      const refundQuote = refundPolicyService.calculateRefund(booking, {
+        refundMethod: options.refundMethod,
+        waivePolicy: options.waivePolicy,
+        exchangePointsPaid: await this.getExchangePointsPaid(bookingId, transaction)
+      });
+      if (!refundQuote.cancellable) {
+        const policyError = new Error(refundQuote.message);
+        policyError.statusCode = 400;
+        throw policyError;
       }
+      const refundAmount = refundQuote.refundAmount;
+      logger.info(`Refund calculated for booking ${bookingId}: ${refundQuote.refundPercent}% = ${refundAmount} VND (${refundQuote.refundMethod})`);
 
       // Bước 6: Xóa các vé trước (để tránh foreign key constraint)
       let deletedTicketsCount = 0;
@@ -2362,6 +2534,9 @@ class BookingService {
         }
       }
 
+      // Bước 7.5: Hủy đơn bắp nước đi kèm và hoàn lại tồn kho (tiền bắp nước nằm trong Total_Amount nên được hoàn cùng vé)
+      const concessionOrdersCancelled = await require('./concessionService').cancelBookingOrders(bookingId, transaction);
+
       // Bước 8: Xử lý giải phóng khuyến mãi nếu có
       if (booking.Promotion_ID) {
         try {
@@ -2425,15 +2600,20 @@ class BookingService {
         logger.info(`Restored ${seats.length} seats to showtime ${showtime.Showtime_ID} capacity`);
       }
 
-      // Bước 11: Xử lý hoàn trả điểm
+      // Bước 11: Xử lý hoàn trả điểm (điểm đã dùng, chênh lệch đổi vé trả bằng điểm + điểm quy đổi nếu khách chọn hoàn điểm)
       let pointsRefunded = 0;
-      if (booking.Points_Used > 0) {
-        pointsRefunded = booking.Points_Used;
+      if (refundQuote.pointsUsedReturned > 0 || refundQuote.refundPoints > 0) {
+        pointsRefunded = refundQuote.pointsUsedReturned + refundQuote.refundPoints;
         logger.info(`Points to refund: ${pointsRefunded} for user ${booking.User_ID}`);
 
         // Xử lý hoàn điểm sau khi commit transaction để tránh lỗi nested transaction
       }
 
+      // Bước 11.1: Ghi nhận khoản hoàn tiền vào Payments và Booking_History
+      if (refundQuote.paidAmount > 0) {
+        await this.recordRefundLineItems(booking, refundQuote, adminUserId, transaction);
+      }
+
       // Bước 12: Tạo bản ghi lịch sử chi tiết
       const historyDetails = {
         reason: reason,
@@ -2441,7 +2621,10 @@ class BookingService {
         seatsDeleted: deletedSeatsCount,
         ticketsDeleted: deletedTicketsCount,
         refundAmount: refundAmount,
+        refundPercent: refundQuote.refundPercent,
+        refundMethod: refundQuote.refundMethod,
         pointsRefunded: pointsRefunded,
+        concessionOrdersCancelled: concessionOrdersCancelled,
         checkedInTickets: checkedInTickets.length,
         seats: seats.map(seat => ({
           seatId: seat.Seat_ID,
@@ -2473,8 +2656,11 @@ class BookingService {
       await transaction.commit();
       logger.info(`✅ Manual cancellation completed successfully for booking ${bookingId}`);
 
+      // Ghế vừa được giải phóng: chuyển cho khách trong danh sách chờ
+      this._notifyWaitlistSeatsReleased(booking.Showtime_ID);
+
       // Bước 15: Xử lý hoàn điểm sau khi commit transaction
-      if (booking.Points_Used > 0 && booking.User_ID) {
+      if (pointsRefunded > 0 && booking.User_ID) {
         try {
           // Tải lại module để tránh vấn đề circular dependency
           delete require.cache[require.resolve('./pointsService')];
@@ -2540,9 +2726,13 @@ class BookingService {
           financial: {
             originalAmount: booking.Total_Amount,
             refundAmount: refundAmount,
+            refundPercent: refundQuote.refundPercent,
+            refundMethod: refundQuote.refundMethod,
+            forfeitedAmount: refundQuote.forfeitedAmount,
             pointsUsed: booking.Points_Used,
             pointsRefunded: pointsRefunded
           },
+          refundQuote: refundQuote,
           deletedItems: {
             seatsCount: deletedSeatsCount,
             ticketsCount: deletedTicketsCount,
@@ -2566,8 +2756,740 @@ class BookingService {
       // Xử lý lỗi và rollback transaction
       await transaction.rollback();
       logger.error(`❌ Error in manual cancellation for booking ${bookingId}:`, error);
-      throw new Error(`Failed to cancel booking ${bookingId}: ${error.message}`);
+      const cancellationError = new Error(`Failed to cancel booking ${bookingId}: ${error.message}`);
+      cancellationError.statusCode = error.statusCode;
+      throw cancellationError;
+    }
+  }
+
+  /**
+   * Ghi nhận khoản hoàn tiền của đơn bị hủy: một dòng Payments (số tiền âm) và một dòng Booking_History
+   * - Hoàn tiền: Payment_Status = 'REFUND_PENDING' kèm yêu cầu hoàn tiền (Refund_Requests) chờ duyệt
+   * - Hoàn điểm: Payment_Method = 'Points', Payment_Status = 'REFUNDED'
+   */
+  async recordRefundLineItems(booking, refundQuote, userId, transaction) {
+    const bookingId = booking.Booking_ID;
+    const isPointsRefund = refundQuote.refundMethod === 'points';
+
+    // Giao dịch tiền gốc để hoàn về, bỏ qua các dòng trả bằng điểm
+    const originalPayment = await Payment.findOne({
+      where: { Booking_ID: bookingId, Payment_Status: { [Op.in]: ['PAID', 'Completed'] }, Payment_Method: { [Op.ne]: 'Points' } },
+      order: [['Transaction_Date', 'DESC']],
+      transaction
+    });
+
+    if (refundQuote.refundAmount > 0) {
+      const refundPayment = await Payment.create({
+        Booking_ID: bookingId,
+        Amount: -refundQuote.refundAmount,
+        Payment_Method: isPointsRefund ? 'Points' : (originalPayment?.Payment_Method || 'Cash'),
+        Payment_Reference: this.generatePaymentReference().replace('PAY-', 'REFUND-').substring(0, 100),
+        Transaction_Date: new Date(),
+        Payment_Status: isPointsRefund ? 'REFUNDED' : 'REFUND_PENDING',
+        Processor_Response: JSON.stringify({
+          type: 'refund',
+          method: refundQuote.refundMethod,
+          percent: refundQuote.refundPercent,
+          points: refundQuote.refundPoints,
+          original_payment_id: originalPayment?.Payment_ID || null,
+          original_reference: originalPayment?.Payment_Reference || null
+        }).substring(0, 250),
+        Processed_By: parseInt(userId) || null
+      }, { transaction });
+
+      // Hoàn tiền về phương thức thanh toán cần được duyệt và xác nhận chuyển tiền (xem paymentRefundService)
+      if (!isPointsRefund) {
+        const paymentRefundService = require('./paymentRefundService');
+        await paymentRefundService.createRefundRequest({
+          Booking_ID: bookingId,
+          Payment_ID: originalPayment?.Payment_ID,
+          Refund_Payment_ID: refundPayment.Payment_ID,
+          Amount: refundQuote.refundAmount,
+          Payment_Method: refundPayment.Payment_Method,
+          Order_Code: originalPayment?.Payment_Reference || null,
+          Reason: `Hủy vé - hoàn ${refundQuote.refundPercent}% theo chính sách`
+        }, userId, transaction);
+      }
+    }
+
+    const refundNote = isPointsRefund
+      ? `Hoàn ${refundQuote.refundPercent}% (${refundQuote.refundAmount} VND) thành ${refundQuote.refundPoints} điểm`
+      : `Hoàn ${refundQuote.refundPercent}% (${refundQuote.refundAmount} VND) về ${originalPayment?.Payment_Method || 'phương thức thanh toán ban đầu'}`;
+    const forfeitNote = refundQuote.forfeitedAmount > 0 ? `, không hoàn ${refundQuote.forfeitedAmount} VND` : '';
+    const tierNote = refundQuote.policyWaived ? ' - miễn áp dụng chính sách' : (refundQuote.message ? ` - ${refundQuote.message}` : '');
+
+    await BookingHistory.create({
+      Booking_ID: bookingId,
+      Status: isPointsRefund ? 'Refunded To Points' : 'Refund Requested',
+      Notes: `${refundNote}${forfeitNote}${tierNote}`.substring(0, 255),
+      Date: sequelize.literal('GETDATE()'),
+      IsRead: false
+    }, { transaction });
+
+    logger.info(`Đã ghi nhận khoản hoàn tiền cho booking ${bookingId}: ${refundQuote.refundAmount} VND (${refundQuote.refundMethod})`);
+  }
+
+  /**
+   * Báo giá đổi vé: tính lại giá ghế mới qua pricingService, kiểm tra lại khuyến mãi và điểm đã dùng,
+   * trả về số tiền chênh lệch cần thu thêm (dương) hoặc hoàn lại (âm). Không ghi dữ liệu.
+   * @param {number} bookingId - ID đơn đặt vé
+   * @param {Object} exchangeData - showtimeId (mặc định suất hiện tại), seats (Layout_ID hoặc nhãn ghế như "A1")
+   * @param {number} userId - Người yêu cầu
+   * @param {Object} [options] - isStaff: nhân viên đổi vé cho khách, role: vai trò người thực hiện (quy tắc đặt ghế)
+   */
+  async getExchangeQuote(bookingId, exchangeData, userId, options = {}) {
+    const booking = await this._loadBookingForExchange(bookingId, userId, options.isStaff);
+    const quote = await this._buildExchangeQuote(booking, exchangeData, userId, null, options);
+    return this._formatExchangeQuote(quote);
+  }
+
+  /**
+   * Đổi suất chiếu hoặc ghế cho đơn đặt vé đã thanh toán trong một transaction:
+   * chuyển vé sang ghế mới, giữ hoặc bỏ khuyến mãi theo giá mới, thu thêm hoặc hoàn lại phần chênh lệch
+   * và ghi toàn bộ thay đổi vào Booking_History.
+   * @param {number} bookingId - ID đơn đặt vé
+   * @param {Object} exchangeData - showtimeId, seats, paymentMethod ('Points' | 'Cash'), refundMethod ('money' | 'points'), reason
+   * @param {number} userId - Người thực hiện
+   * @param {Object} [options] - isStaff: nhân viên đổi vé cho khách, role: vai trò người thực hiện (quy tắc đặt ghế)
+   */
+  async exchangeBooking(bookingId, exchangeData, userId, options = {}) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const booking = await this._loadBookingForExchange(bookingId, userId, options.isStaff, transaction);
+      const quote = await this._buildExchangeQuote(booking, exchangeData, userId, transaction, options);
+      const customerId = booking.User_ID;
+      const oldShowtimeId = booking.Showtime_ID;
+
+      // Bước 1: Xác định cách thanh toán phần chênh lệch trước khi thay đổi vé
+      let paymentMethod = null;
+      if (quote.difference > 0) {
+        paymentMethod = exchangeData.paymentMethod || (options.isStaff ? 'Cash' : 'Points');
+        if (!['Points', 'Cash'].includes(paymentMethod)) {
+          throw this._createExchangeError('Phần chênh lệch khi đổi vé chỉ thanh toán được bằng điểm (Points) hoặc tiền mặt tại quầy (Cash)', 400);
+        }
+        if (paymentMethod === 'Cash' && !options.isStaff) {
+          throw this._createExchangeError('Chỉ nhân viên mới có thể thu tiền mặt phần chênh lệch', 403);
+        }
+        if (paymentMethod === 'Points' && !customerId) {
+          throw this._createExchangeError('Đơn đặt vé chưa liên kết khách hàng, không thể thanh toán bằng điểm', 400);
+        }
+      }
+
+      const refundPolicyService = require('./refundPolicyService');
+      const refundMethod = exchangeData.refundMethod || refundPolicyService.REFUND_METHOD.MONEY;
+      if (quote.difference < 0 && !Object.values(refundPolicyService.REFUND_METHOD).includes(refundMethod)) {
+        throw this._createExchangeError(`Phương thức hoàn tiền không hợp lệ. Chấp nhận: ${Object.values(refundPolicyService.REFUND_METHOD).join(', ')}`, 400);
+      }
+      if (quote.difference < 0 && refundMethod === refundPolicyService.REFUND_METHOD.POINTS && !customerId) {
+        throw this._createExchangeError('Đơn đặt vé chưa liên kết khách hàng, không thể hoàn chênh lệch vào điểm', 400);
+      }
+
+      // Bước 2: Xóa vé và ghế cũ (mỗi booking tạo Seat riêng)
+      const oldSeatIds = quote.oldTickets.map(ticket => ticket.Seat_ID);
+      await require('./ticketTransferService').cancelPendingForBooking(bookingId, transaction);
+      await Ticket.destroy({ where: { Booking_ID: bookingId }, transaction });
+      if (oldSeatIds.length > 0) {
+        await Seat.destroy({ where: { Seat_ID: { [Op.in]: oldSeatIds } }, transaction });
+      }
+
+      // Bước 3: Tạo ghế và vé mới theo giá mới
+      const seatsWithLayouts = await this.createOrUpdateSeats(quote.newLayoutIds, quote.newShowtime.Showtime_ID, bookingId, transaction);
+      const tickets = await this.createTickets(seatsWithLayouts, quote.ticketPricings, bookingId, quote.newShowtime.Showtime_ID, transaction);
+
+      // Đổi suất chiếu: trả chỗ trống cho suất cũ và giữ chỗ ở suất mới như khi hủy / đặt vé
+      if (quote.showtimeChanged) {
+        const seatCount = quote.newLayoutIds.length;
+        await booking.Showtime.increment('Capacity_Available', { by: seatCount, transaction });
+        await quote.newShowtime.decrement('Capacity_Available', { by: seatCount, transaction });
+      }
+
+      // Bước 4: Cập nhật khuyến mãi theo giá mới
+      if (quote.promotion) {
+        const promotionUsage = await PromotionUsage.findOne({
+          where: { Booking_ID: bookingId, Promotion_ID: quote.promotion.Promotion_ID, HasUsed: true },
+          transaction
+        });
+
+        if (quote.promotionDropped) {
+          if (promotionUsage) {
+            await promotionUsage.update({ HasUsed: false }, { transaction });
+          }
+          if (quote.promotion.Current_Usage > 0) {
+            await quote.promotion.update({ Current_Usage: quote.promotion.Current_Usage - 1 }, { transaction });
+          }
+        } else if (promotionUsage) {
+          await promotionUsage.update({ Discount_Amount: quote.newPromotionDiscount }, { transaction });
+        }
+      }
+
+      // Bước 5: Trả lại điểm đã dùng vượt giới hạn 50% giá mới
+      if (quote.pointsReturned > 0 && customerId) {
+        await pointsService.refundPointsForCancelledBooking(
+          customerId,
+          bookingId,
+          quote.pointsReturned,
+          'Đổi vé - trả lại điểm vượt giới hạn',
+          transaction
+        );
+      }
+
+      // Bước 6: Thu thêm hoặc hoàn lại phần chênh lệch.
+      // Chênh lệch chỉ ghi thành dòng Payments riêng, Points_Used giữ mức đã giới hạn 50% giá mới.
+      // Total_Amount chỉ gồm tiền thực trả; phần trả bằng điểm (dòng Points mã EXCHANGE-) được hoàn lại bằng điểm
+      let exchangePointsPaid = quote.exchangePointsPaid;
+      const pointsUsed = quote.newPointsUsed;
+      let settlementNote = 'Không phát sinh chênh lệch';
+
+      if (quote.difference > 0) {
+        const amount = quote.difference;
+
+        if (paymentMethod === 'Points') {
+          const userPoints = await UserPoints.findOne({ where: { user_id: customerId }, transaction });
+          if (!userPoints || userPoints.total_points < amount) {
+            const availablePoints = userPoints ? userPoints.total_points : 0;
+            throw this._createExchangeError(`Số dư điểm không đủ để thanh toán chênh lệch. Hiện có: ${availablePoints}, Yêu cầu: ${amount}`, 400);
+          }
+          await userPoints.update({
+            total_points: userPoints.total_points - amount,
+            last_updated: sequelize.literal('GETDATE()')
+          }, { transaction });
+          await PointsRedemption.create({
+            User_ID: customerId,
+            Points_Redeemed: amount,
+            Date: sequelize.literal('GETDATE()'),
+            Status: 'Completed',
+            Note: `Thanh toán chênh lệch đổi vé booking ${bookingId}`
+          }, { transaction });
+          exchangePointsPaid += amount;
+        }
+
+        await Payment.create({
+          Booking_ID: bookingId,
+          Amount: amount,
+          Payment_Method: paymentMethod,
+          Payment_Reference: this.generatePaymentReference().replace('PAY-', 'EXCHANGE-').substring(0, 100),
+          Transaction_Date: new Date(),
+          Payment_Status: 'PAID',
+          Processor_Response: JSON.stringify({
+            type: 'exchange',
+            old_showtime_id: oldShowtimeId,
+            new_showtime_id: quote.newShowtime.Showtime_ID
+          }).substring(0, 250),
+          Processed_By: parseInt(userId) || null
+        }, { transaction });
+
+        settlementNote = paymentMethod === 'Points'
+          ? `Thu thêm ${amount} VND bằng ${amount} điểm`
+          : `Thu thêm ${amount} VND tiền mặt tại quầy`;
+      } else if (quote.difference < 0) {
+        const totalRefund = -quote.difference;
+
+        // Phần chênh lệch trước đó đã trả bằng điểm được hoàn lại bằng điểm trước, không đổi thành tiền
+        const pointsReturnedAmount = Math.min(totalRefund, exchangePointsPaid);
+        if (pointsReturnedAmount > 0) {
+          const userPoints = await UserPoints.findOne({ where: { user_id: customerId }, transaction });
+          if (userPoints) {
+            await userPoints.update({
+              total_points: userPoints.total_points + pointsReturnedAmount,
+              last_updated: sequelize.literal('GETDATE()')
+            }, { transaction });
+          } else {
+            await UserPoints.create({
+              user_id: customerId,
+              total_points: pointsReturnedAmount,
+              last_updated: sequelize.literal('GETDATE()')
+            }, { transaction });
+          }
+          await PointsRedemption.create({
+            User_ID: customerId,
+            Points_Redeemed: -pointsReturnedAmount,
+            Date: sequelize.literal('GETDATE()'),
+            Status: 'Refunded',
+            Note: `Hoàn chênh lệch đổi vé đã trả bằng điểm, booking ${bookingId}`
+          }, { transaction });
+          await Payment.create({
+            Booking_ID: bookingId,
+            Amount: -pointsReturnedAmount,
+            Payment_Method: 'Points',
+            Payment_Reference: this.generatePaymentReference().replace('PAY-', 'EXCHANGE-').substring(0, 100),
+            Transaction_Date: new Date(),
+            Payment_Status: 'REFUNDED',
+            Processor_Response: JSON.stringify({
+              type: 'exchange_refund',
+              old_showtime_id: oldShowtimeId,
+              new_showtime_id: quote.newShowtime.Showtime_ID
+            }).substring(0, 250),
+            Processed_By: parseInt(userId) || null
+          }, { transaction });
+          exchangePointsPaid -= pointsReturnedAmount;
+        }
+
+        const refundAmount = totalRefund - pointsReturnedAmount;
+        const isPointsRefund = refundMethod === refundPolicyService.REFUND_METHOD.POINTS;
+        const conversionRate = Number(refundPolicyService.getPolicy().refundMethods?.points?.pointConversionRate) || 1;
+        const refundPoints = isPointsRefund ? Math.floor(refundAmount / conversionRate) : 0;
+
+        if (refundAmount > 0) {
+          await this.recordRefundLineItems(booking, {
+            refundMethod,
+            refundAmount,
+            refundPercent: 100,
+            refundPoints,
+            paidAmount: quote.oldTotal - quote.exchangePointsPaid,
+            forfeitedAmount: 0,
+            policyWaived: false,
+            message: 'Hoàn chênh lệch đổi vé'
+          }, userId, transaction);
+
+          if (isPointsRefund && refundPoints > 0) {
+            await pointsService.refundPointsForCancelledBooking(
+              customerId,
+              bookingId,
+              refundPoints,
+              'Đổi vé - hoàn chênh lệch vào điểm',
+              transaction
+            );
+          }
+        }
+
+        const refundNotes = [];
+        if (pointsReturnedAmount > 0) {
+          refundNotes.push(`Hoàn ${pointsReturnedAmount} điểm đã trả chênh lệch trước đó`);
+        }
+        if (refundAmount > 0) {
+          refundNotes.push(isPointsRefund
+            ? `Hoàn ${refundAmount} VND thành ${refundPoints} điểm`
+            : `Hoàn ${refundAmount} VND về phương thức thanh toán ban đầu`);
+        }
+        settlementNote = refundNotes.join(', ');
+      }
+
+      const totalAmount = Math.max(0, quote.newTotal - exchangePointsPaid);
+
+      // Bước 7: Cập nhật đơn đặt vé
+      await booking.update({
+        Showtime_ID: quote.newShowtime.Showtime_ID,
+        Total_Amount: totalAmount,
+        Points_Used: pointsUsed,
+        Promotion_ID: quote.promotionDropped ? null : booking.Promotion_ID
+      }, { transaction });
+
+      // Bước 8: Ghi lịch sử đổi vé
+      const showtimeNote = quote.showtimeChanged
+        ? `suất ${oldShowtimeId} → ${quote.newShowtime.Showtime_ID}`
+        : `suất ${oldShowtimeId}`;
+      const promotionNote = quote.promotionDropped
+        ? `, bỏ mã ${quote.promotion.Promotion_Code} do không còn đủ điều kiện`
+        : '';
+      await BookingHistory.create({
+        Booking_ID: bookingId,
+        Date: sequelize.literal('GETDATE()'),
+        Status: 'Exchanged',
+        Notes: `Đổi vé ${showtimeNote}, ghế ${quote.oldSeatLabels.join(', ')} → ${quote.newSeatLabels.join(', ')}. ${settlementNote}${promotionNote}`.substring(0, 255),
+        IsRead: false
+      }, { transaction });
+
+      await transaction.commit();
+      logger.info(`Đã đổi vé cho booking ${bookingId}: ${showtimeNote}, chênh lệch ${quote.difference} VND`);
+
+      // Sau khi commit: cập nhật sơ đồ ghế realtime, danh sách chờ và gửi lại vé điện tử
+      this._afterBookingExchange(booking, quote, oldShowtimeId, userId, tickets);
+
+      return {
+        success: true,
+        message: 'Đổi vé thành công',
+        booking: {
+          Booking_ID: bookingId,
+          Showtime_ID: quote.newShowtime.Showtime_ID,
+          Total_Amount: totalAmount,
+          Points_Used: pointsUsed,
+          Promotion_ID: quote.promotionDropped ? null : booking.Promotion_ID,
+          Status: booking.Status
+        },
+        exchange: {
+          ...this._formatExchangeQuote(quote),
+          paymentMethod,
+          refundMethod: quote.difference < 0 ? refundMethod : null,
+          settlement: settlementNote
+        },
+        tickets: tickets.map(ticket => ({
+          Ticket_ID: ticket.Ticket_ID,
+          Ticket_Code: ticket.Ticket_Code,
+          Seat_ID: ticket.Seat_ID,
+          Final_Price: ticket.Final_Price
+        }))
+      };
+    } catch (error) {
+      if (!transaction.finished) {
+        await transaction.rollback();
+      }
+      logger.error(`Lỗi khi đổi vé cho booking ${bookingId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Chênh lệch đổi vé khách đã trả bằng điểm (dòng Payments 'Points' mã EXCHANGE-), trừ phần đã hoàn lại.
+   * Khoản này không nằm trong Total_Amount và được hoàn lại bằng điểm khi hủy vé.
+   * @param {number} bookingId
+   * @param {Object} [transaction]
+   * @returns {Promise<number>}
+   */
+  async getExchangePointsPaid(bookingId, transaction = null) {
+    const total = await Payment.sum('Amount', {
+      where: {
+        Booking_ID: bookingId,
+        Payment_Method: 'Points',
+        Payment_Reference: { [Op.like]: 'EXCHANGE-%' }
+      },
+      transaction
+    });
+    return Math.max(0, Number(total) || 0);
+  }
+
+  _createExchangeError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  async _loadBookingForExchange(bookingId, userId, isStaff, transaction = null) {
+    const booking = await TicketBooking.findByPk(bookingId, {
+      include: [
+        { model: Showtime, as: 'Showtime', include: [{ model: CinemaRoom, as: 'CinemaRoom' }] },
+        { model: Promotion, as: 'Promotion' }
+      ],
+      transaction
+    });
+
+    if (!booking) {
+      throw this._createExchangeError(`Không tìm thấy đơn đặt vé ${bookingId}`, 404);
+    }
+    if (!isStaff && booking.User_ID !== userId && booking.Created_By !== userId) {
+      throw this._createExchangeError('Bạn không có quyền đổi đơn đặt vé này', 403);
+    }
+    if (booking.Status !== 'Confirmed') {
+      throw this._createExchangeError(`Chỉ có thể đổi đơn đặt vé đã thanh toán (trạng thái hiện tại: ${booking.Status})`, 400);
+    }
+
+    // Đổi vé áp dụng cùng thời hạn với hủy vé trong chính sách hoàn tiền
+    const refundPolicyService = require('./refundPolicyService');
+    await refundPolicyService.ensurePolicyLoaded();
+    const showtimeStart = refundPolicyService.getShowtimeStart(booking.Showtime);
+    const cutoffHours = Number(refundPolicyService.getPolicy().cancellationCutoffHours) || 0;
+    if (!showtimeStart || showtimeStart.getTime() - Date.now() < cutoffHours * 3600000) {
+      throw this._createExchangeError(`Chỉ có thể đổi vé trước giờ chiếu ít nhất ${cutoffHours} giờ`, 400);
+    }
+
+    if (await require('./ticketTransferService').hasAcceptedTransfers(bookingId, transaction)) {
+      throw this._createExchangeError('Đơn đặt vé có vé đã được chuyển nhượng cho thành viên khác, không thể đổi vé', 400);
+    }
+
+    return booking;
+  }
+
+  async _buildExchangeQuote(booking, exchangeData = {}, userId, transaction = null, options = {}) {
+    const bookingId = booking.Booking_ID;
+    const newShowtimeId = parseInt(exchangeData.showtimeId || booking.Showtime_ID, 10);
+
+    // Bước 1: Vé hiện tại
+    const oldTickets = await Ticket.findAll({
+      where: { Booking_ID: bookingId },
+      include: [{ model: Seat, as: 'Seat', include: [{ model: SeatLayout, as: 'SeatLayout', attributes: ['Layout_ID', 'Row_Label', 'Column_Number'] }] }],
+      transaction
+    });
+    if (oldTickets.length === 0) {
+      throw this._createExchangeError('Đơn đặt vé không có vé nào để đổi', 400);
+    }
+    if (oldTickets.some(ticket => ticket.Is_Checked_In)) {
+      throw this._createExchangeError('Không thể đổi đơn đặt vé đã có vé check-in', 400);
+    }
+
+    // Bước 2: Suất chiếu mới - cùng phim, còn mở bán và chưa bắt đầu
+    const newShowtime = newShowtimeId === booking.Showtime_ID
+      ? booking.Showtime
+      : await Showtime.findByPk(newShowtimeId, {
+        include: [{ model: CinemaRoom, as: 'CinemaRoom' }],
+        transaction
+      });
+    if (!newShowtime) {
+      throw this._createExchangeError(`Không tìm thấy suất chiếu ${newShowtimeId}`, 404);
+    }
+    if (newShowtime.Movie_ID !== booking.Showtime.Movie_ID) {
+      throw this._createExchangeError('Chỉ có thể đổi sang suất chiếu của cùng một phim', 400);
+    }
+    if (!['Active', 'Scheduled'].includes(newShowtime.Status)) {
+      throw this._createExchangeError(`Suất chiếu ${newShowtimeId} không ở trạng thái hoạt động`, 400);
+    }
+    const refundPolicyService = require('./refundPolicyService');
+    const newShowtimeStart = refundPolicyService.getShowtimeStart(newShowtime);
+    if (!newShowtimeStart || newShowtimeStart <= new Date()) {
+      throw this._createExchangeError('Suất chiếu mới đã bắt đầu', 400);
+    }
+
+    // Bước 3: Ghế mới trong phòng chiếu của suất mới
+    const requestedSeats = Array.isArray(exchangeData.seats) ? exchangeData.seats : [];
+    if (requestedSeats.length !== oldTickets.length) {
+      throw this._createExchangeError(`Cần chọn đúng ${oldTickets.length} ghế để đổi`, 400);
+    }
+    const newLayouts = await this._resolveExchangeLayouts(requestedSeats, newShowtime.Cinema_Room_ID, transaction);
+    const newLayoutIds = newLayouts.map(layout => layout.Layout_ID);
+
+    const oldLayoutIds = oldTickets.map(ticket => ticket.Seat?.Layout_ID);
+    const showtimeChanged = newShowtime.Showtime_ID !== booking.Showtime_ID;
+    if (!showtimeChanged && newLayoutIds.every(id => oldLayoutIds.includes(id))) {
+      throw this._createExchangeError('Suất chiếu và ghế mới trùng với đơn đặt vé hiện tại', 400);
+    }
+
+    await this._checkExchangeSeatsAvailable(newShowtime.Showtime_ID, newLayouts, booking, userId, transaction, options);
+
+    // Bước 4: Tính lại giá vé qua pricingService
+    const priceCalculation = await this.calculateTotalAmount(
+      newLayouts,
+      newShowtime.CinemaRoom.Room_Type,
+      transaction,
+      {
+        showDate: newShowtime.Show_Date,
+        startTime: this.formatTimeFromShowtime(newShowtime.Start_Time),
+        showtimeId: newShowtime.Showtime_ID,
+        cinemaId: newShowtime.CinemaRoom.Cinema_ID
+      }
+    );
+    const newSubtotal = priceCalculation.totalAmount;
+    const oldSubtotal = oldTickets.reduce((sum, ticket) => sum + Number(ticket.Base_Price || 0), 0);
+
+    // Bắp nước đi kèm không đổi khi đổi vé, vẫn nằm trong tổng tiền
+    const concessionTotal = await require('./concessionService').getBookingConcessionTotal(bookingId, transaction);
+
+    // Bước 5-6: Điểm đã dùng, khuyến mãi và tổng tiền theo giá mới
+    const promotion = booking.Promotion || null;
+    const oldPromotionUsage = promotion
+      ? await PromotionUsage.findOne({ where: { Booking_ID: bookingId, Promotion_ID: promotion.Promotion_ID, HasUsed: true }, transaction })
+      : null;
+    const oldPointsUsed = Number(booking.Points_Used) || 0;
+    // Giá trị đã trả gồm tiền (Total_Amount) và chênh lệch của các lần đổi trước đã trả bằng điểm
+    const exchangePointsPaid = await this.getExchangePointsPaid(bookingId, transaction);
+    const oldTotal = Math.max(0, Number(booking.Total_Amount) || 0) + exchangePointsPaid;
+    const {
+      newPointsUsed,
+      pointsReturned,
+      promotionDropped,
+      newPromotionDiscount,
+      newTotal
+    } = this._calculateExchangeAmounts({ newSubtotal, oldPointsUsed, concessionTotal, promotion });
+
+    const seatLabel = layout => `${layout.Row_Label}${layout.Column_Number}`;
+    return {
+      booking,
+      oldShowtimeId: booking.Showtime_ID,
+      oldTickets,
+      newShowtime,
+      newLayouts,
+      newLayoutIds,
+      ticketPricings: priceCalculation.ticketPricings,
+      showtimeChanged,
+      oldSeatLabels: oldTickets.map(ticket => (ticket.Seat?.SeatLayout ? seatLabel(ticket.Seat.SeatLayout) : ticket.Seat?.Seat_Number)),
+      newSeatLabels: newLayouts.map(seatLabel),
+      oldSubtotal,
+      newSubtotal,
+      oldPointsUsed,
+      newPointsUsed,
+      pointsReturned,
+      promotion,
+      promotionDropped,
+      oldPromotionDiscount: oldPromotionUsage ? Number(oldPromotionUsage.Discount_Amount) : 0,
+      newPromotionDiscount,
+      concessionTotal,
+      exchangePointsPaid,
+      oldTotal,
+      newTotal,
+      difference: newTotal - oldTotal
+    };
+  }
+
+  /**
+   * Tính lại điểm đã dùng, khuyến mãi và tổng tiền của đơn theo giá vé mới khi đổi vé
+   * @param {Object} input - newSubtotal, oldPointsUsed, concessionTotal, promotion
+   * @returns {Object} { newPointsUsed, pointsReturned, promotionDropped, newPromotionDiscount, newTotal }
+   */
+  _calculateExchangeAmounts({ newSubtotal, oldPointsUsed = 0, concessionTotal = 0, promotion = null }) {
+    // Điểm đã dùng tối đa 50% giá mới (giống khi đặt vé), phần vượt được trả lại
+    const newPointsUsed = Math.min(oldPointsUsed, Math.floor(newSubtotal * 0.5));
+    const pointsReturned = oldPointsUsed - newPointsUsed;
+
+    // Khuyến mãi được giữ nếu giá mới vẫn đạt giá trị đơn tối thiểu, số tiền giảm tính lại theo giá mới
+    let promotionDropped = false;
+    let newPromotionDiscount = 0;
+    if (promotion) {
+      const amountBeforePromotion = newSubtotal - newPointsUsed + concessionTotal;
+      if (amountBeforePromotion < Number(promotion.Minimum_Purchase || 0)) {
+        promotionDropped = true;
+      } else {
+        const promotionService = require('./promotionService');
+        newPromotionDiscount = promotionService.calculateDiscountAmount(promotion, amountBeforePromotion);
+      }
+    }
+
+    const newTotal = Math.max(0, newSubtotal - newPointsUsed + concessionTotal - newPromotionDiscount);
+    return { newPointsUsed, pointsReturned, promotionDropped, newPromotionDiscount, newTotal };
+  }
+
+  _formatExchangeQuote(quote) {
+    return {
+      bookingId: quote.booking.Booking_ID,
+      oldShowtimeId: quote.oldShowtimeId,
+      newShowtimeId: quote.newShowtime.Showtime_ID,
+      showtimeChanged: quote.showtimeChanged,
+      oldSeats: quote.oldSeatLabels,
+      newSeats: quote.newSeatLabels,
+      oldSubtotal: quote.oldSubtotal,
+      newSubtotal: quote.newSubtotal,
+      pointsUsed: quote.newPointsUsed,
+      pointsReturned: quote.pointsReturned,
+      promotionCode: quote.promotion ? quote.promotion.Promotion_Code : null,
+      promotionKept: !!quote.promotion && !quote.promotionDropped,
+      oldPromotionDiscount: quote.oldPromotionDiscount,
+      newPromotionDiscount: quote.newPromotionDiscount,
+      concessionTotal: quote.concessionTotal,
+      exchangePointsPaid: quote.exchangePointsPaid,
+      oldTotal: quote.oldTotal,
+      newTotal: quote.newTotal,
+      difference: quote.difference,
+      amountToPay: Math.max(0, quote.difference),
+      amountToRefund: Math.max(0, -quote.difference)
+    };
+  }
+
+  // Chuyển danh sách ghế (Layout_ID hoặc nhãn "A1") thành SeatLayout của phòng chiếu
+  async _resolveExchangeLayouts(seats, cinemaRoomId, transaction) {
+    const layouts = [];
+    for (const seat of seats) {
+      let where;
+      if (typeof seat === 'number' || (typeof seat === 'string' && /^\d+$/.test(seat))) {
+        where = { Layout_ID: parseInt(seat, 10) };
+      } else if (typeof seat === 'string' && /^[A-Z]\d+$/i.test(seat.trim())) {
+        const label = seat.trim().toUpperCase();
+        where = { Row_Label: label.charAt(0), Column_Number: parseInt(label.substring(1), 10) };
+      } else {
+        throw this._createExchangeError(`Định dạng ghế không hợp lệ: ${seat}`, 400);
+      }
+
+      const layout = await SeatLayout.findOne({
+        where: { ...where, Cinema_Room_ID: cinemaRoomId, Is_Active: true },
+        transaction
+      });
+      if (!layout) {
+        throw this._createExchangeError(`Ghế ${seat} không tồn tại trong phòng chiếu của suất mới`, 400);
+      }
+      if (layouts.some(existing => existing.Layout_ID === layout.Layout_ID)) {
+        throw this._createExchangeError(`Ghế ${seat} bị chọn trùng`, 400);
+      }
+      layouts.push(layout);
+    }
+    return layouts;
+  }
+
+  // Ghế mới không bị Manager khóa, không có vé của đơn khác và không bị người khác giữ trên sơ đồ ghế
+  async _checkExchangeSeatsAvailable(showtimeId, layouts, booking, userId, transaction, options = {}) {
+    const layoutIds = layouts.map(layout => layout.Layout_ID);
+
+    const showtimeSeatBlockService = require('./showtimeSeatBlockService');
+    const seatBlocks = await showtimeSeatBlockService.findActiveBlocksForLayouts(showtimeId, layoutIds, transaction);
+    if (seatBlocks.length > 0) {
+      const error = this._createExchangeError(`Ghế ${seatBlocks.map(block => block.seatId || block.layoutId).join(', ')} tạm thời không mở bán cho suất chiếu này`, 409);
+      error.code = 'SEAT_BLOCKED';
+      error.takenSeats = seatBlocks.map(block => block.layoutId);
+      throw error;
+    }
+
+    const takenTickets = await Ticket.findAll({
+      where: {
+        Showtime_ID: showtimeId,
+        Booking_ID: { [Op.ne]: booking.Booking_ID },
+        Status: { [Op.notIn]: ['Cancelled', 'Expired'] }
+      },
+      include: [{ model: Seat, as: 'Seat', where: { Layout_ID: { [Op.in]: layoutIds } }, attributes: ['Layout_ID'] }],
+      attributes: ['Ticket_ID'],
+      transaction
+    });
+
+    const takenLayoutIds = new Set(takenTickets.map(ticket => ticket.Seat.Layout_ID));
+
+    try {
+      const seatSelectionService = require('./seatSelectionService');
+      const seatStates = await seatSelectionService.getShowtimeSeats(showtimeId);
+      const allowedHolders = [userId, booking.User_ID].filter(Boolean).map(String);
+      for (const seat of Array.isArray(seatStates) ? seatStates : []) {
+        if (['selected', 'pending'].includes(seat.status) && layoutIds.includes(seat.layoutId) &&
+          !allowedHolders.includes(String(seat.userId))) {
+          takenLayoutIds.add(seat.layoutId);
+        }
+      }
+    } catch (error) {
+      logger.warn(`Không thể kiểm tra ghế đang được giữ của suất ${showtimeId}: ${error.message}`);
     }
+
+    if (takenLayoutIds.size > 0) {
+      const takenLabels = layouts
+        .filter(layout => takenLayoutIds.has(layout.Layout_ID))
+        .map(layout => `${layout.Row_Label}${layout.Column_Number}`);
+      const error = this._createExchangeError(`Ghế sau đã được đặt hoặc đang được giữ: ${takenLabels.join(', ')}. Vui lòng chọn ghế khác.`, 409);
+      error.code = 'SEAT_TAKEN';
+      error.takenSeats = [...takenLayoutIds];
+      throw error;
+    }
+
+    // Quy tắc đặt ghế của rạp áp dụng như khi đặt vé; ghế cũ của chính đơn này được xem là trống
+    const seatBookingRulesService = require('./seatBookingRulesService');
+    const ruleResult = await seatBookingRulesService.validateSeatBookingRules(layoutIds, showtimeId, transaction, {
+      userId,
+      role: options.role || null,
+      excludeBookingId: booking.Booking_ID
+    });
+    if (!ruleResult.valid) {
+      const error = this._createExchangeError(ruleResult.message, 400);
+      error.code = 'SEAT_RULE_VIOLATION';
+      error.rule = ruleResult.rule;
+      error.errorCode = ruleResult.errorCode;
+      error.violations = ruleResult.violations;
+      throw error;
+    }
+  }
+
+  _afterBookingExchange(booking, quote, oldShowtimeId, userId, tickets) {
+    setImmediate(async () => {
+      try {
+        const seatCacheService = require('./seatCacheService');
+        for (const label of quote.newSeatLabels) {
+          await seatCacheService.deselectSeat(quote.newShowtime.Showtime_ID, label, userId);
+        }
+      } catch (error) {
+        logger.warn(`Không thể bỏ giữ ghế sau khi đổi vé booking ${booking.Booking_ID}: ${error.message}`);
+      }
+
+      try {
+        const seatMapSyncService = require('./seatMapSyncService');
+        const showtimeIds = [...new Set([oldShowtimeId, quote.newShowtime.Showtime_ID])];
+        for (const showtimeId of showtimeIds) {
+          await seatMapSyncService.publishRefresh(showtimeId);
+        }
+      } catch (error) {
+        logger.warn(`Không thể cập nhật sơ đồ ghế sau khi đổi vé booking ${booking.Booking_ID}: ${error.message}`);
+      }
+
+      // Ghế cũ được giải phóng
+      this._notifyWaitlistSeatsReleased(oldShowtimeId);
+
+      try {
+        if (booking.User_ID) {
+          const customer = await User.findByPk(booking.User_ID);
+          await this.sendPaymentConfirmationNotifications(booking, customer, tickets, quote.newLayouts);
+        }
+      } catch (error) {
+        logger.warn(`Không thể gửi lại vé điện tử sau khi đổi vé booking ${booking.Booking_ID}: ${error.message}`);
+      }
+    });
   }
 
   // Helper method to send cancellation notification
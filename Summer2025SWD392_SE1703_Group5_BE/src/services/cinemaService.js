@@ -3,6 +3,7 @@
 const CinemaRepository = require('../repositories/CinemaRepository');
 const CinemaRoomRepository = require('../repositories/CinemaRoomRepository');
 const logger = require('../utils/logger');
+const showtimeFormatService = require('./showtimeFormatService');
 const { User, TicketBooking, Showtime, CinemaRoom, sequelize } = require('../models');
 const { Op } = require('sequelize');
 
@@ -573,11 +574,14 @@ class CinemaService {
      * Lấy danh sách suất chiếu của một rạp phim trong một ngày cụ thể.
      * @param {number} cinemaId - ID của rạp phim.
      * @param {string} date - Ngày cần lấy suất chiếu (định dạng YYYY-MM-DD).
+     * @param {Object} [query] - Tham số lọc theo định dạng suất chiếu (projectionFormat, languageVersion, ...).
      * @returns {Promise<Object>} - Danh sách các phim và suất chiếu tương ứng.
      */
-    async getCinemaShowtimes(cinemaId, date) {
+    async getCinemaShowtimes(cinemaId, date, query = {}) {
         logger.info(`[CinemaService] Bắt đầu lấy lịch chiếu cho rạp ID: ${cinemaId}, ngày: ${date}`);
         try {
+            const formatConditions = showtimeFormatService.buildWhereConditions(showtimeFormatService.parseFilters(query));
+
             // Kiểm tra sự tồn tại của rạp.
             const cinema = await CinemaRepository.findById(cinemaId);
             if (!cinema) {
@@ -611,11 +615,13 @@ class CinemaService {
                 where: {
                     Cinema_Room_ID: { [Op.in]: roomIds },
                     Show_Date: queryDate,
-                    Status: 'Scheduled'
+                    Status: 'Scheduled',
+                    ...(formatConditions.length > 0 ? { [Op.and]: formatConditions } : {})
                 },
                 include: [
                     { model: Movie, as: 'Movie', attributes: ['Movie_ID', 'Movie_Name', 'Duration', 'Poster_URL', 'Rating'] },
-                    { model: CinemaRoom, as: 'CinemaRoom', attributes: ['Cinema_Room_ID', 'Room_Name', 'Room_Type'] }
+                    { model: CinemaRoom, as: 'CinemaRoom', attributes: ['Cinema_Room_ID', 'Room_Name', 'Room_Type'] },
+                    showtimeFormatService.getInclude()
                 ],
                 order: [['Start_Time', 'ASC']]
             });
@@ -676,7 +682,8 @@ class CinemaService {
                     room_id: showtime.Cinema_Room_ID,
                     room_name: showtime.CinemaRoom.Room_Name,
                     room_type: showtime.CinemaRoom.Room_Type,
-                    capacity_available: showtime.Capacity_Available
+                    capacity_available: showtime.Capacity_Available,
+                    format: showtimeFormatService.toDto(showtime.Format, showtime.CinemaRoom.Room_Type)
                 });
                 return acc;
             }, {});
@@ -0,0 +1,570 @@
+// services/concessionService.js
+// Mô tả: Danh mục bắp nước theo rạp (sản phẩm lẻ, combo, tồn kho, giá) và đơn bắp nước.
+// Đơn có thể gắn với booking (cộng vào Total_Amount, thanh toán cùng vé) hoặc bán lẻ tại quầy.
+// Tồn kho được trừ khi tạo đơn và hoàn lại khi booking bị hủy / hết hạn thanh toán.
+
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const {
+    ConcessionProduct,
+    ConcessionComboItem,
+    ConcessionOrder,
+    ConcessionOrderItem,
+    Cinema,
+    TicketBooking,
+    sequelize
+} = require('../models');
+
+const { PRODUCT_CATEGORY, PRODUCT_STATUS } = ConcessionProduct;
+const { ORDER_STATUS } = ConcessionOrder;
+
+// Số lượng tối đa của một sản phẩm trong một đơn
+const MAX_QUANTITY_PER_ITEM = 20;
+
+function _createError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+class ConcessionService {
+    constructor() {
+        this.logger = logger;
+    }
+
+    // ==================== DANH MỤC SẢN PHẨM ====================
+
+    async getProducts(filters = {}) {
+        const where = {};
+        if (filters.cinemaId) where.Cinema_ID = filters.cinemaId;
+        if (filters.category) where.Category = filters.category;
+        if (!filters.includeInactive) where.Status = PRODUCT_STATUS.ACTIVE;
+
+        const products = await ConcessionProduct.findAll({
+            where,
+            include: [this._comboItemsInclude()],
+            order: [['Category', 'ASC'], ['Product_Name', 'ASC']]
+        });
+
+        return products.map(product => this._formatProduct(product));
+    }
+
+    async getProductById(productId) {
+        const product = await ConcessionProduct.findByPk(productId, {
+            include: [this._comboItemsInclude()]
+        });
+        if (!product) {
+            throw _createError(`Không tìm thấy sản phẩm có ID ${productId}`, 404);
+        }
+        return this._formatProduct(product);
+    }
+
+    /**
+     * Tạo sản phẩm hoặc combo
+     * @param {Object} data - cinemaId, name, category, price, stockQuantity, description, imageUrl,
+     *                        items (combo: [{ productId, quantity }])
+     */
+    async createProduct(data, userId) {
+        const cinemaId = parseInt(data.cinemaId, 10);
+        const cinema = isNaN(cinemaId) ? null : await Cinema.findByPk(cinemaId);
+        if (!cinema) {
+            throw _createError('Rạp chiếu không tồn tại', 404);
+        }
+
+        const isCombo = !!data.isCombo || data.category === PRODUCT_CATEGORY.COMBO;
+        const fields = this._validateProductFields(data, true, isCombo);
+
+        const transaction = await sequelize.transaction();
+        try {
+            const product = await ConcessionProduct.create({
+                ...fields,
+                Cinema_ID: cinemaId,
+                Category: isCombo ? PRODUCT_CATEGORY.COMBO : fields.Category,
+                Is_Combo: isCombo,
+                Stock_Quantity: isCombo ? 0 : (fields.Stock_Quantity ?? 0),
+                Status: PRODUCT_STATUS.ACTIVE,
+                Created_By: userId,
+                Created_At: new Date()
+            }, { transaction });
+
+            if (isCombo) {
+                await this._saveComboItems(product, data.items, transaction);
+            }
+
+            await transaction.commit();
+            this.logger.info(`[ConcessionService] Đã tạo ${isCombo ? 'combo' : 'sản phẩm'} ${product.Product_ID} (${product.Product_Name}) cho rạp ${cinemaId}`);
+            return this.getProductById(product.Product_ID);
+        } catch (error) {
+            if (!transaction.finished) await transaction.rollback();
+            throw error;
+        }
+    }
+
+    async updateProduct(productId, data) {
+        const product = await ConcessionProduct.findByPk(productId);
+        if (!product) {
+            throw _createError(`Không tìm thấy sản phẩm có ID ${productId}`, 404);
+        }
+
+        const fields = this._validateProductFields(data, false, product.Is_Combo);
+        if (product.Is_Combo) {
+            delete fields.Category;
+            delete fields.Stock_Quantity;
+        }
+        if (data.status !== undefined) {
+            if (!Object.values(PRODUCT_STATUS).includes(data.status)) {
+                throw _createError(`Trạng thái không hợp lệ. Chấp nhận: ${Object.values(PRODUCT_STATUS).join(', ')}`, 400);
+            }
+            fields.Status = data.status;
+        }
+
+        const transaction = await sequelize.transaction();
+        try {
+            await product.update({ ...fields, Updated_At: new Date() }, { transaction });
+
+            if (product.Is_Combo && data.items !== undefined) {
+                await ConcessionComboItem.destroy({ where: { Combo_ID: product.Product_ID }, transaction });
+                await this._saveComboItems(product, data.items, transaction);
+            }
+
+            await transaction.commit();
+            return this.getProductById(product.Product_ID);
+        } catch (error) {
+            if (!transaction.finished) await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Ngừng bán sản phẩm (giữ lại để không ảnh hưởng đơn cũ)
+     */
+    async deactivateProduct(productId) {
+        const product = await ConcessionProduct.findByPk(productId);
+        if (!product) {
+            throw _createError(`Không tìm thấy sản phẩm có ID ${productId}`, 404);
+        }
+        await product.update({ Status: PRODUCT_STATUS.INACTIVE, Updated_At: new Date() });
+        return { Product_ID: product.Product_ID, Status: product.Status };
+    }
+
+    /**
+     * Nhập thêm hoặc điều chỉnh tồn kho (delta âm để trừ hàng hỏng/hao hụt)
+     */
+    async adjustStock(productId, delta, userId) {
+        const change = parseInt(delta, 10);
+        if (isNaN(change) || change === 0) {
+            throw _createError('Số lượng điều chỉnh phải là số nguyên khác 0', 400);
+        }
+
+        const product = await ConcessionProduct.findByPk(productId);
+        if (!product) {
+            throw _createError(`Không tìm thấy sản phẩm có ID ${productId}`, 404);
+        }
+        if (product.Is_Combo) {
+            throw _createError('Combo không có tồn kho riêng, hãy điều chỉnh tồn kho của sản phẩm thành phần', 400);
+        }
+
+        const where = { Product_ID: productId };
+        if (change < 0) where.Stock_Quantity = { [Op.gte]: -change };
+
+        const [updated] = await ConcessionProduct.update({
+            Stock_Quantity: sequelize.literal(`Stock_Quantity + ${change}`),
+            Updated_At: new Date()
+        }, { where });
+        if (updated === 0) {
+            throw _createError(`Tồn kho hiện tại (${product.Stock_Quantity}) không đủ để trừ ${-change}`, 400);
+        }
+
+        this.logger.info(`[ConcessionService] User ${userId} điều chỉnh tồn kho sản phẩm ${productId}: ${change > 0 ? '+' : ''}${change}`);
+        return this.getProductById(productId);
+    }
+
+    // ==================== ĐƠN BẮP NƯỚC ====================
+
+    /**
+     * Tạo đơn bắp nước, trừ tồn kho trong transaction của người gọi
+     * @param {Object} data - cinemaId, items [{ productId, quantity }], bookingId, userId, status, paymentMethod, createdBy
+     * @param {Transaction} transaction
+     */
+    async createOrder(data, transaction) {
+        const lines = await this._prepareOrderLines(data.cinemaId, data.items, transaction);
+        await this._reserveStock(lines, transaction);
+
+        const totalAmount = lines.reduce((sum, line) => sum + line.totalPrice, 0);
+        const order = await ConcessionOrder.create({
+            Order_Code: this._generateOrderCode(),
+            Cinema_ID: data.cinemaId,
+            Booking_ID: data.bookingId || null,
+            User_ID: data.userId || null,
+            Total_Amount: totalAmount,
+            Status: data.status || ORDER_STATUS.PENDING,
+            Payment_Method: data.paymentMethod || null,
+            Created_By: data.createdBy || null,
+            Created_At: new Date()
+        }, { transaction });
+
+        await ConcessionOrderItem.bulkCreate(lines.map(line => ({
+            Order_ID: order.Order_ID,
+            Product_ID: line.product.Product_ID,
+            Product_Name: line.product.Product_Name,
+            Quantity: line.quantity,
+            Unit_Price: line.unitPrice,
+            Total_Price: line.totalPrice
+        })), { transaction });
+
+        this.logger.info(`[ConcessionService] Đã tạo đơn bắp nước ${order.Order_Code} (${totalAmount} VND)${data.bookingId ? ` cho booking ${data.bookingId}` : ' tại quầy'}`);
+        return { order, lines, totalAmount };
+    }
+
+    /**
+     * Bán lẻ tại quầy (không kèm vé), thu tiền ngay
+     */
+    async createCounterOrder(data, staffId) {
+        const cinemaId = parseInt(data.cinemaId, 10);
+        if (isNaN(cinemaId)) {
+            throw _createError('Vui lòng chọn rạp chiếu', 400);
+        }
+
+        const transaction = await sequelize.transaction();
+        try {
+            const { order } = await this.createOrder({
+                cinemaId,
+                items: data.items,
+                userId: data.userId || null,
+                status: ORDER_STATUS.PAID,
+                paymentMethod: data.paymentMethod || 'Cash',
+                createdBy: staffId
+            }, transaction);
+
+            await transaction.commit();
+            return this.getOrderById(order.Order_ID);
+        } catch (error) {
+            if (!transaction.finished) await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Hủy đơn bán lẻ tại quầy, hoàn lại tồn kho
+     */
+    async cancelCounterOrder(orderId, staffId) {
+        const transaction = await sequelize.transaction();
+        try {
+            const order = await ConcessionOrder.findByPk(orderId, { transaction });
+            if (!order) {
+                throw _createError(`Không tìm thấy đơn bắp nước có ID ${orderId}`, 404);
+            }
+            if (order.Booking_ID) {
+                throw _createError('Đơn bắp nước gắn với đơn đặt vé, hãy hủy đơn đặt vé để hoàn tiền', 400);
+            }
+            if (order.Status === ORDER_STATUS.CANCELLED) {
+                throw _createError('Đơn bắp nước đã được hủy trước đó', 400);
+            }
+
+            await this._cancelOrder(order, transaction);
+            await transaction.commit();
+
+            this.logger.info(`[ConcessionService] Staff ${staffId} đã hủy đơn bắp nước ${order.Order_Code}`);
+            return this.getOrderById(orderId);
+        } catch (error) {
+            if (!transaction.finished) await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Hủy các đơn bắp nước của booking (booking bị hủy / hết hạn), hoàn lại tồn kho
+     * @returns {Promise<number>} Số đơn đã hủy
+     */
+    async cancelBookingOrders(bookingId, transaction) {
+        const orders = await ConcessionOrder.findAll({
+            where: { Booking_ID: bookingId, Status: { [Op.ne]: ORDER_STATUS.CANCELLED } },
+            transaction
+        });
+        for (const order of orders) {
+            await this._cancelOrder(order, transaction);
+        }
+        if (orders.length > 0) {
+            this.logger.info(`[ConcessionService] Đã hủy ${orders.length} đơn bắp nước của booking ${bookingId}`);
+        }
+        return orders.length;
+    }
+
+    /**
+     * Đánh dấu các đơn bắp nước của booking đã thanh toán (khi booking được xác nhận)
+     */
+    async markBookingOrdersPaid(bookingId, paymentMethod, transaction) {
+        const [updated] = await ConcessionOrder.update({
+            Status: ORDER_STATUS.PAID,
+            Payment_Method: paymentMethod || null,
+            Updated_At: new Date()
+        }, {
+            where: { Booking_ID: bookingId, Status: ORDER_STATUS.PENDING },
+            transaction
+        });
+        return updated;
+    }
+
+    async getOrders(filters = {}) {
+        const where = {};
+        if (filters.cinemaId) where.Cinema_ID = filters.cinemaId;
+        if (filters.bookingId) where.Booking_ID = filters.bookingId;
+        if (filters.status) where.Status = filters.status;
+        if (filters.from || filters.to) {
+            where.Created_At = {};
+            if (filters.from) where.Created_At[Op.gte] = new Date(filters.from);
+            if (filters.to) where.Created_At[Op.lte] = new Date(filters.to);
+        }
+
+        return ConcessionOrder.findAll({
+            where,
+            include: [{ model: ConcessionOrderItem, as: 'Items' }],
+            order: [['Created_At', 'DESC']],
+            limit: Math.min(parseInt(filters.limit, 10) || 100, 500)
+        });
+    }
+
+    async getOrderById(orderId) {
+        const order = await ConcessionOrder.findByPk(orderId, {
+            include: [{ model: ConcessionOrderItem, as: 'Items' }]
+        });
+        if (!order) {
+            throw _createError(`Không tìm thấy đơn bắp nước có ID ${orderId}`, 404);
+        }
+        return order;
+    }
+
+    /**
+     * Các món bắp nước (chưa hủy) của booking - dùng cho vé điện tử, email, PayOS
+     */
+    async getBookingItems(bookingId, transaction = null) {
+        const orders = await ConcessionOrder.findAll({
+            where: { Booking_ID: bookingId, Status: { [Op.ne]: ORDER_STATUS.CANCELLED } },
+            include: [{ model: ConcessionOrderItem, as: 'Items' }],
+            transaction
+        });
+
+        return orders.flatMap(order => order.Items.map(item => ({
+            productId: item.Product_ID,
+            name: item.Product_Name,
+            quantity: item.Quantity,
+            unitPrice: Number(item.Unit_Price),
+            totalPrice: Number(item.Total_Price)
+        })));
+    }
+
+    /**
+     * Bắp nước của booking cho khách (kiểm tra quyền sở hữu) hoặc nhân viên
+     */
+    async getBookingConcessions(bookingId, userId, isStaff) {
+        const booking = await TicketBooking.findByPk(bookingId, { attributes: ['Booking_ID', 'User_ID'] });
+        if (!booking) {
+            throw _createError(`Không tìm thấy đơn đặt vé có ID ${bookingId}`, 404);
+        }
+        if (!isStaff && booking.User_ID !== userId) {
+            throw _createError('Bạn không có quyền xem đơn đặt vé này', 403);
+        }
+
+        const items = await this.getBookingItems(bookingId);
+        return {
+            Booking_ID: booking.Booking_ID,
+            items,
+            totalAmount: items.reduce((sum, item) => sum + item.totalPrice, 0)
+        };
+    }
+
+    async getBookingConcessionTotal(bookingId, transaction = null) {
+        const total = await ConcessionOrder.sum('Total_Amount', {
+            where: { Booking_ID: bookingId, Status: { [Op.ne]: ORDER_STATUS.CANCELLED } },
+            transaction
+        });
+        return Number(total) || 0;
+    }
+
+    // ==================== HÀM NỘI BỘ ====================
+
+    _comboItemsInclude() {
+        return {
+            model: ConcessionComboItem,
+            as: 'ComboItems',
+            include: [{ model: ConcessionProduct, as: 'Product', attributes: ['Product_ID', 'Product_Name', 'Stock_Quantity', 'Status'] }]
+        };
+    }
+
+    // Combo còn bán được bao nhiêu phần theo tồn kho thành phần
+    _formatProduct(product) {
+        const json = product.toJSON();
+        if (product.Is_Combo) {
+            const items = json.ComboItems || [];
+            json.Available_Quantity = items.length === 0
+                ? 0
+                : Math.min(...items.map(item => (item.Product && item.Product.Status === PRODUCT_STATUS.ACTIVE)
+                    ? Math.floor(item.Product.Stock_Quantity / item.Quantity)
+                    : 0));
+        } else {
+            json.Available_Quantity = json.Stock_Quantity;
+        }
+        return json;
+    }
+
+    _validateProductFields(data, isCreate, isCombo) {
+        const fields = {};
+
+        if (isCreate || data.name !== undefined) {
+            const name = String(data.name || '').trim();
+            if (!name) throw _createError('Tên sản phẩm là bắt buộc', 400);
+            fields.Product_Name = name.substring(0, 100);
+        }
+        if (!isCombo && (isCreate || data.category !== undefined)) {
+            const categories = Object.values(PRODUCT_CATEGORY).filter(c => c !== PRODUCT_CATEGORY.COMBO);
+            if (!categories.includes(data.category)) {
+                throw _createError(`Loại sản phẩm không hợp lệ. Chấp nhận: ${categories.join(', ')}`, 400);
+            }
+            fields.Category = data.category;
+        }
+        if (isCreate || data.price !== undefined) {
+            const price = Number(data.price);
+            if (isNaN(price) || price < 0) throw _createError('Giá sản phẩm phải là số không âm', 400);
+            fields.Price = price;
+        }
+        if (data.stockQuantity !== undefined) {
+            const stock = parseInt(data.stockQuantity, 10);
+            if (isNaN(stock) || stock < 0) throw _createError('Tồn kho phải là số nguyên không âm', 400);
+            fields.Stock_Quantity = stock;
+        }
+        if (data.description !== undefined) fields.Description = data.description ? String(data.description).substring(0, 500) : null;
+        if (data.imageUrl !== undefined) fields.Image_URL = data.imageUrl || null;
+
+        return fields;
+    }
+
+    async _saveComboItems(combo, items, transaction) {
+        if (!Array.isArray(items) || items.length === 0) {
+            throw _createError('Combo phải có ít nhất một sản phẩm thành phần', 400);
+        }
+
+        const productIds = items.map(item => parseInt(item.productId, 10));
+        const components = await ConcessionProduct.findAll({
+            where: { Product_ID: { [Op.in]: productIds } },
+            transaction
+        });
+
+        const rows = items.map(item => {
+            const component = components.find(p => p.Product_ID === parseInt(item.productId, 10));
+            const quantity = parseInt(item.quantity, 10) || 1;
+            if (!component) throw _createError(`Không tìm thấy sản phẩm thành phần ${item.productId}`, 404);
+            if (component.Is_Combo) throw _createError('Combo không thể chứa combo khác', 400);
+            if (component.Cinema_ID !== combo.Cinema_ID) throw _createError(`Sản phẩm ${component.Product_Name} thuộc rạp khác`, 400);
+            if (quantity < 1) throw _createError('Số lượng thành phần phải lớn hơn 0', 400);
+            return { Combo_ID: combo.Product_ID, Product_ID: component.Product_ID, Quantity: quantity };
+        });
+
+        await ConcessionComboItem.bulkCreate(rows, { transaction });
+    }
+
+    // Kiểm tra sản phẩm đặt mua: cùng rạp, đang bán, đủ số lượng
+    async _prepareOrderLines(cinemaId, items, transaction) {
+        if (!Array.isArray(items) || items.length === 0) {
+            throw _createError('Đơn bắp nước phải có ít nhất một sản phẩm', 400);
+        }
+
+        // Gộp các dòng trùng sản phẩm
+        const quantities = new Map();
+        for (const item of items) {
+            const productId = parseInt(item.productId, 10);
+            const quantity = parseInt(item.quantity, 10);
+            if (isNaN(productId) || isNaN(quantity) || quantity < 1) {
+                throw _createError('Sản phẩm hoặc số lượng không hợp lệ', 400);
+            }
+            quantities.set(productId, (quantities.get(productId) || 0) + quantity);
+        }
+
+        const products = await ConcessionProduct.findAll({
+            where: { Product_ID: { [Op.in]: [...quantities.keys()] } },
+            include: [{ model: ConcessionComboItem, as: 'ComboItems' }],
+            transaction
+        });
+
+        return [...quantities.entries()].map(([productId, quantity]) => {
+            const product = products.find(p => p.Product_ID === productId);
+            if (!product || product.Status !== PRODUCT_STATUS.ACTIVE) {
+                throw _createError(`Sản phẩm ${productId} không tồn tại hoặc đã ngừng bán`, 400);
+            }
+            if (product.Cinema_ID !== parseInt(cinemaId, 10)) {
+                throw _createError(`Sản phẩm ${product.Product_Name} không bán tại rạp này`, 400);
+            }
+            if (quantity > MAX_QUANTITY_PER_ITEM) {
+                throw _createError(`Mỗi sản phẩm chỉ được đặt tối đa ${MAX_QUANTITY_PER_ITEM} phần`, 400);
+            }
+            const unitPrice = Number(product.Price);
+            return { product, quantity, unitPrice, totalPrice: unitPrice * quantity };
+        });
+    }
+
+    // Số lượng cần trừ theo từng sản phẩm lẻ (combo được tách thành thành phần)
+    _stockRequirements(lines) {
+        const requirements = new Map();
+        for (const line of lines) {
+            const parts = line.product.Is_Combo
+                ? line.product.ComboItems.map(item => [item.Product_ID, item.Quantity * line.quantity])
+                : [[line.product.Product_ID, line.quantity]];
+            for (const [productId, quantity] of parts) {
+                requirements.set(productId, (requirements.get(productId) || 0) + quantity);
+            }
+        }
+        return requirements;
+    }
+
+    async _reserveStock(lines, transaction) {
+        for (const [productId, quantity] of this._stockRequirements(lines)) {
+            // Trừ có điều kiện để hai đơn đồng thời không bán vượt tồn kho
+            const [updated] = await ConcessionProduct.update({
+                Stock_Quantity: sequelize.literal(`Stock_Quantity - ${quantity}`),
+                Updated_At: new Date()
+            }, {
+                where: { Product_ID: productId, Stock_Quantity: { [Op.gte]: quantity } },
+                transaction
+            });
+
+            if (updated === 0) {
+                const product = await ConcessionProduct.findByPk(productId, { attributes: ['Product_Name', 'Stock_Quantity'], transaction });
+                const error = _createError(`Sản phẩm ${product?.Product_Name || productId} chỉ còn ${product?.Stock_Quantity ?? 0} phần`, 409);
+                error.code = 'OUT_OF_STOCK';
+                throw error;
+            }
+        }
+    }
+
+    async _cancelOrder(order, transaction) {
+        const items = await ConcessionOrderItem.findAll({ where: { Order_ID: order.Order_ID }, transaction });
+        const products = await ConcessionProduct.findAll({
+            where: { Product_ID: { [Op.in]: items.map(item => item.Product_ID) } },
+            include: [{ model: ConcessionComboItem, as: 'ComboItems' }],
+            transaction
+        });
+
+        const lines = items
+            .map(item => ({ product: products.find(p => p.Product_ID === item.Product_ID), quantity: item.Quantity }))
+            .filter(line => line.product);
+
+        for (const [productId, quantity] of this._stockRequirements(lines)) {
+            await ConcessionProduct.update({
+                Stock_Quantity: sequelize.literal(`Stock_Quantity + ${quantity}`),
+                Updated_At: new Date()
+            }, { where: { Product_ID: productId }, transaction });
+        }
+
+        await order.update({ Status: ORDER_STATUS.CANCELLED, Updated_At: new Date() }, { transaction });
+    }
+
+    _generateOrderCode() {
+        return `FNB-${Date.now()}-${Math.random().toString(36).substr(2, 4).toUpperCase()}`;
+    }
+}
+
+const concessionService = new ConcessionService();
+concessionService.PRODUCT_CATEGORY = PRODUCT_CATEGORY;
+concessionService.PRODUCT_STATUS = PRODUCT_STATUS;
+concessionService.ORDER_STATUS = ORDER_STATUS;
+
+module.exports = concessionService;
@@ -542,6 +542,7 @@ class EmailService {
                             <p><strong>Ngày chiếu:</strong> ${safeBookingInfo.ShowDate || 'N/A'}</p>
                             <p><strong>Giờ chiếu:</strong> ${safeBookingInfo.ShowTime || 'N/A'}</p>
                             <p><strong>Ghế:</strong> ${safeBookingInfo.Seats || 'N/A'}</p>
+                            ${safeBookingInfo.Concessions ? `<p><strong>Bắp nước:</strong> ${safeBookingInfo.Concessions}</p>` : ''}
                         </div>
                         
                         <p>Vé của bạn được đính kèm dưới dạng file PDF. Vui lòng mang theo vé (bản in hoặc trên điện thoại) khi đến rạp.</p>
@@ -0,0 +1,287 @@
+// File: src/services/holidayCalendarService.js
+// Mô tả: Service quản lý lịch ngày lễ (Holiday) - ngày lễ cố định hằng năm, ngày lễ Âm lịch,
+// ngày nghỉ/đóng cửa một lần và ngày lễ riêng theo từng rạp. Lịch được dùng cho hệ số giá "holiday".
+
+const { Holiday, Cinema } = require('../models');
+const { Op } = require('sequelize');
+const { format, addDays } = require('date-fns');
+const { lunarToSolar } = require('../utils/lunarCalendar');
+const logger = require('../utils/logger');
+
+const { HOLIDAY_TYPE, HOLIDAY_STATUS } = Holiday;
+
+// Các ngày lễ toàn quốc mặc định của Việt Nam
+const DEFAULT_HOLIDAYS = [
+    { Holiday_Name: 'Tết Dương lịch', Holiday_Type: HOLIDAY_TYPE.FIXED, Month: 1, Day: 1 },
+    { Holiday_Name: 'Tết Nguyên Đán', Holiday_Type: HOLIDAY_TYPE.LUNAR, Month: 1, Day: 1, Duration_Days: 5, Days_Before: 1 },
+    { Holiday_Name: 'Giỗ Tổ Hùng Vương', Holiday_Type: HOLIDAY_TYPE.LUNAR, Month: 3, Day: 10 },
+    { Holiday_Name: 'Ngày Giải phóng miền Nam', Holiday_Type: HOLIDAY_TYPE.FIXED, Month: 4, Day: 30 },
+    { Holiday_Name: 'Quốc tế Lao động', Holiday_Type: HOLIDAY_TYPE.FIXED, Month: 5, Day: 1 },
+    { Holiday_Name: 'Quốc khánh', Holiday_Type: HOLIDAY_TYPE.FIXED, Month: 9, Day: 2, Duration_Days: 2 }
+];
+
+function _createError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+// Chuẩn hóa và kiểm tra dữ liệu ngày lễ, trả về các trường hợp lệ để lưu
+async function _validateHolidayData(data, existing = null) {
+    const merged = { ...(existing ? existing.get({ plain: true }) : {}), ...data };
+    const result = {};
+
+    if (!merged.Holiday_Name || typeof merged.Holiday_Name !== 'string' || merged.Holiday_Name.trim() === '') {
+        throw _createError('Tên ngày lễ không được để trống', 400);
+    }
+    result.Holiday_Name = merged.Holiday_Name.trim();
+
+    if (!Object.values(HOLIDAY_TYPE).includes(merged.Holiday_Type)) {
+        throw _createError(`Loại ngày lễ không hợp lệ. Chấp nhận: ${Object.values(HOLIDAY_TYPE).join(', ')}`, 400);
+    }
+    result.Holiday_Type = merged.Holiday_Type;
+
+    if (result.Holiday_Type === HOLIDAY_TYPE.ONE_OFF) {
+        if (!merged.Holiday_Date || isNaN(new Date(merged.Holiday_Date).getTime())) {
+            throw _createError('Ngày lễ một lần cần có Holiday_Date hợp lệ (YYYY-MM-DD)', 400);
+        }
+        result.Holiday_Date = merged.Holiday_Date;
+        result.Month = null;
+        result.Day = null;
+    } else {
+        const month = Number(merged.Month);
+        const day = Number(merged.Day);
+        const maxDay = result.Holiday_Type === HOLIDAY_TYPE.LUNAR ? 30 : 31;
+        if (!Number.isInteger(month) || month < 1 || month > 12) {
+            throw _createError('Tháng phải là số nguyên từ 1 đến 12', 400);
+        }
+        if (!Number.isInteger(day) || day < 1 || day > maxDay) {
+            throw _createError(`Ngày phải là số nguyên từ 1 đến ${maxDay}`, 400);
+        }
+        result.Month = month;
+        result.Day = day;
+        result.Holiday_Date = null;
+    }
+
+    const duration = merged.Duration_Days === undefined || merged.Duration_Days === null ? 1 : Number(merged.Duration_Days);
+    if (!Number.isInteger(duration) || duration < 1 || duration > 30) {
+        throw _createError('Số ngày nghỉ phải là số nguyên từ 1 đến 30', 400);
+    }
+    result.Duration_Days = duration;
+
+    const daysBefore = merged.Days_Before === undefined || merged.Days_Before === null ? 0 : Number(merged.Days_Before);
+    if (!Number.isInteger(daysBefore) || daysBefore < 0 || daysBefore > 7) {
+        throw _createError('Số ngày nghỉ trước ngày lễ phải là số nguyên từ 0 đến 7', 400);
+    }
+    result.Days_Before = daysBefore;
+
+    if (merged.Cinema_ID) {
+        const cinema = await Cinema.findByPk(merged.Cinema_ID);
+        if (!cinema) {
+            throw _createError(`Không tìm thấy rạp chiếu có ID ${merged.Cinema_ID}`, 404);
+        }
+        result.Cinema_ID = cinema.Cinema_ID;
+    } else {
+        result.Cinema_ID = null;
+    }
+
+    result.Is_Closure = merged.Is_Closure === true || merged.Is_Closure === 'true';
+    if (merged.Status !== undefined) {
+        if (!Object.values(HOLIDAY_STATUS).includes(merged.Status)) {
+            throw _createError('Trạng thái ngày lễ không hợp lệ', 400);
+        }
+        result.Status = merged.Status;
+    }
+    result.Description = merged.Description ? String(merged.Description).trim() : null;
+
+    return result;
+}
+
+// Làm mới cache ngày lễ trong pricingService sau khi lịch thay đổi
+async function _refreshPricingCache() {
+    const pricingService = require('./pricingService');
+    await pricingService.loadPricingRules(true);
+}
+
+const holidayCalendarService = {
+    /**
+     * Tính các ngày Dương lịch cụ thể của danh sách ngày lễ trong một năm
+     * @param {Array} holidays - Danh sách ngày lễ (plain object)
+     * @param {number} year - Năm Dương lịch
+     * @returns {Array<{date: string, Holiday_ID: number, Holiday_Name: string, Holiday_Type: string, Cinema_ID: number|null, Is_Closure: boolean}>}
+     */
+    expandHolidays(holidays, year) {
+        const occurrences = [];
+
+        for (const holiday of holidays) {
+            const anchors = [];
+            if (holiday.Holiday_Type === HOLIDAY_TYPE.FIXED) {
+                anchors.push(new Date(year - 1, holiday.Month - 1, holiday.Day), new Date(year, holiday.Month - 1, holiday.Day));
+            } else if (holiday.Holiday_Type === HOLIDAY_TYPE.LUNAR) {
+                // Ngày lễ Âm lịch cuối năm có thể rơi vào tháng 1-2 Dương lịch năm sau
+                [year - 1, year].forEach(lunarYear => {
+                    const solarDate = lunarToSolar(holiday.Day, holiday.Month, lunarYear);
+                    if (solarDate) anchors.push(solarDate);
+                });
+            } else if (holiday.Holiday_Type === HOLIDAY_TYPE.ONE_OFF && holiday.Holiday_Date) {
+                const [y, m, d] = String(holiday.Holiday_Date).slice(0, 10).split('-').map(Number);
+                anchors.push(new Date(y, m - 1, d));
+            }
+
+            for (const anchor of anchors) {
+                const daysBefore = holiday.Days_Before || 0;
+                const duration = holiday.Duration_Days || 1;
+                for (let offset = -daysBefore; offset < duration; offset++) {
+                    const date = addDays(anchor, offset);
+                    if (date.getFullYear() !== year) continue;
+                    occurrences.push({
+                        date: format(date, 'yyyy-MM-dd'),
+                        Holiday_ID: holiday.Holiday_ID,
+                        Holiday_Name: holiday.Holiday_Name,
+                        Holiday_Type: holiday.Holiday_Type,
+                        Cinema_ID: holiday.Cinema_ID || null,
+                        Is_Closure: !!holiday.Is_Closure
+                    });
+                }
+            }
+        }
+
+        return occurrences.sort((a, b) => a.date.localeCompare(b.date));
+    },
+
+    async getAllHolidays(filters = {}) {
+        const where = {};
+        if (filters.status) where.Status = filters.status;
+        if (filters.holidayType) where.Holiday_Type = filters.holidayType;
+        if (filters.cinemaId) {
+            where[Op.or] = [{ Cinema_ID: filters.cinemaId }, { Cinema_ID: null }];
+        }
+
+        return Holiday.findAll({
+            where,
+            include: [{ model: Cinema, as: 'Cinema', attributes: ['Cinema_ID', 'Cinema_Name'] }],
+            order: [['Holiday_Type', 'ASC'], ['Month', 'ASC'], ['Day', 'ASC'], ['Holiday_Date', 'ASC']]
+        });
+    },
+
+    async getHolidayById(id) {
+        const holiday = await Holiday.findByPk(id, {
+            include: [{ model: Cinema, as: 'Cinema', attributes: ['Cinema_ID', 'Cinema_Name'] }]
+        });
+        if (!holiday) {
+            throw _createError(`Không tìm thấy ngày lễ có ID ${id}`, 404);
+        }
+        return holiday;
+    },
+
+    async createHoliday(data, userId) {
+        const holidayData = await _validateHolidayData(data);
+        const holiday = await Holiday.create({
+            ...holidayData,
+            Created_By: userId || null,
+            Created_At: new Date()
+        });
+
+        await _refreshPricingCache();
+        logger.info(`[holidayCalendarService] Đã tạo ngày lễ ${holiday.Holiday_ID} (${holiday.Holiday_Name}) bởi user ${userId}`);
+        return holiday;
+    },
+
+    async updateHoliday(id, data) {
+        const holiday = await this.getHolidayById(id);
+        const holidayData = await _validateHolidayData(data, holiday);
+        await holiday.update({ ...holidayData, Updated_At: new Date() });
+
+        await _refreshPricingCache();
+        return holiday;
+    },
+
+    async deleteHoliday(id) {
+        const holiday = await this.getHolidayById(id);
+        await holiday.destroy();
+
+        await _refreshPricingCache();
+        return { message: `Đã xóa ngày lễ ${holiday.Holiday_Name}` };
+    },
+
+    /**
+     * Lấy lịch ngày lễ cụ thể của một năm (đã quy đổi ngày Âm lịch)
+     * @param {number} year - Năm Dương lịch
+     * @param {number} [cinemaId] - Chỉ lấy ngày lễ toàn quốc và ngày lễ riêng của rạp này
+     */
+    async getCalendar(year, cinemaId = null) {
+        const where = { Status: HOLIDAY_STATUS.ACTIVE };
+        if (cinemaId) {
+            where[Op.or] = [{ Cinema_ID: cinemaId }, { Cinema_ID: null }];
+        }
+        const holidays = await Holiday.findAll({ where, raw: true });
+
+        return {
+            year,
+            cinemaId: cinemaId || null,
+            days: this.expandHolidays(holidays, year)
+        };
+    },
+
+    /**
+     * Kiểm tra một ngày cụ thể có phải ngày lễ / ngày đóng cửa của rạp không
+     * @param {string|Date} date - Ngày cần kiểm tra
+     * @param {number} [cinemaId] - Rạp chiếu
+     */
+    async checkDate(date, cinemaId = null) {
+        const target = date instanceof Date ? date : new Date(date);
+        if (isNaN(target.getTime())) {
+            throw _createError('Ngày không hợp lệ', 400);
+        }
+        const dateStr = format(target, 'yyyy-MM-dd');
+        const calendar = await this.getCalendar(target.getFullYear(), cinemaId);
+        const matches = calendar.days.filter(day => day.date === dateStr);
+
+        return {
+            date: dateStr,
+            cinemaId: cinemaId || null,
+            isHoliday: matches.length > 0,
+            isClosure: matches.some(day => day.Is_Closure),
+            holidays: matches
+        };
+    },
+
+    /**
+     * Tạo các ngày lễ toàn quốc mặc định (bỏ qua ngày lễ đã tồn tại cùng tên)
+     * @param {number} userId - Người thực hiện
+     */
+    async seedDefaultHolidays(userId) {
+        const created = [];
+        let skipped = 0;
+
+        for (const holidayData of DEFAULT_HOLIDAYS) {
+            const existing = await Holiday.findOne({
+                where: { Holiday_Name: holidayData.Holiday_Name, Cinema_ID: null }
+            });
+            if (existing) {
+                skipped++;
+                continue;
+            }
+            created.push(await Holiday.create({
+                Duration_Days: 1,
+                Days_Before: 0,
+                ...holidayData,
+                Status: HOLIDAY_STATUS.ACTIVE,
+                Created_By: userId || null,
+                Created_At: new Date()
+            }));
+        }
+
+        if (created.length > 0) {
+            await _refreshPricingCache();
+        }
+
+        return {
+            created_count: created.length,
+            skipped_count: skipped,
+            holidays: created
+        };
+    }
+};
+
+module.exports = holidayCalendarService;
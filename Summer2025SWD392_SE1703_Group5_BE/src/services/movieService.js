@@ -2,6 +2,7 @@
 const { Movie, MovieRating, Showtime, CinemaRoom, User, TicketBooking, sequelize } = require('../models');
 const { Op } = require('sequelize');
 const cloudinaryService = require('./cloudinaryService');
+const showtimeFormatService = require('./showtimeFormatService');
 
 class MovieService {
     // Lấy tất cả phim
@@ -1058,10 +1059,14 @@ class MovieService {
     /**
      * Lấy tất cả suất chiếu của một phim trên tất cả các rạp
      * @param {number} movieId - ID của phim cần tìm
+     * @param {Object} [query] - Tham số lọc theo định dạng suất chiếu (projectionFormat, languageVersion,
+     *   audioLanguage, subtitleLanguage, closedCaptions, audioDescription)
      * @returns {Promise<Object>} Danh sách tất cả suất chiếu của phim
      */
-    async getAllShowtimesForMovie(movieId) {
+    async getAllShowtimesForMovie(movieId, query = {}) {
         try {
+            const formatConditions = showtimeFormatService.buildWhereConditions(showtimeFormatService.parseFilters(query));
+
             // Kiểm tra phim có tồn tại không
             const movie = await Movie.findByPk(movieId);
             if (!movie) {
@@ -1077,7 +1082,8 @@ class MovieService {
                 where: {
                     Movie_ID: movieId,
                     Show_Date: { [Op.gte]: today },
-                    Status: 'Scheduled'
+                    Status: 'Scheduled',
+                    ...(formatConditions.length > 0 ? { [Op.and]: formatConditions } : {})
                 },
                 include: [{
                     model: CinemaRoom,
@@ -1086,7 +1092,7 @@ class MovieService {
                         model: sequelize.models.Cinema,
                         as: 'Cinema'
                     }]
-                }],
+                }, showtimeFormatService.getInclude()],
                 order: [
                     ['Show_Date', 'ASC'],
                     ['Start_Time', 'ASC']
@@ -1133,7 +1139,8 @@ class MovieService {
                         Cinema_Room_ID: showtime.CinemaRoom.Cinema_Room_ID,
                         Room_Name: showtime.CinemaRoom.Room_Name,
                         Room_Type: showtime.CinemaRoom.Room_Type
-                    }
+                    },
+                    Format: showtimeFormatService.toDto(showtime.Format, showtime.CinemaRoom.Room_Type)
                 });
             }
 
@@ -262,6 +262,10 @@ class NotificationService {
         if (status === 'Rating Requested') {
             return 'Đánh giá phim';
         }
+
+        if (status === 'Showtime Cancelled') {
+            return 'Suất chiếu bị hủy';
+        }
     }
 
     /**
@@ -284,6 +288,10 @@ class NotificationService {
             return 'question';
         }
 
+        if (status === 'Showtime Cancelled') {
+            return 'warning';
+        }
+
         // Xử lý dựa trên nội dung notes nếu không có status rõ ràng
         if (notes) {
             // Xử lý thông báo áp dụng điểm/khuyến mãi
@@ -318,6 +326,11 @@ class NotificationService {
         const showTime = bookingHistory.Start_Time ? new Date(bookingHistory.Start_Time).toLocaleString('vi-VN') : 'không xác định';
         const bookingId = bookingHistory.Booking_ID;
 
+        // Suất chiếu bị hủy: ghi chú đã gồm lý do và khoản hoàn trả
+        if (bookingHistory.Status === 'Showtime Cancelled') {
+            return `Đơn đặt vé #${bookingId} phim "${movieTitle}": ${bookingHistory.Notes || 'Suất chiếu đã bị hủy'}`;
+        }
+
         // Xử lý cho các trường hợp liên quan đến điểm
         if (bookingHistory.Status === 'Points Earned') {
             // Trích xuất số điểm từ ghi chú nếu có
@@ -0,0 +1,462 @@
+// services/operatingHoursService.js
+// Mô tả: Giờ hoạt động của rạp (theo thứ trong tuần, ngoại lệ theo ngày cho suất chiếu đêm muộn)
+// và thời gian dọn dẹp giữa hai suất chiếu theo loại phòng. showtimeService dùng cấu hình này khi tạo / sửa
+// suất chiếu, kiểm tra trùng lịch, gợi ý giờ trống và tự động xếp lịch.
+
+const { Op } = require('sequelize');
+const { format, addDays } = require('date-fns');
+const logger = require('../utils/logger');
+const { CinemaOperatingHour, CinemaHoursException, RoomTurnaroundBuffer, Cinema, CinemaRoom, Showtime, Movie, User } = require('../models');
+
+// Giờ hoạt động mặc định khi rạp chưa cấu hình
+const DEFAULT_OPERATING_HOURS = { Open_Time: '09:00', Close_Time: '23:00' };
+// Suất chiếu được lưu theo Show_Date + giờ trong ngày nên không thể kết thúc sau nửa đêm
+const LATEST_CLOSE_TIME = '23:59';
+const DEFAULT_TURNAROUND_MINUTES = 15;
+const MAX_TURNAROUND_MINUTES = 120;
+// Số ngày tới được kiểm tra khi đổi giờ hoạt động để cảnh báo suất chiếu nằm ngoài giờ mới
+const CONFLICT_LOOKAHEAD_DAYS = 30;
+
+const WEEKDAY_NAMES = ['Chủ nhật', 'Thứ hai', 'Thứ ba', 'Thứ tư', 'Thứ năm', 'Thứ sáu', 'Thứ bảy'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function _createError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function _toMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return (hours || 0) * 60 + (minutes || 0);
+}
+
+function _toTimeString(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+class OperatingHoursService {
+    constructor() {
+        this.logger = logger;
+    }
+
+    // =================== TRA CỨU CẤU HÌNH ===================
+
+    /**
+     * Giờ hoạt động hiệu lực của rạp trong một ngày: ngoại lệ theo ngày > giờ theo thứ > mặc định
+     * @param {number} cinemaId
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Object} { date, dayOfWeek, openTime, closeTime, openMinutes, closeMinutes, source, reason }
+     */
+    async getOperatingWindow(cinemaId, date, transaction = null) {
+        const dayOfWeek = new Date(`${date}T00:00:00`).getDay();
+
+        const [exception, weekly] = cinemaId ? await Promise.all([
+            CinemaHoursException.findOne({ where: { Cinema_ID: cinemaId, Exception_Date: date }, transaction }),
+            CinemaOperatingHour.findOne({ where: { Cinema_ID: cinemaId, Day_Of_Week: dayOfWeek }, transaction })
+        ]) : [null, null];
+
+        const source = exception ? 'exception' : (weekly ? 'weekly' : 'default');
+        const config = exception || weekly || DEFAULT_OPERATING_HOURS;
+
+        return {
+            date,
+            dayOfWeek,
+            openTime: config.Open_Time,
+            closeTime: config.Close_Time,
+            openMinutes: _toMinutes(config.Open_Time),
+            closeMinutes: _toMinutes(config.Close_Time),
+            source,
+            reason: exception ? exception.Reason : null
+        };
+    }
+
+    /**
+     * Thời gian dọn dẹp (phút) sau mỗi suất chiếu: cấu hình của rạp cho loại phòng > cấu hình chung > mặc định
+     */
+    async getTurnaroundMinutes(roomType, cinemaId = null, transaction = null) {
+        const buffers = await RoomTurnaroundBuffer.findAll({
+            where: {
+                Room_Type: roomType || '2D',
+                [Op.or]: [{ Cinema_ID: null }, ...(cinemaId ? [{ Cinema_ID: cinemaId }] : [])]
+            },
+            transaction
+        });
+
+        const cinemaBuffer = buffers.find(buffer => buffer.Cinema_ID !== null);
+        const globalBuffer = buffers.find(buffer => buffer.Cinema_ID === null);
+        return (cinemaBuffer || globalBuffer)?.Buffer_Minutes ?? DEFAULT_TURNAROUND_MINUTES;
+    }
+
+    /**
+     * Cấu hình xếp lịch của một phòng trong một ngày
+     * @param {Object} room - CinemaRoom (cần Cinema_ID, Room_Type)
+     * @returns {Object} { window, bufferMinutes }
+     */
+    async getScheduleConfig(room, date, transaction = null) {
+        const [window, bufferMinutes] = await Promise.all([
+            this.getOperatingWindow(room.Cinema_ID, date, transaction),
+            this.getTurnaroundMinutes(room.Room_Type, room.Cinema_ID, transaction)
+        ]);
+        return { window, bufferMinutes };
+    }
+
+    /**
+     * Kiểm tra suất chiếu [startMinutes, endMinutes) (endMinutes đã gồm thời gian dọn dẹp) nằm trong giờ hoạt động
+     */
+    assertWithinOperatingHours(window, startMinutes, endMinutes) {
+        if (!this.isWithinOperatingHours(window, startMinutes, endMinutes)) {
+            const error = _createError(
+                `Suất chiếu ${_toTimeString(startMinutes)} - ${endMinutes >= 24 * 60 ? 'sau nửa đêm' : _toTimeString(endMinutes)} (kể cả thời gian dọn dẹp) nằm ngoài giờ hoạt động của rạp ngày ${window.date}: ${window.openTime} - ${window.closeTime}`,
+                400
+            );
+            error.code = 'OUTSIDE_OPERATING_HOURS';
+            error.operatingHours = { open: window.openTime, close: window.closeTime };
+            throw error;
+        }
+    }
+
+    isWithinOperatingHours(window, startMinutes, endMinutes) {
+        return startMinutes >= window.openMinutes && endMinutes <= window.closeMinutes;
+    }
+
+    // =================== QUẢN LÝ GIỜ HOẠT ĐỘNG ===================
+
+    /**
+     * Giờ hoạt động theo thứ và các ngày ngoại lệ sắp tới của rạp
+     */
+    async getCinemaHours(cinemaId) {
+        const cinema = await Cinema.findByPk(cinemaId, { attributes: ['Cinema_ID', 'Cinema_Name'] });
+        if (!cinema) throw _createError(`Không tìm thấy rạp có ID ${cinemaId}`, 404);
+
+        const [weeklyHours, exceptions] = await Promise.all([
+            CinemaOperatingHour.findAll({ where: { Cinema_ID: cinemaId } }),
+            CinemaHoursException.findAll({
+                where: { Cinema_ID: cinemaId, Exception_Date: { [Op.gte]: format(new Date(), 'yyyy-MM-dd') } },
+                order: [['Exception_Date', 'ASC']]
+            })
+        ]);
+
+        return {
+            cinema_id: cinema.Cinema_ID,
+            cinema_name: cinema.Cinema_Name,
+            defaults: {
+                open_time: DEFAULT_OPERATING_HOURS.Open_Time,
+                close_time: DEFAULT_OPERATING_HOURS.Close_Time,
+                latest_close_time: LATEST_CLOSE_TIME
+            },
+            weekly: WEEKDAY_NAMES.map((dayName, dayOfWeek) => {
+                const config = weeklyHours.find(item => item.Day_Of_Week === dayOfWeek);
+                return {
+                    day_of_week: dayOfWeek,
+                    day_name: dayName,
+                    open_time: config ? config.Open_Time : DEFAULT_OPERATING_HOURS.Open_Time,
+                    close_time: config ? config.Close_Time : DEFAULT_OPERATING_HOURS.Close_Time,
+                    is_default: !config
+                };
+            }),
+            exceptions: exceptions.map(exception => this._formatException(exception))
+        };
+    }
+
+    /**
+     * Cập nhật giờ hoạt động theo thứ
+     * @param {Array} days - [{ DayOfWeek, OpenTime, CloseTime }] hoặc [{ DayOfWeek, UseDefault: true }] để về giờ mặc định
+     * @returns {Object} giờ hoạt động mới và các suất chiếu sắp tới nằm ngoài giờ mới (cần điều chỉnh)
+     */
+    async setWeeklyHours(cinemaId, days, userId, role) {
+        await this._assertCanManageCinema(cinemaId, userId, role);
+
+        if (!Array.isArray(days) || days.length === 0) {
+            throw _createError('Days phải là mảng [{ DayOfWeek, OpenTime, CloseTime }]', 400);
+        }
+
+        const changes = days.map(day => {
+            const dayOfWeek = parseInt(day.DayOfWeek, 10);
+            if (isNaN(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+                throw _createError('DayOfWeek phải từ 0 (Chủ nhật) đến 6 (Thứ bảy)', 400);
+            }
+            if (day.UseDefault === true) return { dayOfWeek, useDefault: true };
+
+            this._validateHours(day.OpenTime, day.CloseTime, WEEKDAY_NAMES[dayOfWeek]);
+            return { dayOfWeek, openTime: day.OpenTime, closeTime: day.CloseTime };
+        });
+        if (new Set(changes.map(change => change.dayOfWeek)).size !== changes.length) {
+            throw _createError('Mỗi thứ chỉ được khai báo một lần', 400);
+        }
+
+        for (const change of changes) {
+            if (change.useDefault) {
+                await CinemaOperatingHour.destroy({ where: { Cinema_ID: cinemaId, Day_Of_Week: change.dayOfWeek } });
+                continue;
+            }
+
+            const existing = await CinemaOperatingHour.findOne({ where: { Cinema_ID: cinemaId, Day_Of_Week: change.dayOfWeek } });
+            const values = { Open_Time: change.openTime, Close_Time: change.closeTime, Updated_By: userId, Updated_At: new Date() };
+            if (existing) {
+                await existing.update(values);
+            } else {
+                await CinemaOperatingHour.create({ Cinema_ID: cinemaId, Day_Of_Week: change.dayOfWeek, ...values });
+            }
+        }
+
+        this.logger.info(`[OperatingHours] User ${userId} cập nhật giờ hoạt động theo thứ cho rạp ${cinemaId}`);
+
+        const today = new Date();
+        const conflicts = await this._findShowtimesOutsideHours(
+            cinemaId,
+            format(today, 'yyyy-MM-dd'),
+            format(addDays(today, CONFLICT_LOOKAHEAD_DAYS), 'yyyy-MM-dd'),
+            changes.map(change => change.dayOfWeek)
+        );
+
+        return { ...(await this.getCinemaHours(cinemaId)), conflicting_showtimes: conflicts };
+    }
+
+    /**
+     * Tạo hoặc cập nhật giờ hoạt động riêng cho một ngày (ví dụ mở muộn tới 23:59 cho suất chiếu đêm)
+     * @param {Object} data - { Date, OpenTime, CloseTime, Reason }
+     */
+    async upsertException(cinemaId, data, userId, role) {
+        await this._assertCanManageCinema(cinemaId, userId, role);
+
+        const date = data.Date;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || isNaN(new Date(`${date}T00:00:00`).getTime())) {
+            throw _createError('Date phải có định dạng YYYY-MM-DD', 400);
+        }
+        if (date < format(new Date(), 'yyyy-MM-dd')) {
+            throw _createError('Không thể đặt giờ hoạt động cho ngày trong quá khứ', 400);
+        }
+        this._validateHours(data.OpenTime, data.CloseTime, `ngày ${date}`);
+        if (data.Reason && String(data.Reason).length > 255) {
+            throw _createError('Lý do không được vượt quá 255 ký tự', 400);
+        }
+
+        const values = {
+            Open_Time: data.OpenTime,
+            Close_Time: data.CloseTime,
+            Reason: data.Reason || null,
+            Created_By: userId,
+            Created_At: new Date()
+        };
+        let exception = await CinemaHoursException.findOne({ where: { Cinema_ID: cinemaId, Exception_Date: date } });
+        const created = !exception;
+        if (exception) {
+            await exception.update(values);
+        } else {
+            exception = await CinemaHoursException.create({ Cinema_ID: cinemaId, Exception_Date: date, ...values });
+        }
+
+        this.logger.info(`[OperatingHours] User ${userId} đặt giờ hoạt động ngày ${date} cho rạp ${cinemaId}: ${data.OpenTime} - ${data.CloseTime}`);
+
+        return {
+            created,
+            exception: this._formatException(exception),
+            conflicting_showtimes: await this._findShowtimesOutsideHours(cinemaId, date, date)
+        };
+    }
+
+    async deleteException(cinemaId, exceptionId, userId, role) {
+        await this._assertCanManageCinema(cinemaId, userId, role);
+
+        const exception = await CinemaHoursException.findOne({ where: { Exception_ID: exceptionId, Cinema_ID: cinemaId } });
+        if (!exception) throw _createError('Không tìm thấy giờ hoạt động ngoại lệ của rạp này', 404);
+
+        const date = exception.Exception_Date;
+        await exception.destroy();
+        this.logger.info(`[OperatingHours] User ${userId} xóa giờ hoạt động ngoại lệ ngày ${date} của rạp ${cinemaId}`);
+
+        return {
+            exception_id: exceptionId,
+            date,
+            conflicting_showtimes: await this._findShowtimesOutsideHours(cinemaId, date, date)
+        };
+    }
+
+    // =================== QUẢN LÝ THỜI GIAN DỌN DẸP ===================
+
+    /**
+     * Cấu hình thời gian dọn dẹp. Manager chỉ thấy cấu hình chung và cấu hình của rạp mình.
+     */
+    async listTurnaroundBuffers(userId, role, { cinemaId } = {}) {
+        let scopeCinemaId = cinemaId !== undefined && cinemaId !== null && cinemaId !== '' ? parseInt(cinemaId, 10) : null;
+        if (role === 'Manager') scopeCinemaId = await this._getManagerCinemaId(userId);
+
+        const where = scopeCinemaId ? { [Op.or]: [{ Cinema_ID: null }, { Cinema_ID: scopeCinemaId }] } : {};
+        const buffers = await RoomTurnaroundBuffer.findAll({
+            where,
+            order: [['Room_Type', 'ASC'], ['Cinema_ID', 'ASC']]
+        });
+
+        return {
+            default_minutes: DEFAULT_TURNAROUND_MINUTES,
+            buffers: buffers.map(buffer => this._formatBuffer(buffer))
+        };
+    }
+
+    /**
+     * Tạo hoặc cập nhật thời gian dọn dẹp cho một loại phòng
+     * @param {Object} data - { RoomType, CinemaId (bỏ trống = mọi rạp, chỉ Admin), BufferMinutes }
+     */
+    async upsertTurnaroundBuffer(data, userId, role) {
+        const roomType = typeof data.RoomType === 'string' ? data.RoomType.trim() : '';
+        if (!roomType || roomType.length > 50) {
+            throw _createError('RoomType là bắt buộc (ví dụ 2D, 3D, IMAX)', 400);
+        }
+
+        const minutes = parseInt(data.BufferMinutes, 10);
+        if (isNaN(minutes) || minutes < 0 || minutes > MAX_TURNAROUND_MINUTES) {
+            throw _createError(`BufferMinutes phải từ 0 đến ${MAX_TURNAROUND_MINUTES}`, 400);
+        }
+
+        let cinemaId = data.CinemaId !== undefined && data.CinemaId !== null ? parseInt(data.CinemaId, 10) : null;
+        if (role === 'Manager') {
+            const managerCinemaId = await this._getManagerCinemaId(userId);
+            if (cinemaId !== null && cinemaId !== managerCinemaId) {
+                throw _createError('Bạn chỉ được cấu hình thời gian dọn dẹp cho rạp của mình', 403);
+            }
+            cinemaId = managerCinemaId;
+        }
+        if (cinemaId !== null) {
+            if (isNaN(cinemaId)) throw _createError('CinemaId không hợp lệ', 400);
+            if (!await Cinema.findByPk(cinemaId, { attributes: ['Cinema_ID'] })) {
+                throw _createError(`Không tìm thấy rạp có ID ${cinemaId}`, 404);
+            }
+        }
+
+        let buffer = await RoomTurnaroundBuffer.findOne({ where: { Room_Type: roomType, Cinema_ID: cinemaId } });
+        const created = !buffer;
+        const values = { Buffer_Minutes: minutes, Updated_By: userId, Updated_At: new Date() };
+        if (buffer) {
+            await buffer.update(values);
+        } else {
+            buffer = await RoomTurnaroundBuffer.create({ Room_Type: roomType, Cinema_ID: cinemaId, ...values });
+        }
+
+        this.logger.info(`[OperatingHours] User ${userId} đặt thời gian dọn dẹp phòng ${roomType} (rạp ${cinemaId || 'tất cả'}): ${minutes} phút`);
+        return { created, buffer: this._formatBuffer(buffer) };
+    }
+
+    async deleteTurnaroundBuffer(bufferId, userId, role) {
+        const buffer = await RoomTurnaroundBuffer.findByPk(bufferId);
+        if (!buffer) throw _createError('Không tìm thấy cấu hình thời gian dọn dẹp', 404);
+
+        if (role === 'Manager' && buffer.Cinema_ID !== await this._getManagerCinemaId(userId)) {
+            throw _createError('Bạn chỉ được xóa cấu hình thời gian dọn dẹp của rạp mình', 403);
+        }
+
+        await buffer.destroy();
+        this.logger.info(`[OperatingHours] User ${userId} xóa cấu hình thời gian dọn dẹp ${bufferId}`);
+        return { buffer_id: bufferId };
+    }
+
+    // =================== HELPER METHODS ===================
+
+    _validateHours(openTime, closeTime, label) {
+        if (!TIME_PATTERN.test(openTime || '') || !TIME_PATTERN.test(closeTime || '')) {
+            throw _createError(`Giờ hoạt động ${label} phải có định dạng HH:mm`, 400);
+        }
+        if (_toMinutes(openTime) >= _toMinutes(closeTime)) {
+            throw _createError(`Giờ mở cửa ${label} phải trước giờ đóng cửa`, 400);
+        }
+        if (_toMinutes(closeTime) > _toMinutes(LATEST_CLOSE_TIME)) {
+            throw _createError(`Giờ đóng cửa tối đa là ${LATEST_CLOSE_TIME}`, 400);
+        }
+    }
+
+    /**
+     * Suất chiếu đang hoạt động trong khoảng ngày nằm ngoài giờ hoạt động hiện tại của rạp
+     * @param {Array<number>} [daysOfWeek] - chỉ kiểm tra các thứ này
+     */
+    async _findShowtimesOutsideHours(cinemaId, fromDate, toDate, daysOfWeek = null) {
+        const showtimes = await Showtime.findAll({
+            where: {
+                Show_Date: { [Op.between]: [fromDate, toDate] },
+                Status: { [Op.notIn]: ['Hidden', 'Cancelled'] }
+            },
+            attributes: ['Showtime_ID', 'Show_Date', 'Start_Time', 'End_Time'],
+            include: [
+                { model: CinemaRoom, as: 'CinemaRoom', attributes: ['Cinema_Room_ID', 'Room_Name'], where: { Cinema_ID: cinemaId }, required: true },
+                { model: Movie, as: 'Movie', attributes: ['Movie_ID', 'Movie_Name'] }
+            ],
+            order: [['Show_Date', 'ASC'], ['Start_Time', 'ASC']]
+        });
+
+        const windows = new Map();
+        const conflicts = [];
+        for (const showtime of showtimes) {
+            const date = showtime.Show_Date;
+            if (daysOfWeek && !daysOfWeek.includes(new Date(`${date}T00:00:00`).getDay())) continue;
+
+            if (!windows.has(date)) windows.set(date, await this.getOperatingWindow(cinemaId, date));
+            const window = windows.get(date);
+
+            const start = _toMinutes(this._timeValue(showtime.Start_Time));
+            let end = _toMinutes(this._timeValue(showtime.End_Time));
+            if (end <= start) end = 24 * 60;
+
+            if (!this.isWithinOperatingHours(window, start, end)) {
+                conflicts.push({
+                    showtime_id: showtime.Showtime_ID,
+                    movie_name: showtime.Movie?.Movie_Name,
+                    room_name: showtime.CinemaRoom?.Room_Name,
+                    show_date: date,
+                    start_time: _toTimeString(start),
+                    end_time: end >= 24 * 60 ? '24:00' : _toTimeString(end),
+                    operating_hours: `${window.openTime} - ${window.closeTime}`
+                });
+            }
+        }
+        return conflicts;
+    }
+
+    // Start_Time / End_Time đọc từ MSSQL có thể là chuỗi hoặc Date (1970-01-01 + giờ UTC)
+    _timeValue(value) {
+        if (value instanceof Date) {
+            return `${String(value.getUTCHours()).padStart(2, '0')}:${String(value.getUTCMinutes()).padStart(2, '0')}`;
+        }
+        return String(value);
+    }
+
+    async _assertCanManageCinema(cinemaId, userId, role) {
+        const cinema = await Cinema.findByPk(cinemaId, { attributes: ['Cinema_ID'] });
+        if (!cinema) throw _createError(`Không tìm thấy rạp có ID ${cinemaId}`, 404);
+
+        if (role === 'Manager' && await this._getManagerCinemaId(userId) !== cinemaId) {
+            throw _createError('Bạn chỉ được cấu hình giờ hoạt động cho rạp của mình', 403);
+        }
+    }
+
+    async _getManagerCinemaId(userId) {
+        const manager = await User.findByPk(userId, { attributes: ['User_ID', 'Cinema_ID'] });
+        if (!manager || !manager.Cinema_ID) {
+            throw _createError('Tài khoản quản lý chưa được gán rạp', 403);
+        }
+        return manager.Cinema_ID;
+    }
+
+    _formatException(exception) {
+        return {
+            exception_id: exception.Exception_ID,
+            date: exception.Exception_Date,
+            day_name: WEEKDAY_NAMES[new Date(`${exception.Exception_Date}T00:00:00`).getDay()],
+            open_time: exception.Open_Time,
+            close_time: exception.Close_Time,
+            reason: exception.Reason
+        };
+    }
+
+    _formatBuffer(buffer) {
+        return {
+            buffer_id: buffer.Buffer_ID,
+            room_type: buffer.Room_Type,
+            cinema_id: buffer.Cinema_ID,
+            scope: buffer.Cinema_ID ? 'cinema' : 'global',
+            buffer_minutes: buffer.Buffer_Minutes,
+            updated_by: buffer.Updated_By,
+            updated_at: buffer.Updated_At
+        };
+    }
+}
+
+module.exports = new OperatingHoursService();
@@ -0,0 +1,103 @@
+// File: src/services/paymentProviders/basePaymentProvider.js
+// Mô tả: Interface chung cho các cổng thanh toán (PayOS, tiền mặt tại quầy, Mock).
+// Mỗi provider cài đặt 4 thao tác: createCharge, verifyWebhook, getStatus, refund và trả về dữ liệu đã chuẩn hóa.
+
+// Trạng thái thanh toán chuẩn hóa dùng chung cho mọi provider
+const PAYMENT_STATUS = {
+    PENDING: 'PENDING',
+    PAID: 'PAID',
+    CANCELLED: 'CANCELLED',
+    FAILED: 'FAILED',
+    EXPIRED: 'EXPIRED'
+};
+
+// Trạng thái kết quả hoàn tiền
+const REFUND_RESULT = {
+    PROCESSED: 'PROCESSED',
+    FAILED: 'FAILED',
+    MANUAL: 'MANUAL'
+};
+
+class PaymentProvider {
+    /**
+     * @param {string} name - Mã provider (payos, cash, mock)
+     * @param {string} paymentMethod - Giá trị Payment_Method lưu trong bảng Payments
+     */
+    constructor(name, paymentMethod) {
+        this.name = name;
+        this.paymentMethod = paymentMethod;
+        // Provider có tự hoàn tiền được qua API hay phải xử lý thủ công
+        this.supportsAutomaticRefund = false;
+        // Provider có gửi webhook về hệ thống hay không
+        this.supportsWebhook = false;
+    }
+
+    /**
+     * Provider đã sẵn sàng sử dụng (đủ cấu hình) hay chưa
+     */
+    isAvailable() {
+        return true;
+    }
+
+    /**
+     * Tạo giao dịch thanh toán cho đơn đặt vé
+     * @param {Object} charge - bookingId, amount, description, customerName, userId, options
+     * @returns {Promise<Object>} { provider, orderCode, amount, status, paymentUrl, qrCode }
+     */
+    async createCharge(charge) {
+        throw this._notImplemented('createCharge');
+    }
+
+    /**
+     * Xác thực webhook gửi về từ provider
+     * @returns {Promise<Object>} { valid, orderCode, status, amount, data }
+     */
+    async verifyWebhook(payload, headers = {}) {
+        throw this._notImplemented('verifyWebhook');
+    }
+
+    /**
+     * Lấy trạng thái giao dịch theo mã tham chiếu (orderCode/Payment_Reference)
+     * @returns {Promise<Object>} { provider, orderCode, status, amount, amountPaid }
+     */
+    async getStatus(reference) {
+        throw this._notImplemented('getStatus');
+    }
+
+    /**
+     * Hoàn tiền cho giao dịch
+     * @param {Object} refund - reference, amount, reason, refundId
+     * @returns {Promise<Object>} { status: REFUND_RESULT, transactionReference, message }
+     */
+    async refund(refund) {
+        throw this._notImplemented('refund');
+    }
+
+    /**
+     * Thông tin mô tả provider (dùng cho API liệt kê provider)
+     */
+    describe() {
+        return {
+            name: this.name,
+            paymentMethod: this.paymentMethod,
+            available: this.isAvailable(),
+            supportsWebhook: this.supportsWebhook,
+            supportsAutomaticRefund: this.supportsAutomaticRefund
+        };
+    }
+
+    _createError(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    _notImplemented(method) {
+        return this._createError(`Payment provider ${this.name} chưa hỗ trợ thao tác ${method}`, 501);
+    }
+}
+
+PaymentProvider.PAYMENT_STATUS = PAYMENT_STATUS;
+PaymentProvider.REFUND_RESULT = REFUND_RESULT;
+
+module.exports = PaymentProvider;
@@ -0,0 +1,74 @@
+// File: src/services/paymentProviders/cashProvider.js
+// Mô tả: Provider thanh toán tiền mặt tại quầy - nhân viên thu tiền và xác nhận ngay,
+// không có webhook; hoàn tiền được trả trực tiếp tại quầy.
+
+const { Payment } = require('../../models');
+const PaymentProvider = require('./basePaymentProvider');
+
+const { PAYMENT_STATUS, REFUND_RESULT } = PaymentProvider;
+
+class CashProvider extends PaymentProvider {
+    constructor() {
+        super('cash', 'Cash');
+    }
+
+    /**
+     * Xác nhận đã thu tiền mặt: cập nhật booking sang Confirmed, tạo Payment và tích điểm
+     * (dùng lại bookingService.updateBookingPayment)
+     */
+    async createCharge({ bookingId, userId }) {
+        const bookingService = require('../bookingService');
+        const result = await bookingService.updateBookingPayment(bookingId, userId);
+
+        if (!result || !result.success) {
+            throw this._createError(result?.message || 'Xác nhận thanh toán tiền mặt không thành công', 400);
+        }
+
+        const payment = await Payment.findOne({
+            where: { Booking_ID: bookingId, Payment_Method: this.paymentMethod },
+            order: [['Transaction_Date', 'DESC']]
+        });
+
+        return {
+            provider: this.name,
+            orderCode: payment ? payment.Payment_Reference : null,
+            amount: result.booking?.Total_Amount ?? null,
+            status: PAYMENT_STATUS.PAID,
+            paymentUrl: null,
+            qrCode: null,
+            booking: result.booking
+        };
+    }
+
+    async verifyWebhook() {
+        throw this._createError('Thanh toán tiền mặt không sử dụng webhook', 400);
+    }
+
+    async getStatus(reference) {
+        const payment = await Payment.findOne({
+            where: { Payment_Reference: String(reference), Payment_Method: this.paymentMethod }
+        });
+        if (!payment) {
+            throw this._createError(`Không tìm thấy giao dịch tiền mặt ${reference}`, 404);
+        }
+
+        const paid = ['PAID', 'Completed'].includes(payment.Payment_Status);
+        return {
+            provider: this.name,
+            orderCode: payment.Payment_Reference,
+            status: paid ? PAYMENT_STATUS.PAID : payment.Payment_Status,
+            amount: Number(payment.Amount),
+            amountPaid: paid ? Number(payment.Amount) : 0
+        };
+    }
+
+    async refund() {
+        return {
+            status: REFUND_RESULT.MANUAL,
+            transactionReference: null,
+            message: 'Hoàn tiền mặt trực tiếp tại quầy cho khách'
+        };
+    }
+}
+
+module.exports = CashProvider;
@@ -0,0 +1,107 @@
+// File: src/services/paymentProviders/index.js
+// Mô tả: Registry các payment provider và luồng xử lý webhook chung.
+// Provider mặc định cho thanh toán online: PAYMENT_PROVIDER nếu có, ngược lại PayOS.
+// Mock chỉ được dùng khi đặt rõ PAYMENT_PROVIDER=mock (hoặc chọn provider mock khi tạo thanh toán).
+
+const logger = require('../../utils/logger');
+const paymentWebhookEventService = require('../paymentWebhookEventService');
+const PaymentProvider = require('./basePaymentProvider');
+const PayOSProvider = require('./payosProvider');
+const CashProvider = require('./cashProvider');
+const MockProvider = require('./mockProvider');
+
+const providers = {
+    payos: new PayOSProvider(),
+    cash: new CashProvider(),
+    mock: new MockProvider()
+};
+
+// Các provider thanh toán online (có link thanh toán), có thể chọn làm mặc định
+const ONLINE_PROVIDERS = ['payos', 'mock'];
+
+function _createError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Lấy provider theo tên (payos, cash, mock)
+ */
+function getProvider(name) {
+    const provider = providers[String(name || '').toLowerCase()];
+    if (!provider) {
+        throw _createError(`Payment provider không hợp lệ: ${name}. Chấp nhận: ${Object.keys(providers).join(', ')}`, 400);
+    }
+    return provider;
+}
+
+/**
+ * Tìm provider theo Payment_Method lưu trong bảng Payments (PayOS, Cash, Mock)
+ */
+function findProviderByMethod(paymentMethod) {
+    if (!paymentMethod) return null;
+    const method = String(paymentMethod).toLowerCase();
+    return Object.values(providers).find(p => p.paymentMethod.toLowerCase() === method) || null;
+}
+
+/**
+ * Provider mặc định cho thanh toán online
+ */
+function getDefaultProvider() {
+    const configured = process.env.PAYMENT_PROVIDER;
+    if (configured) {
+        if (!ONLINE_PROVIDERS.includes(configured.toLowerCase())) {
+            logger.warn(`[paymentProviders] PAYMENT_PROVIDER=${configured} không phải provider online, bỏ qua`);
+        } else {
+            return getProvider(configured);
+        }
+    }
+
+    // PayOS chưa cấu hình thì lỗi thiếu cấu hình được báo rõ khi tạo thanh toán
+    return providers.payos;
+}
+
+function listProviders() {
+    const defaultProvider = getDefaultProvider();
+    return Object.values(providers).map(p => ({
+        ...p.describe(),
+        isDefault: p === defaultProvider
+    }));
+}
+
+/**
+ * Xác thực webhook của provider, lưu sự kiện rồi cập nhật booking/payment theo trạng thái thanh toán (đúng một lần)
+ * @returns {Promise<Object>} { processed, eventId, status, orderCode, result }
+ */
+async function processWebhook(providerName, payload, headers = {}) {
+    const provider = getProvider(providerName);
+    if (!provider.isAvailable()) {
+        // Không nhận webhook cho provider chưa bật (ví dụ Mock trên production hoặc chưa có MOCK_PAYMENT_SECRET)
+        logger.warn(`[paymentProviders] Từ chối webhook: provider ${provider.name} không được bật`);
+        throw _createError(`Payment provider ${provider.name} không được bật`, 403);
+    }
+
+    const verification = await provider.verifyWebhook(payload, headers);
+
+    const event = await paymentWebhookEventService.recordEvent(provider.name, payload, verification || {});
+
+    if (!verification || !verification.valid) {
+        logger.warn(`[paymentProviders] Webhook không hợp lệ từ provider ${provider.name} (event ${event.Event_ID})`);
+        return { processed: false, reason: 'INVALID_SIGNATURE', eventId: event.Event_ID };
+    }
+
+    logger.info(`[paymentProviders] Xử lý webhook ${provider.name} cho orderCode ${verification.orderCode}, status: ${verification.status}`);
+    return paymentWebhookEventService.processEvent(event.Event_ID);
+}
+
+module.exports = {
+    getProvider,
+    findProviderByMethod,
+    getDefaultProvider,
+    listProviders,
+    processWebhook,
+    PAYMENT_STATUS: PaymentProvider.PAYMENT_STATUS,
+    REFUND_RESULT: PaymentProvider.REFUND_RESULT,
+    MOCK_SCENARIO: MockProvider.MOCK_SCENARIO
+};
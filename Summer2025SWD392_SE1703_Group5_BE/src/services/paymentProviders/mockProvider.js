@@ -0,0 +1,231 @@
+// File: src/services/paymentProviders/mockProvider.js
+// Mô tả: Provider giả lập dùng cho môi trường local/dev - không cần thông tin PayOS.
+// Tạo giao dịch PENDING, sau đó tự gửi webhook (có chữ ký HMAC) theo kịch bản:
+//   success - thanh toán thành công sau MOCK_PAYMENT_WEBHOOK_DELAY_MS
+//   failure - thanh toán thất bại sau MOCK_PAYMENT_WEBHOOK_DELAY_MS
+//   delayed - thanh toán thành công nhưng webhook đến trễ (MOCK_PAYMENT_DELAYED_WEBHOOK_MS)
+//   manual  - không tự gửi webhook, hoàn tất qua URL checkout giả lập
+// Chỉ bật khi đã đặt MOCK_PAYMENT_SECRET (khóa ký webhook) - không có khóa mặc định để tránh webhook giả mạo
+
+const crypto = require('crypto');
+const { Payment } = require('../../models');
+const logger = require('../../utils/logger');
+const PaymentProvider = require('./basePaymentProvider');
+
+const { PAYMENT_STATUS, REFUND_RESULT } = PaymentProvider;
+
+const MOCK_SCENARIO = {
+    SUCCESS: 'success',
+    FAILURE: 'failure',
+    DELAYED: 'delayed',
+    MANUAL: 'manual'
+};
+
+class MockProvider extends PaymentProvider {
+    constructor() {
+        super('mock', 'Mock');
+        this.supportsWebhook = true;
+        this.supportsAutomaticRefund = true;
+        this.secret = process.env.MOCK_PAYMENT_SECRET || null;
+        this.defaultScenario = process.env.MOCK_PAYMENT_SCENARIO || MOCK_SCENARIO.SUCCESS;
+        this.webhookDelayMs = parseInt(process.env.MOCK_PAYMENT_WEBHOOK_DELAY_MS, 10) || 3000;
+        this.delayedWebhookMs = parseInt(process.env.MOCK_PAYMENT_DELAYED_WEBHOOK_MS, 10) || 60000;
+        // orderCode -> timer của webhook đang chờ gửi
+        this.pendingWebhooks = new Map();
+    }
+
+    // Cần khóa ký webhook; trên production còn phải bật rõ ràng
+    isAvailable() {
+        if (!this.secret) return false;
+        return process.env.NODE_ENV !== 'production' || process.env.PAYMENT_MOCK_ENABLED === 'true';
+    }
+
+    async createCharge({ bookingId, amount, description, options = {} }) {
+        if (!this.isAvailable()) {
+            throw this._createError('Mock payment provider không được bật trên môi trường này', 403);
+        }
+
+        const scenario = options.scenario || this.defaultScenario;
+        if (!Object.values(MOCK_SCENARIO).includes(scenario)) {
+            throw this._createError(`Kịch bản thanh toán giả lập không hợp lệ: ${scenario}. Chấp nhận: ${Object.values(MOCK_SCENARIO).join(', ')}`, 400);
+        }
+
+        // Dùng cùng quy tắc orderCode với PayOS để các xử lý webhook tính được bookingId
+        const orderCode = parseInt(bookingId) * 1000 + Math.floor(Math.random() * 1000);
+        const appUrl = process.env.APP_URL || 'http://localhost:3000';
+        const paymentUrl = `${appUrl}/api/payments/mock/checkout/${orderCode}`;
+
+        await Payment.create({
+            Booking_ID: parseInt(bookingId),
+            Amount: amount,
+            Payment_Method: this.paymentMethod,
+            Payment_Reference: String(orderCode),
+            Transaction_Date: new Date(),
+            Payment_Status: PAYMENT_STATUS.PENDING,
+            Processor_Response: JSON.stringify({ provider: this.name, scenario, description }).substring(0, 250)
+        });
+
+        logger.info(`[MockProvider] Tạo giao dịch giả lập ${orderCode} cho booking ${bookingId}, số tiền ${amount}, kịch bản ${scenario}`);
+
+        if (scenario !== MOCK_SCENARIO.MANUAL) {
+            const status = scenario === MOCK_SCENARIO.FAILURE ? PAYMENT_STATUS.CANCELLED : PAYMENT_STATUS.PAID;
+            const delay = scenario === MOCK_SCENARIO.DELAYED ? this.delayedWebhookMs : this.webhookDelayMs;
+            this._scheduleWebhook(orderCode, amount, status, delay);
+        }
+
+        return {
+            provider: this.name,
+            paymentUrl,
+            orderCode,
+            amount,
+            qrCode: null,
+            status: PAYMENT_STATUS.PENDING,
+            scenario
+        };
+    }
+
+    /**
+     * Gửi ngay webhook giả lập cho giao dịch (dùng cho trang checkout giả lập)
+     * @param {string|number} orderCode
+     * @param {string} status - PAID hoặc CANCELLED
+     */
+    async simulateWebhook(orderCode, status) {
+        const payment = await Payment.findOne({
+            where: { Payment_Reference: String(orderCode), Payment_Method: this.paymentMethod }
+        });
+        if (!payment) {
+            throw this._createError(`Không tìm thấy giao dịch giả lập ${orderCode}`, 404);
+        }
+        if (payment.Payment_Status !== PAYMENT_STATUS.PENDING) {
+            throw this._createError(`Giao dịch giả lập ${orderCode} đã ở trạng thái ${payment.Payment_Status}`, 400);
+        }
+
+        this._clearPendingWebhook(orderCode);
+        return this._dispatchWebhook(Number(orderCode), Number(payment.Amount), status);
+    }
+
+    async verifyWebhook(payload) {
+        if (!this.isAvailable() || !payload || !payload.data || !payload.signature) {
+            return { valid: false };
+        }
+
+        const expected = this.sign(payload.data);
+        const received = String(payload.signature);
+        const valid = expected.length === received.length &&
+            crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+        if (!valid) {
+            return { valid: false };
+        }
+
+        return {
+            valid: true,
+            orderCode: payload.data.orderCode,
+            status: payload.data.status,
+            amount: payload.data.amount,
+            data: payload.data
+        };
+    }
+
+    async getStatus(reference) {
+        const payment = await Payment.findOne({
+            where: { Payment_Reference: String(reference), Payment_Method: this.paymentMethod }
+        });
+        if (!payment) {
+            throw this._createError(`Không tìm thấy giao dịch giả lập ${reference}`, 404);
+        }
+
+        const paid = payment.Payment_Status === PAYMENT_STATUS.PAID;
+        return {
+            provider: this.name,
+            orderCode: payment.Payment_Reference,
+            status: payment.Payment_Status === 'FAILED' ? PAYMENT_STATUS.CANCELLED : payment.Payment_Status,
+            amount: Number(payment.Amount),
+            amountPaid: paid ? Number(payment.Amount) : 0,
+            webhookPending: this.pendingWebhooks.has(String(reference))
+        };
+    }
+
+    // Hoàn tiền giả lập thành công ngay, đặt MOCK_REFUND_SCENARIO=failure để thử luồng thất bại
+    async refund({ reference, amount, refundId }) {
+        if (process.env.MOCK_REFUND_SCENARIO === MOCK_SCENARIO.FAILURE) {
+            logger.warn(`[MockProvider] Giả lập hoàn tiền thất bại cho giao dịch ${reference}`);
+            return {
+                status: REFUND_RESULT.FAILED,
+                transactionReference: null,
+                message: 'Hoàn tiền giả lập thất bại (MOCK_REFUND_SCENARIO=failure)'
+            };
+        }
+
+        const transactionReference = `MOCK-REFUND-${refundId || Date.now()}`;
+        logger.info(`[MockProvider] Giả lập hoàn ${amount} VND cho giao dịch ${reference}: ${transactionReference}`);
+        return {
+            status: REFUND_RESULT.PROCESSED,
+            transactionReference,
+            message: 'Hoàn tiền giả lập thành công'
+        };
+    }
+
+    /**
+     * Ký dữ liệu webhook bằng HMAC-SHA256
+     */
+    sign(data) {
+        if (!this.secret) {
+            throw this._createError('Chưa cấu hình MOCK_PAYMENT_SECRET cho Mock payment provider', 403);
+        }
+        return crypto.createHmac('sha256', this.secret).update(JSON.stringify(data)).digest('hex');
+    }
+
+    // Hủy các webhook đang chờ (khi tắt server)
+    stop() {
+        for (const timer of this.pendingWebhooks.values()) {
+            clearTimeout(timer);
+        }
+        this.pendingWebhooks.clear();
+    }
+
+    _scheduleWebhook(orderCode, amount, status, delay) {
+        const timer = setTimeout(() => {
+            this.pendingWebhooks.delete(String(orderCode));
+            this._dispatchWebhook(orderCode, amount, status).catch(error => {
+                logger.error(`[MockProvider] Lỗi khi gửi webhook giả lập cho ${orderCode}: ${error.message}`);
+            });
+        }, delay);
+        // Không giữ process sống chỉ vì webhook giả lập
+        if (typeof timer.unref === 'function') timer.unref();
+        this.pendingWebhooks.set(String(orderCode), timer);
+    }
+
+    _clearPendingWebhook(orderCode) {
+        const timer = this.pendingWebhooks.get(String(orderCode));
+        if (timer) {
+            clearTimeout(timer);
+            this.pendingWebhooks.delete(String(orderCode));
+        }
+    }
+
+    // Tạo payload giống PayOS, ký và đưa vào luồng xử lý webhook chung
+    async _dispatchWebhook(orderCode, amount, status) {
+        const data = {
+            orderCode,
+            amount,
+            status,
+            reference: `MOCK-${orderCode}`,
+            transactionDateTime: new Date().toISOString()
+        };
+        const payload = {
+            code: status === PAYMENT_STATUS.PAID ? '00' : '01',
+            desc: status === PAYMENT_STATUS.PAID ? 'success' : 'cancelled',
+            success: status === PAYMENT_STATUS.PAID,
+            data,
+            signature: this.sign(data)
+        };
+
+        logger.info(`[MockProvider] Gửi webhook giả lập cho ${orderCode}: ${status}`);
+        const { processWebhook } = require('./index');
+        return processWebhook(this.name, payload);
+    }
+}
+
+MockProvider.MOCK_SCENARIO = MOCK_SCENARIO;
+
+module.exports = MockProvider;
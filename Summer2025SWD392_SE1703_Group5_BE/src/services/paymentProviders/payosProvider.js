@@ -0,0 +1,78 @@
+// File: src/services/paymentProviders/payosProvider.js
+// Mô tả: Provider PayOS - bọc PayOSService theo interface PaymentProvider.
+// PayOS chưa có API hoàn tiền nên refund trả về MANUAL để nhân viên chuyển khoản thủ công.
+
+const PaymentProvider = require('./basePaymentProvider');
+
+const { PAYMENT_STATUS, REFUND_RESULT } = PaymentProvider;
+
+class PayOSProvider extends PaymentProvider {
+    constructor() {
+        super('payos', 'PayOS');
+        this.supportsWebhook = true;
+        this.service = null;
+    }
+
+    // Khởi tạo PayOSService khi cần để tránh vòng lặp require với payosService
+    _getService() {
+        if (!this.service) {
+            const PayOSService = require('../payosService');
+            this.service = new PayOSService();
+        }
+        return this.service;
+    }
+
+    isAvailable() {
+        return this._getService().isConfigured();
+    }
+
+    async createCharge({ bookingId, amount, description, customerName = null }) {
+        const result = await this._getService().createPaymentLink(bookingId, amount, description, customerName);
+        return {
+            provider: this.name,
+            ...result.data,
+            status: PAYMENT_STATUS.PENDING
+        };
+    }
+
+    async verifyWebhook(payload) {
+        const isValid = await this._getService().verifyPaymentWebhook(payload);
+        if (!isValid || !payload || !payload.data) {
+            return { valid: false };
+        }
+
+        const { data } = payload;
+        // Webhook PayOS báo thành công qua code '00'; một số payload có sẵn trường status
+        const status = data.status || (payload.code === '00' || data.code === '00' ? PAYMENT_STATUS.PAID : PAYMENT_STATUS.FAILED);
+
+        return {
+            valid: true,
+            orderCode: data.orderCode,
+            status,
+            amount: data.amount,
+            data
+        };
+    }
+
+    async getStatus(reference) {
+        const paymentInfo = await this._getService().getPaymentInfo(reference);
+        return {
+            provider: this.name,
+            orderCode: paymentInfo.orderCode || reference,
+            status: paymentInfo.status,
+            amount: paymentInfo.amount,
+            amountPaid: paymentInfo.amountPaid,
+            raw: paymentInfo
+        };
+    }
+
+    async refund() {
+        return {
+            status: REFUND_RESULT.MANUAL,
+            transactionReference: null,
+            message: 'PayOS chưa hỗ trợ hoàn tiền qua API, cần chuyển khoản thủ công cho khách'
+        };
+    }
+}
+
+module.exports = PayOSProvider;
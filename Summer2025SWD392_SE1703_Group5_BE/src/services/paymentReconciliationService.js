@@ -0,0 +1,403 @@
+// services/paymentReconciliationService.js
+// Mô tả: Đối soát thanh toán PayOS hằng đêm - so sánh các giao dịch gần đây trong database với PayOS
+// (getPaymentInfo), ghi nhận số tiền lệch, trạng thái lệch, payment mồ côi và booking bị kẹt ở trạng thái Pending.
+// Nhiều node: lịch đối soát chỉ chạy trên node nhận được lease `leader:payment-reconciliation`.
+
+const cron = require('node-cron');
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const seatCacheService = require('./seatCacheService');
+const { Payment, TicketBooking, ReconciliationIssue, sequelize } = require('../models');
+
+const { ISSUE_TYPE, ISSUE_STATUS } = ReconciliationIssue;
+
+const PAID_DB_STATUSES = ['PAID', 'Completed'];
+const ORDER_NOT_FOUND_PATTERN = /không tồn tại|not found|\b101\b/i;
+
+function _createError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+class PaymentReconciliationService {
+    constructor() {
+        this.isRunning = false;
+        this.isReconciling = false;
+        this.cronJob = null;
+        this.logger = logger;
+        // Mặc định chạy lúc 02:00 mỗi đêm
+        this.cronExpression = process.env.PAYOS_RECONCILIATION_CRON || '0 2 * * *';
+        this.lookbackDays = parseInt(process.env.PAYOS_RECONCILIATION_LOOKBACK_DAYS, 10) || 3;
+        this.maxOrdersPerRun = parseInt(process.env.PAYOS_RECONCILIATION_MAX_ORDERS, 10) || 500;
+        // Booking Pending quá hạn thanh toán lâu hơn khoảng này được coi là bị kẹt
+        this.stuckPendingGraceMinutes = parseInt(process.env.PAYOS_RECONCILIATION_STUCK_MINUTES, 10) || 30;
+        this.lastRun = null;
+        this.totalRuns = 0;
+        // Lease giữ qua cả lần chạy và không trả sớm để node có cron chạy chậm vài giây không đối soát lần nữa
+        this.leaderLease = 'payment-reconciliation';
+        this.leaderLeaseTtl = 60 * 60 * 1000;
+    }
+
+    // Khởi động service
+    start() {
+        if (this.isRunning) {
+            this.logger.warn('PaymentReconciliationService đã đang chạy');
+            return { success: false, message: 'Service đã đang chạy' };
+        }
+
+        try {
+            this.cronJob = cron.schedule(this.cronExpression, async () => {
+                try {
+                    const isLeader = await seatCacheService.tryAcquireLeadership(this.leaderLease, this.leaderLeaseTtl);
+                    if (!isLeader) {
+                        this.logger.info('[PaymentReconciliationService] Node khác đang giữ lease đối soát, bỏ qua lần chạy này');
+                        return;
+                    }
+                    await this.runReconciliation();
+                } catch (error) {
+                    this.logger.error('[PaymentReconciliationService] Lỗi khi đối soát định kỳ:', error);
+                }
+            }, {
+                scheduled: false,
+                timezone: process.env.TZ || 'Asia/Ho_Chi_Minh'
+            });
+
+            this.cronJob.start();
+            this.isRunning = true;
+            this.logger.info(`PaymentReconciliationService đã được khởi động (lịch: ${this.cronExpression})`);
+            return { success: true, message: 'Service đã được khởi động' };
+        } catch (error) {
+            this.logger.error('Lỗi khi khởi động PaymentReconciliationService:', error);
+            return { success: false, message: 'Lỗi khi khởi động service', error: error.message };
+        }
+    }
+
+    // Dừng service
+    stop() {
+        if (!this.isRunning) {
+            return { success: false, message: 'Service chưa được khởi động' };
+        }
+        if (this.cronJob) {
+            this.cronJob.stop();
+        }
+        this.isRunning = false;
+        this.logger.info('PaymentReconciliationService đã dừng');
+        return { success: true, message: 'Đã dừng service thành công' };
+    }
+
+    getStatus() {
+        return {
+            isRunning: this.isRunning,
+            isReconciling: this.isReconciling,
+            cronExpression: this.cronExpression,
+            lookbackDays: this.lookbackDays,
+            totalRuns: this.totalRuns,
+            lastRun: this.lastRun
+        };
+    }
+
+    /**
+     * Chạy đối soát
+     * @param {Object} [options]
+     * @param {number} [options.lookbackDays] - Số ngày giao dịch gần đây cần đối soát
+     * @param {number} [options.triggeredBy] - User kích hoạt thủ công (null = chạy định kỳ)
+     * @returns {Promise<Object>} - Tóm tắt kết quả đối soát
+     */
+    async runReconciliation(options = {}) {
+        if (this.isReconciling) {
+            throw _createError('Đang có một lượt đối soát khác đang chạy', 409);
+        }
+
+        this.isReconciling = true;
+        const startedAt = new Date();
+        const lookbackDays = parseInt(options.lookbackDays, 10) || this.lookbackDays;
+        const since = new Date(startedAt.getTime() - lookbackDays * 24 * 60 * 60 * 1000);
+        const detectedIssueIds = new Set();
+        const summary = {
+            startedAt,
+            finishedAt: null,
+            lookbackDays,
+            triggeredBy: options.triggeredBy || null,
+            paymentsChecked: 0,
+            issuesDetected: 0,
+            issuesAutoResolved: 0,
+            byType: Object.values(ISSUE_TYPE).reduce((acc, type) => ({ ...acc, [type]: 0 }), {}),
+            error: null
+        };
+
+        const record = async (issue) => {
+            const saved = await this._upsertIssue(issue);
+            detectedIssueIds.add(saved.Issue_ID);
+            summary.issuesDetected++;
+            summary.byType[issue.Issue_Type]++;
+        };
+
+        this.logger.info(`[PaymentReconciliationService] Bắt đầu đối soát PayOS cho giao dịch từ ${since.toISOString()}`);
+
+        try {
+            const checkedPaymentIds = await this._reconcilePayOSPayments(since, record, summary);
+            await this._detectOrphanPayments(since, record);
+            await this._detectStuckPendingBookings(startedAt, record);
+            summary.issuesAutoResolved = await this._autoResolveIssues(checkedPaymentIds, detectedIssueIds);
+        } catch (error) {
+            summary.error = error.message;
+            this.logger.error('[PaymentReconciliationService] Lỗi khi đối soát:', error);
+        } finally {
+            summary.finishedAt = new Date();
+            this.lastRun = summary;
+            this.totalRuns++;
+            this.isReconciling = false;
+        }
+
+        this.logger.info(`[PaymentReconciliationService] Đối soát xong: ${summary.paymentsChecked} giao dịch, ${summary.issuesDetected} sai lệch, ${summary.issuesAutoResolved} sai lệch tự đóng`);
+        return summary;
+    }
+
+    // So sánh từng giao dịch PayOS trong database với thông tin trên PayOS
+    async _reconcilePayOSPayments(since, record, summary) {
+        let payosService;
+        try {
+            const PayOSService = require('./payosService');
+            payosService = new PayOSService();
+        } catch (error) {
+            summary.error = `Bỏ qua đối soát PayOS: ${error.message}`;
+            this.logger.warn(`[PaymentReconciliationService] ${summary.error}`);
+            return [];
+        }
+
+        const payments = await Payment.findAll({
+            where: {
+                Payment_Method: 'PayOS',
+                Transaction_Date: { [Op.gte]: since },
+                Amount: { [Op.gt]: 0 },
+                Payment_Status: { [Op.notLike]: 'REFUND%' }
+            },
+            order: [['Transaction_Date', 'DESC']],
+            limit: this.maxOrdersPerRun
+        });
+
+        const checkedPaymentIds = [];
+        for (const payment of payments) {
+            const orderCode = payment.Payment_Reference;
+            if (!orderCode || !/^\d+$/.test(String(orderCode))) {
+                continue;
+            }
+            checkedPaymentIds.push(payment.Payment_ID);
+            summary.paymentsChecked++;
+
+            const base = {
+                Booking_ID: payment.Booking_ID,
+                Payment_ID: payment.Payment_ID,
+                Order_Code: String(orderCode),
+                Db_Amount: payment.Amount,
+                Db_Status: payment.Payment_Status
+            };
+
+            let paymentInfo;
+            try {
+                paymentInfo = await payosService.getPaymentInfo(Number(orderCode));
+            } catch (error) {
+                const isMissing = ORDER_NOT_FOUND_PATTERN.test(error.message);
+                await record({
+                    ...base,
+                    Issue_Type: isMissing ? ISSUE_TYPE.ORPHAN_PAYMENT : ISSUE_TYPE.PROVIDER_ERROR,
+                    Details: isMissing
+                        ? `Payment ${payment.Payment_ID} không tồn tại trên PayOS`
+                        : `Không lấy được thông tin PayOS: ${error.message}`
+                });
+                continue;
+            }
+
+            const providerPaid = paymentInfo.status === 'PAID';
+            const dbPaid = PAID_DB_STATUSES.includes(payment.Payment_Status);
+            const providerInfo = {
+                Provider_Amount: providerPaid ? paymentInfo.amountPaid : paymentInfo.amount,
+                Provider_Status: paymentInfo.status
+            };
+
+            if (providerPaid !== dbPaid) {
+                await record({
+                    ...base,
+                    ...providerInfo,
+                    Issue_Type: ISSUE_TYPE.STATUS_MISMATCH,
+                    Details: providerPaid
+                        ? `PayOS đã nhận tiền nhưng database ghi nhận ${payment.Payment_Status}`
+                        : `Database ghi nhận đã thanh toán nhưng PayOS ở trạng thái ${paymentInfo.status}`
+                });
+            } else if (providerPaid && Number(paymentInfo.amountPaid) !== Number(payment.Amount)) {
+                await record({
+                    ...base,
+                    ...providerInfo,
+                    Issue_Type: ISSUE_TYPE.AMOUNT_MISMATCH,
+                    Details: `Số tiền PayOS (${paymentInfo.amountPaid}) khác database (${payment.Amount})`
+                });
+            }
+        }
+
+        return checkedPaymentIds;
+    }
+
+    // Payment trỏ tới booking không còn tồn tại
+    async _detectOrphanPayments(since, record) {
+        const orphans = await sequelize.query(`
+            SELECT p.Payment_ID, p.Booking_ID, p.Payment_Reference, p.Amount, p.Payment_Status
+            FROM [ksf00691_team03].[Payments] p
+            LEFT JOIN [ksf00691_team03].[Ticket_Bookings] tb ON p.Booking_ID = tb.Booking_ID
+            WHERE tb.Booking_ID IS NULL AND p.Transaction_Date >= :since
+        `, {
+            replacements: { since },
+            type: sequelize.QueryTypes.SELECT
+        });
+
+        for (const orphan of orphans) {
+            await record({
+                Issue_Type: ISSUE_TYPE.ORPHAN_PAYMENT,
+                Booking_ID: null,
+                Payment_ID: orphan.Payment_ID,
+                Order_Code: orphan.Payment_Reference,
+                Db_Amount: orphan.Amount,
+                Db_Status: orphan.Payment_Status,
+                Details: `Payment ${orphan.Payment_ID} tham chiếu booking ${orphan.Booking_ID} không tồn tại`
+            });
+        }
+    }
+
+    // Booking Pending đã quá hạn thanh toán nhưng chưa bị hủy/xác nhận
+    async _detectStuckPendingBookings(now, record) {
+        const threshold = new Date(now.getTime() - this.stuckPendingGraceMinutes * 60 * 1000);
+        const bookings = await TicketBooking.findAll({
+            where: {
+                Status: 'Pending',
+                Payment_Deadline: { [Op.lt]: threshold }
+            },
+            attributes: ['Booking_ID', 'Total_Amount', 'Payment_Deadline'],
+            include: [{ model: Payment, as: 'Payments', attributes: ['Payment_ID', 'Payment_Reference', 'Payment_Status'], required: false }]
+        });
+
+        for (const booking of bookings) {
+            const payment = booking.Payments && booking.Payments[0];
+            await record({
+                Issue_Type: ISSUE_TYPE.STUCK_PENDING_BOOKING,
+                Booking_ID: booking.Booking_ID,
+                Payment_ID: payment ? payment.Payment_ID : null,
+                Order_Code: payment ? payment.Payment_Reference : null,
+                Db_Amount: booking.Total_Amount,
+                Db_Status: payment ? payment.Payment_Status : 'Pending',
+                Details: `Booking ${booking.Booking_ID} vẫn ở trạng thái Pending dù đã quá hạn thanh toán lúc ${booking.Payment_Deadline.toISOString()}`
+            });
+        }
+    }
+
+    // Đóng các sai lệch đang mở không còn được phát hiện trong lượt đối soát này
+    async _autoResolveIssues(checkedPaymentIds, detectedIssueIds) {
+        const scope = [{ Issue_Type: ISSUE_TYPE.STUCK_PENDING_BOOKING }];
+        if (checkedPaymentIds.length > 0) {
+            scope.push({
+                Issue_Type: { [Op.ne]: ISSUE_TYPE.STUCK_PENDING_BOOKING },
+                Payment_ID: { [Op.in]: checkedPaymentIds }
+            });
+        }
+
+        const where = { Status: ISSUE_STATUS.OPEN, [Op.or]: scope };
+        if (detectedIssueIds.size > 0) {
+            where.Issue_ID = { [Op.notIn]: [...detectedIssueIds] };
+        }
+
+        const [resolvedCount] = await ReconciliationIssue.update({
+            Status: ISSUE_STATUS.RESOLVED,
+            Resolved_At: new Date(),
+            Resolution_Note: 'Tự động đóng: không còn sai lệch ở lượt đối soát gần nhất'
+        }, { where });
+
+        return resolvedCount;
+    }
+
+    // Cập nhật sai lệch đang mở cùng loại của cùng payment/booking thay vì tạo bản ghi trùng
+    async _upsertIssue(issue) {
+        const where = { Issue_Type: issue.Issue_Type, Status: ISSUE_STATUS.OPEN };
+        if (issue.Payment_ID) {
+            where.Payment_ID = issue.Payment_ID;
+        } else {
+            where.Booking_ID = issue.Booking_ID;
+        }
+
+        const data = {
+            ...issue,
+            Details: issue.Details ? String(issue.Details).substring(0, 1000) : null,
+            Last_Detected_At: new Date()
+        };
+
+        const existing = await ReconciliationIssue.findOne({ where });
+        if (existing) {
+            await existing.update(data);
+            return existing;
+        }
+        return ReconciliationIssue.create({ ...data, Detected_At: new Date() });
+    }
+
+    /**
+     * Báo cáo đối soát cho quản lý
+     * @param {Object} [filters] - status (Open/Resolved), issueType, from, to
+     */
+    async getReport(filters = {}) {
+        const where = {};
+        if (filters.status) where.Status = filters.status;
+        if (filters.issueType) where.Issue_Type = filters.issueType;
+        if (filters.from || filters.to) {
+            where.Last_Detected_At = {};
+            if (filters.from) where.Last_Detected_At[Op.gte] = new Date(filters.from);
+            if (filters.to) where.Last_Detected_At[Op.lte] = new Date(filters.to);
+        }
+
+        const issues = await ReconciliationIssue.findAll({
+            where,
+            order: [['Last_Detected_At', 'DESC']]
+        });
+
+        const byType = Object.values(ISSUE_TYPE).reduce((acc, type) => ({ ...acc, [type]: 0 }), {});
+        let openCount = 0;
+        for (const issue of issues) {
+            byType[issue.Issue_Type] = (byType[issue.Issue_Type] || 0) + 1;
+            if (issue.Status === ISSUE_STATUS.OPEN) openCount++;
+        }
+
+        const paymentRefundService = require('./paymentRefundService');
+        const refunds = await paymentRefundService.getRefundSummary();
+
+        return {
+            generatedAt: new Date(),
+            service: this.getStatus(),
+            summary: {
+                totalIssues: issues.length,
+                openIssues: openCount,
+                byType
+            },
+            refunds,
+            issues
+        };
+    }
+
+    /**
+     * Đánh dấu một sai lệch đã được xử lý
+     */
+    async resolveIssue(issueId, userId, note) {
+        const issue = await ReconciliationIssue.findByPk(issueId);
+        if (!issue) {
+            throw _createError(`Không tìm thấy sai lệch đối soát có ID ${issueId}`, 404);
+        }
+        if (issue.Status === ISSUE_STATUS.RESOLVED) {
+            throw _createError('Sai lệch này đã được xử lý trước đó', 400);
+        }
+
+        await issue.update({
+            Status: ISSUE_STATUS.RESOLVED,
+            Resolved_By: userId,
+            Resolved_At: new Date(),
+            Resolution_Note: note ? String(note).substring(0, 500) : null
+        });
+        return issue;
+    }
+}
+
+module.exports = new PaymentReconciliationService();
@@ -0,0 +1,271 @@
+// File: src/services/paymentRefundService.js
+// Mô tả: Quy trình hoàn tiền cho các đơn đặt vé bị hủy: Requested → Approved → Processed/Failed.
+// Mỗi yêu cầu gắn với giao dịch thanh toán gốc và dòng hoàn tiền (số tiền âm) trong bảng Payments.
+// PayOS chưa cung cấp API hoàn tiền nên việc chuyển tiền được thực hiện thủ công và xác nhận qua bước Processed;
+// với provider hỗ trợ hoàn tiền tự động (Mock) yêu cầu được xử lý ngay khi duyệt.
+
+const { RefundRequest, Payment, TicketBooking, BookingHistory, User, sequelize } = require('../models');
+const logger = require('../utils/logger');
+const paymentProviders = require('./paymentProviders');
+
+const { REFUND_STATUS } = RefundRequest;
+
+// Trạng thái dòng hoàn tiền trong Payments tương ứng với từng trạng thái yêu cầu
+const PAYMENT_STATUS_BY_REFUND_STATUS = {
+    [REFUND_STATUS.REQUESTED]: 'REFUND_PENDING',
+    [REFUND_STATUS.APPROVED]: 'REFUND_APPROVED',
+    [REFUND_STATUS.PROCESSED]: 'REFUNDED',
+    [REFUND_STATUS.FAILED]: 'REFUND_FAILED'
+};
+
+// Các chuyển trạng thái hợp lệ (Failed có thể được duyệt lại để chuyển tiền lần nữa)
+const ALLOWED_TRANSITIONS = {
+    [REFUND_STATUS.REQUESTED]: [REFUND_STATUS.APPROVED],
+    [REFUND_STATUS.APPROVED]: [REFUND_STATUS.PROCESSED, REFUND_STATUS.FAILED],
+    [REFUND_STATUS.FAILED]: [REFUND_STATUS.APPROVED],
+    [REFUND_STATUS.PROCESSED]: []
+};
+
+function _createError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+const paymentRefundService = {
+    /**
+     * Tạo yêu cầu hoàn tiền (được gọi khi hủy vé có phát sinh hoàn tiền)
+     * @param {Object} data - Booking_ID, Payment_ID, Refund_Payment_ID, Amount, Payment_Method, Order_Code, Reason
+     * @param {number} userId - Người yêu cầu
+     * @param {Object} [transaction] - Transaction Sequelize đang mở
+     */
+    async createRefundRequest(data, userId, transaction = null) {
+        const refund = await RefundRequest.create({
+            Booking_ID: data.Booking_ID,
+            Payment_ID: data.Payment_ID || null,
+            Refund_Payment_ID: data.Refund_Payment_ID || null,
+            Amount: data.Amount,
+            Payment_Method: data.Payment_Method || null,
+            Order_Code: data.Order_Code ? String(data.Order_Code) : null,
+            Reason: data.Reason ? String(data.Reason).substring(0, 500) : null,
+            Status: REFUND_STATUS.REQUESTED,
+            Requested_By: userId || null,
+            Requested_At: new Date()
+        }, { transaction });
+
+        logger.info(`[paymentRefundService] Đã tạo yêu cầu hoàn tiền ${refund.Refund_ID} cho booking ${data.Booking_ID}: ${data.Amount} VND`);
+        return refund;
+    },
+
+    async getRefundRequests(filters = {}) {
+        const where = {};
+        if (filters.status) where.Status = filters.status;
+        if (filters.bookingId) where.Booking_ID = filters.bookingId;
+        if (filters.paymentMethod) where.Payment_Method = filters.paymentMethod;
+
+        return RefundRequest.findAll({
+            where,
+            include: [
+                { model: TicketBooking, as: 'TicketBooking', attributes: ['Booking_ID', 'User_ID', 'Total_Amount', 'Status'] },
+                { model: User, as: 'Requester', attributes: ['User_ID', 'Full_Name', 'Email'] }
+            ],
+            order: [['Requested_At', 'DESC']]
+        });
+    },
+
+    async getRefundRequestById(id) {
+        const refund = await RefundRequest.findByPk(id, {
+            include: [
+                { model: TicketBooking, as: 'TicketBooking', attributes: ['Booking_ID', 'User_ID', 'Total_Amount', 'Status'] },
+                { model: Payment, as: 'OriginalPayment' },
+                { model: Payment, as: 'RefundPayment' },
+                { model: User, as: 'Requester', attributes: ['User_ID', 'Full_Name', 'Email'] },
+                { model: User, as: 'Approver', attributes: ['User_ID', 'Full_Name'] },
+                { model: User, as: 'Processor', attributes: ['User_ID', 'Full_Name'] }
+            ]
+        });
+        if (!refund) {
+            throw _createError(`Không tìm thấy yêu cầu hoàn tiền có ID ${id}`, 404);
+        }
+        return refund;
+    },
+
+    /**
+     * Duyệt yêu cầu hoàn tiền. Kiểm tra với payment provider rằng giao dịch gốc đã được thanh toán đủ;
+     * nếu provider hỗ trợ hoàn tiền tự động thì thực hiện hoàn tiền và chuyển sang Processed/Failed.
+     */
+    async approveRefund(id, userId, note = null) {
+        const refund = await this.getRefundRequestById(id);
+        const provider = paymentProviders.findProviderByMethod(refund.Payment_Method);
+
+        // Giao dịch tiền mặt không có trạng thái bên ngoài để đối chiếu
+        if (provider && provider.supportsWebhook && refund.Order_Code) {
+            let paymentInfo = null;
+            try {
+                paymentInfo = await provider.getStatus(refund.Order_Code);
+            } catch (error) {
+                logger.warn(`[paymentRefundService] Không kiểm tra được giao dịch ${refund.Order_Code} trên ${provider.name}: ${error.message}`);
+            }
+            if (paymentInfo) {
+                if (paymentInfo.status !== paymentProviders.PAYMENT_STATUS.PAID) {
+                    throw _createError(`Giao dịch ${refund.Payment_Method} ${refund.Order_Code} đang ở trạng thái ${paymentInfo.status}, không thể duyệt hoàn tiền`, 400);
+                }
+                if (Number(paymentInfo.amountPaid) < Number(refund.Amount)) {
+                    throw _createError(`Số tiền hoàn (${refund.Amount}) lớn hơn số tiền đã thanh toán qua ${refund.Payment_Method} (${paymentInfo.amountPaid})`, 400);
+                }
+            }
+        }
+
+        await this._transition(refund, REFUND_STATUS.APPROVED, userId, {
+            Approved_By: userId,
+            Approved_At: new Date(),
+            Failure_Reason: null
+        }, `Đã duyệt hoàn ${refund.Amount} VND${note ? ` - ${note}` : ''}`);
+
+        if (provider && provider.supportsAutomaticRefund) {
+            return this._processWithProvider(refund, provider, userId);
+        }
+        return refund;
+    },
+
+    /**
+     * Xác nhận đã chuyển tiền hoàn cho khách
+     * @param {Object} data - transactionReference (mã giao dịch chuyển khoản), note
+     */
+    async markRefundProcessed(id, userId, data = {}) {
+        if (!data.transactionReference || String(data.transactionReference).trim() === '') {
+            throw _createError('Cần cung cấp mã giao dịch chuyển tiền hoàn (transactionReference)', 400);
+        }
+        const refund = await this.getRefundRequestById(id);
+        const transactionReference = String(data.transactionReference).trim().substring(0, 100);
+
+        return this._transition(refund, REFUND_STATUS.PROCESSED, userId, {
+            Processed_By: userId,
+            Processed_At: new Date(),
+            Transaction_Reference: transactionReference
+        }, `Đã hoàn ${refund.Amount} VND cho khách (mã giao dịch ${transactionReference})${data.note ? ` - ${data.note}` : ''}`);
+    },
+
+    /**
+     * Đánh dấu chuyển tiền hoàn thất bại
+     */
+    async markRefundFailed(id, userId, reason) {
+        if (!reason || String(reason).trim() === '') {
+            throw _createError('Cần cung cấp lý do hoàn tiền thất bại', 400);
+        }
+        const refund = await this.getRefundRequestById(id);
+
+        return this._transition(refund, REFUND_STATUS.FAILED, userId, {
+            Processed_By: userId,
+            Processed_At: new Date(),
+            Failure_Reason: String(reason).trim().substring(0, 500)
+        }, `Hoàn tiền thất bại: ${reason}`);
+    },
+
+    /**
+     * Tổng hợp số lượng và số tiền hoàn theo từng trạng thái
+     */
+    async getRefundSummary() {
+        const rows = await RefundRequest.findAll({
+            attributes: [
+                'Status',
+                [sequelize.fn('COUNT', sequelize.col('Refund_ID')), 'count'],
+                [sequelize.fn('SUM', sequelize.col('Amount')), 'totalAmount']
+            ],
+            group: ['Status'],
+            raw: true
+        });
+
+        return Object.values(REFUND_STATUS).reduce((summary, status) => {
+            const row = rows.find(r => r.Status === status);
+            summary[status] = {
+                count: row ? parseInt(row.count, 10) : 0,
+                totalAmount: row ? parseFloat(row.totalAmount) || 0 : 0
+            };
+            return summary;
+        }, {});
+    },
+
+    // Hoàn tiền qua API của provider rồi ghi nhận kết quả
+    async _processWithProvider(refund, provider, userId) {
+        let result;
+        try {
+            result = await provider.refund({
+                reference: refund.Order_Code,
+                amount: Number(refund.Amount),
+                reason: refund.Reason,
+                refundId: refund.Refund_ID
+            });
+        } catch (error) {
+            result = { status: paymentProviders.REFUND_RESULT.FAILED, message: error.message };
+        }
+
+        if (result.status === paymentProviders.REFUND_RESULT.PROCESSED) {
+            return this.markRefundProcessed(refund.Refund_ID, userId, {
+                transactionReference: result.transactionReference,
+                note: `Hoàn tự động qua ${provider.name}`
+            });
+        }
+        if (result.status === paymentProviders.REFUND_RESULT.FAILED) {
+            return this.markRefundFailed(refund.Refund_ID, userId, result.message || `Hoàn tiền qua ${provider.name} thất bại`);
+        }
+        return refund;
+    },
+
+    // Chuyển trạng thái yêu cầu, đồng bộ dòng hoàn tiền trong Payments và ghi Booking_History.
+    // Cập nhật có điều kiện theo trạng thái vừa đọc: hai người duyệt/xử lý cùng lúc thì chỉ một người thành công
+    async _transition(refund, nextStatus, userId, fields, historyNote) {
+        const expectedStatus = refund.Status;
+        const allowed = ALLOWED_TRANSITIONS[expectedStatus] || [];
+        if (!allowed.includes(nextStatus)) {
+            throw _createError(`Không thể chuyển yêu cầu hoàn tiền từ trạng thái ${expectedStatus} sang ${nextStatus}`, 400);
+        }
+
+        const values = {
+            ...fields,
+            Status: nextStatus,
+            Updated_At: new Date()
+        };
+
+        const transaction = await sequelize.transaction();
+        try {
+            const [updated] = await RefundRequest.update(values, {
+                where: { Refund_ID: refund.Refund_ID, Status: expectedStatus },
+                transaction
+            });
+            if (updated !== 1) {
+                throw _createError(`Yêu cầu hoàn tiền ${refund.Refund_ID} vừa được người khác cập nhật, vui lòng tải lại`, 409);
+            }
+            refund.set(values);
+
+            if (refund.Refund_Payment_ID) {
+                await Payment.update({
+                    Payment_Status: PAYMENT_STATUS_BY_REFUND_STATUS[nextStatus],
+                    Processed_By: userId || null
+                }, {
+                    where: { Payment_ID: refund.Refund_Payment_ID },
+                    transaction
+                });
+            }
+
+            await BookingHistory.create({
+                Booking_ID: refund.Booking_ID,
+                Status: `Refund ${nextStatus}`,
+                Notes: historyNote.substring(0, 255),
+                Date: sequelize.literal('GETDATE()'),
+                IsRead: false
+            }, { transaction });
+
+            await transaction.commit();
+            logger.info(`[paymentRefundService] Yêu cầu hoàn tiền ${refund.Refund_ID} chuyển sang ${nextStatus} bởi user ${userId}`);
+            return refund;
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+};
+
+paymentRefundService.REFUND_STATUS = REFUND_STATUS;
+
+module.exports = paymentRefundService;
@@ -0,0 +1,204 @@
+// File: src/services/paymentWebhookEventService.js
+// Mô tả: Lưu trữ mọi webhook thanh toán nhận được (orderCode, chữ ký, payload) và xử lý mỗi sự kiện đúng một lần.
+// Kết quả xử lý được ghi trong cùng transaction với cập nhật payment/booking (xem PayOSService.markWebhookEvent),
+// sự kiện lỗi có thể được admin replay. Đây cũng là audit trail khi có tranh chấp thanh toán.
+
+const { Op } = require('sequelize');
+const { PaymentWebhookEvent, User } = require('../models');
+const logger = require('../utils/logger');
+
+const { EVENT_STATUS } = PaymentWebhookEvent;
+
+// Sự kiện đang Processing quá lâu (process bị dừng giữa chừng) được phép replay
+const STUCK_PROCESSING_MINUTES = 10;
+
+function _createError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function _parsePayload(event) {
+    try {
+        return JSON.parse(event.Payload);
+    } catch (error) {
+        return null;
+    }
+}
+
+const paymentWebhookEventService = {
+    /**
+     * Lưu sự kiện webhook vừa nhận
+     * @param {string} provider - Mã provider (payos, mock)
+     * @param {Object} payload - Body webhook gốc
+     * @param {Object} verification - Kết quả verifyWebhook của provider ({ valid, orderCode, status, amount })
+     */
+    async recordEvent(provider, payload, verification = {}) {
+        const orderCode = verification.orderCode ?? payload?.data?.orderCode ?? null;
+        const numericOrderCode = parseInt(orderCode, 10);
+
+        const event = await PaymentWebhookEvent.create({
+            Provider: provider,
+            Order_Code: orderCode !== null ? String(orderCode).substring(0, 100) : null,
+            Booking_ID: isNaN(numericOrderCode) ? null : Math.floor(numericOrderCode / 1000),
+            Payment_Status: verification.status || null,
+            Amount: verification.amount ?? payload?.data?.amount ?? null,
+            Signature: payload?.signature ? String(payload.signature).substring(0, 255) : null,
+            Payload: JSON.stringify(payload || {}),
+            Processing_Status: verification.valid ? EVENT_STATUS.RECEIVED : EVENT_STATUS.REJECTED,
+            Error_Message: verification.valid ? null : 'Chữ ký webhook không hợp lệ',
+            Received_At: new Date()
+        });
+
+        logger.info(`[paymentWebhookEventService] Đã lưu webhook ${event.Event_ID} (${provider}) cho orderCode ${orderCode}: ${event.Processing_Status}`);
+        return event;
+    },
+
+    /**
+     * Xử lý sự kiện webhook đúng một lần: giành quyền xử lý bằng cập nhật có điều kiện rồi cập nhật payment/booking
+     * @param {number} eventId
+     * @param {Object} [options] - replayedBy: admin thực hiện replay
+     * @returns {Promise<Object>} { processed, eventId, status, orderCode, result }
+     */
+    async processEvent(eventId, options = {}) {
+        const claimableStatuses = options.replayedBy
+            ? [EVENT_STATUS.RECEIVED, EVENT_STATUS.FAILED, EVENT_STATUS.PROCESSING]
+            : [EVENT_STATUS.RECEIVED];
+
+        const where = { Event_ID: eventId, Processing_Status: { [Op.in]: claimableStatuses } };
+        if (options.replayedBy) {
+            // Chỉ replay sự kiện Processing khi đã bị kẹt đủ lâu
+            where[Op.or] = [
+                { Processing_Status: { [Op.ne]: EVENT_STATUS.PROCESSING } },
+                { Received_At: { [Op.lt]: new Date(Date.now() - STUCK_PROCESSING_MINUTES * 60 * 1000) } }
+            ];
+        }
+
+        const claimFields = {
+            Processing_Status: EVENT_STATUS.PROCESSING,
+            Attempts: PaymentWebhookEvent.sequelize.literal('Attempts + 1'),
+            Error_Message: null
+        };
+        if (options.replayedBy) {
+            claimFields.Replayed_By = options.replayedBy;
+            claimFields.Replayed_At = new Date();
+        }
+
+        const [claimed] = await PaymentWebhookEvent.update(claimFields, { where });
+        if (claimed === 0) {
+            logger.info(`[paymentWebhookEventService] Webhook ${eventId} đã/đang được xử lý, bỏ qua`);
+            return { processed: false, reason: 'ALREADY_CLAIMED', eventId };
+        }
+
+        const event = await PaymentWebhookEvent.findByPk(eventId);
+        const payload = _parsePayload(event);
+        const data = payload?.data;
+
+        if (!data || data.orderCode === undefined) {
+            await event.update({ Processing_Status: EVENT_STATUS.FAILED, Error_Message: 'Payload webhook không có data.orderCode' });
+            return { processed: false, reason: 'INVALID_PAYLOAD', eventId };
+        }
+
+        const PayOSService = require('./payosService');
+        const payosService = new PayOSService();
+        const { getProvider } = require('./paymentProviders');
+
+        try {
+            // Giao dịch phải do chính provider gửi webhook tạo ra (Payment_Method khớp)
+            const handlerOptions = {
+                webhookEventId: event.Event_ID,
+                paymentMethod: getProvider(event.Provider).paymentMethod
+            };
+            let result;
+            switch (event.Payment_Status) {
+                case 'PAID':
+                    result = await payosService.handleSuccessfulPayment(data, handlerOptions);
+                    break;
+                case 'CANCELLED':
+                case 'EXPIRED':
+                case 'FAILED':
+                    result = await payosService.handleFailedPayment(data, handlerOptions);
+                    break;
+                default:
+                    await event.update({
+                        Processing_Status: EVENT_STATUS.IGNORED,
+                        Processed_At: new Date(),
+                        Error_Message: `Trạng thái webhook không xử lý: ${event.Payment_Status}`
+                    });
+                    return { processed: false, reason: 'UNHANDLED_STATUS', eventId, status: event.Payment_Status, orderCode: event.Order_Code };
+            }
+
+            logger.info(`[paymentWebhookEventService] Đã xử lý webhook ${eventId} cho orderCode ${event.Order_Code}${result?.alreadyProcessed ? ' (trùng lặp)' : ''}`);
+            return { processed: true, eventId, status: event.Payment_Status, orderCode: event.Order_Code, result };
+        } catch (error) {
+            logger.error(`[paymentWebhookEventService] Lỗi khi xử lý webhook ${eventId}: ${error.message}`);
+            await event.update({
+                Processing_Status: EVENT_STATUS.FAILED,
+                Error_Message: String(error.message).substring(0, 1000)
+            });
+            throw error;
+        }
+    },
+
+    async getEvents(filters = {}) {
+        const where = {};
+        if (filters.status) where.Processing_Status = filters.status;
+        if (filters.provider) where.Provider = filters.provider;
+        if (filters.orderCode) where.Order_Code = String(filters.orderCode);
+        if (filters.bookingId) where.Booking_ID = filters.bookingId;
+        if (filters.from || filters.to) {
+            where.Received_At = {};
+            if (filters.from) where.Received_At[Op.gte] = new Date(filters.from);
+            if (filters.to) where.Received_At[Op.lte] = new Date(filters.to);
+        }
+
+        const limit = Math.min(parseInt(filters.limit, 10) || 100, 500);
+        return PaymentWebhookEvent.findAll({
+            where,
+            attributes: { exclude: ['Payload'] },
+            order: [['Received_At', 'DESC']],
+            limit
+        });
+    },
+
+    async getEventById(id) {
+        const event = await PaymentWebhookEvent.findByPk(id, {
+            include: [{ model: User, as: 'Replayer', attributes: ['User_ID', 'Full_Name'] }]
+        });
+        if (!event) {
+            throw _createError(`Không tìm thấy sự kiện webhook có ID ${id}`, 404);
+        }
+        return {
+            ...event.toJSON(),
+            Payload: _parsePayload(event)
+        };
+    },
+
+    /**
+     * Replay sự kiện webhook bị lỗi (hoặc kẹt ở Processing/Received)
+     */
+    async replayEvent(id, userId) {
+        const event = await PaymentWebhookEvent.findByPk(id);
+        if (!event) {
+            throw _createError(`Không tìm thấy sự kiện webhook có ID ${id}`, 404);
+        }
+        if (event.Processing_Status === EVENT_STATUS.REJECTED) {
+            throw _createError('Không thể replay webhook có chữ ký không hợp lệ', 400);
+        }
+        if ([EVENT_STATUS.PROCESSED, EVENT_STATUS.DUPLICATE, EVENT_STATUS.IGNORED].includes(event.Processing_Status)) {
+            throw _createError(`Sự kiện webhook đã ở trạng thái ${event.Processing_Status}, không cần replay`, 400);
+        }
+
+        const result = await this.processEvent(event.Event_ID, { replayedBy: userId });
+        if (result.reason === 'ALREADY_CLAIMED') {
+            throw _createError(`Sự kiện webhook đang được xử lý, thử lại sau ${STUCK_PROCESSING_MINUTES} phút`, 409);
+        }
+
+        logger.info(`[paymentWebhookEventService] User ${userId} đã replay webhook ${id}`);
+        return result;
+    }
+};
+
+paymentWebhookEventService.EVENT_STATUS = EVENT_STATUS;
+
+module.exports = paymentWebhookEventService;
@@ -30,17 +30,39 @@ class PayOSService {
         const apiKey = process.env.PAYOS_API_KEY;
         const checksumKey = process.env.PAYOS_CHECKSUM_KEY;
 
+        this.poolPromise = null; // Cache kết nối database
+
+        // Thiếu cấu hình PayOS vẫn cho phép khởi tạo để dùng các thao tác database (xử lý webhook, hủy thanh toán...)
+        // với các payment provider khác; chỉ các lời gọi API PayOS mới báo lỗi.
         if (!clientId || !apiKey || !checksumKey) {
-            throw new Error('PayOS configuration is missing. Please check PAYOS_CLIENT_ID, PAYOS_API_KEY, and PAYOS_CHECKSUM_KEY');
+            this.payOS = null;
+            logger.warn('PayOS configuration is missing. PayOS API calls are disabled until PAYOS_CLIENT_ID, PAYOS_API_KEY, and PAYOS_CHECKSUM_KEY are set');
+            return;
         }
 
         // Khởi tạo PayOS
         this.payOS = new PayOS(clientId, apiKey, checksumKey);
-        this.poolPromise = null; // Cache kết nối database
 
         logger.info('PayOS Service initialized successfully');
     }
 
+    /**
+     * Kiểm tra đã cấu hình thông tin kết nối PayOS hay chưa
+     */
+    isConfigured() {
+        return !!this.payOS;
+    }
+
+    /**
+     * Lấy PayOS client, báo lỗi nếu chưa cấu hình
+     */
+    getClient() {
+        if (!this.payOS) {
+            throw new Error('PayOS configuration is missing. Please check PAYOS_CLIENT_ID, PAYOS_API_KEY, and PAYOS_CHECKSUM_KEY');
+        }
+        return this.payOS;
+    }
+
     /**
      * Lấy kết nối database từ cache hoặc tạo mới
      */
@@ -680,6 +702,19 @@ class PayOSService {
                 cancelUrl: cancelURL,
             };
 
+            // Chi tiết đơn hàng hiển thị trên trang thanh toán: vé + bắp nước đi kèm
+            try {
+                const concessionService = require('./concessionService');
+                const concessionItems = await concessionService.getBookingItems(bookingId);
+                const concessionTotal = concessionItems.reduce((sum, item) => sum + item.totalPrice, 0);
+                paymentData.items = [
+                    { name: 'Vé xem phim', quantity: 1, price: Math.max(0, amount - concessionTotal) },
+                    ...concessionItems.map(item => ({ name: item.name, quantity: item.quantity, price: item.unitPrice }))
+                ];
+            } catch (itemsError) {
+                logger.warn(`Không thể lấy chi tiết bắp nước cho đơn đặt vé ${bookingId}: ${itemsError.message}`);
+            }
+
             // Thêm thông tin khách hàng nếu có
             if (customerName) {
                 paymentData.customerInfo = {
@@ -690,7 +725,7 @@ class PayOSService {
             logger.info(`PayOS Payment Data:`, paymentData);
 
             // Gọi API của PayOS
-            const paymentLinkResponse = await this.payOS.createPaymentLink(paymentData);
+            const paymentLinkResponse = await this.getClient().createPaymentLink(paymentData);
 
             logger.info('PayOS Response:', JSON.stringify(paymentLinkResponse, null, 2));
 
@@ -779,7 +814,7 @@ class PayOSService {
     async cancelPaymentLink(orderCode) {
         try {
             logger.info(`Yêu cầu hủy payment link với orderCode: ${orderCode}`);
-            const response = await this.payOS.cancelPaymentLink(orderCode);
+            const response = await this.getClient().cancelPaymentLink(orderCode);
             logger.info(`Kết quả hủy payment link:`, response);
             return response;
         } catch (error) {
@@ -796,7 +831,7 @@ class PayOSService {
             logger.info('Verifying PayOS webhook:', JSON.stringify(webhookData, null, 2));
 
             // PayOS sẽ tự động verify signature thông qua SDK
-            const verificationResult = this.payOS.verifyPaymentWebhookData(webhookData);
+            const verificationResult = this.getClient().verifyPaymentWebhookData(webhookData);
 
             logger.info('Webhook verification result:', verificationResult);
             return verificationResult;
@@ -813,7 +848,7 @@ class PayOSService {
         try {
             logger.info(`Lấy thông tin thanh toán cho orderCode: ${orderCode}`);
 
-            const paymentInfo = await this.payOS.getPaymentLinkInformation(orderCode);
+            const paymentInfo = await this.getClient().getPaymentLinkInformation(orderCode);
 
             logger.info('Payment info from PayOS:', JSON.stringify(paymentInfo, null, 2));
             return paymentInfo;
@@ -823,10 +858,77 @@ class PayOSService {
         }
     }
 
+    /**
+     * Khóa dòng payment và booking trong transaction (UPDLOCK) rồi trả về trạng thái hiện tại
+     * @returns {Promise<Object>} { paymentStatus, bookingStatus } - null nếu không tìm thấy
+     */
+    async lockPaymentForProcessing(transaction, orderCode, bookingId) {
+        const lockQuery = `
+            SELECT Payment_Status, Payment_Method, Amount FROM [ksf00691_team03].[Payments] WITH (UPDLOCK, ROWLOCK)
+            WHERE Payment_Reference = @orderCode;
+
+            SELECT Status FROM [ksf00691_team03].[Ticket_Bookings] WITH (UPDLOCK, ROWLOCK)
+            WHERE Booking_ID = @bookingId;
+        `;
+        const lockRequest = transaction.request();
+        lockRequest.input('orderCode', sql.VarChar(255), orderCode.toString());
+        lockRequest.input('bookingId', sql.Int, bookingId);
+        const lockResult = await lockRequest.query(lockQuery);
+
+        const payment = lockResult.recordsets[0][0];
+        return {
+            paymentStatus: payment?.Payment_Status || null,
+            paymentMethod: payment?.Payment_Method || null,
+            paymentAmount: payment ? Number(payment.Amount) : null,
+            bookingStatus: lockResult.recordsets[1][0]?.Status || null
+        };
+    }
+
+    /**
+     * Kiểm tra giao dịch đã lưu có đúng provider (Payment_Method) và số tiền (khi expected có amount) với kết quả
+     * thanh toán để webhook của provider này không xác nhận được giao dịch của provider khác hoặc với số tiền khác
+     * @param {Object} expected - paymentMethod, amount
+     */
+    assertPaymentMatches(lockState, orderCode, expected) {
+        const { paymentMethod } = expected;
+        if (!lockState.paymentStatus) {
+            throw new Error(`Không tìm thấy giao dịch cho orderCode ${orderCode}`);
+        }
+        if (String(lockState.paymentMethod || '').toLowerCase() !== String(paymentMethod).toLowerCase()) {
+            throw new Error(`Giao dịch ${orderCode} thuộc phương thức ${lockState.paymentMethod}, không phải ${paymentMethod}`);
+        }
+        if ('amount' in expected && (expected.amount == null || Number(expected.amount) !== lockState.paymentAmount)) {
+            throw new Error(`Số tiền thanh toán ${expected.amount} không khớp với giao dịch ${orderCode} (${lockState.paymentAmount})`);
+        }
+    }
+
+    /**
+     * Ghi kết quả xử lý của sự kiện webhook trong cùng transaction với cập nhật booking
+     */
+    async markWebhookEvent(transaction, eventId, status, note = null) {
+        if (!eventId) return;
+
+        const eventRequest = transaction.request();
+        eventRequest.input('eventId', sql.Int, eventId);
+        eventRequest.input('status', sql.VarChar(20), status);
+        eventRequest.input('note', sql.NVarChar(1000), note);
+        await eventRequest.query(`
+            UPDATE [ksf00691_team03].[Payment_Webhook_Events]
+            SET Processing_Status = @status,
+                Processed_At = GETDATE(),
+                Error_Message = @note
+            WHERE Event_ID = @eventId
+        `);
+    }
+
     /**
      * Xử lý kết quả thanh toán thành công
+     * Idempotent: payment đã PAID (webhook gửi lại, /return chạy song song) sẽ không cộng điểm/gửi thông báo lần nữa
+     * @param {Object} paymentData - Dữ liệu thanh toán (orderCode, amount, transactionDateTime)
+     * @param {Object} [options] - webhookEventId: sự kiện webhook được đánh dấu kết quả trong cùng transaction,
+     *   paymentMethod: Payment_Method của provider đã xác nhận thanh toán (mặc định PayOS)
      */
-    async handleSuccessfulPayment(paymentData) {
+    async handleSuccessfulPayment(paymentData, options = {}) {
         try {
             const { orderCode, amount, transactionDateTime } = paymentData;
 
@@ -854,6 +956,26 @@ class PayOSService {
             await transaction.begin();
 
             try {
+                // Khóa payment/booking để các lần xử lý đồng thời cho cùng orderCode chạy tuần tự
+                const lockState = await this.lockPaymentForProcessing(transaction, orderCode, bookingId);
+                this.assertPaymentMatches(lockState, orderCode, { paymentMethod: options.paymentMethod || 'PayOS', amount });
+                const alreadyPaid = lockState.paymentStatus
+                    ? lockState.paymentStatus === 'PAID'
+                    : lockState.bookingStatus === 'Confirmed';
+
+                if (alreadyPaid) {
+                    await this.markWebhookEvent(transaction, options.webhookEventId, 'Duplicate', 'Payment đã được xử lý trước đó');
+                    await transaction.commit();
+                    logger.info(`Bỏ qua xử lý trùng lặp cho orderCode ${orderCode}: booking ${bookingId} đã được thanh toán`);
+                    return {
+                        success: true,
+                        bookingId: bookingId,
+                        userId: userId,
+                        alreadyProcessed: true,
+                        message: 'Thanh toán đã được xử lý trước đó'
+                    };
+                }
+
                 // Thực hiện tất cả các thao tác trong một truy vấn SQL để tối ưu hiệu suất
                 const combinedQuery = `
                     -- Cập nhật trạng thái payment và người xử lý
@@ -869,6 +991,11 @@ class PayOSService {
                     UPDATE [ksf00691_team03].[Ticket_Bookings]
                     SET Status = 'Confirmed'
                     WHERE Booking_ID = @bookingId;
+
+                    -- Đơn bắp nước đi kèm được thanh toán cùng vé
+                    UPDATE [ksf00691_team03].[Concession_Orders]
+                    SET Status = 'Paid', Payment_Method = @paymentMethod, Updated_At = GETDATE()
+                    WHERE Booking_ID = @bookingId AND Status = 'Pending';
                 `;
 
                 const request = transaction.request();
@@ -876,6 +1003,8 @@ class PayOSService {
                 request.input('bookingId', sql.Int, bookingId);
                 request.input('processorResponse', sql.NVarChar(sql.MAX), JSON.stringify(paymentData));
                 request.input('userId', sql.Int, userId);
+                // Phương thức thực tế của giao dịch (PayOS, Mock...), đã đối chiếu với provider ở assertPaymentMatches
+                request.input('paymentMethod', sql.NVarChar(50), lockState.paymentMethod);
 
                 await request.query(combinedQuery);
 
@@ -893,6 +1022,8 @@ class PayOSService {
                     logger.warn('Failed to add reward points:', pointsError.message);
                 }
 
+                await this.markWebhookEvent(transaction, options.webhookEventId, 'Processed');
+
                 // Commit transaction
                 await transaction.commit();
 
@@ -1009,8 +1140,12 @@ class PayOSService {
 
     /**
      * Xử lý thanh toán thất bại
+     * Idempotent: chỉ xử lý khi booking còn Pending để không hoàn điểm/mã khuyến mãi hai lần
+     * @param {Object} paymentData - Dữ liệu thanh toán (orderCode)
+     * @param {Object} [options] - webhookEventId: sự kiện webhook được đánh dấu kết quả trong cùng transaction,
+     *   paymentMethod: Payment_Method của provider báo thanh toán thất bại (mặc định PayOS)
      */
-    async handleFailedPayment(paymentData) {
+    async handleFailedPayment(paymentData, options = {}) {
         try {
             const { orderCode } = paymentData;
 
@@ -1026,6 +1161,22 @@ class PayOSService {
             await transaction.begin();
 
             try {
+                // Khóa payment/booking để các lần xử lý đồng thời cho cùng orderCode chạy tuần tự
+                const lockState = await this.lockPaymentForProcessing(transaction, orderCode, bookingId);
+                this.assertPaymentMatches(lockState, orderCode, { paymentMethod: options.paymentMethod || 'PayOS' });
+                if (lockState.bookingStatus !== 'Pending' || ['PAID', 'FAILED'].includes(lockState.paymentStatus)) {
+                    await this.markWebhookEvent(transaction, options.webhookEventId, 'Duplicate',
+                        `Booking ở trạng thái ${lockState.bookingStatus || 'không xác định'}, payment ${lockState.paymentStatus || 'không xác định'}`);
+                    await transaction.commit();
+                    logger.info(`Bỏ qua xử lý thanh toán thất bại cho orderCode ${orderCode}: booking ${bookingId} không còn chờ thanh toán`);
+                    return {
+                        success: false,
+                        bookingId: bookingId,
+                        alreadyProcessed: true,
+                        message: 'Thanh toán đã được xử lý trước đó'
+                    };
+                }
+
                 // Lấy thông tin booking trước khi cập nhật
                 const bookingQuery = `
                     SELECT Booking_ID, User_ID, Status, Points_Used, Promotion_ID 
@@ -1206,6 +1357,8 @@ class PayOSService {
                 historyRequest.input('bookingId', sql.Int, bookingId);
                 await historyRequest.query(historyQuery);
 
+                await this.markWebhookEvent(transaction, options.webhookEventId, 'Processed');
+
                 // Commit transaction
                 await transaction.commit();
 
@@ -1287,7 +1440,10 @@ class PayOSService {
 
             // Gọi phương thức tạo payment link với booking ID đã tìm được
             logger.info(`Tạo payment link cho booking ${bookingId} của user ${userId}, số tiền: ${amount}`);
-            const paymentResult = await this.createPaymentLink(bookingId, amount, description, customerName);
+            // Tạo thanh toán qua provider mặc định: PAYMENT_PROVIDER nếu là provider online, ngược lại PayOS
+            // (Mock cần MOCK_PAYMENT_SECRET, và thêm PAYMENT_MOCK_ENABLED=true trên production)
+            const { getDefaultProvider } = require('./paymentProviders');
+            const charge = await getDefaultProvider().createCharge({ bookingId, amount, description, customerName, userId });
 
             // Lấy tên phim từ kết quả truy vấn
             const movieName = pendingBooking.Movie_Name || 'Phim';
@@ -1320,7 +1476,7 @@ class PayOSService {
                     Start_Time: startTime,     // Đã format lấy giờ:phút:giây
                     Total_Amount: amount
                 },
-                payment: paymentResult.data
+                payment: charge
             };
         } catch (error) {
             logger.error(`Lỗi khi tạo payment link cho user ${userId}:`, error);
@@ -0,0 +1,430 @@
+// File: src/services/pricingRuleService.js
+// Mô tả: Service quản lý các quy tắc giá vé động (PricingRule) - tạo, xem trước, kích hoạt và vô hiệu hóa.
+
+const { PricingRule, PricingRuleFormat, ShowtimeFormat, SeatLayout, Cinema, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const pricingService = require('./pricingService');
+const logger = require('../utils/logger');
+
+const { RULE_TYPE, RULE_STATUS } = PricingRule;
+const DAY_TYPES = ['weekday', 'weekend', 'holiday'];
+const MULTIPLIER_RULE_TYPES = [RULE_TYPE.DAY_MULTIPLIER, RULE_TYPE.TIME_MULTIPLIER, RULE_TYPE.FORMAT_MULTIPLIER];
+// Loại ghế được tạo sẵn quy tắc giá cơ bản khi khởi động (trước đây chỉ có giá trong ticketPricing.json)
+const SEEDED_SEAT_TYPES = [SeatLayout.SEAT_TYPE.WHEELCHAIR, SeatLayout.SEAT_TYPE.COMPANION, SeatLayout.SEAT_TYPE.SWEETBOX];
+const FORMAT_CONDITION_FIELDS = ['Projection_Format', 'Language_Version', 'Has_Closed_Captions', 'Has_Audio_Description'];
+
+function _createError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+// Chuyển bảng giá cơ bản trong cấu hình JSON thành các quy tắc Base_Price (có thể giới hạn theo loại ghế)
+function _basePriceCandidates(basePrices, seatTypes = null) {
+    const candidates = [];
+    Object.entries(basePrices).forEach(([roomType, seatPrices]) => {
+        Object.entries(seatPrices).forEach(([seatType, price]) => {
+            if (seatTypes && !seatTypes.includes(seatType)) return;
+            candidates.push({
+                Rule_Name: `Giá cơ bản ${roomType} - ${seatType}`,
+                Rule_Type: RULE_TYPE.BASE_PRICE,
+                Room_Type: roomType,
+                Seat_Type: seatType,
+                Value: price
+            });
+        });
+    });
+    return candidates;
+}
+
+// Tạo các quy tắc chuyển từ cấu hình JSON, bỏ qua quy tắc đã tồn tại với cùng điều kiện
+// (includeInactive: quy tắc Inactive cũng tính là đã tồn tại, để không tạo lại quy tắc Manager đã tắt)
+async function _importCandidates(candidates, userId, status, { includeInactive = false } = {}) {
+    const created = [];
+    let skipped = 0;
+    for (const candidate of candidates) {
+        const existingRules = await PricingRule.findAll({
+            where: {
+                Rule_Type: candidate.Rule_Type,
+                Room_Type: candidate.Room_Type || null,
+                Seat_Type: candidate.Seat_Type || null,
+                Day_Type: candidate.Day_Type || null,
+                Time_Slot: candidate.Time_Slot || null,
+                Cinema_ID: null,
+                ...(includeInactive ? {} : { Status: { [Op.ne]: RULE_STATUS.INACTIVE } })
+            },
+            include: [{ model: PricingRuleFormat, as: 'FormatCondition', required: false }]
+        });
+        // Quy tắc cùng điều kiện nhưng chỉ áp dụng cho một định dạng suất chiếu không tính là trùng
+        if (existingRules.some(existing => !existing.FormatCondition)) {
+            skipped++;
+            continue;
+        }
+
+        created.push(await PricingRule.create({
+            ...candidate,
+            Priority: 0,
+            Status: status,
+            Description: 'Được chuyển đổi từ src/config/ticketPricing.json',
+            Created_By: userId || null,
+            Created_At: new Date()
+        }));
+    }
+
+    return { created, skipped };
+}
+
+// Lấy các điều kiện định dạng suất chiếu của quy tắc (null nếu không giới hạn)
+function _formatConditionOf(rule) {
+    const condition = rule?.FormatCondition || {};
+    return FORMAT_CONDITION_FIELDS.reduce((result, field) => {
+        result[field] = condition[field] ?? null;
+        return result;
+    }, {});
+}
+
+// Kiểm tra điều kiện định dạng suất chiếu, dữ liệu mới ghi đè điều kiện đang lưu của quy tắc
+function _validateFormatCondition(data, existing = null) {
+    const condition = _formatConditionOf(existing);
+    FORMAT_CONDITION_FIELDS.forEach(field => {
+        if (data[field] !== undefined) {
+            condition[field] = data[field] === '' ? null : data[field];
+        }
+    });
+
+    const projectionFormats = Object.values(ShowtimeFormat.PROJECTION_FORMAT);
+    if (condition.Projection_Format !== null) {
+        const projectionFormat = projectionFormats.find(value => value.toUpperCase() === String(condition.Projection_Format).trim().toUpperCase());
+        if (!projectionFormat) {
+            throw _createError(`Định dạng chiếu không hợp lệ. Chấp nhận: ${projectionFormats.join(', ')}`, 400);
+        }
+        condition.Projection_Format = projectionFormat;
+    }
+
+    const languageVersions = Object.values(ShowtimeFormat.LANGUAGE_VERSION);
+    if (condition.Language_Version !== null && !languageVersions.includes(condition.Language_Version)) {
+        throw _createError(`Phiên bản ngôn ngữ không hợp lệ. Chấp nhận: ${languageVersions.join(', ')}`, 400);
+    }
+
+    ['Has_Closed_Captions', 'Has_Audio_Description'].forEach(field => {
+        if (condition[field] === null) return;
+        if (condition[field] === true || condition[field] === 'true') condition[field] = true;
+        else if (condition[field] === false || condition[field] === 'false') condition[field] = false;
+        else throw _createError(`${field} phải là true, false hoặc null`, 400);
+    });
+
+    return condition;
+}
+
+// Lưu điều kiện định dạng của quy tắc - xóa bản ghi khi quy tắc không còn giới hạn định dạng nào
+async function _saveFormatCondition(ruleId, condition, transaction) {
+    const hasCondition = FORMAT_CONDITION_FIELDS.some(field => condition[field] !== null);
+    const existing = await PricingRuleFormat.findByPk(ruleId, { transaction });
+
+    if (!hasCondition) {
+        if (existing) await existing.destroy({ transaction });
+        return null;
+    }
+    if (existing) {
+        return existing.update(condition, { transaction });
+    }
+    return PricingRuleFormat.create({ Rule_ID: ruleId, ...condition }, { transaction });
+}
+
+// Chuẩn hóa và kiểm tra dữ liệu quy tắc, trả về các trường hợp lệ để lưu
+async function _validateRuleData(data, existing = null) {
+    const merged = { ...(existing ? existing.get({ plain: true }) : {}), ...data };
+    const result = {};
+
+    if (!merged.Rule_Name || typeof merged.Rule_Name !== 'string' || merged.Rule_Name.trim() === '') {
+        throw _createError('Tên quy tắc giá không được để trống', 400);
+    }
+    result.Rule_Name = merged.Rule_Name.trim();
+
+    if (!Object.values(RULE_TYPE).includes(merged.Rule_Type)) {
+        throw _createError(`Loại quy tắc không hợp lệ. Chấp nhận: ${Object.values(RULE_TYPE).join(', ')}`, 400);
+    }
+    result.Rule_Type = merged.Rule_Type;
+
+    const value = Number(merged.Value);
+    if (merged.Value === undefined || merged.Value === null || isNaN(value) || value <= 0) {
+        throw _createError('Giá trị quy tắc phải là một số lớn hơn 0', 400);
+    }
+    if (MULTIPLIER_RULE_TYPES.includes(result.Rule_Type) && value > 10) {
+        throw _createError('Hệ số giá không được vượt quá 10', 400);
+    }
+    result.Value = value;
+
+    if (merged.Day_Type && !DAY_TYPES.includes(merged.Day_Type)) {
+        throw _createError(`Loại ngày không hợp lệ. Chấp nhận: ${DAY_TYPES.join(', ')}`, 400);
+    }
+    const timeSlots = Object.keys(pricingService.pricingConfig.timeSlots);
+    if (merged.Time_Slot && !timeSlots.includes(merged.Time_Slot)) {
+        throw _createError(`Khung giờ không hợp lệ. Chấp nhận: ${timeSlots.join(', ')}`, 400);
+    }
+
+    if (merged.Cinema_ID) {
+        const cinema = await Cinema.findByPk(merged.Cinema_ID);
+        if (!cinema) {
+            throw _createError(`Không tìm thấy rạp chiếu có ID ${merged.Cinema_ID}`, 404);
+        }
+    }
+
+    if (merged.Start_Date && merged.End_Date && new Date(merged.Start_Date) > new Date(merged.End_Date)) {
+        throw _createError('Ngày bắt đầu áp dụng phải trước hoặc bằng ngày kết thúc', 400);
+    }
+    if (merged.Effective_From && merged.Effective_To && new Date(merged.Effective_From) >= new Date(merged.Effective_To)) {
+        throw _createError('Thời điểm bắt đầu hiệu lực phải trước thời điểm kết thúc hiệu lực', 400);
+    }
+
+    const priority = merged.Priority === undefined || merged.Priority === null ? 0 : Number(merged.Priority);
+    if (!Number.isInteger(priority)) {
+        throw _createError('Độ ưu tiên phải là số nguyên', 400);
+    }
+    result.Priority = priority;
+
+    // Các điều kiện tùy chọn - chuỗi rỗng được coi là "áp dụng cho tất cả"
+    ['Room_Type', 'Seat_Type', 'Day_Type', 'Time_Slot', 'Cinema_ID', 'Start_Date', 'End_Date', 'Effective_From', 'Effective_To', 'Description']
+        .forEach(field => {
+            const fieldValue = merged[field];
+            result[field] = fieldValue === undefined || fieldValue === null || fieldValue === ''
+                ? null
+                : (typeof fieldValue === 'string' ? fieldValue.trim() : fieldValue);
+        });
+
+    return result;
+}
+
+const pricingRuleService = {
+    async getAllRules(filters = {}) {
+        const where = {};
+        if (filters.status) where.Status = filters.status;
+        if (filters.ruleType) where.Rule_Type = filters.ruleType;
+        if (filters.roomType) where.Room_Type = filters.roomType;
+        if (filters.cinemaId) {
+            // Bao gồm cả các quy tắc áp dụng chung cho mọi rạp
+            where[Op.or] = [{ Cinema_ID: filters.cinemaId }, { Cinema_ID: null }];
+        }
+
+        return PricingRule.findAll({
+            where,
+            include: [{ model: PricingRuleFormat, as: 'FormatCondition', required: false }],
+            order: [['Rule_Type', 'ASC'], ['Priority', 'DESC'], ['Rule_ID', 'DESC']]
+        });
+    },
+
+    async getRuleById(id) {
+        const rule = await PricingRule.findByPk(id, {
+            include: [{ model: PricingRuleFormat, as: 'FormatCondition', required: false }]
+        });
+        if (!rule) {
+            throw _createError(`Không tìm thấy quy tắc giá có ID ${id}`, 404);
+        }
+        return rule;
+    },
+
+    async createRule(data, userId) {
+        const ruleData = await _validateRuleData(data);
+        const formatCondition = _validateFormatCondition(data);
+
+        // Quy tắc mới luôn ở trạng thái Draft để có thể xem trước trước khi kích hoạt
+        const ruleId = await sequelize.transaction(async (transaction) => {
+            const rule = await PricingRule.create({
+                ...ruleData,
+                Status: RULE_STATUS.DRAFT,
+                Created_By: userId || null,
+                Created_At: new Date()
+            }, { transaction });
+            await _saveFormatCondition(rule.Rule_ID, formatCondition, transaction);
+            return rule.Rule_ID;
+        });
+
+        logger.info(`[pricingRuleService] Đã tạo quy tắc giá ${ruleId} (${ruleData.Rule_Type}) bởi user ${userId}`);
+        return this.getRuleById(ruleId);
+    },
+
+    async updateRule(id, data) {
+        const rule = await this.getRuleById(id);
+
+        if (rule.Status === RULE_STATUS.ACTIVE) {
+            throw _createError('Không thể chỉnh sửa quy tắc giá đang hoạt động. Vui lòng vô hiệu hóa quy tắc trước khi chỉnh sửa.', 400);
+        }
+
+        const ruleData = await _validateRuleData(data, rule);
+        const formatCondition = _validateFormatCondition(data, rule);
+        await sequelize.transaction(async (transaction) => {
+            await rule.update({ ...ruleData, Updated_At: new Date() }, { transaction });
+            await _saveFormatCondition(rule.Rule_ID, formatCondition, transaction);
+        });
+        return this.getRuleById(id);
+    },
+
+    async deleteRule(id) {
+        const rule = await this.getRuleById(id);
+
+        if (rule.Status === RULE_STATUS.ACTIVE) {
+            throw _createError('Không thể xóa quy tắc giá đang hoạt động. Vui lòng vô hiệu hóa quy tắc trước khi xóa.', 400);
+        }
+
+        await sequelize.transaction(async (transaction) => {
+            await PricingRuleFormat.destroy({ where: { Rule_ID: rule.Rule_ID }, transaction });
+            await rule.destroy({ transaction });
+        });
+        return { message: `Đã xóa quy tắc giá ${id}` };
+    },
+
+    /**
+     * Xem trước ảnh hưởng của một quy tắc lên giá vé trước khi kích hoạt
+     * @param {number} id - ID quy tắc
+     * @param {Object} sample - Ngữ cảnh mẫu: showDate, startTime, cinemaId, roomType, seatType, asOf và format
+     *   (định dạng suất chiếu mẫu, mặc định lấy theo điều kiện định dạng của quy tắc)
+     */
+    async previewRule(id, sample = {}) {
+        const rule = await this.getRuleById(id);
+        const { showDate, startTime, cinemaId = rule.Cinema_ID, asOf } = sample;
+
+        if (!showDate || !startTime) {
+            throw _createError('Cần cung cấp showDate và startTime để xem trước quy tắc giá', 400);
+        }
+
+        const activeRules = await pricingService.loadPricingRules(true);
+        const { FormatCondition, ...rulePlain } = rule.get({ plain: true });
+        const formatCondition = _formatConditionOf(rule);
+        const previewRuleData = { ...rulePlain, ...formatCondition, Status: RULE_STATUS.ACTIVE };
+        const sampleFormat = sample.format || (FormatCondition ? formatCondition : null);
+        const previewRules = [
+            ...activeRules.filter(activeRule => activeRule.Rule_ID !== rule.Rule_ID),
+            previewRuleData
+        ];
+
+        // Nếu không chỉ định loại phòng/ghế, xem trước trên toàn bộ ma trận loại phòng x loại ghế đã biết
+        const roomTypes = sample.roomType
+            ? [sample.roomType]
+            : [...new Set([...pricingService.getRoomTypes(), ...previewRules.map(r => r.Room_Type).filter(Boolean)])];
+        const seatTypes = sample.seatType
+            ? [sample.seatType]
+            : pricingService.getAllSeatTypes(previewRules);
+
+        const asOfDate = asOf ? new Date(asOf) : new Date();
+        const items = [];
+        for (const roomType of roomTypes) {
+            for (const seatType of seatTypes) {
+                const options = { roomType, seatType, showDate, startTime, cinemaId, asOf: asOfDate, format: sampleFormat };
+                let current = null;
+                let preview = null;
+                try {
+                    current = pricingService.calculateTicketPrice(options, activeRules);
+                } catch (error) {
+                    // Tổ hợp chưa có giá hiện tại
+                }
+                try {
+                    preview = pricingService.calculateTicketPrice(options, previewRules);
+                } catch (error) {
+                    // Tổ hợp chưa có giá sau khi áp dụng quy tắc
+                }
+                if (!current && !preview) continue;
+
+                items.push({
+                    roomType,
+                    seatType,
+                    currentPrice: current ? current.finalPrice : null,
+                    previewPrice: preview ? preview.finalPrice : null,
+                    difference: current && preview ? preview.finalPrice - current.finalPrice : null,
+                    ruleApplied: preview ? preview.appliedRules.some(r => r.Rule_ID === rule.Rule_ID) : false,
+                    appliedRules: preview ? preview.appliedRules : []
+                });
+            }
+        }
+
+        return {
+            rule,
+            context: { showDate, startTime, cinemaId: cinemaId || null, asOf: asOfDate, format: sampleFormat },
+            affectedCount: items.filter(item => item.ruleApplied && item.difference !== 0).length,
+            items
+        };
+    },
+
+    async activateRule(id) {
+        const rule = await this.getRuleById(id);
+
+        if (rule.Effective_To && new Date(rule.Effective_To) < new Date()) {
+            throw _createError('Không thể kích hoạt quy tắc giá đã hết thời gian hiệu lực', 400);
+        }
+
+        await rule.update({ Status: RULE_STATUS.ACTIVE, Updated_At: new Date() });
+        await pricingService.loadPricingRules(true);
+        logger.info(`[pricingRuleService] Đã kích hoạt quy tắc giá ${id}`);
+        return rule;
+    },
+
+    async deactivateRule(id) {
+        const rule = await this.getRuleById(id);
+        await rule.update({ Status: RULE_STATUS.INACTIVE, Updated_At: new Date() });
+        await pricingService.loadPricingRules(true);
+        logger.info(`[pricingRuleService] Đã vô hiệu hóa quy tắc giá ${id}`);
+        return rule;
+    },
+
+    /**
+     * Chuyển cấu hình trong ticketPricing.json thành các quy tắc giá trong database.
+     * Bỏ qua các quy tắc đã tồn tại với cùng điều kiện.
+     * @param {number} userId - Người thực hiện
+     * @param {boolean} activate - Kích hoạt ngay (mặc định tạo ở trạng thái Draft)
+     */
+    async importFromConfig(userId, activate = false) {
+        const config = pricingService.pricingConfig;
+        const candidates = _basePriceCandidates(config.basePrices);
+
+        Object.entries(config.dayTypes).forEach(([dayType, info]) => {
+            candidates.push({
+                Rule_Name: `Hệ số ngày ${dayType}`,
+                Rule_Type: RULE_TYPE.DAY_MULTIPLIER,
+                Day_Type: dayType,
+                Value: info.multiplier
+            });
+        });
+        Object.entries(config.timeSlots).forEach(([timeSlot, info]) => {
+            candidates.push({
+                Rule_Name: `Hệ số khung giờ ${timeSlot}`,
+                Rule_Type: RULE_TYPE.TIME_MULTIPLIER,
+                Time_Slot: timeSlot,
+                Value: info.multiplier
+            });
+        });
+
+        const { created, skipped } = await _importCandidates(candidates, userId, activate ? RULE_STATUS.ACTIVE : RULE_STATUS.DRAFT);
+
+        if (activate && created.length > 0) {
+            await pricingService.loadPricingRules(true);
+        }
+
+        return {
+            created_count: created.length,
+            skipped_count: skipped,
+            rules: created
+        };
+    },
+
+    /**
+     * Tạo sẵn quy tắc giá cơ bản (Active) cho các loại ghế Xe lăn, Đi kèm và Sweetbox từ giá trong ticketPricing.json,
+     * để Manager đổi giá các loại ghế này qua quy tắc giá mà không cần sửa file cấu hình và deploy lại.
+     * Bỏ qua loại phòng/loại ghế đã có quy tắc (kể cả Inactive) nên không ghi đè hay bật lại giá Manager đã chỉnh.
+     * @param {number|null} userId - Người thực hiện (null khi hệ thống tự chạy lúc khởi động)
+     */
+    async seedSeatTypeBasePrices(userId = null) {
+        const candidates = _basePriceCandidates(pricingService.pricingConfig.basePrices, SEEDED_SEAT_TYPES);
+        const { created, skipped } = await _importCandidates(candidates, userId, RULE_STATUS.ACTIVE, { includeInactive: true });
+
+        if (created.length > 0) {
+            logger.info(`Đã tạo ${created.length} quy tắc giá cơ bản cho ghế ${SEEDED_SEAT_TYPES.join(', ')}`);
+            await pricingService.loadPricingRules(true);
+        }
+
+        return {
+            created_count: created.length,
+            skipped_count: skipped
+        };
+    }
+};
+
+module.exports = pricingRuleService;
@@ -1,5 +1,6 @@
 // File: src/services/pricingService.js
-// Mô tả: Service tính giá vé dựa trên cấu hình JSON
+// Mô tả: Service tính giá vé dựa trên các quy tắc giá trong database (Pricing_Rules),
+// cấu hình JSON chỉ còn được dùng làm giá trị mặc định khi không có quy tắc nào khớp.
 
 const fs = require('fs');
 const path = require('path');
@@ -18,9 +19,9 @@ class PricingService {
             // Sử dụng cấu hình mặc định nếu không đọc được file
             this.pricingConfig = {
                 basePrices: {
-                        "2D": { "Thường": 90000, "VIP": 120000 },
-    "3D": { "Thường": 120000, "VIP": 150000 },
-    "IMAX": { "Thường": 150000, "VIP": 180000 }
+                        "2D": { "Thường": 90000, "VIP": 120000, "Xe lăn": 70000, "Đi kèm": 50000, "Sweetbox": 200000 },
+    "3D": { "Thường": 120000, "VIP": 150000, "Xe lăn": 90000, "Đi kèm": 60000, "Sweetbox": 250000 },
+    "IMAX": { "Thường": 150000, "VIP": 180000, "Xe lăn": 120000, "Đi kèm": 80000, "Sweetbox": 320000 }
                 },
                 dayTypes: {
                     "weekday": { multiplier: 1.0 },
@@ -31,10 +32,154 @@ class PricingService {
                     "morning": { multiplier: 0.9, startTime: "08:00:00", endTime: "12:00:00" },
                     "afternoon": { multiplier: 1.0, startTime: "12:00:00", endTime: "18:00:00" },
                     "evening": { multiplier: 1.1, startTime: "18:00:00", endTime: "23:59:59" }
-                },
-                holidays: []
+                }
             };
         }
+
+        // Cache các quy tắc giá đang Active trong database
+        this.rules = [];
+        this.rulesLoadedAt = 0;
+        this.rulesCacheTtl = (parseInt(process.env.PRICING_RULES_CACHE_SECONDS, 10) || 60) * 1000;
+        this.rulesLoadingPromise = null;
+
+        // Cache lịch ngày lễ (Holidays) và các ngày lễ đã quy đổi theo từng năm
+        this.holidays = [];
+        this.holidayDatesByYear = new Map();
+    }
+
+    /**
+     * Nạp lại các quy tắc giá và lịch ngày lễ đang Active từ database vào cache
+     * @param {boolean} force - Bỏ qua TTL và nạp lại ngay
+     * @returns {Promise<Array>} - Danh sách quy tắc đang Active
+     */
+    async loadPricingRules(force = false) {
+        if (!force && this.rulesLoadedAt && Date.now() - this.rulesLoadedAt < this.rulesCacheTtl) {
+            return this.rules;
+        }
+
+        if (this.rulesLoadingPromise) {
+            return this.rulesLoadingPromise;
+        }
+
+        this.rulesLoadingPromise = (async () => {
+            try {
+                // Require tại chỗ để tránh nạp models khi chỉ cần cấu hình JSON
+                const { PricingRule, PricingRuleFormat, Holiday } = require('../models');
+                const [rules, formatConditions, holidays] = await Promise.all([
+                    PricingRule.findAll({
+                        where: { Status: PricingRule.RULE_STATUS.ACTIVE },
+                        raw: true
+                    }),
+                    PricingRuleFormat.findAll({ raw: true }),
+                    Holiday.findAll({
+                        where: { Status: Holiday.HOLIDAY_STATUS.ACTIVE },
+                        raw: true
+                    })
+                ]);
+                this.rules = this.attachFormatConditions(rules, formatConditions);
+                this.holidays = holidays;
+                this.holidayDatesByYear = new Map();
+                this.rulesLoadedAt = Date.now();
+                logger.info(`Đã nạp ${rules.length} quy tắc giá và ${holidays.length} ngày lễ đang hoạt động`);
+            } catch (error) {
+                // Giữ lại cache cũ nếu không đọc được database
+                logger.error('Error loading pricing rules:', error);
+            } finally {
+                this.rulesLoadingPromise = null;
+            }
+            return this.rules;
+        })();
+
+        return this.rulesLoadingPromise;
+    }
+
+    /**
+     * Gộp điều kiện định dạng suất chiếu (Pricing_Rule_Formats) vào từng quy tắc để ruleMatches xét như các điều kiện khác
+     * @param {Array} rules - Quy tắc giá (plain object)
+     * @param {Array} formatConditions - Điều kiện định dạng theo Rule_ID
+     * @returns {Array}
+     */
+    attachFormatConditions(rules, formatConditions = []) {
+        const conditionByRule = new Map(formatConditions.map(condition => [Number(condition.Rule_ID), condition]));
+        return rules.map(rule => {
+            const condition = conditionByRule.get(Number(rule.Rule_ID)) || {};
+            return {
+                ...rule,
+                Projection_Format: condition.Projection_Format ?? null,
+                Language_Version: condition.Language_Version ?? null,
+                Has_Closed_Captions: condition.Has_Closed_Captions ?? null,
+                Has_Audio_Description: condition.Has_Audio_Description ?? null
+            };
+        });
+    }
+
+    /**
+     * Đảm bảo cache quy tắc giá còn hiệu lực trước khi tính giá
+     */
+    async ensureRulesLoaded() {
+        return this.loadPricingRules(false);
+    }
+
+    /**
+     * Kiểm tra một quy tắc có khớp với ngữ cảnh tính giá không
+     * @param {Object} rule - Quy tắc giá
+     * @param {Object} context - Ngữ cảnh (roomType, seatType, dayType, timeSlot, cinemaId, date, asOf và định dạng suất chiếu)
+     * @returns {boolean}
+     */
+    ruleMatches(rule, context) {
+        const sameText = (a, b) => String(a).toUpperCase() === String(b || '').toUpperCase();
+
+        if (rule.Room_Type && !sameText(rule.Room_Type, context.roomType)) return false;
+        if (rule.Seat_Type && !sameText(rule.Seat_Type, context.seatType)) return false;
+        if (rule.Day_Type && rule.Day_Type !== context.dayType) return false;
+        if (rule.Time_Slot && rule.Time_Slot !== context.timeSlot) return false;
+        if (rule.Cinema_ID && Number(rule.Cinema_ID) !== Number(context.cinemaId)) return false;
+
+        // Định dạng suất chiếu - cờ CC / AD null nghĩa là không giới hạn
+        if (rule.Projection_Format && !sameText(rule.Projection_Format, context.projectionFormat)) return false;
+        if (rule.Language_Version && rule.Language_Version !== context.languageVersion) return false;
+        if (rule.Has_Closed_Captions !== null && rule.Has_Closed_Captions !== undefined &&
+            Boolean(rule.Has_Closed_Captions) !== Boolean(context.closedCaptions)) return false;
+        if (rule.Has_Audio_Description !== null && rule.Has_Audio_Description !== undefined &&
+            Boolean(rule.Has_Audio_Description) !== Boolean(context.audioDescription)) return false;
+
+        // Khoảng ngày chiếu (so sánh chuỗi yyyy-MM-dd)
+        const toDateString = value => (typeof value === 'string' ? value.slice(0, 10) : format(value, 'yyyy-MM-dd'));
+        const startDate = rule.Start_Date ? toDateString(rule.Start_Date) : null;
+        const endDate = rule.End_Date ? toDateString(rule.End_Date) : null;
+        if (startDate && context.date < startDate) return false;
+        if (endDate && context.date > endDate) return false;
+
+        // Thời gian hiệu lực của quy tắc
+        if (rule.Effective_From && new Date(rule.Effective_From) > context.asOf) return false;
+        if (rule.Effective_To && new Date(rule.Effective_To) < context.asOf) return false;
+
+        return true;
+    }
+
+    /**
+     * Tìm quy tắc thắng cho một loại quy tắc: Priority cao nhất, sau đó đến quy tắc cụ thể hơn, rồi quy tắc mới hơn
+     * @param {string} ruleType - Loại quy tắc
+     * @param {Object} context - Ngữ cảnh tính giá
+     * @param {Array} rules - Tập quy tắc dùng để tính (mặc định là cache Active)
+     * @returns {Object|null}
+     */
+    findMatchingRule(ruleType, context, rules = this.rules) {
+        const specificity = rule => [
+            'Room_Type', 'Seat_Type', 'Day_Type', 'Time_Slot', 'Cinema_ID', 'Start_Date', 'End_Date',
+            'Projection_Format', 'Language_Version', 'Has_Closed_Captions', 'Has_Audio_Description'
+        ]
+            .filter(field => rule[field] !== null && rule[field] !== undefined).length;
+
+        const candidates = rules
+            .filter(rule => rule.Rule_Type === ruleType && this.ruleMatches(rule, context))
+            .sort((a, b) =>
+                (b.Priority - a.Priority) ||
+                (specificity(b) - specificity(a)) ||
+                (b.Rule_ID - a.Rule_ID)
+            );
+
+        return candidates[0] || null;
     }
 
     /**
@@ -44,10 +189,15 @@ class PricingService {
      * @param {string} options.seatType - Loại ghế (Standard, VIP, Sweetbox)
      * @param {string|Date} options.showDate - Ngày chiếu
      * @param {string} options.startTime - Giờ bắt đầu (HH:MM:SS)
+     * @param {number} [options.cinemaId] - Rạp chiếu (dùng cho quy tắc giá theo rạp)
+     * @param {Date} [options.asOf] - Thời điểm xét hiệu lực quy tắc (mặc định là hiện tại)
+     * @param {Object} [options.format] - Định dạng suất chiếu (Projection_Format, Language_Version,
+     *   Has_Closed_Captions, Has_Audio_Description); thiếu thì coi như chiếu theo loại phòng
+     * @param {Array} [rules] - Tập quy tắc dùng để tính, mặc định là các quy tắc Active trong cache
      * @returns {Object} - Thông tin giá vé
      */
-    calculateTicketPrice(options) {
-        const { roomType, seatType, showDate, startTime } = options;
+    calculateTicketPrice(options, rules = this.rules) {
+        const { roomType, seatType, showDate, startTime, cinemaId = null, asOf = new Date(), format: showtimeFormat = null } = options;
 
         // Kiểm tra các tham số đầu vào
         if (!roomType || !seatType || !showDate || !startTime) {
@@ -59,7 +209,7 @@ class PricingService {
 
         // Xử lý case-insensitive cho seatType
         let normalizedSeatType = seatType;
-        const availableSeatTypes = this.getAllSeatTypes();
+        const availableSeatTypes = this.getAllSeatTypes(rules);
 
         // Tìm đúng cách viết loại ghế trong cấu hình
         const matchedSeatType = availableSeatTypes.find(
@@ -70,55 +220,107 @@ class PricingService {
             normalizedSeatType = matchedSeatType;
         }
 
-        // Kiểm tra loại phòng và loại ghế có tồn tại trong cấu hình không
-        if (!this.pricingConfig.basePrices[roomType] || !this.pricingConfig.basePrices[roomType][normalizedSeatType]) {
-            // Ghi log các loại ghế có sẵn để debug
-            logger.info(`Các loại ghế có sẵn trong cấu hình: ${availableSeatTypes.join(', ')}`);
+        const date = showDate instanceof Date ? showDate : new Date(showDate);
+        const dayType = this.getDayType(date, cinemaId);
+        const timeSlot = this.getTimeSlot(startTime);
+        const context = {
+            roomType,
+            seatType: normalizedSeatType,
+            dayType,
+            timeSlot,
+            cinemaId,
+            date: format(date, 'yyyy-MM-dd'),
+            asOf,
+            projectionFormat: showtimeFormat?.Projection_Format || roomType,
+            languageVersion: showtimeFormat?.Language_Version || null,
+            closedCaptions: Boolean(showtimeFormat?.Has_Closed_Captions),
+            audioDescription: Boolean(showtimeFormat?.Has_Audio_Description)
+        };
+        const appliedRules = [];
+
+        // Lấy giá cơ bản: ưu tiên quy tắc trong database, sau đó mới đến cấu hình JSON
+        let basePrice;
+        const baseRule = this.findMatchingRule('Base_Price', context, rules);
+        if (baseRule) {
+            basePrice = Number(baseRule.Value);
+            appliedRules.push(baseRule);
+        } else {
+            // Kiểm tra loại phòng và loại ghế có tồn tại trong cấu hình không
+            if (!this.pricingConfig.basePrices[roomType] || !this.pricingConfig.basePrices[roomType][normalizedSeatType]) {
+                // Ghi log các loại ghế có sẵn để debug
+                logger.info(`Các loại ghế có sẵn trong cấu hình: ${availableSeatTypes.join(', ')}`);
 
                 // Thử tìm giá của loại ghế Thường nếu không tìm thấy loại ghế yêu cầu
-    if (this.pricingConfig.basePrices[roomType] && this.pricingConfig.basePrices[roomType]['Thường']) {
-      logger.info(`Thử lại với loại ghế mặc định: Thường`);
-      normalizedSeatType = 'Thường';
-            } else {
-                const error = new Error(`Không tìm thấy giá vé cho loại phòng ${roomType} và loại ghế ${seatType}`);
-                logger.error('calculateTicketPrice: Invalid room or seat type', { roomType, seatType });
-                error.statusCode = 400;
-                throw error;
+                if (this.pricingConfig.basePrices[roomType] && this.pricingConfig.basePrices[roomType]['Thường']) {
+                    logger.info(`Thử lại với loại ghế mặc định: Thường`);
+                    normalizedSeatType = 'Thường';
+                } else {
+                    const error = new Error(`Không tìm thấy giá vé cho loại phòng ${roomType} và loại ghế ${seatType}`);
+                    logger.error('calculateTicketPrice: Invalid room or seat type', { roomType, seatType });
+                    error.statusCode = 400;
+                    throw error;
+                }
             }
-        }
 
-        // Lấy giá cơ bản từ cấu hình
-        const basePrice = this.pricingConfig.basePrices[roomType][normalizedSeatType];
+            // Lấy giá cơ bản từ cấu hình
+            basePrice = this.pricingConfig.basePrices[roomType][normalizedSeatType];
+        }
 
         if (normalizedSeatType !== seatType) {
             logger.info(`Đã sử dụng giá ghế mặc định ${normalizedSeatType} cho loại ghế ${seatType}: ${basePrice} VND`);
         }
 
         // Tính hệ số theo ngày
-        const date = showDate instanceof Date ? showDate : new Date(showDate);
-        const dayMultiplier = this.getDayMultiplier(date);
+        const dayRule = this.findMatchingRule('Day_Multiplier', context, rules);
+        const dayMultiplier = dayRule ? Number(dayRule.Value) : this.getDayMultiplier(date, cinemaId);
+        if (dayRule) appliedRules.push(dayRule);
 
         // Tính hệ số theo giờ
-        const timeMultiplier = this.getTimeMultiplier(startTime);
-
-        // Tính giá vé cuối cùng, làm tròn đến 1000đ
-        const finalPrice = Math.round((basePrice * dayMultiplier * timeMultiplier) / 1000) * 1000;
+        const timeRule = this.findMatchingRule('Time_Multiplier', context, rules);
+        const timeMultiplier = timeRule ? Number(timeRule.Value) : this.getTimeMultiplier(startTime);
+        if (timeRule) appliedRules.push(timeRule);
+
+        // Tính hệ số theo định dạng suất chiếu - chỉ có khi có quy tắc Format_Multiplier khớp
+        const formatRule = this.findMatchingRule('Format_Multiplier', context, rules);
+        const formatMultiplier = formatRule ? Number(formatRule.Value) : 1;
+        if (formatRule) appliedRules.push(formatRule);
+
+        // Tính giá vé cuối cùng, làm tròn đến 1000đ - quy tắc giá cố định sẽ bỏ qua mọi hệ số
+        let finalPrice = Math.round((basePrice * dayMultiplier * timeMultiplier * formatMultiplier) / 1000) * 1000;
+        const fixedRule = this.findMatchingRule('Fixed_Price', context, rules);
+        if (fixedRule) {
+            finalPrice = Number(fixedRule.Value);
+            appliedRules.push(fixedRule);
+        }
 
         return {
             basePrice,
             finalPrice,
             multipliers: {
                 day: dayMultiplier,
-                time: timeMultiplier
+                time: timeMultiplier,
+                format: formatMultiplier
             },
             details: {
                 roomType,
                 seatType: normalizedSeatType, // Trả về loại ghế đã chuẩn hóa
-                date: format(date, 'yyyy-MM-dd'),
+                date: context.date,
                 time: startTime,
-                dayType: this.getDayType(date),
-                timeSlot: this.getTimeSlot(startTime)
-            }
+                dayType,
+                timeSlot,
+                cinemaId,
+                projectionFormat: context.projectionFormat,
+                languageVersion: context.languageVersion,
+                closedCaptions: context.closedCaptions,
+                audioDescription: context.audioDescription
+            },
+            appliedRules: appliedRules.map(rule => ({
+                Rule_ID: rule.Rule_ID,
+                Rule_Name: rule.Rule_Name,
+                Rule_Type: rule.Rule_Type,
+                Value: Number(rule.Value),
+                Priority: rule.Priority
+            }))
         };
     }
 
@@ -136,6 +338,7 @@ class PricingService {
         }
 
         const roomType = showtime.CinemaRoom?.Room_Type || '2D';
+        const cinemaId = showtime.CinemaRoom?.Cinema_ID || null;
         const showDate = showtime.Show_Date;
         const startTime = showtime.Start_Time;
 
@@ -150,7 +353,9 @@ class PricingService {
                 roomType,
                 seatType,
                 showDate,
-                startTime
+                startTime,
+                cinemaId,
+                format: showtime.Format || null
             });
 
             tickets.push({
@@ -176,11 +381,12 @@ class PricingService {
     /**
      * Xác định loại ngày (ngày thường, cuối tuần, ngày lễ)
      * @param {Date} date - Ngày cần kiểm tra
+     * @param {number} [cinemaId] - Rạp chiếu (để xét ngày lễ riêng của rạp)
      * @returns {string} - Loại ngày (weekday, weekend, holiday)
      */
-    getDayType(date) {
+    getDayType(date, cinemaId = null) {
         // Kiểm tra ngày lễ
-        if (this.isHoliday(date)) {
+        if (this.isHoliday(date, cinemaId)) {
             return 'holiday';
         }
 
@@ -196,10 +402,11 @@ class PricingService {
     /**
      * Lấy hệ số giá theo loại ngày
      * @param {Date} date - Ngày cần kiểm tra
+     * @param {number} [cinemaId] - Rạp chiếu
      * @returns {number} - Hệ số giá
      */
-    getDayMultiplier(date) {
-        const dayType = this.getDayType(date);
+    getDayMultiplier(date, cinemaId = null) {
+        const dayType = this.getDayType(date, cinemaId);
         return this.pricingConfig.dayTypes[dayType].multiplier;
     }
 
@@ -264,13 +471,31 @@ class PricingService {
     }
 
     /**
-     * Kiểm tra ngày có phải là ngày lễ không
+     * Lấy danh sách ngày lễ đã quy đổi sang Dương lịch của một năm (có cache theo năm)
+     * @param {number} year - Năm Dương lịch
+     * @returns {Array} - Danh sách ngày lễ cụ thể
+     */
+    getHolidayDates(year) {
+        if (!this.holidayDatesByYear.has(year)) {
+            // Require tại chỗ để tránh phụ thuộc vòng (holidayCalendarService làm mới cache của service này)
+            const holidayCalendarService = require('./holidayCalendarService');
+            this.holidayDatesByYear.set(year, holidayCalendarService.expandHolidays(this.holidays, year));
+        }
+        return this.holidayDatesByYear.get(year);
+    }
+
+    /**
+     * Kiểm tra ngày có phải là ngày lễ không (theo lịch ngày lễ trong database)
      * @param {Date} date - Ngày cần kiểm tra
+     * @param {number} [cinemaId] - Rạp chiếu, ngày lễ riêng của rạp khác sẽ bị bỏ qua
      * @returns {boolean} - Kết quả kiểm tra
      */
-    isHoliday(date) {
+    isHoliday(date, cinemaId = null) {
         const dateStr = format(date, 'yyyy-MM-dd');
-        return this.pricingConfig.holidays.includes(dateStr);
+        return this.getHolidayDates(date.getFullYear()).some(holiday =>
+            holiday.date === dateStr &&
+            (!holiday.Cinema_ID || Number(holiday.Cinema_ID) === Number(cinemaId))
+        );
     }
 
     /**
@@ -294,14 +519,18 @@ class PricingService {
     }
 
     /**
-     * Lấy danh sách tất cả các loại ghế
+     * Lấy danh sách tất cả các loại ghế (từ cấu hình và các quy tắc giá)
+     * @param {Array} [rules] - Tập quy tắc, mặc định là các quy tắc Active trong cache
      * @returns {Array} - Danh sách loại ghế duy nhất
      */
-    getAllSeatTypes() {
+    getAllSeatTypes(rules = this.rules) {
         const seatTypes = new Set();
         Object.values(this.pricingConfig.basePrices).forEach(roomPrices => {
             Object.keys(roomPrices).forEach(seatType => seatTypes.add(seatType));
         });
+        rules.forEach(rule => {
+            if (rule.Seat_Type) seatTypes.add(rule.Seat_Type);
+        });
         return Array.from(seatTypes);
     }
 
@@ -312,9 +541,16 @@ class PricingService {
     getPricingStructure() {
         const result = {
             roomTypes: [],
-            holidays: this.pricingConfig.holidays,
+            holidays: this.getHolidayDates(new Date().getFullYear()),
             timeSlots: this.pricingConfig.timeSlots,
-            dayTypes: this.pricingConfig.dayTypes
+            dayTypes: this.pricingConfig.dayTypes,
+            activeRules: this.rules.map(rule => ({
+                Rule_ID: rule.Rule_ID,
+                Rule_Name: rule.Rule_Name,
+                Rule_Type: rule.Rule_Type,
+                Value: Number(rule.Value),
+                Priority: rule.Priority
+            }))
         };
 
         for (const [roomType, seatPrices] of Object.entries(this.pricingConfig.basePrices)) {
@@ -0,0 +1,355 @@
+// File: src/services/refundPolicyService.js
+// Mô tả: Chính sách hoàn tiền khi khách hàng tự hủy vé - tính phần trăm hoàn theo số giờ trước suất chiếu,
+// xử lý khuyến mãi không hoàn tiền và lựa chọn hoàn tiền hoặc hoàn điểm thành viên.
+// Chính sách lưu trong bảng Refund_Policies (theo phiên bản) và được cache có TTL giống quy tắc giá,
+// nên thay đổi có hiệu lực trên mọi node; chưa có phiên bản nào thì dùng DEFAULT_POLICY.
+
+const logger = require('../utils/logger');
+
+const REFUND_METHOD = {
+    MONEY: 'money',
+    POINTS: 'points'
+};
+
+const DEFAULT_POLICY = {
+    cancellationCutoffHours: 1,
+    tiers: [
+        { minHoursBefore: 48, refundPercent: 100, description: 'Hủy trước giờ chiếu từ 48 giờ trở lên' },
+        { minHoursBefore: 24, refundPercent: 80, description: 'Hủy trước giờ chiếu từ 24 đến dưới 48 giờ' },
+        { minHoursBefore: 6, refundPercent: 50, description: 'Hủy trước giờ chiếu từ 6 đến dưới 24 giờ' },
+        { minHoursBefore: 1, refundPercent: 0, description: 'Hủy trước giờ chiếu dưới 6 giờ' }
+    ],
+    refundMethods: {
+        money: { enabled: true, description: 'Hoàn tiền về phương thức thanh toán ban đầu' },
+        points: { enabled: true, bonusPercent: 10, pointConversionRate: 1, description: 'Hoàn vào tài khoản điểm thành viên (cộng thêm điểm thưởng)' }
+    },
+    nonRefundablePromotions: {
+        promotionCodes: [],
+        refundPercent: 0,
+        description: 'Đơn đặt vé sử dụng mã khuyến mãi không hoàn tiền'
+    }
+};
+
+function _createError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+class RefundPolicyService {
+    constructor() {
+        // Cache chính sách đang áp dụng (phiên bản 0 là DEFAULT_POLICY khi database chưa có phiên bản nào)
+        this.policy = DEFAULT_POLICY;
+        this.policyVersion = 0;
+        this.policyLoadedAt = 0;
+        this.policyCacheTtl = (parseInt(process.env.REFUND_POLICY_CACHE_SECONDS, 10) || 60) * 1000;
+        this.policyLoadingPromise = null;
+    }
+
+    /**
+     * Chính sách trong cache - gọi ensurePolicyLoaded trước ở các luồng async để cache còn hiệu lực
+     */
+    getPolicy() {
+        return this.policy;
+    }
+
+    /**
+     * Nạp phiên bản chính sách mới nhất từ database vào cache
+     * @param {boolean} force - Bỏ qua TTL và nạp lại ngay
+     * @returns {Promise<Object>} - Chính sách đang áp dụng
+     */
+    async loadPolicy(force = false) {
+        if (!force && this.policyLoadedAt && Date.now() - this.policyLoadedAt < this.policyCacheTtl) {
+            return this.policy;
+        }
+
+        if (this.policyLoadingPromise) {
+            return this.policyLoadingPromise;
+        }
+
+        this.policyLoadingPromise = (async () => {
+            try {
+                const { RefundPolicy } = require('../models');
+                const latest = await RefundPolicy.findOne({ order: [['Version', 'DESC']], raw: true });
+                if (latest) {
+                    this.policy = JSON.parse(latest.Policy_Data);
+                    this.policyVersion = latest.Version;
+                }
+                this.policyLoadedAt = Date.now();
+            } catch (error) {
+                // Giữ lại cache cũ nếu không đọc được database
+                logger.error('Error loading refund policy:', error);
+            } finally {
+                this.policyLoadingPromise = null;
+            }
+            return this.policy;
+        })();
+
+        return this.policyLoadingPromise;
+    }
+
+    /**
+     * Đảm bảo cache chính sách còn hiệu lực trước khi tính hoàn tiền
+     */
+    async ensurePolicyLoaded() {
+        return this.loadPolicy(false);
+    }
+
+    /**
+     * Cập nhật chính sách hoàn tiền: lưu thành phiên bản mới trong database
+     * @param {Object} data - Các phần của chính sách cần thay đổi
+     * @param {number} [userId] - Người cập nhật
+     * @returns {Promise<Object>} - Chính sách sau khi cập nhật
+     */
+    async updatePolicy(data, userId = null) {
+        await this.loadPolicy(true);
+        const policy = { ...this.policy };
+
+        if (data.cancellationCutoffHours !== undefined) {
+            const cutoff = Number(data.cancellationCutoffHours);
+            if (isNaN(cutoff) || cutoff < 0) {
+                throw _createError('cancellationCutoffHours phải là số không âm', 400);
+            }
+            policy.cancellationCutoffHours = cutoff;
+        }
+
+        if (data.tiers !== undefined) {
+            if (!Array.isArray(data.tiers) || data.tiers.length === 0) {
+                throw _createError('tiers phải là danh sách có ít nhất một mức hoàn tiền', 400);
+            }
+            policy.tiers = data.tiers.map(tier => {
+                const minHoursBefore = Number(tier.minHoursBefore);
+                const refundPercent = Number(tier.refundPercent);
+                if (isNaN(minHoursBefore) || minHoursBefore < 0) {
+                    throw _createError('minHoursBefore của mỗi mức phải là số không âm', 400);
+                }
+                if (isNaN(refundPercent) || refundPercent < 0 || refundPercent > 100) {
+                    throw _createError('refundPercent của mỗi mức phải nằm trong khoảng 0 - 100', 400);
+                }
+                return { minHoursBefore, refundPercent, description: tier.description || '' };
+            }).sort((a, b) => b.minHoursBefore - a.minHoursBefore);
+        }
+
+        if (data.refundMethods !== undefined) {
+            const methods = { ...policy.refundMethods };
+            for (const [method, settings] of Object.entries(data.refundMethods)) {
+                if (!Object.values(REFUND_METHOD).includes(method)) {
+                    throw _createError(`Phương thức hoàn tiền không hợp lệ: ${method}`, 400);
+                }
+                methods[method] = { ...methods[method], ...settings };
+            }
+            if (methods.points && (Number(methods.points.pointConversionRate) <= 0 || Number(methods.points.bonusPercent) < 0)) {
+                throw _createError('pointConversionRate phải lớn hơn 0 và bonusPercent không được âm', 400);
+            }
+            if (!Object.values(methods).some(settings => settings.enabled)) {
+                throw _createError('Phải bật ít nhất một phương thức hoàn tiền', 400);
+            }
+            policy.refundMethods = methods;
+        }
+
+        if (data.nonRefundablePromotions !== undefined) {
+            const settings = { ...policy.nonRefundablePromotions, ...data.nonRefundablePromotions };
+            if (!Array.isArray(settings.promotionCodes)) {
+                throw _createError('promotionCodes phải là danh sách mã khuyến mãi', 400);
+            }
+            const percent = Number(settings.refundPercent);
+            if (isNaN(percent) || percent < 0 || percent > 100) {
+                throw _createError('refundPercent của khuyến mãi không hoàn tiền phải nằm trong khoảng 0 - 100', 400);
+            }
+            settings.promotionCodes = settings.promotionCodes.map(code => String(code).trim().toUpperCase());
+            settings.refundPercent = percent;
+            policy.nonRefundablePromotions = settings;
+        }
+
+        const { RefundPolicy } = require('../models');
+        const version = this.policyVersion + 1;
+        try {
+            await RefundPolicy.create({
+                Version: version,
+                Policy_Data: JSON.stringify(policy),
+                Updated_By: userId,
+                Updated_At: new Date()
+            });
+        } catch (error) {
+            if (error.name === 'SequelizeUniqueConstraintError') {
+                throw _createError('Chính sách hoàn tiền vừa được người khác cập nhật, vui lòng tải lại và thử lại', 409);
+            }
+            throw error;
+        }
+
+        this.policy = policy;
+        this.policyVersion = version;
+        this.policyLoadedAt = Date.now();
+        logger.info(`[refundPolicyService] User ${userId} đã cập nhật chính sách hoàn tiền (phiên bản ${version})`);
+        return policy;
+    }
+
+    /**
+     * Ghép ngày chiếu và giờ bắt đầu thành thời điểm bắt đầu suất chiếu (giờ địa phương)
+     * @param {Object} showtime - Suất chiếu (Show_Date, Start_Time)
+     * @returns {Date|null}
+     */
+    getShowtimeStart(showtime) {
+        if (!showtime || !showtime.Show_Date || !showtime.Start_Time) return null;
+
+        const showDate = showtime.Show_Date instanceof Date
+            ? showtime.Show_Date.toISOString().slice(0, 10)
+            : String(showtime.Show_Date).slice(0, 10);
+
+        let startTime = showtime.Start_Time;
+        if (startTime instanceof Date) {
+            const hours = startTime.getUTCHours().toString().padStart(2, '0');
+            const minutes = startTime.getUTCMinutes().toString().padStart(2, '0');
+            startTime = `${hours}:${minutes}:00`;
+        } else {
+            startTime = String(startTime).slice(0, 8);
+        }
+
+        const start = new Date(`${showDate}T${startTime}`);
+        return isNaN(start.getTime()) ? null : start;
+    }
+
+    /**
+     * Tìm mức hoàn tiền áp dụng cho số giờ còn lại trước suất chiếu
+     * @param {number} hoursBefore - Số giờ còn lại
+     * @returns {Object|null} - Mức hoàn tiền hoặc null nếu không có mức nào khớp
+     */
+    findTier(hoursBefore) {
+        const tiers = [...this.policy.tiers].sort((a, b) => b.minHoursBefore - a.minHoursBefore);
+        return tiers.find(tier => hoursBefore >= tier.minHoursBefore) || null;
+    }
+
+    isNonRefundablePromotion(promotion) {
+        if (!promotion || !promotion.Promotion_Code) return false;
+        const codes = this.policy.nonRefundablePromotions?.promotionCodes || [];
+        return codes.includes(String(promotion.Promotion_Code).toUpperCase());
+    }
+
+    /**
+     * Tính báo giá hoàn tiền cho một đơn đặt vé
+     * @param {Object} booking - Đơn đặt vé kèm Showtime và Promotion
+     * @param {Object} [options]
+     * @param {string} [options.refundMethod='money'] - 'money' hoặc 'points'
+     * @param {boolean} [options.waivePolicy=false] - Bỏ qua chính sách (hoàn 100%, không giới hạn thời gian)
+     * @param {Date} [options.now] - Thời điểm hủy
+     * @param {number} [options.exchangePointsPaid=0] - Chênh lệch đổi vé đã trả bằng điểm, hoàn lại bằng điểm cùng Points_Used
+     * @returns {Object} - Báo giá hoàn tiền
+     */
+    calculateRefund(booking, options = {}) {
+        const refundMethod = options.refundMethod || REFUND_METHOD.MONEY;
+        const now = options.now || new Date();
+        const waivePolicy = !!options.waivePolicy;
+
+        const methodSettings = this.policy.refundMethods?.[refundMethod];
+        if (!methodSettings) {
+            throw _createError(`Phương thức hoàn tiền không hợp lệ. Chấp nhận: ${Object.values(REFUND_METHOD).join(', ')}`, 400);
+        }
+        if (!methodSettings.enabled) {
+            throw _createError(`Phương thức hoàn tiền ${refundMethod} hiện không được hỗ trợ`, 400);
+        }
+
+        const paidAmount = booking.Status === 'Confirmed' ? Math.max(0, Number(booking.Total_Amount) || 0) : 0;
+        const showtimeStart = this.getShowtimeStart(booking.Showtime);
+        const hoursBeforeShowtime = showtimeStart
+            ? Math.round(((showtimeStart.getTime() - now.getTime()) / 3600000) * 100) / 100
+            : null;
+
+        const quote = {
+            bookingId: booking.Booking_ID,
+            bookingStatus: booking.Status,
+            showtimeStart,
+            hoursBeforeShowtime,
+            refundMethod,
+            cancellable: true,
+            message: null,
+            tier: null,
+            refundPercent: 0,
+            nonRefundablePromotion: false,
+            policyWaived: waivePolicy,
+            paidAmount,
+            refundAmount: 0,
+            forfeitedAmount: 0,
+            refundPoints: 0,
+            // Total_Amount chỉ gồm tiền thực trả; phần trả bằng điểm luôn được hoàn lại bằng điểm
+            pointsUsedReturned: (Number(booking.Points_Used) || 0) + (Number(options.exchangePointsPaid) || 0)
+        };
+
+        // Đơn chưa thanh toán không phát sinh hoàn tiền, luôn được hủy
+        if (paidAmount === 0) {
+            quote.message = 'Đơn đặt vé chưa phát sinh thanh toán, không có khoản hoàn tiền';
+            return quote;
+        }
+
+        if (waivePolicy) {
+            quote.refundPercent = 100;
+        } else {
+            if (hoursBeforeShowtime === null || hoursBeforeShowtime < this.policy.cancellationCutoffHours) {
+                quote.cancellable = false;
+                quote.message = `Chỉ có thể hủy vé trước giờ chiếu ít nhất ${this.policy.cancellationCutoffHours} giờ`;
+                return quote;
+            }
+
+            const tier = this.findTier(hoursBeforeShowtime);
+            quote.tier = tier;
+            quote.refundPercent = tier ? tier.refundPercent : 0;
+
+            if (this.isNonRefundablePromotion(booking.Promotion)) {
+                quote.nonRefundablePromotion = true;
+                quote.refundPercent = Math.min(quote.refundPercent, this.policy.nonRefundablePromotions.refundPercent || 0);
+            }
+        }
+
+        quote.refundAmount = Math.floor((paidAmount * quote.refundPercent) / 100);
+        quote.forfeitedAmount = paidAmount - quote.refundAmount;
+
+        if (refundMethod === REFUND_METHOD.POINTS) {
+            const bonusPercent = Number(methodSettings.bonusPercent) || 0;
+            const conversionRate = Number(methodSettings.pointConversionRate) || 1;
+            quote.refundPoints = Math.floor((quote.refundAmount * (100 + bonusPercent)) / 100 / conversionRate);
+        }
+
+        quote.message = quote.nonRefundablePromotion
+            ? this.policy.nonRefundablePromotions.description
+            : (quote.tier ? quote.tier.description : 'Hoàn tiền theo chính sách');
+        return quote;
+    }
+
+    /**
+     * Báo giá hoàn tiền cho khách hàng trước khi xác nhận hủy vé
+     * @param {number} bookingId - ID đơn đặt vé
+     * @param {number} userId - Người yêu cầu (phải là chủ đơn hoặc người tạo đơn)
+     * @param {Object} [options] - Xem calculateRefund
+     */
+    async getRefundQuote(bookingId, userId, options = {}) {
+        const { TicketBooking, Showtime, Promotion } = require('../models');
+        await this.ensurePolicyLoaded();
+
+        const booking = await TicketBooking.findByPk(bookingId, {
+            include: [
+                { model: Showtime, as: 'Showtime', attributes: ['Showtime_ID', 'Show_Date', 'Start_Time'] },
+                { model: Promotion, as: 'Promotion', attributes: ['Promotion_ID', 'Promotion_Code', 'Title'] }
+            ]
+        });
+
+        if (!booking) {
+            throw _createError('Không tìm thấy đơn đặt vé', 404);
+        }
+        if (userId && booking.User_ID !== userId && booking.Created_By !== userId) {
+            throw _createError('Bạn không có quyền xem thông tin hoàn tiền của đơn đặt vé này', 403);
+        }
+        if (booking.Status === 'Cancelled') {
+            throw _createError('Đơn đặt vé đã được hủy trước đó', 400);
+        }
+        if (booking.Status === 'Completed') {
+            throw _createError('Không thể hủy đơn đặt vé đã hoàn thành', 400);
+        }
+
+        const exchangePointsPaid = await require('./bookingService').getExchangePointsPaid(booking.Booking_ID);
+        return this.calculateRefund(booking, { ...options, exchangePointsPaid });
+    }
+}
+
+const refundPolicyService = new RefundPolicyService();
+refundPolicyService.REFUND_METHOD = REFUND_METHOD;
+
+module.exports = refundPolicyService;
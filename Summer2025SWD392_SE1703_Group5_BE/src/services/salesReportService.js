@@ -655,37 +655,59 @@ class SalesReportService {
 
             pool = await getConnection();
 
-            // Lấy doanh thu từ vé phim
+            // Lấy doanh thu từ vé phim (Total_Amount của booking trừ phần bắp nước đi kèm)
             const ticketRevenue = await pool.request()
                 .input('startDate', sql.DateTime, startDate)
                 .input('endDate', sql.DateTime, endDate)
                 .query(`
                     SELECT 
                         'Vé phim' as Category,
-                        COUNT(DISTINCT tb.Booking_ID) as TotalTransactions,
-                        SUM(tb.Total_Amount) as TotalAmount,
-                        SUM(CASE WHEN t.Ticket_ID IS NOT NULL THEN 1 ELSE 0 END) as TotalItems
+                        COUNT(tb.Booking_ID) as TotalTransactions,
+                        ISNULL(SUM(tb.Total_Amount - ISNULL(co.ConcessionAmount, 0)), 0) as TotalAmount,
+                        ISNULL(SUM(tk.TicketCount), 0) as TotalItems
                     FROM ksf00691_team03.Ticket_Bookings tb
-                    LEFT JOIN ksf00691_team03.Tickets t ON tb.Booking_ID = t.Booking_ID
+                    OUTER APPLY (
+                        SELECT COUNT(*) as TicketCount
+                        FROM ksf00691_team03.Tickets t
+                        WHERE t.Booking_ID = tb.Booking_ID
+                    ) tk
+                    OUTER APPLY (
+                        SELECT SUM(o.Total_Amount) as ConcessionAmount
+                        FROM ksf00691_team03.Concession_Orders o
+                        WHERE o.Booking_ID = tb.Booking_ID AND o.Status <> 'Cancelled'
+                    ) co
                     WHERE CAST(tb.Booking_Date as DATE) >= CAST(@startDate as DATE)
                         AND CAST(tb.Booking_Date as DATE) <= CAST(@endDate as DATE)
                         AND tb.Status = 'Confirmed'
                 `);
 
-            // Simulate concession sales (bắp nước) - Giả lập vì chưa có bảng concession
+            // Doanh thu bắp nước: đơn đi kèm booking đã xác nhận và đơn bán lẻ tại quầy đã thanh toán
             const concessionRevenue = await pool.request()
                 .input('startDate', sql.DateTime, startDate)
                 .input('endDate', sql.DateTime, endDate)
                 .query(`
                     SELECT 
                         'Bắp nước' as Category,
-                        COUNT(DISTINCT tb.Booking_ID) * 0.6 as TotalTransactions,
-                        SUM(tb.Total_Amount) * 0.3 as TotalAmount,
-                        COUNT(DISTINCT tb.Booking_ID) * 1.8 as TotalItems
-                    FROM ksf00691_team03.Ticket_Bookings tb
-                    WHERE CAST(tb.Booking_Date as DATE) >= CAST(@startDate as DATE)
-                        AND CAST(tb.Booking_Date as DATE) <= CAST(@endDate as DATE)
-                        AND tb.Status = 'Confirmed'
+                        COUNT(o.Order_ID) as TotalTransactions,
+                        ISNULL(SUM(o.Total_Amount), 0) as TotalAmount,
+                        ISNULL(SUM(oi.ItemCount), 0) as TotalItems
+                    FROM ksf00691_team03.Concession_Orders o
+                    LEFT JOIN ksf00691_team03.Ticket_Bookings tb ON o.Booking_ID = tb.Booking_ID
+                    OUTER APPLY (
+                        SELECT SUM(i.Quantity) as ItemCount
+                        FROM ksf00691_team03.Concession_Order_Items i
+                        WHERE i.Order_ID = o.Order_ID
+                    ) oi
+                    WHERE o.Status <> 'Cancelled'
+                        AND (
+                            (o.Booking_ID IS NOT NULL AND tb.Status = 'Confirmed'
+                                AND CAST(tb.Booking_Date as DATE) >= CAST(@startDate as DATE)
+                                AND CAST(tb.Booking_Date as DATE) <= CAST(@endDate as DATE))
+                            OR
+                            (o.Booking_ID IS NULL AND o.Status = 'Paid'
+                                AND CAST(o.Created_At as DATE) >= CAST(@startDate as DATE)
+                                AND CAST(o.Created_At as DATE) <= CAST(@endDate as DATE))
+                        )
                 `);
 
             // Simulate advertising revenue (quảng cáo) - Giả lập
@@ -1,429 +1,1003 @@
-const { SeatLayout, Seat, Ticket, TicketBooking, sequelize } = require('../models');
+const { SeatLayout, Seat, Ticket, Showtime, CinemaRoom, SeatBookingRule, User } = require('../models');
 const { Op } = require('sequelize');
+const { format } = require('date-fns');
 const logger = require('../utils/logger');
+const seatLayoutService = require('./seatLayoutService');
+const refundPolicyService = require('./refundPolicyService');
+
+const { SEAT_RULE_CODE } = SeatBookingRule;
+const { SEAT_TYPE, ACCESSIBLE_SEAT_TYPES } = SeatLayout;
+
+// Nhân viên bán tại quầy được bán ghế tiếp cận trong thời gian giữ ghế (sau khi xác nhận khách cần hỗ trợ tiếp cận)
+const ACCESSIBLE_SALE_ROLES = ['Staff', 'Admin', 'Manager'];
 
 /**
  * SEAT BOOKING RULES SERVICE
- * Xử lý các quy tắc nghiệp vụ khi đặt ghế rạp chiếu phim
- * 
- * PRIORITY 1 RULES:
- * 1. Adjacent Seat Rule - Ghế phải liền kề nhau
- * 2. Gap Prevention Rule - Không để trống ghế lẻ
+ * Bộ máy quy tắc đặt ghế, cấu hình được theo rạp và loại phòng.
+ *
+ * Mỗi quy tắc có trạng thái bật/tắt và tham số mặc định (RULE_DEFINITIONS). Admin / Manager ghi đè bằng các dòng
+ * Seat_Booking_Rules có phạm vi Cinema_ID / Room_Type (null = mọi giá trị). Khi đánh giá một suất chiếu, dòng cụ thể nhất
+ * thắng: rạp + loại phòng > rạp > loại phòng > toàn hệ thống > mặc định.
+ *
+ * Kết quả đánh giá có cấu trúc chung cho REST và socket:
+ *   { valid, rule, errorCode, message, violations: [{ rule, code, message, seats, suggestedSeats }], rulesChecked }
+ * rule / errorCode / message là của vi phạm đầu tiên để tương thích với client cũ.
  */
+
+// Kiểu tham số dùng để kiểm tra dữ liệu Admin nhập
+const PARAM_TYPE = {
+    POSITIVE_INTEGER: 'positiveInteger',
+    NON_NEGATIVE_INTEGER: 'nonNegativeInteger',
+    BOOLEAN: 'boolean',
+    STRING_ARRAY: 'stringArray'
+};
+
+const RULE_DEFINITIONS = {
+    [SEAT_RULE_CODE.MAX_SEATS_PER_BOOKING]: {
+        description: 'Số ghế tối đa mỗi lần đặt',
+        defaultEnabled: true,
+        defaultParameters: { maxSeats: 8 },
+        parameterTypes: { maxSeats: PARAM_TYPE.POSITIVE_INTEGER }
+    },
+    [SEAT_RULE_CODE.ADJACENT_SEATS]: {
+        description: 'Nhóm ghế phải liền kề nhau (cùng hàng hoặc các hàng liền kề)',
+        defaultEnabled: true,
+        defaultParameters: { maxSeatsPerRow: 8, allowMultipleRows: true },
+        parameterTypes: { maxSeatsPerRow: PARAM_TYPE.POSITIVE_INTEGER, allowMultipleRows: PARAM_TYPE.BOOLEAN }
+    },
+    [SEAT_RULE_CODE.GAP_PREVENTION]: {
+        description: 'Không để lại khoảng trống nhỏ hơn minGapSize ghế giữa nhóm được chọn và ghế đã có người',
+        defaultEnabled: true,
+        defaultParameters: { minGapSize: 2 },
+        parameterTypes: { minGapSize: PARAM_TYPE.POSITIVE_INTEGER }
+    },
+    [SEAT_RULE_CODE.AISLE_ORPHAN]: {
+        description: 'Không để lại khoảng trống nhỏ hơn minGapSize ghế giữa nhóm được chọn và lối đi / cuối hàng',
+        defaultEnabled: true,
+        defaultParameters: { minGapSize: 2 },
+        parameterTypes: { minGapSize: PARAM_TYPE.POSITIVE_INTEGER }
+    },
+    [SEAT_RULE_CODE.SOCIAL_DISTANCING]: {
+        description: 'Giãn cách seatsBetweenGroups ghế trong hàng và rowsBetweenGroups hàng với nhóm khách khác',
+        defaultEnabled: false,
+        defaultParameters: { seatsBetweenGroups: 1, rowsBetweenGroups: 0 },
+        parameterTypes: { seatsBetweenGroups: PARAM_TYPE.POSITIVE_INTEGER, rowsBetweenGroups: PARAM_TYPE.NON_NEGATIVE_INTEGER }
+    },
+    [SEAT_RULE_CODE.COUPLE_SEAT_PAIRS]: {
+        description: 'Ghế đôi phải được bán theo cặp',
+        defaultEnabled: true,
+        defaultParameters: { seatTypes: ['Đôi', 'Couple'] },
+        parameterTypes: { seatTypes: PARAM_TYPE.STRING_ARRAY }
+    },
+    [SEAT_RULE_CODE.COMPANION_SEATS]: {
+        description: 'Ghế đi kèm chỉ được bán cùng chỗ xe lăn sát bên trong cùng một lần đặt',
+        defaultEnabled: true,
+        defaultParameters: {},
+        parameterTypes: {}
+    },
+    [SEAT_RULE_CODE.ACCESSIBLE_HOLDBACK]: {
+        description: 'Chỗ xe lăn và ghế đi kèm chỉ bán tại quầy cho khách cần hỗ trợ tiếp cận cho tới releaseMinutesBeforeShow phút trước giờ chiếu',
+        defaultEnabled: true,
+        defaultParameters: { releaseMinutesBeforeShow: 120 },
+        parameterTypes: { releaseMinutesBeforeShow: PARAM_TYPE.NON_NEGATIVE_INTEGER }
+    }
+};
+
+function _createError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
 class SeatBookingRulesService {
+    constructor() {
+        this.logger = logger;
+        this.RULE_DEFINITIONS = RULE_DEFINITIONS;
+
+        // Cấu hình quy tắc được đọc ở mỗi lần chọn / đặt ghế; node khác nhận thay đổi sau tối đa ruleCacheMs
+        this.ruleCache = null;
+        this.ruleCacheMs = 30000;
+
+        // Rạp / loại phòng của suất chiếu: { showtimeId: { context, expiresAt } }
+        this.showtimeContextCache = new Map();
+        this.showtimeContextCacheMs = 60000;
+
+        this.ruleHandlers = {
+            [SEAT_RULE_CODE.MAX_SEATS_PER_BOOKING]: this._checkMaxSeats,
+            [SEAT_RULE_CODE.ADJACENT_SEATS]: this._checkAdjacentSeats,
+            [SEAT_RULE_CODE.GAP_PREVENTION]: this._checkGapPrevention,
+            [SEAT_RULE_CODE.AISLE_ORPHAN]: this._checkAisleOrphan,
+            [SEAT_RULE_CODE.SOCIAL_DISTANCING]: this._checkSocialDistancing,
+            [SEAT_RULE_CODE.COUPLE_SEAT_PAIRS]: this._checkCoupleSeatPairs,
+            [SEAT_RULE_CODE.COMPANION_SEATS]: this._checkCompanionSeats,
+            [SEAT_RULE_CODE.ACCESSIBLE_HOLDBACK]: this._checkAccessibleHoldback
+        };
+    }
+
+    // =================== CẤU HÌNH QUY TẮC ===================
 
     /**
-     * 🔴 PRIORITY 1: ADJACENT SEAT RULE
-     * Validate ghế phải liền kề nhau khi đặt >= 2 ghế
+     * Danh sách quy tắc hỗ trợ kèm tham số mặc định
      */
-    async validateAdjacentSeats(selectedLayoutIds, showtimeId, transaction = null) {
-        try {
-            logger.info(`[validateAdjacentSeats] Kiểm tra ghế liền kề cho ${selectedLayoutIds.length} ghế`);
-
-            // Nếu chỉ đặt 1 ghế, không cần kiểm tra liền kề
-            if (selectedLayoutIds.length <= 1) {
-                return {
-                    valid: true,
-                    message: 'Chỉ 1 ghế được chọn, không cần kiểm tra liền kề'
-                };
-            }
+    getRuleDefinitions() {
+        return Object.entries(RULE_DEFINITIONS).map(([ruleCode, definition]) => ({
+            ruleCode,
+            description: definition.description,
+            defaultEnabled: definition.defaultEnabled,
+            defaultParameters: definition.defaultParameters,
+            parameterTypes: definition.parameterTypes
+        }));
+    }
 
-            // Lấy thông tin layout của các ghế được chọn
-            const selectedLayouts = await SeatLayout.findAll({
-                where: {
-                    Layout_ID: { [Op.in]: selectedLayoutIds },
-                    Is_Active: true
-                },
-                attributes: ['Layout_ID', 'Row_Label', 'Column_Number', 'Cinema_Room_ID'],
-                transaction
-            });
+    /**
+     * Bộ quy tắc hiệu lực cho một rạp / loại phòng
+     * @returns {Object} { cinemaId, roomType, rules: { RULE_CODE: { enabled, parameters, source, seatRuleId } } }
+     */
+    async getRuleSet({ cinemaId = null, roomType = null } = {}) {
+        const configs = await this._getRuleConfigs();
+        const rules = {};
 
-            if (selectedLayouts.length !== selectedLayoutIds.length) {
-                throw new Error('Một số ghế không tồn tại hoặc không hoạt động');
-            }
+        Object.entries(RULE_DEFINITIONS).forEach(([ruleCode, definition]) => {
+            // Chỉ xét dòng có phạm vi khớp; dòng cụ thể nhất (rạp nặng hơn loại phòng) thắng
+            const best = configs
+                .filter(config => config.Rule_Code === ruleCode)
+                .filter(config => config.Cinema_ID === null || (cinemaId !== null && Number(config.Cinema_ID) === Number(cinemaId)))
+                .filter(config => config.Room_Type === null || (roomType && config.Room_Type === roomType))
+                .map(config => ({ config, score: (config.Cinema_ID !== null ? 2 : 0) + (config.Room_Type !== null ? 1 : 0) }))
+                .sort((a, b) => b.score - a.score)[0];
 
-            // Kiểm tra tất cả ghế cùng phòng chiếu
-            const roomIds = [...new Set(selectedLayouts.map(l => l.Cinema_Room_ID))];
-            if (roomIds.length > 1) {
-                return {
-                    valid: false,
-                    errorCode: 'DIFFERENT_ROOMS',
-                    message: 'Tất cả ghế phải trong cùng một phòng chiếu'
+            if (!best) {
+                rules[ruleCode] = {
+                    enabled: definition.defaultEnabled,
+                    parameters: { ...definition.defaultParameters },
+                    source: 'default',
+                    seatRuleId: null
                 };
+                return;
             }
 
-            // Nhóm ghế theo hàng
-            const seatsByRow = this._groupSeatsByRow(selectedLayouts);
+            rules[ruleCode] = {
+                enabled: best.config.Is_Enabled,
+                parameters: { ...definition.defaultParameters, ...this._parseParameters(best.config.Parameters) },
+                source: ['global', 'roomType', 'cinema', 'cinema+roomType'][best.score],
+                seatRuleId: best.config.Seat_Rule_ID
+            };
+        });
 
-            // Validate từng hàng
-            for (const [rowLabel, seats] of Object.entries(seatsByRow)) {
-                const rowValidation = this._validateSingleRowAdjacency(seats, rowLabel);
-                if (!rowValidation.valid) {
-                    return rowValidation;
-                }
-            }
+        return { cinemaId, roomType, rules };
+    }
 
-            // Kiểm tra multiple rows (nếu có)
-            if (Object.keys(seatsByRow).length > 1) {
-                const multiRowValidation = this._validateMultipleRowsAdjacency(seatsByRow);
-                if (!multiRowValidation.valid) {
-                    return multiRowValidation;
-                }
-            }
+    /**
+     * Bộ quy tắc hiệu lực cho suất chiếu (theo rạp và loại phòng của phòng chiếu)
+     */
+    async getRuleSetForShowtime(showtimeId, transaction = null) {
+        const context = await this._getShowtimeContext(showtimeId, transaction);
+        const ruleSet = await this.getRuleSet({ cinemaId: context.cinemaId, roomType: context.roomType });
+        return { ...ruleSet, showtimeId: Number(showtimeId), cinemaRoomId: context.cinemaRoomId, showStartsAt: context.showStartsAt };
+    }
 
-            logger.info(`[validateAdjacentSeats] ✅ Tất cả ghế đều liền kề hợp lệ`);
-            return {
-                valid: true,
-                message: 'Tất cả ghế được chọn đều liền kề nhau'
+    /**
+     * Trạng thái giữ ghế tiếp cận của suất chiếu
+     * @returns {Object} { active, releaseAt } - active = chỗ xe lăn / ghế đi kèm chưa mở bán rộng rãi
+     */
+    async getAccessibleHoldback(showtimeId) {
+        const ruleSet = await this.getRuleSetForShowtime(showtimeId);
+        const releaseAt = this._getAccessibleReleaseAt(ruleSet);
+        return { active: !!releaseAt && Date.now() < releaseAt.getTime(), releaseAt };
+    }
+
+    /**
+     * Bộ quy tắc mặc định (không đọc database), dùng khi nơi gọi không truyền bộ quy tắc
+     */
+    getDefaultRuleSet() {
+        const rules = {};
+        Object.entries(RULE_DEFINITIONS).forEach(([ruleCode, definition]) => {
+            rules[ruleCode] = {
+                enabled: definition.defaultEnabled,
+                parameters: { ...definition.defaultParameters },
+                source: 'default',
+                seatRuleId: null
             };
+        });
+        return { cinemaId: null, roomType: null, rules };
+    }
 
-        } catch (error) {
-            logger.error(`[validateAdjacentSeats] Lỗi:`, error);
-            throw error;
+    /**
+     * Các dòng cấu hình quy tắc cho màn hình quản lý. Manager chỉ thấy cấu hình chung và của rạp mình.
+     */
+    async listRuleConfigs(userId, role, { cinemaId } = {}) {
+        const where = {};
+        if (role === 'Manager') {
+            const managerCinemaId = await this._getManagerCinemaId(userId);
+            where.Cinema_ID = { [Op.or]: [null, managerCinemaId] };
+        } else if (cinemaId) {
+            where.Cinema_ID = { [Op.or]: [null, parseInt(cinemaId, 10)] };
         }
+
+        const configs = await SeatBookingRule.findAll({
+            where,
+            include: [{ model: User, as: 'Updater', attributes: ['User_ID', 'Full_Name'] }],
+            order: [['Rule_Code', 'ASC'], ['Cinema_ID', 'ASC'], ['Room_Type', 'ASC']]
+        });
+
+        return {
+            definitions: this.getRuleDefinitions(),
+            configs: configs.map(config => this._formatConfig(config))
+        };
     }
 
     /**
-     * 🔴 PRIORITY 1: GAP PREVENTION RULE  
-     * Validate không được tạo ra ghế trống lẻ (orphaned seats)
+     * Tạo hoặc cập nhật cấu hình một quy tắc cho phạm vi (rạp, loại phòng)
+     * @param {Object} payload - { ruleCode, cinemaId, roomType, enabled, parameters }
      */
-    async validateGapPrevention(selectedLayoutIds, showtimeId, transaction = null) {
-        try {
-            logger.info(`[validateGapPrevention] Kiểm tra ngăn chặn khoảng trống cho showtime ${showtimeId}`);
-
-            // Lấy thông tin layout của ghế được chọn
-            const selectedLayouts = await SeatLayout.findAll({
-                where: {
-                    Layout_ID: { [Op.in]: selectedLayoutIds },
-                    Is_Active: true
-                },
-                attributes: ['Layout_ID', 'Row_Label', 'Column_Number', 'Cinema_Room_ID'],
-                transaction
-            });
+    async upsertRuleConfig(payload, userId, role) {
+        const { ruleCode, enabled, parameters } = payload || {};
+        const definition = RULE_DEFINITIONS[ruleCode];
+        if (!definition) {
+            throw _createError(`Quy tắc không hợp lệ. Chỉ chấp nhận: ${Object.keys(RULE_DEFINITIONS).join(', ')}`, 400);
+        }
+        if (enabled !== undefined && typeof enabled !== 'boolean') {
+            throw _createError('Trạng thái bật/tắt (enabled) phải là true hoặc false', 400);
+        }
 
-            if (selectedLayouts.length === 0) {
-                throw new Error('Không tìm thấy ghế được chọn');
+        let cinemaId = payload.cinemaId !== undefined && payload.cinemaId !== null ? parseInt(payload.cinemaId, 10) : null;
+        if (cinemaId !== null && isNaN(cinemaId)) {
+            throw _createError('ID rạp không hợp lệ', 400);
+        }
+        if (role === 'Manager') {
+            const managerCinemaId = await this._getManagerCinemaId(userId);
+            if (cinemaId !== null && cinemaId !== managerCinemaId) {
+                throw _createError('Bạn chỉ có thể cấu hình quy tắc đặt ghế cho rạp của mình', 403);
             }
+            cinemaId = managerCinemaId;
+        }
 
-            const cinemaRoomId = selectedLayouts[0].Cinema_Room_ID;
-
-            // Lấy tất cả ghế trong phòng chiếu
-            const allLayouts = await SeatLayout.findAll({
-                where: {
-                    Cinema_Room_ID: cinemaRoomId,
-                    Is_Active: true
-                },
-                attributes: ['Layout_ID', 'Row_Label', 'Column_Number'],
-                order: [['Row_Label', 'ASC'], ['Column_Number', 'ASC']],
-                transaction
-            });
+        const roomType = payload.roomType ? String(payload.roomType).trim() : null;
+        if (roomType && roomType.length > 50) {
+            throw _createError('Loại phòng không được vượt quá 50 ký tự', 400);
+        }
 
-            // Lấy ghế đã được đặt trong suất chiếu này
-            const bookedLayouts = await this._getBookedLayoutIds(showtimeId, cinemaRoomId, transaction);
+        const normalizedParameters = this._validateParameters(ruleCode, parameters);
 
-            // Mô phỏng trạng thái sau khi đặt ghế
-            const futureBookedLayouts = new Set([...bookedLayouts, ...selectedLayoutIds]);
+        const existing = await SeatBookingRule.findOne({
+            where: { Rule_Code: ruleCode, Cinema_ID: cinemaId, Room_Type: roomType || null }
+        });
 
-            // Kiểm tra gap prevention cho từng hàng
-            const seatsByRow = this._groupAllSeatsByRow(allLayouts);
-            
-            for (const [rowLabel, seats] of Object.entries(seatsByRow)) {
-                const gapValidation = this._validateRowGapPrevention(
-                    seats, 
-                    futureBookedLayouts, 
-                    selectedLayoutIds,
-                    rowLabel
-                );
-                
-                if (!gapValidation.valid) {
-                    return gapValidation;
-                }
+        let config;
+        if (existing) {
+            await existing.update({
+                Is_Enabled: enabled !== undefined ? enabled : existing.Is_Enabled,
+                Parameters: parameters !== undefined
+                    ? JSON.stringify(normalizedParameters)
+                    : existing.Parameters,
+                Updated_By: userId,
+                Updated_At: new Date()
+            });
+            config = existing;
+        } else {
+            config = await SeatBookingRule.create({
+                Rule_Code: ruleCode,
+                Cinema_ID: cinemaId,
+                Room_Type: roomType || null,
+                Is_Enabled: enabled !== undefined ? enabled : definition.defaultEnabled,
+                Parameters: JSON.stringify(normalizedParameters),
+                Updated_By: userId,
+                Created_At: new Date(),
+                Updated_At: new Date()
+            });
+        }
+
+        this.ruleCache = null;
+        this.logger.info(`[upsertRuleConfig] User ${userId} cấu hình quy tắc ${ruleCode} (rạp: ${cinemaId ?? 'tất cả'}, loại phòng: ${roomType || 'tất cả'})`);
+        return { config: this._formatConfig(config), created: !existing };
+    }
+
+    /**
+     * Xóa cấu hình ghi đè, phạm vi đó quay về cấu hình ít cụ thể hơn
+     */
+    async deleteRuleConfig(seatRuleId, userId, role) {
+        const config = await SeatBookingRule.findByPk(seatRuleId);
+        if (!config) {
+            throw _createError('Không tìm thấy cấu hình quy tắc', 404);
+        }
+        if (role === 'Manager') {
+            const managerCinemaId = await this._getManagerCinemaId(userId);
+            if (config.Cinema_ID === null || Number(config.Cinema_ID) !== managerCinemaId) {
+                throw _createError('Bạn chỉ có thể xóa cấu hình quy tắc của rạp mình', 403);
             }
+        }
 
-            logger.info(`[validateGapPrevention] ✅ Không tạo ra khoảng trống không hợp lệ`);
-            return {
-                valid: true,
-                message: 'Việc đặt ghế không tạo ra khoảng trống không hợp lệ'
-            };
+        await config.destroy();
+        this.ruleCache = null;
+        this.logger.info(`[deleteRuleConfig] User ${userId} xóa cấu hình quy tắc ${config.Rule_Code} (ID ${seatRuleId})`);
+        return { seatRuleId: Number(seatRuleId) };
+    }
 
-        } catch (error) {
-            logger.error(`[validateGapPrevention] Lỗi:`, error);
-            throw error;
+    // =================== ĐÁNH GIÁ QUY TẮC ===================
+
+    /**
+     * Kiểm tra toàn bộ quy tắc cho nhóm ghế sắp đặt (đọc database, dùng khi chốt đặt vé)
+     * @param {Array<number>} selectedLayoutIds
+     * @param {Object} options - { userId, role, accessibilityRequested, excludeBookingId }
+     *   userId: ghế chính user đang giữ không bị tính là đã có người
+     *   role / accessibilityRequested: được đặt ghế tiếp cận trong thời gian giữ ghế (chỉ nhân viên, xem buildRequest)
+     *   excludeBookingId: vé của đơn này được xem là trống (đổi vé: ghế cũ được trả khi chuyển sang ghế mới)
+     */
+    async validateSeatBookingRules(selectedLayoutIds, showtimeId, transaction = null, options = {}) {
+        this.logger.info(`[validateSeatBookingRules] Bắt đầu validate rules cho ${selectedLayoutIds.length} ghế`);
+
+        const ruleSet = await this.getRuleSetForShowtime(showtimeId, transaction);
+        const roomLayouts = await this._getRoomLayouts(ruleSet.cinemaRoomId, transaction);
+
+        const layoutById = new Map(roomLayouts.map(layout => [layout.Layout_ID, layout]));
+        const selectedLayouts = selectedLayoutIds.map(layoutId => layoutById.get(Number(layoutId)));
+        if (selectedLayouts.some(layout => !layout)) {
+            return this._buildResult(ruleSet, [{
+                rule: 'SEAT_LAYOUT',
+                code: 'DIFFERENT_ROOMS',
+                message: 'Tất cả ghế phải thuộc phòng chiếu của suất chiếu và đang hoạt động',
+                seats: []
+            }]);
+        }
+
+        const occupied = await this.getOccupiedLayoutIds(showtimeId, roomLayouts, options.userId, transaction, options.excludeBookingId);
+        const result = this.evaluateCandidateSeats(selectedLayouts, roomLayouts, occupied, ruleSet, {
+            stopOnFirst: false,
+            request: this.buildRequest(ruleSet, options)
+        });
+
+        if (result.valid) {
+            this.logger.info(`[validateSeatBookingRules] ✅ Tất cả rules đều PASS`);
+        } else {
+            this.logger.info(`[validateSeatBookingRules] ❌ Vi phạm: ${result.violations.map(v => v.code).join(', ')}`);
         }
+        return result;
     }
 
     /**
-     * MASTER VALIDATION FUNCTION
-     * Gọi tất cả validation rules cho seat booking
+     * Kiểm tra trước nhóm ghế user định đặt (REST / socket), ghế người khác đang giữ cũng được tính là đã có người
+     * @param {Array<string|number>} seats - nhãn ghế ("A5") hoặc Layout_ID
+     * @param {Object} options - { role, accessibilityRequested }
      */
-    async validateSeatBookingRules(selectedLayoutIds, showtimeId, transaction = null) {
-        try {
-            logger.info(`[validateSeatBookingRules] Bắt đầu validate rules cho ${selectedLayoutIds.length} ghế`);
-
-            // 1. Validate Adjacent Seats
-            const adjacentResult = await this.validateAdjacentSeats(selectedLayoutIds, showtimeId, transaction);
-            if (!adjacentResult.valid) {
-                return {
-                    valid: false,
-                    rule: 'ADJACENT_SEATS',
-                    ...adjacentResult
-                };
-            }
+    async validateSeatSelection(showtimeId, seats, userId, options = {}) {
+        if (!Array.isArray(seats) || seats.length === 0) {
+            throw _createError('Vui lòng chọn ít nhất một ghế', 400);
+        }
 
-            // 2. Validate Gap Prevention
-            const gapResult = await this.validateGapPrevention(selectedLayoutIds, showtimeId, transaction);
-            if (!gapResult.valid) {
-                return {
-                    valid: false,
-                    rule: 'GAP_PREVENTION',
-                    ...gapResult
-                };
+        const showtime = await Showtime.findByPk(showtimeId, { attributes: ['Showtime_ID'] });
+        if (!showtime) {
+            throw _createError('Không tìm thấy suất chiếu', 404);
+        }
+
+        const ruleSet = await this.getRuleSetForShowtime(showtimeId);
+        const roomLayouts = await this._getRoomLayouts(ruleSet.cinemaRoomId);
+        const layoutById = new Map(roomLayouts.map(layout => [layout.Layout_ID, layout]));
+        const layoutByLabel = new Map(roomLayouts.map(layout => [this._seatLabel(layout), layout]));
+
+        const invalid = [];
+        const selectedLayouts = [];
+        [...new Set(seats.map(seat => String(seat).trim().toUpperCase()))].forEach(seat => {
+            const layout = /^\d+$/.test(seat) ? layoutById.get(parseInt(seat, 10)) : layoutByLabel.get(seat);
+            if (layout) {
+                selectedLayouts.push(layout);
+            } else {
+                invalid.push(seat);
             }
+        });
+        if (invalid.length > 0) {
+            throw _createError(`Ghế không thuộc phòng chiếu của suất này hoặc đã ngừng hoạt động: ${invalid.join(', ')}`, 400);
+        }
 
-            logger.info(`[validateSeatBookingRules] ✅ Tất cả rules đều PASS`);
-            return {
-                valid: true,
-                message: 'Tất cả quy tắc đặt ghế đều hợp lệ',
-                rulesChecked: ['ADJACENT_SEATS', 'GAP_PREVENTION']
-            };
+        const occupied = await this.getOccupiedLayoutIds(showtimeId, roomLayouts, userId);
+        return {
+            showtimeId: Number(showtimeId),
+            seats: selectedLayouts.map(layout => this._seatLabel(layout)),
+            ...this.evaluateCandidateSeats(selectedLayouts, roomLayouts, occupied, ruleSet, {
+                stopOnFirst: false,
+                request: this.buildRequest(ruleSet, options)
+            })
+        };
+    }
 
-        } catch (error) {
-            logger.error(`[validateSeatBookingRules] Lỗi:`, error);
-            return {
-                valid: false,
-                rule: 'SYSTEM_ERROR',
-                errorCode: 'VALIDATION_ERROR',
-                message: `Lỗi khi kiểm tra quy tắc đặt ghế: ${error.message}`
-            };
+    /**
+     * Kiểm tra khi user giữ thêm một ghế (chọn từng ghế, trước khi đặt vé): giới hạn số ghế và giữ ghế tiếp cận
+     * @param {Object} options - { role, accessibilityRequested }
+     * @returns {Object} kết quả có cấu trúc như evaluateCandidateSeats
+     */
+    async checkSeatHold(showtimeId, userId, seatId, options = {}) {
+        const ruleSet = await this.getRuleSetForShowtime(showtimeId);
+        const violations = [];
+
+        const maxSeatsRule = ruleSet.rules[SEAT_RULE_CODE.MAX_SEATS_PER_BOOKING];
+        if (maxSeatsRule.enabled) {
+            const seatCacheService = require('./seatCacheService');
+            const heldSeats = (await seatCacheService.getUserHeldSeats(userId))
+                .filter(seat => String(seat.showtimeId) === String(showtimeId) && seat.seatId !== seatId);
+
+            if (heldSeats.length + 1 > maxSeatsRule.parameters.maxSeats) {
+                violations.push({
+                    rule: SEAT_RULE_CODE.MAX_SEATS_PER_BOOKING,
+                    code: 'MAX_SEATS_EXCEEDED',
+                    message: `Mỗi lần đặt tối đa ${maxSeatsRule.parameters.maxSeats} ghế`,
+                    seats: [seatId],
+                    maxSeats: maxSeatsRule.parameters.maxSeats
+                });
+            }
         }
+
+        const holdbackRule = ruleSet.rules[SEAT_RULE_CODE.ACCESSIBLE_HOLDBACK];
+        if (holdbackRule.enabled) {
+            const layout = (await this._getRoomLayouts(ruleSet.cinemaRoomId)).find(l => this._seatLabel(l) === seatId);
+            if (layout) {
+                const context = { selected: [layout], request: this.buildRequest(ruleSet, options) };
+                this._checkAccessibleHoldback(context, holdbackRule.parameters)
+                    .forEach(violation => violations.push({ rule: SEAT_RULE_CODE.ACCESSIBLE_HOLDBACK, ...violation }));
+            }
+        }
+
+        return this._buildResult(ruleSet, violations);
     }
 
-    // =================== HELPER METHODS ===================
+    /**
+     * Thông tin người đặt dùng cho các quy tắc phụ thuộc thời điểm và đối tượng (giữ ghế tiếp cận)
+     * @param {Object} ruleSet - bộ quy tắc của suất chiếu (có showStartsAt)
+     * @param {Object} options - { role, accessibilityRequested }
+     *   accessibilityRequested do client tự gửi nên chỉ được chấp nhận từ nhân viên (ACCESSIBLE_SALE_ROLES);
+     *   khách tự đặt không thể tự khai để mua chỗ xe lăn / ghế đi kèm đang được giữ
+     */
+    buildRequest(ruleSet, { role = null, accessibilityRequested = false } = {}) {
+        const canSellAccessible = ACCESSIBLE_SALE_ROLES.includes(role);
+        return {
+            releaseAt: this._getAccessibleReleaseAt(ruleSet),
+            accessibilityRequested: canSellAccessible && accessibilityRequested === true,
+            canSellAccessible
+        };
+    }
 
     /**
-     * Nhóm ghế theo hàng (Row_Label)
+     * Đánh giá một tổ hợp ghế trên dữ liệu đã nạp sẵn (không truy vấn DB),
+     * dùng khi cần thử nhiều tổ hợp liên tiếp như chức năng chọn ghế tốt nhất.
+     * @param {Array} candidateLayouts - Layout của các ghế định chọn
+     * @param {Array} roomLayouts - Tất cả layout đang hoạt động của phòng (cần Seat_Type cho quy tắc ghế đôi)
+     * @param {Set<number>} occupiedLayoutIds - Layout_ID đã đặt, bị khóa hoặc đang được người khác giữ
+     * @param {Object} ruleSet - bộ quy tắc từ getRuleSet / getRuleSetForShowtime, mặc định là bộ quy tắc mặc định
+     * @param {Object} options - { stopOnFirst, request }
+     *   stopOnFirst: dừng ở vi phạm đầu tiên (mặc định true)
+     *   request: thông tin người đặt từ buildRequest, thiếu thì bỏ qua quy tắc giữ ghế tiếp cận
      */
-    _groupSeatsByRow(layouts) {
-        const seatsByRow = {};
-        layouts.forEach(layout => {
-            if (!seatsByRow[layout.Row_Label]) {
-                seatsByRow[layout.Row_Label] = [];
-            }
-            seatsByRow[layout.Row_Label].push(layout);
-        });
+    evaluateCandidateSeats(candidateLayouts, roomLayouts, occupiedLayoutIds, ruleSet = null, { stopOnFirst = true, request = null } = {}) {
+        const activeRuleSet = ruleSet || this.getDefaultRuleSet();
+        const context = this._buildContext(candidateLayouts, roomLayouts, occupiedLayoutIds, activeRuleSet);
+        context.request = request;
 
-        // Sắp xếp ghế trong mỗi hàng theo Column_Number
-        Object.keys(seatsByRow).forEach(row => {
-            seatsByRow[row].sort((a, b) => a.Column_Number - b.Column_Number);
-        });
+        const violations = [];
+        for (const [ruleCode, rule] of Object.entries(activeRuleSet.rules)) {
+            if (!rule.enabled || !this.ruleHandlers[ruleCode]) continue;
+            const ruleViolations = this.ruleHandlers[ruleCode].call(this, context, rule.parameters);
+            ruleViolations.forEach(violation => violations.push({ rule: ruleCode, ...violation }));
+            if (stopOnFirst && violations.length > 0) break;
+        }
 
-        return seatsByRow;
+        return this._buildResult(activeRuleSet, violations);
     }
 
     /**
-     * Nhóm tất cả ghế theo hàng (cho gap prevention)
+     * Layout_ID không thể chọn: đã có vé trong suất chiếu, bị khóa cho suất chiếu hoặc đang được người khác giữ
+     * @param {number|null} userId - ghế chính user này đang giữ vẫn được xem là trống
+     * @param {number|null} excludeBookingId - vé của đơn này vẫn được xem là trống
      */
-    _groupAllSeatsByRow(allLayouts) {
-        const seatsByRow = {};
-        allLayouts.forEach(layout => {
-            if (!seatsByRow[layout.Row_Label]) {
-                seatsByRow[layout.Row_Label] = [];
-            }
-            seatsByRow[layout.Row_Label].push(layout);
+    async getOccupiedLayoutIds(showtimeId, roomLayouts, userId, transaction = null, excludeBookingId = null) {
+        const occupied = new Set();
+
+        const tickets = await Ticket.findAll({
+            where: {
+                Showtime_ID: showtimeId,
+                Status: { [Op.notIn]: ['Cancelled', 'Expired'] },
+                ...(excludeBookingId ? { Booking_ID: { [Op.ne]: excludeBookingId } } : {})
+            },
+            attributes: ['Ticket_ID'],
+            include: [{ model: Seat, as: 'Seat', attributes: ['Layout_ID'] }],
+            transaction
+        });
+        tickets.forEach(ticket => {
+            if (ticket.Seat?.Layout_ID) occupied.add(ticket.Seat.Layout_ID);
         });
 
-        // Sắp xếp ghế trong mỗi hàng theo Column_Number
-        Object.keys(seatsByRow).forEach(row => {
-            seatsByRow[row].sort((a, b) => a.Column_Number - b.Column_Number);
+        const showtimeSeatBlockService = require('./showtimeSeatBlockService');
+        const blockedLayoutMap = await showtimeSeatBlockService.getBlockedLayoutMap(showtimeId);
+        blockedLayoutMap.forEach((block, layoutId) => occupied.add(layoutId));
+
+        const seatCacheService = require('./seatCacheService');
+        const layoutIdByLabel = new Map(roomLayouts.map(l => [this._seatLabel(l), l.Layout_ID]));
+        const cachedSeats = await seatCacheService.getShowtimeSeats(showtimeId);
+        Object.entries(cachedSeats || {}).forEach(([seatLabel, seatData]) => {
+            if (seatData && userId && String(seatData.userId) === String(userId) && seatData.status === 'selecting') return;
+            const layoutId = layoutIdByLabel.get(seatLabel);
+            if (layoutId) occupied.add(layoutId);
         });
 
-        return seatsByRow;
+        return occupied;
     }
 
-    /**
-     * Validate ghế liền kề trong 1 hàng
-     */
-    _validateSingleRowAdjacency(seats, rowLabel) {
-        if (seats.length <= 1) return { valid: true };
-
-        const columns = seats.map(s => s.Column_Number).sort((a, b) => a - b);
-        
-        // Kiểm tra các ghế có liên tiếp không
-        for (let i = 1; i < columns.length; i++) {
-            const gap = columns[i] - columns[i-1];
-            if (gap > 1) {
+    // =================== CÁC QUY TẮC ===================
+
+    _checkMaxSeats(context, { maxSeats }) {
+        if (context.selected.length <= maxSeats) return [];
+        return [{
+            code: 'MAX_SEATS_EXCEEDED',
+            message: `Mỗi lần đặt tối đa ${maxSeats} ghế (đang chọn ${context.selected.length} ghế)`,
+            seats: context.selected.map(layout => this._seatLabel(layout)),
+            maxSeats
+        }];
+    }
+
+    _checkAdjacentSeats(context, { maxSeatsPerRow, allowMultipleRows }) {
+        const violations = [];
+        const seatsByRow = this._groupSeatsByRow(context.selected);
+        const selectedRows = Object.keys(seatsByRow);
+
+        for (const [rowLabel, seats] of Object.entries(seatsByRow)) {
+            if (seats.length > maxSeatsPerRow) {
+                violations.push({
+                    code: 'TOO_MANY_SEATS_PER_ROW',
+                    message: `Hàng ${rowLabel} có ${seats.length} ghế được chọn (tối đa ${maxSeatsPerRow} ghế/hàng)`,
+                    seats: seats.map(layout => this._seatLabel(layout)),
+                    rowLabel
+                });
+            }
+
+            for (let i = 1; i < seats.length; i++) {
+                const previousEndColumn = seatLayoutService.getEndColumn(seats[i - 1]);
+                if (seats[i].Column_Number - previousEndColumn <= 1) continue;
                 const missingSeats = [];
-                for (let col = columns[i-1] + 1; col < columns[i]; col++) {
+                for (let col = previousEndColumn + 1; col < seats[i].Column_Number; col++) {
                     missingSeats.push(`${rowLabel}${col}`);
                 }
-                
-                return {
-                    valid: false,
-                    errorCode: 'NOT_ADJACENT',
+                violations.push({
+                    code: 'NOT_ADJACENT',
                     message: `Ghế trong hàng ${rowLabel} không liền kề. Thiếu ghế: ${missingSeats.join(', ')}`,
+                    seats: seats.map(layout => this._seatLabel(layout)),
                     suggestedSeats: missingSeats,
                     rowLabel
-                };
+                });
+                break;
             }
         }
 
-        return { valid: true };
+        if (selectedRows.length > 1) {
+            if (!allowMultipleRows) {
+                violations.push({
+                    code: 'MULTIPLE_ROWS_NOT_ALLOWED',
+                    message: 'Các ghế trong một lần đặt phải nằm cùng một hàng',
+                    seats: context.selected.map(layout => this._seatLabel(layout))
+                });
+            } else {
+                // Các hàng được chọn phải nối tiếp nhau theo thứ tự hàng của phòng chiếu
+                const rowIndexes = selectedRows.map(rowLabel => context.rowIndex.get(rowLabel)).sort((a, b) => a - b);
+                for (let i = 1; i < rowIndexes.length; i++) {
+                    if (rowIndexes[i] - rowIndexes[i - 1] > 1) {
+                        const prevRow = context.rowOrder[rowIndexes[i - 1]];
+                        const currentRow = context.rowOrder[rowIndexes[i]];
+                        violations.push({
+                            code: 'NON_ADJACENT_ROWS',
+                            message: `Hàng ${prevRow} và ${currentRow} không liền kề. Nhóm ghế nên ở các hàng liền kề nhau.`,
+                            seats: context.selected.map(layout => this._seatLabel(layout))
+                        });
+                        break;
+                    }
+                }
+            }
+        }
+
+        return violations;
     }
 
+    _checkGapPrevention(context, { minGapSize }) {
+        return this._findSmallGaps(context, minGapSize)
+            .filter(gap => !gap.atEdge)
+            .map(gap => ({
+                code: gap.seats.length === 1 ? 'ORPHANED_SEAT' : 'SMALL_GAP',
+                message: gap.seats.length === 1
+                    ? `Không thể để ghế ${gap.seats[0]} trống lẻ. Vui lòng chọn thêm ghế này.`
+                    : `Không thể để ${gap.seats.length} ghế ${gap.seats.join(', ')} trống giữa hai nhóm ghế`,
+                seats: gap.seats,
+                suggestedSeats: gap.seats,
+                rowLabel: gap.rowLabel,
+                gapSize: gap.seats.length
+            }));
+    }
+
+    _checkAisleOrphan(context, { minGapSize }) {
+        return this._findSmallGaps(context, minGapSize)
+            .filter(gap => gap.atEdge)
+            .map(gap => ({
+                code: 'AISLE_ORPHAN_SEAT',
+                message: `Không thể để ${gap.seats.length === 1 ? `ghế ${gap.seats[0]}` : `ghế ${gap.seats.join(', ')}`} trống lẻ sát lối đi hoặc cuối hàng. Vui lòng chọn thêm hoặc dời nhóm ghế.`,
+                seats: gap.seats,
+                suggestedSeats: gap.seats,
+                rowLabel: gap.rowLabel,
+                gapSize: gap.seats.length
+            }));
+    }
+
+    _checkSocialDistancing(context, { seatsBetweenGroups, rowsBetweenGroups }) {
+        const tooClose = [];
+        const neighbours = new Set();
+
+        context.selected.forEach(layout => {
+            const rowIndex = context.rowIndex.get(layout.Row_Label);
+            let close = false;
+            for (let offset = -rowsBetweenGroups; offset <= rowsBetweenGroups; offset++) {
+                const rowSeats = context.rows.get(context.rowOrder[rowIndex + offset]) || [];
+                rowSeats.forEach(other => {
+                    if (!context.occupied.has(other.Layout_ID) || context.selectedIds.has(other.Layout_ID)) return;
+                    if (Math.abs(other.Column_Number - layout.Column_Number) <= seatsBetweenGroups) {
+                        close = true;
+                        neighbours.add(this._seatLabel(other));
+                    }
+                });
+            }
+            if (close) tooClose.push(this._seatLabel(layout));
+        });
+
+        if (tooClose.length === 0) return [];
+        return [{
+            code: 'SOCIAL_DISTANCE_VIOLATION',
+            message: `Ghế ${tooClose.join(', ')} quá gần khách khác (${[...neighbours].join(', ')}). Cần cách ít nhất ${seatsBetweenGroups} ghế${rowsBetweenGroups > 0 ? ` và ${rowsBetweenGroups} hàng` : ''}.`,
+            seats: tooClose,
+            nearbySeats: [...neighbours]
+        }];
+    }
+
+    _checkCoupleSeatPairs(context, { seatTypes }) {
+        const violations = [];
+
+        context.selected.forEach(layout => {
+            if (!seatTypes.includes(layout.Seat_Type)) return;
+            const partner = context.couplePartner.get(layout.Layout_ID);
+            if (!partner || context.selectedIds.has(partner.Layout_ID)) return;
+
+            const partnerLabel = this._seatLabel(partner);
+            const partnerTaken = context.occupied.has(partner.Layout_ID);
+            violations.push({
+                code: 'COUPLE_SEAT_UNPAIRED',
+                message: partnerTaken
+                    ? `Ghế đôi ${this._seatLabel(layout)} phải bán cùng ghế ${partnerLabel}, nhưng ghế này không còn trống`
+                    : `Ghế đôi ${this._seatLabel(layout)} phải được đặt cùng ghế ${partnerLabel}`,
+                seats: [this._seatLabel(layout)],
+                suggestedSeats: partnerTaken ? [] : [partnerLabel]
+            });
+        });
+
+        return violations;
+    }
+
+    _checkCompanionSeats(context) {
+        const violations = [];
+
+        context.selected.forEach(layout => {
+            if (layout.Seat_Type !== SEAT_TYPE.COMPANION) return;
+            const wheelchair = context.companionPartner.get(layout.Layout_ID);
+            if (wheelchair && context.selectedIds.has(wheelchair.Layout_ID)) return;
+
+            const wheelchairLabel = wheelchair ? this._seatLabel(wheelchair) : null;
+            const wheelchairFree = wheelchair && !context.occupied.has(wheelchair.Layout_ID);
+            violations.push({
+                code: 'COMPANION_WITHOUT_WHEELCHAIR',
+                message: wheelchair
+                    ? `Ghế đi kèm ${this._seatLabel(layout)} chỉ được bán cùng chỗ xe lăn ${wheelchairLabel}${wheelchairFree ? '' : ', nhưng chỗ này không còn trống'}`
+                    : `Ghế đi kèm ${this._seatLabel(layout)} không có chỗ xe lăn đi cùng nên không thể bán`,
+                seats: [this._seatLabel(layout)],
+                suggestedSeats: wheelchairFree ? [wheelchairLabel] : []
+            });
+        });
+
+        return violations;
+    }
+
+    _checkAccessibleHoldback(context) {
+        const { request } = context;
+        if (!request || !request.releaseAt || request.canSellAccessible || request.accessibilityRequested) return [];
+        if (Date.now() >= request.releaseAt.getTime()) return [];
+
+        const heldBack = context.selected.filter(layout => ACCESSIBLE_SEAT_TYPES.includes(layout.Seat_Type));
+        if (heldBack.length === 0) return [];
+
+        return [{
+            code: 'ACCESSIBLE_SEAT_HELD_BACK',
+            message: `Ghế ${heldBack.map(layout => this._seatLabel(layout)).join(', ')} dành cho khách cần hỗ trợ tiếp cận, mở bán rộng rãi từ ${format(request.releaseAt, 'HH:mm dd/MM/yyyy')}`,
+            seats: heldBack.map(layout => this._seatLabel(layout)),
+            releaseAt: request.releaseAt
+        }];
+    }
+
+    // =================== HELPER METHODS ===================
+
     /**
-     * Validate ghế liền kề giữa nhiều hàng
+     * Dữ liệu dùng chung cho các quy tắc: hàng ghế sắp theo cột, thứ tự hàng, ghế không còn bán được sau khi đặt
      */
-    _validateMultipleRowsAdjacency(seatsByRow) {
-        const rowLabels = Object.keys(seatsByRow).sort();
-        
-        // Kiểm tra các hàng có liền kề nhau không (A, B, C...)
-        for (let i = 1; i < rowLabels.length; i++) {
-            const currentRow = rowLabels[i];
-            const prevRow = rowLabels[i-1];
-            
-            // Kiểm tra các hàng có liên tiếp trong alphabet không
-            if (currentRow.charCodeAt(0) - prevRow.charCodeAt(0) > 1) {
-                return {
-                    valid: false,
-                    errorCode: 'NON_ADJACENT_ROWS',
-                    message: `Hàng ${prevRow} và ${currentRow} không liền kề. Nhóm ghế nên ở các hàng liền kề nhau.`,
-                    suggestion: 'Vui lòng chọn ghế trong cùng một hàng hoặc các hàng liền kề'
-                };
-            }
+    _buildContext(candidateLayouts, roomLayouts, occupiedLayoutIds, ruleSet) {
+        const selectedIds = new Set(candidateLayouts.map(layout => layout.Layout_ID));
+        const occupied = new Set([...occupiedLayoutIds].filter(layoutId => !selectedIds.has(layoutId)));
+
+        const rows = new Map(Object.entries(this._groupSeatsByRow(roomLayouts)));
+        const rowOrder = [...rows.keys()].sort((a, b) => a.length - b.length || a.localeCompare(b));
+        const rowIndex = new Map(rowOrder.map((rowLabel, index) => [rowLabel, index]));
+
+        // Khi bật giãn cách, ghế nằm trong vùng giãn cách của một nhóm cũng không bán được
+        // nên không bị tính là ghế trống lẻ (khoảng cách bắt buộc giữa hai nhóm không phải là "khoảng trống")
+        // Chỗ xe lăn / ghế đi kèm là nhóm ghế riêng, ghế Sweetbox chiếm nhiều cột luôn bán được cho một cặp:
+        // không tính khi xét ghế trống lẻ của ghế thường
+        const unsellable = new Set([...occupied, ...selectedIds]);
+        roomLayouts
+            .filter(layout => ACCESSIBLE_SEAT_TYPES.includes(layout.Seat_Type) || (layout.Column_Span || 1) > 1)
+            .forEach(layout => unsellable.add(layout.Layout_ID));
+        const distancing = ruleSet.rules[SEAT_RULE_CODE.SOCIAL_DISTANCING];
+        if (distancing && distancing.enabled) {
+            const { seatsBetweenGroups } = distancing.parameters;
+            rows.forEach(rowSeats => {
+                rowSeats.forEach(seat => {
+                    if (!occupied.has(seat.Layout_ID) && !selectedIds.has(seat.Layout_ID)) return;
+                    rowSeats.forEach(other => {
+                        if (Math.abs(other.Column_Number - seat.Column_Number) <= seatsBetweenGroups) {
+                            unsellable.add(other.Layout_ID);
+                        }
+                    });
+                });
+            });
         }
 
-        // Kiểm tra số lượng ghế ở mỗi hàng hợp lý
-        for (const [rowLabel, seats] of Object.entries(seatsByRow)) {
-            if (seats.length > 8) {
-                return {
-                    valid: false,
-                    errorCode: 'TOO_MANY_SEATS_PER_ROW',
-                    message: `Hàng ${rowLabel} có ${seats.length} ghế được chọn (tối đa 8 ghế/hàng)`,
-                    suggestion: 'Vui lòng giảm số ghế trong mỗi hàng'
-                };
-            }
+        // Cặp ghế đôi: trong mỗi dãy ghế đôi liên tiếp, ghế được ghép theo thứ tự (1-2, 3-4, ...)
+        const couplePartner = new Map();
+        const coupleRule = ruleSet.rules[SEAT_RULE_CODE.COUPLE_SEAT_PAIRS];
+        if (coupleRule && coupleRule.enabled) {
+            rows.forEach(rowSeats => {
+                this._splitRowSegments(rowSeats).forEach(segment => {
+                    let run = [];
+                    const flush = () => {
+                        for (let i = 0; i + 1 < run.length; i += 2) {
+                            couplePartner.set(run[i].Layout_ID, run[i + 1]);
+                            couplePartner.set(run[i + 1].Layout_ID, run[i]);
+                        }
+                        run = [];
+                    };
+                    segment.forEach(seat => {
+                        if (coupleRule.parameters.seatTypes.includes(seat.Seat_Type)) {
+                            run.push(seat);
+                        } else {
+                            flush();
+                        }
+                    });
+                    flush();
+                });
+            });
         }
 
-        return { valid: true };
+        const companionRule = ruleSet.rules[SEAT_RULE_CODE.COMPANION_SEATS];
+        const companionPartner = companionRule && companionRule.enabled && candidateLayouts.some(layout => layout.Seat_Type === SEAT_TYPE.COMPANION)
+            ? seatLayoutService.getCompanionPairs(roomLayouts)
+            : new Map();
+
+        return { selected: candidateLayouts, selectedIds, occupied, unsellable, rows, rowOrder, rowIndex, couplePartner, companionPartner };
     }
 
     /**
-     * Lấy danh sách Layout_ID đã được đặt
+     * Khoảng ghế trống nhỏ hơn minGapSize nằm sát nhóm ghế được chọn.
+     * Lối đi (Column_Number không liên tiếp) chia hàng thành các đoạn; khoảng trống chạm đầu / cuối đoạn là atEdge.
      */
-    async _getBookedLayoutIds(showtimeId, cinemaRoomId, transaction) {
-        try {
-            const bookedTickets = await Ticket.findAll({
-                where: {
-                    Showtime_ID: showtimeId,
-                    Status: { [Op.notIn]: ['Cancelled', 'Expired'] }
-                },
-                include: [{
-                    model: Seat,
-                    as: 'Seat',
-                    include: [{
-                        model: SeatLayout,
-                        as: 'SeatLayout',
-                        where: {
-                            Cinema_Room_ID: cinemaRoomId,
-                            Is_Active: true
-                        }
-                    }]
-                }],
-                transaction
-            });
+    _findSmallGaps(context, minGapSize) {
+        const gaps = [];
+        const touchedRows = new Set(context.selected.map(layout => layout.Row_Label));
 
-            return bookedTickets
-                .filter(ticket => ticket.Seat && ticket.Seat.SeatLayout)
-                .map(ticket => ticket.Seat.SeatLayout.Layout_ID);
+        touchedRows.forEach(rowLabel => {
+            this._splitRowSegments(context.rows.get(rowLabel) || []).forEach(segment => {
+                let start = null;
+                for (let i = 0; i <= segment.length; i++) {
+                    const free = i < segment.length && !context.unsellable.has(segment[i].Layout_ID);
+                    if (free && start === null) start = i;
+                    if (free || start === null) continue;
 
-        } catch (error) {
-            logger.error('[_getBookedLayoutIds] Lỗi:', error);
-            return [];
-        }
+                    const left = segment[start - 1];
+                    const right = segment[i];
+                    const bordersSelection = (left && context.selectedIds.has(left.Layout_ID)) ||
+                        (right && context.selectedIds.has(right.Layout_ID));
+                    const size = i - start;
+
+                    // Cả đoạn trống (không chạm ghế nào) thì không phải khoảng trống do nhóm này tạo ra
+                    if (bordersSelection && size < minGapSize && (left || right)) {
+                        gaps.push({
+                            rowLabel,
+                            seats: segment.slice(start, i).map(seat => this._seatLabel(seat)),
+                            atEdge: !left || !right
+                        });
+                    }
+                    start = null;
+                }
+            });
+        });
+
+        return gaps;
     }
 
     /**
-     * Validate gap prevention cho 1 hàng
+     * Chia một hàng (đã sắp theo cột) thành các đoạn ghế liên tiếp, ngăn cách bởi lối đi.
+     * Ghế chiếm nhiều cột (Sweetbox) liền kề ghế bắt đầu ngay sau cột cuối của nó.
      */
-    _validateRowGapPrevention(rowSeats, futureBookedLayouts, selectedLayoutIds, rowLabel) {
-        // Tạo array trạng thái ghế trong hàng
-        const seatStatuses = rowSeats.map(seat => ({
-            layoutId: seat.Layout_ID,
-            column: seat.Column_Number,
-            willBeBooked: futureBookedLayouts.has(seat.Layout_ID),
-            isSelected: selectedLayoutIds.includes(seat.Layout_ID)
-        }));
+    _splitRowSegments(rowSeats) {
+        const segments = [];
+        rowSeats.forEach((seat, index) => {
+            if (index === 0 || seat.Column_Number !== seatLayoutService.getEndColumn(rowSeats[index - 1]) + 1) {
+                segments.push([]);
+            }
+            segments[segments.length - 1].push(seat);
+        });
+        return segments;
+    }
 
-        // Tìm các khoảng trống (gaps)
-        const gaps = this._findGapsInRow(seatStatuses);
-        
-        // Kiểm tra các gap có hợp lệ không
-        for (const gap of gaps) {
-            if (gap.size === 1) {
-                // Orphaned seat - không được phép
-                return {
-                    valid: false,
-                    errorCode: 'ORPHANED_SEAT',
-                    message: `Không thể để ghế ${rowLabel}${gap.columns[0]} trống lẻ. Vui lòng chọn thêm ghế này.`,
-                    suggestedSeats: [`${rowLabel}${gap.columns[0]}`],
-                    rowLabel,
-                    gapSize: gap.size
-                };
-            } else if (gap.size === 2) {
-                // 2 ghế trống giữa các nhóm - cảnh báo
-                logger.warn(`[Gap Detection] Hàng ${rowLabel} có 2 ghế trống liền kề: ${gap.columns.map(c => `${rowLabel}${c}`).join(', ')}`);
-                // Cho phép nhưng gợi ý
-                // return {
-                //     valid: false,
-                //     errorCode: 'SMALL_GAP',
-                //     message: `Nên đặt thêm 2 ghế ${gap.columns.map(c => `${rowLabel}${c}`).join(', ')} để tránh khoảng trống`,
-                //     suggestedSeats: gap.columns.map(c => `${rowLabel}${c}`),
-                //     rowLabel,
-                //     gapSize: gap.size,
-                //     isWarning: true
-                // };
+    /**
+     * Nhóm ghế theo hàng (Row_Label), ghế trong mỗi hàng sắp theo Column_Number
+     */
+    _groupSeatsByRow(layouts) {
+        const seatsByRow = {};
+        layouts.forEach(layout => {
+            if (!seatsByRow[layout.Row_Label]) {
+                seatsByRow[layout.Row_Label] = [];
             }
+            seatsByRow[layout.Row_Label].push(layout);
+        });
+
+        Object.keys(seatsByRow).forEach(row => {
+            seatsByRow[row].sort((a, b) => a.Column_Number - b.Column_Number);
+        });
+
+        return seatsByRow;
+    }
+
+    _buildResult(ruleSet, violations) {
+        const rulesChecked = Object.entries(ruleSet.rules)
+            .filter(([, rule]) => rule.enabled)
+            .map(([ruleCode]) => ruleCode);
+
+        if (violations.length === 0) {
+            return {
+                valid: true,
+                message: 'Tất cả quy tắc đặt ghế đều hợp lệ',
+                violations: [],
+                rulesChecked
+            };
         }
 
-        return { valid: true };
+        return {
+            valid: false,
+            rule: violations[0].rule,
+            errorCode: violations[0].code,
+            message: violations[0].message,
+            violations,
+            rulesChecked
+        };
     }
 
     /**
-     * Tìm các khoảng trống trong 1 hàng
+     * Thời điểm chỗ xe lăn / ghế đi kèm mở bán rộng rãi, null khi quy tắc giữ ghế tiếp cận đang tắt
      */
-    _findGapsInRow(seatStatuses) {
-        const gaps = [];
-        let currentGap = null;
-
-        for (let i = 0; i < seatStatuses.length; i++) {
-            const seat = seatStatuses[i];
-            
-            if (!seat.willBeBooked) {
-                // Ghế trống - bắt đầu hoặc tiếp tục gap
-                if (!currentGap) {
-                    currentGap = {
-                        columns: [seat.column],
-                        size: 1
-                    };
-                } else {
-                    currentGap.columns.push(seat.column);
-                    currentGap.size++;
-                }
-            } else {
-                // Ghế đã đặt - kết thúc gap (nếu có)
-                if (currentGap) {
-                    gaps.push(currentGap);
-                    currentGap = null;
-                }
+    _getAccessibleReleaseAt(ruleSet) {
+        const rule = ruleSet.rules[SEAT_RULE_CODE.ACCESSIBLE_HOLDBACK];
+        if (!rule || !rule.enabled || !ruleSet.showStartsAt) return null;
+        return new Date(ruleSet.showStartsAt.getTime() - rule.parameters.releaseMinutesBeforeShow * 60 * 1000);
+    }
+
+    _seatLabel(layout) {
+        return `${layout.Row_Label}${layout.Column_Number}`;
+    }
+
+    _parseParameters(raw) {
+        if (!raw) return {};
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            this.logger.warn(`[seatBookingRules] Tham số quy tắc không phải JSON hợp lệ, dùng tham số mặc định: ${raw}`);
+            return {};
+        }
+    }
+
+    /**
+     * Kiểm tra tham số Admin nhập theo kiểu khai báo trong RULE_DEFINITIONS
+     * @returns {Object} tham số đã chuẩn hóa (chỉ gồm các khóa được nhập)
+     */
+    _validateParameters(ruleCode, parameters) {
+        if (parameters === undefined || parameters === null) return {};
+        if (typeof parameters !== 'object' || Array.isArray(parameters)) {
+            throw _createError('Tham số quy tắc (parameters) phải là object', 400);
+        }
+
+        const { parameterTypes } = RULE_DEFINITIONS[ruleCode];
+        const normalized = {};
+        Object.entries(parameters).forEach(([key, value]) => {
+            const type = parameterTypes[key];
+            if (!type) {
+                throw _createError(`Quy tắc ${ruleCode} không có tham số '${key}'. Tham số hợp lệ: ${Object.keys(parameterTypes).join(', ')}`, 400);
+            }
+
+            const valid = {
+                [PARAM_TYPE.POSITIVE_INTEGER]: () => Number.isInteger(value) && value > 0,
+                [PARAM_TYPE.NON_NEGATIVE_INTEGER]: () => Number.isInteger(value) && value >= 0,
+                [PARAM_TYPE.BOOLEAN]: () => typeof value === 'boolean',
+                [PARAM_TYPE.STRING_ARRAY]: () => Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' && item.trim())
+            }[type]();
+            if (!valid) {
+                throw _createError(`Tham số '${key}' của quy tắc ${ruleCode} phải có kiểu ${type}`, 400);
             }
+            normalized[key] = type === PARAM_TYPE.STRING_ARRAY ? value.map(item => item.trim()) : value;
+        });
+        return normalized;
+    }
+
+    _formatConfig(config) {
+        return {
+            seatRuleId: config.Seat_Rule_ID,
+            ruleCode: config.Rule_Code,
+            cinemaId: config.Cinema_ID,
+            roomType: config.Room_Type,
+            enabled: config.Is_Enabled,
+            parameters: this._parseParameters(config.Parameters),
+            updatedBy: config.Updater
+                ? { userId: config.Updater.User_ID, fullName: config.Updater.Full_Name }
+                : { userId: config.Updated_By },
+            updatedAt: config.Updated_At || config.Created_At
+        };
+    }
+
+    async _getRuleConfigs() {
+        if (this.ruleCache && this.ruleCache.expiresAt > Date.now()) {
+            return this.ruleCache.configs;
         }
+        const configs = await SeatBookingRule.findAll({ raw: true });
+        this.ruleCache = { configs, expiresAt: Date.now() + this.ruleCacheMs };
+        return configs;
+    }
 
-        // Thêm gap cuối cùng (nếu có)
-        if (currentGap) {
-            gaps.push(currentGap);
+    async _getShowtimeContext(showtimeId, transaction = null) {
+        const key = Number(showtimeId);
+        const cached = this.showtimeContextCache.get(key);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.context;
         }
 
-        return gaps;
+        const showtime = await Showtime.findByPk(showtimeId, {
+            attributes: ['Showtime_ID', 'Cinema_Room_ID', 'Show_Date', 'Start_Time'],
+            include: [{ model: CinemaRoom, as: 'CinemaRoom', attributes: ['Cinema_Room_ID', 'Cinema_ID', 'Room_Type'] }],
+            transaction
+        });
+        if (!showtime) {
+            throw _createError('Không tìm thấy suất chiếu', 404);
+        }
+
+        const context = {
+            cinemaRoomId: showtime.Cinema_Room_ID,
+            cinemaId: showtime.CinemaRoom?.Cinema_ID ?? null,
+            roomType: showtime.CinemaRoom?.Room_Type || null,
+            showStartsAt: refundPolicyService.getShowtimeStart(showtime)
+        };
+        this.showtimeContextCache.set(key, { context, expiresAt: Date.now() + this.showtimeContextCacheMs });
+        return context;
+    }
+
+    async _getRoomLayouts(cinemaRoomId, transaction = null) {
+        const layouts = await SeatLayout.findAll({
+            where: { Cinema_Room_ID: cinemaRoomId, Is_Active: true },
+            attributes: ['Layout_ID', 'Row_Label', 'Column_Number', 'Seat_Type'],
+            raw: true,
+            transaction
+        });
+        return seatLayoutService.attachColumnSpans(layouts, transaction);
+    }
+
+    async _getManagerCinemaId(userId) {
+        const manager = await User.findByPk(userId, { attributes: ['User_ID', 'Cinema_ID'] });
+        if (!manager || !manager.Cinema_ID) {
+            throw _createError('Tài khoản quản lý chưa được gán rạp', 403);
+        }
+        return manager.Cinema_ID;
     }
 
     /**
@@ -433,12 +1007,13 @@ class SeatBookingRulesService {
         try {
             logger.info(`[getSeatRecommendations] Gợi ý ${requestedSeatCount} ghế cho showtime ${showtimeId}`);
 
-            // Implementation cho smart seat recommendations
-            // TODO: Implement trong phase 2
-            
+            // Thuật toán chấm điểm nằm ở bestAvailableSeatService (require muộn để tránh vòng lặp import)
+            const bestAvailableSeatService = require('./bestAvailableSeatService');
+            const result = await bestAvailableSeatService.findBestAvailable(showtimeId, { quantity: requestedSeatCount });
+
             return {
-                recommendations: [],
-                message: 'Tính năng gợi ý ghế sẽ được phát triển trong giai đoạn tiếp theo'
+                recommendations: [result.seats.map(s => s.seatId), ...result.alternatives.map(a => a.seats)],
+                message: 'Gợi ý được sắp xếp từ tốt nhất'
             };
 
         } catch (error) {
@@ -451,4 +1026,4 @@ class SeatBookingRulesService {
     }
 }
 
-module.exports = new SeatBookingRulesService(); 
\ No newline at end of file
+module.exports = new SeatBookingRulesService();
@@ -1,8 +1,79 @@
 // src/services/seatCacheService.js
 // Service quản lý cache Redis cho trạng thái ghế tạm thời
-
+//
+// Chạy nhiều instance (multi-node):
+// - Mỗi ghế đang giữ là một khóa phân tán `seat:<showtimeId>:<seatId>` có TTL. Việc giữ / bỏ / gia hạn / chốt ghế
+//   đều chạy bằng Lua script nên kiểm tra chủ sở hữu và ghi là một thao tác nguyên tử trên Redis,
+//   hai node không thể cùng giữ một ghế.
+// - Các tác vụ định kỳ (dọn ghế hết hạn) chỉ chạy trên node đang giữ lease `leader:<tên>` (tryAcquireLeadership).
+//   Node giữ lease chết thì lease hết hạn sau TTL và node khác tự nhận thay.
+//
+// Khi Redis không khả dụng (SEAT_LOCK_FALLBACK):
+// - 'reject' (mặc định): từ chối giữ / bỏ / gia hạn ghế với code SEAT_LOCK_UNAVAILABLE cho tới khi Redis kết nối lại.
+//   Trạng thái ghế chỉ đọc (getShowtimeSeats) vẫn trả về, ghế đã đặt vẫn được kiểm tra trong database.
+// - 'memory': giữ ghế trong bộ nhớ của tiến trình. CHỈ dùng khi chạy một instance duy nhất (development),
+//   vì mỗi node có bộ nhớ riêng nên hai node có thể giữ cùng một ghế.
+// Khi Redis lỗi giữa chừng, service không tự chuyển sang memory trừ khi đã cấu hình 'memory'.
+
+const os = require('os');
 const Redis = require('redis');
 
+// Giữ ghế: ghế trống hoặc đang thuộc chính user thì ghi đè kèm TTL, ngược lại trả 0
+const ACQUIRE_SEAT_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if current then
+    local ok, data = pcall(cjson.decode, current)
+    if not ok or tostring(data.userId) ~= ARGV[2] then
+        return 0
+    end
+end
+redis.call('SET', KEYS[1], ARGV[1], 'EX', tonumber(ARGV[3]))
+return 1
+`;
+
+// Xóa khóa nếu giá trị chưa bị thay đổi kể từ lúc đọc
+const COMPARE_AND_DELETE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+// Ghi giá trị mới nếu giá trị chưa bị thay đổi kể từ lúc đọc (ARGV[3] = TTL giây, 0 = không hết hạn)
+const COMPARE_AND_SET_SCRIPT = `
+if redis.call('GET', KEYS[1]) ~= ARGV[1] then
+    return 0
+end
+if tonumber(ARGV[3]) > 0 then
+    redis.call('SET', KEYS[1], ARGV[2], 'EX', tonumber(ARGV[3]))
+else
+    redis.call('SET', KEYS[1], ARGV[2])
+end
+return 1
+`;
+
+// Gia hạn TTL nếu giá trị chưa bị thay đổi kể từ lúc đọc
+const COMPARE_AND_EXPIRE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('EXPIRE', KEYS[1], tonumber(ARGV[2]))
+end
+return 0
+`;
+
+// Lease leader: nhận lease nếu trống, gia hạn nếu node này đang giữ
+const ACQUIRE_LEADER_SCRIPT = `
+local owner = redis.call('GET', KEYS[1])
+if not owner then
+    redis.call('SET', KEYS[1], ARGV[1], 'PX', tonumber(ARGV[2]))
+    return 1
+end
+if owner == ARGV[1] then
+    redis.call('PEXPIRE', KEYS[1], tonumber(ARGV[2]))
+    return 1
+end
+return 0
+`;
+
 class SeatCacheService {
     constructor() {
         // 🔧 REDIS MODE: Sử dụng Redis cache cho production
@@ -62,6 +133,16 @@ class SeatCacheService {
         // Timeout cho việc giữ ghế (5 phút)
         this.SEAT_HOLD_TIMEOUT = 5 * 60; // 5 minutes in seconds
 
+        // Hành vi khi Redis không khả dụng: 'reject' (mặc định) hoặc 'memory' (chỉ cho một instance)
+        this.lockFallbackMode = process.env.SEAT_LOCK_FALLBACK === 'memory' ? 'memory' : 'reject';
+        if (this.lockFallbackMode === 'memory') {
+            console.warn('⚠️ [CACHE] SEAT_LOCK_FALLBACK=memory: khi Redis lỗi ghế sẽ được giữ trong bộ nhớ, KHÔNG an toàn khi chạy nhiều instance');
+        }
+
+        // Định danh node cho lease leader
+        this.nodeId = `${os.hostname()}-${process.pid}`;
+        this.leaderships = new Set();
+
         console.log('✅ SeatCacheService đã được khởi tạo với Memory cache');
     }
 
@@ -144,10 +225,93 @@ class SeatCacheService {
         return `user_seats:${userId}`;
     }
 
+    /**
+     * Kết quả trả về khi không lấy được khóa ghế (Redis không khả dụng và SEAT_LOCK_FALLBACK=reject)
+     */
+    lockUnavailableResult() {
+        return {
+            success: false,
+            code: 'SEAT_LOCK_UNAVAILABLE',
+            message: 'Hệ thống giữ ghế đang tạm gián đoạn, vui lòng thử lại sau giây lát'
+        };
+    }
+
+    /**
+     * Chỉ dùng memory khi đã cấu hình SEAT_LOCK_FALLBACK=memory, ngược lại từ chối thay vì giữ ghế cục bộ
+     */
+    fallbackOrReject(memoryFn) {
+        if (this.lockFallbackMode === 'memory') {
+            return memoryFn();
+        }
+        return this.lockUnavailableResult();
+    }
+
+    /**
+     * Trạng thái khóa ghế phân tán (dùng cho /health)
+     */
+    getLockStatus() {
+        return {
+            mode: this.redisAvailable ? 'redis' : (this.lockFallbackMode === 'memory' ? 'memory' : 'unavailable'),
+            fallback: this.lockFallbackMode,
+            nodeId: this.nodeId,
+            leaderOf: Array.from(this.leaderships)
+        };
+    }
+
+    /**
+     * Nhận hoặc gia hạn lease leader cho một tác vụ định kỳ.
+     * Chỉ một node giữ lease tại một thời điểm; lease hết hạn sau ttlMs nếu node không gia hạn.
+     * Khi Redis không khả dụng chỉ coi là leader ở chế độ memory (một instance).
+     */
+    async tryAcquireLeadership(name, ttlMs) {
+        let isLeader = false;
+
+        if (this.redisAvailable) {
+            try {
+                const result = await this.redis.eval(ACQUIRE_LEADER_SCRIPT, {
+                    keys: [`leader:${name}`],
+                    arguments: [this.nodeId, String(ttlMs)]
+                });
+                isLeader = result === 1;
+            } catch (error) {
+                console.error(`❌ [CACHE] Lỗi khi nhận lease leader ${name}:`, error.message);
+            }
+        } else {
+            isLeader = this.lockFallbackMode === 'memory';
+        }
+
+        if (isLeader && !this.leaderships.has(name)) {
+            console.log(`👑 [CACHE] Node ${this.nodeId} nhận lease leader ${name}`);
+        }
+        if (isLeader) {
+            this.leaderships.add(name);
+        } else {
+            this.leaderships.delete(name);
+        }
+        return isLeader;
+    }
+
+    /**
+     * Trả lease leader khi dừng node để node khác nhận ngay, không phải chờ hết TTL
+     */
+    async releaseLeadership(name) {
+        this.leaderships.delete(name);
+        if (!this.redisAvailable) return;
+
+        try {
+            await this.redis.eval(COMPARE_AND_DELETE_SCRIPT, {
+                keys: [`leader:${name}`],
+                arguments: [this.nodeId]
+            });
+        } catch (error) {
+            console.error(`❌ [CACHE] Lỗi khi trả lease leader ${name}:`, error.message);
+        }
+    }
+
     /**
      * Memory fallback methods
      */
-    memorySelectSeat(showtimeId, seatId, userId, socketId) {
+    memorySelectSeat(showtimeId, seatId, userId, socketId, sessionToken = null) {
         if (!this.memoryCache.has(showtimeId)) {
             this.memoryCache.set(showtimeId, new Map());
         }
@@ -171,6 +335,7 @@ class SeatCacheService {
             seatId: seatId,
             userId: userId,
             socketId: socketId,
+            sessionToken: sessionToken,
             timestamp: Date.now(),
             status: 'selecting'
         };
@@ -268,7 +433,7 @@ class SeatCacheService {
 
         // Cập nhật lại danh sách ghế của user (chỉ giữ lại ghế đã booked)
         if (remainingSeats.length > 0) {
-            this.userSeats.set(userId, remainingSeats);
+            this.userSeats.set(userId, new Set(remainingSeats));
         } else {
             this.userSeats.delete(userId);
         }
@@ -378,11 +543,12 @@ class SeatCacheService {
 
     /**
      * Chọn ghế - lưu vào Redis với TTL
+     * @param {string|null} sessionToken - phiên chọn ghế đang giữ ghế (null với ghế giữ qua REST / danh sách chờ)
      */
-    async selectSeat(showtimeId, seatId, userId, socketId) {
+    async selectSeat(showtimeId, seatId, userId, socketId, sessionToken = null) {
         // Kiểm tra Redis có khả dụng không
         if (!this.redisAvailable) {
-            return this.memorySelectSeat(showtimeId, seatId, userId, socketId);
+            return this.fallbackOrReject(() => this.memorySelectSeat(showtimeId, seatId, userId, socketId, sessionToken));
         }
 
         try {
@@ -391,31 +557,31 @@ class SeatCacheService {
             const seatKey = this.getSeatKey(showtimeId, seatId);
             const userSeatsKey = this.getUserSeatsKey(userId);
 
-            // Kiểm tra ghế đã được chọn chưa
-            const existingSeat = await this.redis.get(seatKey);
-            if (existingSeat) {
-                const seatData = JSON.parse(existingSeat);
-                if (seatData.userId !== userId) {
-                    return {
-                        success: false,
-                        message: 'Ghế đang được chọn bởi người dùng khác',
-                        conflictUserId: seatData.userId
-                    };
-                }
-            }
-
-            // Lưu thông tin ghế với TTL
+            // Thông tin ghế lưu kèm TTL
             const seatData = {
                 status: 'selecting',
                 userId: userId,
                 socketId: socketId,
+                sessionToken: sessionToken,
                 timestamp: Date.now(),
                 showtimeId: showtimeId,
                 seatId: seatId
             };
 
-            // Sử dụng các lệnh riêng lẻ (Redis package v5 API)
-            await this.redis.setEx(seatKey, this.SEAT_HOLD_TIMEOUT, JSON.stringify(seatData));
+            // Kiểm tra và giữ ghế trong một thao tác nguyên tử để hai node không cùng giữ một ghế
+            const acquired = await this.redis.eval(ACQUIRE_SEAT_SCRIPT, {
+                keys: [seatKey],
+                arguments: [JSON.stringify(seatData), String(userId), String(this.SEAT_HOLD_TIMEOUT)]
+            });
+            if (acquired !== 1) {
+                const holder = await this.redis.get(seatKey);
+                return {
+                    success: false,
+                    message: 'Ghế đang được chọn bởi người dùng khác',
+                    conflictUserId: holder ? JSON.parse(holder).userId : null
+                };
+            }
+
             await this.redis.sAdd(userSeatsKey, seatKey);
             await this.redis.expire(userSeatsKey, this.SEAT_HOLD_TIMEOUT);
 
@@ -431,9 +597,8 @@ class SeatCacheService {
 
         } catch (error) {
             console.error(`❌ Lỗi khi chọn ghế trong Redis:`, error);
-            // console.log('Redis không khả dụng, sử dụng memory fallback để chọn ghế');
             this.redisAvailable = false;
-            return this.memorySelectSeat(showtimeId, seatId, userId, socketId);
+            return this.fallbackOrReject(() => this.memorySelectSeat(showtimeId, seatId, userId, socketId, sessionToken));
         }
     }
 
@@ -443,7 +608,7 @@ class SeatCacheService {
     async deselectSeat(showtimeId, seatId, userId) {
         // Kiểm tra Redis có khả dụng không
         if (!this.redisAvailable) {
-            return this.memoryDeselectSeat(showtimeId, seatId, userId);
+            return this.fallbackOrReject(() => this.memoryDeselectSeat(showtimeId, seatId, userId));
         }
 
         try {
@@ -473,8 +638,17 @@ class SeatCacheService {
                 };
             }
 
-            // Xóa ghế khỏi Redis (sử dụng các lệnh riêng lẻ)
-            await this.redis.del(seatKey);
+            // Chỉ xóa nếu ghế chưa bị node khác thay đổi kể từ lúc kiểm tra quyền
+            const deleted = await this.redis.eval(COMPARE_AND_DELETE_SCRIPT, {
+                keys: [seatKey],
+                arguments: [existingSeat]
+            });
+            if (deleted !== 1) {
+                return {
+                    success: false,
+                    message: 'Trạng thái ghế vừa thay đổi, vui lòng thử lại'
+                };
+            }
 
             // Nếu là chính chủ ghế, xóa khỏi danh sách của họ
             if (seatData.userId === userId) {
@@ -495,9 +669,8 @@ class SeatCacheService {
 
         } catch (error) {
             console.error(`❌ Lỗi khi bỏ chọn ghế trong Redis:`, error);
-            // console.log('Redis không khả dụng, sử dụng memory fallback để bỏ chọn ghế');
             this.redisAvailable = false;
-            return this.memoryDeselectSeat(showtimeId, seatId, userId);
+            return this.fallbackOrReject(() => this.memoryDeselectSeat(showtimeId, seatId, userId));
         }
     }
 
@@ -507,8 +680,7 @@ class SeatCacheService {
     async markSeatAsBooked(showtimeId, seatId, userId) {
         // Kiểm tra Redis có khả dụng không
         if (!this.redisAvailable) {
-            // console.log('Redis không khả dụng, sử dụng memory fallback để mark seat as booked');
-            return this.memoryMarkSeatAsBooked(showtimeId, seatId, userId);
+            return this.fallbackOrReject(() => this.memoryMarkSeatAsBooked(showtimeId, seatId, userId));
         }
 
         try {
@@ -539,9 +711,15 @@ class SeatCacheService {
                 bookedAt: Date.now()
             };
 
-            // Sử dụng các lệnh riêng lẻ để cập nhật
-            // Lưu ghế với status 'booked' KHÔNG có TTL (persist forever)
-            await this.redis.set(seatKey, JSON.stringify(updatedSeatData));
+            // Lưu ghế với status 'booked' KHÔNG có TTL (persist forever), chỉ khi khóa vẫn là của user này
+            const updated = await this.redis.eval(COMPARE_AND_SET_SCRIPT, {
+                keys: [seatKey],
+                arguments: [existingSeat, JSON.stringify(updatedSeatData), '0']
+            });
+            if (updated !== 1) {
+                console.log(`❌ Khóa ghế ${seatId} đã thay đổi trước khi chốt cho user ${userId}`);
+                return { success: false, message: 'Seat lock changed' };
+            }
 
             // Ghế booked vẫn thuộc về user nhưng không expire
             await this.redis.persist(userSeatsKey);
@@ -551,9 +729,8 @@ class SeatCacheService {
 
         } catch (error) {
             console.error(`❌ Lỗi khi mark seat as booked trong Redis:`, error);
-            // console.log('Redis không khả dụng, sử dụng memory fallback để mark seat as booked');
             this.redisAvailable = false;
-            return this.memoryMarkSeatAsBooked(showtimeId, seatId, userId);
+            return this.fallbackOrReject(() => this.memoryMarkSeatAsBooked(showtimeId, seatId, userId));
         }
     }
 
@@ -841,6 +1018,146 @@ class SeatCacheService {
         }
     }
 
+    /**
+     * Ghế đang giữ (selecting) của user kèm thời gian giữ còn lại, dùng khi client kết nối lại
+     * @returns {Array} [{ showtimeId, seatId, sessionToken, expiresAt, remainingSeconds }]
+     */
+    async getUserHeldSeats(userId) {
+        if (!this.redisAvailable) {
+            return this.memoryGetUserHeldSeats(userId);
+        }
+
+        try {
+            const seatKeys = await this.redis.sMembers(this.getUserSeatsKey(userId));
+            if (seatKeys.length === 0) {
+                return [];
+            }
+
+            const seatDataArray = await this.redis.mGet(seatKeys);
+            const heldSeats = [];
+            for (let index = 0; index < seatKeys.length; index++) {
+                if (!seatDataArray[index]) continue;
+
+                const seatData = JSON.parse(seatDataArray[index]);
+                if (seatData.status !== 'selecting') continue;
+
+                const ttlMs = await this.redis.pTTL(seatKeys[index]);
+                if (ttlMs <= 0) continue;
+
+                heldSeats.push(this._toHeldSeat(seatData, Date.now() + ttlMs));
+            }
+            return heldSeats;
+        } catch (error) {
+            console.error(`❌ Lỗi khi lấy ghế đang giữ của user ${userId} từ Redis:`, error);
+            return this.memoryGetUserHeldSeats(userId);
+        }
+    }
+
+    /**
+     * Giải phóng các ghế đang selecting của user thỏa điều kiện (ví dụ ghế của phiên chọn ghế đã bị bỏ dở).
+     * Mỗi ghế chỉ bị xóa nếu chưa thay đổi kể từ lúc đọc, để không xóa nhầm ghế vừa được giữ lại hoặc vừa được đặt.
+     * @param {Function} predicate - (seatData) => boolean
+     * @returns {Array} [{ showtimeId, seatId, userId }]
+     */
+    async releaseUserSeatsWhere(userId, predicate) {
+        if (!this.redisAvailable) {
+            return this.memoryReleaseUserSeatsWhere(userId, predicate);
+        }
+
+        try {
+            const userSeatsKey = this.getUserSeatsKey(userId);
+            const seatKeys = await this.redis.sMembers(userSeatsKey);
+            if (seatKeys.length === 0) {
+                return [];
+            }
+
+            const seatDataArray = await this.redis.mGet(seatKeys);
+            const releasedSeats = [];
+            for (let index = 0; index < seatKeys.length; index++) {
+                const raw = seatDataArray[index];
+                if (!raw) {
+                    await this.redis.sRem(userSeatsKey, seatKeys[index]);
+                    continue;
+                }
+
+                const seatData = JSON.parse(raw);
+                if (seatData.status !== 'selecting' || !predicate(seatData)) continue;
+
+                const deleted = await this.redis.eval(COMPARE_AND_DELETE_SCRIPT, {
+                    keys: [seatKeys[index]],
+                    arguments: [raw]
+                });
+                if (deleted !== 1) continue;
+
+                await this.redis.sRem(userSeatsKey, seatKeys[index]);
+                releasedSeats.push({
+                    showtimeId: seatData.showtimeId,
+                    seatId: seatData.seatId,
+                    userId: seatData.userId
+                });
+            }
+            return releasedSeats;
+        } catch (error) {
+            console.error(`❌ Lỗi khi giải phóng ghế của user ${userId} trong Redis:`, error);
+            return [];
+        }
+    }
+
+    _toHeldSeat(seatData, expiresAt) {
+        return {
+            showtimeId: seatData.showtimeId,
+            seatId: seatData.seatId,
+            sessionToken: seatData.sessionToken || null,
+            expiresAt,
+            remainingSeconds: Math.max(0, Math.floor((expiresAt - Date.now()) / 1000))
+        };
+    }
+
+    /**
+     * memoryCache có thể được ghi với showtimeId dạng số hoặc chuỗi, còn seatKey tách ra luôn là chuỗi
+     */
+    _memoryShowtimeSeats(showtimeId) {
+        return this.memoryCache.get(showtimeId)
+            || this.memoryCache.get(Number(showtimeId))
+            || this.memoryCache.get(String(showtimeId));
+    }
+
+    memoryGetUserHeldSeats(userId) {
+        const heldSeats = [];
+        (this.userSeats.get(userId) || new Set()).forEach(seatKey => {
+            const [, showtimeId, seatId] = seatKey.split(':');
+            const seatData = this._memoryShowtimeSeats(showtimeId)?.get(seatId);
+            if (seatData && seatData.status === 'selecting') {
+                heldSeats.push(this._toHeldSeat(seatData, seatData.timestamp + this.SEAT_HOLD_TIMEOUT * 1000));
+            }
+        });
+        return heldSeats.filter(seat => seat.remainingSeconds > 0);
+    }
+
+    memoryReleaseUserSeatsWhere(userId, predicate) {
+        const userSeatKeys = this.userSeats.get(userId);
+        if (!userSeatKeys) {
+            return [];
+        }
+
+        const releasedSeats = [];
+        Array.from(userSeatKeys).forEach(seatKey => {
+            const [, showtimeId, seatId] = seatKey.split(':');
+            const showtimeSeats = this._memoryShowtimeSeats(showtimeId);
+            const seatData = showtimeSeats?.get(seatId);
+            if (!seatData || seatData.status !== 'selecting' || !predicate(seatData)) return;
+
+            showtimeSeats.delete(seatId);
+            userSeatKeys.delete(seatKey);
+            releasedSeats.push({ showtimeId: seatData.showtimeId, seatId, userId: seatData.userId });
+        });
+
+        if (userSeatKeys.size === 0) {
+            this.userSeats.delete(userId);
+        }
+        return releasedSeats;
+    }
+
     /**
      * Xóa ghế booked khỏi cache (dùng khi hủy booking)
      * @param {string} showtimeId - ID của suất chiếu
@@ -945,10 +1262,85 @@ class SeatCacheService {
         }
     }
 
+    /**
+     * Giải phóng toàn bộ ghế đang giữ / đã đặt của một suất chiếu (dùng khi hủy cả suất chiếu)
+     * @param {string|number} showtimeId - ID của suất chiếu
+     * @returns {Array} - Danh sách ghế đã giải phóng { seatId, userId }
+     */
+    async releaseShowtimeSeats(showtimeId) {
+        if (!this.redisAvailable) {
+            return this.memoryReleaseShowtimeSeats(showtimeId);
+        }
+
+        try {
+            const seatKeys = await this.redis.keys(`seat:${showtimeId}:*`);
+            const releasedSeats = [];
+
+            if (seatKeys.length > 0) {
+                const seatDataArray = await this.redis.mGet(seatKeys);
+                for (let index = 0; index < seatKeys.length; index++) {
+                    const seatKey = seatKeys[index];
+                    const seatData = seatDataArray[index] ? JSON.parse(seatDataArray[index]) : null;
+
+                    await this.redis.del(seatKey);
+                    if (seatData?.userId) {
+                        await this.redis.sRem(this.getUserSeatsKey(seatData.userId), seatKey);
+                    }
+                    releasedSeats.push({ seatId: seatKey.split(':')[2], userId: seatData?.userId || null });
+                }
+            }
+
+            await this.redis.del(`showtime:${showtimeId}:seats`);
+            console.log(`🗑️ [CACHE] Đã giải phóng ${releasedSeats.length} ghế của suất chiếu ${showtimeId}`);
+            return releasedSeats;
+        } catch (error) {
+            console.error(`❌ [CACHE] Lỗi khi giải phóng ghế của suất chiếu ${showtimeId}:`, error);
+            this.redisAvailable = false;
+            return this.memoryReleaseShowtimeSeats(showtimeId);
+        }
+    }
+
+    /**
+     * Memory fallback: Giải phóng toàn bộ ghế của một suất chiếu
+     */
+    memoryReleaseShowtimeSeats(showtimeId) {
+        const releasedSeats = [];
+
+        [showtimeId, Number(showtimeId), String(showtimeId)].forEach(key => {
+            const showtimeSeats = this.memoryCache.get(key);
+            if (!showtimeSeats) return;
+
+            showtimeSeats.forEach((seatData, seatId) => {
+                const seatKey = `seat:${showtimeId}:${seatId}`;
+                const userSeatKeys = this.userSeats.get(seatData.userId);
+                if (userSeatKeys instanceof Set) {
+                    userSeatKeys.delete(seatKey);
+                    if (userSeatKeys.size === 0) this.userSeats.delete(seatData.userId);
+                } else if (Array.isArray(userSeatKeys)) {
+                    const remaining = userSeatKeys.filter(userSeatKey => userSeatKey !== seatKey);
+                    if (remaining.length > 0) {
+                        this.userSeats.set(seatData.userId, remaining);
+                    } else {
+                        this.userSeats.delete(seatData.userId);
+                    }
+                }
+                releasedSeats.push({ seatId, userId: seatData.userId || null });
+            });
+            this.memoryCache.delete(key);
+        });
+
+        console.log(`🗑️ [MEMORY] Đã giải phóng ${releasedSeats.length} ghế của suất chiếu ${showtimeId}`);
+        return releasedSeats;
+    }
+
     /**
      * Extend thời gian giữ ghế
      */
     async extendSeatHold(showtimeId, seatId, userId, extensionSeconds = 300) {
+        if (!this.redisAvailable) {
+            return this.lockUnavailableResult();
+        }
+
         try {
             const seatKey = this.getSeatKey(showtimeId, seatId);
             const userSeatsKey = this.getUserSeatsKey(userId);
@@ -970,8 +1362,17 @@ class SeatCacheService {
                 };
             }
 
-            // Extend TTL (sử dụng các lệnh riêng lẻ)
-            await this.redis.expire(seatKey, this.SEAT_HOLD_TIMEOUT + extensionSeconds);
+            // Extend TTL, chỉ khi khóa vẫn là của user này
+            const extended = await this.redis.eval(COMPARE_AND_EXPIRE_SCRIPT, {
+                keys: [seatKey],
+                arguments: [existingSeat, String(this.SEAT_HOLD_TIMEOUT + extensionSeconds)]
+            });
+            if (extended !== 1) {
+                return {
+                    success: false,
+                    message: 'Ghế không tồn tại hoặc đã hết hạn'
+                };
+            }
             await this.redis.expire(userSeatsKey, this.SEAT_HOLD_TIMEOUT + extensionSeconds);
 
             console.log(`⏰ Extended seat hold: User ${userId}, Seat ${seatId}, Extension: ${extensionSeconds}s`);
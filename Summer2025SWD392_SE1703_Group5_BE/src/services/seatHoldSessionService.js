@@ -0,0 +1,290 @@
+// src/services/seatHoldSessionService.js
+// Phiên chọn ghế (seat session) của một tab / thiết bị, giữ ghế qua các lần mất kết nối ngắn
+//
+// Giao thức với client:
+// - Khi kết nối socket, client gửi token đã lưu ở lần trước (handshake auth.seatSessionToken, lưu trong sessionStorage).
+//   Server trả 'seat-session' { token, resumed, graceSeconds, heldSeats: [{ showtimeId, seatId, expiresAt, remainingSeconds, thisSession }] }.
+//   Client luôn lưu lại token nhận được (có thể là token mới).
+// - Mất kết nối: phiên chuyển sang trạng thái chờ trong SEAT_SESSION_GRACE_SECONDS (mặc định 60 giây).
+//   Nối lại trong khoảng này bằng cùng token thì ghế vẫn được giữ và client nhận thời gian giữ còn lại.
+// - Hết thời gian chờ mà không nối lại: phiên bị coi là bỏ dở và ghế đang giữ bởi phiên đó được trả lại.
+//
+// Nhiều tab của cùng một user:
+// - Mỗi tab có token riêng. Token bị nhân bản (duplicate tab) trong khi socket đang dùng token đó vẫn sống
+//   thì tab mới được cấp token mới; nếu socket cũ đã chết (server chưa kịp nhận disconnect) thì tab mới nối lại phiên.
+// - Ghế thuộc về user: tab nào cũng thấy và bỏ chọn được. Ghế chỉ được trả khi không còn tab nào của user đang kết nối
+//   hoặc đang trong thời gian chờ; tab bị bỏ dở trong khi tab khác còn mở thì ghế của nó được giữ tới khi tab cuối cùng bị bỏ dở.
+// - Ghế giữ ngoài socket (REST, lời mời danh sách chờ) không gắn phiên nên không bị trả theo cơ chế này, chỉ hết hạn theo TTL.
+//
+// Trạng thái phiên lưu trên Redis (fallback bộ nhớ) nên client nối lại ở node khác vẫn được nhận ra.
+// Hẹn giờ trả ghế chạy trên node nhận disconnect; node đó chết trước khi hết thời gian chờ thì ghế tự hết hạn theo TTL giữ ghế.
+
+const crypto = require('crypto');
+const seatCacheService = require('./seatCacheService');
+const seatMapSyncService = require('./seatMapSyncService');
+
+class SeatHoldSessionService {
+    constructor() {
+        // Thời gian chờ client nối lại trước khi trả ghế
+        this.graceSeconds = parseInt(process.env.SEAT_SESSION_GRACE_SECONDS, 10) || 60;
+
+        // Phiên đang kết nối được giữ tối đa 1 ngày (phòng khi node chết mà không kịp ghi nhận disconnect)
+        this.CONNECTED_TTL_SECONDS = 24 * 60 * 60;
+
+        // Fallback khi Redis không khả dụng: { token: { session, expiresAt } }, { userId: Set<token> }
+        this.memorySessions = new Map();
+        this.memoryUserSessions = new Map();
+
+        // Hẹn giờ trả ghế trên node này: { token: Timeout }
+        this.releaseTimers = new Map();
+    }
+
+    _sessionKey(token) {
+        return `seat_session:${token}`;
+    }
+
+    _userSessionsKey(userId) {
+        return `seat_sessions:user:${userId}`;
+    }
+
+    /**
+     * Gắn socket vừa kết nối vào phiên chọn ghế: nối lại phiên cũ nếu token hợp lệ, ngược lại tạo phiên mới
+     * @param {number} userId
+     * @param {string|null} requestedToken - token client gửi lên khi kết nối
+     * @param {string} socketId
+     * @returns {Object} { token, resumed, graceSeconds, heldSeats }
+     */
+    async attach(userId, requestedToken, socketId) {
+        let session = requestedToken ? await this._loadSession(requestedToken) : null;
+
+        if (session && String(session.userId) !== String(userId)) {
+            session = null;
+        }
+
+        // Token bị dùng đồng thời bởi một socket khác còn sống (tab nhân bản): cấp phiên mới cho tab này
+        if (session && session.connected && session.socketId !== socketId && await this._isSocketAlive(session.socketId)) {
+            console.log(`🪪 [SEAT_SESSION] Token của user ${userId} đang được socket ${session.socketId} dùng, cấp phiên mới cho socket ${socketId}`);
+            session = null;
+        }
+
+        const resumed = !!session;
+        if (!session) {
+            session = {
+                token: crypto.randomUUID(),
+                userId,
+                createdAt: Date.now()
+            };
+        }
+
+        session.socketId = socketId;
+        session.connected = true;
+        session.disconnectedAt = null;
+
+        this._cancelRelease(session.token);
+        await this._saveSession(session, this.CONNECTED_TTL_SECONDS);
+        await this._addUserSession(userId, session.token);
+
+        const heldSeats = (await seatCacheService.getUserHeldSeats(userId)).map(({ sessionToken, ...seat }) => ({
+            ...seat,
+            thisSession: sessionToken === session.token
+        }));
+
+        console.log(`🪪 [SEAT_SESSION] User ${userId} ${resumed ? 'nối lại' : 'mở'} phiên chọn ghế (socket ${socketId}), đang giữ ${heldSeats.length} ghế`);
+        return {
+            token: session.token,
+            resumed,
+            graceSeconds: this.graceSeconds,
+            heldSeats
+        };
+    }
+
+    /**
+     * Socket ngắt kết nối: bắt đầu thời gian chờ nối lại thay vì trả ghế ngay
+     */
+    async detach(token, socketId) {
+        const session = await this._loadSession(token);
+
+        // Phiên đã được nối lại bằng socket khác trước khi server nhận được disconnect của socket cũ
+        if (!session || session.socketId !== socketId) {
+            return;
+        }
+
+        session.connected = false;
+        session.disconnectedAt = Date.now();
+        await this._saveSession(session, this.graceSeconds * 2);
+
+        this._scheduleRelease(session.token, session.userId);
+        console.log(`⏳ [SEAT_SESSION] Phiên của user ${session.userId} mất kết nối, giữ ghế thêm ${this.graceSeconds}s chờ nối lại`);
+    }
+
+    _scheduleRelease(token, userId) {
+        this._cancelRelease(token);
+
+        const timer = setTimeout(() => {
+            this.releaseTimers.delete(token);
+            this.releaseIfAbandoned(token, userId).catch(error => {
+                console.error(`❌ [SEAT_SESSION] Lỗi khi trả ghế của phiên bỏ dở (user ${userId}):`, error);
+            });
+        }, this.graceSeconds * 1000);
+        if (typeof timer.unref === 'function') timer.unref();
+
+        this.releaseTimers.set(token, timer);
+    }
+
+    _cancelRelease(token) {
+        const timer = this.releaseTimers.get(token);
+        if (timer) {
+            clearTimeout(timer);
+            this.releaseTimers.delete(token);
+        }
+    }
+
+    /**
+     * Hết thời gian chờ: trả ghế nếu phiên không được nối lại và user không còn tab nào khác đang mở
+     * @returns {Array} ghế đã trả
+     */
+    async releaseIfAbandoned(token, userId) {
+        const session = await this._loadSession(token);
+        if (session && session.connected) {
+            return [];
+        }
+
+        const now = Date.now();
+        const tokens = await this._getUserSessions(userId);
+        const sessions = await Promise.all(tokens.map(userToken => this._loadSession(userToken)));
+
+        const liveTokens = new Set();
+        const abandonedTokens = [];
+        tokens.forEach((userToken, index) => {
+            const userSession = sessions[index];
+            const inGrace = userSession && !userSession.connected && now - userSession.disconnectedAt < this.graceSeconds * 1000;
+            if (userToken !== token && userSession && (userSession.connected || inGrace)) {
+                liveTokens.add(userToken);
+            } else {
+                abandonedTokens.push(userToken);
+            }
+        });
+
+        const hasConnectedTab = sessions.some(userSession => userSession && userSession.connected);
+        if (hasConnectedTab) {
+            console.log(`🪪 [SEAT_SESSION] User ${userId} còn tab khác đang kết nối, tiếp tục giữ ghế`);
+            return [];
+        }
+
+        // Chỉ trả ghế gắn với phiên đã bỏ dở; ghế không gắn phiên (REST, danh sách chờ) và ghế của phiên còn trong thời gian chờ được giữ nguyên
+        const releasedSeats = await seatCacheService.releaseUserSeatsWhere(userId, seatData =>
+            !!seatData.sessionToken && !liveTokens.has(seatData.sessionToken)
+        );
+
+        await Promise.all(abandonedTokens.map(abandonedToken => this._deleteSession(userId, abandonedToken)));
+
+        const showtimeIds = [...new Set(releasedSeats.map(seat => String(seat.showtimeId)))];
+        for (const showtimeId of showtimeIds) {
+            try {
+                await seatMapSyncService.publishRefresh(showtimeId);
+            } catch (error) {
+                console.error(`❌ [SEAT_SESSION] Không thể cập nhật sơ đồ ghế suất ${showtimeId}:`, error.message);
+            }
+        }
+
+        console.log(`🔓 [SEAT_SESSION] Đã trả ${releasedSeats.length} ghế của phiên bỏ dở (user ${userId})`);
+        return releasedSeats;
+    }
+
+    async _isSocketAlive(socketId) {
+        if (!socketId) return false;
+        try {
+            const { getIO } = require('../websocket/socketHandler');
+            const sockets = await getIO().in(socketId).fetchSockets();
+            return sockets.length > 0;
+        } catch (error) {
+            // Không kiểm tra được thì coi như socket cũ còn sống để hai tab không dùng chung một phiên
+            return true;
+        }
+    }
+
+    async _loadSession(token) {
+        if (seatCacheService.redisAvailable) {
+            try {
+                const raw = await seatCacheService.redis.get(this._sessionKey(token));
+                return raw ? JSON.parse(raw) : null;
+            } catch (error) {
+                console.error(`❌ [SEAT_SESSION] Lỗi khi đọc phiên từ Redis:`, error.message);
+            }
+        }
+
+        const entry = this.memorySessions.get(token);
+        if (!entry) return null;
+        if (entry.expiresAt <= Date.now()) {
+            this.memorySessions.delete(token);
+            return null;
+        }
+        return entry.session;
+    }
+
+    async _saveSession(session, ttlSeconds) {
+        if (seatCacheService.redisAvailable) {
+            try {
+                await seatCacheService.redis.set(this._sessionKey(session.token), JSON.stringify(session), { EX: ttlSeconds });
+                return;
+            } catch (error) {
+                console.error(`❌ [SEAT_SESSION] Lỗi khi lưu phiên vào Redis:`, error.message);
+            }
+        }
+
+        this.memorySessions.set(session.token, {
+            session: { ...session },
+            expiresAt: Date.now() + ttlSeconds * 1000
+        });
+    }
+
+    async _addUserSession(userId, token) {
+        if (seatCacheService.redisAvailable) {
+            try {
+                const key = this._userSessionsKey(userId);
+                await seatCacheService.redis.sAdd(key, token);
+                await seatCacheService.redis.expire(key, this.CONNECTED_TTL_SECONDS);
+                return;
+            } catch (error) {
+                console.error(`❌ [SEAT_SESSION] Lỗi khi lưu danh sách phiên vào Redis:`, error.message);
+            }
+        }
+
+        if (!this.memoryUserSessions.has(String(userId))) {
+            this.memoryUserSessions.set(String(userId), new Set());
+        }
+        this.memoryUserSessions.get(String(userId)).add(token);
+    }
+
+    async _getUserSessions(userId) {
+        if (seatCacheService.redisAvailable) {
+            try {
+                return await seatCacheService.redis.sMembers(this._userSessionsKey(userId));
+            } catch (error) {
+                console.error(`❌ [SEAT_SESSION] Lỗi khi đọc danh sách phiên từ Redis:`, error.message);
+            }
+        }
+        return Array.from(this.memoryUserSessions.get(String(userId)) || []);
+    }
+
+    async _deleteSession(userId, token) {
+        if (seatCacheService.redisAvailable) {
+            try {
+                await seatCacheService.redis.del(this._sessionKey(token));
+                await seatCacheService.redis.sRem(this._userSessionsKey(userId), token);
+                return;
+            } catch (error) {
+                console.error(`❌ [SEAT_SESSION] Lỗi khi xóa phiên trong Redis:`, error.message);
+            }
+        }
+
+        this.memorySessions.delete(token);
+        const tokens = this.memoryUserSessions.get(String(userId));
+        if (tokens) {
+            tokens.delete(token);
+            if (tokens.size === 0) this.memoryUserSessions.delete(String(userId));
+        }
+    }
+}
+
+module.exports = new SeatHoldSessionService();
@@ -1,5 +1,5 @@
 // src/services/seatLayoutService.js
-const { SeatLayout, CinemaRoom, Seat, Showtime, TicketBooking, TicketPricing, Ticket, sequelize } = require('../models');
+const { SeatLayout, SeatLayoutSpan, CinemaRoom, Seat, Showtime, TicketBooking, TicketPricing, Ticket, sequelize } = require('../models');
 const { Op, Transaction } = require('sequelize');
 
 class SeatLayoutService {
@@ -14,7 +14,13 @@ class SeatLayoutService {
             'Normal': 'Thường',
             'Thường': 'Thường',
             'VIP': 'VIP',
-            'Premium': 'VIP'
+            'Premium': 'VIP',
+            'Wheelchair': 'Xe lăn',
+            'Accessible': 'Xe lăn',
+            'Xe lăn': 'Xe lăn',
+            'Companion': 'Đi kèm',
+            'Đi kèm': 'Đi kèm',
+            'Sweetbox': 'Sweetbox'
         };
 
         const normalizedSeatType = seatTypeMapping[seatType];
@@ -26,6 +32,150 @@ class SeatLayoutService {
         return normalizedSeatType;
     }
 
+    /**
+     * Ghép ghế đi kèm với chỗ xe lăn sát bên trong cùng hàng (ưu tiên bên trái)
+     * @param {Array} layouts - Layout đang hoạt động (Layout_ID, Row_Label, Column_Number, Seat_Type)
+     * @returns {Map} Layout_ID ghế đi kèm -> layout chỗ xe lăn
+     */
+    getCompanionPairs(layouts) {
+        const { SEAT_TYPE } = SeatLayout;
+        const byPosition = new Map(layouts.map(layout => [`${layout.Row_Label}:${layout.Column_Number}`, layout]));
+        const pairs = new Map();
+
+        layouts
+            .filter(layout => layout.Seat_Type === SEAT_TYPE.COMPANION)
+            .forEach(companion => {
+                const partner = [companion.Column_Number - 1, companion.Column_Number + 1]
+                    .map(column => byPosition.get(`${companion.Row_Label}:${column}`))
+                    .find(layout => layout && layout.Seat_Type === SEAT_TYPE.WHEELCHAIR);
+                if (partner) pairs.set(companion.Layout_ID, partner);
+            });
+
+        return pairs;
+    }
+
+    /**
+     * Ghế đi kèm không nằm sát chỗ xe lăn nào (nhãn ghế, ví dụ "H3")
+     */
+    _findUnpairedCompanions(layouts) {
+        const pairs = this.getCompanionPairs(layouts);
+        return layouts
+            .filter(layout => layout.Seat_Type === SeatLayout.SEAT_TYPE.COMPANION && !pairs.has(layout.Layout_ID))
+            .map(layout => `${layout.Row_Label}${layout.Column_Number}`);
+    }
+
+    /**
+     * Kiểm tra sơ đồ ghế của các phòng sau khi áp dụng thay đổi: mọi ghế đi kèm phải có chỗ xe lăn sát bên
+     * @param {Array<number>} roomIds
+     * @param {Map} changes - Layout_ID -> { Seat_Type, Is_Active } sắp cập nhật
+     */
+    async _assertCompanionSeatsPaired(roomIds, changes, transaction = null) {
+        const layouts = await SeatLayout.findAll({
+            where: { Cinema_Room_ID: { [Op.in]: roomIds } },
+            attributes: ['Layout_ID', 'Cinema_Room_ID', 'Row_Label', 'Column_Number', 'Seat_Type', 'Is_Active'],
+            raw: true,
+            transaction
+        });
+
+        const updated = layouts
+            .map(layout => ({ ...layout, ...(changes.get(layout.Layout_ID) || {}) }))
+            .filter(layout => layout.Is_Active);
+
+        for (const roomId of roomIds) {
+            const unpaired = this._findUnpairedCompanions(updated.filter(layout => layout.Cinema_Room_ID === roomId));
+            if (unpaired.length > 0) {
+                throw new Error(`Ghế đi kèm ${unpaired.join(', ')} phải nằm sát một chỗ xe lăn trong cùng hàng`);
+            }
+        }
+    }
+
+    /**
+     * Số cột mỗi ghế chiếm, ghế không có trong Map chiếm 1 cột
+     * @param {Array<number>} layoutIds
+     * @returns {Map} Layout_ID -> Column_Span
+     */
+    async getColumnSpans(layoutIds, transaction = null) {
+        if (!layoutIds || layoutIds.length === 0) {
+            return new Map();
+        }
+
+        const spans = await SeatLayoutSpan.findAll({
+            where: { Layout_ID: { [Op.in]: layoutIds } },
+            attributes: ['Layout_ID', 'Column_Span'],
+            raw: true,
+            transaction
+        });
+        return new Map(spans.map(span => [span.Layout_ID, span.Column_Span]));
+    }
+
+    /**
+     * Gắn Column_Span vào danh sách layout dạng plain object (raw: true)
+     */
+    async attachColumnSpans(layouts, transaction = null) {
+        const spans = await this.getColumnSpans(layouts.map(layout => layout.Layout_ID), transaction);
+        return layouts.map(layout => ({ ...layout, Column_Span: spans.get(layout.Layout_ID) || 1 }));
+    }
+
+    /**
+     * Cột cuối cùng mà ghế chiếm
+     */
+    getEndColumn(layout) {
+        return layout.Column_Number + (layout.Column_Span || 1) - 1;
+    }
+
+    /**
+     * Vị trí ghế in trên vé: "H5", hoặc "H5-6" với ghế chiếm nhiều cột
+     */
+    formatSeatPosition(layout) {
+        const endColumn = this.getEndColumn(layout);
+        return endColumn > layout.Column_Number
+            ? `${layout.Row_Label}${layout.Column_Number}-${endColumn}`
+            : `${layout.Row_Label}${layout.Column_Number}`;
+    }
+
+    /**
+     * Số cột mỗi ghế của một hàng: SeatSpan nếu có, mặc định 2 với ghế Sweetbox và 1 với loại khác
+     */
+    _resolveSeatSpan(seatType, seatSpan) {
+        const span = seatSpan !== undefined && seatSpan !== null
+            ? parseInt(seatSpan, 10)
+            : (seatType === SeatLayout.SEAT_TYPE.SWEETBOX ? SeatLayout.DEFAULT_SWEETBOX_SPAN : 1);
+
+        if (isNaN(span) || span < 1 || span > SeatLayout.MAX_COLUMN_SPAN) {
+            throw new Error(`Số cột mỗi ghế phải từ 1 đến ${SeatLayout.MAX_COLUMN_SPAN}`);
+        }
+        return span;
+    }
+
+    /**
+     * Chia một hàng thành các ghế, mỗi ghế chiếm seatSpan cột liên tiếp và không đè lên cột trống
+     * @returns {Array} [{ Column_Number, Column_Span }]
+     */
+    _buildRowSeats(rowLabel, columnsPerRow, emptyColumns = [], seatSpan = 1) {
+        const seats = [];
+        let col = 1;
+
+        while (col <= columnsPerRow) {
+            if (emptyColumns.includes(col)) {
+                col++;
+                continue;
+            }
+
+            let endColumn = col;
+            while (endColumn - col + 1 < seatSpan && endColumn < columnsPerRow && !emptyColumns.includes(endColumn + 1)) {
+                endColumn++;
+            }
+            if (endColumn - col + 1 < seatSpan) {
+                throw new Error(`Hàng ${rowLabel}: cột ${col}${endColumn > col ? `-${endColumn}` : ''} không đủ chỗ cho ghế chiếm ${seatSpan} cột. Vui lòng điều chỉnh số cột hoặc cột trống`);
+            }
+
+            seats.push({ Column_Number: col, Column_Span: seatSpan });
+            col = endColumn + 1;
+        }
+
+        return seats;
+    }
+
     /**
      * Lấy sơ đồ ghế của phòng chiếu
      */
@@ -42,18 +192,27 @@ class SeatLayoutService {
             order: [['Row_Label', 'ASC'], ['Column_Number', 'ASC']]
         });
 
+        // Ghế đi kèm được bán cùng chỗ xe lăn sát bên
+        const companionPairs = this.getCompanionPairs(seatLayouts.filter(seat => seat.Is_Active));
+        const columnSpans = await this.getColumnSpans(seatLayouts.map(seat => seat.Layout_ID));
+
         // Nhóm theo hàng
         const rowGroups = {};
         seatLayouts.forEach(seat => {
             if (!rowGroups[seat.Row_Label]) {
                 rowGroups[seat.Row_Label] = [];
             }
+            const wheelchair = companionPairs.get(seat.Layout_ID);
+            const columnSpan = columnSpans.get(seat.Layout_ID) || 1;
             rowGroups[seat.Row_Label].push({
                 Layout_ID: seat.Layout_ID,
                 Row_Label: seat.Row_Label,
                 Column_Number: seat.Column_Number,
+                Column_Span: columnSpan,
+                Seat_Label: this.formatSeatPosition({ Row_Label: seat.Row_Label, Column_Number: seat.Column_Number, Column_Span: columnSpan }),
                 Seat_Type: seat.Seat_Type,
-                Is_Active: seat.Is_Active
+                Is_Active: seat.Is_Active,
+                Companion_Of: wheelchair ? wheelchair.Layout_ID : null
             });
         });
 
@@ -104,7 +263,10 @@ class SeatLayoutService {
         }));
 
         const maxRow = rows.length;
-        const maxColumn = rows.length > 0 ? Math.max(...rows.map(r => r.Seats.length)) : 0;
+        // Ghế chiếm nhiều cột được tính theo số cột thực tế
+        const maxColumn = rows.length > 0
+            ? Math.max(...rows.map(r => r.Seats.reduce((sum, seat) => sum + seat.Column_Span, 0)))
+            : 0;
 
         return {
             cinema_room: {
@@ -151,11 +313,26 @@ class SeatLayoutService {
                 transaction
             });
 
+            // Chia từng hàng thành các ghế; ghế Sweetbox chiếm nhiều cột nhưng chỉ tính là một ghế
+            const rowPlans = model.Rows.map(rowConfig => {
+                // Loại ghế đã biết được chuẩn hóa (Wheelchair -> Xe lăn...), loại khác giữ nguyên như trước
+                let seatType = rowConfig.SeatType;
+                try {
+                    seatType = this.normalizeSeatType(rowConfig.SeatType);
+                } catch (error) {
+                    // Giữ nguyên giá trị đã qua validation của route
+                }
+
+                const seatSpan = this._resolveSeatSpan(seatType, rowConfig.SeatSpan);
+                return {
+                    rowLabel: rowConfig.RowLabel,
+                    seatType,
+                    seats: this._buildRowSeats(rowConfig.RowLabel, model.ColumnsPerRow, rowConfig.EmptyColumns || [], seatSpan)
+                };
+            });
+
             // Tính tổng số ghế trong layout mới
-            let totalSeats = 0;
-            for (const row of model.Rows) {
-                totalSeats += model.ColumnsPerRow - (row.EmptyColumns?.length || 0);
-            }
+            const totalSeats = rowPlans.reduce((sum, plan) => sum + plan.seats.length, 0);
 
             // Kiểm tra tổng số ghế sau khi cộng thêm ghế mới
             const totalSeatsAfterAddition = currentActiveSeats + totalSeats;
@@ -189,7 +366,23 @@ class SeatLayoutService {
             // Lấy danh sách row labels từ input
             const newRowLabels = model.Rows.map(r => r.RowLabel);
 
-            // Xóa các layout ghế đang được cấu hình lại
+            // Xóa các layout ghế đang được cấu hình lại (cùng số cột của ghế chiếm nhiều cột)
+            const replacedLayouts = await SeatLayout.findAll({
+                where: {
+                    Cinema_Room_ID: roomId,
+                    Row_Label: { [Op.in]: newRowLabels }
+                },
+                attributes: ['Layout_ID'],
+                raw: true,
+                transaction
+            });
+            if (replacedLayouts.length > 0) {
+                await SeatLayoutSpan.destroy({
+                    where: { Layout_ID: { [Op.in]: replacedLayouts.map(layout => layout.Layout_ID) } },
+                    transaction
+                });
+            }
+
             await SeatLayout.destroy({
                 where: {
                     Cinema_Room_ID: roomId,
@@ -200,21 +393,44 @@ class SeatLayoutService {
 
             // Thêm các layout mới
             const newLayouts = [];
-            for (const rowConfig of model.Rows) {
-                for (let col = 1; col <= model.ColumnsPerRow; col++) {
-                    if (!rowConfig.EmptyColumns?.includes(col)) {
-                        newLayouts.push({
-                            Cinema_Room_ID: roomId,
-                            Row_Label: rowConfig.RowLabel,
-                            Column_Number: col,
-                            Seat_Type: rowConfig.SeatType,
-                            Is_Active: true
-                        });
-                    }
+            const newColumnSpans = [];
+            for (const plan of rowPlans) {
+                for (const seat of plan.seats) {
+                    newLayouts.push({
+                        Cinema_Room_ID: roomId,
+                        Row_Label: plan.rowLabel,
+                        Column_Number: seat.Column_Number,
+                        Seat_Type: plan.seatType,
+                        Is_Active: true
+                    });
+                    newColumnSpans.push(seat.Column_Span);
                 }
             }
 
-            await SeatLayout.bulkCreate(newLayouts, { transaction });
+            // Ghế đi kèm phải nằm sát chỗ xe lăn (xét cả các hàng không cấu hình lại)
+            const keptLayouts = await SeatLayout.findAll({
+                where: { Cinema_Room_ID: roomId, Is_Active: true },
+                attributes: ['Layout_ID', 'Row_Label', 'Column_Number', 'Seat_Type'],
+                raw: true,
+                transaction
+            });
+            const unpairedCompanions = this._findUnpairedCompanions([
+                ...keptLayouts,
+                ...newLayouts.map((layout, index) => ({ ...layout, Layout_ID: `new-${index}` }))
+            ]);
+            if (unpairedCompanions.length > 0) {
+                throw new Error(`Ghế đi kèm ${unpairedCompanions.join(', ')} phải nằm sát một chỗ xe lăn trong cùng hàng`);
+            }
+
+            const createdLayouts = await SeatLayout.bulkCreate(newLayouts, { transaction });
+
+            // Ghế chiếm nhiều cột: lưu số cột theo Layout_ID vừa tạo
+            const spanRecords = createdLayouts
+                .map((layout, index) => ({ Layout_ID: layout.Layout_ID, Column_Span: newColumnSpans[index] }))
+                .filter(span => span.Column_Span > 1);
+            if (spanRecords.length > 0) {
+                await SeatLayoutSpan.bulkCreate(spanRecords, { transaction });
+            }
 
             // Cập nhật tổng số ghế trong phòng
             await cinemaRoom.update({ Seat_Quantity: newLayouts.length }, { transaction });
@@ -242,6 +458,7 @@ class SeatLayoutService {
                 cinema_room_id: roomId,
                 total_rows: totalRows,
                 total_seats: newLayouts.length,
+                multi_column_seats: spanRecords.length,
                 seat_types: seatTypeStats.map(st => ({
                     type: st.Seat_Type,
                     count: parseInt(st.dataValues.count)
@@ -293,10 +510,22 @@ class SeatLayoutService {
                 }
             });
 
+            // Chia một hàng mẫu thành các ghế (ghế Sweetbox chiếm nhiều cột nhưng chỉ tính là một ghế)
+            let rowSeatPlan;
+            try {
+                const seatSpan = this._resolveSeatSpan(model.SeatType, model.SeatSpan);
+                rowSeatPlan = this._buildRowSeats(parsedRows[0] || '', model.ColumnsPerRow, model.EmptyColumns || [], seatSpan);
+            } catch (error) {
+                return {
+                    success: false,
+                    message: error.message,
+                    error_code: 'INVALID_SEAT_SPAN',
+                    suggestion: 'Số cột mỗi hàng trừ cột trống phải chia hết cho số cột mỗi ghế, các ghế chiếm nhiều cột không được đè lên cột trống'
+                };
+            }
+
             // Tính toán tổng số ghế dự kiến
-            const newTotalColumns = model.ColumnsPerRow;
-            const newEmptyColumnsPerRow = model.EmptyColumns?.length || 0;
-            const newSeatsPerRow = newTotalColumns - newEmptyColumnsPerRow;
+            const newSeatsPerRow = rowSeatPlan.length;
             const totalNewSeats = parsedRows.length * newSeatsPerRow;
 
             // Kiểm tra tổng số ghế sau khi cộng thêm ghế mới
@@ -345,7 +574,7 @@ class SeatLayoutService {
             }
 
             // Kiểm tra loại ghế hợp lệ
-            const validSeatTypes = ['Regular', 'VIP'];
+            const validSeatTypes = ['Regular', 'VIP', 'Sweetbox'];
             if (!validSeatTypes.includes(model.SeatType)) {
                 return {
                     success: false,
@@ -422,9 +651,7 @@ class SeatLayoutService {
             console.log(`Đã xử lý input thành ${rowLabels.length} hàng: ${rowLabels.join(', ')}`);
 
             // Tính toán tổng số ghế dự kiến
-            const totalColumns = model.ColumnsPerRow;
-            const emptyColumnsPerRow = model.EmptyColumns?.length || 0;
-            const seatsPerRow = totalColumns - emptyColumnsPerRow;
+            const seatsPerRow = rowSeatPlan.length;
             const totalSeats = rowLabels.length * seatsPerRow;
 
             // Kiểm tra số lượng ghế hợp lệ
@@ -476,6 +703,7 @@ class SeatLayoutService {
                 Rows: rowLabels.map(label => ({
                     RowLabel: label,
                     SeatType: model.SeatType,
+                    SeatSpan: model.SeatSpan,
                     EmptyColumns: model.EmptyColumns || []
                 }))
             };
@@ -549,7 +777,13 @@ class SeatLayoutService {
             throw new Error('Không thể cập nhật loại ghế vì có đơn đặt vé đang chờ thanh toán');
         }
 
-        seatLayout.Seat_Type = model.SeatType;
+        const normalizedSeatType = this.normalizeSeatType(model.SeatType);
+        await this._assertCompanionSeatsPaired([seatLayout.Cinema_Room_ID], new Map([[seatLayout.Layout_ID, {
+            Seat_Type: normalizedSeatType,
+            Is_Active: model.IsActive !== undefined ? model.IsActive : seatLayout.Is_Active
+        }]]));
+
+        seatLayout.Seat_Type = normalizedSeatType;
         if (model.IsActive !== undefined) {
             seatLayout.Is_Active = model.IsActive;
         }
@@ -577,23 +811,10 @@ class SeatLayoutService {
         const { Op } = require('sequelize');
 
         // ✅ Chuẩn hóa loại ghế
-        const seatTypeMapping = {
-            'Regular': 'Thường',
-            'Standard': 'Thường',
-            'Normal': 'Thường',
-            'Thường': 'Thường',
-            'VIP': 'VIP',
-            'Premium': 'VIP'
-        };
-
-        const normalizedSeatType = seatTypeMapping[model.SeatType];
-        if (!normalizedSeatType) {
-            const validInputTypes = Object.keys(seatTypeMapping);
-            throw new Error(`Loại ghế '${model.SeatType}' không hợp lệ. Các giá trị hợp lệ: ${validInputTypes.join(', ')}`);
-        }
+        const normalizedSeatType = this.normalizeSeatType(model.SeatType);
 
         // Kiểm tra có booking pending không
-        if (await this.hasPendingBookingsForLayouts(model.LayoutIds, sequelize)) {
+        if (await this.hasPendingBookingsForLayouts(model.LayoutIds)) {
             throw new Error('Không thể cập nhật loại ghế vì có đơn đặt vé đang chờ thanh toán');
         }
 
@@ -605,6 +826,12 @@ class SeatLayoutService {
             throw new Error('Không tìm thấy ghế nào cần cập nhật');
         }
 
+        const changes = new Map(seatLayouts.map(layout => [layout.Layout_ID, {
+            Seat_Type: normalizedSeatType,
+            Is_Active: model.IsActive !== undefined ? model.IsActive : layout.Is_Active
+        }]));
+        await this._assertCompanionSeatsPaired([...new Set(seatLayouts.map(layout => layout.Cinema_Room_ID))], changes);
+
         // Cập nhật với loại ghế đã chuẩn hóa
         const updateData = { Seat_Type: normalizedSeatType };
         if (model.IsActive !== undefined) {
@@ -708,7 +935,7 @@ class SeatLayoutService {
 
         // Nếu đang ẩn ghế (set Is_Active = false), kiểm tra có booking pending không
         if (model.IsActive === false) {
-            if (await this.hasPendingBookingsForLayouts(model.LayoutIds, sequelize)) {
+            if (await this.hasPendingBookingsForLayouts(model.LayoutIds)) {
                 return {
                     success: false,
                     message: 'Không thể ẩn ghế vì có đơn đặt vé đang chờ thanh toán',
@@ -880,7 +1107,16 @@ class SeatLayoutService {
                 Is_Active: templateLayout.Is_Active
             }));
 
-            await SeatLayout.bulkCreate(newLayouts, { transaction });
+            const createdLayouts = await SeatLayout.bulkCreate(newLayouts, { transaction });
+
+            // Sao chép số cột của các ghế chiếm nhiều cột
+            const templateSpans = await this.getColumnSpans(templateLayouts.map(layout => layout.Layout_ID), transaction);
+            const spanRecords = createdLayouts
+                .map((layout, index) => ({ Layout_ID: layout.Layout_ID, Column_Span: templateSpans.get(templateLayouts[index].Layout_ID) }))
+                .filter(span => span.Column_Span > 1);
+            if (spanRecords.length > 0) {
+                await SeatLayoutSpan.bulkCreate(spanRecords, { transaction });
+            }
 
             await transaction.commit();
 
@@ -902,14 +1138,15 @@ class SeatLayoutService {
 
     /**
      * Kiểm tra xem có booking chờ xử lý nào sử dụng các layout ID không
+     * @param {Array<number>} layoutIds - Layout ID cần kiểm tra
+     * @param {Object} [transaction] - Transaction của thao tác đang thay đổi sơ đồ, để kiểm tra cùng lúc với thay đổi
      */
-    async hasPendingBookingsForLayouts(layoutIds, sequelize) {
+    async hasPendingBookingsForLayouts(layoutIds, transaction = null) {
         try {
             if (!layoutIds || !Array.isArray(layoutIds) || layoutIds.length === 0) {
                 return false;
             }
 
-            // Import Op từ Sequelize, không phụ thuộc vào sequelize được truyền vào
             const { Op } = require('sequelize');
 
             // Lấy danh sách Seat với các Layout_ID
@@ -918,7 +1155,8 @@ class SeatLayoutService {
                     Layout_ID: { [Op.in]: layoutIds },
                     Is_Active: true
                 },
-                attributes: ['Seat_ID']
+                attributes: ['Seat_ID'],
+                transaction
             });
 
             if (!seats || seats.length === 0) {
@@ -938,7 +1176,8 @@ class SeatLayoutService {
                         Status: 'Pending'
                     },
                     required: true
-                }]
+                }],
+                transaction
             });
 
             return tickets.length > 0; // Có booking pending nếu có vé
@@ -953,9 +1192,6 @@ class SeatLayoutService {
      */
     async hasPendingBookingsForRoom(roomId) {
         try {
-            // Lấy sequelize từ models
-            const { sequelize } = require('../models');
-
             // Lấy tất cả layout ghế của phòng
             const layouts = await SeatLayout.findAll({
                 where: { Cinema_Room_ID: roomId },
@@ -967,10 +1203,7 @@ class SeatLayoutService {
             }
 
             // Dùng phương thức đã có để kiểm tra
-            return await this.hasPendingBookingsForLayouts(
-                layouts.map(l => l.Layout_ID),
-                sequelize
-            );
+            return await this.hasPendingBookingsForLayouts(layouts.map(l => l.Layout_ID));
         } catch (error) {
             console.error('Lỗi trong hàm hasPendingBookingsForRoom:', error);
             return true; // Mặc định trả về true để an toàn
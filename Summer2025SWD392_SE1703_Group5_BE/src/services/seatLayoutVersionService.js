@@ -0,0 +1,772 @@
+// services/seatLayoutVersionService.js
+// Mô tả: Bản nháp và phiên bản sơ đồ ghế. Manager chỉnh sửa bản nháp thoải mái mà không ảnh hưởng phòng đang bán vé,
+// so sánh với sơ đồ đang áp dụng (ghế thêm / bỏ / đổi loại) rồi phát hành trong một transaction.
+// Mỗi lần phát hành tạo một phiên bản đánh số; có thể khôi phục bất kỳ phiên bản nào đã phát hành.
+
+const { Op } = require('sequelize');
+const { format } = require('date-fns');
+const logger = require('../utils/logger');
+const { SeatLayoutVersion, SeatLayout, SeatLayoutSpan, CinemaRoom, Showtime, Seat, Ticket, User, sequelize } = require('../models');
+const seatLayoutService = require('./seatLayoutService');
+
+const { LAYOUT_VERSION_STATUS } = SeatLayoutVersion;
+
+// Giới hạn số ghế của một phòng, giống khi cấu hình trực tiếp qua seatLayoutService
+const MIN_ROOM_SEATS = 20;
+const MAX_ROOM_SEATS = 150;
+
+function _createError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+class SeatLayoutVersionService {
+    constructor() {
+        this.logger = logger;
+    }
+
+    // =================== LỊCH SỬ PHIÊN BẢN ===================
+
+    /**
+     * Lịch sử các phiên bản đã phát hành của phòng, mới nhất trước, kèm thay đổi so với phiên bản liền trước
+     * @returns {Object} { data, totalPages, totalRecords }
+     */
+    async getSeatLayoutHistory(roomId, userId, role, page = 1, limit = 20) {
+        await this._getManageableRoom(roomId, userId, role);
+
+        const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+        const pageSize = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+        const where = {
+            Cinema_Room_ID: roomId,
+            Status: { [Op.in]: [LAYOUT_VERSION_STATUS.PUBLISHED, LAYOUT_VERSION_STATUS.SUPERSEDED] }
+        };
+
+        const totalRecords = await SeatLayoutVersion.count({ where });
+        // Lấy thêm một phiên bản để so sánh với phiên bản cuối trang
+        const versions = await SeatLayoutVersion.findAll({
+            where,
+            include: [{ model: User, as: 'Publisher', attributes: ['User_ID', 'Full_Name'], required: false }],
+            order: [['Version_Number', 'DESC']],
+            offset: (pageNumber - 1) * pageSize,
+            limit: pageSize + 1
+        });
+
+        const data = versions.slice(0, pageSize).map((version, index) => {
+            const previous = versions[index + 1];
+            return {
+                ...this._formatVersion(version),
+                changes: previous
+                    ? this._diffSeats(this._parseLayoutData(previous), this._parseLayoutData(version)).summary
+                    : null
+            };
+        });
+
+        return {
+            data,
+            totalPages: Math.ceil(totalRecords / pageSize),
+            totalRecords
+        };
+    }
+
+    /**
+     * Chi tiết một phiên bản (kể cả bản nháp) cùng danh sách ghế và thay đổi so với sơ đồ đang áp dụng
+     */
+    async getVersion(roomId, versionId, userId, role) {
+        await this._getManageableRoom(roomId, userId, role);
+
+        const version = await SeatLayoutVersion.findOne({ where: { Version_ID: versionId, Cinema_Room_ID: roomId } });
+        if (!version) {
+            throw _createError('Không tìm thấy phiên bản sơ đồ ghế của phòng này', 404);
+        }
+
+        const { seats: liveSeats } = await this._snapshotRoom(roomId);
+        return {
+            ...this._formatVersion(version, { includeSeats: true }),
+            diff_from_current: this._diffSeats(liveSeats, this._parseLayoutData(version))
+        };
+    }
+
+    // =================== BẢN NHÁP ===================
+
+    /**
+     * Bản nháp đang mở của phòng kèm thay đổi so với sơ đồ đang áp dụng
+     */
+    async getDraft(roomId, userId, role) {
+        await this._getManageableRoom(roomId, userId, role);
+        const draft = await this._getDraftOrThrow(roomId);
+
+        const { seats: liveSeats } = await this._snapshotRoom(roomId);
+        const draftSeats = this._parseLayoutData(draft);
+        return {
+            ...this._formatVersion(draft, { includeSeats: true }),
+            diff: this._diffSeats(liveSeats, draftSeats),
+            warnings: this._getSeatCountWarnings(draftSeats)
+        };
+    }
+
+    /**
+     * So sánh bản nháp với sơ đồ đang áp dụng: ghế thêm, bỏ, đổi loại, đổi số cột
+     */
+    async diffDraft(roomId, userId, role) {
+        await this._getManageableRoom(roomId, userId, role);
+        const draft = await this._getDraftOrThrow(roomId);
+
+        const { seats: liveSeats } = await this._snapshotRoom(roomId);
+        return {
+            draft_id: draft.Version_ID,
+            based_on_version_id: draft.Based_On_Version_ID,
+            diff: this._diffSeats(liveSeats, this._parseLayoutData(draft))
+        };
+    }
+
+    /**
+     * Tạo bản nháp từ sơ đồ đang áp dụng hoặc từ một phiên bản đã phát hành. Mỗi phòng chỉ có một bản nháp.
+     * @param {Object} options - { fromVersionId, note }
+     */
+    async createDraft(roomId, { fromVersionId = null, note = null } = {}, userId, role) {
+        const room = await this._getManageableRoom(roomId, userId, role);
+
+        const transaction = await sequelize.transaction();
+        try {
+            const existingDraft = await this._getDraftVersion(roomId, transaction);
+            if (existingDraft) {
+                throw _createError('Phòng đã có bản nháp sơ đồ ghế, vui lòng chỉnh sửa, phát hành hoặc hủy bản nháp đó', 409);
+            }
+
+            // Ghi nhận sơ đồ đang áp dụng thành phiên bản (kể cả thay đổi trực tiếp chưa qua bản nháp)
+            const liveVersion = await this._recordLiveVersion(room, userId, transaction);
+
+            let seats = this._parseLayoutData(liveVersion);
+            let basedOnVersionId = liveVersion.Version_ID;
+            if (fromVersionId) {
+                const sourceVersion = await this._getPublishedVersion(roomId, fromVersionId, transaction);
+                seats = this._parseLayoutData(sourceVersion);
+                basedOnVersionId = sourceVersion.Version_ID;
+            }
+
+            const draft = await SeatLayoutVersion.create({
+                Cinema_Room_ID: roomId,
+                Status: LAYOUT_VERSION_STATUS.DRAFT,
+                Layout_Data: JSON.stringify(seats),
+                Based_On_Version_ID: basedOnVersionId,
+                Note: this._normalizeNote(note),
+                Created_By: userId,
+                Created_At: new Date()
+            }, { transaction });
+
+            await transaction.commit();
+            this.logger.info(`[SeatLayoutVersion] User ${userId} tạo bản nháp ${draft.Version_ID} cho phòng ${roomId}`);
+
+            return this._formatVersion(draft, { includeSeats: true });
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Chỉnh sửa bản nháp, không ảnh hưởng sơ đồ đang bán vé
+     * @param {Object} changes
+     *   - ColumnsPerRow, Rows: cấu hình lại các hàng như configureSeatLayout (RowLabel, SeatType, SeatSpan, EmptyColumns)
+     *   - RemoveRows: bỏ cả hàng, ví dụ ["K"]
+     *   - RemoveSeats: bỏ từng ghế, ví dụ ["A1", "A10"]
+     *   - SeatTypes: đổi loại ghế, ví dụ [{ Seat: "E5", SeatType: "VIP" }]
+     *   - Note: ghi chú của bản nháp
+     */
+    async updateDraft(roomId, changes = {}, userId, role) {
+        await this._getManageableRoom(roomId, userId, role);
+        const draft = await this._getDraftOrThrow(roomId);
+
+        const seatsByKey = new Map(this._parseLayoutData(draft).map(seat => [this._seatKey(seat), seat]));
+        let changed = false;
+
+        const removeRows = Array.isArray(changes.RemoveRows) ? changes.RemoveRows : [];
+        if (removeRows.length > 0) {
+            [...seatsByKey.values()]
+                .filter(seat => removeRows.includes(seat.Row_Label))
+                .forEach(seat => seatsByKey.delete(this._seatKey(seat)));
+            changed = true;
+        }
+
+        if (Array.isArray(changes.Rows) && changes.Rows.length > 0) {
+            const columnsPerRow = parseInt(changes.ColumnsPerRow, 10);
+            if (isNaN(columnsPerRow) || columnsPerRow < 1) {
+                throw _createError('ColumnsPerRow phải là số nguyên dương khi cấu hình lại hàng ghế', 400);
+            }
+
+            for (const rowConfig of changes.Rows) {
+                if (!rowConfig.RowLabel || !/^[A-Z]+$/.test(rowConfig.RowLabel)) {
+                    throw _createError(`Tên hàng '${rowConfig.RowLabel}' không hợp lệ, chỉ được chứa chữ cái in hoa`, 400);
+                }
+
+                let rowSeats;
+                let seatType;
+                try {
+                    seatType = seatLayoutService.normalizeSeatType(rowConfig.SeatType || 'Regular');
+                    const seatSpan = seatLayoutService._resolveSeatSpan(seatType, rowConfig.SeatSpan);
+                    rowSeats = seatLayoutService._buildRowSeats(rowConfig.RowLabel, columnsPerRow, rowConfig.EmptyColumns || [], seatSpan);
+                } catch (error) {
+                    throw _createError(error.message, 400);
+                }
+
+                [...seatsByKey.values()]
+                    .filter(seat => seat.Row_Label === rowConfig.RowLabel)
+                    .forEach(seat => seatsByKey.delete(this._seatKey(seat)));
+                rowSeats.forEach(rowSeat => {
+                    const seat = {
+                        Row_Label: rowConfig.RowLabel,
+                        Column_Number: rowSeat.Column_Number,
+                        Column_Span: rowSeat.Column_Span,
+                        Seat_Type: seatType
+                    };
+                    seatsByKey.set(this._seatKey(seat), seat);
+                });
+            }
+            changed = true;
+        }
+
+        const removeSeats = Array.isArray(changes.RemoveSeats) ? changes.RemoveSeats : [];
+        if (removeSeats.length > 0) {
+            const unknown = removeSeats.filter(label => !seatsByKey.has(label));
+            if (unknown.length > 0) {
+                throw _createError(`Ghế không có trong bản nháp: ${unknown.join(', ')}`, 400);
+            }
+            removeSeats.forEach(label => seatsByKey.delete(label));
+            changed = true;
+        }
+
+        const seatTypes = Array.isArray(changes.SeatTypes) ? changes.SeatTypes : [];
+        if (seatTypes.length > 0) {
+            for (const item of seatTypes) {
+                const seat = seatsByKey.get(item.Seat);
+                if (!seat) {
+                    throw _createError(`Ghế ${item.Seat} không có trong bản nháp`, 400);
+                }
+                try {
+                    seat.Seat_Type = seatLayoutService.normalizeSeatType(item.SeatType);
+                } catch (error) {
+                    throw _createError(error.message, 400);
+                }
+            }
+            changed = true;
+        }
+
+        if (!changed && changes.Note === undefined) {
+            throw _createError('Không có thay đổi nào cho bản nháp (Rows, RemoveRows, RemoveSeats, SeatTypes hoặc Note)', 400);
+        }
+
+        const seats = this._sortSeats([...seatsByKey.values()]);
+        this._validateSeats(seats);
+
+        await draft.update({
+            Layout_Data: JSON.stringify(seats),
+            Note: changes.Note !== undefined ? this._normalizeNote(changes.Note) : draft.Note,
+            Updated_At: new Date()
+        });
+
+        const { seats: liveSeats } = await this._snapshotRoom(roomId);
+        return {
+            ...this._formatVersion(draft, { includeSeats: true }),
+            diff: this._diffSeats(liveSeats, seats),
+            warnings: this._getSeatCountWarnings(seats)
+        };
+    }
+
+    /**
+     * Hủy bản nháp đang mở
+     */
+    async discardDraft(roomId, userId, role) {
+        await this._getManageableRoom(roomId, userId, role);
+        const draft = await this._getDraftOrThrow(roomId);
+
+        await draft.update({ Status: LAYOUT_VERSION_STATUS.DISCARDED, Updated_At: new Date() });
+        this.logger.info(`[SeatLayoutVersion] User ${userId} hủy bản nháp ${draft.Version_ID} của phòng ${roomId}`);
+
+        return { draft_id: draft.Version_ID, status: draft.Status };
+    }
+
+    // =================== PHÁT HÀNH / KHÔI PHỤC ===================
+
+    /**
+     * Phát hành bản nháp thành sơ đồ đang áp dụng (một transaction)
+     */
+    async publishDraft(roomId, userId, role) {
+        const room = await this._getManageableRoom(roomId, userId, role);
+
+        const transaction = await sequelize.transaction();
+        try {
+            const draft = await this._getDraftVersion(roomId, transaction);
+            if (!draft) {
+                throw _createError('Phòng chưa có bản nháp sơ đồ ghế', 404);
+            }
+
+            const result = await this._publish(room, draft, userId, transaction);
+            await transaction.commit();
+
+            this.logger.info(`[SeatLayoutVersion] User ${userId} phát hành phiên bản ${result.version.version_number} cho phòng ${roomId}`);
+            return result;
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Khôi phục một phiên bản đã phát hành: tạo phiên bản mới với sơ đồ của phiên bản đó và phát hành ngay
+     */
+    async rollbackToVersion(roomId, versionId, { note = null } = {}, userId, role) {
+        const room = await this._getManageableRoom(roomId, userId, role);
+
+        const transaction = await sequelize.transaction();
+        try {
+            if (await this._getDraftVersion(roomId, transaction)) {
+                throw _createError('Phòng đang có bản nháp sơ đồ ghế, vui lòng phát hành hoặc hủy bản nháp trước khi khôi phục', 409);
+            }
+
+            const targetVersion = await this._getPublishedVersion(roomId, versionId, transaction);
+            if (targetVersion.Status === LAYOUT_VERSION_STATUS.PUBLISHED) {
+                throw _createError(`Phiên bản ${targetVersion.Version_Number} đang được áp dụng`, 400);
+            }
+
+            const restoredVersion = await SeatLayoutVersion.create({
+                Cinema_Room_ID: roomId,
+                Status: LAYOUT_VERSION_STATUS.DRAFT,
+                Layout_Data: targetVersion.Layout_Data,
+                Based_On_Version_ID: targetVersion.Version_ID,
+                Note: this._normalizeNote(note) || `Khôi phục phiên bản ${targetVersion.Version_Number}`,
+                Created_By: userId,
+                Created_At: new Date()
+            }, { transaction });
+
+            const result = await this._publish(room, restoredVersion, userId, transaction);
+            await transaction.commit();
+
+            this.logger.info(`[SeatLayoutVersion] User ${userId} khôi phục phiên bản ${targetVersion.Version_Number} cho phòng ${roomId}`);
+            return { ...result, restored_from_version: targetVersion.Version_Number };
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Áp dụng sơ đồ của một phiên bản cho phòng. Ghế giữ nguyên vị trí giữ Layout_ID, ghế bị bỏ chỉ ngừng hoạt động
+     * (vé cũ vẫn tham chiếu được), ghế thêm lại vị trí cũ dùng lại layout đã ngừng hoạt động.
+     */
+    async _publish(room, version, userId, transaction) {
+        const roomId = room.Cinema_Room_ID;
+        const targetSeats = this._parseLayoutData(version);
+
+        this._validateSeats(targetSeats);
+        const seatCountWarnings = this._getSeatCountWarnings(targetSeats);
+        if (seatCountWarnings.length > 0) {
+            throw _createError(seatCountWarnings[0], 400);
+        }
+
+        // Thay đổi trực tiếp chưa qua bản nháp cũng được lưu thành phiên bản để có thể khôi phục
+        const liveVersion = await this._recordLiveVersion(room, userId, transaction);
+
+        const { seats: liveSeats, layouts: allLayouts } = await this._snapshotRoom(roomId, transaction, { includeInactive: true });
+        const diff = this._diffSeats(liveSeats, targetSeats);
+        if (diff.added.length + diff.removed.length + diff.retyped.length + diff.resized.length === 0) {
+            throw _createError('Sơ đồ ghế không có thay đổi nào so với phiên bản đang áp dụng', 400);
+        }
+
+        const activeByKey = new Map(allLayouts.filter(layout => layout.Is_Active).map(layout => [this._seatKey(layout), layout]));
+        const inactiveByKey = new Map(allLayouts.filter(layout => !layout.Is_Active).map(layout => [this._seatKey(layout), layout]));
+
+        // Ghế bị bỏ / đổi loại / đổi số cột không được có đơn chờ thanh toán hoặc vé đã bán cho suất chiếu sắp tới
+        const affectedLayoutIds = [...diff.removed, ...diff.retyped, ...diff.resized]
+            .map(change => activeByKey.get(change.seat).Layout_ID);
+        if (affectedLayoutIds.length > 0) {
+            // Khóa các layout bị ảnh hưởng (UPDLOCK) và kiểm tra đơn chờ trong cùng transaction phát hành,
+            // để đơn đặt vé tạo xen giữa lúc kiểm tra và lúc áp dụng sơ đồ không lọt qua
+            await SeatLayout.findAll({
+                where: { Layout_ID: { [Op.in]: affectedLayoutIds } },
+                attributes: ['Layout_ID'],
+                transaction,
+                lock: transaction.LOCK.UPDATE
+            });
+            if (await seatLayoutService.hasPendingBookingsForLayouts(affectedLayoutIds, transaction)) {
+                throw _createError('Không thể phát hành vì ghế bị bỏ hoặc thay đổi đang có đơn đặt vé chờ thanh toán', 409);
+            }
+
+            const soldSeats = await this._findSeatsSoldForUpcomingShowtimes(affectedLayoutIds, transaction);
+            if (soldSeats.length > 0) {
+                throw _createError(`Không thể phát hành vì ghế ${soldSeats.join(', ')} đã bán vé cho suất chiếu sắp tới. Hãy giữ nguyên các ghế này hoặc phát hành sau khi các suất chiếu kết thúc`, 409);
+            }
+        }
+
+        if (diff.removed.length > 0) {
+            await SeatLayout.update(
+                { Is_Active: false },
+                { where: { Layout_ID: { [Op.in]: diff.removed.map(change => activeByKey.get(change.seat).Layout_ID) } }, transaction }
+            );
+        }
+
+        for (const change of diff.retyped) {
+            await SeatLayout.update(
+                { Seat_Type: change.to },
+                { where: { Layout_ID: activeByKey.get(change.seat).Layout_ID }, transaction }
+            );
+        }
+
+        const spanUpdates = diff.resized.map(change => ({ Layout_ID: activeByKey.get(change.seat).Layout_ID, Column_Span: change.to }));
+
+        const newLayouts = [];
+        const newLayoutSpans = [];
+        for (const seat of diff.added) {
+            const reusable = inactiveByKey.get(seat.seat);
+            if (reusable) {
+                await SeatLayout.update(
+                    { Is_Active: true, Seat_Type: seat.Seat_Type },
+                    { where: { Layout_ID: reusable.Layout_ID }, transaction }
+                );
+                spanUpdates.push({ Layout_ID: reusable.Layout_ID, Column_Span: seat.Column_Span });
+            } else {
+                newLayouts.push({
+                    Cinema_Room_ID: roomId,
+                    Row_Label: seat.Row_Label,
+                    Column_Number: seat.Column_Number,
+                    Seat_Type: seat.Seat_Type,
+                    Is_Active: true
+                });
+                newLayoutSpans.push(seat.Column_Span);
+            }
+        }
+
+        if (newLayouts.length > 0) {
+            const createdLayouts = await SeatLayout.bulkCreate(newLayouts, { transaction });
+            createdLayouts.forEach((layout, index) => {
+                spanUpdates.push({ Layout_ID: layout.Layout_ID, Column_Span: newLayoutSpans[index] });
+            });
+        }
+
+        // Số cột của ghế: xóa bản ghi cũ rồi ghi lại cho ghế chiếm nhiều cột
+        if (spanUpdates.length > 0) {
+            await SeatLayoutSpan.destroy({
+                where: { Layout_ID: { [Op.in]: spanUpdates.map(span => span.Layout_ID) } },
+                transaction
+            });
+            const multiColumnSpans = spanUpdates.filter(span => span.Column_Span > 1);
+            if (multiColumnSpans.length > 0) {
+                await SeatLayoutSpan.bulkCreate(multiColumnSpans, { transaction });
+            }
+        }
+
+        await CinemaRoom.update(
+            { Seat_Quantity: targetSeats.length },
+            { where: { Cinema_Room_ID: roomId }, transaction }
+        );
+
+        await liveVersion.update({ Status: LAYOUT_VERSION_STATUS.SUPERSEDED, Updated_At: new Date() }, { transaction });
+        await version.update({
+            Status: LAYOUT_VERSION_STATUS.PUBLISHED,
+            Version_Number: liveVersion.Version_Number + 1,
+            Published_By: userId,
+            Published_At: new Date(),
+            Updated_At: new Date()
+        }, { transaction });
+
+        return {
+            version: this._formatVersion(version),
+            previous_version_number: liveVersion.Version_Number,
+            diff
+        };
+    }
+
+    // =================== HELPER METHODS ===================
+
+    /**
+     * Bảo đảm phiên bản Published mới nhất trùng với sơ đồ đang áp dụng. Lần đầu dùng (hoặc sau khi sơ đồ bị sửa
+     * trực tiếp qua /bulk, /bulk-update-types...) sơ đồ hiện tại được lưu thành phiên bản mới.
+     * @returns {SeatLayoutVersion} phiên bản đang áp dụng
+     */
+    async _recordLiveVersion(room, userId, transaction) {
+        const roomId = room.Cinema_Room_ID;
+        const { seats: liveSeats } = await this._snapshotRoom(roomId, transaction);
+
+        const publishedVersion = await SeatLayoutVersion.findOne({
+            where: { Cinema_Room_ID: roomId, Status: LAYOUT_VERSION_STATUS.PUBLISHED },
+            order: [['Version_Number', 'DESC']],
+            transaction
+        });
+
+        if (publishedVersion && JSON.stringify(this._parseLayoutData(publishedVersion)) === JSON.stringify(liveSeats)) {
+            return publishedVersion;
+        }
+
+        const latestNumber = await SeatLayoutVersion.max('Version_Number', { where: { Cinema_Room_ID: roomId }, transaction });
+        if (publishedVersion) {
+            await publishedVersion.update({ Status: LAYOUT_VERSION_STATUS.SUPERSEDED, Updated_At: new Date() }, { transaction });
+        }
+
+        return SeatLayoutVersion.create({
+            Cinema_Room_ID: roomId,
+            Version_Number: (latestNumber || 0) + 1,
+            Status: LAYOUT_VERSION_STATUS.PUBLISHED,
+            Layout_Data: JSON.stringify(liveSeats),
+            Note: publishedVersion ? 'Sơ đồ được chỉnh sửa trực tiếp (ghi nhận tự động)' : 'Sơ đồ ban đầu (ghi nhận tự động)',
+            Created_By: userId,
+            Created_At: new Date(),
+            Published_By: userId,
+            Published_At: new Date()
+        }, { transaction });
+    }
+
+    /**
+     * Sơ đồ ghế đang áp dụng của phòng
+     * @param {Object} options - { includeInactive }: trả thêm layout đã ngừng hoạt động trong `layouts`
+     * @returns {Object} { seats: ghế đang hoạt động dạng Layout_Data, layouts: layout kèm Column_Span }
+     */
+    async _snapshotRoom(roomId, transaction = null, { includeInactive = false } = {}) {
+        const where = { Cinema_Room_ID: roomId };
+        if (!includeInactive) where.Is_Active = true;
+
+        const layouts = await seatLayoutService.attachColumnSpans(await SeatLayout.findAll({
+            where,
+            attributes: ['Layout_ID', 'Row_Label', 'Column_Number', 'Seat_Type', 'Is_Active'],
+            raw: true,
+            transaction
+        }), transaction);
+
+        const seats = this._sortSeats(layouts
+            .filter(layout => layout.Is_Active)
+            .map(layout => ({
+                Row_Label: layout.Row_Label,
+                Column_Number: layout.Column_Number,
+                Column_Span: layout.Column_Span,
+                Seat_Type: layout.Seat_Type
+            })));
+
+        return { seats, layouts };
+    }
+
+    /**
+     * So sánh hai danh sách ghế theo vị trí (hàng + cột đầu)
+     * @returns {Object} { added, removed, retyped, resized, unchanged, summary }
+     */
+    _diffSeats(fromSeats, toSeats) {
+        const fromByKey = new Map(fromSeats.map(seat => [this._seatKey(seat), seat]));
+        const toByKey = new Map(toSeats.map(seat => [this._seatKey(seat), seat]));
+        const describe = seat => ({
+            seat: this._seatKey(seat),
+            Row_Label: seat.Row_Label,
+            Column_Number: seat.Column_Number,
+            Column_Span: seat.Column_Span || 1,
+            Seat_Type: seat.Seat_Type
+        });
+
+        const added = toSeats.filter(seat => !fromByKey.has(this._seatKey(seat))).map(describe);
+        const removed = fromSeats.filter(seat => !toByKey.has(this._seatKey(seat))).map(describe);
+        const retyped = [];
+        const resized = [];
+        let unchanged = 0;
+
+        toSeats.forEach(seat => {
+            const before = fromByKey.get(this._seatKey(seat));
+            if (!before) return;
+
+            let seatChanged = false;
+            if (before.Seat_Type !== seat.Seat_Type) {
+                retyped.push({ seat: this._seatKey(seat), from: before.Seat_Type, to: seat.Seat_Type });
+                seatChanged = true;
+            }
+            if ((before.Column_Span || 1) !== (seat.Column_Span || 1)) {
+                resized.push({ seat: this._seatKey(seat), from: before.Column_Span || 1, to: seat.Column_Span || 1 });
+                seatChanged = true;
+            }
+            if (!seatChanged) unchanged++;
+        });
+
+        return {
+            added,
+            removed,
+            retyped,
+            resized,
+            unchanged,
+            summary: {
+                seats_before: fromSeats.length,
+                seats_after: toSeats.length,
+                added: added.length,
+                removed: removed.length,
+                retyped: retyped.length,
+                resized: resized.length
+            }
+        };
+    }
+
+    /**
+     * Kiểm tra tính hợp lệ của sơ đồ: ghế trong một hàng không chồng cột, ghế đi kèm nằm sát chỗ xe lăn
+     */
+    _validateSeats(seats) {
+        const rows = new Map();
+        seats.forEach(seat => {
+            if (!rows.has(seat.Row_Label)) rows.set(seat.Row_Label, []);
+            rows.get(seat.Row_Label).push(seat);
+        });
+
+        rows.forEach(rowSeats => {
+            for (let i = 1; i < rowSeats.length; i++) {
+                if (rowSeats[i].Column_Number <= seatLayoutService.getEndColumn(rowSeats[i - 1])) {
+                    throw _createError(`Ghế ${this._seatKey(rowSeats[i - 1])} và ${this._seatKey(rowSeats[i])} chồng lên nhau`, 400);
+                }
+            }
+        });
+
+        const unpaired = seatLayoutService._findUnpairedCompanions(seats.map(seat => ({ ...seat, Layout_ID: this._seatKey(seat) })));
+        if (unpaired.length > 0) {
+            throw _createError(`Ghế đi kèm ${unpaired.join(', ')} phải nằm sát một chỗ xe lăn trong cùng hàng`, 400);
+        }
+    }
+
+    _getSeatCountWarnings(seats) {
+        if (seats.length < MIN_ROOM_SEATS || seats.length > MAX_ROOM_SEATS) {
+            return [`Số lượng ghế phải từ ${MIN_ROOM_SEATS} đến ${MAX_ROOM_SEATS} (hiện tại: ${seats.length})`];
+        }
+        return [];
+    }
+
+    /**
+     * Nhãn các ghế (trong danh sách layout) đã bán vé cho suất chiếu từ hôm nay trở đi
+     */
+    async _findSeatsSoldForUpcomingShowtimes(layoutIds, transaction = null) {
+        const tickets = await Ticket.findAll({
+            where: { Status: { [Op.notIn]: ['Cancelled', 'Expired'] } },
+            attributes: ['Ticket_ID'],
+            include: [
+                {
+                    model: Seat,
+                    as: 'Seat',
+                    attributes: ['Seat_ID', 'Layout_ID'],
+                    where: { Layout_ID: { [Op.in]: layoutIds } },
+                    required: true,
+                    include: [{ model: SeatLayout, as: 'SeatLayout', attributes: ['Row_Label', 'Column_Number'] }]
+                },
+                {
+                    model: Showtime,
+                    as: 'Showtime',
+                    attributes: ['Showtime_ID'],
+                    where: {
+                        Show_Date: { [Op.gte]: format(new Date(), 'yyyy-MM-dd') },
+                        Status: { [Op.notIn]: ['Hidden', 'Cancelled'] }
+                    },
+                    required: true
+                }
+            ],
+            transaction
+        });
+
+        return [...new Set(tickets
+            .filter(ticket => ticket.Seat?.SeatLayout)
+            .map(ticket => this._seatKey(ticket.Seat.SeatLayout)))];
+    }
+
+    /**
+     * Phòng chiếu mà người dùng được quản lý sơ đồ ghế (Manager chỉ quản lý phòng thuộc rạp được phân công)
+     */
+    async _getManageableRoom(roomId, userId, role) {
+        const room = await CinemaRoom.findByPk(roomId);
+        if (!room) {
+            throw _createError(`Không tìm thấy phòng chiếu có ID ${roomId}`, 404);
+        }
+
+        if (role === 'Manager') {
+            const manager = await User.findByPk(userId, { attributes: ['User_ID', 'Cinema_ID'] });
+            if (!manager || manager.Cinema_ID !== room.Cinema_ID) {
+                throw _createError('Bạn không có quyền quản lý sơ đồ ghế của phòng thuộc rạp khác', 403);
+            }
+        }
+
+        return room;
+    }
+
+    async _getDraftVersion(roomId, transaction = null) {
+        return SeatLayoutVersion.findOne({
+            where: { Cinema_Room_ID: roomId, Status: LAYOUT_VERSION_STATUS.DRAFT },
+            transaction
+        });
+    }
+
+    async _getDraftOrThrow(roomId) {
+        const draft = await this._getDraftVersion(roomId);
+        if (!draft) {
+            throw _createError('Phòng chưa có bản nháp sơ đồ ghế', 404);
+        }
+        return draft;
+    }
+
+    async _getPublishedVersion(roomId, versionId, transaction = null) {
+        const version = await SeatLayoutVersion.findOne({
+            where: {
+                Version_ID: versionId,
+                Cinema_Room_ID: roomId,
+                Status: { [Op.in]: [LAYOUT_VERSION_STATUS.PUBLISHED, LAYOUT_VERSION_STATUS.SUPERSEDED] }
+            },
+            transaction
+        });
+        if (!version) {
+            throw _createError('Không tìm thấy phiên bản đã phát hành của phòng này', 404);
+        }
+        return version;
+    }
+
+    _parseLayoutData(version) {
+        try {
+            return JSON.parse(version.Layout_Data) || [];
+        } catch (error) {
+            this.logger.error(`[SeatLayoutVersion] Layout_Data của phiên bản ${version.Version_ID} không hợp lệ:`, error);
+            return [];
+        }
+    }
+
+    _sortSeats(seats) {
+        return seats.sort((a, b) =>
+            a.Row_Label.length - b.Row_Label.length
+            || a.Row_Label.localeCompare(b.Row_Label)
+            || a.Column_Number - b.Column_Number);
+    }
+
+    _seatKey(seat) {
+        return `${seat.Row_Label}${seat.Column_Number}`;
+    }
+
+    _normalizeNote(note) {
+        if (note === undefined || note === null || String(note).trim() === '') return null;
+        const trimmed = String(note).trim();
+        if (trimmed.length > 255) {
+            throw _createError('Ghi chú không được vượt quá 255 ký tự', 400);
+        }
+        return trimmed;
+    }
+
+    _formatVersion(version, { includeSeats = false } = {}) {
+        const seats = this._parseLayoutData(version);
+        const seatTypes = {};
+        seats.forEach(seat => {
+            seatTypes[seat.Seat_Type] = (seatTypes[seat.Seat_Type] || 0) + 1;
+        });
+
+        return {
+            version_id: version.Version_ID,
+            cinema_room_id: version.Cinema_Room_ID,
+            version_number: version.Version_Number,
+            status: version.Status,
+            based_on_version_id: version.Based_On_Version_ID,
+            note: version.Note,
+            total_seats: seats.length,
+            seat_types: Object.keys(seatTypes).map(type => ({ type, count: seatTypes[type] })),
+            created_by: version.Created_By,
+            created_at: version.Created_At,
+            updated_at: version.Updated_At,
+            published_by: version.Publisher
+                ? { user_id: version.Publisher.User_ID, full_name: version.Publisher.Full_Name }
+                : version.Published_By,
+            published_at: version.Published_At,
+            ...(includeSeats ? { seats } : {})
+        };
+    }
+}
+
+module.exports = new SeatLayoutVersionService();
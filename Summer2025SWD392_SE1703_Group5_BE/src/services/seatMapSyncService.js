@@ -0,0 +1,227 @@
+// src/services/seatMapSyncService.js
+// Đồng bộ sơ đồ ghế theo phiên bản: snapshot kèm số thứ tự (seq), sau đó chỉ gửi các thay đổi (delta)
+//
+// Giao thức với client (room showtime-<id>):
+// - 'seats-snapshot' { showtimeId, seq, seats }: toàn bộ sơ đồ, gửi riêng cho socket khi join / resync.
+// - 'seat-delta' { showtimeId, seq, changes: [{ seatId, status, userId }] }: broadcast cho cả room.
+//   Mỗi change là trạng thái tuyệt đối của ghế nên áp dụng lại nhiều lần không sai.
+// - Client áp dụng delta có seq = lastSeq + 1, bỏ qua delta có seq <= lastSeq.
+//   Gặp seq > lastSeq + 1 (mất gói) thì gửi 'resync-seats' { showtimeId, lastSeq }:
+//   server trả 'seat-deltas-replay' nếu nhật ký còn đủ các delta bị thiếu, ngược lại trả snapshot mới.
+//
+// seq và nhật ký delta lưu trên Redis để mọi node dùng chung một dãy số; khi Redis không khả dụng
+// thì dùng bộ nhớ của node (client của node đó vẫn nhất quán vì broadcast lúc này cũng chỉ trong node).
+
+const seatCacheService = require('./seatCacheService');
+
+// Tăng seq, ghi nhật ký và trạng thái cuối của từng ghế trong một thao tác nguyên tử
+const PUBLISH_DELTA_SCRIPT = `
+local seq = redis.call('INCR', KEYS[1])
+local changes = cjson.decode(ARGV[1])
+redis.call('RPUSH', KEYS[2], cjson.encode({ seq = seq, changes = changes }))
+redis.call('LTRIM', KEYS[2], -tonumber(ARGV[2]), -1)
+for _, change in ipairs(changes) do
+    redis.call('HSET', KEYS[3], change.seatId, cjson.encode(change))
+end
+for i = 1, 3 do
+    redis.call('EXPIRE', KEYS[i], tonumber(ARGV[3]))
+end
+return seq
+`;
+
+class SeatMapSyncService {
+    constructor() {
+        // Số delta gần nhất giữ lại để phát lại khi client bị lỡ
+        this.DELTA_LOG_SIZE = 200;
+
+        // Dữ liệu đồng bộ tự hết hạn khi suất chiếu không còn ai thao tác (1 ngày)
+        this.STATE_TTL_SECONDS = 24 * 60 * 60;
+
+        // Fallback khi Redis không khả dụng: { showtimeId: number }, { showtimeId: [{ seq, changes }] }, { showtimeId: Map<seatId, change> }
+        this.memorySeq = new Map();
+        this.memoryLog = new Map();
+        this.memoryState = new Map();
+    }
+
+    _keys(showtimeId) {
+        return {
+            seq: `seatmap:${showtimeId}:seq`,
+            log: `seatmap:${showtimeId}:deltas`,
+            state: `seatmap:${showtimeId}:state`
+        };
+    }
+
+    _room(showtimeId) {
+        return `showtime-${showtimeId}`;
+    }
+
+    _emit(showtimeId, event, payload) {
+        try {
+            const { getIO } = require('../websocket/socketHandler');
+            getIO().to(this._room(showtimeId)).emit(event, payload);
+        } catch (error) {
+            console.error(`❌ [SEATMAP] Không thể gửi ${event} cho suất ${showtimeId}:`, error.message);
+        }
+    }
+
+    _toChange(seat) {
+        return {
+            seatId: seat.seatId,
+            status: seat.status,
+            userId: seat.userId ?? null
+        };
+    }
+
+    /**
+     * seq hiện tại của sơ đồ ghế (0 khi chưa có thay đổi nào)
+     */
+    async getCurrentSeq(showtimeId) {
+        if (seatCacheService.redisAvailable) {
+            try {
+                const seq = await seatCacheService.redis.get(this._keys(showtimeId).seq);
+                return seq ? parseInt(seq, 10) : 0;
+            } catch (error) {
+                console.error(`❌ [SEATMAP] Lỗi khi đọc seq suất ${showtimeId}:`, error.message);
+            }
+        }
+        return this.memorySeq.get(String(showtimeId)) || 0;
+    }
+
+    /**
+     * Snapshot có phiên bản. seq được đọc TRƯỚC khi nạp ghế: delta xảy ra trong lúc nạp
+     * sẽ có seq lớn hơn và được client áp dụng lại (vô hại vì delta là trạng thái tuyệt đối).
+     */
+    async getSnapshot(showtimeId) {
+        const seatSelectionService = require('./seatSelectionService');
+        const seq = await this.getCurrentSeq(showtimeId);
+        const seats = await seatSelectionService.getShowtimeSeats(showtimeId);
+
+        return {
+            showtimeId: Number(showtimeId),
+            seq,
+            seats: Array.isArray(seats) ? seats : []
+        };
+    }
+
+    /**
+     * Ghi và broadcast một delta cho room của suất chiếu
+     * @param {Array} changes - [{ seatId, status, userId }]
+     * @returns {Object|null} delta đã gửi
+     */
+    async publishDelta(showtimeId, changes) {
+        if (!Array.isArray(changes) || changes.length === 0) return null;
+
+        const normalized = changes.map(change => this._toChange(change));
+        let seq = null;
+
+        if (seatCacheService.redisAvailable) {
+            try {
+                const keys = this._keys(showtimeId);
+                seq = await seatCacheService.redis.eval(PUBLISH_DELTA_SCRIPT, {
+                    keys: [keys.seq, keys.log, keys.state],
+                    arguments: [JSON.stringify(normalized), String(this.DELTA_LOG_SIZE), String(this.STATE_TTL_SECONDS)]
+                });
+            } catch (error) {
+                console.error(`❌ [SEATMAP] Lỗi khi ghi delta suất ${showtimeId} vào Redis:`, error.message);
+            }
+        }
+
+        if (seq === null) {
+            seq = this._memoryPublish(String(showtimeId), normalized);
+        }
+
+        const delta = { showtimeId: Number(showtimeId), seq, changes: normalized };
+        this._emit(showtimeId, 'seat-delta', delta);
+        return delta;
+    }
+
+    _memoryPublish(key, changes) {
+        const seq = (this.memorySeq.get(key) || 0) + 1;
+        this.memorySeq.set(key, seq);
+
+        const log = this.memoryLog.get(key) || [];
+        log.push({ seq, changes });
+        if (log.length > this.DELTA_LOG_SIZE) log.splice(0, log.length - this.DELTA_LOG_SIZE);
+        this.memoryLog.set(key, log);
+
+        const state = this.memoryState.get(key) || new Map();
+        changes.forEach(change => state.set(change.seatId, change));
+        this.memoryState.set(key, state);
+
+        return seq;
+    }
+
+    /**
+     * Dùng khi không biết chính xác ghế nào thay đổi (hủy đơn, đổi vé, dọn ghế hết hạn...):
+     * so sánh sơ đồ hiện tại với trạng thái cuối đã gửi và chỉ broadcast phần khác nhau.
+     */
+    async publishRefresh(showtimeId) {
+        const seatSelectionService = require('./seatSelectionService');
+        const seats = await seatSelectionService.getShowtimeSeats(showtimeId);
+        if (!Array.isArray(seats) || seats.length === 0) return null;
+
+        const lastState = await this._getLastState(showtimeId);
+        const changes = seats
+            .map(seat => this._toChange(seat))
+            .filter(change => {
+                const previous = lastState.get(change.seatId);
+                // Ghế chưa từng có delta được coi là 'available' với client
+                if (!previous) return change.status !== 'available';
+                return previous.status !== change.status || String(previous.userId) !== String(change.userId);
+            });
+
+        return this.publishDelta(showtimeId, changes);
+    }
+
+    async _getLastState(showtimeId) {
+        if (seatCacheService.redisAvailable) {
+            try {
+                const raw = await seatCacheService.redis.hGetAll(this._keys(showtimeId).state);
+                return new Map(Object.entries(raw || {}).map(([seatId, value]) => [seatId, JSON.parse(value)]));
+            } catch (error) {
+                console.error(`❌ [SEATMAP] Lỗi khi đọc trạng thái ghế suất ${showtimeId}:`, error.message);
+            }
+        }
+        return this.memoryState.get(String(showtimeId)) || new Map();
+    }
+
+    /**
+     * Xử lý client bị lỡ delta: phát lại từ nhật ký nếu còn đủ, ngược lại gửi snapshot mới
+     * @returns {Object} { type: 'replay', deltas } hoặc { type: 'snapshot', snapshot }
+     */
+    async getResync(showtimeId, lastSeq) {
+        const fromSeq = parseInt(lastSeq, 10);
+        if (!isNaN(fromSeq) && fromSeq >= 0) {
+            const log = await this._getDeltaLog(showtimeId);
+            const missing = log.filter(entry => entry.seq > fromSeq);
+            const currentSeq = log.length > 0 ? log[log.length - 1].seq : await this.getCurrentSeq(showtimeId);
+
+            // Nhật ký phải chứa liền mạch từ fromSeq + 1 tới seq hiện tại
+            const covered = missing.length === 0
+                ? fromSeq === currentSeq
+                : missing[0].seq === fromSeq + 1 && missing.length === currentSeq - fromSeq;
+            if (covered) {
+                return {
+                    type: 'replay',
+                    deltas: missing.map(entry => ({ showtimeId: Number(showtimeId), seq: entry.seq, changes: entry.changes }))
+                };
+            }
+        }
+
+        return { type: 'snapshot', snapshot: await this.getSnapshot(showtimeId) };
+    }
+
+    async _getDeltaLog(showtimeId) {
+        if (seatCacheService.redisAvailable) {
+            try {
+                const entries = await seatCacheService.redis.lRange(this._keys(showtimeId).log, 0, -1);
+                return entries.map(entry => JSON.parse(entry));
+            } catch (error) {
+                console.error(`❌ [SEATMAP] Lỗi khi đọc nhật ký delta suất ${showtimeId}:`, error.message);
+            }
+        }
+        return this.memoryLog.get(String(showtimeId)) || [];
+    }
+}
+
+module.exports = new SeatMapSyncService();
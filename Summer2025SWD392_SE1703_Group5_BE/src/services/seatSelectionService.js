@@ -20,6 +20,10 @@ class SeatSelectionService {
         // Cleanup timer sẽ được start từ WebSocket handler với io instance
         this.cleanupTimer = null;
 
+        // Khi chạy nhiều instance, chỉ node giữ lease này mới chạy cleanup (lease hết hạn sau 3 chu kỳ nếu node chết)
+        this.CLEANUP_LEADER_LEASE = 'seat-cleanup';
+        this.CLEANUP_LEASE_TTL = this.CLEANUP_INTERVAL * 3;
+
         // Khởi tạo dữ liệu từ database khi service được tạo
         this.initializeFromDatabase();
     }
@@ -223,6 +227,15 @@ class SeatSelectionService {
                 return await this._createSampleSeatMap(showtimeId);
             }
 
+            // Ghế bị Manager khóa riêng cho suất chiếu này (ghế hỏng, ghế giữ cho rạp...)
+            let blockedLayoutMap = new Map();
+            try {
+                const showtimeSeatBlockService = require('./showtimeSeatBlockService');
+                blockedLayoutMap = await showtimeSeatBlockService.getBlockedLayoutMap(showtimeId);
+            } catch (error) {
+                console.error(`❌ [BACKEND] Lỗi khi lấy danh sách ghế bị khóa: ${error.message}`);
+            }
+
             // Khởi tạo danh sách ghế đã đặt
             let bookedTickets = [];
             const bookedSeatMap = new Map();
@@ -369,7 +382,35 @@ class SeatSelectionService {
             const showDate = showtime?.Show_Date;
             const startTime = showtime?.Start_Time;
 
+            // Đảm bảo quy tắc giá và lịch ngày lễ đã được nạp trước khi tính giá
+            await pricingService.ensureRulesLoaded();
+
+            // Định dạng suất chiếu (3D, lồng tiếng, CC...) cho các quy tắc giá Format_Multiplier
+            let showtimeFormat = null;
+            try {
+                const showtimeFormatService = require('./showtimeFormatService');
+                showtimeFormat = await showtimeFormatService.getShowtimeFormat(showtimeId);
+            } catch (formatError) {
+                console.error(`❌ [BACKEND] Lỗi khi lấy định dạng suất chiếu:`, formatError.message);
+            }
+
+            // Chỗ xe lăn / ghế đi kèm chỉ dành cho khách cần hỗ trợ tiếp cận tới thời điểm mở bán rộng rãi
+            let accessibleHoldback = { active: false, releaseAt: null };
+            try {
+                const seatBookingRulesService = require('./seatBookingRulesService');
+                accessibleHoldback = await seatBookingRulesService.getAccessibleHoldback(showtimeId);
+            } catch (holdbackError) {
+                console.error(`❌ [BACKEND] Lỗi khi lấy thời gian giữ ghế tiếp cận:`, holdbackError.message);
+            }
 
+            // Ghế Sweetbox chiếm nhiều cột: trả về độ rộng để frontend vẽ đúng kích thước
+            const seatLayoutService = require('./seatLayoutService');
+            let columnSpans = new Map();
+            try {
+                columnSpans = await seatLayoutService.getColumnSpans(seatLayouts.map(layout => layout.Layout_ID));
+            } catch (spanError) {
+                console.error(`❌ [BACKEND] Lỗi khi lấy số cột của ghế:`, spanError.message);
+            }
 
             // Tạo ghế từ layout
             for (const layout of seatLayouts) {
@@ -384,6 +425,9 @@ class SeatSelectionService {
                 // Kiểm tra xem ghế đã được đặt trong database chưa
                 const bookedInfo = bookedSeatMap.get(seatId);
                 const isBooked = !!bookedInfo;
+                const blockInfo = blockedLayoutMap.get(layout.Layout_ID);
+                const isAccessible = SeatLayout.ACCESSIBLE_SEAT_TYPES.includes(seatType);
+                const columnSpan = columnSpans.get(layout.Layout_ID) || 1;
 
                 // Xác định trạng thái cuối cùng của ghế
                 let status = 'available';
@@ -393,6 +437,9 @@ class SeatSelectionService {
                     // Ghế đã booked trong database - ưu tiên cao nhất
                     status = bookedInfo.status;
                     userId = bookedInfo.userId;
+                } else if (blockInfo) {
+                    // Ghế bị khóa cho suất này - không bán
+                    status = 'blocked';
                 } else if (cachedSeat) {
                     // 🔧 FIX: Ghế có trong Redis cache - map status cho frontend
                     if (cachedSeat.status === 'selecting') {
@@ -411,7 +458,8 @@ class SeatSelectionService {
                         roomType,
                         seatType,
                         showDate,
-                        startTime
+                        startTime,
+                        format: showtimeFormat
                     });
                     price = priceInfo.finalPrice;
 
@@ -432,6 +480,9 @@ class SeatSelectionService {
                     column: columnNumber, // ✅ FIX: Frontend expect 'column'
                     rowLabel,            // Keep for backward compatibility
                     columnNumber,        // Keep for backward compatibility
+                    columnSpan,
+                    columns: Array.from({ length: columnSpan }, (_, index) => columnNumber + index),
+                    seatLabel: seatLayoutService.formatSeatPosition({ Row_Label: rowLabel, Column_Number: columnNumber, Column_Span: columnSpan }),
                     status,
                     userId,
                     seatType,
@@ -440,6 +491,11 @@ class SeatSelectionService {
                     isSelecting: status === 'selected', // 🔄 Fix: 'selected' thay vì 'selecting'
                     isPending: status === 'pending',
                     isAvailable: status === 'available',
+                    isBlocked: status === 'blocked',
+                    blockType: status === 'blocked' ? blockInfo.blockType : null,
+                    isAccessible,
+                    // Khác null khi ghế tiếp cận chưa mở bán rộng rãi
+                    accessibleReleaseAt: isAccessible && accessibleHoldback.active ? accessibleHoldback.releaseAt : null,
                     layoutId: layout.Layout_ID
                 });
             }
@@ -484,6 +540,7 @@ class SeatSelectionService {
             */
 
             console.log(`🔄 [BACKEND] Sử dụng database trực tiếp cho layout ghế suất chiếu ${showtimeId}`);
+            await pricingService.ensureRulesLoaded();
             
             // Nếu không lấy được từ API, thử lấy từ database
             let cinemaRoomId = null;
@@ -765,10 +822,55 @@ class SeatSelectionService {
 
     /**
      * Chọn ghế (đánh dấu đang chọn) - LƯU VÀO REDIS
+     * @param {Object} options - { role, bypassQueue, sessionToken, accessibilityRequested }
+     *   role / bypassQueue: nhân viên hoặc hệ thống (danh sách chờ) không phải xếp hàng đợi
+     *   sessionToken: phiên chọn ghế của tab đang giữ ghế (seatHoldSessionService), ghế được trả khi phiên bị bỏ dở
+     *   accessibilityRequested: nhân viên xác nhận khách cần hỗ trợ tiếp cận, được chọn chỗ xe lăn / ghế đi kèm trong thời gian giữ ghế
      */
-    async selectSeat(showtimeId, seatId, userId, socketId) {
+    async selectSeat(showtimeId, seatId, userId, socketId, options = {}) {
         try {
+            // Suất chiếu bật phòng chờ ảo: chỉ người đang trong phiên chọn ghế mới được chọn
+            const virtualQueueService = require('./virtualQueueService');
+            const queueCheck = options.bypassQueue
+                ? { allowed: true }
+                : await virtualQueueService.checkSelectionAllowed(showtimeId, userId, options.role);
+            if (!queueCheck.allowed) {
+                return {
+                    success: false,
+                    code: queueCheck.code,
+                    message: queueCheck.message
+                };
+            }
+
+            // Ghế bị Manager khóa cho suất chiếu này
+            const showtimeSeatBlockService = require('./showtimeSeatBlockService');
+            if (await showtimeSeatBlockService.isSeatBlocked(showtimeId, seatId)) {
+                return {
+                    success: false,
+                    code: 'SEAT_BLOCKED',
+                    message: 'Ghế này tạm thời không mở bán cho suất chiếu'
+                };
+            }
 
+            // Giới hạn số ghế mỗi lần đặt và giữ ghế tiếp cận theo quy tắc của rạp;
+            // ghế hệ thống giữ hộ (danh sách chờ) đã được kiểm tra khi đăng ký
+            if (!options.bypassQueue) {
+                const seatBookingRulesService = require('./seatBookingRulesService');
+                const limitCheck = await seatBookingRulesService.checkSeatHold(showtimeId, userId, seatId, {
+                    role: options.role,
+                    accessibilityRequested: options.accessibilityRequested
+                });
+                if (!limitCheck.valid) {
+                    return {
+                        success: false,
+                        code: 'SEAT_RULE_VIOLATION',
+                        rule: limitCheck.rule,
+                        errorCode: limitCheck.errorCode,
+                        message: limitCheck.message,
+                        violations: limitCheck.violations
+                    };
+                }
+            }
 
             // Kiểm tra conflict trong database trước (chỉ check ghế đã confirmed)
             const hasConflict = await this.checkSeatConflictInDatabase(showtimeId, seatId);
@@ -782,7 +884,7 @@ class SeatSelectionService {
 
             // ✅ Sử dụng Redis thay vì memory cache
             const seatCacheService = require('./seatCacheService');
-            const result = await seatCacheService.selectSeat(showtimeId, seatId, userId, socketId);
+            const result = await seatCacheService.selectSeat(showtimeId, seatId, userId, socketId, options.sessionToken || null);
 
             if (result.success) {
                 // console.log(`✅ Ghế ${seatId} đã được lưu vào Redis bởi user ${userId}`);
@@ -939,7 +1041,17 @@ class SeatSelectionService {
 
         this.cleanupTimer = setInterval(async () => {
             try {
+                const seatCacheService = require('./seatCacheService');
+                const isLeader = await seatCacheService.tryAcquireLeadership(this.CLEANUP_LEADER_LEASE, this.CLEANUP_LEASE_TTL);
+                if (!isLeader) {
+                    return;
+                }
+
                 await this.cleanupExpiredSeats(io);
+
+                // Khóa ghế theo suất chiếu đã hết hạn được mở bán lại
+                const showtimeSeatBlockService = require('./showtimeSeatBlockService');
+                await showtimeSeatBlockService.expireBlocks();
             } catch (error) {
                 console.error('❌ Lỗi trong cleanup timer:', error);
             }
@@ -951,11 +1063,15 @@ class SeatSelectionService {
     /**
      * Dừng cleanup timer
      */
-    stopCleanupTimer() {
+    async stopCleanupTimer() {
         if (this.cleanupTimer) {
             clearInterval(this.cleanupTimer);
             this.cleanupTimer = null;
             console.log('✅ Cleanup timer đã được dừng');
+
+            // Trả lease để node khác nhận cleanup ngay
+            const seatCacheService = require('./seatCacheService');
+            await seatCacheService.releaseLeadership(this.CLEANUP_LEADER_LEASE);
         }
     }
 
@@ -999,9 +1115,8 @@ class SeatSelectionService {
             if (affectedShowtimes.size > 0) {
                 for (const showtimeId of affectedShowtimes) {
                     try {
-                        const seats = await this.getShowtimeSeats(showtimeId);
-                        const roomName = `showtime-${showtimeId}`;
-                        io.to(roomName).emit('seats-state', seats);
+                        const seatMapSyncService = require('./seatMapSyncService');
+                        await seatMapSyncService.publishRefresh(showtimeId);
                     } catch (error) {
                         console.error(`❌ Lỗi khi broadcast update cho showtime ${showtimeId}:`, error);
                     }
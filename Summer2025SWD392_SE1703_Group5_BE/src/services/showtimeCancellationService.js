@@ -0,0 +1,685 @@
+// services/showtimeCancellationService.js
+// Mô tả: Hủy một suất chiếu đã có khách đặt vé (khác với ẩn suất chiếu - chỉ dùng cho suất chưa có đơn).
+// Suất chiếu bị ngừng bán, mọi đơn Pending / Confirmed được hủy qua bookingService.processManualCancellation
+// (hoàn 100% tiền qua yêu cầu hoàn tiền của lớp thanh toán, hoàn điểm qua pointsService), ghế trong
+// seatCacheService được giải phóng, khách được thông báo qua lịch sử đặt vé, Socket.IO và email.
+// Mỗi khách nhận một lời mời chuyển sang suất chiếu thay thế (cùng phim, cùng rạp) bằng một cú nhấp.
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { format } = require('date-fns');
+const logger = require('../utils/logger');
+const {
+    ShowtimeCancellation,
+    ShowtimeRebookingOffer,
+    Showtime,
+    Movie,
+    CinemaRoom,
+    TicketBooking,
+    Ticket,
+    Payment,
+    BookingHistory,
+    WaitlistEntry,
+    User,
+    sequelize
+} = require('../models');
+const bookingService = require('./bookingService');
+const seatCacheService = require('./seatCacheService');
+const refundPolicyService = require('./refundPolicyService');
+const showtimeFormatService = require('./showtimeFormatService');
+
+const { SHOWTIME_CANCELLATION_STATUS } = ShowtimeCancellation;
+const { REBOOKING_OFFER_STATUS } = ShowtimeRebookingOffer;
+
+// Đơn còn hiệu lực phải được hủy cùng suất chiếu
+const ACTIVE_BOOKING_STATUSES = ['Pending', 'Confirmed'];
+const MAX_ALTERNATIVES = 5;
+
+function _createError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+class ShowtimeCancellationService {
+    constructor() {
+        this.logger = logger;
+        // Thời hạn lời mời chuyển suất và khoảng ngày tìm suất chiếu thay thế
+        this.offerHours = parseInt(process.env.SHOWTIME_REBOOKING_OFFER_HOURS, 10) || 72;
+        this.alternativeDays = parseInt(process.env.SHOWTIME_REBOOKING_SEARCH_DAYS, 10) || 7;
+        this.frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    }
+
+    /**
+     * Xem trước ảnh hưởng của việc hủy suất chiếu: số đơn, số vé, số tiền phải hoàn và các suất thay thế
+     */
+    async previewCancellation(showtimeId, userId, role) {
+        const showtime = await this._getManageableShowtime(showtimeId, userId, role);
+        const bookings = await this._getActiveBookings(showtimeId);
+        const ticketCounts = await this._getTicketCounts(bookings.map(booking => booking.Booking_ID));
+        const alternatives = await this._findAlternativeShowtimes(showtime);
+        // Chênh lệch đổi vé đã trả bằng điểm được hoàn lại bằng điểm cùng Points_Used
+        const exchangePoints = await Promise.all(bookings.map(booking => bookingService.getExchangePointsPaid(booking.Booking_ID)));
+
+        return {
+            showtime: this._formatShowtime(showtime),
+            bookings_affected: bookings.length,
+            tickets_affected: bookings.reduce((sum, booking) => sum + (ticketCounts.get(booking.Booking_ID) || 0), 0),
+            refund_amount: bookings
+                .filter(booking => booking.Status === 'Confirmed')
+                .reduce((sum, booking) => sum + (Number(booking.Total_Amount) || 0), 0),
+            points_to_refund: bookings.reduce((sum, booking, index) => sum + (Number(booking.Points_Used) || 0) + exchangePoints[index], 0),
+            alternatives: alternatives.map(alternative => this._formatShowtime(alternative))
+        };
+    }
+
+    /**
+     * Hủy suất chiếu và toàn bộ đơn đặt vé còn hiệu lực của nó.
+     * Lỗi ở từng đơn được ghi vào biên bản, không dừng cả thao tác; gọi lại với suất đã hủy sẽ xử lý tiếp các đơn còn sót.
+     * @param {number} showtimeId - ID suất chiếu
+     * @param {Object} data - { Reason, OfferAlternatives (mặc định true) }
+     * @param {number} userId - Người hủy
+     * @param {string} role - Admin / Manager
+     */
+    async cancelShowtime(showtimeId, data, userId, role) {
+        const reason = data && typeof data.Reason === 'string' ? data.Reason.trim() : '';
+        if (!reason) {
+            throw _createError('Vui lòng nhập lý do hủy suất chiếu', 400);
+        }
+        if (reason.length > 500) {
+            throw _createError('Lý do hủy suất chiếu không được vượt quá 500 ký tự', 400);
+        }
+        const offerAlternatives = data.OfferAlternatives !== false;
+
+        const showtime = await this._getManageableShowtime(showtimeId, userId, role);
+        const showtimeEnd = this._getShowtimeEnd(showtime);
+        if (showtimeEnd && showtimeEnd <= new Date()) {
+            throw _createError('Suất chiếu đã kết thúc, không thể hủy', 400);
+        }
+
+        // Ngừng bán ngay để không phát sinh đơn mới trong lúc đang hủy các đơn hiện có
+        if (showtime.Status !== 'Cancelled') {
+            await showtime.update({ Status: 'Cancelled', Updated_At: sequelize.literal('GETDATE()') });
+        }
+
+        const cancellation = await ShowtimeCancellation.create({
+            Showtime_ID: showtimeId,
+            Reason: reason,
+            Status: SHOWTIME_CANCELLATION_STATUS.PROCESSING,
+            Cancelled_By: userId,
+            Cancelled_At: new Date()
+        });
+
+        try {
+            await seatCacheService.releaseShowtimeSeats(showtimeId);
+        } catch (error) {
+            this.logger.warn(`[ShowtimeCancellationService] Không thể giải phóng ghế trong cache của suất ${showtimeId}: ${error.message}`);
+        }
+
+        // Danh sách chờ của suất bị hủy không còn ý nghĩa
+        await WaitlistEntry.update(
+            { Status: WaitlistEntry.WAITLIST_STATUS.CANCELLED, Updated_At: new Date() },
+            {
+                where: {
+                    Showtime_ID: showtimeId,
+                    Status: { [Op.in]: [WaitlistEntry.WAITLIST_STATUS.WAITING, WaitlistEntry.WAITLIST_STATUS.OFFERED] }
+                }
+            }
+        );
+
+        const bookings = await this._getActiveBookings(showtimeId);
+        // Vé và ghế bị xóa khi hủy đơn nên phải đếm số vé trước để biết khách cần bao nhiêu ghế ở suất thay thế
+        const ticketCounts = await this._getTicketCounts(bookings.map(booking => booking.Booking_ID));
+        const alternatives = offerAlternatives ? await this._findAlternativeShowtimes(showtime) : [];
+
+        const failures = [];
+        const results = [];
+        let totalRefundAmount = 0;
+        let pointsRefunded = 0;
+
+        for (const booking of bookings) {
+            let cancellationResult;
+            try {
+                cancellationResult = await bookingService.processManualCancellation(
+                    booking.Booking_ID,
+                    userId,
+                    `Suất chiếu bị hủy: ${reason}`,
+                    { refundMethod: 'money', waivePolicy: true }
+                );
+            } catch (error) {
+                this.logger.error(`[ShowtimeCancellationService] Không thể hủy đơn ${booking.Booking_ID} của suất ${showtimeId}: ${error.message}`);
+                failures.push({ Booking_ID: booking.Booking_ID, Step: 'cancel', Message: error.message });
+                continue;
+            }
+
+            const financial = cancellationResult.cancellation.financial;
+            totalRefundAmount += Number(financial.refundAmount) || 0;
+            pointsRefunded += Number(financial.pointsRefunded) || 0;
+
+            if (booking.Status === 'Pending') {
+                await this._cancelPendingPayment(booking.Booking_ID, userId, failures);
+            }
+
+            let offer = null;
+            const seatCount = ticketCounts.get(booking.Booking_ID) || 0;
+            if (booking.User_ID && seatCount > 0) {
+                const bookingAlternatives = alternatives
+                    .filter(alternative => (alternative.Capacity_Available || 0) >= seatCount)
+                    .slice(0, MAX_ALTERNATIVES);
+                if (bookingAlternatives.length > 0) {
+                    try {
+                        offer = await ShowtimeRebookingOffer.create({
+                            Offer_Token: crypto.randomUUID(),
+                            Cancellation_ID: cancellation.Cancellation_ID,
+                            Cancelled_Showtime_ID: showtimeId,
+                            Original_Booking_ID: booking.Booking_ID,
+                            User_ID: booking.User_ID,
+                            Seat_Count: seatCount,
+                            Alternative_Showtime_IDs: bookingAlternatives.map(alternative => alternative.Showtime_ID).join(','),
+                            Status: REBOOKING_OFFER_STATUS.PENDING,
+                            Expires_At: new Date(Date.now() + this.offerHours * 3600000)
+                        });
+                    } catch (error) {
+                        this.logger.warn(`[ShowtimeCancellationService] Không thể tạo lời mời chuyển suất cho đơn ${booking.Booking_ID}: ${error.message}`);
+                        failures.push({ Booking_ID: booking.Booking_ID, Step: 'offer', Message: error.message });
+                    }
+                }
+            }
+
+            await this._notifyCustomer(booking, showtime, reason, financial, offer, alternatives, failures);
+
+            results.push({
+                booking_id: booking.Booking_ID,
+                user_id: booking.User_ID,
+                original_status: booking.Status,
+                tickets: seatCount,
+                refund_amount: Number(financial.refundAmount) || 0,
+                points_refunded: Number(financial.pointsRefunded) || 0,
+                offer_id: offer ? offer.Offer_ID : null
+            });
+        }
+
+        await cancellation.update({
+            Status: failures.some(failure => failure.Step === 'cancel')
+                ? SHOWTIME_CANCELLATION_STATUS.PARTIALLY_FAILED
+                : SHOWTIME_CANCELLATION_STATUS.COMPLETED,
+            Bookings_Cancelled: results.length,
+            Total_Refund_Amount: totalRefundAmount,
+            Points_Refunded: pointsRefunded,
+            Failures: failures.length > 0 ? JSON.stringify(failures) : null,
+            Completed_At: new Date()
+        });
+
+        try {
+            const seatMapSyncService = require('./seatMapSyncService');
+            await seatMapSyncService.publishRefresh(showtimeId);
+        } catch (error) {
+            this.logger.warn(`[ShowtimeCancellationService] Không thể broadcast trạng thái ghế suất ${showtimeId}: ${error.message}`);
+        }
+
+        this.logger.info(`[ShowtimeCancellationService] Đã hủy suất chiếu ${showtimeId}: ${results.length} đơn, hoàn ${totalRefundAmount} VND, ${pointsRefunded} điểm, ${failures.length} lỗi`);
+
+        return {
+            ...this._formatCancellation(cancellation),
+            showtime: this._formatShowtime(showtime),
+            bookings: results,
+            alternatives: alternatives.map(alternative => this._formatShowtime(alternative))
+        };
+    }
+
+    /**
+     * Danh sách biên bản hủy của một suất chiếu kèm tình trạng các lời mời chuyển suất
+     */
+    async getCancellations(showtimeId, userId, role) {
+        await this._getManageableShowtime(showtimeId, userId, role);
+
+        const cancellations = await ShowtimeCancellation.findAll({
+            where: { Showtime_ID: showtimeId },
+            include: [{ model: ShowtimeRebookingOffer, as: 'Offers' }],
+            order: [['Cancelled_At', 'DESC']]
+        });
+
+        return cancellations.map(cancellation => ({
+            ...this._formatCancellation(cancellation),
+            offers: (cancellation.Offers || []).map(offer => this._formatOffer(offer))
+        }));
+    }
+
+    /**
+     * Thông tin lời mời chuyển suất theo token (dùng cho liên kết trong email, không cần đăng nhập)
+     */
+    async getOffer(token) {
+        const offer = await this._getOfferByToken(token);
+        await this._expireIfNeeded(offer);
+
+        const [cancelledShowtime, alternatives] = await Promise.all([
+            Showtime.findByPk(offer.Cancelled_Showtime_ID, { include: this._showtimeIncludes() }),
+            this._getOfferAlternatives(offer)
+        ]);
+
+        return {
+            ...this._formatOffer(offer),
+            cancelled_showtime: cancelledShowtime ? this._formatShowtime(cancelledShowtime) : null,
+            alternatives: alternatives.map(alternative => ({
+                ...this._formatShowtime(alternative),
+                available: this._isOpenFor(alternative, offer.Seat_Count),
+                accept_url: this._acceptUrl(offer, alternative.Showtime_ID)
+            }))
+        };
+    }
+
+    /**
+     * Nhận lời mời: tự chọn ghế tốt nhất ở suất thay thế và tạo đơn đặt vé mới (Pending) cho khách.
+     * Đơn cũ đã được hoàn tiền đầy đủ nên khách thanh toán đơn mới như bình thường.
+     */
+    async acceptOffer(token, showtimeId) {
+        const offer = await this._getOfferByToken(token);
+        await this._expireIfNeeded(offer);
+        this._assertPending(offer);
+
+        const alternativeIds = this._alternativeIds(offer);
+        if (!alternativeIds.includes(showtimeId)) {
+            throw _createError('Suất chiếu được chọn không nằm trong danh sách suất thay thế của lời mời', 400);
+        }
+
+        const alternative = await Showtime.findByPk(showtimeId, { include: this._showtimeIncludes() });
+        if (!alternative || !this._isOpenFor(alternative, offer.Seat_Count)) {
+            throw _createError('Suất chiếu thay thế không còn mở bán hoặc không còn đủ ghế, vui lòng chọn suất khác', 409);
+        }
+
+        // Giữ lời mời trước khi tạo đơn để một liên kết không tạo được hai đơn khi khách nhấp nhiều lần
+        const [claimed] = await ShowtimeRebookingOffer.update(
+            { Status: REBOOKING_OFFER_STATUS.ACCEPTED, Responded_At: new Date() },
+            { where: { Offer_ID: offer.Offer_ID, Status: REBOOKING_OFFER_STATUS.PENDING } }
+        );
+        if (claimed === 0) {
+            throw _createError('Lời mời đang được xử lý hoặc đã được sử dụng', 409);
+        }
+
+        try {
+            const bestAvailableSeatService = require('./bestAvailableSeatService');
+            const { seats } = await bestAvailableSeatService.findBestAvailable(showtimeId, {
+                quantity: offer.Seat_Count,
+                userId: offer.User_ID
+            });
+
+            const result = await bookingService.createBooking({
+                Showtime_ID: showtimeId,
+                layoutSeatIds: seats.map(seat => seat.layoutId)
+            }, offer.User_ID);
+
+            await offer.update({ New_Booking_ID: result.booking.Booking_ID });
+            await offer.reload();
+
+            this.logger.info(`[ShowtimeCancellationService] Lời mời ${offer.Offer_ID}: khách ${offer.User_ID} chuyển sang suất ${showtimeId}, đơn mới ${result.booking.Booking_ID}`);
+
+            return {
+                offer: this._formatOffer(offer),
+                booking: result.booking
+            };
+        } catch (error) {
+            await ShowtimeRebookingOffer.update(
+                { Status: REBOOKING_OFFER_STATUS.PENDING, Responded_At: null },
+                { where: { Offer_ID: offer.Offer_ID } }
+            );
+            if (!error.statusCode) {
+                error.statusCode = 409;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Từ chối lời mời, khách chỉ nhận khoản hoàn tiền của đơn cũ
+     */
+    async declineOffer(token) {
+        const offer = await this._getOfferByToken(token);
+        await this._expireIfNeeded(offer);
+        this._assertPending(offer);
+
+        await offer.update({ Status: REBOOKING_OFFER_STATUS.DECLINED, Responded_At: new Date() });
+        return this._formatOffer(offer);
+    }
+
+    /**
+     * Các lời mời chuyển suất của khách đang đăng nhập
+     */
+    async getMyOffers(userId) {
+        const offers = await ShowtimeRebookingOffer.findAll({
+            where: { User_ID: userId },
+            order: [['Created_At', 'DESC']]
+        });
+
+        for (const offer of offers) {
+            await this._expireIfNeeded(offer);
+        }
+        return offers.map(offer => this._formatOffer(offer));
+    }
+
+    async _getManageableShowtime(showtimeId, userId, role) {
+        const showtime = await Showtime.findByPk(showtimeId, { include: this._showtimeIncludes() });
+        if (!showtime) {
+            throw _createError(`Không tìm thấy suất chiếu có ID ${showtimeId}`, 404);
+        }
+
+        if (role === 'Manager') {
+            const manager = await User.findByPk(userId, { attributes: ['User_ID', 'Cinema_ID'] });
+            if (!manager || !manager.Cinema_ID) {
+                throw _createError('Tài khoản quản lý chưa được gán rạp', 403);
+            }
+            if (!showtime.CinemaRoom || showtime.CinemaRoom.Cinema_ID !== manager.Cinema_ID) {
+                throw _createError('Bạn chỉ được hủy suất chiếu thuộc rạp của mình', 403);
+            }
+        }
+        return showtime;
+    }
+
+    _showtimeIncludes() {
+        return [
+            { model: Movie, as: 'Movie', attributes: ['Movie_ID', 'Movie_Name'] },
+            { model: CinemaRoom, as: 'CinemaRoom', attributes: ['Cinema_Room_ID', 'Room_Name', 'Room_Type', 'Cinema_ID'] },
+            showtimeFormatService.getInclude()
+        ];
+    }
+
+    async _getActiveBookings(showtimeId) {
+        return TicketBooking.findAll({
+            where: { Showtime_ID: showtimeId, Status: { [Op.in]: ACTIVE_BOOKING_STATUSES } },
+            attributes: ['Booking_ID', 'User_ID', 'Status', 'Total_Amount', 'Points_Used'],
+            order: [['Booking_ID', 'ASC']]
+        });
+    }
+
+    async _getTicketCounts(bookingIds) {
+        const counts = new Map();
+        if (bookingIds.length === 0) return counts;
+
+        const rows = await Ticket.findAll({
+            where: { Booking_ID: { [Op.in]: bookingIds } },
+            attributes: ['Booking_ID', [sequelize.fn('COUNT', sequelize.col('Ticket_ID')), 'Ticket_Count']],
+            group: ['Booking_ID'],
+            raw: true
+        });
+        rows.forEach(row => counts.set(row.Booking_ID, parseInt(row.Ticket_Count, 10) || 0));
+        return counts;
+    }
+
+    /**
+     * Suất chiếu thay thế: cùng phim, cùng rạp, đang mở bán, bắt đầu trong vài ngày tới
+     */
+    async _findAlternativeShowtimes(showtime) {
+        if (!showtime.CinemaRoom) return [];
+
+        const now = new Date();
+        const today = format(now, 'yyyy-MM-dd');
+        const lastDate = format(new Date(now.getTime() + this.alternativeDays * 86400000), 'yyyy-MM-dd');
+
+        const candidates = await Showtime.findAll({
+            where: {
+                Showtime_ID: { [Op.ne]: showtime.Showtime_ID },
+                Movie_ID: showtime.Movie_ID,
+                Status: 'Scheduled',
+                Show_Date: { [Op.between]: [today, lastDate] }
+            },
+            include: [
+                { model: Movie, as: 'Movie', attributes: ['Movie_ID', 'Movie_Name'] },
+                {
+                    model: CinemaRoom,
+                    as: 'CinemaRoom',
+                    attributes: ['Cinema_Room_ID', 'Room_Name', 'Room_Type', 'Cinema_ID'],
+                    where: { Cinema_ID: showtime.CinemaRoom.Cinema_ID }
+                },
+                showtimeFormatService.getInclude()
+            ],
+            order: [['Show_Date', 'ASC'], ['Start_Time', 'ASC']]
+        });
+
+        return candidates.filter(candidate => {
+            const start = refundPolicyService.getShowtimeStart(candidate);
+            return start && start > now && (candidate.Capacity_Available || 0) > 0;
+        });
+    }
+
+    async _getOfferAlternatives(offer) {
+        const alternativeIds = this._alternativeIds(offer);
+        if (alternativeIds.length === 0) return [];
+
+        const showtimes = await Showtime.findAll({
+            where: { Showtime_ID: { [Op.in]: alternativeIds } },
+            include: this._showtimeIncludes(),
+            order: [['Show_Date', 'ASC'], ['Start_Time', 'ASC']]
+        });
+        return showtimes;
+    }
+
+    _alternativeIds(offer) {
+        return (offer.Alternative_Showtime_IDs || '').split(',').filter(Boolean).map(Number);
+    }
+
+    _isOpenFor(showtime, seatCount) {
+        const start = refundPolicyService.getShowtimeStart(showtime);
+        return showtime.Status === 'Scheduled'
+            && !!start && start > new Date()
+            && (showtime.Capacity_Available || 0) >= seatCount;
+    }
+
+    async _getOfferByToken(token) {
+        if (!token || typeof token !== 'string') {
+            throw _createError('Mã lời mời không hợp lệ', 400);
+        }
+        const offer = await ShowtimeRebookingOffer.findOne({ where: { Offer_Token: token } });
+        if (!offer) {
+            throw _createError('Không tìm thấy lời mời chuyển suất chiếu', 404);
+        }
+        return offer;
+    }
+
+    _assertPending(offer) {
+        if (offer.Status !== REBOOKING_OFFER_STATUS.PENDING) {
+            const messages = {
+                [REBOOKING_OFFER_STATUS.ACCEPTED]: 'Lời mời đã được sử dụng để đặt vé suất chiếu thay thế',
+                [REBOOKING_OFFER_STATUS.DECLINED]: 'Bạn đã từ chối lời mời này',
+                [REBOOKING_OFFER_STATUS.EXPIRED]: 'Lời mời đã hết hạn'
+            };
+            throw _createError(messages[offer.Status] || 'Lời mời không còn hiệu lực', 409);
+        }
+    }
+
+    async _expireIfNeeded(offer) {
+        if (offer.Status !== REBOOKING_OFFER_STATUS.PENDING) return;
+
+        let expired = new Date(offer.Expires_At) <= new Date();
+        if (!expired) {
+            const alternatives = await this._getOfferAlternatives(offer);
+            expired = !alternatives.some(alternative => {
+                const start = refundPolicyService.getShowtimeStart(alternative);
+                return alternative.Status === 'Scheduled' && start && start > new Date();
+            });
+        }
+        if (expired) {
+            await offer.update({ Status: REBOOKING_OFFER_STATUS.EXPIRED });
+        }
+    }
+
+    async _cancelPendingPayment(bookingId, userId, failures) {
+        try {
+            const payment = await Payment.findOne({
+                where: { Booking_ID: bookingId, Payment_Status: { [Op.in]: ['PENDING', 'Pending'] } },
+                order: [['Transaction_Date', 'DESC']]
+            });
+            if (!payment) return;
+
+            if (payment.Payment_Reference) {
+                try {
+                    const PayOSService = require('./payosService');
+                    await new PayOSService().cancelPaymentLink(payment.Payment_Reference);
+                } catch (error) {
+                    // Liên kết có thể đã hết hạn, vẫn đánh dấu hủy trong database
+                    this.logger.warn(`[ShowtimeCancellationService] Không thể hủy link thanh toán của đơn ${bookingId}: ${error.message}`);
+                }
+            }
+            await payment.update({ Payment_Status: 'CANCELLED', Processed_By: userId, Transaction_Date: new Date() });
+        } catch (error) {
+            this.logger.warn(`[ShowtimeCancellationService] Không thể hủy thanh toán đang chờ của đơn ${bookingId}: ${error.message}`);
+            failures.push({ Booking_ID: bookingId, Step: 'payment', Message: error.message });
+        }
+    }
+
+    async _notifyCustomer(booking, showtime, reason, financial, offer, alternatives, failures) {
+        if (!booking.User_ID) return;
+
+        const refundAmount = Number(financial.refundAmount) || 0;
+        const pointsRefunded = Number(financial.pointsRefunded) || 0;
+        const start = refundPolicyService.getShowtimeStart(showtime);
+        const movieName = showtime.Movie ? showtime.Movie.Movie_Name : '';
+        const offerAlternatives = offer
+            ? alternatives.filter(alternative => this._alternativeIds(offer).includes(alternative.Showtime_ID))
+            : [];
+
+        const refundText = [
+            refundAmount > 0 ? `${refundAmount.toLocaleString('vi-VN')} VND sẽ được hoàn về phương thức thanh toán` : null,
+            pointsRefunded > 0 ? `${pointsRefunded} điểm đã được hoàn vào tài khoản` : null
+        ].filter(Boolean).join(', ');
+
+        try {
+            await BookingHistory.create({
+                Booking_ID: booking.Booking_ID,
+                Status: 'Showtime Cancelled',
+                Notes: `Suất chiếu đã bị hủy: ${reason}.${refundText ? ` ${refundText}.` : ''}`
+                    + (offer ? ' Bạn có thể chuyển sang suất chiếu khác trong mục lời mời chuyển suất.' : ''),
+                Date: sequelize.literal('GETDATE()'),
+                IsRead: false
+            });
+        } catch (error) {
+            this.logger.warn(`[ShowtimeCancellationService] Không thể ghi lịch sử hủy suất cho đơn ${booking.Booking_ID}: ${error.message}`);
+            failures.push({ Booking_ID: booking.Booking_ID, Step: 'notification', Message: error.message });
+        }
+
+        this._emitToUser(booking.User_ID, 'showtime-cancelled', {
+            bookingId: booking.Booking_ID,
+            showtimeId: showtime.Showtime_ID,
+            reason,
+            refundAmount,
+            pointsRefunded,
+            offer: offer ? {
+                token: offer.Offer_Token,
+                expiresAt: offer.Expires_At,
+                alternatives: offerAlternatives.map(alternative => this._formatShowtime(alternative))
+            } : null
+        });
+
+        try {
+            const user = await User.findByPk(booking.User_ID, { attributes: ['Email', 'Full_Name'] });
+            if (!user || !user.Email) return;
+
+            const EmailService = require('./emailService');
+            const { emailConfig } = require('../config/appConfig');
+            const emailService = new EmailService(logger, emailConfig);
+
+            const alternativeLinks = offerAlternatives.map(alternative => {
+                const alternativeStart = refundPolicyService.getShowtimeStart(alternative);
+                return `<li><a href="${this._acceptUrl(offer, alternative.Showtime_ID)}">
+                    ${alternativeStart ? alternativeStart.toLocaleString('vi-VN') : ''} - ${alternative.CinemaRoom?.Room_Name || ''}
+                    (${showtimeFormatService.toDto(alternative.Format, alternative.CinemaRoom?.Room_Type).Label})</a></li>`;
+            }).join('');
+
+            const body = `
+                <p>Xin chào <strong>${user.Full_Name}</strong>,</p>
+                <p>Rất tiếc, suất chiếu <strong>${movieName}</strong> ${start ? `lúc ${start.toLocaleString('vi-VN')}` : ''}
+                trong đơn đặt vé #${booking.Booking_ID} của bạn đã bị hủy. Lý do: ${reason}.</p>
+                ${refundText ? `<p>Đơn đặt vé đã được hủy và hoàn trả đầy đủ: ${refundText}.</p>` : '<p>Đơn đặt vé của bạn đã được hủy.</p>'}
+                ${offer ? `
+                <p>Bạn có thể chuyển sang một suất chiếu khác với ${offer.Seat_Count} ghế chỉ bằng một cú nhấp:</p>
+                <ul>${alternativeLinks}</ul>
+                <p>Lời mời có hiệu lực đến <strong>${new Date(offer.Expires_At).toLocaleString('vi-VN')}</strong>.
+                Sau khi chọn suất, bạn chỉ cần thanh toán đơn đặt vé mới như bình thường.</p>` : ''}
+                <p>Chúng tôi thành thật xin lỗi vì sự bất tiện này.</p>
+            `;
+            await emailService.sendEmailAsync(user.Email, `Suất chiếu ${movieName} đã bị hủy`, body);
+        } catch (error) {
+            this.logger.warn(`[ShowtimeCancellationService] Không thể gửi email hủy suất cho đơn ${booking.Booking_ID}: ${error.message}`);
+            failures.push({ Booking_ID: booking.Booking_ID, Step: 'email', Message: error.message });
+        }
+    }
+
+    _emitToUser(userId, event, payload) {
+        try {
+            const { getIO } = require('../websocket/socketHandler');
+            getIO().to(`user-${userId}`).emit(event, payload);
+        } catch (error) {
+            this.logger.warn(`[ShowtimeCancellationService] Không thể gửi sự kiện ${event} cho user ${userId}: ${error.message}`);
+        }
+    }
+
+    _acceptUrl(offer, showtimeId) {
+        return `${this.frontendUrl}/rebooking/${offer.Offer_Token}?showtimeId=${showtimeId}`;
+    }
+
+    /**
+     * Giờ kết thúc suất chiếu (End_Time đã gồm thời gian dọn dẹp); qua nửa đêm thì cộng thêm một ngày
+     */
+    _getShowtimeEnd(showtime) {
+        const start = refundPolicyService.getShowtimeStart(showtime);
+        if (!start || !showtime.End_Time) return start;
+
+        const end = refundPolicyService.getShowtimeStart({ Show_Date: showtime.Show_Date, Start_Time: showtime.End_Time });
+        if (end && end <= start) {
+            end.setDate(end.getDate() + 1);
+        }
+        return end;
+    }
+
+    _formatShowtime(showtime) {
+        const start = refundPolicyService.getShowtimeStart(showtime);
+        return {
+            showtime_id: showtime.Showtime_ID,
+            movie_id: showtime.Movie_ID,
+            movie_name: showtime.Movie ? showtime.Movie.Movie_Name : undefined,
+            cinema_room_id: showtime.Cinema_Room_ID,
+            room_name: showtime.CinemaRoom ? showtime.CinemaRoom.Room_Name : undefined,
+            room_type: showtime.CinemaRoom ? showtime.CinemaRoom.Room_Type : undefined,
+            format: showtimeFormatService.toDto(showtime.Format, showtime.CinemaRoom?.Room_Type),
+            show_date: showtime.Show_Date,
+            start_time: start ? format(start, 'HH:mm') : null,
+            capacity_available: showtime.Capacity_Available,
+            status: showtime.Status
+        };
+    }
+
+    _formatCancellation(cancellation) {
+        return {
+            cancellation_id: cancellation.Cancellation_ID,
+            showtime_id: cancellation.Showtime_ID,
+            reason: cancellation.Reason,
+            status: cancellation.Status,
+            bookings_cancelled: cancellation.Bookings_Cancelled,
+            total_refund_amount: Number(cancellation.Total_Refund_Amount) || 0,
+            points_refunded: cancellation.Points_Refunded,
+            failures: cancellation.Failures ? JSON.parse(cancellation.Failures) : [],
+            cancelled_by: cancellation.Cancelled_By,
+            cancelled_at: cancellation.Cancelled_At,
+            completed_at: cancellation.Completed_At
+        };
+    }
+
+    _formatOffer(offer) {
+        return {
+            offer_id: offer.Offer_ID,
+            token: offer.Offer_Token,
+            cancelled_showtime_id: offer.Cancelled_Showtime_ID,
+            original_booking_id: offer.Original_Booking_ID,
+            user_id: offer.User_ID,
+            seat_count: offer.Seat_Count,
+            alternative_showtime_ids: this._alternativeIds(offer),
+            status: offer.Status,
+            expires_at: offer.Expires_At,
+            new_booking_id: offer.New_Booking_ID,
+            responded_at: offer.Responded_At,
+            created_at: offer.Created_At
+        };
+    }
+}
+
+const showtimeCancellationService = new ShowtimeCancellationService();
+showtimeCancellationService.REBOOKING_OFFER_STATUS = REBOOKING_OFFER_STATUS;
+module.exports = showtimeCancellationService;
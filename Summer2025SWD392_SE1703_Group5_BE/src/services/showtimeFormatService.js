@@ -0,0 +1,328 @@
+// services/showtimeFormatService.js
+// Mô tả: Định dạng của suất chiếu (2D/3D/IMAX/4DX, phụ đề / lồng tiếng / thuyết minh, phụ đề CC, thuyết minh
+// hình ảnh AD). Dùng chung cho tạo / cập nhật suất chiếu, lọc danh sách suất chiếu, tính giá và in vé / email.
+// Suất chiếu chưa khai báo định dạng được coi là chiếu theo loại phòng, chưa rõ phiên bản ngôn ngữ.
+
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { ShowtimeFormat, Showtime, CinemaRoom, TicketBooking, User } = require('../models');
+
+const { PROJECTION_FORMAT, LANGUAGE_VERSION } = ShowtimeFormat;
+
+// Định dạng chiếu mà từng loại phòng hỗ trợ, phòng khác chỉ chiếu được 2D và đúng loại phòng
+const ROOM_PROJECTION_SUPPORT = {
+    '3D': [PROJECTION_FORMAT.TWO_D, PROJECTION_FORMAT.THREE_D],
+    'IMAX': [PROJECTION_FORMAT.TWO_D, PROJECTION_FORMAT.THREE_D, PROJECTION_FORMAT.IMAX, PROJECTION_FORMAT.IMAX_3D],
+    '4DX': [PROJECTION_FORMAT.TWO_D, PROJECTION_FORMAT.THREE_D, PROJECTION_FORMAT.FOUR_DX]
+};
+
+const LANGUAGE_VERSION_LABELS = {
+    [LANGUAGE_VERSION.ORIGINAL]: 'Nguyên bản',
+    [LANGUAGE_VERSION.SUBTITLED]: 'Phụ đề',
+    [LANGUAGE_VERSION.DUBBED]: 'Lồng tiếng',
+    [LANGUAGE_VERSION.NARRATED]: 'Thuyết minh'
+};
+
+// Tham số lọc: tên trong body (POST /search) và trong query string (các API GET)
+const FILTER_KEYS = {
+    Projection_Format: ['ProjectionFormat', 'projectionFormat'],
+    Language_Version: ['LanguageVersion', 'languageVersion'],
+    Audio_Language: ['AudioLanguage', 'audioLanguage'],
+    Subtitle_Language: ['SubtitleLanguage', 'subtitleLanguage'],
+    Has_Closed_Captions: ['ClosedCaptions', 'closedCaptions'],
+    Has_Audio_Description: ['AudioDescription', 'audioDescription']
+};
+
+// Đơn còn hiệu lực - khách đã mua theo định dạng hiện tại
+const ACTIVE_BOOKING_STATUSES = ['Pending', 'Confirmed'];
+
+function _createError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function _isBlank(value) {
+    return value === undefined || value === null || value === '';
+}
+
+function _parseBoolean(value, field) {
+    if (value === true || value === 'true' || value === '1' || value === 1) return true;
+    if (value === false || value === 'false' || value === '0' || value === 0) return false;
+    throw _createError(`${field} phải là true hoặc false`, 400);
+}
+
+function _normalizeProjectionFormat(value) {
+    const projectionFormats = Object.values(PROJECTION_FORMAT);
+    const matched = projectionFormats.find(format => format.toUpperCase() === String(value).trim().toUpperCase());
+    if (!matched) {
+        throw _createError(`Định dạng chiếu không hợp lệ. Chấp nhận: ${projectionFormats.join(', ')}`, 400);
+    }
+    return matched;
+}
+
+function _normalizeLanguageVersion(value) {
+    const languageVersions = Object.values(LANGUAGE_VERSION);
+    const matched = languageVersions.find(version => version.toUpperCase() === String(value).trim().toUpperCase());
+    if (!matched) {
+        throw _createError(`Phiên bản ngôn ngữ không hợp lệ. Chấp nhận: ${languageVersions.join(', ')}`, 400);
+    }
+    return matched;
+}
+
+class ShowtimeFormatService {
+    constructor() {
+        this.logger = logger;
+    }
+
+    /**
+     * Include định dạng cho các truy vấn Showtime
+     */
+    getInclude() {
+        return { model: ShowtimeFormat, as: 'Format', required: false };
+    }
+
+    /**
+     * Các định dạng chiếu mà phòng hỗ trợ
+     * @param {string} roomType - Loại phòng
+     */
+    getSupportedProjectionFormats(roomType) {
+        const normalizedRoomType = String(roomType || PROJECTION_FORMAT.TWO_D).toUpperCase();
+        if (ROOM_PROJECTION_SUPPORT[normalizedRoomType]) {
+            return ROOM_PROJECTION_SUPPORT[normalizedRoomType];
+        }
+        const roomFormat = Object.values(PROJECTION_FORMAT).find(format => format.toUpperCase() === normalizedRoomType);
+        return [...new Set([PROJECTION_FORMAT.TWO_D, roomFormat].filter(Boolean))];
+    }
+
+    /**
+     * Chuyển định dạng đã lưu thành dữ liệu trả về; suất chưa khai báo định dạng lấy theo loại phòng
+     * @param {Object|null} format - Bản ghi ShowtimeFormat
+     * @param {string} roomType - Loại phòng của suất chiếu
+     */
+    toDto(format, roomType) {
+        const dto = {
+            Projection_Format: format?.Projection_Format || roomType || PROJECTION_FORMAT.TWO_D,
+            Language_Version: format?.Language_Version || null,
+            Audio_Language: format?.Audio_Language || null,
+            Subtitle_Language: format?.Subtitle_Language || null,
+            Has_Closed_Captions: Boolean(format?.Has_Closed_Captions),
+            Has_Audio_Description: Boolean(format?.Has_Audio_Description),
+            Is_Declared: Boolean(format)
+        };
+        dto.Label = this.getLabel(dto);
+        return dto;
+    }
+
+    /**
+     * Nhãn hiển thị trên vé / email, ví dụ "2D Phụ đề · CC · AD"
+     */
+    getLabel(format) {
+        if (!format) return PROJECTION_FORMAT.TWO_D;
+        const parts = [[format.Projection_Format, LANGUAGE_VERSION_LABELS[format.Language_Version]].filter(Boolean).join(' ')];
+        if (format.Has_Closed_Captions) parts.push('CC');
+        if (format.Has_Audio_Description) parts.push('AD');
+        return parts.join(' · ');
+    }
+
+    /**
+     * Định dạng của một suất chiếu (dùng để tính giá và hiển thị)
+     * @param {number} showtimeId - ID suất chiếu
+     * @param {Object} [transaction]
+     * @returns {Promise<Object|null>} - null nếu không tìm thấy suất chiếu
+     */
+    async getShowtimeFormat(showtimeId, transaction = null) {
+        const showtime = await Showtime.findByPk(showtimeId, {
+            attributes: ['Showtime_ID'],
+            include: [
+                { model: CinemaRoom, as: 'CinemaRoom', attributes: ['Cinema_Room_ID', 'Room_Type'] },
+                this.getInclude()
+            ],
+            transaction
+        });
+        if (!showtime) return null;
+        return this.toDto(showtime.Format, showtime.CinemaRoom?.Room_Type);
+    }
+
+    /**
+     * GET /api/showtimes/:id/format
+     */
+    async getFormat(showtimeId) {
+        const format = await this.getShowtimeFormat(showtimeId);
+        if (!format) {
+            throw _createError(`Không tìm thấy suất chiếu có ID ${showtimeId}`, 404);
+        }
+        return { Showtime_ID: showtimeId, ...format };
+    }
+
+    /**
+     * Kiểm tra và chuẩn hóa định dạng gửi lên, các trường không gửi giữ theo định dạng hiện tại
+     * @param {Object} data - Projection_Format, Language_Version, Audio_Language, Subtitle_Language,
+     *   Has_Closed_Captions, Has_Audio_Description
+     * @param {string} roomType - Loại phòng của suất chiếu
+     * @param {Object|null} existing - Định dạng đang lưu
+     * @returns {Object} - Giá trị hợp lệ để lưu
+     */
+    validateFormat(data, roomType, existing = null) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw _createError('Định dạng suất chiếu không hợp lệ', 400);
+        }
+
+        const pick = (field, fallback) => (data[field] !== undefined ? data[field] : (existing ? existing[field] : fallback));
+        const values = {
+            Projection_Format: pick('Projection_Format', roomType || PROJECTION_FORMAT.TWO_D),
+            Language_Version: pick('Language_Version', LANGUAGE_VERSION.ORIGINAL),
+            Audio_Language: pick('Audio_Language', null),
+            Subtitle_Language: pick('Subtitle_Language', null),
+            Has_Closed_Captions: pick('Has_Closed_Captions', false),
+            Has_Audio_Description: pick('Has_Audio_Description', false)
+        };
+
+        values.Projection_Format = _normalizeProjectionFormat(_isBlank(values.Projection_Format) ? (roomType || PROJECTION_FORMAT.TWO_D) : values.Projection_Format);
+        const supportedFormats = this.getSupportedProjectionFormats(roomType);
+        if (!supportedFormats.includes(values.Projection_Format)) {
+            throw _createError(`Phòng ${roomType} không chiếu được định dạng ${values.Projection_Format}. Hỗ trợ: ${supportedFormats.join(', ')}`, 400);
+        }
+
+        values.Language_Version = _normalizeLanguageVersion(_isBlank(values.Language_Version) ? LANGUAGE_VERSION.ORIGINAL : values.Language_Version);
+
+        ['Audio_Language', 'Subtitle_Language'].forEach(field => {
+            if (_isBlank(values[field])) {
+                values[field] = null;
+                return;
+            }
+            if (typeof values[field] !== 'string' || values[field].trim().length > 50) {
+                throw _createError(`${field} phải là chuỗi tối đa 50 ký tự`, 400);
+            }
+            values[field] = values[field].trim();
+        });
+        if (values.Language_Version === LANGUAGE_VERSION.SUBTITLED && !values.Subtitle_Language) {
+            throw _createError('Suất chiếu phụ đề cần khai báo ngôn ngữ phụ đề (Subtitle_Language)', 400);
+        }
+
+        values.Has_Closed_Captions = _parseBoolean(values.Has_Closed_Captions, 'Has_Closed_Captions');
+        values.Has_Audio_Description = _parseBoolean(values.Has_Audio_Description, 'Has_Audio_Description');
+
+        return values;
+    }
+
+    /**
+     * Lưu định dạng đã kiểm tra cho suất chiếu (tạo mới hoặc ghi đè)
+     */
+    async saveFormat(showtimeId, values, userId = null, transaction = null) {
+        const existing = await ShowtimeFormat.findOne({ where: { Showtime_ID: showtimeId }, transaction });
+        const data = { ...values, Updated_By: userId || null, Updated_At: new Date() };
+        if (existing) {
+            return existing.update(data, { transaction });
+        }
+        return ShowtimeFormat.create({ Showtime_ID: showtimeId, ...data }, { transaction });
+    }
+
+    /**
+     * PUT /api/showtimes/:id/format - cập nhật định dạng suất chiếu.
+     * Khi đã có đơn còn hiệu lực chỉ được sửa thông tin hỗ trợ tiếp cận / ngôn ngữ phụ đề,
+     * không đổi kiểu chiếu hay phiên bản ngôn ngữ mà khách đã mua.
+     */
+    async updateFormat(showtimeId, data, userId, role) {
+        const showtime = await Showtime.findByPk(showtimeId, {
+            include: [
+                { model: CinemaRoom, as: 'CinemaRoom', attributes: ['Cinema_Room_ID', 'Room_Type', 'Cinema_ID'] },
+                this.getInclude()
+            ]
+        });
+        if (!showtime) {
+            throw _createError(`Không tìm thấy suất chiếu có ID ${showtimeId}`, 404);
+        }
+        if (showtime.Status === 'Hidden' || showtime.Status === 'Cancelled') {
+            throw _createError('Không thể cập nhật định dạng của suất chiếu đã ẩn hoặc đã hủy', 400);
+        }
+
+        if (role === 'Manager') {
+            const manager = await User.findByPk(userId, { attributes: ['User_ID', 'Cinema_ID'] });
+            if (!manager || !manager.Cinema_ID) {
+                throw _createError('Tài khoản quản lý chưa được gán rạp', 403);
+            }
+            if (!showtime.CinemaRoom || showtime.CinemaRoom.Cinema_ID !== manager.Cinema_ID) {
+                throw _createError('Bạn chỉ được cập nhật suất chiếu thuộc rạp của mình', 403);
+            }
+        }
+
+        const roomType = showtime.CinemaRoom?.Room_Type;
+        const current = this.toDto(showtime.Format, roomType);
+        const values = this.validateFormat(data, roomType, showtime.Format);
+
+        const soldFormatChanged = values.Projection_Format !== current.Projection_Format ||
+            (current.Language_Version && values.Language_Version !== current.Language_Version);
+        if (soldFormatChanged) {
+            const activeBookings = await TicketBooking.count({
+                where: { Showtime_ID: showtimeId, Status: { [Op.in]: ACTIVE_BOOKING_STATUSES } }
+            });
+            if (activeBookings > 0) {
+                throw _createError(`Suất chiếu đã có ${activeBookings} đơn đặt vé, không thể đổi kiểu chiếu hoặc phiên bản ngôn ngữ`, 409);
+            }
+        }
+
+        const saved = await this.saveFormat(showtimeId, values, userId);
+        this.logger.info(`[showtimeFormatService] Đã cập nhật định dạng suất chiếu ${showtimeId}: ${this.getLabel(saved)} bởi user ${userId}`);
+        return { Showtime_ID: showtimeId, ...this.toDto(saved, roomType) };
+    }
+
+    /**
+     * Đọc tham số lọc theo định dạng từ body / query
+     * @returns {Object|null} - Điều kiện lọc (tên trường theo model) hoặc null nếu không lọc
+     */
+    parseFilters(source = {}) {
+        const filters = {};
+        Object.entries(FILTER_KEYS).forEach(([field, keys]) => {
+            const key = keys.find(candidate => !_isBlank(source[candidate]));
+            if (key) filters[field] = source[key];
+        });
+        if (Object.keys(filters).length === 0) return null;
+
+        if (filters.Projection_Format !== undefined) {
+            filters.Projection_Format = _normalizeProjectionFormat(filters.Projection_Format);
+        }
+        if (filters.Language_Version !== undefined) {
+            filters.Language_Version = _normalizeLanguageVersion(filters.Language_Version);
+        }
+        ['Audio_Language', 'Subtitle_Language'].forEach(field => {
+            if (filters[field] !== undefined) filters[field] = String(filters[field]).trim();
+        });
+        ['Has_Closed_Captions', 'Has_Audio_Description'].forEach(field => {
+            if (filters[field] !== undefined) filters[field] = _parseBoolean(filters[field], FILTER_KEYS[field][0]);
+        });
+        return filters;
+    }
+
+    /**
+     * Điều kiện where cho truy vấn Showtime có include CinemaRoom (as 'CinemaRoom') và Format (getInclude()).
+     * Suất chưa khai báo định dạng khớp kiểu chiếu theo loại phòng và được coi là không có CC / AD.
+     * @returns {Array} - Các điều kiện để gộp vào where[Op.and]
+     */
+    buildWhereConditions(filters) {
+        if (!filters) return [];
+        const conditions = [];
+
+        if (filters.Projection_Format) {
+            conditions.push({
+                [Op.or]: [
+                    { '$Format.Projection_Format$': filters.Projection_Format },
+                    { '$Format.Format_ID$': null, '$CinemaRoom.Room_Type$': filters.Projection_Format }
+                ]
+            });
+        }
+        ['Language_Version', 'Audio_Language', 'Subtitle_Language'].forEach(field => {
+            if (filters[field]) conditions.push({ [`$Format.${field}$`]: filters[field] });
+        });
+        ['Has_Closed_Captions', 'Has_Audio_Description'].forEach(field => {
+            if (filters[field] === undefined) return;
+            conditions.push(filters[field]
+                ? { [`$Format.${field}$`]: true }
+                : { [Op.or]: [{ [`$Format.${field}$`]: false }, { '$Format.Format_ID$': null }] });
+        });
+
+        return conditions;
+    }
+}
+
+module.exports = new ShowtimeFormatService();
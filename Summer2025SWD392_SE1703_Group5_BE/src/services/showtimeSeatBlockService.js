@@ -0,0 +1,364 @@
+// services/showtimeSeatBlockService.js
+// Mô tả: Khóa ghế theo từng suất chiếu (ghế hỏng, ghế giữ cho rạp / VIP, báo chí, vị trí máy quay).
+// Khác với SeatLayout.Is_Active (bỏ ghế khỏi phòng vĩnh viễn), khóa chỉ áp dụng cho một suất chiếu, có lý do và có thể
+// có thời hạn. Ghế bị khóa hiển thị 'blocked' trong sơ đồ ghế, không chọn / giữ / đặt được cho tới khi Manager mở bán lại
+// hoặc khóa hết hạn (được xử lý trong vòng dọn ghế của seatSelectionService).
+
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { ShowtimeSeatBlock, Showtime, SeatLayout, Seat, Ticket, CinemaRoom, User, sequelize } = require('../models');
+const seatCacheService = require('./seatCacheService');
+const seatMapSyncService = require('./seatMapSyncService');
+
+const { SEAT_BLOCK_TYPE, SEAT_BLOCK_STATUS } = ShowtimeSeatBlock;
+
+function _createError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+class ShowtimeSeatBlockService {
+    constructor() {
+        this.logger = logger;
+        // Cache khóa đang hiệu lực theo suất chiếu (được đọc ở mỗi lần chọn ghế / dựng sơ đồ ghế)
+        this.blockCache = new Map();
+        this.blockCacheMs = 5000;
+    }
+
+    /**
+     * Khóa đang hiệu lực của suất chiếu
+     * @returns {Array} [{ blockId, layoutId, seatId, blockType, reason, expiresAt }]
+     */
+    async getActiveBlocks(showtimeId) {
+        const key = Number(showtimeId);
+        const cached = this.blockCache.get(key);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.blocks;
+        }
+
+        const blocks = await ShowtimeSeatBlock.findAll({
+            where: {
+                Showtime_ID: showtimeId,
+                Status: SEAT_BLOCK_STATUS.ACTIVE,
+                [Op.or]: [{ Expires_At: null }, { Expires_At: { [Op.gt]: new Date() } }]
+            },
+            include: [{ model: SeatLayout, as: 'SeatLayout', attributes: ['Row_Label', 'Column_Number'] }]
+        });
+
+        const result = blocks.map(block => this._formatBlock(block));
+        this.blockCache.set(key, { blocks: result, expiresAt: Date.now() + this.blockCacheMs });
+        return result;
+    }
+
+    /**
+     * Map Layout_ID -> khóa đang hiệu lực, dùng cho sơ đồ ghế và gợi ý ghế tốt nhất
+     */
+    async getBlockedLayoutMap(showtimeId) {
+        const blocks = await this.getActiveBlocks(showtimeId);
+        return new Map(blocks.map(block => [block.layoutId, block]));
+    }
+
+    /**
+     * Ghế (theo nhãn, ví dụ "A5") có đang bị khóa trong suất chiếu không
+     */
+    async isSeatBlocked(showtimeId, seatId) {
+        const blocks = await this.getActiveBlocks(showtimeId);
+        return blocks.some(block => block.seatId === seatId);
+    }
+
+    /**
+     * Khóa đang hiệu lực trên các layout cho trước, đọc thẳng database (không qua cache) để dùng khi chốt đặt vé
+     */
+    async findActiveBlocksForLayouts(showtimeId, layoutIds, transaction = null) {
+        const blocks = await ShowtimeSeatBlock.findAll({
+            where: {
+                Showtime_ID: showtimeId,
+                Layout_ID: { [Op.in]: layoutIds },
+                Status: SEAT_BLOCK_STATUS.ACTIVE,
+                [Op.or]: [{ Expires_At: null }, { Expires_At: { [Op.gt]: new Date() } }]
+            },
+            include: [{ model: SeatLayout, as: 'SeatLayout', attributes: ['Row_Label', 'Column_Number'] }],
+            transaction
+        });
+        return blocks.map(block => this._formatBlock(block));
+    }
+
+    /**
+     * Danh sách khóa của suất chiếu cho màn hình quản lý
+     * @param {boolean} includeInactive - kèm cả khóa đã mở bán / hết hạn
+     */
+    async listBlocks(showtimeId, includeInactive = false) {
+        const showtime = await Showtime.findByPk(showtimeId);
+        if (!showtime) {
+            throw _createError('Không tìm thấy suất chiếu', 404);
+        }
+
+        const where = { Showtime_ID: showtimeId };
+        if (!includeInactive) {
+            where.Status = SEAT_BLOCK_STATUS.ACTIVE;
+            where[Op.or] = [{ Expires_At: null }, { Expires_At: { [Op.gt]: new Date() } }];
+        }
+
+        const blocks = await ShowtimeSeatBlock.findAll({
+            where,
+            include: [
+                { model: SeatLayout, as: 'SeatLayout', attributes: ['Row_Label', 'Column_Number'] },
+                { model: User, as: 'Creator', attributes: ['User_ID', 'Full_Name'] }
+            ],
+            order: [['Created_At', 'DESC']]
+        });
+
+        return blocks.map(block => ({
+            ...this._formatBlock(block),
+            status: block.Status,
+            createdBy: block.Creator ? { userId: block.Creator.User_ID, fullName: block.Creator.Full_Name } : { userId: block.Created_By },
+            createdAt: block.Created_At,
+            releasedBy: block.Released_By,
+            releasedAt: block.Released_At
+        }));
+    }
+
+    /**
+     * Khóa ghế cho một suất chiếu
+     * @param {Object} payload - { seatIds: ['A1'] hoặc layoutIds: [12], blockType, reason, expiresAt }
+     */
+    async createBlocks(showtimeId, payload, userId, role) {
+        const { seatIds, layoutIds, blockType = SEAT_BLOCK_TYPE.OTHER, reason, expiresAt } = payload || {};
+
+        if (!Object.values(SEAT_BLOCK_TYPE).includes(blockType)) {
+            throw _createError(`Loại khóa không hợp lệ. Chỉ chấp nhận: ${Object.values(SEAT_BLOCK_TYPE).join(', ')}`, 400);
+        }
+        if (!reason || !String(reason).trim()) {
+            throw _createError('Vui lòng nhập lý do khóa ghế', 400);
+        }
+        if (String(reason).trim().length > 255) {
+            throw _createError('Lý do khóa ghế không được vượt quá 255 ký tự', 400);
+        }
+
+        let expiry = null;
+        if (expiresAt) {
+            expiry = new Date(expiresAt);
+            if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+                throw _createError('Thời hạn khóa phải là thời điểm trong tương lai', 400);
+            }
+        }
+
+        const showtime = await this._getManageableShowtime(showtimeId, userId, role);
+        const layouts = await this._resolveLayouts(showtime, seatIds, layoutIds);
+        await this._assertSeatsBlockable(showtime, layouts, userId);
+
+        const now = new Date();
+        const created = await sequelize.transaction(async (transaction) => {
+            return ShowtimeSeatBlock.bulkCreate(layouts.map(layout => ({
+                Showtime_ID: showtime.Showtime_ID,
+                Layout_ID: layout.Layout_ID,
+                Block_Type: blockType,
+                Reason: String(reason).trim(),
+                Status: SEAT_BLOCK_STATUS.ACTIVE,
+                Expires_At: expiry,
+                Created_By: userId,
+                Created_At: now
+            })), { transaction });
+        });
+
+        await this._afterChange(showtime.Showtime_ID, false);
+
+        const labels = layouts.map(layout => `${layout.Row_Label}${layout.Column_Number}`);
+        this.logger.info(`[SeatBlock] User ${userId} khóa ${labels.length} ghế (${labels.join(', ')}) suất ${showtime.Showtime_ID}: ${blockType} - ${reason}`);
+
+        return {
+            showtimeId: showtime.Showtime_ID,
+            blocks: created.map((block, index) => ({
+                blockId: block.Block_ID,
+                layoutId: block.Layout_ID,
+                seatId: labels[index],
+                blockType: block.Block_Type,
+                reason: block.Reason,
+                expiresAt: block.Expires_At
+            }))
+        };
+    }
+
+    /**
+     * Mở bán lại hàng loạt
+     * @param {Object} payload - { blockIds: [1, 2] } | { seatIds: ['A1'] } | { all: true }
+     */
+    async releaseBlocks(showtimeId, payload, userId, role) {
+        const { blockIds, seatIds, all } = payload || {};
+        const showtime = await this._getManageableShowtime(showtimeId, userId, role, false);
+
+        const where = { Showtime_ID: showtime.Showtime_ID, Status: SEAT_BLOCK_STATUS.ACTIVE };
+        if (all !== true && all !== 'true') {
+            const activeBlocks = await this.getActiveBlocks(showtime.Showtime_ID);
+            const ids = new Set();
+            (Array.isArray(blockIds) ? blockIds : []).forEach(id => ids.add(Number(id)));
+            (Array.isArray(seatIds) ? seatIds : []).forEach(seatId => {
+                activeBlocks.filter(block => block.seatId === seatId).forEach(block => ids.add(block.blockId));
+            });
+            if (ids.size === 0) {
+                throw _createError('Vui lòng chọn khóa cần mở bán (blockIds, seatIds hoặc all)', 400);
+            }
+            where.Block_ID = { [Op.in]: Array.from(ids) };
+        }
+
+        const [released] = await ShowtimeSeatBlock.update(
+            { Status: SEAT_BLOCK_STATUS.RELEASED, Released_By: userId, Released_At: new Date() },
+            { where }
+        );
+
+        if (released > 0) {
+            await this._afterChange(showtime.Showtime_ID, true);
+        }
+
+        this.logger.info(`[SeatBlock] User ${userId} mở bán lại ${released} ghế bị khóa của suất ${showtime.Showtime_ID}`);
+        return { showtimeId: showtime.Showtime_ID, released };
+    }
+
+    /**
+     * Chuyển các khóa đã quá hạn sang Expired và cập nhật sơ đồ ghế (gọi từ vòng dọn ghế của seatSelectionService)
+     * @returns {number} số khóa đã hết hạn
+     */
+    async expireBlocks() {
+        const expired = await ShowtimeSeatBlock.findAll({
+            where: {
+                Status: SEAT_BLOCK_STATUS.ACTIVE,
+                Expires_At: { [Op.ne]: null, [Op.lte]: new Date() }
+            },
+            attributes: ['Block_ID', 'Showtime_ID']
+        });
+        if (expired.length === 0) return 0;
+
+        await ShowtimeSeatBlock.update(
+            { Status: SEAT_BLOCK_STATUS.EXPIRED, Released_At: new Date() },
+            { where: { Block_ID: { [Op.in]: expired.map(block => block.Block_ID) }, Status: SEAT_BLOCK_STATUS.ACTIVE } }
+        );
+
+        const showtimeIds = [...new Set(expired.map(block => block.Showtime_ID))];
+        for (const showtimeId of showtimeIds) {
+            await this._afterChange(showtimeId, true);
+        }
+
+        this.logger.info(`[SeatBlock] ${expired.length} khóa ghế hết hạn đã được mở bán lại`);
+        return expired.length;
+    }
+
+    async _getManageableShowtime(showtimeId, userId, role, requireUpcoming = true) {
+        const showtime = await Showtime.findByPk(showtimeId, {
+            include: [{ model: CinemaRoom, as: 'CinemaRoom', attributes: ['Cinema_Room_ID', 'Cinema_ID'] }]
+        });
+        if (!showtime) {
+            throw _createError('Không tìm thấy suất chiếu', 404);
+        }
+        if (requireUpcoming && showtime.Status !== 'Scheduled') {
+            throw _createError('Chỉ có thể khóa ghế cho suất chiếu đang mở bán', 400);
+        }
+
+        // Manager chỉ quản lý suất chiếu trong rạp được phân công
+        if (role === 'Manager') {
+            const manager = await User.findByPk(userId, { attributes: ['User_ID', 'Cinema_ID'] });
+            if (!manager || manager.Cinema_ID !== showtime.CinemaRoom?.Cinema_ID) {
+                throw _createError('Bạn không có quyền quản lý ghế của suất chiếu thuộc rạp khác', 403);
+            }
+        }
+
+        return showtime;
+    }
+
+    async _resolveLayouts(showtime, seatIds, layoutIds) {
+        const hasSeatIds = Array.isArray(seatIds) && seatIds.length > 0;
+        const hasLayoutIds = Array.isArray(layoutIds) && layoutIds.length > 0;
+        if (!hasSeatIds && !hasLayoutIds) {
+            throw _createError('Vui lòng chọn ghế cần khóa (seatIds hoặc layoutIds)', 400);
+        }
+
+        const roomLayouts = await SeatLayout.findAll({
+            where: { Cinema_Room_ID: showtime.Cinema_Room_ID, Is_Active: true },
+            attributes: ['Layout_ID', 'Row_Label', 'Column_Number']
+        });
+
+        const byLabel = new Map(roomLayouts.map(layout => [`${layout.Row_Label}${layout.Column_Number}`, layout]));
+        const byId = new Map(roomLayouts.map(layout => [layout.Layout_ID, layout]));
+
+        const selected = new Map();
+        const invalid = [];
+        (hasSeatIds ? seatIds : []).forEach(seatId => {
+            const layout = byLabel.get(String(seatId).trim().toUpperCase());
+            if (layout) selected.set(layout.Layout_ID, layout);
+            else invalid.push(seatId);
+        });
+        (hasLayoutIds ? layoutIds : []).forEach(layoutId => {
+            const layout = byId.get(Number(layoutId));
+            if (layout) selected.set(layout.Layout_ID, layout);
+            else invalid.push(layoutId);
+        });
+
+        if (invalid.length > 0) {
+            throw _createError(`Ghế không thuộc phòng chiếu của suất này hoặc đã ngừng hoạt động: ${invalid.join(', ')}`, 400);
+        }
+        return Array.from(selected.values());
+    }
+
+    // Không khóa ghế đã bán, đã bị khóa hoặc đang được khách khác giữ
+    async _assertSeatsBlockable(showtime, layouts, userId) {
+        const layoutIds = layouts.map(layout => layout.Layout_ID);
+        const labelOf = (layout) => `${layout.Row_Label}${layout.Column_Number}`;
+
+        const soldTickets = await Ticket.findAll({
+            where: {
+                Showtime_ID: showtime.Showtime_ID,
+                Status: { [Op.notIn]: ['Cancelled', 'Expired'] }
+            },
+            attributes: ['Ticket_ID'],
+            include: [{ model: Seat, as: 'Seat', attributes: ['Layout_ID'], where: { Layout_ID: { [Op.in]: layoutIds } } }]
+        });
+        const soldLayoutIds = new Set(soldTickets.map(ticket => ticket.Seat.Layout_ID));
+        const sold = layouts.filter(layout => soldLayoutIds.has(layout.Layout_ID)).map(labelOf);
+        if (sold.length > 0) {
+            throw _createError(`Ghế ${sold.join(', ')} đã được bán, không thể khóa`, 409);
+        }
+
+        const blockedMap = await this.getBlockedLayoutMap(showtime.Showtime_ID);
+        const alreadyBlocked = layouts.filter(layout => blockedMap.has(layout.Layout_ID)).map(labelOf);
+        if (alreadyBlocked.length > 0) {
+            throw _createError(`Ghế ${alreadyBlocked.join(', ')} đã bị khóa`, 409);
+        }
+
+        const cachedSeats = await seatCacheService.getShowtimeSeats(showtime.Showtime_ID);
+        const held = layouts.map(labelOf).filter(label => {
+            const seatData = cachedSeats?.[label];
+            return seatData && String(seatData.userId) !== String(userId);
+        });
+        if (held.length > 0) {
+            throw _createError(`Ghế ${held.join(', ')} đang được khách giữ, vui lòng thử lại sau khi hết thời gian giữ ghế`, 409);
+        }
+    }
+
+    async _afterChange(showtimeId, seatsReleased) {
+        this.blockCache.delete(Number(showtimeId));
+
+        try {
+            await seatMapSyncService.publishRefresh(showtimeId);
+        } catch (error) {
+            this.logger.error(`[SeatBlock] Không thể cập nhật sơ đồ ghế suất ${showtimeId}: ${error.message}`);
+        }
+
+        // Ghế được mở bán lại: khách trong danh sách chờ có thể nhận lời mời
+        if (seatsReleased) {
+            require('./waitlistService').notifySeatsReleased(showtimeId);
+        }
+    }
+
+    _formatBlock(block) {
+        return {
+            blockId: block.Block_ID,
+            layoutId: block.Layout_ID,
+            seatId: block.SeatLayout ? `${block.SeatLayout.Row_Label}${block.SeatLayout.Column_Number}` : null,
+            blockType: block.Block_Type,
+            reason: block.Reason,
+            expiresAt: block.Expires_At
+        };
+    }
+}
+
+module.exports = new ShowtimeSeatBlockService();
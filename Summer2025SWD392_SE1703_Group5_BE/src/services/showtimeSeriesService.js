@@ -0,0 +1,882 @@
+// services/showtimeSeriesService.js
+// Mô tả: Chuỗi suất chiếu lặp lại (phim, phòng, giờ bắt đầu, thứ trong tuần, khoảng ngày) được trải thành
+// các suất chiếu riêng lẻ, và mẫu lịch chiếu theo tuần để áp dụng cho tuần khác / rạp khác.
+// Mỗi suất chiếu vẫn được tạo qua showtimeService.createShowtime nên giữ nguyên các kiểm tra trùng lịch,
+// giờ hoạt động, thời gian dọn dẹp và ngày công chiếu.
+
+const { Op } = require('sequelize');
+const { format, addDays } = require('date-fns');
+const logger = require('../utils/logger');
+const {
+    ShowtimeSeries,
+    ShowtimeSeriesOccurrence,
+    ShowtimeScheduleTemplate,
+    Showtime,
+    Movie,
+    CinemaRoom,
+    Cinema,
+    TicketBooking,
+    User,
+    sequelize
+} = require('../models');
+const showtimeService = require('./showtimeService');
+const holidayCalendarService = require('./holidayCalendarService');
+
+const { SHOWTIME_SERIES_STATUS } = ShowtimeSeries;
+
+// Giới hạn để một thao tác không sinh quá nhiều suất chiếu trong một transaction
+const MAX_SERIES_DAYS = 366;
+const MAX_OCCURRENCES_PER_OPERATION = 500;
+const MAX_TEMPLATE_ENTRIES = 500;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Booking còn hiệu lực thì không được tự động ẩn suất chiếu
+const ACTIVE_BOOKING_STATUSES = ['Pending', 'Confirmed'];
+const INACTIVE_SHOWTIME_STATUSES = ['Hidden', 'Cancelled'];
+
+function _createError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function _isValidDate(value) {
+    return typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(new Date(`${value}T00:00:00`).getTime());
+}
+
+function _shiftDate(date, days) {
+    return format(addDays(new Date(`${date}T00:00:00`), days), 'yyyy-MM-dd');
+}
+
+function _dayOfWeek(date) {
+    return new Date(`${date}T00:00:00`).getDay();
+}
+
+class ShowtimeSeriesService {
+    constructor() {
+        this.logger = logger;
+    }
+
+    // =================== CHUỖI SUẤT CHIẾU ===================
+
+    /**
+     * Danh sách chuỗi suất chiếu. Manager chỉ thấy chuỗi của rạp mình.
+     */
+    async listSeries(userId, role, { cinemaId, status } = {}) {
+        let scopeCinemaId = cinemaId !== undefined && cinemaId !== null && cinemaId !== '' ? parseInt(cinemaId, 10) : null;
+        if (role === 'Manager') scopeCinemaId = await this._getManagerCinemaId(userId);
+
+        const seriesList = await ShowtimeSeries.findAll({
+            where: status ? { Status: status } : {},
+            include: [
+                { model: Movie, as: 'Movie', attributes: ['Movie_ID', 'Movie_Name'] },
+                {
+                    model: CinemaRoom,
+                    as: 'CinemaRoom',
+                    attributes: ['Cinema_Room_ID', 'Room_Name', 'Cinema_ID'],
+                    where: scopeCinemaId ? { Cinema_ID: scopeCinemaId } : undefined
+                }
+            ],
+            order: [['Start_Date', 'DESC'], ['Series_ID', 'DESC']]
+        });
+
+        return seriesList.map(series => this._formatSeries(series));
+    }
+
+    /**
+     * Chi tiết chuỗi kèm các suất chiếu đã sinh ra
+     */
+    async getSeries(seriesId, userId, role) {
+        const series = await this._getManageableSeries(seriesId, userId, role);
+        const occurrences = await ShowtimeSeriesOccurrence.findAll({
+            where: { Series_ID: seriesId },
+            include: [{ model: Showtime, as: 'Showtime', attributes: ['Showtime_ID', 'Movie_ID', 'Cinema_Room_ID', 'Show_Date', 'Start_Time', 'End_Time', 'Status'] }],
+            order: [['Occurrence_Date', 'ASC'], ['Original_Start_Time', 'ASC']]
+        });
+
+        return {
+            ...this._formatSeries(series),
+            occurrences: occurrences.map(occurrence => this._formatOccurrence(occurrence))
+        };
+    }
+
+    /**
+     * Tạo chuỗi suất chiếu và trải thành các suất chiếu riêng lẻ trong một transaction
+     * @param {Object} data - { MovieId, CinemaRoomId, StartTimes: ['HH:mm'], Weekdays: [0-6], StartDate, EndDate,
+     *                          AllowEarlyShowtime, SkipConflicts }
+     */
+    async createSeries(data, userId, role) {
+        const definition = this._validateDefinition(data);
+        if (definition.startDate < format(new Date(), 'yyyy-MM-dd')) {
+            throw _createError('Không thể tạo chuỗi suất chiếu bắt đầu trong quá khứ', 400);
+        }
+
+        const room = await this._assertCanManageRoom(definition.roomId, userId, role);
+        const movie = await this._getSchedulableMovie(definition.movieId);
+        const options = { allowEarlyShowtime: data.AllowEarlyShowtime === true, skipFailures: data.SkipConflicts === true };
+        const slots = this._expandSlots(definition, movie.Movie_ID, room.Cinema_Room_ID);
+        if (slots.length === 0) {
+            throw _createError('Không có ngày nào trong khoảng đã chọn khớp với các thứ trong tuần', 400);
+        }
+
+        const transaction = await sequelize.transaction();
+        try {
+            const series = await ShowtimeSeries.create({
+                Movie_ID: movie.Movie_ID,
+                Cinema_Room_ID: room.Cinema_Room_ID,
+                Start_Times: definition.startTimes.join(','),
+                Weekdays: definition.weekdays.join(','),
+                Start_Date: definition.startDate,
+                End_Date: definition.endDate,
+                Status: SHOWTIME_SERIES_STATUS.ACTIVE,
+                Created_By: userId,
+                Created_At: new Date()
+            }, { transaction });
+            series.Movie = movie;
+            series.CinemaRoom = room;
+
+            const result = await this._createShowtimes(slots, { ...options, userId, cinemaId: room.Cinema_ID, movies: [movie], transaction });
+            if (result.created.length === 0) {
+                throw _createError('Không tạo được suất chiếu nào cho chuỗi này', 400);
+            }
+            await this._linkOccurrences(series.Series_ID, result.created, transaction);
+
+            await transaction.commit();
+            this.logger.info(`[ShowtimeSeries] User ${userId} tạo chuỗi ${series.Series_ID} với ${result.created.length} suất chiếu`);
+
+            return {
+                series: this._formatSeries(series),
+                created_count: result.created.length,
+                showtimes: result.created.map(item => this._formatCreated(item)),
+                skipped: result.skipped
+            };
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Sửa chuỗi, áp dụng cho mọi suất chiếu tương lai của chuỗi. Suất chiếu đã có người đặt và suất chiếu đã
+     * sửa / hủy riêng lẻ được giữ nguyên; các suất còn lại bị ẩn và được tạo lại theo định nghĩa mới.
+     * @param {Object} changes - { MovieId, CinemaRoomId, StartTimes, Weekdays, EndDate, AllowEarlyShowtime, SkipConflicts }
+     */
+    async updateSeries(seriesId, changes, userId, role) {
+        const series = await this._getManageableSeries(seriesId, userId, role);
+        if (series.Status !== SHOWTIME_SERIES_STATUS.ACTIVE) {
+            throw _createError('Chuỗi suất chiếu đã bị hủy, không thể chỉnh sửa', 400);
+        }
+        if (changes.StartDate !== undefined) {
+            throw _createError('Không thể đổi ngày bắt đầu của chuỗi, chỉ có thể đổi EndDate', 400);
+        }
+
+        const definition = this._validateDefinition({
+            MovieId: changes.MovieId !== undefined ? changes.MovieId : series.Movie_ID,
+            CinemaRoomId: changes.CinemaRoomId !== undefined ? changes.CinemaRoomId : series.Cinema_Room_ID,
+            StartTimes: changes.StartTimes !== undefined ? changes.StartTimes : series.Start_Times.split(','),
+            Weekdays: changes.Weekdays !== undefined ? changes.Weekdays : series.Weekdays.split(',').map(Number),
+            StartDate: series.Start_Date,
+            EndDate: changes.EndDate !== undefined ? changes.EndDate : series.End_Date
+        });
+
+        const room = definition.roomId === series.Cinema_Room_ID
+            ? series.CinemaRoom
+            : await this._assertCanManageRoom(definition.roomId, userId, role);
+        const movie = await this._getSchedulableMovie(definition.movieId);
+        const options = { allowEarlyShowtime: changes.AllowEarlyShowtime === true, skipFailures: changes.SkipConflicts === true };
+
+        const transaction = await sequelize.transaction();
+        try {
+            const { futureOccurrences, detachedOccurrences } = await this._loadFutureOccurrences(series.Series_ID, transaction);
+            const bookedShowtimeIds = await this._findShowtimesWithActiveBookings(futureOccurrences.map(item => item.Showtime_ID), transaction);
+
+            const kept = futureOccurrences.filter(item => bookedShowtimeIds.has(item.Showtime_ID));
+            const removed = futureOccurrences.filter(item => !bookedShowtimeIds.has(item.Showtime_ID));
+            await this._hideOccurrences(removed, transaction);
+            await ShowtimeSeriesOccurrence.destroy({
+                where: { Occurrence_ID: { [Op.in]: removed.map(item => item.Occurrence_ID) } },
+                transaction
+            });
+
+            await series.update({
+                Movie_ID: movie.Movie_ID,
+                Cinema_Room_ID: room.Cinema_Room_ID,
+                Start_Times: definition.startTimes.join(','),
+                Weekdays: definition.weekdays.join(','),
+                End_Date: definition.endDate,
+                Updated_By: userId,
+                Updated_At: new Date()
+            }, { transaction });
+            series.Movie = movie;
+            series.CinemaRoom = room;
+
+            // Không tạo lại khung giờ đã có suất chiếu được giữ hoặc đã sửa / hủy riêng lẻ
+            const blockedSlots = new Set([...kept, ...detachedOccurrences].map(item => `${item.Occurrence_Date}|${item.Original_Start_Time}`));
+            const today = format(new Date(), 'yyyy-MM-dd');
+            const slots = this._expandSlots(
+                { ...definition, startDate: definition.startDate > today ? definition.startDate : today },
+                movie.Movie_ID,
+                room.Cinema_Room_ID
+            ).filter(slot => this._isFutureSlot(slot.Show_Date, slot.Start_Time) && !blockedSlots.has(`${slot.Show_Date}|${slot.Start_Time}`));
+
+            const result = await this._createShowtimes(slots, { ...options, userId, cinemaId: room.Cinema_ID, movies: [movie], transaction });
+            await this._linkOccurrences(series.Series_ID, result.created, transaction);
+
+            await transaction.commit();
+            this.logger.info(`[ShowtimeSeries] User ${userId} sửa chuỗi ${series.Series_ID}: ẩn ${removed.length}, giữ ${kept.length}, tạo ${result.created.length} suất chiếu`);
+
+            return {
+                series: this._formatSeries(series),
+                removed_count: removed.length,
+                kept_with_bookings: kept.map(item => this._formatOccurrence(item)),
+                created_count: result.created.length,
+                showtimes: result.created.map(item => this._formatCreated(item)),
+                skipped: result.skipped
+            };
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Hủy chuỗi: ẩn mọi suất chiếu tương lai của chuỗi (kể cả suất đã sửa riêng lẻ) chưa có người đặt.
+     * Suất chiếu đã có người đặt được giữ lại để xử lý qua luồng hủy suất chiếu có hoàn tiền.
+     */
+    async cancelSeries(seriesId, userId, role) {
+        const series = await this._getManageableSeries(seriesId, userId, role);
+        if (series.Status !== SHOWTIME_SERIES_STATUS.ACTIVE) {
+            throw _createError('Chuỗi suất chiếu đã bị hủy trước đó', 400);
+        }
+
+        const transaction = await sequelize.transaction();
+        try {
+            const { futureOccurrences, detachedOccurrences } = await this._loadFutureOccurrences(series.Series_ID, transaction);
+            const candidates = [...futureOccurrences, ...detachedOccurrences.filter(item => item.isFuture && item.isActive)];
+            const bookedShowtimeIds = await this._findShowtimesWithActiveBookings(candidates.map(item => item.Showtime_ID), transaction);
+
+            const kept = candidates.filter(item => bookedShowtimeIds.has(item.Showtime_ID));
+            const cancelled = candidates.filter(item => !bookedShowtimeIds.has(item.Showtime_ID));
+            await this._hideOccurrences(cancelled, transaction);
+
+            await series.update({
+                Status: SHOWTIME_SERIES_STATUS.CANCELLED,
+                Updated_By: userId,
+                Updated_At: new Date()
+            }, { transaction });
+
+            await transaction.commit();
+            this.logger.info(`[ShowtimeSeries] User ${userId} hủy chuỗi ${series.Series_ID}: ẩn ${cancelled.length}, giữ ${kept.length} suất chiếu có người đặt`);
+
+            return {
+                series: this._formatSeries(series),
+                cancelled_count: cancelled.length,
+                kept_with_bookings: kept.map(item => this._formatOccurrence(item))
+            };
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Sửa riêng một suất chiếu của chuỗi; suất chiếu này tách khỏi các lần sửa cả chuỗi sau đó
+     * @param {Object} changes - { MovieId, CinemaRoomId, ShowDate, StartTime }
+     */
+    async updateOccurrence(seriesId, showtimeId, changes, userId, role) {
+        const series = await this._getManageableSeries(seriesId, userId, role);
+        const occurrence = await this._getOccurrence(series.Series_ID, showtimeId);
+
+        const showtimeDto = {};
+        if (changes.MovieId !== undefined) showtimeDto.Movie_ID = parseInt(changes.MovieId, 10);
+        if (changes.CinemaRoomId !== undefined) {
+            showtimeDto.Cinema_Room_ID = parseInt(changes.CinemaRoomId, 10);
+            if (isNaN(showtimeDto.Cinema_Room_ID)) throw _createError('CinemaRoomId không hợp lệ', 400);
+            if (showtimeDto.Cinema_Room_ID !== series.Cinema_Room_ID) {
+                await this._assertCanManageRoom(showtimeDto.Cinema_Room_ID, userId, role);
+            }
+        }
+        if (changes.ShowDate !== undefined) {
+            if (!_isValidDate(changes.ShowDate)) throw _createError('ShowDate phải có định dạng YYYY-MM-DD', 400);
+            showtimeDto.Show_Date = changes.ShowDate;
+        }
+        if (changes.StartTime !== undefined) {
+            if (!TIME_PATTERN.test(changes.StartTime)) throw _createError('StartTime phải có định dạng HH:mm', 400);
+            showtimeDto.Start_Time = changes.StartTime;
+        }
+        if (showtimeDto.Movie_ID !== undefined && isNaN(showtimeDto.Movie_ID)) throw _createError('MovieId không hợp lệ', 400);
+        if (Object.keys(showtimeDto).length === 0) {
+            throw _createError('Cần ít nhất một trong MovieId, CinemaRoomId, ShowDate, StartTime', 400);
+        }
+
+        // updateShowtime cần đủ phim, ngày và giờ bắt đầu nên bổ sung giá trị hiện tại cho các trường không đổi
+        const current = await Showtime.findByPk(occurrence.Showtime_ID, { attributes: ['Showtime_ID', 'Movie_ID', 'Cinema_Room_ID', 'Show_Date', 'Start_Time'] });
+        if (!current) throw _createError(`Không tìm thấy suất chiếu có ID ${occurrence.Showtime_ID}`, 404);
+        let showtime;
+        try {
+            showtime = await showtimeService.updateShowtime(occurrence.Showtime_ID, {
+                Movie_ID: current.Movie_ID,
+                Cinema_Room_ID: current.Cinema_Room_ID,
+                Show_Date: current.Show_Date,
+                Start_Time: this._timeValue(current.Start_Time).substring(0, 5),
+                ...showtimeDto
+            }, userId);
+        } catch (error) {
+            // updateShowtime báo lỗi kiểm tra dữ liệu (trùng lịch, có booking...) bằng Error thường
+            if (!error.statusCode && !String(error.name).startsWith('Sequelize')) error.statusCode = error.code === 'SCHEDULE_CONFLICT' ? 409 : 400;
+            throw error;
+        }
+        await occurrence.update({ Is_Detached: true });
+        this.logger.info(`[ShowtimeSeries] User ${userId} sửa riêng suất chiếu ${occurrence.Showtime_ID} của chuỗi ${series.Series_ID}`);
+
+        return { series_id: series.Series_ID, is_detached: true, showtime };
+    }
+
+    /**
+     * Hủy riêng một suất chiếu của chuỗi (chỉ khi chưa có người đặt)
+     */
+    async cancelOccurrence(seriesId, showtimeId, userId, role) {
+        const series = await this._getManageableSeries(seriesId, userId, role);
+        const occurrence = await this._getOccurrence(series.Series_ID, showtimeId);
+        const showtime = await Showtime.findByPk(occurrence.Showtime_ID);
+        if (!showtime || INACTIVE_SHOWTIME_STATUSES.includes(showtime.Status)) {
+            throw _createError('Suất chiếu này đã bị ẩn hoặc hủy trước đó', 400);
+        }
+
+        const bookedShowtimeIds = await this._findShowtimesWithActiveBookings([showtime.Showtime_ID]);
+        if (bookedShowtimeIds.has(showtime.Showtime_ID)) {
+            throw _createError('Suất chiếu đã có người đặt vé, cần hủy qua luồng hủy suất chiếu có hoàn tiền', 409);
+        }
+
+        const transaction = await sequelize.transaction();
+        try {
+            await showtime.update({ Status: 'Hidden', Updated_At: sequelize.literal('GETDATE()') }, { transaction });
+            await occurrence.update({ Is_Detached: true }, { transaction });
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+
+        this.logger.info(`[ShowtimeSeries] User ${userId} hủy riêng suất chiếu ${showtime.Showtime_ID} của chuỗi ${series.Series_ID}`);
+        return { series_id: series.Series_ID, showtime_id: showtime.Showtime_ID, status: 'Hidden' };
+    }
+
+    // =================== MẪU LỊCH CHIẾU THEO TUẦN ===================
+
+    /**
+     * Danh sách mẫu lịch chiếu; mẫu của mọi rạp đều có thể dùng để áp dụng cho rạp mình
+     */
+    async listTemplates({ cinemaId } = {}) {
+        const where = cinemaId !== undefined && cinemaId !== null && cinemaId !== '' ? { Cinema_ID: parseInt(cinemaId, 10) } : {};
+        const templates = await ShowtimeScheduleTemplate.findAll({
+            where,
+            include: [{ model: Cinema, as: 'Cinema', attributes: ['Cinema_ID', 'Cinema_Name'] }],
+            order: [['Created_At', 'DESC']]
+        });
+        return templates.map(template => this._formatTemplate(template, false));
+    }
+
+    async getTemplate(templateId) {
+        const template = await ShowtimeScheduleTemplate.findByPk(templateId, {
+            include: [{ model: Cinema, as: 'Cinema', attributes: ['Cinema_ID', 'Cinema_Name'] }]
+        });
+        if (!template) throw _createError(`Không tìm thấy mẫu lịch chiếu có ID ${templateId}`, 404);
+        return this._formatTemplate(template, true);
+    }
+
+    /**
+     * Lưu lịch chiếu của một tuần (7 ngày tính từ WeekStart) thành mẫu
+     * @param {Object} data - { CinemaId, Name, WeekStart }
+     */
+    async saveWeekAsTemplate(data, userId, role) {
+        const cinemaId = parseInt(data.CinemaId, 10);
+        if (isNaN(cinemaId)) throw _createError('CinemaId không hợp lệ', 400);
+        const name = typeof data.Name === 'string' ? data.Name.trim() : '';
+        if (!name || name.length > 100) throw _createError('Name là bắt buộc và tối đa 100 ký tự', 400);
+        if (!_isValidDate(data.WeekStart)) throw _createError('WeekStart phải có định dạng YYYY-MM-DD', 400);
+
+        await this._assertCanManageCinema(cinemaId, userId, role);
+
+        const weekEnd = _shiftDate(data.WeekStart, 6);
+        const showtimes = await Showtime.findAll({
+            where: {
+                Show_Date: { [Op.between]: [data.WeekStart, weekEnd] },
+                Status: { [Op.notIn]: INACTIVE_SHOWTIME_STATUSES }
+            },
+            include: [{
+                model: CinemaRoom,
+                as: 'CinemaRoom',
+                attributes: ['Cinema_Room_ID', 'Room_Name', 'Room_Type'],
+                where: { Cinema_ID: cinemaId }
+            }],
+            order: [['Show_Date', 'ASC'], ['Start_Time', 'ASC']]
+        });
+        if (showtimes.length === 0) {
+            throw _createError(`Rạp không có suất chiếu nào từ ${data.WeekStart} đến ${weekEnd}`, 400);
+        }
+        if (showtimes.length > MAX_TEMPLATE_ENTRIES) {
+            throw _createError(`Mẫu lịch chiếu chỉ được chứa tối đa ${MAX_TEMPLATE_ENTRIES} suất chiếu`, 400);
+        }
+
+        const entries = showtimes.map(showtime => ({
+            Day_Of_Week: _dayOfWeek(showtime.Show_Date),
+            Movie_ID: showtime.Movie_ID,
+            Cinema_Room_ID: showtime.Cinema_Room_ID,
+            Room_Name: showtime.CinemaRoom.Room_Name,
+            Room_Type: showtime.CinemaRoom.Room_Type,
+            Start_Time: this._timeValue(showtime.Start_Time).substring(0, 5)
+        }));
+
+        const template = await ShowtimeScheduleTemplate.create({
+            Cinema_ID: cinemaId,
+            Template_Name: name,
+            Template_Data: JSON.stringify(entries),
+            Source_Week_Start: data.WeekStart,
+            Created_By: userId,
+            Created_At: new Date()
+        });
+        this.logger.info(`[ShowtimeSeries] User ${userId} lưu mẫu lịch chiếu ${template.Template_ID} (${entries.length} suất) từ tuần ${data.WeekStart} của rạp ${cinemaId}`);
+
+        return this._formatTemplate(template, true);
+    }
+
+    async deleteTemplate(templateId, userId, role) {
+        const template = await ShowtimeScheduleTemplate.findByPk(templateId);
+        if (!template) throw _createError(`Không tìm thấy mẫu lịch chiếu có ID ${templateId}`, 404);
+        await this._assertCanManageCinema(template.Cinema_ID, userId, role);
+
+        await template.destroy();
+        this.logger.info(`[ShowtimeSeries] User ${userId} xóa mẫu lịch chiếu ${templateId}`);
+        return { template_id: templateId };
+    }
+
+    /**
+     * Áp dụng mẫu cho tuần bắt đầu từ WeekStart tại rạp của mẫu hoặc rạp khác.
+     * Ở rạp khác, phòng được ghép theo RoomMapping, nếu không có thì theo tên phòng.
+     * @param {Object} data - { WeekStart, CinemaId, RoomMapping: [{ SourceRoomId, TargetRoomId }], AllowEarlyShowtime, SkipConflicts }
+     */
+    async applyTemplate(templateId, data, userId, role) {
+        const template = await ShowtimeScheduleTemplate.findByPk(templateId);
+        if (!template) throw _createError(`Không tìm thấy mẫu lịch chiếu có ID ${templateId}`, 404);
+        if (!_isValidDate(data.WeekStart)) throw _createError('WeekStart phải có định dạng YYYY-MM-DD', 400);
+        if (data.WeekStart < format(new Date(), 'yyyy-MM-dd')) {
+            throw _createError('Không thể áp dụng mẫu cho tuần trong quá khứ', 400);
+        }
+
+        const targetCinemaId = data.CinemaId !== undefined && data.CinemaId !== null ? parseInt(data.CinemaId, 10) : template.Cinema_ID;
+        if (isNaN(targetCinemaId)) throw _createError('CinemaId không hợp lệ', 400);
+        await this._assertCanManageCinema(targetCinemaId, userId, role);
+
+        const targetRooms = await CinemaRoom.findAll({
+            where: { Cinema_ID: targetCinemaId, Status: 'Active' },
+            attributes: ['Cinema_Room_ID', 'Room_Name', 'Room_Type']
+        });
+        const roomMapping = this._buildRoomMapping(template, targetCinemaId, targetRooms, data.RoomMapping);
+
+        const entries = JSON.parse(template.Template_Data);
+        const movies = await Movie.findAll({
+            where: { Movie_ID: { [Op.in]: [...new Set(entries.map(entry => entry.Movie_ID))] } },
+            attributes: ['Movie_ID', 'Movie_Name', 'Duration', 'Release_Date', 'Premiere_Date', 'End_Date', 'Status']
+        });
+
+        const slots = [];
+        const unmapped = [];
+        entries.forEach(entry => {
+            const date = _shiftDate(data.WeekStart, (entry.Day_Of_Week - _dayOfWeek(data.WeekStart) + 7) % 7);
+            const targetRoomId = roomMapping.get(entry.Cinema_Room_ID);
+            if (!targetRoomId) {
+                unmapped.push({
+                    show_date: date,
+                    start_time: entry.Start_Time,
+                    movie_id: entry.Movie_ID,
+                    room_name: entry.Room_Name,
+                    reason: `Không có phòng tương ứng với phòng "${entry.Room_Name}" ở rạp đích`
+                });
+                return;
+            }
+            slots.push({ Movie_ID: entry.Movie_ID, Cinema_Room_ID: targetRoomId, Show_Date: date, Start_Time: entry.Start_Time });
+        });
+        slots.sort((a, b) => `${a.Show_Date} ${a.Start_Time}`.localeCompare(`${b.Show_Date} ${b.Start_Time}`));
+
+        const options = { allowEarlyShowtime: data.AllowEarlyShowtime === true, skipFailures: data.SkipConflicts === true };
+        const transaction = await sequelize.transaction();
+        try {
+            const result = await this._createShowtimes(slots, { ...options, userId, cinemaId: targetCinemaId, movies, transaction });
+            if (result.created.length === 0) {
+                throw _createError('Không tạo được suất chiếu nào từ mẫu này', 400);
+            }
+
+            await transaction.commit();
+            this.logger.info(`[ShowtimeSeries] User ${userId} áp dụng mẫu ${template.Template_ID} cho tuần ${data.WeekStart} tại rạp ${targetCinemaId}: tạo ${result.created.length} suất chiếu`);
+
+            return {
+                template_id: template.Template_ID,
+                cinema_id: targetCinemaId,
+                week_start: data.WeekStart,
+                week_end: _shiftDate(data.WeekStart, 6),
+                created_count: result.created.length,
+                showtimes: result.created.map(item => this._formatCreated(item)),
+                skipped: [...unmapped, ...result.skipped]
+            };
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    // =================== HELPER METHODS ===================
+
+    _validateDefinition(data) {
+        const movieId = parseInt(data.MovieId, 10);
+        const roomId = parseInt(data.CinemaRoomId, 10);
+        if (isNaN(movieId)) throw _createError('MovieId không hợp lệ', 400);
+        if (isNaN(roomId)) throw _createError('CinemaRoomId không hợp lệ', 400);
+
+        if (!Array.isArray(data.StartTimes) || data.StartTimes.length === 0) {
+            throw _createError('StartTimes phải là mảng giờ bắt đầu dạng ["HH:mm"]', 400);
+        }
+        const invalidTime = data.StartTimes.find(time => !TIME_PATTERN.test(time));
+        if (invalidTime !== undefined) throw _createError(`Giờ bắt đầu "${invalidTime}" không hợp lệ, cần dạng HH:mm`, 400);
+
+        if (!Array.isArray(data.Weekdays) || data.Weekdays.length === 0) {
+            throw _createError('Weekdays phải là mảng các thứ trong tuần (0 = Chủ nhật ... 6 = Thứ bảy)', 400);
+        }
+        const weekdays = data.Weekdays.map(day => parseInt(day, 10));
+        if (weekdays.some(day => isNaN(day) || day < 0 || day > 6)) {
+            throw _createError('Weekdays chỉ gồm các giá trị từ 0 (Chủ nhật) đến 6 (Thứ bảy)', 400);
+        }
+
+        if (!_isValidDate(data.StartDate) || !_isValidDate(data.EndDate)) {
+            throw _createError('StartDate và EndDate phải có định dạng YYYY-MM-DD', 400);
+        }
+        if (data.EndDate < data.StartDate) throw _createError('EndDate phải sau hoặc bằng StartDate', 400);
+        if (data.EndDate > _shiftDate(data.StartDate, MAX_SERIES_DAYS - 1)) {
+            throw _createError(`Chuỗi suất chiếu chỉ được kéo dài tối đa ${MAX_SERIES_DAYS} ngày`, 400);
+        }
+
+        return {
+            movieId,
+            roomId,
+            startTimes: [...new Set(data.StartTimes)].sort(),
+            weekdays: [...new Set(weekdays)].sort(),
+            startDate: data.StartDate,
+            endDate: data.EndDate
+        };
+    }
+
+    /**
+     * Trải định nghĩa chuỗi thành các khung giờ (ngày, giờ bắt đầu)
+     */
+    _expandSlots(definition, movieId, roomId) {
+        const slots = [];
+        for (let date = definition.startDate; date <= definition.endDate; date = _shiftDate(date, 1)) {
+            if (!definition.weekdays.includes(_dayOfWeek(date))) continue;
+            definition.startTimes.forEach(time => {
+                slots.push({ Movie_ID: movieId, Cinema_Room_ID: roomId, Show_Date: date, Start_Time: time });
+            });
+        }
+        if (slots.length > MAX_OCCURRENCES_PER_OPERATION) {
+            throw _createError(`Chuỗi sinh ra ${slots.length} suất chiếu, vượt giới hạn ${MAX_OCCURRENCES_PER_OPERATION} suất mỗi lần`, 400);
+        }
+        return slots;
+    }
+
+    /**
+     * Tạo các suất chiếu trong transaction. Ngày rạp đóng cửa và ngày phim không chiếu luôn được bỏ qua;
+     * các lỗi khác (trùng lịch, ngoài giờ hoạt động...) làm hủy cả thao tác trừ khi skipFailures.
+     * @returns {{ created: Array<{ slot, showtime }>, skipped: Array }}
+     */
+    async _createShowtimes(slots, { userId, cinemaId, movies, allowEarlyShowtime, skipFailures, transaction }) {
+        const movieMap = new Map(movies.map(movie => [movie.Movie_ID, movie]));
+        const closures = new Map();
+        const created = [];
+        const skipped = [];
+        const skip = (slot, reason) => skipped.push({
+            show_date: slot.Show_Date,
+            start_time: slot.Start_Time,
+            movie_id: slot.Movie_ID,
+            cinema_room_id: slot.Cinema_Room_ID,
+            reason
+        });
+
+        for (const slot of slots) {
+            if (!closures.has(slot.Show_Date)) {
+                closures.set(slot.Show_Date, (await holidayCalendarService.checkDate(slot.Show_Date, cinemaId)).isClosure);
+            }
+            if (closures.get(slot.Show_Date)) {
+                skip(slot, 'Rạp đóng cửa ngày này');
+                continue;
+            }
+
+            const movie = movieMap.get(slot.Movie_ID);
+            if (!movie || movie.Status === 'Inactive') {
+                skip(slot, 'Phim không tồn tại hoặc đã ngừng hoạt động');
+                continue;
+            }
+            if (!this._isMovieAvailableOn(movie, slot.Show_Date, allowEarlyShowtime)) {
+                skip(slot, `Phim "${movie.Movie_Name}" không được chiếu vào ngày này`);
+                continue;
+            }
+
+            try {
+                const showtime = await showtimeService.createShowtime({ ...slot, Start_Time: `${slot.Start_Time}:00` }, userId, transaction, allowEarlyShowtime);
+                created.push({ slot, showtime });
+            } catch (error) {
+                const reason = error.message === 'early_premiere_request'
+                    ? 'Trước ngày công chiếu, cần bật AllowEarlyShowtime'
+                    : error.message;
+                if (skipFailures) {
+                    skip(slot, reason);
+                    continue;
+                }
+                const isConflict = error.code === 'SCHEDULE_CONFLICT' || error.code === 'DUPLICATE_SHOWTIME';
+                throw _createError(
+                    `Suất chiếu ${slot.Show_Date} ${slot.Start_Time}: ${reason}. Gửi SkipConflicts = true để bỏ qua các suất không tạo được`,
+                    isConflict ? 409 : 400
+                );
+            }
+        }
+
+        return { created, skipped };
+    }
+
+    async _linkOccurrences(seriesId, createdItems, transaction) {
+        if (createdItems.length === 0) return;
+        await ShowtimeSeriesOccurrence.bulkCreate(createdItems.map(({ slot, showtime }) => ({
+            Series_ID: seriesId,
+            Showtime_ID: showtime.Showtime_ID,
+            Occurrence_Date: slot.Show_Date,
+            Original_Start_Time: slot.Start_Time,
+            Is_Detached: false,
+            Created_At: new Date()
+        })), { transaction });
+    }
+
+    /**
+     * Các suất chiếu chưa diễn ra của chuỗi: futureOccurrences là suất còn theo chuỗi và đang hoạt động,
+     * detachedOccurrences là mọi suất đã sửa / hủy riêng lẻ (kèm cờ isFuture, isActive)
+     */
+    async _loadFutureOccurrences(seriesId, transaction) {
+        const occurrences = await ShowtimeSeriesOccurrence.findAll({
+            where: { Series_ID: seriesId, Occurrence_Date: { [Op.gte]: format(new Date(), 'yyyy-MM-dd') } },
+            include: [{ model: Showtime, as: 'Showtime', attributes: ['Showtime_ID', 'Show_Date', 'Start_Time', 'End_Time', 'Status'] }],
+            transaction
+        });
+
+        const futureOccurrences = [];
+        const detachedOccurrences = [];
+        occurrences.forEach(occurrence => {
+            const showtime = occurrence.Showtime;
+            occurrence.isActive = !!showtime && !INACTIVE_SHOWTIME_STATUSES.includes(showtime.Status);
+            occurrence.isFuture = !!showtime && this._isFutureSlot(showtime.Show_Date, this._timeValue(showtime.Start_Time).substring(0, 5));
+            if (occurrence.Is_Detached) {
+                detachedOccurrences.push(occurrence);
+            } else if (occurrence.isActive && occurrence.isFuture) {
+                futureOccurrences.push(occurrence);
+            }
+        });
+        return { futureOccurrences, detachedOccurrences };
+    }
+
+    async _findShowtimesWithActiveBookings(showtimeIds, transaction = null) {
+        if (showtimeIds.length === 0) return new Set();
+        const bookings = await TicketBooking.findAll({
+            where: { Showtime_ID: { [Op.in]: showtimeIds }, Status: { [Op.in]: ACTIVE_BOOKING_STATUSES } },
+            attributes: ['Showtime_ID'],
+            group: ['Showtime_ID'],
+            raw: true,
+            transaction
+        });
+        return new Set(bookings.map(booking => booking.Showtime_ID));
+    }
+
+    async _hideOccurrences(occurrences, transaction) {
+        if (occurrences.length === 0) return;
+        await Showtime.update(
+            { Status: 'Hidden', Updated_At: sequelize.literal('GETDATE()') },
+            { where: { Showtime_ID: { [Op.in]: occurrences.map(item => item.Showtime_ID) } }, transaction }
+        );
+    }
+
+    /**
+     * Ghép phòng của mẫu với phòng ở rạp đích: cùng rạp giữ nguyên phòng, rạp khác dùng RoomMapping rồi tới tên phòng
+     */
+    _buildRoomMapping(template, targetCinemaId, targetRooms, requestedMapping) {
+        const entries = JSON.parse(template.Template_Data);
+        const targetRoomIds = new Set(targetRooms.map(room => room.Cinema_Room_ID));
+        const mapping = new Map();
+
+        if (requestedMapping !== undefined) {
+            if (!Array.isArray(requestedMapping)) {
+                throw _createError('RoomMapping phải là mảng [{ SourceRoomId, TargetRoomId }]', 400);
+            }
+            requestedMapping.forEach(item => {
+                const sourceRoomId = parseInt(item.SourceRoomId, 10);
+                const targetRoomId = parseInt(item.TargetRoomId, 10);
+                if (isNaN(sourceRoomId) || isNaN(targetRoomId)) {
+                    throw _createError('RoomMapping phải là mảng [{ SourceRoomId, TargetRoomId }]', 400);
+                }
+                if (!targetRoomIds.has(targetRoomId)) {
+                    throw _createError(`Phòng ${targetRoomId} không thuộc rạp đích hoặc không hoạt động`, 400);
+                }
+                mapping.set(sourceRoomId, targetRoomId);
+            });
+        }
+
+        entries.forEach(entry => {
+            if (mapping.has(entry.Cinema_Room_ID)) return;
+            if (template.Cinema_ID === targetCinemaId) {
+                if (targetRoomIds.has(entry.Cinema_Room_ID)) mapping.set(entry.Cinema_Room_ID, entry.Cinema_Room_ID);
+                return;
+            }
+            const sameName = targetRooms.find(room => room.Room_Name === entry.Room_Name);
+            if (sameName) mapping.set(entry.Cinema_Room_ID, sameName.Cinema_Room_ID);
+        });
+        return mapping;
+    }
+
+    async _getSchedulableMovie(movieId) {
+        const movie = await Movie.findByPk(movieId, {
+            attributes: ['Movie_ID', 'Movie_Name', 'Duration', 'Release_Date', 'Premiere_Date', 'End_Date', 'Status']
+        });
+        if (!movie) throw _createError(`Không tìm thấy phim có ID ${movieId}`, 404);
+        if (movie.Status === 'Inactive') throw _createError(`Phim "${movie.Movie_Name}" đã ngừng hoạt động`, 400);
+        return movie;
+    }
+
+    _isMovieAvailableOn(movie, date, allowEarlyShowtime = false) {
+        const firstDate = !allowEarlyShowtime && movie.Premiere_Date ? movie.Premiere_Date : movie.Release_Date;
+        if (firstDate && date < format(new Date(firstDate), 'yyyy-MM-dd')) return false;
+        if (movie.End_Date && date > format(new Date(movie.End_Date), 'yyyy-MM-dd')) return false;
+        return true;
+    }
+
+    _isFutureSlot(date, time) {
+        const now = new Date();
+        const today = format(now, 'yyyy-MM-dd');
+        if (date !== today) return date > today;
+        return time > format(now, 'HH:mm');
+    }
+
+    async _getManageableSeries(seriesId, userId, role) {
+        const series = await ShowtimeSeries.findByPk(seriesId, {
+            include: [
+                { model: Movie, as: 'Movie', attributes: ['Movie_ID', 'Movie_Name'] },
+                { model: CinemaRoom, as: 'CinemaRoom', attributes: ['Cinema_Room_ID', 'Room_Name', 'Room_Type', 'Cinema_ID'] }
+            ]
+        });
+        if (!series) throw _createError(`Không tìm thấy chuỗi suất chiếu có ID ${seriesId}`, 404);
+
+        if (role === 'Manager' && series.CinemaRoom && series.CinemaRoom.Cinema_ID !== await this._getManagerCinemaId(userId)) {
+            throw _createError('Bạn không quản lý rạp của chuỗi suất chiếu này', 403);
+        }
+        return series;
+    }
+
+    async _getOccurrence(seriesId, showtimeId) {
+        const occurrence = await ShowtimeSeriesOccurrence.findOne({ where: { Series_ID: seriesId, Showtime_ID: showtimeId } });
+        if (!occurrence) throw _createError(`Suất chiếu ${showtimeId} không thuộc chuỗi ${seriesId}`, 404);
+        if (occurrence.Occurrence_Date < format(new Date(), 'yyyy-MM-dd')) {
+            throw _createError('Không thể thay đổi suất chiếu đã diễn ra', 400);
+        }
+        return occurrence;
+    }
+
+    async _assertCanManageRoom(roomId, userId, role) {
+        const room = await CinemaRoom.findByPk(roomId, { attributes: ['Cinema_Room_ID', 'Room_Name', 'Room_Type', 'Cinema_ID', 'Status'] });
+        if (!room) throw _createError(`Không tìm thấy phòng chiếu có ID ${roomId}`, 404);
+        if (room.Status !== 'Active') throw _createError('Phòng chiếu không hoạt động', 400);
+
+        if (role === 'Manager' && room.Cinema_ID !== await this._getManagerCinemaId(userId)) {
+            throw _createError('Bạn chỉ được xếp lịch cho phòng thuộc rạp của mình', 403);
+        }
+        return room;
+    }
+
+    async _assertCanManageCinema(cinemaId, userId, role) {
+        const cinema = await Cinema.findByPk(cinemaId, { attributes: ['Cinema_ID'] });
+        if (!cinema) throw _createError(`Không tìm thấy rạp có ID ${cinemaId}`, 404);
+
+        if (role === 'Manager' && await this._getManagerCinemaId(userId) !== cinemaId) {
+            throw _createError('Bạn chỉ được quản lý lịch chiếu của rạp mình', 403);
+        }
+    }
+
+    async _getManagerCinemaId(userId) {
+        const manager = await User.findByPk(userId, { attributes: ['User_ID', 'Cinema_ID'] });
+        if (!manager || !manager.Cinema_ID) {
+            throw _createError('Tài khoản quản lý chưa được gán rạp', 403);
+        }
+        return manager.Cinema_ID;
+    }
+
+    _timeValue(value) {
+        if (value instanceof Date) {
+            return `${String(value.getUTCHours()).padStart(2, '0')}:${String(value.getUTCMinutes()).padStart(2, '0')}`;
+        }
+        return String(value);
+    }
+
+    _formatSeries(series) {
+        return {
+            series_id: series.Series_ID,
+            movie_id: series.Movie_ID,
+            movie_name: series.Movie ? series.Movie.Movie_Name : undefined,
+            cinema_room_id: series.Cinema_Room_ID,
+            room_name: series.CinemaRoom ? series.CinemaRoom.Room_Name : undefined,
+            start_times: series.Start_Times.split(','),
+            weekdays: series.Weekdays.split(',').map(Number),
+            start_date: series.Start_Date,
+            end_date: series.End_Date,
+            status: series.Status,
+            created_by: series.Created_By,
+            created_at: series.Created_At,
+            updated_at: series.Updated_At
+        };
+    }
+
+    _formatOccurrence(occurrence) {
+        const showtime = occurrence.Showtime;
+        return {
+            showtime_id: occurrence.Showtime_ID,
+            occurrence_date: occurrence.Occurrence_Date,
+            original_start_time: occurrence.Original_Start_Time,
+            is_detached: occurrence.Is_Detached,
+            show_date: showtime ? showtime.Show_Date : undefined,
+            start_time: showtime ? this._timeValue(showtime.Start_Time).substring(0, 5) : undefined,
+            end_time: showtime ? this._timeValue(showtime.End_Time).substring(0, 5) : undefined,
+            status: showtime ? showtime.Status : undefined
+        };
+    }
+
+    _formatCreated({ showtime }) {
+        return {
+            showtime_id: showtime.Showtime_ID,
+            movie_id: showtime.Movie_ID,
+            cinema_room_id: showtime.Cinema_Room_ID,
+            room_name: showtime.CinemaRoom ? showtime.CinemaRoom.Room_Name : undefined,
+            show_date: showtime.Show_Date,
+            start_time: this._timeValue(showtime.Start_Time).substring(0, 5),
+            end_time: this._timeValue(showtime.End_Time).substring(0, 5)
+        };
+    }
+
+    _formatTemplate(template, includeEntries) {
+        const entries = JSON.parse(template.Template_Data);
+        return {
+            template_id: template.Template_ID,
+            cinema_id: template.Cinema_ID,
+            cinema_name: template.Cinema ? template.Cinema.Cinema_Name : undefined,
+            name: template.Template_Name,
+            source_week_start: template.Source_Week_Start,
+            showtime_count: entries.length,
+            entries: includeEntries ? entries : undefined,
+            created_by: template.Created_By,
+            created_at: template.Created_At
+        };
+    }
+}
+
+module.exports = new ShowtimeSeriesService();
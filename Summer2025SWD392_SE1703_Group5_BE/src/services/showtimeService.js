@@ -1,12 +1,15 @@
 const ShowtimeRepository = require('../repositories/ShowtimeRepository');
-const { Showtime, Movie, CinemaRoom, Ticket, SeatLayout, TicketBooking, sequelize, Sequelize } = require('../models');
+const { Showtime, ShowtimeFormat, Movie, CinemaRoom, Cinema, User, Ticket, SeatLayout, TicketBooking, sequelize, Sequelize } = require('../models');
 const { Op } = require('sequelize');
-const { format } = require('date-fns');
+const { format, addDays } = require('date-fns');
 const logger = require('../utils/logger');
 const { sql } = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
 const SeatRepository = require('../repositories/SeatRepository');
 const SeatService = require('./seatService');
+const holidayCalendarService = require('./holidayCalendarService');
+const operatingHoursService = require('./operatingHoursService');
+const showtimeFormatService = require('./showtimeFormatService');
 
 // Cache cho formatTime để tránh tính toán lặp lại
 const formatTimeCache = new Map();
@@ -14,6 +17,24 @@ const formatTimeCache = new Map();
 // Biến để kiểm tra debug mode (có thể set từ environment variable)
 const DEBUG_FORMAT_TIME = process.env.NODE_ENV === 'development' && process.env.DEBUG_FORMAT_TIME === 'true';
 
+// Cấu hình tự động xếp lịch chiếu (autoScheduleShowtimes / commitAutoSchedule).
+// Giờ hoạt động và thời gian dọn dẹp lấy từ operatingHoursService theo rạp / ngày / loại phòng.
+const AUTO_SCHEDULE = {
+  SLOT_STEP_MINUTES: 5,            // Giờ bắt đầu được làm tròn theo bước 5 phút
+  MIN_SAME_MOVIE_GAP_MINUTES: 30,  // Hai suất cùng phim trong ngày bắt đầu cách nhau ít nhất 30 phút
+  DEFAULT_DAYS: 7,
+  MAX_DAYS: 14,
+  MAX_SHOWTIMES_PER_MOVIE: 200,
+  MAX_COMMIT_SHOWTIMES: 500,
+  DEFAULT_PRIME_TIME_SLOTS: [{ Start: '18:00', End: '22:00' }]
+};
+
+function _createError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
 const formatTime = (timeValue) => {
   // Kiểm tra nếu đầu vào rỗng
   if (!timeValue) return null;
@@ -214,7 +235,7 @@ const createShowtimeWithCorrectTime = (model, userId, transaction = null, allowE
       // Query 2: Lấy thông tin phòng chiếu (chỉ các field cần thiết)
       CinemaRoom.findOne({ 
         where: { Cinema_Room_ID: model.Cinema_Room_ID },
-        attributes: ['Cinema_Room_ID', 'Status'],
+        attributes: ['Cinema_Room_ID', 'Status', 'Cinema_ID', 'Room_Type'],
         transaction
       }),
       
@@ -273,6 +294,9 @@ const createShowtimeWithCorrectTime = (model, userId, transaction = null, allowE
     
     if (seatLayoutCount === 0) throw new Error('Phòng chiếu chưa được cấu hình ghế');
 
+    // Định dạng suất chiếu (tùy chọn) phải phù hợp với loại phòng
+    const formatValues = model.Format ? showtimeFormatService.validateFormat(model.Format, cinemaRoom.Room_Type) : null;
+
     // OPTIMIZATION 3: Kiểm tra thời gian trong quá khứ ngay sau validation cơ bản
     if (showDate < today) {
       throw new Error('Không thể tạo xuất chiếu trong quá khứ');
@@ -295,8 +319,11 @@ const createShowtimeWithCorrectTime = (model, userId, transaction = null, allowE
     }
 
     // OPTIMIZATION 5: Tính toán End_Time và kiểm tra conflict
-    const duration = movie.Duration + 15; // Thời lượng phim + 15 phút dọn dẹp
+    // Thời gian dọn dẹp theo loại phòng, suất chiếu phải nằm trong giờ hoạt động của rạp ngày đó
+    const { window, bufferMinutes } = await operatingHoursService.getScheduleConfig(cinemaRoom, model.Show_Date, transaction);
+    const duration = movie.Duration + bufferMinutes; // Thời lượng phim + thời gian dọn dẹp
     const [startHours, startMinutes, startSeconds = '00'] = startTime.split(':').map(Number);
+    operatingHoursService.assertWithinOperatingHours(window, startHours * 60 + startMinutes, startHours * 60 + startMinutes + duration);
     let endHours = startHours;
     let endMinutes = startMinutes + duration;
     let endSeconds = parseInt(startSeconds);
@@ -415,13 +442,17 @@ const createShowtimeWithCorrectTime = (model, userId, transaction = null, allowE
 
     logger.debug(`[createShowtimeWithCorrectTime] Dữ liệu sau khi lưu vào DB: Start_Time=${newShowtime.Start_Time}, End_Time=${newShowtime.End_Time}`);
 
+    if (formatValues) {
+      await showtimeFormatService.saveFormat(newShowtime.Showtime_ID, formatValues, userId, transaction);
+    }
+
     // OPTIMIZATION 9: Fetch thông tin hoàn chỉnh với query tối ưu
     const completeShowtime = await Showtime.findByPk(newShowtime.Showtime_ID, {
       include: [{ 
         model: CinemaRoom, 
         as: 'CinemaRoom',
         attributes: ['Cinema_Room_ID', 'Room_Name', 'Room_Type'] // Chỉ lấy field cần thiết
-      }],
+      }, showtimeFormatService.getInclude()],
       transaction
     });
 
@@ -577,11 +608,10 @@ class ShowtimeService {
           // Lấy thông tin phim để tính duration
           const movie = await Movie.findByPk(model.Movie_ID);
           if (movie) {
-            const totalDuration = movie.Duration + 15; // Phim + cleanup time
             const availableSlots = await this.findAvailableTimeSlots(
               model.Cinema_Room_ID, 
               model.Show_Date, 
-              totalDuration
+              movie.Duration
             );
 
             if (availableSlots.length > 0) {
@@ -724,7 +754,14 @@ class ShowtimeService {
       }
     }
 
-    const duration = movie.Duration + 15;
+    // Thời gian dọn dẹp theo loại phòng và giờ hoạt động của rạp tại phòng / ngày chiếu mới
+    const targetRoom = await CinemaRoom.findByPk(showtimeDto.Cinema_Room_ID || showtimeInstance.Cinema_Room_ID, {
+      attributes: ['Cinema_Room_ID', 'Cinema_ID', 'Room_Type']
+    });
+    const { window, bufferMinutes } = await operatingHoursService.getScheduleConfig(targetRoom, showtimeDto.Show_Date);
+    const duration = movie.Duration + bufferMinutes;
+    const startMinutesOfDay = showDateTime.getHours() * 60 + showDateTime.getMinutes();
+    operatingHoursService.assertWithinOperatingHours(window, startMinutesOfDay, startMinutesOfDay + duration);
 
     // Tính toán thời gian kết thúc một cách đáng tin cậy
     const endTimeDate = new Date(showDateTime);
@@ -767,11 +804,10 @@ class ShowtimeService {
     if (!isRoomAvailable) {
       //Gợi ý giờ trống khi update bị conflict
       try {
-        const totalDuration = movie.Duration + 15; // Phim + cleanup time
         const availableSlots = await this.findAvailableTimeSlots(
           showtimeDto.Cinema_Room_ID || showtimeInstance.Cinema_Room_ID,
           showtimeDto.Show_Date || showDateStr,
-          totalDuration
+          movie.Duration
         );
 
         if (availableSlots.length > 0) {
@@ -1135,7 +1171,8 @@ class ShowtimeService {
       order: [['Start_Time', 'ASC']],
     });
 
-    const operatingHours = { Start: '09:00:00', End: '23:00:00' };
+    const window = await operatingHoursService.getOperatingWindow(room.Cinema_ID, queryDate);
+    const operatingHours = { Start: `${window.openTime}:00`, End: `${window.closeTime}:00` };
     const freeSlots = [];
     let currentTime = operatingHours.Start;
 
@@ -1186,6 +1223,7 @@ class ShowtimeService {
         Bookings_Count: s.Tickets ? s.Tickets.filter(b => b.Status !== 'Cancelled').length : 0,
       })),
       available_slots: freeSlots,
+      operating_hours: { open: window.openTime, close: window.closeTime },
     };
   }
 
@@ -1284,6 +1322,7 @@ class ShowtimeService {
     if (!request) throw new Error('Yêu cầu không hợp lệ');
 
     const { MovieID, RoomID, Date, StartTime, EndTime, Status, Page, PageSize } = request;
+    const formatFilters = showtimeFormatService.parseFilters(request);
 
     // Xây dựng where dựa trên request
     const where = {};
@@ -1326,6 +1365,12 @@ class ShowtimeService {
     // Status filter
     if (Status) where.Status = Status;
 
+    // Lọc theo định dạng suất chiếu (kiểu chiếu, ngôn ngữ, CC / AD)
+    const formatConditions = showtimeFormatService.buildWhereConditions(formatFilters);
+    if (formatConditions.length > 0) {
+      where[Op.and] = [...(where[Op.and] || []), ...formatConditions];
+    }
+
     // Pagination
     const page = Page || 1;
     const pageSize = PageSize || 10;
@@ -1336,7 +1381,8 @@ class ShowtimeService {
       where,
       include: [
         { model: Movie, as: 'Movie' },
-        { model: CinemaRoom, as: 'CinemaRoom' }
+        { model: CinemaRoom, as: 'CinemaRoom' },
+        showtimeFormatService.getInclude()
       ],
       order: [['Show_Date', 'DESC'], ['Start_Time', 'ASC']],
       limit: pageSize,
@@ -1355,7 +1401,7 @@ class ShowtimeService {
       });
 
       // Sử dụng mapToShowtimeDto để định dạng nhất quán
-      const formattedShowtime = this.mapToShowtimeDto(showtime);
+      const formattedShowtime = await this.mapToShowtimeDto(showtime, false);
 
       result.push({
         ...formattedShowtime,
@@ -1459,98 +1505,461 @@ class ShowtimeService {
     return result;
   }
 
-  async autoScheduleShowtimes(request, userId) {
-    if (!request.Movies || !request.Movies.length) throw new Error('Dữ liệu yêu cầu không hợp lệ');
+  /**
+   * Đề xuất lịch chiếu cho cả rạp trong nhiều ngày (mặc định một tuần) từ danh sách phim và số suất mong muốn.
+   * Chỉ trả về đề xuất để Manager xem lại, chưa ghi vào DB; dùng commitAutoSchedule để tạo các suất chiếu.
+   * @param {Object} request
+   *   - CinemaId, StartDate (YYYY-MM-DD), Days (1-14, mặc định 7), RoomIds (tùy chọn, giới hạn phòng được xếp)
+   *   - Movies: [{ MovieId, ShowtimeCount, PrimeTimeShows, RoomTypes }] - ShowtimeCount là tổng số suất trong cả giai đoạn,
+   *     PrimeTimeShows là số suất muốn xếp vào giờ vàng, RoomTypes giới hạn loại phòng (IMAX, 3D...)
+   *   - PrimeTimeSlots: [{ Start: 'HH:mm', End: 'HH:mm' }] - khung giờ vàng (giờ bắt đầu suất chiếu)
+   *   - AllowEarlyShowtime: cho phép xếp suất chiếu sớm từ Release_Date thay vì Premiere_Date
+   * @param {number} userId - Người yêu cầu
+   * @param {string} role - Vai trò (Manager chỉ xếp lịch cho rạp của mình)
+   */
+  async autoScheduleShowtimes(request, userId, role) {
+    const context = await this._loadAutoScheduleContext(request || {}, userId, role);
+    const { cinema, rooms, days, demands, primeWindows, occupied, movieStarts } = context;
+
+    const isPrimeStart = (start) => primeWindows.some(window => start >= window.start && start < window.end);
+    const overlapsPrime = (start, end) => primeWindows.some(window => start < window.end && end > window.start);
+
+    // Tìm giờ bắt đầu sớm nhất trong khung [fromMinutes, toMinutes) mà phòng còn trống đủ thời lượng,
+    // suất chiếu (kể cả dọn dẹp) phải nằm trong giờ hoạt động của ngày
+    const findSlot = (roomDayKey, movieDayKey, day, blockMinutes, fromMinutes, toMinutes, avoidPrime) => {
+      const busy = occupied.get(roomDayKey) || [];
+      const sameMovieStarts = movieStarts.get(movieDayKey) || [];
+      let start = Math.max(fromMinutes, day.openMinutes, day.earliestStart);
+      start = Math.ceil(start / AUTO_SCHEDULE.SLOT_STEP_MINUTES) * AUTO_SCHEDULE.SLOT_STEP_MINUTES;
+
+      for (; start < toMinutes && start + blockMinutes <= day.closeMinutes; start += AUTO_SCHEDULE.SLOT_STEP_MINUTES) {
+        const end = start + blockMinutes;
+        if (avoidPrime && overlapsPrime(start, end)) continue;
+        if (busy.some(slot => start < slot.end && end > slot.start)) continue;
+        if (sameMovieStarts.some(other => Math.abs(other - start) < AUTO_SCHEDULE.MIN_SAME_MOVIE_GAP_MINUTES)) continue;
+        return start;
+      }
+      return null;
+    };
+
+    // Chia mỗi phim thành từng suất, rải đều theo ngày; suất giờ vàng cũng được rải đều
+    const units = [];
+    const summaries = demands.map((demand) => {
+      const summary = {
+        MovieId: demand.movie.Movie_ID,
+        MovieName: demand.movie.Movie_Name,
+        RoomTypes: demand.roomTypes,
+        Requested: demand.count,
+        Scheduled: 0,
+        PrimeTimeRequested: demand.primeCount,
+        PrimeTimeScheduled: 0,
+        Reasons: []
+      };
 
-    const cinemaRoom = await CinemaRoom.findOne({ where: { Cinema_Room_ID: request.CinemaRoomId } });
-    if (!cinemaRoom) throw new Error(`Không tìm thấy phòng chiếu có ID ${request.CinemaRoomId}`);
-    if (cinemaRoom.Status !== 'Active') throw new Error('Phòng chiếu không hoạt động');
+      const eligibleDays = days.filter(day => !day.isClosed && this._isMovieAvailableOn(demand.movie, day.date, context.allowEarlyShowtime));
+      const eligibleRooms = rooms.filter(room => demand.roomTypes.length === 0 || demand.roomTypes.includes(room.Room_Type || '2D'));
 
-    const movieIds = request.Movies.map(m => m.MovieId);
-    const movies = await Movie.findAll({ where: { Movie_ID: { [Op.in]: movieIds } } });
-    if (movies.length < movieIds.length) throw new Error('Một số phim không tồn tại');
+      if (eligibleDays.length === 0) {
+        summary.Reasons.push('Phim không được chiếu trong khoảng ngày đã chọn (ngày khởi chiếu / ngày kết thúc hoặc rạp đóng cửa)');
+        return summary;
+      }
+      if (eligibleRooms.length === 0) {
+        summary.Reasons.push(`Rạp không có phòng ${demand.roomTypes.join('/')} đang hoạt động`);
+        return summary;
+      }
 
-    for (const movieInput of request.Movies) {
-      if (movieInput.ShowtimeCount <= 0) throw new Error(`Số lượng suất chiếu của phim ${movies.find(m => m.Movie_ID === movieInput.MovieId).Movie_Name} phải lớn hơn 0`);
+      for (let i = 0; i < demand.count; i++) {
+        units.push({
+          demand,
+          summary,
+          eligibleDays,
+          eligibleRooms,
+          preferredDayIndex: Math.floor(i * eligibleDays.length / demand.count),
+          prime: Math.floor((i + 1) * demand.primeCount / demand.count) > Math.floor(i * demand.primeCount / demand.count),
+          order: units.length
+        });
+      }
+      return summary;
+    });
+
+    // Xếp suất khó trước: giờ vàng, phim ít lựa chọn phòng/ngày, phim dài
+    units.sort((a, b) =>
+      (b.prime - a.prime)
+      || (a.eligibleDays.length * a.eligibleRooms.length) - (b.eligibleDays.length * b.eligibleRooms.length)
+      || b.demand.movie.Duration - a.demand.movie.Duration
+      || a.order - b.order);
+
+    const roomLoad = new Map();
+    const proposed = [];
+
+    for (const unit of units) {
+      const movie = unit.demand.movie;
+      const dayOrder = unit.eligibleDays
+        .map((day, index) => ({ day, distance: Math.abs(index - unit.preferredDayIndex), index }))
+        .sort((a, b) => a.distance - b.distance || a.index - b.index)
+        .map(item => item.day);
+
+      // Suất giờ vàng chỉ xếp trong khung giờ vàng; suất thường ưu tiên ngoài giờ vàng, hết chỗ mới xếp vào giờ vàng
+      const passes = unit.prime
+        ? primeWindows.map(window => ({ from: window.start, to: window.end, avoidPrime: false }))
+        : [{ from: 0, to: 24 * 60, avoidPrime: true }, { from: 0, to: 24 * 60, avoidPrime: false }];
+
+      let placement = null;
+      for (const day of dayOrder) {
+        for (const pass of passes) {
+          for (const room of unit.eligibleRooms) {
+            const roomDayKey = `${room.Cinema_Room_ID}|${day.date}`;
+            const blockMinutes = movie.Duration + context.roomBuffers.get(room.Cinema_Room_ID);
+            const start = findSlot(roomDayKey, `${movie.Movie_ID}|${day.date}`, day, blockMinutes, pass.from, pass.to, pass.avoidPrime);
+            if (start === null) continue;
+
+            const load = roomLoad.get(roomDayKey) || 0;
+            if (!placement || start < placement.start || (start === placement.start && load < placement.load)) {
+              placement = { day, room, start, load, blockMinutes };
+            }
+          }
+          if (placement) break;
+        }
+        if (placement) break;
+      }
+
+      if (!placement) {
+        unit.summary.Reasons.push(unit.prime ? 'Không còn khung giờ vàng trống phù hợp' : 'Không còn khung giờ trống phù hợp');
+        continue;
+      }
+
+      const roomDayKey = `${placement.room.Cinema_Room_ID}|${placement.day.date}`;
+      const movieDayKey = `${movie.Movie_ID}|${placement.day.date}`;
+      const end = placement.start + placement.blockMinutes;
+      if (!occupied.has(roomDayKey)) occupied.set(roomDayKey, []);
+      occupied.get(roomDayKey).push({ start: placement.start, end });
+      if (!movieStarts.has(movieDayKey)) movieStarts.set(movieDayKey, []);
+      movieStarts.get(movieDayKey).push(placement.start);
+      roomLoad.set(roomDayKey, (roomLoad.get(roomDayKey) || 0) + placement.blockMinutes);
+
+      const primeTime = isPrimeStart(placement.start);
+      unit.summary.Scheduled++;
+      if (primeTime) unit.summary.PrimeTimeScheduled++;
+
+      proposed.push({
+        MovieId: movie.Movie_ID,
+        MovieName: movie.Movie_Name,
+        CinemaRoomId: placement.room.Cinema_Room_ID,
+        RoomName: placement.room.Room_Name,
+        RoomType: placement.room.Room_Type || '2D',
+        ShowDate: placement.day.date,
+        StartTime: `${this.minutesToTimeString(placement.start)}:00`,
+        EndTime: `${this.minutesToTimeString(end)}:00`,
+        IsPrimeTime: primeTime
+      });
     }
 
-    const existingShowtimes = await Showtime.findAll({
-      where: {
-        Cinema_Room_ID: request.CinemaRoomId,
-        Show_Date: request.ShowDate,
-        Status: { [Op.notIn]: ['Hidden', 'Cancelled'] },
-      },
+    const warnings = [];
+    summaries.forEach(summary => {
+      summary.Unscheduled = summary.Requested - summary.Scheduled;
+      summary.Reasons = [...new Set(summary.Reasons)];
+      if (summary.Unscheduled > 0) {
+        warnings.push(`Phim "${summary.MovieName}" chỉ xếp được ${summary.Scheduled}/${summary.Requested} suất`);
+      } else if (summary.PrimeTimeScheduled < summary.PrimeTimeRequested) {
+        warnings.push(`Phim "${summary.MovieName}" chỉ có ${summary.PrimeTimeScheduled}/${summary.PrimeTimeRequested} suất giờ vàng`);
+      }
+    });
+
+    logger.info(`[autoScheduleShowtimes] User ${userId} đề xuất ${proposed.length} suất chiếu cho rạp ${cinema.Cinema_ID} từ ${days[0].date} đến ${days[days.length - 1].date}`);
+
+    return {
+      CinemaId: cinema.Cinema_ID,
+      CinemaName: cinema.Cinema_Name,
+      StartDate: days[0].date,
+      EndDate: days[days.length - 1].date,
+      ClosedDates: days.filter(day => day.isClosed).map(day => day.date),
+      OperatingHours: days.filter(day => !day.isClosed).map(day => ({ Date: day.date, Open: day.openTime, Close: day.closeTime })),
+      PrimeTimeSlots: primeWindows.map(window => ({
+        Start: this.minutesToTimeString(window.start),
+        End: this.minutesToTimeString(window.end)
+      })),
+      Showtimes: proposed.sort((a, b) =>
+        a.ShowDate.localeCompare(b.ShowDate)
+        || a.StartTime.localeCompare(b.StartTime)
+        || a.CinemaRoomId - b.CinemaRoomId),
+      Movies: summaries,
+      Warnings: warnings
+    };
+  }
+
+  /**
+   * Tạo toàn bộ suất chiếu của một lịch đề xuất (đã được Manager xem lại / chỉnh sửa) trong một transaction.
+   * Chỉ cần một suất không hợp lệ hoặc trùng lịch thì không suất nào được tạo.
+   * @param {Object} request - { Showtimes: [{ MovieId, CinemaRoomId, ShowDate, StartTime }], AllowEarlyShowtime }
+   */
+  async commitAutoSchedule(request, userId, role) {
+    const items = Array.isArray(request?.Showtimes) ? request.Showtimes : [];
+    if (items.length === 0) {
+      throw _createError('Danh sách suất chiếu cần tạo không được để trống', 400);
+    }
+    if (items.length > AUTO_SCHEDULE.MAX_COMMIT_SHOWTIMES) {
+      throw _createError(`Chỉ được tạo tối đa ${AUTO_SCHEDULE.MAX_COMMIT_SHOWTIMES} suất chiếu mỗi lần`, 400);
+    }
+
+    const models = items.map((item, index) => {
+      const movieId = parseInt(item.MovieId, 10);
+      const roomId = parseInt(item.CinemaRoomId, 10);
+      const startTime = typeof item.StartTime === 'string' && /^\d{2}:\d{2}(:\d{2})?$/.test(item.StartTime)
+        ? (item.StartTime.length === 5 ? `${item.StartTime}:00` : item.StartTime)
+        : null;
+      if (isNaN(movieId) || isNaN(roomId) || !/^\d{4}-\d{2}-\d{2}$/.test(item.ShowDate || '') || !startTime) {
+        throw _createError(`Suất chiếu thứ ${index + 1} thiếu hoặc sai MovieId, CinemaRoomId, ShowDate (YYYY-MM-DD), StartTime (HH:mm)`, 400);
+      }
+      return { Movie_ID: movieId, Cinema_Room_ID: roomId, Show_Date: item.ShowDate, Start_Time: startTime };
     });
 
-    const allShowtimesToSchedule = request.Movies.reduce((acc, m) => {
-      const movie = movies.find(x => x.Movie_ID === m.MovieId);
-      for (let i = 0; i < m.ShowtimeCount; i++) {
-        acc.push({ MovieId: movie.Movie_ID, Duration: movie.Duration, MovieName: movie.Movie_Name });
+    const [movies, rooms] = await Promise.all([
+      Movie.findAll({
+        where: { Movie_ID: { [Op.in]: [...new Set(models.map(model => model.Movie_ID))] } },
+        attributes: ['Movie_ID', 'Movie_Name', 'Duration', 'Release_Date', 'Premiere_Date', 'End_Date', 'Status']
+      }),
+      CinemaRoom.findAll({
+        where: { Cinema_Room_ID: { [Op.in]: [...new Set(models.map(model => model.Cinema_Room_ID))] } },
+        attributes: ['Cinema_Room_ID', 'Room_Name', 'Cinema_ID']
+      })
+    ]);
+    const movieMap = new Map(movies.map(movie => [movie.Movie_ID, movie]));
+    const roomMap = new Map(rooms.map(room => [room.Cinema_Room_ID, room]));
+
+    const managerCinemaId = role === 'Manager' ? await this._getManagerCinemaId(userId) : null;
+    const allowEarlyShowtime = request.AllowEarlyShowtime === true;
+
+    models.forEach((model, index) => {
+      const movie = movieMap.get(model.Movie_ID);
+      const room = roomMap.get(model.Cinema_Room_ID);
+      if (!movie) throw _createError(`Suất chiếu thứ ${index + 1}: không tìm thấy phim có ID ${model.Movie_ID}`, 404);
+      if (!room) throw _createError(`Suất chiếu thứ ${index + 1}: không tìm thấy phòng chiếu có ID ${model.Cinema_Room_ID}`, 404);
+      if (managerCinemaId !== null && room.Cinema_ID !== managerCinemaId) {
+        throw _createError(`Suất chiếu thứ ${index + 1}: bạn không quản lý rạp chứa phòng ${room.Room_Name}`, 403);
       }
-      return acc;
-    }, []).sort(() => Math.random() - 0.5);
-
-    const defaultOpenTime = '09:00:00';
-    const closeTime = '23:59:59';
-    const cleanupTime = 15 * 60000;
-    let openTime = defaultOpenTime;
-    if (new Date(request.ShowDate).toISOString().split('T')[0] === new Date().toISOString().split('T')[0]) {
-      // Fix timezone issue: Sử dụng UTC methods thay vì toTimeString
-      const currentTime = new Date();
-      const now = `${currentTime.getUTCHours().toString().padStart(2, '0')}:${currentTime.getUTCMinutes().toString().padStart(2, '0')}:${currentTime.getUTCSeconds().toString().padStart(2, '0')}`;
-      if (now > defaultOpenTime) openTime = now;
-    }
-
-    const occupiedTimeSlots = existingShowtimes.map(s => ({ Start: s.Start_Time, End: s.End_Time }));
-    const generatedShowtimes = [];
-    let currentTime = openTime;
-
-    for (const showtime of allShowtimesToSchedule) {
-      let foundSlot = false;
-      const movieDuration = showtime.Duration * 60000;
-      const requiredSlotDuration = movieDuration + cleanupTime;
-      let slotStart = new Date(`1970-01-01T${currentTime}`);
-
-      while (slotStart.getTime() + movieDuration <= new Date(`1970-01-01T${closeTime}`).getTime() && !foundSlot) {
-        const slotEnd = new Date(slotStart.getTime() + movieDuration);
-        const isConflict = occupiedTimeSlots.some(slot =>
-          (slotStart >= new Date(`1970-01-01T${slot.Start}`) && slotStart < new Date(`1970-01-01T${slot.End}`)) ||
-          (slotEnd > new Date(`1970-01-01T${slot.Start}`) && slotEnd <= new Date(`1970-01-01T${slot.End}`)) ||
-          (slotStart <= new Date(`1970-01-01T${slot.Start}`) && slotEnd >= new Date(`1970-01-01T${slot.End}`))
-        );
+      if (!this._isMovieAvailableOn(movie, model.Show_Date, allowEarlyShowtime)) {
+        throw _createError(`Suất chiếu thứ ${index + 1}: phim "${movie.Movie_Name}" không được chiếu vào ngày ${model.Show_Date}`, 400);
+      }
+    });
 
-        if (!isConflict) {
-          foundSlot = true;
-          // Fix timezone issue: Sử dụng UTC methods thay vì toTimeString
-          const startTimeFormatted = `${slotStart.getUTCHours().toString().padStart(2, '0')}:${slotStart.getUTCMinutes().toString().padStart(2, '0')}:${slotStart.getUTCSeconds().toString().padStart(2, '0')}`;
-          const endTimeFormatted = `${slotEnd.getUTCHours().toString().padStart(2, '0')}:${slotEnd.getUTCMinutes().toString().padStart(2, '0')}:${slotEnd.getUTCSeconds().toString().padStart(2, '0')}`;
-          const nextTimeObj = new Date(slotEnd.getTime() + cleanupTime);
-          const nextTimeFormatted = `${nextTimeObj.getUTCHours().toString().padStart(2, '0')}:${nextTimeObj.getUTCMinutes().toString().padStart(2, '0')}:${nextTimeObj.getUTCSeconds().toString().padStart(2, '0')}`;
-          
-          generatedShowtimes.push({
-            MovieId: showtime.MovieId,
-            MovieName: showtime.MovieName,
-            StartDateTime: new Date(`${request.ShowDate}T${startTimeFormatted}`),
-            EndDateTime: new Date(`${request.ShowDate}T${endTimeFormatted}`),
-            StartTime: startTimeFormatted,
-            EndTime: endTimeFormatted,
-          });
-          occupiedTimeSlots.push({ Start: startTimeFormatted, End: endTimeFormatted });
-          currentTime = nextTimeFormatted;
-        } else {
-          const nextSlot = occupiedTimeSlots.find(slot => new Date(`1970-01-01T${slot.Start}`) > slotStart);
-          slotStart = nextSlot ? new Date(`1970-01-01T${nextSlot.End}`).getTime() + cleanupTime : new Date(slotStart.getTime() + 15 * 60000);
+    const transaction = await sequelize.transaction();
+    try {
+      const created = [];
+      for (let index = 0; index < models.length; index++) {
+        const model = models[index];
+        try {
+          const showtime = await createShowtimeWithCorrectTime(model, userId, transaction, allowEarlyShowtime)();
+          created.push(showtime);
+        } catch (error) {
+          const movie = movieMap.get(model.Movie_ID);
+          const room = roomMap.get(model.Cinema_Room_ID);
+          const label = `Suất chiếu thứ ${index + 1} ("${movie.Movie_Name}" - ${room.Room_Name} - ${model.Show_Date} ${model.Start_Time.substring(0, 5)})`;
+          if (error.message === 'early_premiere_request') {
+            throw _createError(`${label}: trước ngày công chiếu, cần bật AllowEarlyShowtime`, 400);
+          }
+          const isConflict = error.code === 'SCHEDULE_CONFLICT' || error.code === 'DUPLICATE_SHOWTIME';
+          throw _createError(`${label}: ${error.message}`, isConflict ? 409 : 400);
         }
       }
+
+      await transaction.commit();
+      logger.info(`[commitAutoSchedule] User ${userId} đã tạo ${created.length} suất chiếu từ lịch đề xuất`);
+
+      return {
+        Created: created.length,
+        Showtimes: created.map(showtime => ({
+          Showtime_ID: showtime.Showtime_ID,
+          Movie_ID: showtime.Movie_ID,
+          Cinema_Room_ID: showtime.Cinema_Room_ID,
+          Room_Name: showtime.CinemaRoom?.Room_Name,
+          Show_Date: showtime.Show_Date,
+          Start_Time: formatTime(showtime.Start_Time),
+          End_Time: formatTime(showtime.End_Time)
+        }))
+      };
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Kiểm tra và nạp dữ liệu cho việc xếp lịch: rạp, phòng, phim, ngày đóng cửa, suất chiếu hiện có
+   */
+  async _loadAutoScheduleContext(request, userId, role) {
+    const cinemaId = parseInt(request.CinemaId, 10);
+    if (isNaN(cinemaId)) throw _createError('CinemaId không hợp lệ', 400);
+
+    if (!Array.isArray(request.Movies) || request.Movies.length === 0) {
+      throw _createError('Danh sách phim cần xếp lịch không được để trống', 400);
     }
 
+    const todayStr = format(new Date(), 'yyyy-MM-dd');
+    const startDateStr = request.StartDate || todayStr;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(startDateStr) || isNaN(new Date(`${startDateStr}T00:00:00`).getTime())) {
+      throw _createError('StartDate phải có định dạng YYYY-MM-DD', 400);
+    }
+    if (startDateStr < todayStr) throw _createError('Không thể xếp lịch chiếu cho ngày trong quá khứ', 400);
+
+    const dayCount = request.Days === undefined ? AUTO_SCHEDULE.DEFAULT_DAYS : parseInt(request.Days, 10);
+    if (isNaN(dayCount) || dayCount < 1 || dayCount > AUTO_SCHEDULE.MAX_DAYS) {
+      throw _createError(`Days phải từ 1 đến ${AUTO_SCHEDULE.MAX_DAYS}`, 400);
+    }
+
+    const primeWindows = (request.PrimeTimeSlots || AUTO_SCHEDULE.DEFAULT_PRIME_TIME_SLOTS).map(slot => {
+      const valid = slot && /^\d{2}:\d{2}$/.test(slot.Start) && /^\d{2}:\d{2}$/.test(slot.End);
+      const window = valid ? { start: getMinutesFromTimeString(slot.Start), end: getMinutesFromTimeString(slot.End) } : null;
+      if (!window || window.start >= window.end) {
+        throw _createError('PrimeTimeSlots phải có dạng [{ Start: "HH:mm", End: "HH:mm" }] với Start trước End', 400);
+      }
+      return window;
+    });
+
+    const demands = request.Movies.map((item, index) => {
+      const movieId = parseInt(item.MovieId, 10);
+      const count = parseInt(item.ShowtimeCount, 10);
+      const primeCount = item.PrimeTimeShows === undefined ? 0 : parseInt(item.PrimeTimeShows, 10);
+      if (isNaN(movieId)) throw _createError(`Phim thứ ${index + 1}: MovieId không hợp lệ`, 400);
+      if (isNaN(count) || count < 1 || count > AUTO_SCHEDULE.MAX_SHOWTIMES_PER_MOVIE) {
+        throw _createError(`Phim thứ ${index + 1}: ShowtimeCount phải từ 1 đến ${AUTO_SCHEDULE.MAX_SHOWTIMES_PER_MOVIE}`, 400);
+      }
+      if (isNaN(primeCount) || primeCount < 0 || primeCount > count) {
+        throw _createError(`Phim thứ ${index + 1}: PrimeTimeShows phải từ 0 đến ShowtimeCount`, 400);
+      }
+      if (item.RoomTypes !== undefined && !Array.isArray(item.RoomTypes)) {
+        throw _createError(`Phim thứ ${index + 1}: RoomTypes phải là mảng, ví dụ ["IMAX"]`, 400);
+      }
+      return { movieId, count, primeCount, roomTypes: item.RoomTypes || [] };
+    });
+    if (new Set(demands.map(demand => demand.movieId)).size !== demands.length) {
+      throw _createError('Mỗi phim chỉ được khai báo một lần', 400);
+    }
+
+    const cinema = await Cinema.findByPk(cinemaId, { attributes: ['Cinema_ID', 'Cinema_Name'] });
+    if (!cinema) throw _createError(`Không tìm thấy rạp có ID ${cinemaId}`, 404);
+    if (role === 'Manager' && await this._getManagerCinemaId(userId) !== cinemaId) {
+      throw _createError('Bạn không quản lý rạp này', 403);
+    }
+
+    let rooms = await CinemaRoom.findAll({
+      where: { Cinema_ID: cinemaId, Status: 'Active' },
+      attributes: ['Cinema_Room_ID', 'Room_Name', 'Room_Type'],
+      order: [['Cinema_Room_ID', 'ASC']]
+    });
+    if (Array.isArray(request.RoomIds) && request.RoomIds.length > 0) {
+      const roomIds = request.RoomIds.map(id => parseInt(id, 10));
+      const unknown = roomIds.filter(id => !rooms.some(room => room.Cinema_Room_ID === id));
+      if (unknown.length > 0) {
+        throw _createError(`Phòng ${unknown.join(', ')} không thuộc rạp hoặc không hoạt động`, 400);
+      }
+      rooms = rooms.filter(room => roomIds.includes(room.Cinema_Room_ID));
+    }
+
+    // Phòng chưa cấu hình ghế không thể bán vé
+    const seatCounts = await SeatLayout.findAll({
+      where: { Cinema_Room_ID: { [Op.in]: rooms.map(room => room.Cinema_Room_ID) }, Is_Active: true },
+      attributes: ['Cinema_Room_ID', [sequelize.fn('COUNT', sequelize.col('Layout_ID')), 'count']],
+      group: ['Cinema_Room_ID'],
+      raw: true
+    });
+    rooms = rooms.filter(room => seatCounts.some(item => item.Cinema_Room_ID === room.Cinema_Room_ID && parseInt(item.count, 10) > 0));
+    if (rooms.length === 0) throw _createError('Rạp không có phòng chiếu nào đang hoạt động và đã cấu hình ghế', 400);
+
+    const movies = await Movie.findAll({
+      where: { Movie_ID: { [Op.in]: demands.map(demand => demand.movieId) } },
+      attributes: ['Movie_ID', 'Movie_Name', 'Duration', 'Release_Date', 'Premiere_Date', 'End_Date', 'Status']
+    });
+    demands.forEach(demand => {
+      demand.movie = movies.find(movie => movie.Movie_ID === demand.movieId);
+      if (!demand.movie) throw _createError(`Không tìm thấy phim có ID ${demand.movieId}`, 404);
+      if (demand.movie.Status === 'Inactive') throw _createError(`Phim "${demand.movie.Movie_Name}" đã ngừng hoạt động`, 400);
+      if (!demand.movie.Duration || demand.movie.Duration <= 0) {
+        throw _createError(`Phim "${demand.movie.Movie_Name}" chưa có thời lượng`, 400);
+      }
+    });
+
+    // Các ngày cần xếp lịch; ngày hôm nay chỉ xếp từ giờ hiện tại
+    const now = new Date();
+    const days = [];
+    for (let i = 0; i < dayCount; i++) {
+      const date = format(addDays(new Date(`${startDateStr}T00:00:00`), i), 'yyyy-MM-dd');
+      const [closure, window] = await Promise.all([
+        holidayCalendarService.checkDate(date, cinemaId),
+        operatingHoursService.getOperatingWindow(cinemaId, date)
+      ]);
+      days.push({
+        date,
+        isClosed: closure.isClosure,
+        openTime: window.openTime,
+        closeTime: window.closeTime,
+        openMinutes: window.openMinutes,
+        closeMinutes: window.closeMinutes,
+        earliestStart: date === todayStr ? now.getHours() * 60 + now.getMinutes() + 1 : 0
+      });
+    }
+
+    // Thời gian dọn dẹp theo loại phòng
+    const roomBuffers = new Map();
+    for (const room of rooms) {
+      roomBuffers.set(room.Cinema_Room_ID, await operatingHoursService.getTurnaroundMinutes(room.Room_Type, cinemaId));
+    }
+
+    // Suất chiếu hiện có (End_Time đã bao gồm thời gian dọn dẹp)
+    const existingShowtimes = await Showtime.findAll({
+      where: {
+        Cinema_Room_ID: { [Op.in]: rooms.map(room => room.Cinema_Room_ID) },
+        Show_Date: { [Op.between]: [days[0].date, days[days.length - 1].date] },
+        Status: { [Op.notIn]: ['Hidden', 'Cancelled'] }
+      },
+      attributes: ['Showtime_ID', 'Movie_ID', 'Cinema_Room_ID', 'Show_Date', 'Start_Time', 'End_Time'],
+      raw: true
+    });
+
+    const occupied = new Map();
+    const movieStarts = new Map();
+    existingShowtimes.forEach(showtime => {
+      const start = getMinutesFromTimeString(formatTime(showtime.Start_Time));
+      let end = getMinutesFromTimeString(formatTime(showtime.End_Time));
+      if (end <= start) end = 24 * 60; // Suất chiếu kéo dài qua nửa đêm
+
+      const roomDayKey = `${showtime.Cinema_Room_ID}|${showtime.Show_Date}`;
+      if (!occupied.has(roomDayKey)) occupied.set(roomDayKey, []);
+      occupied.get(roomDayKey).push({ start, end });
+
+      const movieDayKey = `${showtime.Movie_ID}|${showtime.Show_Date}`;
+      if (!movieStarts.has(movieDayKey)) movieStarts.set(movieDayKey, []);
+      movieStarts.get(movieDayKey).push(start);
+    });
+
     return {
-      Date: request.ShowDate,
-      RoomName: cinemaRoom.Room_Name,
-      Showtimes: generatedShowtimes.sort((a, b) => a.StartTime.localeCompare(b.StartTime)),
+      cinema,
+      rooms,
+      days,
+      demands,
+      primeWindows,
+      occupied,
+      movieStarts,
+      roomBuffers,
+      allowEarlyShowtime: request.AllowEarlyShowtime === true
     };
   }
 
+  /**
+   * Phim có được chiếu vào ngày này không: từ ngày công chiếu (hoặc ngày phát hành nếu cho phép chiếu sớm) tới End_Date
+   */
+  _isMovieAvailableOn(movie, date, allowEarlyShowtime = false) {
+    const firstDate = !allowEarlyShowtime && movie.Premiere_Date ? movie.Premiere_Date : movie.Release_Date;
+    if (firstDate && date < format(new Date(firstDate), 'yyyy-MM-dd')) return false;
+    if (movie.End_Date && date > format(new Date(movie.End_Date), 'yyyy-MM-dd')) return false;
+    return true;
+  }
+
+  async _getManagerCinemaId(userId) {
+    const manager = await User.findByPk(userId, { attributes: ['User_ID', 'Cinema_ID'] });
+    if (!manager || !manager.Cinema_ID) throw _createError('Bạn không quản lý rạp nào', 403);
+    return manager.Cinema_ID;
+  }
+
   async hideAllShowtimesForDate(roomId, date, userId) {
     // Validate roomId
     if (!roomId || isNaN(parseInt(roomId)) || parseInt(roomId) <= 0) {
@@ -1658,8 +2067,13 @@ class ShowtimeService {
       }
     }
 
-    const closingTime = '23:59:59';
-    if (endTime > closingTime) return false;
+    // Suất chiếu (End_Time đã gồm thời gian dọn dẹp) phải nằm trong giờ hoạt động của rạp ngày đó
+    const room = await CinemaRoom.findByPk(cinemaRoomId, { attributes: ['Cinema_Room_ID', 'Cinema_ID'] });
+    const window = await operatingHoursService.getOperatingWindow(room?.Cinema_ID, date);
+    if (!operatingHoursService.isWithinOperatingHours(window, startHours * 60 + startMinutes, getMinutesFromTimeString(endTime))) {
+      logger.debug(`[isShowtimeAvailable] ${startTime}-${endTime} nằm ngoài giờ hoạt động ${window.openTime} - ${window.closeTime}`);
+      return false;
+    }
 
     const showtimes = await Showtime.findAll({
       where: {
@@ -1670,9 +2084,6 @@ class ShowtimeService {
       },
     });
 
-    // So sánh thời gian bằng cách phân tích chuỗi thời gian trực tiếp
-    const gap = 15; // 15 phút = 15 * 60000 ms
-
     // Chuyển đổi thời gian thành phút để dễ so sánh
     const startTimeMinutes = startHours * 60 + startMinutes;
     const endTimeMinutes = getMinutesFromTimeString(endTime);
@@ -1681,22 +2092,12 @@ class ShowtimeService {
       const existingStartMinutes = getMinutesFromTimeString(showtime.Start_Time);
       const existingEndMinutes = getMinutesFromTimeString(showtime.End_Time);
 
-      // Kiểm tra xem có trùng lịch không
+      // Kiểm tra xem có trùng lịch không. End_Time của mỗi suất đã gồm thời gian dọn dẹp theo loại phòng
+      // nên không cần thêm khoảng cách cố định giữa các suất
       if (startTimeMinutes < existingEndMinutes && existingStartMinutes < endTimeMinutes) {
         logger.debug(`[isShowtimeAvailable] Trùng lịch: ${startTime}-${endTime} vs ${showtime.Start_Time}-${showtime.End_Time}`);
         return false;
       }
-
-      // Kiểm tra khoảng cách giữa các suất chiếu
-      if (startTimeMinutes >= existingEndMinutes && (startTimeMinutes - existingEndMinutes) < gap) {
-        logger.debug(`[isShowtimeAvailable] Khoảng cách quá gần sau: ${startTime} sau ${showtime.End_Time}`);
-        return false;
-      }
-
-      if (endTimeMinutes <= existingStartMinutes && (existingStartMinutes - endTimeMinutes) < gap) {
-        logger.debug(`[isShowtimeAvailable] Khoảng cách quá gần trước: ${endTime} trước ${showtime.Start_Time}`);
-        return false;
-      }
     }
     return true;
   }
@@ -1743,6 +2144,13 @@ class ShowtimeService {
         Room_Name: showtime.CinemaRoom.Room_Name,
         Room_Type: showtime.CinemaRoom.Room_Type,
       } : null,
+      // Nạp định dạng nếu truy vấn gốc chưa include Format (hasOne trả null khi suất chưa khai báo)
+      Format: showtimeFormatService.toDto(
+        showtime.Format !== undefined
+          ? showtime.Format
+          : await ShowtimeFormat.findOne({ where: { Showtime_ID: showtime.Showtime_ID } }),
+        showtime.CinemaRoom?.Room_Type
+      ),
       Cinema: showtime.CinemaRoom?.Cinema ? {
         Cinema_ID: showtime.CinemaRoom.Cinema.Cinema_ID,
         Cinema_Name: showtime.CinemaRoom.Cinema.Cinema_Name,
@@ -1852,13 +2260,14 @@ class ShowtimeService {
         });
       }
 
-      // Tính các khoảng thời gian trống cho mỗi ngày
-      const operatingHours = { Start: '09:00:00', End: '23:00:00' };
+      // Tính các khoảng thời gian trống cho mỗi ngày theo giờ hoạt động của rạp
       const resultDates = [];
 
       // Xử lý từng ngày
       for (const date in showtimesByDate) {
         const dailyShowtimes = showtimesByDate[date];
+        const window = await operatingHoursService.getOperatingWindow(room.Cinema_ID, date);
+        const operatingHours = { Start: `${window.openTime}:00`, End: `${window.closeTime}:00` };
 
         // Tính các khoảng trống
         const freeSlots = [];
@@ -1893,7 +2302,8 @@ class ShowtimeService {
           date: date,
           showtimes_count: dailyShowtimes.length,
           showtimes: dailyShowtimes,
-          available_slots: freeSlots
+          available_slots: freeSlots,
+          operating_hours: { open: window.openTime, close: window.closeTime }
         });
       }
 
@@ -1913,14 +2323,20 @@ class ShowtimeService {
   }
 
   /**
-   * Tìm giờ trống khả dụng cho xuất chiếu mới
+   * Tìm giờ trống khả dụng cho xuất chiếu mới trong giờ hoạt động của rạp
    * @param {number} cinemaRoomId - ID phòng chiếu
    * @param {string} date - Ngày chiếu (YYYY-MM-DD)
-   * @param {number} durationMinutes - Thời lượng phim + cleanup (phút)
-   * @returns {Promise<Array>} - Danh sách khung giờ trống
+   * @param {number} movieDurationMinutes - Thời lượng phim (phút), thời gian dọn dẹp lấy theo loại phòng
+   * @returns {Promise<Array>} - Danh sách khung giờ trống (end_time đã gồm thời gian dọn dẹp như End_Time của suất chiếu)
    */
-  async findAvailableTimeSlots(cinemaRoomId, date, durationMinutes) {
+  async findAvailableTimeSlots(cinemaRoomId, date, movieDurationMinutes) {
     try {
+      const room = await CinemaRoom.findByPk(cinemaRoomId, { attributes: ['Cinema_Room_ID', 'Cinema_ID', 'Room_Type'] });
+      if (!room) return [];
+
+      const { window, bufferMinutes } = await operatingHoursService.getScheduleConfig(room, date);
+      const durationMinutes = movieDurationMinutes + bufferMinutes;
+
       // Lấy tất cả suất chiếu hiện có trong ngày
       const existingShowtimes = await Showtime.findAll({
         where: {
@@ -1932,90 +2348,32 @@ class ShowtimeService {
         raw: true
       });
 
-      const operatingHours = {
-        start: '09:00:00',
-        end: '23:00:00'
-      };
-
-      // Chuyển đổi thời gian thành phút để dễ tính toán
-      const startMinutes = getMinutesFromTimeString(operatingHours.start);
-      const endMinutes = getMinutesFromTimeString(operatingHours.end);
-      const bufferTime = 15; // 15 phút buffer giữa các suất chiếu
-
-      // Tạo danh sách các khoảng thời gian đã bị chiếm
+      // Tạo danh sách các khoảng thời gian đã bị chiếm (End_Time đã gồm thời gian dọn dẹp)
       const occupiedSlots = existingShowtimes.map(showtime => ({
-        start: getMinutesFromTimeString(String(showtime.Start_Time)),
-        end: getMinutesFromTimeString(String(showtime.End_Time))
+        start: getMinutesFromTimeString(formatTime(showtime.Start_Time)),
+        end: getMinutesFromTimeString(formatTime(showtime.End_Time))
       })).sort((a, b) => a.start - b.start);
 
-      // Tìm các khoảng trống
       const availableSlots = [];
-      let currentTime = startMinutes;
-
-      // Kiểm tra khoảng trống trước suất chiếu đầu tiên
-      if (occupiedSlots.length === 0) {
-        // Nếu không có suất chiếu nào, toàn bộ ngày đều trống
-        const maxSlots = Math.floor((endMinutes - startMinutes) / (durationMinutes + bufferTime));
-        for (let i = 0; i < maxSlots; i++) {
-          const slotStart = startMinutes + i * (durationMinutes + bufferTime);
-          const slotEnd = slotStart + durationMinutes;
-          
-          if (slotEnd <= endMinutes) {
-            availableSlots.push({
-              start_time: this.minutesToTimeString(slotStart),
-              end_time: this.minutesToTimeString(slotEnd),
-              duration: durationMinutes
-            });
-          }
-        }
-      } else {
-        // Kiểm tra khoảng trống giữa các suất chiếu
-        for (const slot of occupiedSlots) {
-          // Khoảng trống trước suất chiếu hiện tại
-          const availableTime = slot.start - currentTime;
-          
-          if (availableTime >= durationMinutes + bufferTime) {
-            // Có thể fit nhiều suất chiếu trong khoảng trống này
-            const possibleSlots = Math.floor(availableTime / (durationMinutes + bufferTime));
-            
-            for (let i = 0; i < possibleSlots; i++) {
-              const slotStart = currentTime + i * (durationMinutes + bufferTime);
-              const slotEnd = slotStart + durationMinutes;
-              
-              if (slotEnd + bufferTime <= slot.start) {
-                availableSlots.push({
-                  start_time: this.minutesToTimeString(slotStart),
-                  end_time: this.minutesToTimeString(slotEnd),
-                  duration: durationMinutes
-                });
-              }
-            }
-          }
-          
-          currentTime = Math.max(currentTime, slot.end + bufferTime);
+      const fillGap = (from, to) => {
+        for (let slotStart = from; slotStart + durationMinutes <= to; slotStart += durationMinutes) {
+          availableSlots.push({
+            start_time: this.minutesToTimeString(slotStart),
+            end_time: this.minutesToTimeString(slotStart + durationMinutes),
+            duration: durationMinutes
+          });
         }
+      };
 
-        // Kiểm tra khoảng trống sau suất chiếu cuối cùng
-        const remainingTime = endMinutes - currentTime;
-        if (remainingTime >= durationMinutes) {
-          const possibleSlots = Math.floor(remainingTime / (durationMinutes + bufferTime));
-          
-          for (let i = 0; i < possibleSlots; i++) {
-            const slotStart = currentTime + i * (durationMinutes + bufferTime);
-            const slotEnd = slotStart + durationMinutes;
-            
-            if (slotEnd <= endMinutes) {
-              availableSlots.push({
-                start_time: this.minutesToTimeString(slotStart),
-                end_time: this.minutesToTimeString(slotEnd),
-                duration: durationMinutes
-              });
-            }
-          }
-        }
+      // Lấp các khoảng trống trước, giữa và sau các suất chiếu trong giờ hoạt động
+      let currentTime = window.openMinutes;
+      for (const slot of occupiedSlots) {
+        fillGap(currentTime, Math.min(slot.start, window.closeMinutes));
+        currentTime = Math.max(currentTime, slot.end);
       }
+      fillGap(currentTime, window.closeMinutes);
 
-      logger.info(`[findAvailableTimeSlots] Tìm thấy ${availableSlots.length} khung giờ trống cho phòng ${cinemaRoomId} ngày ${date}`);
+      logger.info(`[findAvailableTimeSlots] Tìm thấy ${availableSlots.length} khung giờ trống cho phòng ${cinemaRoomId} ngày ${date} (giờ hoạt động ${window.openTime} - ${window.closeTime}, dọn dẹp ${bufferMinutes} phút)`);
       return availableSlots;
 
     } catch (error) {
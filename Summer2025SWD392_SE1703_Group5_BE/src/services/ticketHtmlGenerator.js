@@ -588,6 +588,19 @@ class TicketHtmlGenerator {
                 </div>
             </div>
             
+            ${bookingData.concessions && bookingData.concessions.length > 0 ? `
+            <div class='booking-info'>
+                <h3>🍿 BẮP NƯỚC</h3>
+                ${bookingData.concessions.map(item => `
+                <div class='info-row'>
+                    <span class='info-label'>${item.name} x${item.quantity}</span>
+                    <span class='info-value'>${item.totalPrice.toLocaleString('vi-VN')} VND</span>
+                </div>
+                `).join('')}
+                <p style="margin: 8px 0 0; font-size: 13px; color: #666;">Vui lòng xuất trình mã đặt vé tại quầy để nhận bắp nước.</p>
+            </div>
+            ` : ''}
+            
             <div class="price-breakdown">
                 <h3>💰 CHI TIẾT THANH TOÁN</h3>
                 <div class="price-row">
@@ -598,6 +611,12 @@ class TicketHtmlGenerator {
                     <span>Tổng giá vé:</span>
                     <span>${bookingData.subtotal || '-'}</span>
                 </div>
+                ${bookingData.concessions && bookingData.concessions.length > 0 ? `
+                <div class="price-row">
+                    <span>Tiền bắp nước:</span>
+                    <span>${bookingData.concessionTotal}</span>
+                </div>
+                ` : ''}
                 ${bookingData.discount > 0 ? `
                 <div class="price-row discount">
                     <span>Giảm giá (điểm):</span>
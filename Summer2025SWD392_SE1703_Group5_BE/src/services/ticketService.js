@@ -7,6 +7,7 @@ const EmailService = require('./emailService');
 const PdfGenerator = require('./pdfGeneratorService');
 const QRCodeGenerator = require('./qrCodeGenerator');
 const TicketHtmlGenerator = require('./ticketHtmlGenerator');
+const showtimeFormatService = require('./showtimeFormatService');
 const logger = require('../utils/logger');
 const { Op } = require('sequelize');
 // Error classes cho TicketService
@@ -58,6 +59,24 @@ class UnauthorizedError extends Error {
     }
 }
 
+/**
+ * Vị trí ghế in trên vé. Seat_Number ghi đủ các cột của ghế chiếm nhiều cột ("H5-6"),
+ * thiếu Seat_Number thì dựng lại từ hàng + cột của layout
+ */
+function _seatLabel(seat) {
+    if (!seat) return '';
+    if (seat.Seat_Number) return seat.Seat_Number;
+    return seat.SeatLayout ? `${seat.SeatLayout.Row_Label}${seat.SeatLayout.Column_Number}` : '';
+}
+
+/**
+ * Định dạng suất chiếu in trên vé / email ("IMAX Phụ đề · CC"); suất chưa khai báo định dạng lấy theo loại phòng
+ */
+function _showtimeFormat(showtime) {
+    if (!showtime) return null;
+    return showtimeFormatService.toDto(showtime.Format, showtime.CinemaRoom?.Room_Type);
+}
+
 class TicketService {
     constructor() {
         // Service initialization
@@ -95,6 +114,7 @@ class TicketService {
             
             // Tải pricingService để tính toán lại giá đúng
             const pricingService = require('./pricingService');
+            await pricingService.ensureRulesLoaded();
             
             // Fetch all tickets for this booking with detailed information
         const tickets = await Ticket.findAll({
@@ -115,6 +135,7 @@ class TicketService {
                             as: 'Showtime',
                             include: [
                                 { model: Movie, as: 'Movie' },
+                                showtimeFormatService.getInclude(),
                                 {
                                     model: CinemaRoom,
                                     as: 'CinemaRoom',
@@ -190,7 +211,9 @@ class TicketService {
                         roomType,
                         seatType,
                         showDate,
-                        startTime: formattedStartTime
+                        startTime: formattedStartTime,
+                        cinemaId: ticket.TicketBooking?.Showtime?.CinemaRoom?.Cinema_ID,
+                        format: _showtimeFormat(ticket.TicketBooking?.Showtime)
                     });
                     
                     logger.info(`Tính lại giá vé: ${showDate}, ${formattedStartTime}, ${roomType}, ${seatType} = ${correctPrice.finalPrice} VND`);
@@ -201,6 +224,7 @@ class TicketService {
                             base: correctPrice.basePrice,
                             dayMultiplier: correctPrice.multipliers.day,
                             timeMultiplier: correctPrice.multipliers.time,
+                            formatMultiplier: correctPrice.multipliers.format,
                             dayType: correctPrice.details.dayType,
                             timeSlot: correctPrice.details.timeSlot
                         }
@@ -230,7 +254,7 @@ class TicketService {
                         Row_Label: ticket.Seat.SeatLayout?.Row_Label,
                         Column_Number: ticket.Seat.SeatLayout?.Column_Number,
                         Seat_Type: ticket.Seat.SeatLayout?.Seat_Type,
-                        SeatLabel: `${ticket.Seat.SeatLayout?.Row_Label}${ticket.Seat.SeatLayout?.Column_Number}`
+                        SeatLabel: _seatLabel(ticket.Seat)
             } : null,
                     MovieInfo: ticket.TicketBooking?.Showtime?.Movie ? {
                         Movie_ID: ticket.TicketBooking.Showtime.Movie.Movie_ID,
@@ -243,7 +267,8 @@ class TicketService {
                         Showtime_ID: ticket.TicketBooking.Showtime.Showtime_ID,
                         ShowDate: ticket.TicketBooking.Showtime.Show_Date,
                         StartTime: formatTimeString(ticket.TicketBooking.Showtime.Start_Time),
-                        EndTime: formatTimeString(ticket.TicketBooking.Showtime.End_Time)
+                        EndTime: formatTimeString(ticket.TicketBooking.Showtime.End_Time),
+                        Format: _showtimeFormat(ticket.TicketBooking.Showtime)
             } : null,
                     CinemaRoomInfo: ticket.TicketBooking?.Showtime?.CinemaRoom ? {
                         Cinema_ID: ticket.TicketBooking.Showtime.CinemaRoom.Cinema?.Cinema_ID,
@@ -324,6 +349,7 @@ class TicketService {
                             as: 'Showtime',
                             include: [
                                 { model: Movie, as: 'Movie' },
+                                showtimeFormatService.getInclude(),
                                 {
                                     model: CinemaRoom,
                                     as: 'CinemaRoom',
@@ -337,6 +363,7 @@ class TicketService {
         });
 
         if (!ticket) {
+            await this._assertCodeNotTransferred(ticketCode);
             throw new NotFoundError('Không tìm thấy vé với mã này');
         }
         // Transform data
@@ -355,7 +382,7 @@ class TicketService {
                 Row_Label: ticket.Seat.SeatLayout?.Row_Label,
                 Column_Number: ticket.Seat.SeatLayout?.Column_Number,
                 Seat_Type: ticket.Seat.SeatLayout?.Seat_Type,
-                SeatLabel: `${ticket.Seat.SeatLayout?.Row_Label}${ticket.Seat.SeatLayout?.Column_Number}`
+                SeatLabel: _seatLabel(ticket.Seat)
             } : null,
             MovieInfo: ticket.TicketBooking?.Showtime?.Movie ? {
                 Movie_ID: ticket.TicketBooking.Showtime.Movie.Movie_ID,
@@ -368,6 +395,7 @@ class TicketService {
                 ShowDate: ticket.TicketBooking.Showtime.Show_Date,
                 StartTime: ticket.TicketBooking.Showtime.Start_Time,
                 EndTime: ticket.TicketBooking.Showtime.End_Time,
+                Format: _showtimeFormat(ticket.TicketBooking.Showtime),
             } : null,
             CinemaRoomInfo: ticket.TicketBooking?.Showtime?.CinemaRoom ? {
                 Cinema_ID: ticket.TicketBooking.Showtime.CinemaRoom.Cinema?.Cinema_ID,
@@ -386,6 +414,18 @@ class TicketService {
         };
     }
 
+    /**
+     * Throws if the code was invalidated by an accepted ticket transfer.
+     * @param {string} ticketCode - The scanned ticket code.
+     */
+    async _assertCodeNotTransferred(ticketCode, transaction = null) {
+        const ticketTransferService = require('./ticketTransferService');
+        const transfer = await ticketTransferService.findInvalidatedCode(ticketCode, transaction);
+        if (transfer) {
+            throw new BadRequestError('Mã vé đã hết hiệu lực do vé đã được chuyển nhượng cho thành viên khác.');
+        }
+    }
+
     /**
      * Verifies a ticket. (Staff/Admin only)
      * @param {string} ticketCode - The code of the ticket.
@@ -472,6 +512,7 @@ class TicketService {
                 seat_label: ticketData.SeatInfo.SeatLabel,
                 room_name: ticketData.CinemaRoomInfo.Room_Name,
                 room_type: ticketData.CinemaRoomInfo.Room_Type,
+                format: ticketData.ShowtimeInfo.Format?.Label,
                 cinema_id: ticketData.CinemaRoomInfo.Cinema_ID,
                 cinema_name: ticketData.CinemaRoomInfo.Cinema_Name
             },
@@ -519,6 +560,7 @@ class TicketService {
                 });
 
                 if (!ticket) {
+                    await this._assertCodeNotTransferred(ticketCode, t);
                     throw new NotFoundError('Không tìm thấy vé với mã: ' + ticketCode);
                 }
 
@@ -680,7 +722,7 @@ class TicketService {
             },
             seat_info: t.Seat?.SeatLayout ? {
                 seat_id: t.Seat.Seat_ID,
-                seat_label: `${t.Seat.SeatLayout.Row_Label}${t.Seat.SeatLayout.Column_Number}`
+                seat_label: _seatLabel(t.Seat)
             } : null
         }));
 
@@ -794,6 +836,7 @@ class TicketService {
                         as: 'Showtime',
                         include: [
                             { model: Movie, as: 'Movie' },
+                            showtimeFormatService.getInclude(),
                             {
                                 model: CinemaRoom,
                                 as: 'CinemaRoom',
@@ -854,7 +897,7 @@ class TicketService {
         const ticketData = {
             cinemaName: cinema.Cinema_Name || cinema.Name || 'GALAXY Cinema',
             movieTitle: booking.Showtime.Movie.Movie_Name,
-            movieFormat: '2D Lồng tiếng',
+            movieFormat: _showtimeFormat(booking.Showtime).Label,
             moviePosterUrl: booking.Showtime.Movie.Poster_URL,
             bookingCode: booking.Booking_ID,
             qrCodeUrl: qrCodeUrl,
@@ -862,7 +905,7 @@ class TicketService {
             showDate: formattedDate,
             room: booking.Showtime.CinemaRoom.Room_Name,
             ticketCount: allTicketsForBooking.length,
-            seats: allTicketsForBooking.map(t => t.Seat && t.Seat.SeatLayout ? `${t.Seat.SeatLayout.Row_Label}${t.Seat.SeatLayout.Column_Number}` : '').filter(Boolean).join(', '),
+            seats: allTicketsForBooking.map(t => _seatLabel(t.Seat)).filter(Boolean).join(', '),
             concessions: [], // Removed sample data
             isUsed: allTicketsForBooking.some(t => t.Is_Checked_In),
             cinemaAddress: cinema.Address || 'Galaxy Cinema, Vietnam',
@@ -883,7 +926,7 @@ class TicketService {
      * @param {string} email - The recipient's email address.
      * @returns {Promise<boolean>} - True if successful.
      */
-    async sendTicketByEmailAsync(bookingIdOrCode, email) {
+    async sendTicketByEmailAsync(bookingIdOrCode, email, options = {}) {
         logger.info(`Gửi vé cho đơn đặt ${bookingIdOrCode} đến email ${email}`);
         
         try {
@@ -918,6 +961,7 @@ class TicketService {
                         as: 'Showtime',
                         include: [
                             { model: Movie, as: 'Movie' },
+                            showtimeFormatService.getInclude(),
                                     { model: CinemaRoom, as: 'CinemaRoom', 
                                       include: [{ model: Cinema, as: 'Cinema' }]
                                     }
@@ -954,6 +998,7 @@ class TicketService {
                                 as: 'Showtime',
                                 include: [
                                     { model: Movie, as: 'Movie' },
+                                    showtimeFormatService.getInclude(),
                                     { model: CinemaRoom, as: 'CinemaRoom', 
                                       include: [{ model: Cinema, as: 'Cinema' }]
                                     }
@@ -971,7 +1016,7 @@ class TicketService {
             }
 
             // Thực hiện song song các truy vấn database để tăng tốc
-            const [tickets, paymentResult] = await Promise.all([
+            const [bookingTickets, paymentResult] = await Promise.all([
                 // Lấy tất cả vé của booking
                 Ticket.findAll({
                     where: { Booking_ID: bookingId },
@@ -989,6 +1034,12 @@ class TicketService {
                 )
             ]);
 
+            // Chỉ gửi các vé thuộc người giữ hiện tại: vé đã chuyển nhượng chỉ được gửi cho người nhận
+            const holderUserId = options.holderUserId || booking.User_ID;
+            const holders = await require('./ticketTransferService').getCurrentHolders(bookingTickets.map(t => t.Ticket_ID));
+            const tickets = bookingTickets.filter(t => (holders.has(t.Ticket_ID) ? holders.get(t.Ticket_ID) : booking.User_ID) === holderUserId);
+            const isBookingOwner = holderUserId === booking.User_ID;
+
             if (!tickets || tickets.length === 0) {
                 logger.error(`Không tìm thấy vé nào cho đơn đặt ID=${bookingId} để gửi email.`);
                 throw new Error('Không tìm thấy vé nào để gửi email.');
@@ -1023,6 +1074,16 @@ class TicketService {
                 logger.warn(`Không thể lấy thông tin khuyến mãi: ${promoError.message}`);
             }
 
+            // Lấy các món bắp nước đi kèm đơn đặt vé
+            let concessionItems = [];
+            try {
+                // Bắp nước chỉ gửi cho người mua
+                concessionItems = isBookingOwner ? await require('./concessionService').getBookingItems(bookingId) : [];
+            } catch (concessionError) {
+                logger.warn(`Không thể lấy thông tin bắp nước: ${concessionError.message}`);
+            }
+            const concessionTotal = concessionItems.reduce((sum, item) => sum + item.totalPrice, 0);
+
             // Format ngày giờ
             const formatDate = (dateString) => {
                 if (!dateString) return 'N/A';
@@ -1053,13 +1114,13 @@ class TicketService {
                     customerName: booking.User?.Full_Name || email,
                     movieTitle: booking.Showtime.Movie?.Movie_Name || 'Không có thông tin phim',
                     moviePosterUrl: booking.Showtime.Movie?.Poster_URL || '',
-                    movieFormat: booking.Showtime.CinemaRoom?.Room_Type || '2D',
+                    movieFormat: _showtimeFormat(booking.Showtime).Label,
                     movieRating: booking.Showtime.Movie?.Rating || 'PG',
                     cinemaName: cinema?.Cinema_Name || 'GALAXY Cinema',
                     room: booking.Showtime.CinemaRoom?.Room_Name || 'Không xác định',
                     showDate: formatDate(booking.Showtime.Show_Date),
                     showtime: formatTime(booking.Showtime.Start_Time),
-                    seats: tickets.map(t => t.Seat && t.Seat.SeatLayout ? `${t.Seat.SeatLayout.Row_Label}${t.Seat.SeatLayout.Column_Number}` : '').filter(Boolean).join(', '),
+                    seats: tickets.map(t => _seatLabel(t.Seat)).filter(Boolean).join(', '),
                     subtotal: tickets.reduce((sum, t) => sum + (t.Final_Price || 0), 0).toLocaleString('vi-VN') + ' VND',
                     discount: booking.Points_Used ? (booking.Points_Used).toLocaleString('vi-VN') + ' điểm' : '0 điểm',
                     promotion_discount: promotionUsage ? (promotionUsage.Discount_Amount).toLocaleString('vi-VN') + ' VND' : '0 VND',
@@ -1067,6 +1128,8 @@ class TicketService {
                     paymentMethod: payment?.Payment_Method || 'Không xác định',
                     paymentReference: payment?.Payment_Reference || 'N/A',
                     paymentDate: payment?.Transaction_Date ? new Date(payment.Transaction_Date).toLocaleString('vi-VN') : 'N/A',
+                    concessions: concessionItems,
+                    concessionTotal: concessionTotal.toLocaleString('vi-VN') + ' VND',
                 
                 // Thêm các trường cần thiết cho emailService.sendTicketsEmailAsync
                 BookingId: booking.Booking_ID.toString(),
@@ -1074,7 +1137,8 @@ class TicketService {
                 CinemaRoom: booking.Showtime.CinemaRoom?.Room_Name || 'Không xác định',
                 ShowDate: formatDate(booking.Showtime.Show_Date),
                 ShowTime: formatTime(booking.Showtime.Start_Time),
-                Seats: tickets.map(t => t.Seat && t.Seat.SeatLayout ? `${t.Seat.SeatLayout.Row_Label}${t.Seat.SeatLayout.Column_Number}` : '').filter(Boolean).join(', ')
+                Seats: tickets.map(t => _seatLabel(t.Seat)).filter(Boolean).join(', '),
+                Concessions: concessionItems.map(item => `${item.name} x${item.quantity}`).join(', ')
             };
 
                             // Tạo PDF vé cho từng vé
@@ -1365,7 +1429,7 @@ class TicketService {
                                             
                                             <div class="info-col center">
                                                 <div class="seat-badge">
-                                                    ${ticket.Seat?.SeatLayout ? `${ticket.Seat.SeatLayout.Row_Label}${ticket.Seat.SeatLayout.Column_Number}` : 'A1'}
+                                                    ${_seatLabel(ticket.Seat) || 'A1'}
                                                 </div>
                                                 <p class="seat-label">Ghế của bạn</p>
                                             </div>
@@ -1725,7 +1789,7 @@ class TicketService {
                                             ${booking.Showtime.CinemaRoom?.Room_Name || 'Không xác định'}
                                         </p>
                                         <div>
-                                            <span class="tag">${booking.Showtime.CinemaRoom?.Room_Type || '2D'}</span>
+                                            <span class="tag">${_showtimeFormat(booking.Showtime).Label}</span>
                                             <span class="tag">${booking.Showtime.Movie?.Rating || 'PG-13'}</span>
                               </div>
                               </div>
@@ -1747,7 +1811,7 @@ class TicketService {
                                             <tr>
                                                 <td>${index + 1}</td>
                                                 <td>${ticket.Ticket_Code}</td>
-                                                <td class="seat-cell" style="width:40px; padding:6px;">${ticket.Seat?.SeatLayout ? `${ticket.Seat.SeatLayout.Row_Label}${ticket.Seat.SeatLayout.Column_Number}` : '-'}</td>
+                                                <td class="seat-cell" style="width:40px; padding:6px;">${_seatLabel(ticket.Seat) || '-'}</td>
                                                 <td>${ticket.Seat?.SeatLayout?.Seat_Type || 'Thường'}</td>
                                                 <td class="price-cell">${ticket.Final_Price.toLocaleString('vi-VN')}</td>
                                             </tr>
@@ -1755,12 +1819,45 @@ class TicketService {
                                     </tbody>
                                 </table>
                                 
+                                ${concessionItems.length > 0 ? `
+                                <h3>Bắp nước (${concessionItems.length})</h3>
+                                <table class="tickets-table">
+                                    <thead>
+                                        <tr>
+                                            <th>STT</th>
+                                            <th>Sản phẩm</th>
+                                            <th>Số lượng</th>
+                                            <th>Đơn giá (VND)</th>
+                                            <th>Thành tiền (VND)</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        ${concessionItems.map((item, index) => `
+                                            <tr>
+                                                <td>${index + 1}</td>
+                                                <td>${item.name}</td>
+                                                <td>${item.quantity}</td>
+                                                <td class="price-cell">${item.unitPrice.toLocaleString('vi-VN')}</td>
+                                                <td class="price-cell">${item.totalPrice.toLocaleString('vi-VN')}</td>
+                                            </tr>
+                                        `).join('')}
+                                    </tbody>
+                                </table>
+                                ` : ''}
+                                
                                 <div class="total-section">
                                     <div class="price-row">
                                         <span>Tổng tiền vé:</span>
                                         <span>${tickets.reduce((sum, t) => sum + (t.Final_Price || 0), 0).toLocaleString('vi-VN')} VND</span>
                     </div>
                     
+                                    ${concessionTotal > 0 ? `
+                                        <div class="price-row">
+                                            <span>Tiền bắp nước:</span>
+                                            <span>${concessionTotal.toLocaleString('vi-VN')} VND</span>
+                    </div>
+                    ` : ''}
+                    
                                     ${booking.Points_Used ? `
                                         <div class="price-row discount">
                                             <span>Giảm giá (sử dụng ${booking.Points_Used} điểm):</span>
@@ -2169,6 +2266,7 @@ class TicketService {
 
                     tb.Booking_Date,
                     tb.User_ID,
+                    tr.From_User_ID as Transferred_From,
 
                     s.Seat_ID,
                     sl.Row_Label,
@@ -2196,7 +2294,13 @@ class TicketService {
                 LEFT JOIN [ksf00691_team03].[Movies] m ON st.Movie_ID = m.Movie_ID
                 LEFT JOIN [ksf00691_team03].[Cinema_Rooms] cr ON st.Cinema_Room_ID = cr.Cinema_Room_ID
                 LEFT JOIN [ksf00691_team03].[Cinemas] c ON cr.Cinema_ID = c.Cinema_ID
-                WHERE tb.User_ID = :userId
+                OUTER APPLY (
+                    SELECT TOP 1 tt.To_User_ID, tt.From_User_ID
+                    FROM [ksf00691_team03].[Ticket_Transfers] tt
+                    WHERE tt.Ticket_ID = t.Ticket_ID AND tt.Status = 'Accepted'
+                    ORDER BY tt.Responded_At DESC, tt.Transfer_ID DESC
+                ) tr
+                WHERE ISNULL(tr.To_User_ID, tb.User_ID) = :userId
                 ORDER BY t.Ticket_ID DESC
             `, {
                 replacements: { userId },
@@ -2227,6 +2331,7 @@ class TicketService {
                     final_price: rawTicket.Final_Price,
                     check_in_time: rawTicket.Check_In_Time,
                     booking_date: rawTicket.Booking_Date,
+                    is_received_transfer: !!rawTicket.Transferred_From,
                     movie_info: rawTicket.Movie_ID ? {
                         movie_id: rawTicket.Movie_ID,
                         movie_name: rawTicket.Movie_Name,
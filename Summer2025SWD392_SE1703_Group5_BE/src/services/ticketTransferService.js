@@ -0,0 +1,438 @@
+// services/ticketTransferService.js
+// Mô tả: Chuyển nhượng / tặng vé giữa các thành viên. Người giữ vé gửi một hoặc nhiều vé cho thành viên khác
+// (tìm theo email hoặc số điện thoại), người nhận chấp nhận thì vé được cấp mã mới và xuất hiện trong
+// "vé của tôi" của người nhận; mã cũ không còn quét được tại quầy.
+// Người giữ vé hiện tại = người nhận của lần chuyển nhượng được chấp nhận gần nhất, mặc định là chủ đơn đặt vé.
+
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const {
+    TicketTransfer,
+    Ticket,
+    TicketBooking,
+    Showtime,
+    Movie,
+    Seat,
+    SeatLayout,
+    User,
+    BookingHistory,
+    sequelize
+} = require('../models');
+const memberService = require('./memberService');
+const refundPolicyService = require('./refundPolicyService');
+
+const { TRANSFER_STATUS } = TicketTransfer;
+
+function _createError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+class TicketTransferService {
+    constructor() {
+        this.logger = logger;
+        // Thời hạn người nhận chấp nhận vé (không vượt quá giờ chiếu)
+        this.expiryHours = parseInt(process.env.TICKET_TRANSFER_EXPIRY_HOURS, 10) || 48;
+        this.maxTicketsPerTransfer = parseInt(process.env.TICKET_TRANSFER_MAX_TICKETS, 10) || 10;
+    }
+
+    /**
+     * Gửi vé cho thành viên khác
+     * @param {number} userId - Người giữ vé hiện tại
+     * @param {Object} data - ticketIds, recipient (email hoặc số điện thoại), message
+     */
+    async createTransfer(userId, data = {}) {
+        const ticketIds = [...new Set((Array.isArray(data.ticketIds) ? data.ticketIds : [])
+            .map(id => parseInt(id, 10))
+            .filter(id => !isNaN(id)))];
+        if (ticketIds.length === 0) {
+            throw _createError('Vui lòng chọn ít nhất một vé để chuyển nhượng', 400);
+        }
+        if (ticketIds.length > this.maxTicketsPerTransfer) {
+            throw _createError(`Mỗi lần chỉ được chuyển tối đa ${this.maxTicketsPerTransfer} vé`, 400);
+        }
+
+        const recipient = await this._findRecipient(data.recipient);
+        if (recipient.User_ID === userId) {
+            throw _createError('Không thể chuyển vé cho chính mình', 400);
+        }
+
+        const transaction = await sequelize.transaction();
+        try {
+            await this._expireStaleTransfers(transaction);
+
+            const tickets = await Ticket.findAll({
+                where: { Ticket_ID: { [Op.in]: ticketIds } },
+                include: [
+                    { model: TicketBooking, as: 'TicketBooking', include: [{ model: Showtime, as: 'Showtime' }] }
+                ],
+                transaction
+            });
+            if (tickets.length !== ticketIds.length) {
+                const missing = ticketIds.filter(id => !tickets.some(ticket => ticket.Ticket_ID === id));
+                throw _createError(`Không tìm thấy vé: ${missing.join(', ')}`, 404);
+            }
+
+            const holders = await this.getCurrentHolders(ticketIds, transaction);
+            const pending = await TicketTransfer.findAll({
+                where: { Ticket_ID: { [Op.in]: ticketIds }, Status: TRANSFER_STATUS.PENDING },
+                attributes: ['Ticket_ID'],
+                transaction
+            });
+
+            const now = Date.now();
+            const transfers = [];
+            for (const ticket of tickets) {
+                const booking = ticket.TicketBooking;
+                const holderId = holders.get(ticket.Ticket_ID) ?? booking?.User_ID;
+                if (holderId !== userId) {
+                    throw _createError(`Bạn không phải người giữ vé ${ticket.Ticket_Code}`, 403);
+                }
+                if (!booking || booking.Status !== 'Confirmed') {
+                    throw _createError(`Vé ${ticket.Ticket_Code} thuộc đơn đặt vé chưa thanh toán hoặc đã hủy`, 400);
+                }
+                if (ticket.Is_Checked_In) {
+                    throw _createError(`Vé ${ticket.Ticket_Code} đã được sử dụng`, 400);
+                }
+                if (pending.some(p => p.Ticket_ID === ticket.Ticket_ID)) {
+                    throw _createError(`Vé ${ticket.Ticket_Code} đang chờ người nhận xác nhận`, 409);
+                }
+
+                const showtimeStart = refundPolicyService.getShowtimeStart(booking.Showtime);
+                if (!showtimeStart || showtimeStart.getTime() <= now) {
+                    throw _createError(`Suất chiếu của vé ${ticket.Ticket_Code} đã bắt đầu, không thể chuyển nhượng`, 400);
+                }
+
+                const expiresAt = new Date(Math.min(now + this.expiryHours * 3600000, showtimeStart.getTime()));
+                transfers.push({
+                    Ticket_ID: ticket.Ticket_ID,
+                    Booking_ID: ticket.Booking_ID,
+                    From_User_ID: userId,
+                    To_User_ID: recipient.User_ID,
+                    Status: TRANSFER_STATUS.PENDING,
+                    Message: data.message ? String(data.message).substring(0, 255) : null,
+                    Old_Ticket_Code: ticket.Ticket_Code,
+                    Expires_At: expiresAt,
+                    Created_At: new Date()
+                });
+            }
+
+            const created = await TicketTransfer.bulkCreate(transfers, { transaction });
+            await transaction.commit();
+
+            this.logger.info(`[TicketTransferService] User ${userId} đã gửi ${created.length} vé cho user ${recipient.User_ID}`);
+            this._notifyRecipient(userId, recipient, tickets, created);
+
+            return {
+                recipient: { User_ID: recipient.User_ID, Full_Name: recipient.Full_Name },
+                transfers: created
+            };
+        } catch (error) {
+            if (!transaction.finished) await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Người nhận chấp nhận vé: cấp mã vé mới, mã cũ bị vô hiệu
+     */
+    async acceptTransfer(transferId, userId) {
+        const transaction = await sequelize.transaction();
+        try {
+            const transfer = await this._loadPendingTransfer(transferId, transaction);
+            if (transfer.To_User_ID !== userId) {
+                throw _createError('Bạn không phải người nhận của yêu cầu chuyển nhượng này', 403);
+            }
+
+            const ticket = await Ticket.findByPk(transfer.Ticket_ID, {
+                include: [{ model: TicketBooking, as: 'TicketBooking', include: [{ model: Showtime, as: 'Showtime' }] }],
+                transaction
+            });
+            // Vé bị xóa (hủy / đổi vé) hoặc đã được cấp mã khác sau khi gửi thì yêu cầu không còn hiệu lực
+            if (!ticket || ticket.Ticket_Code !== transfer.Old_Ticket_Code || ticket.TicketBooking?.Status !== 'Confirmed') {
+                await transfer.update({ Status: TRANSFER_STATUS.CANCELLED, Responded_At: new Date() }, { transaction });
+                await transaction.commit();
+                throw _createError('Vé không còn hiệu lực để chuyển nhượng', 409);
+            }
+            if (ticket.Is_Checked_In) {
+                throw _createError('Vé đã được sử dụng', 400);
+            }
+
+            const newTicketCode = this._generateTicketCode(ticket);
+            await ticket.update({ Ticket_Code: newTicketCode }, { transaction });
+            await transfer.update({
+                Status: TRANSFER_STATUS.ACCEPTED,
+                New_Ticket_Code: newTicketCode,
+                Responded_At: new Date()
+            }, { transaction });
+
+            await BookingHistory.create({
+                Booking_ID: ticket.Booking_ID,
+                Date: sequelize.literal('GETDATE()'),
+                Status: 'Ticket Transferred',
+                Notes: `Vé ${transfer.Old_Ticket_Code} đã được chuyển từ user ${transfer.From_User_ID} sang user ${transfer.To_User_ID}, mã vé mới ${newTicketCode}.`,
+                IsRead: false
+            }, { transaction });
+
+            await transaction.commit();
+            this.logger.info(`[TicketTransferService] User ${userId} đã nhận vé ${ticket.Ticket_ID} (${transfer.Old_Ticket_Code} -> ${newTicketCode})`);
+
+            this._emitToUser(transfer.From_User_ID, 'ticket-transfer-accepted', {
+                transferId: transfer.Transfer_ID,
+                ticketId: ticket.Ticket_ID
+            });
+            this._sendTicketToRecipient(ticket.Booking_ID, userId);
+
+            return transfer;
+        } catch (error) {
+            if (!transaction.finished) await transaction.rollback();
+            throw error;
+        }
+    }
+
+    async declineTransfer(transferId, userId) {
+        const transaction = await sequelize.transaction();
+        try {
+            const transfer = await this._loadPendingTransfer(transferId, transaction);
+            if (transfer.To_User_ID !== userId) {
+                throw _createError('Bạn không phải người nhận của yêu cầu chuyển nhượng này', 403);
+            }
+
+            await transfer.update({ Status: TRANSFER_STATUS.DECLINED, Responded_At: new Date() }, { transaction });
+            await transaction.commit();
+
+            this._emitToUser(transfer.From_User_ID, 'ticket-transfer-declined', {
+                transferId: transfer.Transfer_ID,
+                ticketId: transfer.Ticket_ID
+            });
+            return transfer;
+        } catch (error) {
+            if (!transaction.finished) await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Người gửi thu hồi yêu cầu chưa được chấp nhận
+     */
+    async cancelTransfer(transferId, userId) {
+        const transaction = await sequelize.transaction();
+        try {
+            const transfer = await this._loadPendingTransfer(transferId, transaction);
+            if (transfer.From_User_ID !== userId) {
+                throw _createError('Bạn không phải người gửi của yêu cầu chuyển nhượng này', 403);
+            }
+
+            await transfer.update({ Status: TRANSFER_STATUS.CANCELLED, Responded_At: new Date() }, { transaction });
+            await transaction.commit();
+            return transfer;
+        } catch (error) {
+            if (!transaction.finished) await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Yêu cầu chuyển nhượng đã gửi và đã nhận của người dùng
+     */
+    async getMyTransfers(userId) {
+        await this._expireStaleTransfers();
+
+        const include = [
+            { model: User, as: 'FromUser', attributes: ['User_ID', 'Full_Name', 'Email'] },
+            { model: User, as: 'ToUser', attributes: ['User_ID', 'Full_Name', 'Email'] },
+            {
+                model: Ticket,
+                as: 'Ticket',
+                attributes: ['Ticket_ID', 'Showtime_ID', 'Is_Checked_In'],
+                include: [
+                    { model: Seat, as: 'Seat', attributes: ['Seat_ID'], include: [{ model: SeatLayout, as: 'SeatLayout', attributes: ['Row_Label', 'Column_Number'] }] },
+                    { model: Showtime, as: 'Showtime', attributes: ['Showtime_ID', 'Show_Date', 'Start_Time'], include: [{ model: Movie, as: 'Movie', attributes: ['Movie_ID', 'Movie_Name'] }] }
+                ]
+            }
+        ];
+
+        const [incoming, outgoing] = await Promise.all([
+            TicketTransfer.findAll({ where: { To_User_ID: userId }, include, order: [['Created_At', 'DESC']] }),
+            TicketTransfer.findAll({ where: { From_User_ID: userId }, include, order: [['Created_At', 'DESC']] })
+        ]);
+
+        // Người gửi không cần (và không được) thấy mã vé mới
+        const format = (transfer, hideNewCode) => {
+            const json = transfer.toJSON();
+            if (hideNewCode) delete json.New_Ticket_Code;
+            const layout = json.Ticket?.Seat?.SeatLayout;
+            json.Seat_Label = layout ? `${layout.Row_Label}${layout.Column_Number}` : null;
+            return json;
+        };
+
+        return {
+            incoming: incoming.map(transfer => format(transfer, false)),
+            outgoing: outgoing.map(transfer => format(transfer, true))
+        };
+    }
+
+    /**
+     * Người giữ hiện tại của các vé đã từng được chuyển nhượng
+     * @returns {Promise<Map<number, number>>} Ticket_ID -> User_ID (vé chưa chuyển nhượng không có trong Map)
+     */
+    async getCurrentHolders(ticketIds, transaction = null) {
+        const holders = new Map();
+        if (!ticketIds || ticketIds.length === 0) return holders;
+
+        const accepted = await TicketTransfer.findAll({
+            where: { Ticket_ID: { [Op.in]: ticketIds }, Status: TRANSFER_STATUS.ACCEPTED },
+            attributes: ['Ticket_ID', 'To_User_ID', 'Responded_At', 'Transfer_ID'],
+            order: [['Responded_At', 'ASC'], ['Transfer_ID', 'ASC']],
+            transaction
+        });
+        for (const transfer of accepted) {
+            holders.set(transfer.Ticket_ID, transfer.To_User_ID);
+        }
+        return holders;
+    }
+
+    /**
+     * Đơn đặt vé có vé đã được chuyển cho người khác hay không (chặn hủy / đổi vé của người mua)
+     */
+    async hasAcceptedTransfers(bookingId, transaction = null) {
+        const count = await TicketTransfer.count({
+            where: { Booking_ID: bookingId, Status: TRANSFER_STATUS.ACCEPTED },
+            transaction
+        });
+        return count > 0;
+    }
+
+    /**
+     * Hủy các yêu cầu đang chờ của đơn đặt vé (đơn bị hủy / đổi vé)
+     */
+    async cancelPendingForBooking(bookingId, transaction) {
+        const [updated] = await TicketTransfer.update({
+            Status: TRANSFER_STATUS.CANCELLED,
+            Responded_At: new Date()
+        }, {
+            where: { Booking_ID: bookingId, Status: TRANSFER_STATUS.PENDING },
+            transaction
+        });
+        return updated;
+    }
+
+    /**
+     * Tìm lần chuyển nhượng đã vô hiệu mã vé này (dùng khi quét vé để báo lỗi rõ ràng)
+     */
+    async findInvalidatedCode(ticketCode, transaction = null) {
+        return TicketTransfer.findOne({
+            where: { Old_Ticket_Code: ticketCode, Status: TRANSFER_STATUS.ACCEPTED },
+            transaction
+        });
+    }
+
+    // ==================== HÀM NỘI BỘ ====================
+
+    async _findRecipient(identifier) {
+        const value = String(identifier || '').trim();
+        if (!value) {
+            throw _createError('Vui lòng nhập email hoặc số điện thoại người nhận', 400);
+        }
+
+        const member = value.includes('@')
+            ? await memberService.findMemberByEmailAsync(value)
+            : await memberService.findMemberByPhoneAsync(value);
+        if (!member) {
+            throw _createError('Không tìm thấy thành viên với thông tin này', 404);
+        }
+        return member;
+    }
+
+    async _loadPendingTransfer(transferId, transaction) {
+        const transfer = await TicketTransfer.findByPk(transferId, { transaction });
+        if (!transfer) {
+            throw _createError(`Không tìm thấy yêu cầu chuyển nhượng có ID ${transferId}`, 404);
+        }
+        if (transfer.Status === TRANSFER_STATUS.PENDING && new Date(transfer.Expires_At) <= new Date()) {
+            await transfer.update({ Status: TRANSFER_STATUS.EXPIRED }, { transaction });
+        }
+        if (transfer.Status !== TRANSFER_STATUS.PENDING) {
+            throw _createError(`Yêu cầu chuyển nhượng đang ở trạng thái ${transfer.Status}`, 400);
+        }
+        return transfer;
+    }
+
+    async _expireStaleTransfers(transaction = null) {
+        await TicketTransfer.update({ Status: TRANSFER_STATUS.EXPIRED }, {
+            where: { Status: TRANSFER_STATUS.PENDING, Expires_At: { [Op.lte]: new Date() } },
+            transaction
+        });
+    }
+
+    // Cùng định dạng với mã vé khi đặt (TK<booking>S<seat><timestamp>), thêm hậu tố để chắc chắn khác mã cũ
+    _generateTicketCode(ticket) {
+        const timestamp = Date.now().toString().slice(-6);
+        const suffix = Math.random().toString(36).substr(2, 2);
+        return `TK${ticket.Booking_ID}S${ticket.Seat_ID}${timestamp}${suffix}`.toUpperCase();
+    }
+
+    _notifyRecipient(fromUserId, recipient, tickets, transfers) {
+        setImmediate(async () => {
+            const sender = await User.findByPk(fromUserId, { attributes: ['Full_Name'] }).catch(() => null);
+            const senderName = sender?.Full_Name || 'Một thành viên';
+
+            this._emitToUser(recipient.User_ID, 'ticket-transfer-offer', {
+                from: senderName,
+                transferIds: transfers.map(transfer => transfer.Transfer_ID),
+                ticketCount: transfers.length,
+                expiresAt: transfers[0].Expires_At
+            });
+
+            if (!recipient.Email) return;
+            try {
+                const EmailService = require('./emailService');
+                const { emailConfig } = require('../config/appConfig');
+                const emailService = new EmailService(logger, emailConfig);
+
+                const showtime = tickets[0].TicketBooking?.Showtime;
+                const movie = showtime ? await Movie.findByPk(showtime.Movie_ID, { attributes: ['Movie_Name'] }) : null;
+                const start = refundPolicyService.getShowtimeStart(showtime);
+                const body = `
+                    <p>Xin chào <strong>${recipient.Full_Name}</strong>,</p>
+                    <p><strong>${senderName}</strong> đã gửi tặng bạn ${transfers.length} vé xem phim
+                    <strong>${movie?.Movie_Name || ''}</strong>${start ? ` lúc ${start.toLocaleString('vi-VN')}` : ''}.</p>
+                    ${transfers[0].Message ? `<p>Lời nhắn: <em>${transfers[0].Message}</em></p>` : ''}
+                    <p>Vui lòng đăng nhập và chấp nhận vé trước <strong>${transfers[0].Expires_At.toLocaleString('vi-VN')}</strong>.</p>
+                `;
+                await emailService.sendEmailAsync(recipient.Email, 'Bạn nhận được vé xem phim được tặng', body);
+            } catch (error) {
+                this.logger.warn(`[TicketTransferService] Không thể gửi email chuyển nhượng cho user ${recipient.User_ID}: ${error.message}`);
+            }
+        });
+    }
+
+    // Gửi vé điện tử (chỉ các vé người nhận đang giữ) tới email người nhận
+    _sendTicketToRecipient(bookingId, userId) {
+        setImmediate(async () => {
+            try {
+                const user = await User.findByPk(userId, { attributes: ['Email'] });
+                if (!user || !user.Email) return;
+                const TicketService = require('./ticketService');
+                await new TicketService().sendTicketByEmailAsync(bookingId, user.Email, { holderUserId: userId });
+            } catch (error) {
+                this.logger.warn(`[TicketTransferService] Không thể gửi vé cho người nhận ${userId}: ${error.message}`);
+            }
+        });
+    }
+
+    _emitToUser(userId, event, payload) {
+        try {
+            const { getIO } = require('../websocket/socketHandler');
+            getIO().to(`user-${userId}`).emit(event, payload);
+        } catch (error) {
+            this.logger.warn(`[TicketTransferService] Không thể gửi sự kiện ${event} cho user ${userId}: ${error.message}`);
+        }
+    }
+}
+
+const ticketTransferService = new TicketTransferService();
+ticketTransferService.TRANSFER_STATUS = TRANSFER_STATUS;
+
+module.exports = ticketTransferService;
@@ -0,0 +1,550 @@
+// services/virtualQueueService.js
+// Mô tả: Phòng chờ ảo cho suất chiếu đông khách (suất chiếu ra mắt). Manager bật chế độ hàng đợi cho từng suất chiếu;
+// khách vào sơ đồ ghế (join-showtime) được xếp hàng và nhận vị trí qua Socket.IO, sau đó được cho vào theo từng đợt.
+// Người được vào có một phiên chọn ghế có thời hạn, seatSelectionService.selectSeat từ chối chọn ghế ngoài phiên.
+// Trạng thái hàng đợi lưu trong database nên không mất khi khởi động lại server; vòng cho vào chỉ chạy trên node giữ lease.
+
+const cron = require('node-cron');
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { ShowtimeQueue, ShowtimeQueueEntry, Showtime, User } = require('../models');
+const seatCacheService = require('./seatCacheService');
+const refundPolicyService = require('./refundPolicyService');
+
+const { QUEUE_ENTRY_STATUS } = ShowtimeQueueEntry;
+const STAFF_ROLES = ['Staff', 'Admin', 'Manager'];
+
+function _createError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+class VirtualQueueService {
+    constructor() {
+        this.isRunning = false;
+        this.cronJob = null;
+        this.logger = logger;
+        // Mặc định chạy mỗi 5 giây; khoảng cách giữa các đợt của từng suất do Admission_Interval_Seconds quyết định
+        this.cronExpression = process.env.VIRTUAL_QUEUE_CRON || '*/5 * * * * *';
+        // Khách đang chờ mà mất kết nối quá lâu sẽ bị đưa ra khỏi hàng
+        this.idleMinutes = parseInt(process.env.VIRTUAL_QUEUE_IDLE_MINUTES, 10) || 2;
+        this.leaderLease = 'virtual-queue';
+        this.leaderLeaseTtl = 15 * 1000;
+        // Cache cấu hình hàng đợi theo suất chiếu (được đọc ở mỗi lần chọn ghế)
+        this.configCache = new Map();
+        this.configCacheMs = 5000;
+        this.lastRun = null;
+    }
+
+    // Khởi động service
+    start() {
+        if (this.isRunning) {
+            this.logger.warn('VirtualQueueService đã đang chạy');
+            return;
+        }
+
+        this.cronJob = cron.schedule(this.cronExpression, async () => {
+            await this.runCycle();
+        }, {
+            scheduled: false,
+            timezone: 'Asia/Ho_Chi_Minh'
+        });
+
+        this.cronJob.start();
+        this.isRunning = true;
+        this.logger.info(`VirtualQueueService đã khởi động (cron: ${this.cronExpression})`);
+    }
+
+    // Dừng service
+    stop() {
+        if (this.cronJob) {
+            this.cronJob.stop();
+            this.cronJob = null;
+        }
+        this.isRunning = false;
+        this.logger.info('VirtualQueueService đã dừng');
+    }
+
+    getStatus() {
+        return {
+            isRunning: this.isRunning,
+            cronExpression: this.cronExpression,
+            idleMinutes: this.idleMinutes,
+            lastRun: this.lastRun
+        };
+    }
+
+    /**
+     * Cấu hình hàng đợi của suất chiếu (đọc có cache ngắn)
+     */
+    async getQueueConfig(showtimeId) {
+        const key = Number(showtimeId);
+        const cached = this.configCache.get(key);
+        if (cached && Date.now() - cached.loadedAt < this.configCacheMs) {
+            return cached.config;
+        }
+
+        const config = await ShowtimeQueue.findOne({ where: { Showtime_ID: key }, raw: true });
+        this.configCache.set(key, { config, loadedAt: Date.now() });
+        return config;
+    }
+
+    /**
+     * Manager bật / tắt / chỉnh hàng đợi cho suất chiếu
+     */
+    async configureQueue(showtimeId, options, userId) {
+        const showtime = await Showtime.findByPk(showtimeId);
+        if (!showtime) {
+            throw _createError('Không tìm thấy suất chiếu', 404);
+        }
+
+        const start = refundPolicyService.getShowtimeStart(showtime);
+        if (showtime.Status !== 'Scheduled' || (start && start <= new Date())) {
+            throw _createError('Chỉ có thể cấu hình hàng đợi cho suất chiếu chưa bắt đầu', 400);
+        }
+
+        const fields = {
+            batchSize: 'Batch_Size',
+            admissionIntervalSeconds: 'Admission_Interval_Seconds',
+            sessionMinutes: 'Session_Minutes',
+            maxActiveSessions: 'Max_Active_Sessions'
+        };
+        const updates = {};
+        for (const [option, column] of Object.entries(fields)) {
+            if (options[option] === undefined || options[option] === null) continue;
+            const value = parseInt(options[option], 10);
+            if (isNaN(value) || value < 1) {
+                throw _createError(`${option} phải là số nguyên dương`, 400);
+            }
+            updates[column] = value;
+        }
+        if (options.enabled !== undefined) {
+            updates.Is_Enabled = options.enabled === true || options.enabled === 'true';
+        }
+
+        let queue = await ShowtimeQueue.findOne({ where: { Showtime_ID: showtimeId } });
+        const wasEnabled = !!queue?.Is_Enabled;
+        if (queue) {
+            await queue.update({ ...updates, Updated_By: userId, Updated_At: new Date() });
+        } else {
+            queue = await ShowtimeQueue.create({
+                Showtime_ID: showtimeId,
+                ...updates,
+                Updated_By: userId,
+                Updated_At: new Date()
+            });
+        }
+        this.configCache.delete(Number(showtimeId));
+
+        // Tắt hàng đợi: mọi người đang chờ được vào sơ đồ ghế ngay
+        if (wasEnabled && !queue.Is_Enabled) {
+            await this._closeQueue(showtimeId);
+        }
+
+        this.logger.info(`[VirtualQueue] Suất ${showtimeId}: hàng đợi ${queue.Is_Enabled ? 'bật' : 'tắt'} bởi user ${userId}`);
+        return this.getQueueOverview(showtimeId);
+    }
+
+    /**
+     * Khách vào sơ đồ ghế. Trả về:
+     * - { status: 'open' } khi suất chiếu không bật hàng đợi hoặc là nhân viên
+     * - { status: 'admitted', sessionExpiresAt } khi đang có phiên chọn ghế
+     * - { status: 'waiting', position, waitingCount, estimatedWaitSeconds } khi phải xếp hàng
+     */
+    async enterQueue(showtimeId, userId, role = null) {
+        const config = await this.getQueueConfig(showtimeId);
+        if (!config?.Is_Enabled || STAFF_ROLES.includes(role)) {
+            return { showtimeId: Number(showtimeId), status: 'open' };
+        }
+
+        const now = new Date();
+        const session = await this._findActiveSession(showtimeId, userId);
+        if (session) {
+            return this._formatAdmitted(session);
+        }
+
+        let entry = await ShowtimeQueueEntry.findOne({
+            where: { Showtime_ID: showtimeId, User_ID: userId, Status: QUEUE_ENTRY_STATUS.WAITING }
+        });
+        if (entry) {
+            await entry.update({ Last_Seen_At: now, Updated_At: now });
+        } else {
+            entry = await ShowtimeQueueEntry.create({
+                Showtime_ID: showtimeId,
+                User_ID: userId,
+                Status: QUEUE_ENTRY_STATUS.WAITING,
+                Joined_At: now,
+                Last_Seen_At: now
+            });
+            this.logger.info(`[VirtualQueue] User ${userId} vào hàng đợi suất ${showtimeId} (entry ${entry.Entry_ID})`);
+        }
+
+        return this._formatWaiting(entry, config);
+    }
+
+    /**
+     * Trạng thái hàng đợi của khách (không tạo lượt xếp hàng mới)
+     */
+    async getMyQueueState(showtimeId, userId) {
+        const config = await this.getQueueConfig(showtimeId);
+        if (!config?.Is_Enabled) {
+            return { showtimeId: Number(showtimeId), status: 'open' };
+        }
+
+        const session = await this._findActiveSession(showtimeId, userId);
+        if (session) {
+            return this._formatAdmitted(session);
+        }
+
+        const entry = await ShowtimeQueueEntry.findOne({
+            where: { Showtime_ID: showtimeId, User_ID: userId, Status: QUEUE_ENTRY_STATUS.WAITING }
+        });
+        if (!entry) {
+            return { showtimeId: Number(showtimeId), status: 'not_in_queue' };
+        }
+        return this._formatWaiting(entry, config);
+    }
+
+    async leaveQueue(showtimeId, userId) {
+        const [count] = await ShowtimeQueueEntry.update(
+            { Status: QUEUE_ENTRY_STATUS.LEFT, Updated_At: new Date() },
+            { where: { Showtime_ID: showtimeId, User_ID: userId, Status: QUEUE_ENTRY_STATUS.WAITING } }
+        );
+        return { showtimeId: Number(showtimeId), left: count > 0 };
+    }
+
+    /**
+     * Kiểm tra khách có được chọn ghế không (gọi từ seatSelectionService.selectSeat)
+     * @returns {Object} { allowed: true } hoặc { allowed: false, code, message }
+     */
+    async checkSelectionAllowed(showtimeId, userId, role = null) {
+        if (STAFF_ROLES.includes(role) || userId === 'system' || userId === 'admin') {
+            return { allowed: true };
+        }
+
+        const config = await this.getQueueConfig(showtimeId);
+        if (!config?.Is_Enabled) {
+            return { allowed: true };
+        }
+
+        const session = await this._findActiveSession(showtimeId, userId);
+        if (session) {
+            return { allowed: true, sessionExpiresAt: session.Session_Expires_At };
+        }
+
+        return {
+            allowed: false,
+            code: 'QUEUE_SESSION_REQUIRED',
+            message: 'Suất chiếu đang áp dụng hàng đợi, vui lòng chờ tới lượt hoặc phiên chọn ghế của bạn đã hết hạn'
+        };
+    }
+
+    /**
+     * Khách đặt vé thành công: kết thúc phiên để nhường chỗ cho người tiếp theo
+     */
+    async completeSession(showtimeId, userId) {
+        await ShowtimeQueueEntry.update(
+            { Status: QUEUE_ENTRY_STATUS.COMPLETED, Updated_At: new Date() },
+            { where: { Showtime_ID: showtimeId, User_ID: userId, Status: QUEUE_ENTRY_STATUS.ADMITTED } }
+        );
+    }
+
+    /**
+     * Một vòng xử lý định kỳ: hết hạn phiên, cho đợt mới vào, cập nhật vị trí cho người đang chờ
+     */
+    async runCycle() {
+        try {
+            const isLeader = await seatCacheService.tryAcquireLeadership(this.leaderLease, this.leaderLeaseTtl);
+            if (!isLeader) {
+                return;
+            }
+
+            const queues = await ShowtimeQueue.findAll({ where: { Is_Enabled: true } });
+            for (const queue of queues) {
+                try {
+                    await this._processQueue(queue);
+                } catch (error) {
+                    this.logger.error(`[VirtualQueue] Lỗi khi xử lý hàng đợi suất ${queue.Showtime_ID}:`, error);
+                }
+            }
+            this.lastRun = new Date();
+        } catch (error) {
+            this.logger.error('[VirtualQueue] Lỗi trong vòng xử lý hàng đợi:', error);
+        }
+    }
+
+    async _processQueue(queue) {
+        const showtimeId = queue.Showtime_ID;
+        const now = new Date();
+
+        // Suất chiếu đã bắt đầu / bị hủy thì tắt hàng đợi
+        const showtime = await Showtime.findByPk(showtimeId);
+        const start = showtime ? refundPolicyService.getShowtimeStart(showtime) : null;
+        if (!showtime || showtime.Status !== 'Scheduled' || (start && start <= now)) {
+            await queue.update({ Is_Enabled: false, Updated_At: now });
+            this.configCache.delete(showtimeId);
+            await this._closeQueue(showtimeId);
+            return;
+        }
+
+        await this._expireSessions(showtimeId, now);
+
+        const intervalReached = !queue.Last_Admitted_At ||
+            now - new Date(queue.Last_Admitted_At) >= queue.Admission_Interval_Seconds * 1000;
+        if (intervalReached) {
+            const admitted = await this._admitBatch(queue, now);
+            if (admitted > 0) {
+                await queue.update({ Last_Admitted_At: now });
+            }
+        }
+
+        await this._broadcastPositions(queue);
+    }
+
+    async _expireSessions(showtimeId, now) {
+        const expired = await ShowtimeQueueEntry.findAll({
+            where: {
+                Showtime_ID: showtimeId,
+                Status: QUEUE_ENTRY_STATUS.ADMITTED,
+                Session_Expires_At: { [Op.lte]: now }
+            }
+        });
+        if (expired.length === 0) return;
+
+        await ShowtimeQueueEntry.update(
+            { Status: QUEUE_ENTRY_STATUS.EXPIRED, Updated_At: now },
+            { where: { Entry_ID: { [Op.in]: expired.map(e => e.Entry_ID) } } }
+        );
+
+        // Trả lại ghế khách đang giữ khi phiên hết hạn
+        await this._releaseHeldSeats(showtimeId, expired.map(e => e.User_ID));
+        expired.forEach(entry => {
+            this._emitToUser(entry.User_ID, 'queue-session-expired', {
+                showtimeId,
+                message: 'Phiên chọn ghế của bạn đã hết hạn'
+            });
+        });
+        this.logger.info(`[VirtualQueue] Suất ${showtimeId}: hết hạn ${expired.length} phiên chọn ghế`);
+    }
+
+    async _admitBatch(queue, now) {
+        const showtimeId = queue.Showtime_ID;
+        const activeCount = await ShowtimeQueueEntry.count({
+            where: { Showtime_ID: showtimeId, Status: QUEUE_ENTRY_STATUS.ADMITTED }
+        });
+        const slots = Math.min(queue.Batch_Size, queue.Max_Active_Sessions - activeCount);
+        if (slots <= 0) return 0;
+
+        // Lấy dư để bù cho người đang mất kết nối
+        const candidates = await ShowtimeQueueEntry.findAll({
+            where: { Showtime_ID: showtimeId, Status: QUEUE_ENTRY_STATUS.WAITING },
+            order: [['Entry_ID', 'ASC']],
+            limit: slots * 2
+        });
+
+        const idleBefore = new Date(now.getTime() - this.idleMinutes * 60 * 1000);
+        const sessionExpiresAt = new Date(now.getTime() + queue.Session_Minutes * 60 * 1000);
+        let admitted = 0;
+
+        for (const entry of candidates) {
+            if (admitted >= slots) break;
+
+            if (!(await this._isUserOnline(entry.User_ID))) {
+                // Mất kết nối ngắn (tải lại trang) vẫn giữ chỗ, quá lâu thì rời hàng
+                if (new Date(entry.Last_Seen_At || entry.Joined_At) < idleBefore) {
+                    await entry.update({ Status: QUEUE_ENTRY_STATUS.LEFT, Updated_At: now });
+                }
+                continue;
+            }
+
+            await entry.update({
+                Status: QUEUE_ENTRY_STATUS.ADMITTED,
+                Admitted_At: now,
+                Session_Expires_At: sessionExpiresAt,
+                Updated_At: now
+            });
+            admitted++;
+            this._emitToUser(entry.User_ID, 'queue-admitted', this._formatAdmitted(entry));
+        }
+
+        if (admitted > 0) {
+            this.logger.info(`[VirtualQueue] Suất ${showtimeId}: cho vào ${admitted} khách (phiên ${queue.Session_Minutes} phút)`);
+        }
+        return admitted;
+    }
+
+    async _broadcastPositions(queue) {
+        const waiting = await ShowtimeQueueEntry.findAll({
+            where: { Showtime_ID: queue.Showtime_ID, Status: QUEUE_ENTRY_STATUS.WAITING },
+            attributes: ['Entry_ID', 'User_ID'],
+            order: [['Entry_ID', 'ASC']],
+            raw: true
+        });
+
+        waiting.forEach((entry, index) => {
+            this._emitToUser(entry.User_ID, 'queue-status', {
+                showtimeId: queue.Showtime_ID,
+                status: 'waiting',
+                position: index + 1,
+                waitingCount: waiting.length,
+                estimatedWaitSeconds: this._estimateWait(index + 1, queue)
+            });
+        });
+    }
+
+    async _closeQueue(showtimeId) {
+        const waiting = await ShowtimeQueueEntry.findAll({
+            where: { Showtime_ID: showtimeId, Status: QUEUE_ENTRY_STATUS.WAITING },
+            attributes: ['Entry_ID', 'User_ID'],
+            raw: true
+        });
+        if (waiting.length === 0) return;
+
+        await ShowtimeQueueEntry.update(
+            { Status: QUEUE_ENTRY_STATUS.CLOSED, Updated_At: new Date() },
+            { where: { Entry_ID: { [Op.in]: waiting.map(e => e.Entry_ID) } } }
+        );
+        waiting.forEach(entry => {
+            this._emitToUser(entry.User_ID, 'queue-status', { showtimeId: Number(showtimeId), status: 'open' });
+        });
+    }
+
+    async _releaseHeldSeats(showtimeId, userIds) {
+        try {
+            const seatSelectionService = require('./seatSelectionService');
+            const seatMapSyncService = require('./seatMapSyncService');
+            const userIdSet = new Set(userIds.map(String));
+            const seats = await seatSelectionService.getShowtimeSeats(showtimeId);
+            const heldSeats = (Array.isArray(seats) ? seats : [])
+                .filter(seat => seat.status === 'selected' && userIdSet.has(String(seat.userId)));
+
+            for (const seat of heldSeats) {
+                await seatCacheService.deselectSeat(showtimeId, seat.seatId, seat.userId);
+            }
+            if (heldSeats.length > 0) {
+                await seatMapSyncService.publishRefresh(showtimeId);
+            }
+        } catch (error) {
+            this.logger.warn(`[VirtualQueue] Không thể trả ghế của phiên hết hạn suất ${showtimeId}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Tổng quan hàng đợi cho Admin / Manager
+     */
+    async getQueueOverview(showtimeId) {
+        const queue = await ShowtimeQueue.findOne({ where: { Showtime_ID: showtimeId } });
+        if (!queue) {
+            throw _createError('Suất chiếu chưa cấu hình hàng đợi', 404);
+        }
+
+        const entries = await ShowtimeQueueEntry.findAll({
+            where: {
+                Showtime_ID: showtimeId,
+                Status: { [Op.in]: [QUEUE_ENTRY_STATUS.WAITING, QUEUE_ENTRY_STATUS.ADMITTED] }
+            },
+            include: [{ model: User, as: 'User', attributes: ['User_ID', 'Full_Name', 'Email'] }],
+            order: [['Entry_ID', 'ASC']],
+            limit: 200
+        });
+        const counts = await ShowtimeQueueEntry.count({
+            where: { Showtime_ID: showtimeId },
+            group: ['Status']
+        });
+
+        return {
+            queue: queue.toJSON(),
+            counts: counts.reduce((acc, row) => ({ ...acc, [row.Status]: row.count }), {}),
+            entries: entries.map(entry => entry.toJSON())
+        };
+    }
+
+    /**
+     * Danh sách suất chiếu đang bật hàng đợi
+     */
+    async getActiveQueues() {
+        const queues = await ShowtimeQueue.findAll({
+            where: { Is_Enabled: true },
+            order: [['Showtime_ID', 'ASC']]
+        });
+
+        return Promise.all(queues.map(async queue => ({
+            ...queue.toJSON(),
+            Waiting_Count: await ShowtimeQueueEntry.count({
+                where: { Showtime_ID: queue.Showtime_ID, Status: QUEUE_ENTRY_STATUS.WAITING }
+            }),
+            Admitted_Count: await ShowtimeQueueEntry.count({
+                where: { Showtime_ID: queue.Showtime_ID, Status: QUEUE_ENTRY_STATUS.ADMITTED }
+            })
+        })));
+    }
+
+    async _findActiveSession(showtimeId, userId) {
+        return ShowtimeQueueEntry.findOne({
+            where: {
+                Showtime_ID: showtimeId,
+                User_ID: userId,
+                Status: QUEUE_ENTRY_STATUS.ADMITTED,
+                Session_Expires_At: { [Op.gt]: new Date() }
+            }
+        });
+    }
+
+    async _formatWaiting(entry, config) {
+        const position = await ShowtimeQueueEntry.count({
+            where: {
+                Showtime_ID: entry.Showtime_ID,
+                Status: QUEUE_ENTRY_STATUS.WAITING,
+                Entry_ID: { [Op.lte]: entry.Entry_ID }
+            }
+        });
+        const waitingCount = await ShowtimeQueueEntry.count({
+            where: { Showtime_ID: entry.Showtime_ID, Status: QUEUE_ENTRY_STATUS.WAITING }
+        });
+
+        return {
+            showtimeId: entry.Showtime_ID,
+            status: 'waiting',
+            entryId: entry.Entry_ID,
+            position,
+            waitingCount,
+            estimatedWaitSeconds: this._estimateWait(position, config)
+        };
+    }
+
+    _formatAdmitted(entry) {
+        return {
+            showtimeId: entry.Showtime_ID,
+            status: 'admitted',
+            entryId: entry.Entry_ID,
+            sessionExpiresAt: entry.Session_Expires_At
+        };
+    }
+
+    _estimateWait(position, config) {
+        return Math.ceil(position / config.Batch_Size) * config.Admission_Interval_Seconds;
+    }
+
+    async _isUserOnline(userId) {
+        try {
+            const { getIO } = require('../websocket/socketHandler');
+            const sockets = await getIO().in(`user-${userId}`).fetchSockets();
+            return sockets.length > 0;
+        } catch (error) {
+            // Không kiểm tra được thì coi như đang online để không làm mất lượt của khách
+            return true;
+        }
+    }
+
+    _emitToUser(userId, event, payload) {
+        try {
+            const { getIO } = require('../websocket/socketHandler');
+            getIO().to(`user-${userId}`).emit(event, payload);
+        } catch (error) {
+            this.logger.warn(`[VirtualQueue] Không thể gửi sự kiện ${event} cho user ${userId}: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new VirtualQueueService();
@@ -0,0 +1,641 @@
+// services/waitlistService.js
+// Mô tả: Danh sách chờ cho suất chiếu đã hết ghế. Khi có ghế được giải phóng (hủy vé, booking quá hạn, ghế giữ hết hạn),
+// khách đầu tiên trong danh sách có thể xếp đủ ghế sẽ được giữ ghế qua seatCacheService và nhận lời mời có thời hạn
+// qua Socket.IO (room user-<id>) và email. Lời mời hết hạn thì ghế được trả lại và chuyển cho khách tiếp theo.
+// Nhiều node: vòng cron chỉ chạy trên node giữ lease `leader:waitlist`; sự kiện giải phóng ghế có thể đến ở node bất kỳ
+// nên mỗi yêu cầu chờ được giành bằng cập nhật có điều kiện (Status = Waiting) trước khi giữ ghế.
+
+const cron = require('node-cron');
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { WaitlistEntry, Showtime, SeatLayout, TicketBooking, User, Movie, CinemaRoom, sequelize } = require('../models');
+const seatSelectionService = require('./seatSelectionService');
+const seatCacheService = require('./seatCacheService');
+const refundPolicyService = require('./refundPolicyService');
+
+const { WAITLIST_STATUS } = WaitlistEntry;
+const ACTIVE_STATUSES = [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED];
+// Yêu cầu đã được giành (Offered) nhưng chưa kịp ghi lời mời (node dừng giữa chừng) quá lâu thì trả về Waiting
+const STALE_CLAIM_MINUTES = 5;
+
+function _createError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+class WaitlistService {
+    constructor() {
+        this.isRunning = false;
+        this.cronJob = null;
+        this.logger = logger;
+        // Mặc định kiểm tra mỗi phút: hết hạn lời mời và cấp lời mời cho ghế vừa trống
+        this.cronExpression = process.env.WAITLIST_CRON || '* * * * *';
+        this.offerMinutes = parseInt(process.env.WAITLIST_OFFER_MINUTES, 10) || 10;
+        this.maxSeatsPerEntry = parseInt(process.env.WAITLIST_MAX_SEATS, 10) || 8;
+        // Các suất chiếu đang được xử lý, tránh cấp trùng ghế khi nhiều sự kiện giải phóng ghế đến cùng lúc
+        this.processingShowtimes = new Set();
+        this.leaderLease = 'waitlist';
+        this.leaderLeaseTtl = 2 * 60 * 1000;
+        this.lastRun = null;
+    }
+
+    // Khởi động service
+    start() {
+        if (this.isRunning) {
+            this.logger.warn('WaitlistService đã đang chạy');
+            return;
+        }
+
+        this.cronJob = cron.schedule(this.cronExpression, async () => {
+            await this.runCycle();
+        }, {
+            scheduled: false,
+            timezone: 'Asia/Ho_Chi_Minh'
+        });
+
+        this.cronJob.start();
+        this.isRunning = true;
+        this.logger.info(`WaitlistService đã khởi động (cron: ${this.cronExpression}, thời hạn lời mời: ${this.offerMinutes} phút)`);
+    }
+
+    // Dừng service
+    stop() {
+        if (this.cronJob) {
+            this.cronJob.stop();
+            this.cronJob = null;
+        }
+        seatCacheService.releaseLeadership(this.leaderLease).catch(() => {});
+        this.isRunning = false;
+        this.logger.info('WaitlistService đã dừng');
+    }
+
+    getStatus() {
+        return {
+            isRunning: this.isRunning,
+            cronExpression: this.cronExpression,
+            offerMinutes: this.offerMinutes,
+            lastRun: this.lastRun
+        };
+    }
+
+    /**
+     * Một vòng xử lý định kỳ: đóng danh sách chờ của suất đã chiếu, hết hạn lời mời, cấp lời mời mới
+     */
+    async runCycle() {
+        try {
+            const isLeader = await seatCacheService.tryAcquireLeadership(this.leaderLease, this.leaderLeaseTtl);
+            if (!isLeader) {
+                return;
+            }
+
+            await this.closeStartedShowtimes();
+            const affectedShowtimes = await this.expireOffers();
+
+            const waitingShowtimes = await WaitlistEntry.findAll({
+                attributes: [[sequelize.fn('DISTINCT', sequelize.col('Showtime_ID')), 'Showtime_ID']],
+                where: { Status: WAITLIST_STATUS.WAITING },
+                raw: true
+            });
+            waitingShowtimes.forEach(row => affectedShowtimes.add(row.Showtime_ID));
+
+            for (const showtimeId of affectedShowtimes) {
+                await this.processShowtime(showtimeId);
+            }
+            this.lastRun = new Date();
+        } catch (error) {
+            this.logger.error(`[WaitlistService] Lỗi trong vòng xử lý định kỳ: ${error.message}`, { stack: error.stack });
+        }
+    }
+
+    /**
+     * Khách tham gia danh sách chờ của suất chiếu
+     */
+    async joinWaitlist(showtimeId, userId, seatCount) {
+        seatCount = parseInt(seatCount, 10);
+        if (isNaN(seatCount) || seatCount < 1 || seatCount > this.maxSeatsPerEntry) {
+            throw _createError(`Số ghế phải từ 1 đến ${this.maxSeatsPerEntry}`, 400);
+        }
+
+        const showtime = await this._getOpenShowtime(showtimeId);
+
+        const existing = await WaitlistEntry.findOne({
+            where: { Showtime_ID: showtime.Showtime_ID, User_ID: userId, Status: { [Op.in]: ACTIVE_STATUSES } }
+        });
+        if (existing) {
+            throw _createError('Bạn đã có trong danh sách chờ của suất chiếu này', 409);
+        }
+
+        const availableSeats = await this._getAvailableSeats(showtime);
+        if (availableSeats.length >= seatCount) {
+            throw _createError(`Suất chiếu vẫn còn ${availableSeats.length} ghế trống, vui lòng đặt vé trực tiếp`, 400);
+        }
+
+        const entry = await WaitlistEntry.create({
+            Showtime_ID: showtime.Showtime_ID,
+            User_ID: userId,
+            Seat_Count: seatCount,
+            Status: WAITLIST_STATUS.WAITING,
+            Joined_At: new Date()
+        });
+
+        const position = await WaitlistEntry.count({
+            where: {
+                Showtime_ID: showtime.Showtime_ID,
+                Status: WAITLIST_STATUS.WAITING,
+                Joined_At: { [Op.lte]: entry.Joined_At }
+            }
+        });
+
+        this.logger.info(`[WaitlistService] User ${userId} tham gia danh sách chờ suất ${showtime.Showtime_ID} (${seatCount} ghế), vị trí ${position}`);
+        return { ...entry.toJSON(), Position: position };
+    }
+
+    /**
+     * Khách rời danh sách chờ hoặc từ chối lời mời; ghế đang giữ được chuyển cho khách tiếp theo
+     */
+    async leaveWaitlist(waitlistId, userId, isStaff = false) {
+        const entry = await WaitlistEntry.findByPk(waitlistId);
+        if (!entry) {
+            throw _createError(`Không tìm thấy yêu cầu chờ có ID ${waitlistId}`, 404);
+        }
+        if (!isStaff && entry.User_ID !== userId) {
+            throw _createError('Bạn không có quyền hủy yêu cầu chờ này', 403);
+        }
+        if (!ACTIVE_STATUSES.includes(entry.Status)) {
+            throw _createError(`Yêu cầu chờ đang ở trạng thái ${entry.Status}, không thể hủy`, 400);
+        }
+
+        const wasOffered = entry.Status === WAITLIST_STATUS.OFFERED;
+        if (wasOffered) {
+            await this._releaseSeats(entry);
+        }
+        await entry.update({ Status: WAITLIST_STATUS.CANCELLED, Updated_At: new Date() });
+
+        if (wasOffered) {
+            this.notifySeatsReleased(entry.Showtime_ID);
+        }
+
+        this.logger.info(`[WaitlistService] Yêu cầu chờ ${waitlistId} đã bị hủy bởi user ${userId}`);
+        return entry;
+    }
+
+    async getMyEntries(userId) {
+        return WaitlistEntry.findAll({
+            where: { User_ID: userId },
+            include: [{
+                model: Showtime,
+                as: 'Showtime',
+                attributes: ['Showtime_ID', 'Show_Date', 'Start_Time', 'Capacity_Available'],
+                include: [{ model: Movie, as: 'Movie', attributes: ['Movie_ID', 'Movie_Name'] }]
+            }],
+            order: [['Joined_At', 'DESC']]
+        });
+    }
+
+    async getShowtimeEntries(showtimeId, status = null) {
+        const where = { Showtime_ID: showtimeId };
+        if (status) where.Status = status;
+
+        return WaitlistEntry.findAll({
+            where,
+            include: [{ model: User, as: 'User', attributes: ['User_ID', 'Full_Name', 'Email'] }],
+            order: [['Joined_At', 'ASC']]
+        });
+    }
+
+    /**
+     * Nhu cầu danh sách chờ theo suất chiếu (cho Manager)
+     * @param {Object} filters - showtimeId, movieId, cinemaId, date (YYYY-MM-DD)
+     */
+    async getDemand(filters = {}) {
+        const entryWhere = {};
+        if (filters.showtimeId) entryWhere.Showtime_ID = filters.showtimeId;
+
+        const rows = await WaitlistEntry.findAll({
+            attributes: [
+                'Showtime_ID',
+                'Status',
+                [sequelize.fn('COUNT', sequelize.col('Waitlist_ID')), 'entries'],
+                [sequelize.fn('SUM', sequelize.col('Seat_Count')), 'seats']
+            ],
+            where: entryWhere,
+            group: ['Showtime_ID', 'Status'],
+            raw: true
+        });
+        if (rows.length === 0) return [];
+
+        const showtimeWhere = { Showtime_ID: { [Op.in]: [...new Set(rows.map(r => r.Showtime_ID))] } };
+        if (filters.movieId) showtimeWhere.Movie_ID = filters.movieId;
+        if (filters.date) showtimeWhere.Show_Date = filters.date;
+
+        const showtimes = await Showtime.findAll({
+            where: showtimeWhere,
+            attributes: ['Showtime_ID', 'Movie_ID', 'Show_Date', 'Start_Time', 'Capacity_Available', 'Status'],
+            include: [
+                { model: Movie, as: 'Movie', attributes: ['Movie_Name'] },
+                {
+                    model: CinemaRoom,
+                    as: 'CinemaRoom',
+                    attributes: ['Cinema_Room_ID', 'Room_Name', 'Cinema_ID'],
+                    ...(filters.cinemaId ? { where: { Cinema_ID: filters.cinemaId } } : {})
+                }
+            ]
+        });
+
+        return showtimes.map(showtime => {
+            const counts = Object.values(WAITLIST_STATUS).reduce((result, status) => {
+                const row = rows.find(r => r.Showtime_ID === showtime.Showtime_ID && r.Status === status);
+                result[status] = {
+                    entries: row ? parseInt(row.entries, 10) : 0,
+                    seats: row ? parseInt(row.seats, 10) || 0 : 0
+                };
+                return result;
+            }, {});
+
+            const resolvedOffers = counts[WAITLIST_STATUS.BOOKED].entries + counts[WAITLIST_STATUS.EXPIRED].entries;
+            return {
+                showtimeId: showtime.Showtime_ID,
+                movieName: showtime.Movie?.Movie_Name || null,
+                roomName: showtime.CinemaRoom?.Room_Name || null,
+                cinemaId: showtime.CinemaRoom?.Cinema_ID || null,
+                showDate: showtime.Show_Date,
+                startTime: showtime.Start_Time,
+                showtimeStatus: showtime.Status,
+                capacityAvailable: showtime.Capacity_Available,
+                waitingEntries: counts[WAITLIST_STATUS.WAITING].entries,
+                waitingSeats: counts[WAITLIST_STATUS.WAITING].seats,
+                offeredEntries: counts[WAITLIST_STATUS.OFFERED].entries,
+                offeredSeats: counts[WAITLIST_STATUS.OFFERED].seats,
+                bookedEntries: counts[WAITLIST_STATUS.BOOKED].entries,
+                bookedSeats: counts[WAITLIST_STATUS.BOOKED].seats,
+                expiredEntries: counts[WAITLIST_STATUS.EXPIRED].entries,
+                cancelledEntries: counts[WAITLIST_STATUS.CANCELLED].entries,
+                conversionRate: resolvedOffers > 0
+                    ? Math.round((counts[WAITLIST_STATUS.BOOKED].entries / resolvedOffers) * 10000) / 100
+                    : null
+            };
+        }).sort((a, b) => b.waitingSeats - a.waitingSeats);
+    }
+
+    /**
+     * Báo có ghế vừa được giải phóng (hủy vé, booking quá hạn) - xử lý bất đồng bộ, không chặn luồng gọi
+     */
+    notifySeatsReleased(showtimeId) {
+        if (!showtimeId) return;
+        setImmediate(() => {
+            this.processShowtime(showtimeId).catch(error => {
+                this.logger.error(`[WaitlistService] Lỗi khi xử lý danh sách chờ suất ${showtimeId}: ${error.message}`);
+            });
+        });
+    }
+
+    /**
+     * Cấp lời mời cho các khách đang chờ theo thứ tự tham gia, khi số ghế trống đủ cho yêu cầu của họ
+     * @returns {Promise<number>} Số lời mời đã gửi
+     */
+    async processShowtime(showtimeId) {
+        showtimeId = parseInt(showtimeId, 10);
+        if (this.processingShowtimes.has(showtimeId)) return 0;
+        this.processingShowtimes.add(showtimeId);
+
+        try {
+            const waitingEntries = await WaitlistEntry.findAll({
+                where: { Showtime_ID: showtimeId, Status: WAITLIST_STATUS.WAITING },
+                order: [['Joined_At', 'ASC']]
+            });
+            if (waitingEntries.length === 0) return 0;
+
+            const showtime = await Showtime.findByPk(showtimeId);
+            const showtimeStart = refundPolicyService.getShowtimeStart(showtime);
+            if (!showtime || showtime.Status === 'Cancelled' || (showtimeStart && showtimeStart <= new Date())) {
+                await this._expireEntries(waitingEntries);
+                return 0;
+            }
+
+            let availableSeats = await this._getAvailableSeats(showtime);
+            let offersSent = 0;
+
+            // Lấy lần lượt khách đầu tiên xếp đủ ghế; yêu cầu lớn hơn số ghế trống tiếp tục chờ
+            for (const entry of waitingEntries) {
+                if (availableSeats.length === 0) break;
+                if (entry.Seat_Count > availableSeats.length) continue;
+
+                // Node khác đã giành yêu cầu này (hoặc khách vừa hủy): bỏ qua
+                if (!await this._claimEntry(entry)) continue;
+
+                const seats = this._pickSeats(availableSeats, entry.Seat_Count);
+                const { seatIds: heldSeatIds, holdSeconds } = await this._holdSeats(entry, seats);
+                if (heldSeatIds.length < entry.Seat_Count) {
+                    // Ghế vừa bị người khác chọn: trả yêu cầu về hàng chờ, lấy lại sơ đồ ghế và thử khách tiếp theo
+                    await this._unclaimEntry(entry);
+                    availableSeats = await this._getAvailableSeats(showtime);
+                    continue;
+                }
+
+                const offeredAt = new Date();
+                const expiresAt = new Date(offeredAt.getTime() + holdSeconds * 1000);
+                const offerFields = {
+                    Status: WAITLIST_STATUS.OFFERED,
+                    Offered_Seats: heldSeatIds.join(','),
+                    Offered_At: offeredAt,
+                    Offer_Expires_At: expiresAt,
+                    Offer_Count: entry.Offer_Count + 1,
+                    Updated_At: offeredAt
+                };
+                // Chỉ ghi lời mời khi yêu cầu vẫn đang được giành (khách có thể vừa rời danh sách chờ)
+                const [recorded] = await WaitlistEntry.update(offerFields, {
+                    where: { Waitlist_ID: entry.Waitlist_ID, Status: WAITLIST_STATUS.OFFERED, Offer_Expires_At: null }
+                });
+                if (recorded !== 1) {
+                    await this._releaseSeats({ ...entry.get(), Offered_Seats: offerFields.Offered_Seats });
+                    availableSeats = await this._getAvailableSeats(showtime);
+                    continue;
+                }
+                entry.set(offerFields);
+
+                availableSeats = availableSeats.filter(seat => !heldSeatIds.includes(seat.seatId));
+                offersSent++;
+
+                await this._sendOffer(entry, showtime, seats);
+            }
+
+            if (offersSent > 0) {
+                await this._broadcastSeatsState(showtimeId);
+                this.logger.info(`[WaitlistService] Đã gửi ${offersSent} lời mời cho suất chiếu ${showtimeId}`);
+            }
+            return offersSent;
+        } finally {
+            this.processingShowtimes.delete(showtimeId);
+        }
+    }
+
+    /**
+     * Đánh dấu lời mời đã được khách dùng để đặt vé (gọi sau khi tạo booking)
+     */
+    async markOfferBooked(showtimeId, userId, bookingId) {
+        const entry = await WaitlistEntry.findOne({
+            where: { Showtime_ID: showtimeId, User_ID: userId, Status: WAITLIST_STATUS.OFFERED }
+        });
+        if (!entry) return null;
+
+        await entry.update({ Status: WAITLIST_STATUS.BOOKED, Booking_ID: bookingId, Updated_At: new Date() });
+        this.logger.info(`[WaitlistService] Lời mời ${entry.Waitlist_ID} đã được dùng để đặt booking ${bookingId}`);
+        return entry;
+    }
+
+    /**
+     * Hết hạn các lời mời quá thời hạn, trả ghế lại
+     * @returns {Promise<Set<number>>} Các suất chiếu có ghế được trả lại
+     */
+    async expireOffers() {
+        const affectedShowtimes = new Set();
+
+        const staleClaims = await WaitlistEntry.findAll({
+            where: {
+                Status: WAITLIST_STATUS.OFFERED,
+                Offer_Expires_At: null,
+                Updated_At: { [Op.lt]: new Date(Date.now() - STALE_CLAIM_MINUTES * 60 * 1000) }
+            }
+        });
+        for (const entry of staleClaims) {
+            await this._unclaimEntry(entry);
+            affectedShowtimes.add(entry.Showtime_ID);
+        }
+
+        const expiredOffers = await WaitlistEntry.findAll({
+            where: { Status: WAITLIST_STATUS.OFFERED, Offer_Expires_At: { [Op.lt]: new Date() } }
+        });
+
+        for (const entry of expiredOffers) {
+            // Khách có thể đã đặt vé nhưng chưa được đánh dấu (ví dụ đặt qua kênh khác)
+            const booking = await TicketBooking.findOne({
+                where: {
+                    Showtime_ID: entry.Showtime_ID,
+                    User_ID: entry.User_ID,
+                    Status: { [Op.in]: ['Pending', 'Confirmed'] },
+                    Booking_Date: { [Op.gte]: entry.Offered_At }
+                },
+                attributes: ['Booking_ID']
+            });
+            if (booking) {
+                await entry.update({ Status: WAITLIST_STATUS.BOOKED, Booking_ID: booking.Booking_ID, Updated_At: new Date() });
+                continue;
+            }
+
+            await this._releaseSeats(entry);
+            await entry.update({ Status: WAITLIST_STATUS.EXPIRED, Updated_At: new Date() });
+            affectedShowtimes.add(entry.Showtime_ID);
+            this._emitToUser(entry.User_ID, 'waitlist-offer-expired', {
+                waitlistId: entry.Waitlist_ID,
+                showtimeId: entry.Showtime_ID
+            });
+        }
+
+        if (expiredOffers.length > 0) {
+            this.logger.info(`[WaitlistService] Đã xử lý ${expiredOffers.length} lời mời hết hạn`);
+        }
+        return affectedShowtimes;
+    }
+
+    /**
+     * Đóng các yêu cầu chờ của suất chiếu đã bắt đầu hoặc bị hủy
+     */
+    async closeStartedShowtimes() {
+        const activeEntries = await WaitlistEntry.findAll({
+            where: { Status: { [Op.in]: ACTIVE_STATUSES } },
+            include: [{ model: Showtime, as: 'Showtime', attributes: ['Showtime_ID', 'Show_Date', 'Start_Time', 'Status'] }]
+        });
+
+        const now = new Date();
+        const closedEntries = activeEntries.filter(entry => {
+            const start = refundPolicyService.getShowtimeStart(entry.Showtime);
+            return !entry.Showtime || entry.Showtime.Status === 'Cancelled' || (start && start <= now);
+        });
+        await this._expireEntries(closedEntries);
+    }
+
+    async _expireEntries(entries) {
+        for (const entry of entries) {
+            if (entry.Status === WAITLIST_STATUS.OFFERED) {
+                await this._releaseSeats(entry);
+            }
+            await entry.update({ Status: WAITLIST_STATUS.EXPIRED, Updated_At: new Date() });
+        }
+    }
+
+    async _getOpenShowtime(showtimeId) {
+        const showtime = await Showtime.findByPk(showtimeId);
+        if (!showtime) {
+            throw _createError(`Không tìm thấy suất chiếu có ID ${showtimeId}`, 404);
+        }
+        if (['Cancelled', 'Hidden'].includes(showtime.Status)) {
+            throw _createError('Suất chiếu không còn mở bán', 400);
+        }
+        const start = refundPolicyService.getShowtimeStart(showtime);
+        if (start && start <= new Date()) {
+            throw _createError('Suất chiếu đã bắt đầu', 400);
+        }
+        return showtime;
+    }
+
+    // Ghế còn trống thực sự (chưa đặt, chưa có ai giữ) theo sơ đồ ghế hiện tại
+    async _getAvailableSeats(showtime) {
+        const layoutCount = await SeatLayout.count({
+            where: { Cinema_Room_ID: showtime.Cinema_Room_ID, Is_Active: true }
+        });
+        // Không có layout thì seatSelectionService trả về sơ đồ mẫu, không dùng để cấp ghế
+        if (layoutCount === 0) return [];
+
+        const seats = await seatSelectionService.getShowtimeSeats(showtime.Showtime_ID);
+        return (Array.isArray(seats) ? seats : []).filter(seat => seat.status === 'available');
+    }
+
+    /**
+     * Chọn ghế cho lời mời: ưu tiên dãy ghế liền nhau trong cùng hàng, sau đó cùng hàng, cuối cùng là bất kỳ
+     */
+    _pickSeats(availableSeats, count) {
+        const rows = new Map();
+        for (const seat of availableSeats) {
+            if (!rows.has(seat.row)) rows.set(seat.row, []);
+            rows.get(seat.row).push(seat);
+        }
+
+        for (const seats of rows.values()) {
+            seats.sort((a, b) => a.column - b.column);
+            for (let i = 0; i + count <= seats.length; i++) {
+                const block = seats.slice(i, i + count);
+                const contiguous = block.every((seat, index) => index === 0 || seat.column === block[index - 1].column + 1);
+                if (contiguous) return block;
+            }
+        }
+
+        for (const seats of rows.values()) {
+            if (seats.length >= count) return seats.slice(0, count);
+        }
+
+        return availableSeats.slice(0, count);
+    }
+
+    /**
+     * Giành quyền cấp lời mời cho yêu cầu chờ bằng cập nhật có điều kiện: chỉ một node chuyển được Waiting → Offered
+     * @returns {Promise<boolean>}
+     */
+    async _claimEntry(entry) {
+        const [claimed] = await WaitlistEntry.update(
+            { Status: WAITLIST_STATUS.OFFERED, Updated_At: new Date() },
+            { where: { Waitlist_ID: entry.Waitlist_ID, Status: WAITLIST_STATUS.WAITING } }
+        );
+        return claimed === 1;
+    }
+
+    // Trả yêu cầu đã giành nhưng chưa cấp được lời mời về hàng chờ (giữ nguyên thứ tự Joined_At)
+    async _unclaimEntry(entry) {
+        await WaitlistEntry.update(
+            { Status: WAITLIST_STATUS.WAITING, Updated_At: new Date() },
+            { where: { Waitlist_ID: entry.Waitlist_ID, Status: WAITLIST_STATUS.OFFERED, Offer_Expires_At: null } }
+        );
+    }
+
+    // Giữ ghế cho khách trong seatCacheService, kéo dài thời gian giữ bằng thời hạn lời mời.
+    // Memory cache không hỗ trợ gia hạn: khi đó lời mời chỉ kéo dài bằng thời gian giữ ghế mặc định.
+    async _holdSeats(entry, seats) {
+        const socketId = `waitlist-${entry.Waitlist_ID}`;
+        const extensionSeconds = Math.max(0, this.offerMinutes * 60 - seatCacheService.SEAT_HOLD_TIMEOUT);
+        let holdSeconds = seatCacheService.SEAT_HOLD_TIMEOUT + extensionSeconds;
+        const held = [];
+
+        for (const seat of seats) {
+            const result = await seatSelectionService.selectSeat(entry.Showtime_ID, seat.seatId, entry.User_ID, socketId, { bypassQueue: true });
+            if (!result.success) {
+                // Không giữ được đủ ghế: trả lại các ghế đã giữ
+                for (const seatId of held) {
+                    await seatCacheService.deselectSeat(entry.Showtime_ID, seatId, entry.User_ID);
+                }
+                return { seatIds: [], holdSeconds: 0 };
+            }
+            held.push(seat.seatId);
+            if (extensionSeconds > 0) {
+                const extension = await seatCacheService.extendSeatHold(entry.Showtime_ID, seat.seatId, entry.User_ID, extensionSeconds);
+                if (!extension.success) {
+                    holdSeconds = seatCacheService.SEAT_HOLD_TIMEOUT;
+                }
+            }
+        }
+        return { seatIds: held, holdSeconds };
+    }
+
+    async _releaseSeats(entry) {
+        const seatIds = (entry.Offered_Seats || '').split(',').filter(Boolean);
+        for (const seatId of seatIds) {
+            try {
+                await seatCacheService.deselectSeat(entry.Showtime_ID, seatId, entry.User_ID);
+            } catch (error) {
+                this.logger.warn(`[WaitlistService] Không thể trả ghế ${seatId} của yêu cầu chờ ${entry.Waitlist_ID}: ${error.message}`);
+            }
+        }
+        if (seatIds.length > 0) {
+            await this._broadcastSeatsState(entry.Showtime_ID);
+        }
+    }
+
+    async _sendOffer(entry, showtime, seats) {
+        const seatIds = seats.map(seat => seat.seatId);
+        const payload = {
+            waitlistId: entry.Waitlist_ID,
+            showtimeId: showtime.Showtime_ID,
+            seats: seatIds,
+            layoutSeatIds: seats.map(seat => seat.layoutId),
+            totalPrice: seats.reduce((sum, seat) => sum + (seat.price || 0), 0),
+            expiresAt: entry.Offer_Expires_At
+        };
+
+        this._emitToUser(entry.User_ID, 'waitlist-offer', payload);
+
+        try {
+            const user = await User.findByPk(entry.User_ID, { attributes: ['Email', 'Full_Name'] });
+            if (!user || !user.Email) return;
+
+            const EmailService = require('./emailService');
+            const { emailConfig } = require('../config/appConfig');
+            const emailService = new EmailService(logger, emailConfig);
+
+            const movie = await Movie.findByPk(showtime.Movie_ID, { attributes: ['Movie_Name'] });
+            const start = refundPolicyService.getShowtimeStart(showtime);
+            const body = `
+                <p>Xin chào <strong>${user.Full_Name}</strong>,</p>
+                <p>Đã có ${seatIds.length} ghế trống cho suất chiếu <strong>${movie?.Movie_Name || ''}</strong>
+                ${start ? `lúc ${start.toLocaleString('vi-VN')}` : ''} mà bạn đang chờ.</p>
+                <p>Ghế đang được giữ cho bạn: <strong>${seatIds.join(', ')}</strong></p>
+                <p>Vui lòng đặt vé trước <strong>${entry.Offer_Expires_At.toLocaleString('vi-VN')}</strong>,
+                sau thời gian này ghế sẽ được chuyển cho khách tiếp theo trong danh sách chờ.</p>
+            `;
+            await emailService.sendEmailAsync(user.Email, 'Đã có ghế trống cho suất chiếu bạn đang chờ', body);
+        } catch (error) {
+            this.logger.warn(`[WaitlistService] Không thể gửi email lời mời cho yêu cầu chờ ${entry.Waitlist_ID}: ${error.message}`);
+        }
+    }
+
+    _emitToUser(userId, event, payload) {
+        try {
+            const { getIO } = require('../websocket/socketHandler');
+            getIO().to(`user-${userId}`).emit(event, payload);
+        } catch (error) {
+            this.logger.warn(`[WaitlistService] Không thể gửi sự kiện ${event} cho user ${userId}: ${error.message}`);
+        }
+    }
+
+    async _broadcastSeatsState(showtimeId) {
+        try {
+            const seatMapSyncService = require('./seatMapSyncService');
+            await seatMapSyncService.publishRefresh(showtimeId);
+        } catch (error) {
+            this.logger.warn(`[WaitlistService] Không thể broadcast trạng thái ghế suất ${showtimeId}: ${error.message}`);
+        }
+    }
+}
+
+const waitlistService = new WaitlistService();
+waitlistService.WAITLIST_STATUS = WAITLIST_STATUS;
+
+module.exports = waitlistService;
@@ -0,0 +1,219 @@
+// File: src/utils/lunarCalendar.js
+// Mô tả: Chuyển đổi Âm lịch <-> Dương lịch (lịch Việt Nam, múi giờ +7) tính toán cục bộ,
+// dựa trên thuật toán thiên văn của Hồ Ngọc Đức. Dùng cho các ngày lễ theo Âm lịch (Tết, Giỗ Tổ...).
+
+const VIETNAM_TIMEZONE = 7;
+const LUNAR_CACHE = new Map();
+
+// Số ngày Julius của một ngày Dương lịch
+const jdFromDate = (dd, mm, yy) => {
+  const a = Math.floor((14 - mm) / 12);
+  const y = yy + 4800 - a;
+  const m = mm + 12 * a - 3;
+  let jd = dd + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4) - Math.floor(y / 100) + Math.floor(y / 400) - 32045;
+  if (jd < 2299161) {
+    jd = dd + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4) - 32083;
+  }
+  return jd;
+};
+
+// Chuyển số ngày Julius về ngày Dương lịch [ngày, tháng, năm]
+const jdToDate = (jd) => {
+  let b;
+  let c;
+  if (jd > 2299160) {
+    const a = jd + 32044;
+    b = Math.floor((4 * a + 3) / 146097);
+    c = a - Math.floor((b * 146097) / 4);
+  } else {
+    b = 0;
+    c = jd + 32082;
+  }
+  const d = Math.floor((4 * c + 3) / 1461);
+  const e = c - Math.floor((1461 * d) / 4);
+  const m = Math.floor((5 * e + 2) / 153);
+  const day = e - Math.floor((153 * m + 2) / 5) + 1;
+  const month = m + 3 - 12 * Math.floor(m / 10);
+  const year = b * 100 + d - 4800 + Math.floor(m / 10);
+  return [day, month, year];
+};
+
+// Thời điểm (ngày Julius) của điểm Sóc thứ k kể từ 1/1/1900
+const newMoon = (k) => {
+  const T = k / 1236.85;
+  const T2 = T * T;
+  const T3 = T2 * T;
+  const dr = Math.PI / 180;
+  let jd1 = 2415020.75933 + 29.53058868 * k + 0.0001178 * T2 - 0.000000155 * T3;
+  jd1 += 0.00033 * Math.sin((166.56 + 132.87 * T - 0.009173 * T2) * dr);
+  const M = 359.2242 + 29.10535608 * k - 0.0000333 * T2 - 0.00000347 * T3;
+  const Mpr = 306.0253 + 385.81691806 * k + 0.0107306 * T2 + 0.00001236 * T3;
+  const F = 21.2964 + 390.67050646 * k - 0.0016528 * T2 - 0.00000239 * T3;
+  let C1 = (0.1734 - 0.000393 * T) * Math.sin(M * dr) + 0.0021 * Math.sin(2 * dr * M);
+  C1 = C1 - 0.4068 * Math.sin(Mpr * dr) + 0.0161 * Math.sin(dr * 2 * Mpr);
+  C1 = C1 - 0.0004 * Math.sin(dr * 3 * Mpr);
+  C1 = C1 + 0.0104 * Math.sin(dr * 2 * F) - 0.0051 * Math.sin(dr * (M + Mpr));
+  C1 = C1 - 0.0074 * Math.sin(dr * (M - Mpr)) + 0.0004 * Math.sin(dr * (2 * F + M));
+  C1 = C1 - 0.0004 * Math.sin(dr * (2 * F - M)) - 0.0006 * Math.sin(dr * (2 * F + Mpr));
+  C1 = C1 + 0.0010 * Math.sin(dr * (2 * F - Mpr)) + 0.0005 * Math.sin(dr * (2 * Mpr + M));
+  const deltat = T < -11
+    ? 0.001 + 0.000839 * T + 0.0002261 * T2 - 0.00000845 * T3 - 0.000000081 * T * T3
+    : -0.000278 + 0.000265 * T + 0.000262 * T2;
+  return jd1 + C1 - deltat;
+};
+
+// Kinh độ mặt trời (radian) tại thời điểm jdn
+const sunLongitude = (jdn) => {
+  const T = (jdn - 2451545.0) / 36525;
+  const T2 = T * T;
+  const dr = Math.PI / 180;
+  const M = 357.52910 + 35999.05030 * T - 0.0001559 * T2 - 0.00000048 * T * T2;
+  const L0 = 280.46645 + 36000.76983 * T + 0.0003032 * T2;
+  let DL = (1.914600 - 0.004817 * T - 0.000014 * T2) * Math.sin(dr * M);
+  DL = DL + (0.019993 - 0.000101 * T) * Math.sin(dr * 2 * M) + 0.000290 * Math.sin(dr * 3 * M);
+  let L = (L0 + DL) * dr;
+  L -= Math.PI * 2 * Math.floor(L / (Math.PI * 2));
+  return L;
+};
+
+const getSunLongitude = (dayNumber, timeZone) =>
+  Math.floor((sunLongitude(dayNumber - 0.5 - timeZone / 24) / Math.PI) * 6);
+
+const getNewMoonDay = (k, timeZone) => Math.floor(newMoon(k) + 0.5 + timeZone / 24);
+
+// Ngày bắt đầu tháng 11 Âm lịch của năm yy
+const getLunarMonth11 = (yy, timeZone) => {
+  const off = jdFromDate(31, 12, yy) - 2415021;
+  const k = Math.floor(off / 29.530588853);
+  let nm = getNewMoonDay(k, timeZone);
+  if (getSunLongitude(nm, timeZone) >= 9) {
+    nm = getNewMoonDay(k - 1, timeZone);
+  }
+  return nm;
+};
+
+// Vị trí tháng nhuận tính từ tháng 11 Âm lịch
+const getLeapMonthOffset = (a11, timeZone) => {
+  const k = Math.floor((a11 - 2415021.076998695) / 29.530588853 + 0.5);
+  let last;
+  let i = 1;
+  let arc = getSunLongitude(getNewMoonDay(k + i, timeZone), timeZone);
+  do {
+    last = arc;
+    i++;
+    arc = getSunLongitude(getNewMoonDay(k + i, timeZone), timeZone);
+  } while (arc !== last && i < 14);
+  return i - 1;
+};
+
+/**
+ * Chuyển một ngày Âm lịch sang Dương lịch
+ * @param {number} lunarDay - Ngày Âm lịch
+ * @param {number} lunarMonth - Tháng Âm lịch (1-12)
+ * @param {number} lunarYear - Năm Âm lịch
+ * @param {boolean} [isLeapMonth=false] - Tháng nhuận
+ * @param {number} [timeZone=7] - Múi giờ
+ * @returns {Date|null} - Ngày Dương lịch (00:00 giờ địa phương) hoặc null nếu ngày không tồn tại
+ */
+const lunarToSolar = (lunarDay, lunarMonth, lunarYear, isLeapMonth = false, timeZone = VIETNAM_TIMEZONE) => {
+  const cacheKey = `${lunarDay}-${lunarMonth}-${lunarYear}-${isLeapMonth ? 1 : 0}-${timeZone}`;
+  if (LUNAR_CACHE.has(cacheKey)) {
+    return LUNAR_CACHE.get(cacheKey);
+  }
+
+  let a11;
+  let b11;
+  if (lunarMonth < 11) {
+    a11 = getLunarMonth11(lunarYear - 1, timeZone);
+    b11 = getLunarMonth11(lunarYear, timeZone);
+  } else {
+    a11 = getLunarMonth11(lunarYear, timeZone);
+    b11 = getLunarMonth11(lunarYear + 1, timeZone);
+  }
+  const k = Math.floor(0.5 + (a11 - 2415021.076998695) / 29.530588853);
+  let off = lunarMonth - 11;
+  if (off < 0) {
+    off += 12;
+  }
+
+  let result = null;
+  let valid = true;
+  if (b11 - a11 > 365) {
+    const leapOff = getLeapMonthOffset(a11, timeZone);
+    let leapMonth = leapOff - 2;
+    if (leapMonth < 0) {
+      leapMonth += 12;
+    }
+    if (isLeapMonth && lunarMonth !== leapMonth) {
+      valid = false;
+    } else if (isLeapMonth || off >= leapOff) {
+      off += 1;
+    }
+  } else if (isLeapMonth) {
+    valid = false;
+  }
+
+  if (valid) {
+    const monthStart = getNewMoonDay(k + off, timeZone);
+    // Ngày 30 không tồn tại nếu tháng Âm lịch chỉ có 29 ngày
+    const nextMonthStart = getNewMoonDay(k + off + 1, timeZone);
+    if (lunarDay >= 1 && monthStart + lunarDay - 1 < nextMonthStart) {
+      const [day, month, year] = jdToDate(monthStart + lunarDay - 1);
+      result = new Date(year, month - 1, day);
+    }
+  }
+
+  LUNAR_CACHE.set(cacheKey, result);
+  return result;
+};
+
+/**
+ * Chuyển một ngày Dương lịch sang Âm lịch
+ * @param {Date} date - Ngày Dương lịch
+ * @param {number} [timeZone=7] - Múi giờ
+ * @returns {{day: number, month: number, year: number, isLeapMonth: boolean}}
+ */
+const solarToLunar = (date, timeZone = VIETNAM_TIMEZONE) => {
+  const dayNumber = jdFromDate(date.getDate(), date.getMonth() + 1, date.getFullYear());
+  const k = Math.floor((dayNumber - 2415021.076998695) / 29.530588853);
+  let monthStart = getNewMoonDay(k + 1, timeZone);
+  if (monthStart > dayNumber) {
+    monthStart = getNewMoonDay(k, timeZone);
+  }
+  let a11 = getLunarMonth11(date.getFullYear(), timeZone);
+  let b11 = a11;
+  let lunarYear;
+  if (a11 >= monthStart) {
+    lunarYear = date.getFullYear();
+    a11 = getLunarMonth11(date.getFullYear() - 1, timeZone);
+  } else {
+    lunarYear = date.getFullYear() + 1;
+    b11 = getLunarMonth11(date.getFullYear() + 1, timeZone);
+  }
+  const lunarDay = dayNumber - monthStart + 1;
+  const diff = Math.floor((monthStart - a11) / 29);
+  let isLeapMonth = false;
+  let lunarMonth = diff + 11;
+  if (b11 - a11 > 365) {
+    const leapMonthDiff = getLeapMonthOffset(a11, timeZone);
+    if (diff >= leapMonthDiff) {
+      lunarMonth = diff + 10;
+      if (diff === leapMonthDiff) {
+        isLeapMonth = true;
+      }
+    }
+  }
+  if (lunarMonth > 12) {
+    lunarMonth -= 12;
+  }
+  if (lunarMonth >= 11 && diff < 4) {
+    lunarYear -= 1;
+  }
+  return { day: lunarDay, month: lunarMonth, year: lunarYear, isLeapMonth };
+};
+
+module.exports = {
+  lunarToSolar,
+  solarToLunar,
+  VIETNAM_TIMEZONE
+};
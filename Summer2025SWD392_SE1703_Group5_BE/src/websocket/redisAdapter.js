@@ -0,0 +1,48 @@
+// src/websocket/redisAdapter.js
+// Gắn Socket.IO Redis adapter để broadcast room (showtime-*, user-*) đi qua tất cả các node
+
+const Redis = require('redis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+
+// 'redis' khi adapter đã gắn, 'local' khi chỉ broadcast trong node hiện tại
+let adapterMode = 'local';
+
+/**
+ * Tạo cặp pub/sub client và gắn Redis adapter cho io.
+ * Nếu Redis không kết nối được, io giữ adapter mặc định (in-memory): mọi thứ vẫn chạy
+ * nhưng client kết nối vào node khác sẽ không nhận được broadcast của node này.
+ */
+const attachRedisAdapter = async (io) => {
+    const pubClient = Redis.createClient({
+        socket: {
+            host: process.env.REDIS_HOST || 'localhost',
+            port: process.env.REDIS_PORT || 6379,
+            connectTimeout: 5000
+        },
+        password: process.env.REDIS_PASSWORD || undefined,
+        database: process.env.REDIS_DB || 0
+    });
+    const subClient = pubClient.duplicate();
+
+    pubClient.on('error', (err) => console.error('❌ [SOCKET] Lỗi Redis adapter (pub):', err.message || err.code));
+    subClient.on('error', (err) => console.error('❌ [SOCKET] Lỗi Redis adapter (sub):', err.message || err.code));
+
+    try {
+        await Promise.all([pubClient.connect(), subClient.connect()]);
+        io.adapter(createAdapter(pubClient, subClient));
+        adapterMode = 'redis';
+        console.log('✅ [SOCKET] Đã gắn Redis adapter, broadcast sẽ được đồng bộ giữa các node');
+    } catch (error) {
+        console.warn(`⚠️ [SOCKET] Không thể gắn Redis adapter (${error.message}), broadcast chỉ trong node hiện tại`);
+        await Promise.allSettled([pubClient.disconnect(), subClient.disconnect()]);
+    }
+
+    return adapterMode;
+};
+
+const getAdapterMode = () => adapterMode;
+
+module.exports = {
+    attachRedisAdapter,
+    getAdapterMode
+};
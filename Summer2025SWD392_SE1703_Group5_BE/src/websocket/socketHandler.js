@@ -2,6 +2,11 @@
 // WebSocket event handlers cho real-time seat selection
 
 const seatSelectionService = require('../services/seatSelectionService');
+const bestAvailableSeatService = require('../services/bestAvailableSeatService');
+const seatMapSyncService = require('../services/seatMapSyncService');
+const virtualQueueService = require('../services/virtualQueueService');
+const seatHoldSessionService = require('../services/seatHoldSessionService');
+const seatBookingRulesService = require('../services/seatBookingRulesService');
 const jwt = require('jsonwebtoken');
 
 // Biến global để lưu trữ Socket.IO instance
@@ -72,8 +77,9 @@ const ensureNumericShowtimeId = (showtimeId) => {
 /**
  * Khởi tạo WebSocket handlers
  */
-const initSocketHandlers = (io) => {
+const initSocketHandlers = (ioInstance) => {
     console.log('🔄 Đang khởi tạo WebSocket handlers...');
+    io = ioInstance;
 
     // Áp dụng middleware xác thực cho tất cả connections
     io.use(authenticateSocket);
@@ -90,24 +96,35 @@ const initSocketHandlers = (io) => {
         const userId = socket.user?.id;
         console.log(`🔌 User ${userId} connected (Socket: ${socket.id})`);
 
+        // Room riêng của user để nhận thông báo cá nhân (ví dụ lời mời từ danh sách chờ)
+        if (userId) {
+            socket.join(`user-${userId}`);
+        }
+
+        // Phiên chọn ghế: client gửi lại token cũ (auth.seatSessionToken) để nối lại các ghế đang giữ sau khi mất kết nối
+        const requestedSessionToken = socket.handshake.auth?.seatSessionToken || socket.handshake.query?.seatSessionToken || null;
+        const seatSessionReady = seatHoldSessionService.attach(userId, requestedSessionToken, socket.id)
+            .then(session => {
+                socket.emit('seat-session', session);
+                return session;
+            })
+            .catch(error => {
+                console.error(`❌ Error attaching seat session for user ${userId}:`, error);
+                return null;
+            });
+        const getSeatSessionToken = async () => (await seatSessionReady)?.token || null;
+
         // Xử lý khi client ngắt kết nối
         socket.on('disconnect', (reason) => {
             console.log(`🔌 User ${userId} disconnected (${reason})`);
 
-            // 🔧 FIX: Delay release để tránh conflict với booking process
-            // Nếu user đang trong quá trình booking, delay 3 giây để booking hoàn thành
-            setTimeout(() => {
-                console.log(`🔄 [DELAYED_RELEASE] Checking if should release seats for user ${userId} after disconnect`);
-
-                // Giải phóng ghế đang chọn khi người dùng ngắt kết nối
-                seatSelectionService.releaseUserSeats(userId, socket.id)
-                    .then(releasedCount => {
-                        console.log(`✅ Released ${releasedCount} seats for disconnected user ${userId}`);
-                    })
-                    .catch(error => {
-                        console.error(`❌ Error releasing seats for user ${userId}:`, error);
-                    });
-            }, 3000); // Delay 3 giây
+            // Không trả ghế ngay: phiên được giữ trong thời gian chờ để client nối lại (mạng di động chập chờn),
+            // hết thời gian chờ mà không nối lại thì ghế của phiên mới được trả
+            getSeatSessionToken()
+                .then(token => token && seatHoldSessionService.detach(token, socket.id))
+                .catch(error => {
+                    console.error(`❌ Error detaching seat session for user ${userId}:`, error);
+                });
         });
 
         // Tham gia vào room của một suất chiếu
@@ -121,6 +138,14 @@ const initSocketHandlers = (io) => {
                 }
                 
                 console.log(`🔄 User ${userId} joining showtime ${showtimeId}`);
+
+                // Suất chiếu bật phòng chờ ảo: chưa tới lượt thì chỉ nhận vị trí trong hàng, chưa vào sơ đồ ghế.
+                // Khi được cho vào, client nhận queue-admitted và gửi lại join-showtime.
+                const queueState = await virtualQueueService.enterQueue(showtimeId, userId, socket.user?.role);
+                socket.emit('queue-status', queueState);
+                if (queueState.status === 'waiting') {
+                    return;
+                }
                 
                 // Rời khỏi tất cả rooms hiện tại
                 Object.keys(socket.rooms).forEach(room => {
@@ -143,20 +168,17 @@ const initSocketHandlers = (io) => {
                 // This was causing cross-tab sync issues where joining a room would clear all user seats
                 // Users should manually clear seats if needed
 
-                // Gửi trạng thái ghế hiện tại
+                // Gửi snapshot sơ đồ ghế kèm seq, sau đó client chỉ nhận seat-delta
                 try {
-                    const seats = await seatSelectionService.getShowtimeSeats(showtimeId);
+                    const snapshot = await seatMapSyncService.getSnapshot(showtimeId);
 
-                    // Đảm bảo seats là một mảng
-                    const validSeats = Array.isArray(seats) ? seats : [];
+                    console.log(`📡 [JOIN_SHOWTIME] Sending ${snapshot.seats.length} seats (seq ${snapshot.seq}) to user ${userId}`);
 
-                    console.log(`📡 [JOIN_SHOWTIME] Sending ${validSeats.length} seats to user ${userId}`);
-
-                    socket.emit('seats-state', validSeats);
+                    socket.emit('seats-snapshot', snapshot);
                 } catch (seatsError) {
                     console.error(`❌ Error getting seats for showtime ${showtimeId}:`, seatsError);
                     socket.emit('error', { message: `Không thể lấy thông tin ghế: ${seatsError.message}` });
-                    socket.emit('seats-state', []); // Gửi mảng rỗng để client không bị lỗi
+                    socket.emit('seats-snapshot', { showtimeId, seq: 0, seats: [] }); // Gửi sơ đồ rỗng để client không bị lỗi
                 }
             } catch (error) {
                 console.error(`❌ Error handling join-showtime:`, error);
@@ -194,9 +216,7 @@ const initSocketHandlers = (io) => {
                         socket.emit('seat-conflict', { seatId, message: 'Ghế này đã được đặt' });
                         
                         // Gửi lại trạng thái ghế mới nhất
-                        const seats = await seatSelectionService.getShowtimeSeats(showtimeId);
-                        const validSeats = Array.isArray(seats) ? seats : [];
-                        socket.emit('seats-state', validSeats);
+                        socket.emit('seats-snapshot', await seatMapSyncService.getSnapshot(showtimeId));
                         return;
                     }
                 } catch (conflictError) {
@@ -207,10 +227,18 @@ const initSocketHandlers = (io) => {
 
                 // Thực hiện chọn ghế
                 try {
-                    const result = await seatSelectionService.selectSeat(showtimeId, seatId, userId, socket.id);
+                    const result = await seatSelectionService.selectSeat(showtimeId, seatId, userId, socket.id, {
+                        role: socket.user?.role,
+                        sessionToken: await getSeatSessionToken(),
+                        accessibilityRequested: data.accessibilityRequested === true
+                    });
                     
                     if (!result.success) {
-                        socket.emit('error', { message: result.message || 'Không thể chọn ghế' });
+                        socket.emit('error', {
+                            message: result.message || 'Không thể chọn ghế',
+                            code: result.code,
+                            ...(result.violations ? { rule: result.rule, errorCode: result.errorCode, violations: result.violations } : {})
+                        });
                         return;
                     }
                 } catch (selectError) {
@@ -229,11 +257,8 @@ const initSocketHandlers = (io) => {
                     console.log(`📡 [BROADCAST] Room ${roomName} có ${clientCount} clients`);
                     console.log(`📡 [BROADCAST] Clients trong room:`, roomClients ? Array.from(roomClients) : []);
 
-                    const seats = await seatSelectionService.getShowtimeSeats(showtimeId);
-                    const validSeats = Array.isArray(seats) ? seats : [];
-
-                    console.log(`📡 [BROADCAST] Gửi seats-state đến ${clientCount} clients trong room ${roomName}`);
-                    io.to(roomName).emit('seats-state', validSeats);
+                    console.log(`📡 [BROADCAST] Gửi seat-delta đến ${clientCount} clients trong room ${roomName}`);
+                    await seatMapSyncService.publishDelta(showtimeId, [{ seatId, status: 'selected', userId }]);
 
                     // 🔄 QUAN TRỌNG: Broadcast seat-selected cho tất cả users để cross-tab sync
                     const seatSelectedData = {
@@ -255,6 +280,59 @@ const initSocketHandlers = (io) => {
             }
         });
 
+        // Tự động chọn nhóm ghế tốt nhất (tương đương POST /api/seat-selection/best-available, mặc định giữ ghế)
+        socket.on('auto-select-seats', async (data) => {
+            try {
+                const showtimeId = ensureNumericShowtimeId(data?.showtimeId);
+                if (!showtimeId) {
+                    throw new Error('Thiếu thông tin showtimeId');
+                }
+
+                const result = await bestAvailableSeatService.findBestAvailable(showtimeId, {
+                    quantity: data.quantity,
+                    seatType: data.seatType,
+                    hold: data.hold !== false,
+                    userId,
+                    socketId: socket.id,
+                    role: socket.user?.role,
+                    sessionToken: await getSeatSessionToken(),
+                    accessibilityRequested: data.accessibilityRequested === true
+                });
+
+                socket.emit('best-available-seats', result);
+
+                if (result.held) {
+                    const roomName = `showtime-${showtimeId}`;
+                    await seatMapSyncService.publishDelta(showtimeId, result.seats.map(seat => ({ seatId: seat.seatId, status: 'selected', userId })));
+                    result.seats.forEach(seat => {
+                        io.to(roomName).emit('seat-selected', { seatId: seat.seatId, userId, status: 'selected', success: true });
+                    });
+                }
+            } catch (error) {
+                console.error(`❌ Error handling auto-select-seats:`, error);
+                socket.emit('error', { message: `Không thể tự động chọn ghế: ${error.message}`, code: error.code });
+            }
+        });
+
+        // Kiểm tra trước nhóm ghế theo quy tắc đặt ghế của rạp (ghế trống lẻ, ghế đôi, giãn cách...)
+        socket.on('validate-seat-selection', async (data) => {
+            try {
+                const showtimeId = ensureNumericShowtimeId(data?.showtimeId);
+                if (!showtimeId) {
+                    throw new Error('ID suất chiếu không hợp lệ');
+                }
+
+                const result = await seatBookingRulesService.validateSeatSelection(showtimeId, data.seatIds, userId, {
+                    role: socket.user?.role,
+                    accessibilityRequested: data.accessibilityRequested === true
+                });
+                socket.emit('seat-rules-result', result);
+            } catch (error) {
+                console.error(`❌ Error handling validate-seat-selection:`, error);
+                socket.emit('error', { message: `Không thể kiểm tra quy tắc đặt ghế: ${error.message}` });
+            }
+        });
+
         // Bỏ chọn ghế
         socket.on('deselect-seat', async (data) => {
             try {
@@ -280,7 +358,7 @@ const initSocketHandlers = (io) => {
                     const result = await seatSelectionService.deselectSeat(showtimeId, seatId, userId);
                     
                     if (!result.success) {
-                        socket.emit('error', { message: result.message || 'Không thể bỏ chọn ghế' });
+                        socket.emit('error', { message: result.message || 'Không thể bỏ chọn ghế', code: result.code });
                         return;
                     }
                 } catch (deselectError) {
@@ -292,9 +370,7 @@ const initSocketHandlers = (io) => {
                 // Broadcast trạng thái ghế mới cho tất cả người dùng trong room
                 try {
                     const roomName = `showtime-${showtimeId}`;
-                    const seats = await seatSelectionService.getShowtimeSeats(showtimeId);
-                    const validSeats = Array.isArray(seats) ? seats : [];
-                    io.to(roomName).emit('seats-state', validSeats);
+                    await seatMapSyncService.publishDelta(showtimeId, [{ seatId, status: 'available', userId: null }]);
 
                     // 🔄 QUAN TRỌNG: Broadcast seat-deselected cho tất cả users để cross-tab sync
                     io.to(roomName).emit('seat-deselected', {
@@ -326,6 +402,7 @@ const initSocketHandlers = (io) => {
                 console.log(`🧹 [CLEAR_ALL_USER_SEATS] Clearing all seats for user ${userId} in showtime ${showtimeId}`);
 
                 // Thực hiện xóa tất cả ghế
+                let clearedSeats = [];
                 try {
                     const result = await seatSelectionService.clearAllUserSeats(showtimeId, userId);
                     
@@ -334,6 +411,7 @@ const initSocketHandlers = (io) => {
                         return;
                     }
                     
+                    clearedSeats = result.clearedSeats || [];
                     console.log(`✅ All seats cleared for user ${userId} in showtime ${showtimeId}`);
                 } catch (clearError) {
                     console.error(`❌ Error clearing seats: ${clearError.message}`);
@@ -343,11 +421,8 @@ const initSocketHandlers = (io) => {
 
                 // Broadcast trạng thái ghế mới cho tất cả người dùng trong room
                 try {
-                const roomName = `showtime-${showtimeId}`;
-                    const seats = await seatSelectionService.getShowtimeSeats(showtimeId);
-                    const validSeats = Array.isArray(seats) ? seats : [];
-                    io.to(roomName).emit('seats-state', validSeats);
-                    
+                    await seatMapSyncService.publishDelta(showtimeId, clearedSeats.map(clearedSeatId => ({ seatId: clearedSeatId, status: 'available', userId: null })));
+
                     // Gửi thông báo thành công cho người dùng
                     socket.emit('seats-cleared', { success: true });
                 } catch (broadcastError) {
@@ -375,10 +450,8 @@ const initSocketHandlers = (io) => {
                 // Thực hiện xác nhận đặt ghế
                 const result = await seatSelectionService.confirmSeatBooking(showtimeId, seatIds, userId, totalAmount);
 
-                // Broadcast trạng thái ghế mới cho tất cả người dùng trong room
-                    const roomName = `showtime-${showtimeId}`;
-                const seats = await seatSelectionService.getShowtimeSeats(showtimeId);
-                io.to(roomName).emit('seats-state', seats);
+                // Broadcast các ghế thay đổi cho tất cả người dùng trong room
+                await seatMapSyncService.publishRefresh(showtimeId);
 
                 // Gửi thông báo thành công cho người dùng
                     socket.emit('booking-confirmed', {
@@ -402,14 +475,48 @@ const initSocketHandlers = (io) => {
                     throw new Error('Invalid showtime ID format');
                 }
                 
-                const seats = await seatSelectionService.getShowtimeSeats(showtimeId);
-                socket.emit('seats-state', seats);
+                socket.emit('seats-snapshot', await seatMapSyncService.getSnapshot(showtimeId));
             } catch (error) {
                 console.error(`❌ Error handling get-seats-state:`, error);
                 socket.emit('error', { message: `Không thể lấy trạng thái ghế: ${error.message}` });
             }
         });
 
+        // Rời phòng chờ ảo của suất chiếu
+        socket.on('leave-queue', async (data) => {
+            try {
+                const showtimeId = ensureNumericShowtimeId(data?.showtimeId || data);
+                if (!showtimeId) {
+                    throw new Error('ID suất chiếu không hợp lệ');
+                }
+
+                socket.emit('queue-status', { ...(await virtualQueueService.leaveQueue(showtimeId, userId)), status: 'left' });
+            } catch (error) {
+                console.error(`❌ Error handling leave-queue:`, error);
+                socket.emit('error', { message: `Không thể rời hàng đợi: ${error.message}` });
+            }
+        });
+
+        // Client phát hiện lỡ delta (seq nhảy cóc): phát lại từ nhật ký hoặc gửi snapshot mới
+        socket.on('resync-seats', async (data) => {
+            try {
+                const showtimeId = ensureNumericShowtimeId(data?.showtimeId);
+                if (!showtimeId) {
+                    throw new Error('Invalid showtime ID format');
+                }
+
+                const resync = await seatMapSyncService.getResync(showtimeId, data.lastSeq);
+                if (resync.type === 'replay') {
+                    socket.emit('seat-deltas-replay', { showtimeId, deltas: resync.deltas });
+                } else {
+                    socket.emit('seats-snapshot', resync.snapshot);
+                }
+            } catch (error) {
+                console.error(`❌ Error handling resync-seats:`, error);
+                socket.emit('error', { message: `Không thể đồng bộ lại sơ đồ ghế: ${error.message}` });
+            }
+        });
+
         // Gia hạn thời gian giữ ghế
         socket.on('extend-seat-hold', async (data) => {
             try {
@@ -0,0 +1,303 @@
+// File: tests/bookingExchange.test.js
+// Mô tả: Kiểm tra cách tính tiền khi đổi vé: giới hạn điểm 50% giá mới, khuyến mãi theo giá mới
+// và thanh toán phần chênh lệch bằng điểm không làm Points_Used vượt giới hạn.
+
+require('./helpers/noDatabase');
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { Op } = require('sequelize');
+const {
+    Ticket,
+    Seat,
+    Payment,
+    BookingHistory,
+    UserPoints,
+    PointsRedemption,
+    sequelize
+} = require('../src/models');
+const bookingService = require('../src/services/bookingService');
+const ticketTransferService = require('../src/services/ticketTransferService');
+const pointsService = require('../src/services/pointsService');
+const refundPolicyService = require('../src/services/refundPolicyService');
+const seatBookingRulesService = require('../src/services/seatBookingRulesService');
+const seatSelectionService = require('../src/services/seatSelectionService');
+const seatCacheService = require('../src/services/seatCacheService');
+const showtimeSeatBlockService = require('../src/services/showtimeSeatBlockService');
+
+describe('Tính tiền đơn sau khi đổi vé', () => {
+    it('giữ nguyên điểm đã dùng khi vẫn trong giới hạn 50% giá mới', () => {
+        const result = bookingService._calculateExchangeAmounts({ newSubtotal: 300000, oldPointsUsed: 50000 });
+
+        assert.deepStrictEqual(result, {
+            newPointsUsed: 50000,
+            pointsReturned: 0,
+            promotionDropped: false,
+            newPromotionDiscount: 0,
+            newTotal: 250000
+        });
+    });
+
+    it('trả lại phần điểm vượt 50% giá mới khi đổi sang vé rẻ hơn', () => {
+        const result = bookingService._calculateExchangeAmounts({ newSubtotal: 60000, oldPointsUsed: 50000, concessionTotal: 20000 });
+
+        assert.strictEqual(result.newPointsUsed, 30000);
+        assert.strictEqual(result.pointsReturned, 20000);
+        assert.strictEqual(result.newTotal, 50000);
+    });
+
+    it('tính lại khuyến mãi theo giá mới', () => {
+        const promotion = { Discount_Type: 'Percentage', Discount_Value: 10, Maximum_Discount: null, Minimum_Purchase: 100000 };
+        const result = bookingService._calculateExchangeAmounts({ newSubtotal: 200000, oldPointsUsed: 0, promotion });
+
+        assert.strictEqual(result.promotionDropped, false);
+        assert.strictEqual(result.newPromotionDiscount, 20000);
+        assert.strictEqual(result.newTotal, 180000);
+    });
+
+    it('bỏ khuyến mãi khi giá mới không còn đạt giá trị đơn tối thiểu', () => {
+        const promotion = { Discount_Type: 'Fixed', Discount_Value: 30000, Minimum_Purchase: 100000 };
+        const result = bookingService._calculateExchangeAmounts({ newSubtotal: 120000, oldPointsUsed: 40000, promotion });
+
+        assert.strictEqual(result.promotionDropped, true);
+        assert.strictEqual(result.newPromotionDiscount, 0);
+        assert.strictEqual(result.newTotal, 80000);
+    });
+});
+
+describe('Thanh toán chênh lệch khi đổi vé', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    // Mặc định: đơn cũ 200.000đ dùng 50.000 điểm (đã trả 150.000đ tiền), đổi sang ghế tổng 300.000đ
+    const setupExchange = ({ userPointsBalance, newSubtotal = 300000, cashPaid = 150000, exchangePointsPaid = 0 }) => {
+        const booking = {
+            Booking_ID: 42,
+            User_ID: 7,
+            Showtime_ID: 10,
+            Promotion_ID: null,
+            Status: 'Confirmed',
+            Total_Amount: cashPaid,
+            Showtime: { Showtime_ID: 10, increment: mock.fn(async () => {}) },
+            update: mock.fn(async () => {})
+        };
+        const amounts = bookingService._calculateExchangeAmounts({ newSubtotal, oldPointsUsed: 50000 });
+        const oldTotal = cashPaid + exchangePointsPaid;
+        const quote = {
+            booking,
+            oldShowtimeId: 10,
+            oldTickets: [{ Seat_ID: 501 }, { Seat_ID: 502 }],
+            newShowtime: { Showtime_ID: 11, decrement: mock.fn(async () => {}) },
+            newLayoutIds: [5, 6],
+            ticketPricings: [],
+            showtimeChanged: true,
+            oldSeatLabels: ['A1', 'A2'],
+            newSeatLabels: ['E5', 'E6'],
+            oldSubtotal: 200000,
+            newSubtotal,
+            oldPointsUsed: 50000,
+            promotion: null,
+            oldPromotionDiscount: 0,
+            concessionTotal: 0,
+            exchangePointsPaid,
+            oldTotal,
+            ...amounts,
+            difference: amounts.newTotal - oldTotal
+        };
+
+        const transaction = { finished: undefined };
+        transaction.commit = mock.fn(async () => { transaction.finished = 'commit'; });
+        transaction.rollback = mock.fn(async () => { transaction.finished = 'rollback'; });
+        mock.method(sequelize, 'transaction', async () => transaction);
+
+        mock.method(bookingService, '_loadBookingForExchange', async () => booking);
+        mock.method(bookingService, '_buildExchangeQuote', async () => quote);
+        mock.method(bookingService, 'createOrUpdateSeats', async () => []);
+        mock.method(bookingService, 'createTickets', async () => []);
+        mock.method(bookingService, '_afterBookingExchange', () => {});
+        mock.method(ticketTransferService, 'cancelPendingForBooking', async () => {});
+        mock.method(Ticket, 'destroy', async () => 2);
+        mock.method(Seat, 'destroy', async () => 2);
+        mock.method(BookingHistory, 'create', async () => ({}));
+
+        const userPoints = { total_points: userPointsBalance, update: mock.fn(async () => {}) };
+        mock.method(UserPoints, 'findOne', async () => userPoints);
+
+        return {
+            booking,
+            quote,
+            transaction,
+            userPoints,
+            redemptionCreate: mock.method(PointsRedemption, 'create', async () => ({})),
+            paymentCreate: mock.method(Payment, 'create', async () => ({})),
+            refundPoints: mock.method(pointsService, 'refundPointsForCancelledBooking', async () => {}),
+            recordRefund: mock.method(bookingService, 'recordRefundLineItems', async () => {})
+        };
+    };
+
+    it('trả chênh lệch bằng điểm không tính vào Total_Amount, Points_Used giữ mức đã giới hạn', async () => {
+        const { booking, transaction, userPoints, redemptionCreate, paymentCreate, refundPoints } = setupExchange({ userPointsBalance: 200000 });
+
+        const result = await bookingService.exchangeBooking(42, { showtimeId: 11, seats: [5, 6], paymentMethod: 'Points' }, 7);
+
+        // Total_Amount chỉ là tiền thực trả, 100.000đ trả bằng điểm nằm ở dòng Payment 'Points'
+        const bookingValues = booking.update.mock.calls[0].arguments[0];
+        assert.strictEqual(bookingValues.Points_Used, 50000);
+        assert.strictEqual(bookingValues.Total_Amount, 150000);
+        assert.strictEqual(result.booking.Points_Used, 50000);
+        assert.strictEqual(result.exchange.amountToPay, 100000);
+
+        const payment = paymentCreate.mock.calls[0].arguments[0];
+        assert.strictEqual(payment.Payment_Method, 'Points');
+        assert.strictEqual(payment.Amount, 100000);
+        assert.match(payment.Payment_Reference, /^EXCHANGE-/);
+        assert.strictEqual(userPoints.update.mock.calls[0].arguments[0].total_points, 100000);
+        assert.strictEqual(redemptionCreate.mock.calls[0].arguments[0].Points_Redeemed, 100000);
+        assert.strictEqual(refundPoints.mock.callCount(), 0);
+        assert.strictEqual(transaction.finished, 'commit');
+    });
+
+    it('đổi suất chiếu trả chỗ trống cho suất cũ và trừ chỗ trống của suất mới trong cùng transaction', async () => {
+        const { booking, quote, transaction } = setupExchange({ userPointsBalance: 200000 });
+
+        await bookingService.exchangeBooking(42, { showtimeId: 11, seats: [5, 6], paymentMethod: 'Points' }, 7);
+
+        assert.deepStrictEqual(booking.Showtime.increment.mock.calls[0].arguments, ['Capacity_Available', { by: 2, transaction }]);
+        assert.deepStrictEqual(quote.newShowtime.decrement.mock.calls[0].arguments, ['Capacity_Available', { by: 2, transaction }]);
+    });
+
+    it('trả chênh lệch bằng tiền mặt được cộng vào Total_Amount', async () => {
+        const { booking, paymentCreate } = setupExchange({ userPointsBalance: 0 });
+
+        await bookingService.exchangeBooking(42, { showtimeId: 11, seats: [5, 6], paymentMethod: 'Cash' }, 2, { isStaff: true });
+
+        assert.strictEqual(booking.update.mock.calls[0].arguments[0].Total_Amount, 250000);
+        assert.strictEqual(paymentCreate.mock.calls[0].arguments[0].Payment_Method, 'Cash');
+    });
+
+    it('đổi sang vé rẻ hơn hoàn trước phần chênh lệch đã trả bằng điểm, không đổi thành tiền', async () => {
+        // Lần đổi trước đã trả 100.000đ bằng điểm; giá mới 200.000đ nên tổng còn 150.000đ, thừa 100.000đ
+        const { booking, userPoints, paymentCreate, recordRefund } = setupExchange({
+            userPointsBalance: 10000,
+            newSubtotal: 200000,
+            exchangePointsPaid: 100000
+        });
+
+        const result = await bookingService.exchangeBooking(42, { showtimeId: 11, seats: [5, 6], refundMethod: 'money' }, 7);
+
+        assert.strictEqual(result.exchange.amountToRefund, 100000);
+        assert.strictEqual(userPoints.update.mock.calls[0].arguments[0].total_points, 110000);
+        const payment = paymentCreate.mock.calls[0].arguments[0];
+        assert.strictEqual(payment.Payment_Method, 'Points');
+        assert.strictEqual(payment.Amount, -100000);
+        assert.strictEqual(recordRefund.mock.callCount(), 0);
+        assert.strictEqual(booking.update.mock.calls[0].arguments[0].Total_Amount, 150000);
+    });
+
+    it('phần hoàn vượt chênh lệch đã trả bằng điểm mới hoàn về tiền', async () => {
+        // Đã trả 20.000đ chênh lệch bằng điểm, giá mới 100.000đ: tổng còn 50.000đ, thừa 120.000đ
+        const { booking, recordRefund } = setupExchange({
+            userPointsBalance: 0,
+            newSubtotal: 100000,
+            exchangePointsPaid: 20000
+        });
+
+        await bookingService.exchangeBooking(42, { showtimeId: 11, seats: [5, 6], refundMethod: 'money' }, 7);
+
+        assert.strictEqual(recordRefund.mock.calls[0].arguments[1].refundAmount, 100000);
+        assert.strictEqual(booking.update.mock.calls[0].arguments[0].Total_Amount, 50000);
+    });
+
+    it('không đủ điểm thì hủy đổi vé và không cập nhật đơn', async () => {
+        const { booking, transaction, paymentCreate } = setupExchange({ userPointsBalance: 99999 });
+
+        await assert.rejects(
+            bookingService.exchangeBooking(42, { showtimeId: 11, seats: [5, 6], paymentMethod: 'Points' }, 7),
+            { statusCode: 400 }
+        );
+        assert.strictEqual(booking.update.mock.callCount(), 0);
+        assert.strictEqual(paymentCreate.mock.callCount(), 0);
+        assert.strictEqual(transaction.rollback.mock.callCount(), 1);
+    });
+});
+
+describe('Hoàn tiền khi hủy đơn đã đổi vé', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('chỉ tính chênh lệch đổi vé trả bằng điểm từ các dòng Payments Points mã EXCHANGE-', async () => {
+        const sum = mock.method(Payment, 'sum', async () => '80000');
+
+        assert.strictEqual(await bookingService.getExchangePointsPaid(42), 80000);
+        const { where } = sum.mock.calls[0].arguments[1];
+        assert.strictEqual(where.Booking_ID, 42);
+        assert.strictEqual(where.Payment_Method, 'Points');
+        assert.strictEqual(where.Payment_Reference[Op.like], 'EXCHANGE-%');
+    });
+
+    it('hoàn phần trả bằng điểm thành điểm, chỉ hoàn tiền phần đã trả bằng tiền', () => {
+        const booking = {
+            Booking_ID: 42,
+            Status: 'Confirmed',
+            Total_Amount: 150000,
+            Points_Used: 50000,
+            Showtime: { Show_Date: '2099-01-01', Start_Time: '20:00:00' }
+        };
+
+        const quote = refundPolicyService.calculateRefund(booking, {
+            refundMethod: 'money',
+            waivePolicy: true,
+            exchangePointsPaid: 100000
+        });
+
+        assert.strictEqual(quote.refundAmount, 150000);
+        assert.strictEqual(quote.pointsUsedReturned, 150000);
+    });
+});
+
+describe('Kiểm tra ghế mới khi đổi vé', () => {
+    const layouts = [
+        { Layout_ID: 5, Row_Label: 'E', Column_Number: 5 },
+        { Layout_ID: 6, Row_Label: 'E', Column_Number: 6 }
+    ];
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('áp dụng quy tắc đặt ghế của rạp, ghế cũ của chính đơn được xem là trống', async () => {
+        mock.method(showtimeSeatBlockService, 'findActiveBlocksForLayouts', async () => []);
+        mock.method(Ticket, 'findAll', async () => []);
+        mock.method(seatSelectionService, 'getShowtimeSeats', async () => []);
+        const validate = mock.method(seatBookingRulesService, 'validateSeatBookingRules', async () => ({
+            valid: false,
+            rule: 'GAP_PREVENTION',
+            errorCode: 'SINGLE_SEAT_GAP',
+            message: 'Không được để trống 1 ghế lẻ',
+            violations: [{ rule: 'GAP_PREVENTION', code: 'SINGLE_SEAT_GAP', seats: ['E7'] }]
+        }));
+
+        await assert.rejects(
+            bookingService._checkExchangeSeatsAvailable(11, layouts, { Booking_ID: 42, User_ID: 7 }, 7, null, { role: 'Customer' }),
+            error => error.statusCode === 400 && error.code === 'SEAT_RULE_VIOLATION' && error.errorCode === 'SINGLE_SEAT_GAP'
+        );
+
+        const [layoutIds, showtimeId, , options] = validate.mock.calls[0].arguments;
+        assert.deepStrictEqual(layoutIds, [5, 6]);
+        assert.strictEqual(showtimeId, 11);
+        assert.deepStrictEqual(options, { userId: 7, role: 'Customer', excludeBookingId: 42 });
+    });
+
+    it('không tính vé của đơn đang đổi là ghế đã có người', async () => {
+        const findAll = mock.method(Ticket, 'findAll', async () => [{ Seat: { Layout_ID: 9 } }]);
+        mock.method(showtimeSeatBlockService, 'getBlockedLayoutMap', async () => new Map());
+        mock.method(seatCacheService, 'getShowtimeSeats', async () => ({}));
+
+        const occupied = await seatBookingRulesService.getOccupiedLayoutIds(11, layouts, 7, null, 42);
+
+        assert.deepStrictEqual([...occupied], [9]);
+        assert.strictEqual(findAll.mock.calls[0].arguments[0].where.Booking_ID[Op.ne], 42);
+    });
+});
@@ -0,0 +1,106 @@
+// File: tests/concessionStock.test.js
+// Mô tả: Kiểm tra tồn kho bắp nước: trừ có điều kiện khi tạo đơn (không bán vượt tồn kho, combo trừ theo thành phần)
+// và hoàn lại đúng số lượng khi booking bị hủy.
+
+require('./helpers/noDatabase');
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { Op } = require('sequelize');
+const { ConcessionProduct, ConcessionOrder, ConcessionOrderItem } = require('../src/models');
+const concessionService = require('../src/services/concessionService');
+
+const { ORDER_STATUS } = concessionService;
+
+// Bắp (1), nước (2) và combo (3) gồm 1 bắp + 2 nước
+const POPCORN = { Product_ID: 1, Product_Name: 'Bắp', Is_Combo: false, ComboItems: [] };
+const DRINK = { Product_ID: 2, Product_Name: 'Nước', Is_Combo: false, ComboItems: [] };
+const COMBO = {
+    Product_ID: 3,
+    Product_Name: 'Combo',
+    Is_Combo: true,
+    ComboItems: [{ Product_ID: 1, Quantity: 1 }, { Product_ID: 2, Quantity: 2 }]
+};
+const PRODUCTS = [POPCORN, DRINK, COMBO];
+
+// Tồn kho giả lập: áp dụng Stock_Quantity = literal('Stock_Quantity +/- n') theo đúng điều kiện where
+function stubStock(initialStock) {
+    const stock = new Map(Object.entries(initialStock).map(([id, quantity]) => [Number(id), quantity]));
+    mock.method(ConcessionProduct, 'update', async (values, { where }) => {
+        const current = stock.get(where.Product_ID);
+        const minimum = where.Stock_Quantity?.[Op.gte];
+        if (current === undefined || (minimum !== undefined && current < minimum)) return [0];
+
+        const [, sign, amount] = values.Stock_Quantity.val.match(/Stock_Quantity ([+-]) (\d+)/);
+        stock.set(where.Product_ID, current + (sign === '+' ? 1 : -1) * Number(amount));
+        return [1];
+    });
+    mock.method(ConcessionProduct, 'findByPk', async (productId) => ({
+        Product_Name: PRODUCTS.find(product => product.Product_ID === productId).Product_Name,
+        Stock_Quantity: stock.get(productId)
+    }));
+    return stock;
+}
+
+const line = (product, quantity) => ({ product, quantity });
+
+describe('Giữ tồn kho khi tạo đơn bắp nước', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('trừ tồn kho của sản phẩm lẻ và thành phần combo', async () => {
+        const stock = stubStock({ 1: 10, 2: 10 });
+
+        await concessionService._reserveStock([line(POPCORN, 1), line(COMBO, 2)], null);
+
+        assert.strictEqual(stock.get(1), 7);
+        assert.strictEqual(stock.get(2), 6);
+    });
+
+    it('không bán vượt tồn kho khi hai đơn cùng mua phần cuối', async () => {
+        const stock = stubStock({ 1: 5, 2: 10 });
+
+        const results = await Promise.allSettled([
+            concessionService._reserveStock([line(POPCORN, 3)], null),
+            concessionService._reserveStock([line(POPCORN, 3)], null)
+        ]);
+
+        assert.deepStrictEqual(results.map(result => result.status), ['fulfilled', 'rejected']);
+        assert.strictEqual(results[1].reason.statusCode, 409);
+        assert.strictEqual(results[1].reason.code, 'OUT_OF_STOCK');
+        assert.strictEqual(stock.get(1), 2);
+    });
+});
+
+describe('Hoàn tồn kho khi hủy booking', () => {
+    let stock;
+
+    beforeEach(() => {
+        stock = stubStock({ 1: 10, 2: 10 });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('hoàn lại đúng số lượng đã trừ và chỉ hủy đơn chưa bị hủy', async () => {
+        const lines = [line(POPCORN, 2), line(COMBO, 1)];
+        await concessionService._reserveStock(lines, null);
+        assert.deepStrictEqual([stock.get(1), stock.get(2)], [7, 8]);
+
+        const order = { Order_ID: 9, Status: ORDER_STATUS.PENDING, update: mock.fn(async () => {}) };
+        const findOrders = mock.method(ConcessionOrder, 'findAll', async () => [order]);
+        mock.method(ConcessionOrderItem, 'findAll', async () => [
+            { Product_ID: 1, Quantity: 2 },
+            { Product_ID: 3, Quantity: 1 }
+        ]);
+        mock.method(ConcessionProduct, 'findAll', async () => [POPCORN, COMBO]);
+
+        const cancelled = await concessionService.cancelBookingOrders(50, null);
+
+        assert.strictEqual(cancelled, 1);
+        assert.deepStrictEqual([stock.get(1), stock.get(2)], [10, 10]);
+        assert.deepStrictEqual(findOrders.mock.calls[0].arguments[0].where, {
+            Booking_ID: 50,
+            Status: { [Op.ne]: ORDER_STATUS.CANCELLED }
+        });
+        assert.strictEqual(order.update.mock.calls[0].arguments[0].Status, ORDER_STATUS.CANCELLED);
+    });
+});
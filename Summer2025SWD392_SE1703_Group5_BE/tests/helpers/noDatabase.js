@@ -0,0 +1,10 @@
+// File: tests/helpers/noDatabase.js
+// Mô tả: Cho phép nạp models/services trong test mà không cần database.
+// models/index.js tự gọi sequelize.sync() ngoài production, ở đây thay bằng hàm rỗng;
+// các truy vấn cần cho từng test được giả lập bằng mock của node:test.
+
+const { Sequelize } = require('sequelize');
+
+Sequelize.prototype.sync = async function () {
+    return this;
+};
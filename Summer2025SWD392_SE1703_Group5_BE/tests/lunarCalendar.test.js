@@ -0,0 +1,40 @@
+// File: tests/lunarCalendar.test.js
+// Mô tả: Kiểm tra chuyển đổi Âm lịch -> Dương lịch cho các ngày lễ Âm lịch dùng trong bảng giá (Tết, Giỗ Tổ Hùng Vương)
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { lunarToSolar, solarToLunar } = require('../src/utils/lunarCalendar');
+
+// Ngày Dương lịch đã đối chiếu với lịch Việt Nam
+const EXPECTED_DATES = {
+    2024: { tet: '2024-02-10', gioTo: '2024-04-18' },
+    2025: { tet: '2025-01-29', gioTo: '2025-04-07' },
+    2026: { tet: '2026-02-17', gioTo: '2026-04-26' },
+    2027: { tet: '2027-02-06', gioTo: '2027-04-16' }
+};
+
+// So sánh theo ngày/tháng/năm để không phụ thuộc múi giờ của máy chạy test
+const formatDate = date => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+].join('-');
+
+for (const [year, expected] of Object.entries(EXPECTED_DATES)) {
+    test(`Tết Nguyên Đán (1/1 Âm lịch) năm ${year}`, () => {
+        assert.strictEqual(formatDate(lunarToSolar(1, 1, Number(year))), expected.tet);
+    });
+
+    test(`Giỗ Tổ Hùng Vương (10/3 Âm lịch) năm ${year}`, () => {
+        assert.strictEqual(formatDate(lunarToSolar(10, 3, Number(year))), expected.gioTo);
+    });
+
+    test(`solarToLunar trả lại đúng 1/1 Âm lịch cho Tết ${year}`, () => {
+        const [y, m, d] = expected.tet.split('-').map(Number);
+        const lunar = solarToLunar(new Date(y, m - 1, d));
+        assert.deepStrictEqual(
+            { day: lunar.day, month: lunar.month, year: lunar.year },
+            { day: 1, month: 1, year: Number(year) }
+        );
+    });
+}
@@ -0,0 +1,87 @@
+// File: tests/paymentRefund.test.js
+// Mô tả: Kiểm tra chuyển trạng thái yêu cầu hoàn tiền: chỉ theo các bước hợp lệ và
+// chỉ một người duyệt/xử lý thành công khi cập nhật cùng lúc.
+
+require('./helpers/noDatabase');
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { RefundRequest, Payment, BookingHistory, sequelize } = require('../src/models');
+const paymentRefundService = require('../src/services/paymentRefundService');
+
+const { REFUND_STATUS } = paymentRefundService;
+
+const fakeRefund = (status) => ({
+    Refund_ID: 5,
+    Booking_ID: 50,
+    Refund_Payment_ID: 500,
+    Amount: 120000,
+    Status: status,
+    set: mock.fn(function (values) { Object.assign(this, values); })
+});
+
+function stubTransaction() {
+    const transaction = {
+        commit: mock.fn(async () => {}),
+        rollback: mock.fn(async () => {})
+    };
+    mock.method(sequelize, 'transaction', async () => transaction);
+    return transaction;
+}
+
+describe('Chuyển trạng thái yêu cầu hoàn tiền', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('cập nhật có điều kiện theo trạng thái vừa đọc và đồng bộ dòng hoàn tiền trong Payments', async () => {
+        const transaction = stubTransaction();
+        const update = mock.method(RefundRequest, 'update', async () => [1]);
+        const paymentUpdate = mock.method(Payment, 'update', async () => [1]);
+        mock.method(BookingHistory, 'create', async () => ({}));
+        const refund = fakeRefund(REFUND_STATUS.APPROVED);
+
+        await paymentRefundService._transition(refund, REFUND_STATUS.PROCESSED, 9, { Transaction_Reference: 'FT123' }, 'Đã hoàn');
+
+        const [values, options] = update.mock.calls[0].arguments;
+        assert.strictEqual(values.Status, REFUND_STATUS.PROCESSED);
+        assert.deepStrictEqual(options.where, { Refund_ID: 5, Status: REFUND_STATUS.APPROVED });
+        assert.deepStrictEqual(paymentUpdate.mock.calls[0].arguments[0], { Payment_Status: 'REFUNDED', Processed_By: 9 });
+        assert.strictEqual(refund.Status, REFUND_STATUS.PROCESSED);
+        assert.strictEqual(transaction.commit.mock.callCount(), 1);
+    });
+
+    it('trả 409 và không ghi gì thêm khi người khác vừa đổi trạng thái', async () => {
+        const transaction = stubTransaction();
+        mock.method(RefundRequest, 'update', async () => [0]);
+        const paymentUpdate = mock.method(Payment, 'update', async () => [1]);
+        const history = mock.method(BookingHistory, 'create', async () => ({}));
+        const refund = fakeRefund(REFUND_STATUS.REQUESTED);
+
+        await assert.rejects(
+            paymentRefundService._transition(refund, REFUND_STATUS.APPROVED, 9, {}, 'Đã duyệt'),
+            error => error.statusCode === 409
+        );
+        assert.strictEqual(refund.Status, REFUND_STATUS.REQUESTED);
+        assert.strictEqual(paymentUpdate.mock.callCount(), 0);
+        assert.strictEqual(history.mock.callCount(), 0);
+        assert.strictEqual(transaction.rollback.mock.callCount(), 1);
+    });
+
+    it('từ chối bước chuyển không hợp lệ trước khi mở transaction', async () => {
+        const transaction = mock.method(sequelize, 'transaction', async () => ({}));
+        const cases = [
+            [REFUND_STATUS.REQUESTED, REFUND_STATUS.PROCESSED],
+            [REFUND_STATUS.PROCESSED, REFUND_STATUS.FAILED],
+            [REFUND_STATUS.PROCESSED, REFUND_STATUS.APPROVED],
+            [REFUND_STATUS.FAILED, REFUND_STATUS.PROCESSED]
+        ];
+
+        for (const [from, to] of cases) {
+            await assert.rejects(
+                paymentRefundService._transition(fakeRefund(from), to, 9, {}, ''),
+                error => error.statusCode === 400,
+                `${from} -> ${to}`
+            );
+        }
+        assert.strictEqual(transaction.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,330 @@
+// File: tests/paymentWebhook.test.js
+// Mô tả: Kiểm tra luồng webhook thanh toán: từ chối webhook giả mạo (Mock chưa bật, sai chữ ký,
+// sai phương thức/số tiền), xử lý mỗi sự kiện đúng một lần và replay sự kiện lỗi.
+
+require('./helpers/noDatabase');
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const sql = require('mssql');
+const { PaymentWebhookEvent } = require('../src/models');
+const paymentProviders = require('../src/services/paymentProviders');
+const paymentWebhookEventService = require('../src/services/paymentWebhookEventService');
+const PayOSService = require('../src/services/payosService');
+
+const { EVENT_STATUS } = paymentWebhookEventService;
+const TEST_SECRET = 'mock-secret-for-tests';
+const ENV_KEYS = ['NODE_ENV', 'PAYMENT_MOCK_ENABLED', 'PAYMENT_PROVIDER'];
+
+const buildPayload = (data, secret = TEST_SECRET) => ({
+    data,
+    signature: crypto.createHmac('sha256', secret).update(JSON.stringify(data)).digest('hex')
+});
+
+// Giả lập PaymentWebhookEvent.create, trả về sự kiện với Event_ID cố định
+const mockRecordEvent = (eventId = 1) => mock.method(PaymentWebhookEvent, 'create', async values => ({
+    Event_ID: eventId,
+    ...values
+}));
+
+describe('Webhook Mock provider', () => {
+    const mockProvider = paymentProviders.getProvider('mock');
+    let savedSecret;
+    let savedEnv;
+
+    beforeEach(() => {
+        savedSecret = mockProvider.secret;
+        savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+        mockProvider.secret = TEST_SECRET;
+        process.env.NODE_ENV = 'test';
+        delete process.env.PAYMENT_MOCK_ENABLED;
+        delete process.env.PAYMENT_PROVIDER;
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        mockProvider.secret = savedSecret;
+        for (const [key, value] of Object.entries(savedEnv)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    });
+
+    it('không bật Mock khi chưa cấu hình MOCK_PAYMENT_SECRET', async () => {
+        mockProvider.secret = null;
+        const create = mockRecordEvent();
+
+        assert.strictEqual(mockProvider.isAvailable(), false);
+        assert.deepStrictEqual(await mockProvider.verifyWebhook(buildPayload({ orderCode: 123045 })), { valid: false });
+        await assert.rejects(
+            paymentProviders.processWebhook('mock', buildPayload({ orderCode: 123045, status: 'PAID', amount: 100000 })),
+            { statusCode: 403 }
+        );
+        assert.strictEqual(create.mock.callCount(), 0);
+    });
+
+    it('từ chối webhook Mock trên production khi chưa đặt PAYMENT_MOCK_ENABLED=true', async () => {
+        process.env.NODE_ENV = 'production';
+        const create = mockRecordEvent();
+
+        await assert.rejects(
+            paymentProviders.processWebhook('mock', buildPayload({ orderCode: 123045, status: 'PAID', amount: 100000 })),
+            { statusCode: 403 }
+        );
+        assert.strictEqual(create.mock.callCount(), 0);
+    });
+
+    it('lưu sự kiện Rejected và không xử lý webhook ký bằng khóa khác', async () => {
+        const create = mockRecordEvent();
+        const processEvent = mock.method(paymentWebhookEventService, 'processEvent', async () => {
+            throw new Error('Không được xử lý webhook có chữ ký sai');
+        });
+
+        const payload = buildPayload({ orderCode: 123045, status: 'PAID', amount: 100000 }, 'forged-secret');
+        const result = await paymentProviders.processWebhook('mock', payload);
+
+        assert.strictEqual(result.processed, false);
+        assert.strictEqual(result.reason, 'INVALID_SIGNATURE');
+        assert.strictEqual(create.mock.calls[0].arguments[0].Processing_Status, EVENT_STATUS.REJECTED);
+        assert.strictEqual(processEvent.mock.callCount(), 0);
+    });
+
+    it('từ chối webhook bị sửa số tiền sau khi ký', async () => {
+        const create = mockRecordEvent();
+        const processEvent = mock.method(paymentWebhookEventService, 'processEvent', async () => ({ processed: true }));
+
+        const payload = buildPayload({ orderCode: 123045, status: 'PAID', amount: 100000 });
+        payload.data.amount = 1000;
+        const result = await paymentProviders.processWebhook('mock', payload);
+
+        assert.strictEqual(result.reason, 'INVALID_SIGNATURE');
+        assert.strictEqual(create.mock.calls[0].arguments[0].Processing_Status, EVENT_STATUS.REJECTED);
+        assert.strictEqual(processEvent.mock.callCount(), 0);
+    });
+
+    it('xử lý webhook có chữ ký hợp lệ', async () => {
+        mockRecordEvent(5);
+        const processEvent = mock.method(paymentWebhookEventService, 'processEvent', async eventId => ({ processed: true, eventId }));
+
+        const result = await paymentProviders.processWebhook('mock', buildPayload({ orderCode: 123045, status: 'PAID', amount: 100000 }));
+
+        assert.deepStrictEqual(result, { processed: true, eventId: 5 });
+        assert.deepStrictEqual(processEvent.mock.calls[0].arguments, [5]);
+    });
+
+    it('provider mặc định là PayOS, chỉ dùng Mock khi đặt PAYMENT_PROVIDER=mock', () => {
+        assert.strictEqual(paymentProviders.getDefaultProvider().name, 'payos');
+
+        process.env.PAYMENT_PROVIDER = 'cash';
+        assert.strictEqual(paymentProviders.getDefaultProvider().name, 'payos');
+
+        process.env.PAYMENT_PROVIDER = 'mock';
+        assert.strictEqual(paymentProviders.getDefaultProvider().name, 'mock');
+    });
+});
+
+describe('Xử lý sự kiện webhook đúng một lần', () => {
+    const buildEvent = (overrides = {}) => ({
+        Event_ID: 7,
+        Provider: 'mock',
+        Order_Code: '123045',
+        Payment_Status: 'PAID',
+        Payload: JSON.stringify({ data: { orderCode: 123045, status: 'PAID', amount: 100000 } }),
+        update: mock.fn(async () => {}),
+        ...overrides
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('bỏ qua sự kiện đã được tiến trình khác giành quyền xử lý', async () => {
+        mock.method(PaymentWebhookEvent, 'update', async () => [0]);
+        const findByPk = mock.method(PaymentWebhookEvent, 'findByPk', async () => buildEvent());
+        const handleSuccess = mock.method(PayOSService.prototype, 'handleSuccessfulPayment', async () => ({ success: true }));
+
+        const result = await paymentWebhookEventService.processEvent(7);
+
+        assert.deepStrictEqual(result, { processed: false, reason: 'ALREADY_CLAIMED', eventId: 7 });
+        assert.strictEqual(findByPk.mock.callCount(), 0);
+        assert.strictEqual(handleSuccess.mock.callCount(), 0);
+    });
+
+    it('webhook gửi lặp lại chỉ cập nhật thanh toán một lần', async () => {
+        let claimed = false;
+        const update = mock.method(PaymentWebhookEvent, 'update', async () => {
+            if (claimed) return [0];
+            claimed = true;
+            return [1];
+        });
+        mock.method(PaymentWebhookEvent, 'findByPk', async () => buildEvent());
+        const handleSuccess = mock.method(PayOSService.prototype, 'handleSuccessfulPayment', async () => ({ success: true }));
+
+        const results = await Promise.all([
+            paymentWebhookEventService.processEvent(7),
+            paymentWebhookEventService.processEvent(7)
+        ]);
+
+        assert.deepStrictEqual(results.map(result => result.processed).sort(), [false, true]);
+        assert.strictEqual(handleSuccess.mock.callCount(), 1);
+        // Chỉ giành quyền với sự kiện mới nhận (Received)
+        const { where } = update.mock.calls[0].arguments[1];
+        assert.strictEqual(where.Event_ID, 7);
+        assert.deepStrictEqual(where.Processing_Status[Op.in], [EVENT_STATUS.RECEIVED]);
+    });
+
+    it('truyền Payment_Method của provider gửi webhook cho bước cập nhật thanh toán', async () => {
+        mock.method(PaymentWebhookEvent, 'update', async () => [1]);
+        mock.method(PaymentWebhookEvent, 'findByPk', async () => buildEvent());
+        const handleSuccess = mock.method(PayOSService.prototype, 'handleSuccessfulPayment', async () => ({ success: true }));
+
+        await paymentWebhookEventService.processEvent(7);
+
+        const [data, options] = handleSuccess.mock.calls[0].arguments;
+        assert.strictEqual(data.amount, 100000);
+        assert.deepStrictEqual(options, { webhookEventId: 7, paymentMethod: 'Mock' });
+    });
+});
+
+describe('Replay sự kiện webhook', () => {
+    const buildEvent = (overrides = {}) => ({
+        Event_ID: 8,
+        Provider: 'mock',
+        Order_Code: '123046',
+        Payment_Status: 'PAID',
+        Processing_Status: EVENT_STATUS.FAILED,
+        Payload: JSON.stringify({ data: { orderCode: 123046, status: 'PAID', amount: 100000 } }),
+        update: mock.fn(async () => {}),
+        ...overrides
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('không replay sự kiện có chữ ký không hợp lệ hoặc đã xử lý xong', async () => {
+        const update = mock.method(PaymentWebhookEvent, 'update', async () => [1]);
+        for (const status of [EVENT_STATUS.REJECTED, EVENT_STATUS.PROCESSED, EVENT_STATUS.DUPLICATE]) {
+            mock.method(PaymentWebhookEvent, 'findByPk', async () => buildEvent({ Processing_Status: status }));
+            await assert.rejects(paymentWebhookEventService.replayEvent(8, 1), error => error.statusCode === 400, status);
+        }
+        assert.strictEqual(update.mock.callCount(), 0);
+    });
+
+    it('giành quyền xử lý lại sự kiện lỗi hoặc kẹt ở Processing quá lâu và ghi người replay', async () => {
+        const update = mock.method(PaymentWebhookEvent, 'update', async () => [1]);
+        mock.method(PaymentWebhookEvent, 'findByPk', async () => buildEvent());
+        const handleSuccess = mock.method(PayOSService.prototype, 'handleSuccessfulPayment', async () => ({ success: true }));
+
+        const result = await paymentWebhookEventService.replayEvent(8, 1);
+
+        assert.strictEqual(result.processed, true);
+        assert.strictEqual(handleSuccess.mock.callCount(), 1);
+        const [fields, { where }] = update.mock.calls[0].arguments;
+        assert.strictEqual(fields.Processing_Status, EVENT_STATUS.PROCESSING);
+        assert.strictEqual(fields.Replayed_By, 1);
+        assert.deepStrictEqual(where.Processing_Status[Op.in],
+            [EVENT_STATUS.RECEIVED, EVENT_STATUS.FAILED, EVENT_STATUS.PROCESSING]);
+        // Sự kiện Processing chỉ được giành lại khi đã nhận quá thời gian chờ
+        const [notProcessing, stuck] = where[Op.or];
+        assert.strictEqual(notProcessing.Processing_Status[Op.ne], EVENT_STATUS.PROCESSING);
+        assert.ok(stuck.Received_At[Op.lt] < new Date());
+    });
+
+    it('trả 409 khi sự kiện đang được tiến trình khác xử lý', async () => {
+        mock.method(PaymentWebhookEvent, 'update', async () => [0]);
+        mock.method(PaymentWebhookEvent, 'findByPk', async () => buildEvent({ Processing_Status: EVENT_STATUS.PROCESSING }));
+        const handleSuccess = mock.method(PayOSService.prototype, 'handleSuccessfulPayment', async () => ({ success: true }));
+
+        await assert.rejects(paymentWebhookEventService.replayEvent(8, 1), error => error.statusCode === 409);
+        assert.strictEqual(handleSuccess.mock.callCount(), 0);
+    });
+
+    it('đánh dấu Failed để replay lại khi cập nhật thanh toán lỗi', async () => {
+        const event = buildEvent();
+        mock.method(PaymentWebhookEvent, 'update', async () => [1]);
+        mock.method(PaymentWebhookEvent, 'findByPk', async () => event);
+        mock.method(PayOSService.prototype, 'handleSuccessfulPayment', async () => { throw new Error('DB timeout'); });
+
+        await assert.rejects(paymentWebhookEventService.processEvent(8), /DB timeout/);
+        assert.deepStrictEqual(event.update.mock.calls[0].arguments[0], {
+            Processing_Status: EVENT_STATUS.FAILED,
+            Error_Message: 'DB timeout'
+        });
+    });
+});
+
+describe('PayOSService kiểm tra giao dịch của webhook', () => {
+    const payosService = new PayOSService();
+    const lockState = { paymentStatus: 'PENDING', paymentMethod: 'PayOS', paymentAmount: 100000, bookingStatus: 'Pending' };
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('chấp nhận webhook khớp phương thức và số tiền', () => {
+        assert.doesNotThrow(() => payosService.assertPaymentMatches(lockState, 123045, { paymentMethod: 'payos', amount: 100000 }));
+        assert.doesNotThrow(() => payosService.assertPaymentMatches(lockState, 123045, { paymentMethod: 'PayOS', amount: '100000' }));
+    });
+
+    it('từ chối webhook của provider khác với giao dịch', () => {
+        assert.throws(() => payosService.assertPaymentMatches(lockState, 123045, { paymentMethod: 'Mock', amount: 100000 }), /phương thức/);
+    });
+
+    it('từ chối webhook sai hoặc thiếu số tiền', () => {
+        assert.throws(() => payosService.assertPaymentMatches(lockState, 123045, { paymentMethod: 'PayOS', amount: 1000 }), /không khớp/);
+        assert.throws(() => payosService.assertPaymentMatches(lockState, 123045, { paymentMethod: 'PayOS', amount: undefined }), /không khớp/);
+    });
+
+    it('từ chối webhook không có giao dịch tương ứng', () => {
+        assert.throws(() => payosService.assertPaymentMatches({ paymentStatus: null }, 123045, { paymentMethod: 'PayOS' }), /Không tìm thấy giao dịch/);
+    });
+
+    describe('handleSuccessfulPayment', () => {
+        let transactionCalls;
+
+        beforeEach(() => {
+            transactionCalls = [];
+            const pool = {
+                request: () => ({
+                    input() {},
+                    query: async () => ({ recordset: [{ User_ID: 3 }] })
+                })
+            };
+            mock.method(payosService, 'getDbConnection', async () => pool);
+            for (const name of ['begin', 'commit', 'rollback']) {
+                mock.method(sql.Transaction.prototype, name, async () => {
+                    transactionCalls.push(name);
+                });
+            }
+        });
+
+        it('bỏ qua webhook trùng lặp cho giao dịch đã PAID và ghi nhận Duplicate', async () => {
+            mock.method(payosService, 'lockPaymentForProcessing', async () => ({ ...lockState, paymentStatus: 'PAID' }));
+            const markEvent = mock.method(payosService, 'markWebhookEvent', async () => {});
+
+            const result = await payosService.handleSuccessfulPayment(
+                { orderCode: 123045, amount: 100000 },
+                { webhookEventId: 9, paymentMethod: 'PayOS' }
+            );
+
+            assert.strictEqual(result.alreadyProcessed, true);
+            assert.deepStrictEqual(markEvent.mock.calls[0].arguments.slice(1, 3), [9, 'Duplicate']);
+            assert.deepStrictEqual(transactionCalls, ['begin', 'commit']);
+        });
+
+        it('không xác nhận thanh toán PayOS bằng webhook Mock', async () => {
+            mock.method(payosService, 'lockPaymentForProcessing', async () => lockState);
+            const markEvent = mock.method(payosService, 'markWebhookEvent', async () => {});
+
+            await assert.rejects(
+                payosService.handleSuccessfulPayment({ orderCode: 123045, amount: 100000 }, { webhookEventId: 9, paymentMethod: 'Mock' }),
+                /phương thức/
+            );
+            assert.strictEqual(markEvent.mock.callCount(), 0);
+            assert.deepStrictEqual(transactionCalls, ['begin', 'rollback']);
+        });
+    });
+});
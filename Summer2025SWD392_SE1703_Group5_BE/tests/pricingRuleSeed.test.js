@@ -0,0 +1,66 @@
+// File: tests/pricingRuleSeed.test.js
+// Mô tả: Kiểm tra việc tạo sẵn quy tắc giá cơ bản cho ghế Xe lăn, Đi kèm và Sweetbox
+// để giá các loại ghế này nằm trong Pricing_Rules thay vì chỉ có trong ticketPricing.json.
+
+require('./helpers/noDatabase');
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { PricingRule } = require('../src/models');
+const pricingService = require('../src/services/pricingService');
+const pricingRuleService = require('../src/services/pricingRuleService');
+
+const BASE_PRICES = {
+    '2D': { Regular: 90000, 'Xe lăn': 70000, 'Đi kèm': 50000, Sweetbox: 200000 }
+};
+
+describe('Tạo sẵn quy tắc giá cho loại ghế đặc biệt', () => {
+    const originalConfig = pricingService.pricingConfig;
+
+    afterEach(() => {
+        mock.restoreAll();
+        pricingService.pricingConfig = originalConfig;
+    });
+
+    it('tạo quy tắc Base_Price Active cho Xe lăn, Đi kèm, Sweetbox và bỏ qua ghế thường', async () => {
+        pricingService.pricingConfig = { ...originalConfig, basePrices: BASE_PRICES };
+        const created = [];
+        mock.method(PricingRule, 'findAll', async () => []);
+        mock.method(PricingRule, 'create', async (data) => {
+            created.push(data);
+            return data;
+        });
+        const reload = mock.method(pricingService, 'loadPricingRules', async () => []);
+
+        const result = await pricingRuleService.seedSeatTypeBasePrices();
+
+        assert.strictEqual(result.created_count, 3);
+        assert.deepStrictEqual(created.map(rule => [rule.Seat_Type, rule.Value]), [
+            ['Xe lăn', 70000],
+            ['Đi kèm', 50000],
+            ['Sweetbox', 200000]
+        ]);
+        created.forEach(rule => {
+            assert.strictEqual(rule.Rule_Type, PricingRule.RULE_TYPE.BASE_PRICE);
+            assert.strictEqual(rule.Status, PricingRule.RULE_STATUS.ACTIVE);
+            assert.strictEqual(rule.Room_Type, '2D');
+        });
+        assert.strictEqual(reload.mock.callCount(), 1);
+    });
+
+    it('không tạo lại quy tắc đã có, kể cả quy tắc Manager đã tắt', async () => {
+        pricingService.pricingConfig = { ...originalConfig, basePrices: BASE_PRICES };
+        const findAll = mock.method(PricingRule, 'findAll', async ({ where }) =>
+            where.Seat_Type === 'Xe lăn' ? [{ FormatCondition: null }] : []);
+        const create = mock.method(PricingRule, 'create', async (data) => data);
+        mock.method(pricingService, 'loadPricingRules', async () => []);
+
+        const result = await pricingRuleService.seedSeatTypeBasePrices();
+
+        assert.strictEqual(result.created_count, 2);
+        assert.strictEqual(result.skipped_count, 1);
+        assert.ok(!create.mock.calls.some(call => call.arguments[0].Seat_Type === 'Xe lăn'));
+        // Tìm quy tắc đã có không lọc theo trạng thái nên quy tắc Inactive cũng được tính
+        findAll.mock.calls.forEach(call => assert.strictEqual(call.arguments[0].where.Status, undefined));
+    });
+});
@@ -0,0 +1,158 @@
+// File: tests/seatBookingRules.test.js
+// Mô tả: Kiểm tra bộ máy quy tắc đặt ghế (seatBookingRulesService) trên sơ đồ ghế dựng sẵn, không cần database:
+// số ghế tối đa, ghế liền kề, không để ghế trống lẻ, ghế đi kèm, bật/tắt quy tắc và giữ ghế tiếp cận.
+
+require('./helpers/noDatabase');
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { SeatLayout, SeatBookingRule } = require('../src/models');
+const seatBookingRulesService = require('../src/services/seatBookingRulesService');
+
+const { SEAT_TYPE } = SeatLayout;
+const { SEAT_RULE_CODE } = SeatBookingRule;
+
+// Hàng A: 10 ghế thường; hàng H: chỗ xe lăn H1 và ghế đi kèm H2
+let nextLayoutId = 1;
+const seat = (row, column, type = SEAT_TYPE.REGULAR) => ({
+    Layout_ID: nextLayoutId++,
+    Row_Label: row,
+    Column_Number: column,
+    Seat_Type: type,
+    Column_Span: 1,
+    Is_Active: true
+});
+const ROOM_LAYOUTS = [
+    ...Array.from({ length: 10 }, (_, index) => seat('A', index + 1)),
+    seat('H', 1, SEAT_TYPE.WHEELCHAIR),
+    seat('H', 2, SEAT_TYPE.COMPANION)
+];
+const byLabel = label => ROOM_LAYOUTS.find(layout => `${layout.Row_Label}${layout.Column_Number}` === label);
+const pick = (...labels) => labels.map(byLabel);
+
+// Suất chiếu bắt đầu sau 5 giờ: chỗ xe lăn còn đang được giữ (mở bán rộng rãi 120 phút trước giờ chiếu)
+const buildRuleSet = () => ({
+    ...seatBookingRulesService.getDefaultRuleSet(),
+    showtimeId: 11,
+    cinemaRoomId: 3,
+    showStartsAt: new Date(Date.now() + 5 * 60 * 60 * 1000)
+});
+
+// Đánh giá ghế định chọn với bộ quy tắc mặc định (không có thông tin người đặt nên bỏ qua giữ ghế tiếp cận)
+const evaluate = (labels, occupiedLabels = [], ruleSet = seatBookingRulesService.getDefaultRuleSet(), options = {}) =>
+    seatBookingRulesService.evaluateCandidateSeats(
+        pick(...labels),
+        ROOM_LAYOUTS,
+        new Set(pick(...occupiedLabels).map(layout => layout.Layout_ID)),
+        ruleSet,
+        options
+    );
+
+describe('Bộ máy quy tắc đặt ghế', () => {
+    it('chấp nhận nhóm ghế liền kề không để lại ghế trống lẻ', () => {
+        const result = evaluate(['A1', 'A2', 'A3', 'A4']);
+
+        assert.strictEqual(result.valid, true);
+        assert.deepStrictEqual(result.violations, []);
+    });
+
+    it('giới hạn số ghế mỗi lần đặt', () => {
+        const result = evaluate(['A1', 'A2', 'A3', 'A4', 'A5', 'A6', 'A7', 'A8', 'A9']);
+
+        assert.strictEqual(result.valid, false);
+        assert.strictEqual(result.rule, SEAT_RULE_CODE.MAX_SEATS_PER_BOOKING);
+        assert.strictEqual(result.errorCode, 'MAX_SEATS_EXCEEDED');
+    });
+
+    it('từ chối ghế cùng hàng không liền kề và gợi ý ghế còn thiếu', () => {
+        const result = evaluate(['A4', 'A6']);
+
+        assert.strictEqual(result.errorCode, 'NOT_ADJACENT');
+        assert.deepStrictEqual(result.violations[0].suggestedSeats, ['A5']);
+    });
+
+    it('không để một ghế trống lẻ giữa hai nhóm khách', () => {
+        const result = evaluate(['A5', 'A6'], ['A1', 'A2', 'A3']);
+
+        assert.strictEqual(result.rule, SEAT_RULE_CODE.GAP_PREVENTION);
+        assert.strictEqual(result.errorCode, 'ORPHANED_SEAT');
+        assert.deepStrictEqual(result.violations[0].seats, ['A4']);
+    });
+
+    it('không để ghế trống lẻ sát cuối hàng', () => {
+        const result = evaluate(['A2', 'A3']);
+
+        assert.strictEqual(result.rule, SEAT_RULE_CODE.AISLE_ORPHAN);
+        assert.deepStrictEqual(result.violations[0].seats, ['A1']);
+    });
+
+    it('quy tắc bị tắt không được xét', () => {
+        const ruleSet = seatBookingRulesService.getDefaultRuleSet();
+        ruleSet.rules[SEAT_RULE_CODE.GAP_PREVENTION].enabled = false;
+
+        assert.strictEqual(evaluate(['A5', 'A6'], ['A1', 'A2', 'A3'], ruleSet).valid, true);
+    });
+
+    it('ghế đi kèm chỉ bán cùng chỗ xe lăn bên cạnh', () => {
+        const alone = evaluate(['H2']);
+        assert.strictEqual(alone.errorCode, 'COMPANION_WITHOUT_WHEELCHAIR');
+        assert.deepStrictEqual(alone.violations[0].suggestedSeats, ['H1']);
+
+        assert.strictEqual(evaluate(['H1', 'H2']).valid, true);
+    });
+
+    it('liệt kê mọi vi phạm khi không dừng ở vi phạm đầu tiên', () => {
+        const result = evaluate(['A2', 'A4'], [], seatBookingRulesService.getDefaultRuleSet(), { stopOnFirst: false });
+
+        const codes = result.violations.map(violation => violation.code);
+        assert.strictEqual(result.errorCode, 'NOT_ADJACENT');
+        assert.ok(codes.includes('NOT_ADJACENT'));
+        assert.ok(codes.includes('AISLE_ORPHAN_SEAT'));
+        assert.ok(codes.length > 1);
+    });
+});
+
+describe('Giữ ghế tiếp cận (ACCESSIBLE_HOLDBACK)', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const validateAs = options => {
+        mock.method(seatBookingRulesService, 'getRuleSetForShowtime', async () => buildRuleSet());
+        mock.method(seatBookingRulesService, '_getRoomLayouts', async () => ROOM_LAYOUTS);
+        mock.method(seatBookingRulesService, 'getOccupiedLayoutIds', async () => new Set());
+        return seatBookingRulesService.validateSeatBookingRules(pick('H1', 'H2').map(layout => layout.Layout_ID), 11, null, options);
+    };
+
+    it('khách tự đặt gửi accessibilityRequested vẫn bị từ chối trong thời gian giữ ghế', async () => {
+        const result = await validateAs({ userId: 7, role: 'Customer', accessibilityRequested: true });
+
+        assert.strictEqual(result.valid, false);
+        assert.strictEqual(result.errorCode, 'ACCESSIBLE_SEAT_HELD_BACK');
+        assert.deepStrictEqual(result.violations[0].seats, ['H1', 'H2']);
+    });
+
+    it('nhân viên bán tại quầy được bán chỗ xe lăn trong thời gian giữ ghế', async () => {
+        const result = await validateAs({ userId: 2, role: 'Staff', accessibilityRequested: true });
+
+        assert.strictEqual(result.valid, true);
+    });
+
+    it('chỉ chấp nhận cờ hỗ trợ tiếp cận từ nhân viên', () => {
+        const ruleSet = buildRuleSet();
+
+        assert.strictEqual(seatBookingRulesService.buildRequest(ruleSet, { role: 'Customer', accessibilityRequested: true }).accessibilityRequested, false);
+        assert.strictEqual(seatBookingRulesService.buildRequest(ruleSet, { role: null, accessibilityRequested: true }).accessibilityRequested, false);
+        assert.strictEqual(seatBookingRulesService.buildRequest(ruleSet, { role: 'Staff', accessibilityRequested: true }).accessibilityRequested, true);
+    });
+
+    it('mở bán rộng rãi cho mọi khách sau thời điểm giữ ghế', () => {
+        const ruleSet = { ...buildRuleSet(), showStartsAt: new Date(Date.now() + 60 * 60 * 1000) };
+        const result = seatBookingRulesService.evaluateCandidateSeats(pick('H1', 'H2'), ROOM_LAYOUTS, new Set(), ruleSet, {
+            stopOnFirst: false,
+            request: seatBookingRulesService.buildRequest(ruleSet, { role: 'Customer' })
+        });
+
+        assert.strictEqual(result.valid, true);
+    });
+});
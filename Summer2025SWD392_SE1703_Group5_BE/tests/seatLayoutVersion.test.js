@@ -0,0 +1,179 @@
+// File: tests/seatLayoutVersion.test.js
+// Mô tả: Kiểm tra bản nháp sơ đồ ghế: so sánh với sơ đồ đang áp dụng, phát hành trong một transaction
+// (kể cả kiểm tra đơn chờ thanh toán) và khôi phục phiên bản cũ.
+
+require('./helpers/noDatabase');
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { SeatLayoutVersion, SeatLayout, SeatLayoutSpan, CinemaRoom, sequelize } = require('../src/models');
+const seatLayoutService = require('../src/services/seatLayoutService');
+const seatLayoutVersionService = require('../src/services/seatLayoutVersionService');
+
+const { LAYOUT_VERSION_STATUS } = SeatLayoutVersion;
+
+// Phòng 21 ghế: hàng A, B mỗi hàng 10 ghế thường và ghế C1
+const LIVE_SEATS = [
+    ...['A', 'B'].flatMap(row => Array.from({ length: 10 }, (_, index) => ({
+        Row_Label: row, Column_Number: index + 1, Column_Span: 1, Seat_Type: 'Regular'
+    }))),
+    { Row_Label: 'C', Column_Number: 1, Column_Span: 1, Seat_Type: 'Regular' }
+];
+const LIVE_LAYOUTS = LIVE_SEATS.map((seat, index) => ({ ...seat, Layout_ID: 100 + index, Is_Active: true }));
+const layoutIdOf = key => LIVE_LAYOUTS.find(layout => `${layout.Row_Label}${layout.Column_Number}` === key).Layout_ID;
+
+// Bản nháp: bỏ ghế C1 và đổi A1 thành VIP
+const DRAFT_SEATS = LIVE_SEATS
+    .filter(seat => seat.Row_Label !== 'C')
+    .map(seat => (seat.Row_Label === 'A' && seat.Column_Number === 1 ? { ...seat, Seat_Type: 'VIP' } : seat));
+
+const fakeTransaction = () => ({
+    LOCK: { UPDATE: 'UPDATE' },
+    commit: mock.fn(async () => {}),
+    rollback: mock.fn(async () => {})
+});
+
+const fakeVersion = (values) => ({
+    ...values,
+    update: mock.fn(async function (changes) { Object.assign(this, changes); return this; })
+});
+
+// Giả lập phần đọc phòng của _publish: phiên bản đang áp dụng số 3 và sơ đồ LIVE_LAYOUTS
+function stubLiveRoom() {
+    const liveVersion = fakeVersion({ Version_ID: 30, Version_Number: 3, Status: LAYOUT_VERSION_STATUS.PUBLISHED });
+    mock.method(seatLayoutVersionService, '_recordLiveVersion', async () => liveVersion);
+    mock.method(seatLayoutVersionService, '_snapshotRoom', async () => ({ seats: LIVE_SEATS, layouts: LIVE_LAYOUTS }));
+    return liveVersion;
+}
+
+describe('So sánh bản nháp với sơ đồ đang áp dụng', () => {
+    it('phân loại ghế thêm, bỏ, đổi loại và đổi số cột theo vị trí', () => {
+        // Bỏ B10 và C1, A1 thành VIP, B9 thành ghế 2 cột, thêm D1
+        const toSeats = [
+            ...DRAFT_SEATS.filter(seat => !(seat.Row_Label === 'B' && seat.Column_Number >= 9)),
+            { Row_Label: 'B', Column_Number: 9, Column_Span: 2, Seat_Type: 'Regular' },
+            { Row_Label: 'D', Column_Number: 1, Column_Span: 1, Seat_Type: 'Regular' }
+        ];
+
+        const diff = seatLayoutVersionService._diffSeats(LIVE_SEATS, toSeats);
+
+        assert.deepStrictEqual(diff.added.map(seat => seat.seat), ['D1']);
+        assert.deepStrictEqual(diff.removed.map(seat => seat.seat).sort(), ['B10', 'C1']);
+        assert.deepStrictEqual(diff.retyped, [{ seat: 'A1', from: 'Regular', to: 'VIP' }]);
+        assert.deepStrictEqual(diff.resized, [{ seat: 'B9', from: 1, to: 2 }]);
+        assert.strictEqual(diff.summary.seats_before, 21);
+        assert.strictEqual(diff.summary.seats_after, 20);
+    });
+});
+
+describe('Phát hành bản nháp sơ đồ ghế', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('khóa ghế bị ảnh hưởng và kiểm tra đơn chờ thanh toán trong cùng transaction phát hành', async () => {
+        stubLiveRoom();
+        const transaction = fakeTransaction();
+        const calls = [];
+        mock.method(SeatLayout, 'findAll', async (options) => {
+            calls.push(['lock', options]);
+            return [];
+        });
+        const hasPending = mock.method(seatLayoutService, 'hasPendingBookingsForLayouts', async (layoutIds, tx) => {
+            calls.push(['pending', layoutIds, tx]);
+            return true;
+        });
+        const update = mock.method(SeatLayout, 'update', async () => [1]);
+        const draft = fakeVersion({ Version_ID: 31, Status: LAYOUT_VERSION_STATUS.DRAFT, Layout_Data: JSON.stringify(DRAFT_SEATS) });
+
+        await assert.rejects(
+            seatLayoutVersionService._publish({ Cinema_Room_ID: 1 }, draft, 7, transaction),
+            error => error.statusCode === 409
+        );
+
+        const affected = [layoutIdOf('C1'), layoutIdOf('A1')];
+        assert.deepStrictEqual(calls.map(call => call[0]), ['lock', 'pending']);
+        assert.strictEqual(calls[0][1].transaction, transaction);
+        assert.strictEqual(calls[0][1].lock, transaction.LOCK.UPDATE);
+        assert.deepStrictEqual(hasPending.mock.calls[0].arguments, [affected, transaction]);
+        assert.strictEqual(update.mock.callCount(), 0);
+        assert.strictEqual(draft.update.mock.callCount(), 0);
+    });
+
+    it('áp dụng thay đổi và đánh số phiên bản tiếp theo khi không có đơn chờ hay vé đã bán', async () => {
+        const liveVersion = stubLiveRoom();
+        const transaction = fakeTransaction();
+        mock.method(SeatLayout, 'findAll', async () => []);
+        mock.method(seatLayoutService, 'hasPendingBookingsForLayouts', async () => false);
+        mock.method(seatLayoutVersionService, '_findSeatsSoldForUpcomingShowtimes', async () => []);
+        const layoutUpdate = mock.method(SeatLayout, 'update', async () => [1]);
+        mock.method(SeatLayoutSpan, 'destroy', async () => 0);
+        const roomUpdate = mock.method(CinemaRoom, 'update', async () => [1]);
+        const draft = fakeVersion({ Version_ID: 31, Status: LAYOUT_VERSION_STATUS.DRAFT, Layout_Data: JSON.stringify(DRAFT_SEATS) });
+
+        const result = await seatLayoutVersionService._publish({ Cinema_Room_ID: 1 }, draft, 7, transaction);
+
+        const [deactivate, retype] = layoutUpdate.mock.calls.map(call => call.arguments);
+        assert.deepStrictEqual(deactivate[0], { Is_Active: false });
+        assert.strictEqual(deactivate[1].transaction, transaction);
+        assert.deepStrictEqual(retype, [{ Seat_Type: 'VIP' }, { where: { Layout_ID: layoutIdOf('A1') }, transaction }]);
+        assert.deepStrictEqual(roomUpdate.mock.calls[0].arguments[0], { Seat_Quantity: 20 });
+        assert.strictEqual(liveVersion.Status, LAYOUT_VERSION_STATUS.SUPERSEDED);
+        assert.strictEqual(draft.Status, LAYOUT_VERSION_STATUS.PUBLISHED);
+        assert.strictEqual(draft.Version_Number, 4);
+        assert.strictEqual(result.previous_version_number, 3);
+    });
+
+    it('không phát hành bản nháp không có thay đổi', async () => {
+        stubLiveRoom();
+        const draft = fakeVersion({ Version_ID: 31, Status: LAYOUT_VERSION_STATUS.DRAFT, Layout_Data: JSON.stringify(LIVE_SEATS) });
+
+        await assert.rejects(
+            seatLayoutVersionService._publish({ Cinema_Room_ID: 1 }, draft, 7, fakeTransaction()),
+            error => error.statusCode === 400
+        );
+        assert.strictEqual(draft.update.mock.callCount(), 0);
+    });
+});
+
+describe('Khôi phục phiên bản sơ đồ ghế', () => {
+    afterEach(() => mock.restoreAll());
+
+    function stubRollback(targetVersion) {
+        const transaction = fakeTransaction();
+        mock.method(sequelize, 'transaction', async () => transaction);
+        mock.method(seatLayoutVersionService, '_getManageableRoom', async () => ({ Cinema_Room_ID: 1 }));
+        mock.method(seatLayoutVersionService, '_getDraftVersion', async () => null);
+        mock.method(seatLayoutVersionService, '_getPublishedVersion', async () => targetVersion);
+        return transaction;
+    }
+
+    it('phát hành một phiên bản mới với sơ đồ của phiên bản cũ trong cùng transaction', async () => {
+        const target = { Version_ID: 20, Version_Number: 2, Status: LAYOUT_VERSION_STATUS.SUPERSEDED, Layout_Data: JSON.stringify(DRAFT_SEATS) };
+        const transaction = stubRollback(target);
+        const create = mock.method(SeatLayoutVersion, 'create', async (values) => fakeVersion({ Version_ID: 40, ...values }));
+        const publish = mock.method(seatLayoutVersionService, '_publish', async () => ({ version: { version_number: 5 } }));
+
+        const result = await seatLayoutVersionService.rollbackToVersion(1, 20, {}, 7, 'Admin');
+
+        const [values, options] = create.mock.calls[0].arguments;
+        assert.strictEqual(values.Status, LAYOUT_VERSION_STATUS.DRAFT);
+        assert.strictEqual(values.Layout_Data, target.Layout_Data);
+        assert.strictEqual(values.Based_On_Version_ID, 20);
+        assert.strictEqual(options.transaction, transaction);
+        assert.strictEqual(publish.mock.calls[0].arguments[1].Version_ID, 40);
+        assert.strictEqual(publish.mock.calls[0].arguments[3], transaction);
+        assert.strictEqual(transaction.commit.mock.callCount(), 1);
+        assert.strictEqual(result.restored_from_version, 2);
+    });
+
+    it('không khôi phục phiên bản đang được áp dụng', async () => {
+        const transaction = stubRollback({ Version_ID: 30, Version_Number: 3, Status: LAYOUT_VERSION_STATUS.PUBLISHED });
+        const create = mock.method(SeatLayoutVersion, 'create', async () => null);
+
+        await assert.rejects(
+            seatLayoutVersionService.rollbackToVersion(1, 30, {}, 7, 'Admin'),
+            error => error.statusCode === 400
+        );
+        assert.strictEqual(create.mock.callCount(), 0);
+        assert.strictEqual(transaction.rollback.mock.callCount(), 1);
+    });
+});
@@ -0,0 +1,159 @@
+// File: tests/showtimeCancellation.test.js
+// Mô tả: Kiểm tra hủy suất chiếu đã có khách đặt: mọi đơn được hủy với hoàn 100% (bỏ qua chính sách hoàn tiền),
+// đơn lỗi được ghi nhận, và mỗi lời mời chuyển suất chỉ tạo được một đơn mới.
+
+require('./helpers/noDatabase');
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const {
+    ShowtimeCancellation,
+    ShowtimeRebookingOffer,
+    Showtime,
+    WaitlistEntry
+} = require('../src/models');
+const bookingService = require('../src/services/bookingService');
+const bestAvailableSeatService = require('../src/services/bestAvailableSeatService');
+const refundPolicyService = require('../src/services/refundPolicyService');
+const seatCacheService = require('../src/services/seatCacheService');
+const seatMapSyncService = require('../src/services/seatMapSyncService');
+const showtimeCancellationService = require('../src/services/showtimeCancellationService');
+
+const { SHOWTIME_CANCELLATION_STATUS } = ShowtimeCancellation;
+const { REBOOKING_OFFER_STATUS } = ShowtimeRebookingOffer;
+
+const inHours = hours => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+describe('Hủy suất chiếu đã có khách đặt', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('hủy từng đơn với hoàn 100% và tổng hợp tiền, điểm đã hoàn', async () => {
+        const showtime = { Showtime_ID: 10, Status: 'Scheduled', update: mock.fn(async () => {}) };
+        const cancellation = { Cancellation_ID: 1, update: mock.fn(async () => {}) };
+        mock.method(showtimeCancellationService, '_getManageableShowtime', async () => showtime);
+        mock.method(showtimeCancellationService, '_getShowtimeEnd', () => inHours(3));
+        mock.method(showtimeCancellationService, '_getActiveBookings', async () => [
+            { Booking_ID: 101, User_ID: 1, Status: 'Confirmed' },
+            { Booking_ID: 102, User_ID: 2, Status: 'Confirmed' }
+        ]);
+        mock.method(showtimeCancellationService, '_getTicketCounts', async () => new Map([[101, 2], [102, 1]]));
+        mock.method(showtimeCancellationService, '_findAlternativeShowtimes', async () => [{ Showtime_ID: 20, Capacity_Available: 50 }]);
+        mock.method(showtimeCancellationService, '_notifyCustomer', async () => {});
+        mock.method(showtimeCancellationService, '_formatCancellation', () => ({}));
+        mock.method(showtimeCancellationService, '_formatShowtime', () => ({}));
+        mock.method(ShowtimeCancellation, 'create', async () => cancellation);
+        mock.method(WaitlistEntry, 'update', async () => [0]);
+        mock.method(seatCacheService, 'releaseShowtimeSeats', async () => {});
+        mock.method(seatMapSyncService, 'publishRefresh', async () => {});
+        const createOffer = mock.method(ShowtimeRebookingOffer, 'create', async (values) => ({ Offer_ID: 5, ...values }));
+        const cancel = mock.method(bookingService, 'processManualCancellation', async (bookingId) => {
+            if (bookingId === 102) throw new Error('Lỗi kết nối');
+            return { cancellation: { financial: { refundAmount: 180000, pointsRefunded: 20000 } } };
+        });
+
+        const result = await showtimeCancellationService.cancelShowtime(10, { Reason: 'Máy chiếu hỏng' }, 9, 'Admin');
+
+        assert.strictEqual(cancel.mock.callCount(), 2);
+        cancel.mock.calls.forEach(call => {
+            assert.deepStrictEqual(call.arguments[3], { refundMethod: 'money', waivePolicy: true });
+        });
+        assert.deepStrictEqual(showtime.update.mock.calls[0].arguments[0].Status, 'Cancelled');
+
+        // Đơn hủy lỗi không nhận lời mời chuyển suất và không được tính vào tổng hoàn
+        assert.strictEqual(createOffer.mock.callCount(), 1);
+        assert.strictEqual(createOffer.mock.calls[0].arguments[0].Original_Booking_ID, 101);
+        const summary = cancellation.update.mock.calls[0].arguments[0];
+        assert.strictEqual(summary.Status, SHOWTIME_CANCELLATION_STATUS.PARTIALLY_FAILED);
+        assert.strictEqual(summary.Bookings_Cancelled, 1);
+        assert.strictEqual(summary.Total_Refund_Amount, 180000);
+        assert.strictEqual(summary.Points_Refunded, 20000);
+        assert.deepStrictEqual(JSON.parse(summary.Failures).map(failure => failure.Booking_ID), [102]);
+        assert.deepStrictEqual(result.bookings.map(booking => booking.booking_id), [101]);
+    });
+
+    it('bỏ qua chính sách hoàn tiền: hoàn đủ tiền đã trả và điểm đã dùng kể cả sát giờ chiếu', () => {
+        const now = new Date();
+        const booking = {
+            Booking_ID: 101,
+            Status: 'Confirmed',
+            Total_Amount: 180000,
+            Points_Used: 20000,
+            Showtime: { Show_Date: now, Start_Time: '23:59:00' }
+        };
+        mock.method(refundPolicyService, 'getShowtimeStart', () => inHours(0.5));
+
+        const quote = refundPolicyService.calculateRefund(booking, { refundMethod: 'money', waivePolicy: true, now });
+
+        assert.strictEqual(quote.cancellable, true);
+        assert.strictEqual(quote.refundPercent, 100);
+        assert.strictEqual(quote.refundAmount, 180000);
+        assert.strictEqual(quote.forfeitedAmount, 0);
+        assert.strictEqual(quote.pointsUsedReturned, 20000);
+    });
+});
+
+describe('Nhận lời mời chuyển suất chiếu', () => {
+    afterEach(() => mock.restoreAll());
+
+    function stubOffer() {
+        const offer = {
+            Offer_ID: 5,
+            User_ID: 1,
+            Seat_Count: 2,
+            Alternative_Showtime_IDs: '20,21',
+            Status: REBOOKING_OFFER_STATUS.PENDING,
+            Expires_At: inHours(24),
+            update: mock.fn(async () => {}),
+            reload: mock.fn(async () => {})
+        };
+        mock.method(ShowtimeRebookingOffer, 'findOne', async () => offer);
+        mock.method(showtimeCancellationService, '_expireIfNeeded', async () => {});
+        mock.method(showtimeCancellationService, '_formatOffer', () => ({ offer_id: 5 }));
+        mock.method(Showtime, 'findByPk', async () => ({ Showtime_ID: 20, Status: 'Scheduled', Capacity_Available: 30 }));
+        mock.method(refundPolicyService, 'getShowtimeStart', () => inHours(5));
+        mock.method(bestAvailableSeatService, 'findBestAvailable', async () => ({ seats: [{ layoutId: 7 }, { layoutId: 8 }] }));
+        return offer;
+    }
+
+    it('một liên kết chỉ tạo được một đơn khi khách nhấp nhiều lần', async () => {
+        stubOffer();
+        let claimed = false;
+        const update = mock.method(ShowtimeRebookingOffer, 'update', async (values, { where }) => {
+            if (where.Status !== REBOOKING_OFFER_STATUS.PENDING || claimed) return [0];
+            claimed = true;
+            return [1];
+        });
+        const createBooking = mock.method(bookingService, 'createBooking', async () => ({ booking: { Booking_ID: 99 } }));
+
+        const results = await Promise.allSettled([
+            showtimeCancellationService.acceptOffer('token', 20),
+            showtimeCancellationService.acceptOffer('token', 20)
+        ]);
+
+        assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+        assert.strictEqual(results.find(result => result.status === 'rejected').reason.statusCode, 409);
+        assert.strictEqual(createBooking.mock.callCount(), 1);
+        assert.deepStrictEqual(createBooking.mock.calls[0].arguments, [{ Showtime_ID: 20, layoutSeatIds: [7, 8] }, 1]);
+        assert.deepStrictEqual(update.mock.calls[0].arguments[1].where, { Offer_ID: 5, Status: REBOOKING_OFFER_STATUS.PENDING });
+    });
+
+    it('trả lời mời về Pending khi không tạo được đơn mới để khách thử lại', async () => {
+        stubOffer();
+        const update = mock.method(ShowtimeRebookingOffer, 'update', async () => [1]);
+        mock.method(bookingService, 'createBooking', async () => { throw new Error('Ghế vừa được người khác đặt'); });
+
+        await assert.rejects(showtimeCancellationService.acceptOffer('token', 20), error => error.statusCode === 409);
+
+        const [values, { where }] = update.mock.calls[1].arguments;
+        assert.strictEqual(values.Status, REBOOKING_OFFER_STATUS.PENDING);
+        assert.deepStrictEqual(where, { Offer_ID: 5 });
+    });
+
+    it('không nhận suất chiếu ngoài danh sách thay thế của lời mời', async () => {
+        stubOffer();
+        const update = mock.method(ShowtimeRebookingOffer, 'update', async () => [1]);
+
+        await assert.rejects(showtimeCancellationService.acceptOffer('token', 30), error => error.statusCode === 400);
+        assert.strictEqual(update.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,59 @@
+// File: tests/showtimeSeatBlock.test.js
+// Mô tả: Kiểm tra khóa ghế theo suất chiếu: ghế đang bị khóa không đặt được,
+// khóa đã mở bán hoặc hết hạn không còn chặn ghế.
+
+require('./helpers/noDatabase');
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { Op } = require('sequelize');
+const { SeatLayout, Seat, Ticket, ShowtimeSeatBlock } = require('../src/models');
+const bookingService = require('../src/services/bookingService');
+
+const { SEAT_BLOCK_STATUS } = ShowtimeSeatBlock;
+
+function stubLayouts() {
+    mock.method(SeatLayout, 'findAll', async () => [{ Layout_ID: 101 }, { Layout_ID: 102 }]);
+}
+
+describe('Kiểm tra ghế trống khi đặt vé', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('từ chối ghế đang bị khóa cho suất chiếu trước khi xét vé đã bán', async () => {
+        stubLayouts();
+        const findBlocks = mock.method(ShowtimeSeatBlock, 'findAll', async () => [{
+            Block_ID: 1,
+            Layout_ID: 102,
+            Block_Type: 'Broken',
+            SeatLayout: { Row_Label: 'A', Column_Number: 5 }
+        }]);
+        const findSeats = mock.method(Seat, 'findAll', async () => []);
+        const findTickets = mock.method(Ticket, 'findAll', async () => []);
+
+        const result = await bookingService.checkSeatAvailability([101, 102], 10, null);
+
+        assert.strictEqual(result.available, false);
+        assert.match(result.reason, /A5/);
+        assert.strictEqual(findSeats.mock.callCount(), 0);
+        assert.strictEqual(findTickets.mock.callCount(), 0);
+
+        // Chỉ khóa đang hiệu lực (Active, chưa hết hạn) của đúng suất chiếu và ghế được xét
+        const { where } = findBlocks.mock.calls[0].arguments[0];
+        assert.strictEqual(where.Showtime_ID, 10);
+        assert.deepStrictEqual(where.Layout_ID[Op.in], [101, 102]);
+        assert.strictEqual(where.Status, SEAT_BLOCK_STATUS.ACTIVE);
+        assert.strictEqual(where[Op.or][0].Expires_At, null);
+    });
+
+    it('cho đặt ghế khi không có khóa đang hiệu lực và ghế chưa bán', async () => {
+        stubLayouts();
+        mock.method(ShowtimeSeatBlock, 'findAll', async () => []);
+        mock.method(Seat, 'findAll', async () => [{ Seat_ID: 1, Layout_ID: 101 }, { Seat_ID: 2, Layout_ID: 102 }]);
+        mock.method(Ticket, 'findAll', async () => []);
+
+        const result = await bookingService.checkSeatAvailability([101, 102], 10, null);
+
+        assert.strictEqual(result.available, true);
+        assert.strictEqual(result.seats.length, 2);
+    });
+});
@@ -0,0 +1,84 @@
+// File: tests/ticketTransfer.test.js
+// Mô tả: Kiểm tra chuyển nhượng vé: người nhận chấp nhận thì vé được cấp mã mới,
+// mã cũ bị từ chối khi quét tại quầy còn mã mới check-in được.
+
+require('./helpers/noDatabase');
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { Ticket, TicketTransfer, BookingHistory, sequelize } = require('../src/models');
+const ticketTransferService = require('../src/services/ticketTransferService');
+const TicketService = require('../src/services/ticketService');
+
+const { TRANSFER_STATUS } = ticketTransferService;
+const OLD_CODE = 'OLD123';
+
+describe('Quét vé sau khi chuyển nhượng', () => {
+    const ticketService = new TicketService();
+    let ticket;
+    let transfer;
+
+    beforeEach(() => {
+        ticket = {
+            Ticket_ID: 1,
+            Booking_ID: 50,
+            Ticket_Code: OLD_CODE,
+            Is_Checked_In: false,
+            TicketBooking: { Status: 'Confirmed', User: null, Showtime: { Show_Date: new Date(), Start_Time: '20:00:00' } },
+            update: mock.fn(async function (values) { Object.assign(this, values); })
+        };
+        transfer = {
+            Transfer_ID: 7,
+            Ticket_ID: 1,
+            From_User_ID: 10,
+            To_User_ID: 20,
+            Old_Ticket_Code: OLD_CODE,
+            Status: TRANSFER_STATUS.PENDING,
+            update: mock.fn(async function (values) { Object.assign(this, values); })
+        };
+
+        const transaction = {
+            LOCK: { UPDATE: 'UPDATE' },
+            finished: false,
+            commit: mock.fn(async () => {}),
+            rollback: mock.fn(async () => {})
+        };
+        // sequelize.transaction(callback) dùng cho check-in, sequelize.transaction() dùng cho chấp nhận vé
+        mock.method(sequelize, 'transaction', async (callback) => (callback ? callback(transaction) : transaction));
+        mock.method(ticketTransferService, '_loadPendingTransfer', async () => transfer);
+        mock.method(ticketTransferService, '_emitToUser', () => {});
+        mock.method(ticketTransferService, '_sendTicketToRecipient', () => {});
+        mock.method(BookingHistory, 'create', async () => ({}));
+        mock.method(Ticket, 'findByPk', async () => ticket);
+        mock.method(Ticket, 'findOne', async ({ where }) => (where.Ticket_Code === ticket.Ticket_Code ? ticket : null));
+        mock.method(TicketTransfer, 'findOne', async ({ where }) =>
+            (where.Old_Ticket_Code === transfer.Old_Ticket_Code && where.Status === transfer.Status ? transfer : null));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('từ chối mã vé cũ và check-in được bằng mã mới', async () => {
+        await ticketTransferService.acceptTransfer(7, 20);
+
+        assert.strictEqual(transfer.Status, TRANSFER_STATUS.ACCEPTED);
+        assert.notStrictEqual(ticket.Ticket_Code, OLD_CODE);
+        assert.strictEqual(transfer.New_Ticket_Code, ticket.Ticket_Code);
+
+        const oldScan = await ticketService.checkInTicketAsync(OLD_CODE);
+        assert.strictEqual(oldScan.success, false);
+        assert.strictEqual(oldScan.statusCode, 400);
+        assert.match(oldScan.message, /chuyển nhượng/);
+        assert.strictEqual(ticket.Is_Checked_In, false);
+
+        const newScan = await ticketService.checkInTicketAsync(ticket.Ticket_Code);
+        assert.strictEqual(newScan.success, true);
+        assert.strictEqual(ticket.Is_Checked_In, true);
+    });
+
+    it('mã vé chưa chuyển nhượng không tồn tại vẫn báo không tìm thấy', async () => {
+        const result = await ticketService.checkInTicketAsync('NOPE99');
+
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.statusCode, 404);
+    });
+});
@@ -0,0 +1,95 @@
+// File: tests/waitlist.test.js
+// Mô tả: Kiểm tra danh sách chờ: mỗi yêu cầu chờ chỉ được một node giành (cập nhật có điều kiện Status = Waiting)
+// nên hai sự kiện giải phóng ghế đến cùng lúc không cấp hai lời mời cho cùng một khách.
+
+require('./helpers/noDatabase');
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { WaitlistEntry, Showtime } = require('../src/models');
+const refundPolicyService = require('../src/services/refundPolicyService');
+const waitlistService = require('../src/services/waitlistService');
+
+const { WAITLIST_STATUS } = waitlistService;
+
+const fakeEntry = (overrides = {}) => ({
+    Waitlist_ID: 3,
+    Showtime_ID: 10,
+    User_ID: 42,
+    Seat_Count: 2,
+    Offer_Count: 0,
+    Status: WAITLIST_STATUS.WAITING,
+    get() { return { ...this }; },
+    set(values) { Object.assign(this, values); },
+    ...overrides
+});
+
+// Suất chiếu còn 3 ghế trống, bắt đầu sau 1 giờ
+function stubShowtime(entries) {
+    mock.method(WaitlistEntry, 'findAll', async () => entries);
+    mock.method(Showtime, 'findByPk', async () => ({ Showtime_ID: 10, Status: 'Scheduled' }));
+    mock.method(refundPolicyService, 'getShowtimeStart', () => new Date(Date.now() + 60 * 60 * 1000));
+    mock.method(waitlistService, '_getAvailableSeats', async () => [1, 2, 3].map(seatId => ({ seatId })));
+    mock.method(waitlistService, '_sendOffer', async () => {});
+    mock.method(waitlistService, '_broadcastSeatsState', async () => {});
+}
+
+describe('Giành yêu cầu trong danh sách chờ', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('chỉ giành yêu cầu còn ở trạng thái Waiting', async () => {
+        const update = mock.method(WaitlistEntry, 'update', async () => [1]);
+
+        assert.strictEqual(await waitlistService._claimEntry(fakeEntry()), true);
+
+        const [values, { where }] = update.mock.calls[0].arguments;
+        assert.strictEqual(values.Status, WAITLIST_STATUS.OFFERED);
+        assert.deepStrictEqual(where, { Waitlist_ID: 3, Status: WAITLIST_STATUS.WAITING });
+    });
+
+    it('trả false khi node khác đã giành yêu cầu', async () => {
+        mock.method(WaitlistEntry, 'update', async () => [0]);
+
+        assert.strictEqual(await waitlistService._claimEntry(fakeEntry()), false);
+    });
+
+    it('hai node cùng xử lý một suất chiếu chỉ giữ ghế và gửi một lời mời cho khách', async () => {
+        const entry = fakeEntry();
+        stubShowtime([entry]);
+        let claimed = false;
+        mock.method(WaitlistEntry, 'update', async (values, { where }) => {
+            if (where.Status === WAITLIST_STATUS.WAITING) {
+                if (claimed) return [0];
+                claimed = true;
+            }
+            return [1];
+        });
+        const hold = mock.method(waitlistService, '_holdSeats', async () => ({ seatIds: [1, 2], holdSeconds: 600 }));
+
+        // Hai node cùng đọc thấy yêu cầu đang Waiting (findAll giả lập luôn trả yêu cầu)
+        const offers = [
+            await waitlistService.processShowtime(10),
+            await waitlistService.processShowtime(10)
+        ];
+
+        assert.deepStrictEqual(offers, [1, 0]);
+        assert.strictEqual(hold.mock.callCount(), 1);
+        assert.strictEqual(entry.Status, WAITLIST_STATUS.OFFERED);
+        assert.strictEqual(entry.Offered_Seats, '1,2');
+    });
+
+    it('trả ghế đã giữ khi khách rời danh sách chờ trước lúc ghi lời mời', async () => {
+        const entry = fakeEntry();
+        stubShowtime([entry]);
+        mock.method(WaitlistEntry, 'update', async (values, { where }) =>
+            (where.Status === WAITLIST_STATUS.WAITING ? [1] : [0]));
+        mock.method(waitlistService, '_holdSeats', async () => ({ seatIds: [1, 2], holdSeconds: 600 }));
+        const release = mock.method(waitlistService, '_releaseSeats', async () => {});
+
+        const offers = await waitlistService.processShowtime(10);
+
+        assert.strictEqual(offers, 0);
+        assert.strictEqual(release.mock.calls[0].arguments[0].Offered_Seats, '1,2');
+        assert.strictEqual(waitlistService._sendOffer.mock.callCount(), 0);
+    });
+});